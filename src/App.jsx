@@ -1,11 +1,21 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useMemo } from 'react';
 import { useAuth } from './hooks/useAuth.js';
 import { useFirestore } from './hooks/useFirestore.js';
 import { useLPN } from './hooks/useLPN.js';
+import { useLPNRequests } from './hooks/useLPNRequests.js';
+import { useLPNScheme } from './hooks/useLPNScheme.js';
 import { useGeminiAI } from './hooks/useGeminiAI.js';
 import { useKiCadParser } from './hooks/useKiCadParser.js';
 import { useToastContext } from './context/ToastContext.jsx';
+import { useWorkspace } from './context/WorkspaceContext.jsx';
 import { extractMPN } from './utils/lpnUtils.js';
+import { createSeparatePartId } from './utils/partModel.js';
+import { detectDuplicates } from './utils/mpnMatcher.js';
+import { getPassiveSignature } from './utils/passiveParts.js';
+import { planRowEdit } from './utils/bulkEdit.js';
+import { DEFAULT_RETENTION_DAYS } from './utils/operationLog.js';
+import { AUDIT_SOURCES, auditTrailToCSV } from './utils/auditTrail.js';
+import { LPN_REQUEST_STATUS } from './utils/lpnRequests.js';
 import AuthModal from './components/AuthModal.jsx';
 import UserProfile from './components/UserProfile.jsx';
 import AiModal from './components/AiModal.jsx';
@@ -15,7 +25,10 @@ import ProjectManager from './components/ProjectManager.jsx';
 import ConfigModal from './components/ConfigModal.jsx';
 import UnmatchedComponentsModal from './components/UnmatchedComponentsModal.jsx';
 import UploadStatsModal from './components/UploadStatsModal.jsx';
+import RevisionsModal from './components/RevisionsModal.jsx';
 import ConfirmModal from './components/ConfirmModal.jsx';
+import HistoryPanel from './components/HistoryPanel.jsx';
+import LPNRequestsModal from './components/LPNRequestsModal.jsx';
 import LoadingSpinner from './components/LoadingSpinner.jsx';
 import AmbiguousQtyModal from './components/AmbiguousQtyModal.jsx'; 
 
@@ -65,25 +78,56 @@ export default function App() {
             'Manufacturer': 'Manufacturer',
             'Mfr': 'Manufacturer'
         },
-        kicadSyncParams: ['Datasheet', 'Mfr. Part #']
+        kicadSyncParams: ['Datasheet', 'Mfr. Part #'],
+        deletedProjectRetentionDays: DEFAULT_RETENTION_DAYS
     });
+    const retentionDays = config.deletedProjectRetentionDays ?? DEFAULT_RETENTION_DAYS;
+
+    // History panel (undo/redo log and deleted projects)
+    const [isHistoryOpen, setIsHistoryOpen] = useState(false);
+    const [deletedProjects, setDeletedProjects] = useState(null);
 
     // Firestore Hook
     const {
         components,
+        parts,
         loading: firestoreLoading,
         addComponentsInBatch,
-        updateExistingComponent,
-        removeComponent,
+        updateComponentsInBatch,
+        removeComponentsInBatch,
+        undoOperation,
+        redoOperation,
+        history,
         removeProject,
+        loadDeletedProjects,
+        restoreProject,
+        purgeExpiredProjects,
+        replaceProjectInBatch,
+        recordRevision,
+        loadRevisions,
+        restoreRevision,
         clearAllComponents,
         saveSettings,
         loadSettings,
-        userId
+        loadComponentHistory,
+        userId,
+        libraryId
     } = useFirestore();
 
+    // Active library (personal or shared workspace) and what the user may do in it
+    const { activeWorkspace, role, permissions } = useWorkspace();
+
+    // LPN scheme of the active library. Personal libraries used the scheme of the user
+    // settings before schemes were stored on the library.
+    const { scheme: lpnScheme, saveScheme: saveLPNScheme } = useLPNScheme(libraryId, activeWorkspace ? null : config.lpnScheme);
+    const modalConfig = useMemo(() => ({ ...config, lpnScheme }), [config, lpnScheme]);
+
     // LPN Hook
-    const { assignLPN } = useLPN();
+    const { assignLPNBatch, requestLPN, approveLPNRequest, rejectLPNRequest, hasLPN } = useLPN(lpnScheme);
+
+    // LPN requests waiting for a librarian
+    const { requests: lpnRequests, pendingRequests, requestsByPart } = useLPNRequests(libraryId);
+    const [isLPNRequestsOpen, setIsLPNRequestsOpen] = useState(false);
 
     // BOM Processing state
     const [projectName, setProjectName] = useState('');
@@ -93,6 +137,11 @@ export default function App() {
     // Upload Stats Modal
     const [uploadStats, setUploadStats] = useState(null);
     const [pendingComponents, setPendingComponents] = useState(null);
+    const [pendingUpload, setPendingUpload] = useState(null);
+
+    // BOM Revisions Modal
+    const [revisionsProject, setRevisionsProject] = useState(null);
+    const [revisionsData, setRevisionsData] = useState(null);
 
     // AI Hook
     const { 
@@ -109,14 +158,15 @@ export default function App() {
         isParsingKiCad,
         kicadError,
         setKicadError,
-        syncParams,
         setSyncParams,
         unmatchedComponents,
         parseKiCadSchematic,
         matchWithKiCad,
         generateKiCadComponent,
         autoLinkWithBOM,
-        copyKiCadSymbolToClipboard
+        copyKiCadSymbolToClipboard,
+        exportSyncedSchematic,
+        exportSymbolLibrary
     } = useKiCadParser();
 
     // UI State
@@ -145,12 +195,16 @@ export default function App() {
     useEffect(() => {
         if (isAuthenticated) {
             loadSettings().then(result => {
-                if (result.success && result.settings) {
-                    setConfig(result.settings);
+                const settings = result.success && result.settings ? result.settings : null;
+                if (settings) {
+                    setConfig(settings);
                 }
+                // Remove deleted projects past their retention period
+                if (!permissions.manageLibrary) return null;
+                return purgeExpiredProjects(settings?.deletedProjectRetentionDays ?? DEFAULT_RETENTION_DAYS);
             });
         }
-    }, [isAuthenticated, loadSettings]);
+    }, [isAuthenticated, loadSettings, purgeExpiredProjects, permissions.manageLibrary]);
 
     // Update headers when components change
     useEffect(() => {
@@ -172,58 +226,43 @@ export default function App() {
 
     // Handle configuration save
     const handleConfigSave = async (newConfig) => {
-        setConfig(newConfig);
+        // The LPN scheme is stored on the library, the rest in the user settings
+        const { lpnScheme: newScheme, ...settings } = newConfig;
+        setConfig({ ...settings, lpnScheme: config.lpnScheme });
         setSyncParams(newConfig.kicadSyncParams);
         
         if (isAuthenticated) {
-            const result = await saveSettings(newConfig);
-            if (result.success) {
+            const schemeChanged = permissions.manageLPNScheme && JSON.stringify(newScheme) !== JSON.stringify(lpnScheme);
+            const [result, schemeResult] = await Promise.all([
+                saveSettings(settings),
+                schemeChanged ? saveLPNScheme(newScheme) : { success: true }
+            ]);
+            if (result.success && schemeResult.success) {
                 toast.success('Configuration saved successfully');
             } else {
-                toast.error('Failed to save configuration');
+                toast.error(schemeResult.error || 'Failed to save configuration');
             }
         }
     };
 
-    // Detect duplicates
-    const detectDuplicates = (newComponents) => {
-        const duplicates = [];
-        
-        for (const newComp of newComponents) {
-            const newMPN = extractMPN(newComp);
-            if (!newMPN) continue;
-
-            // Check if MPN already exists in library
-            const existingComp = components.find(c => {
-                const existingMPN = extractMPN(c);
-                return existingMPN && existingMPN === newMPN;
-            });
-
-            if (existingComp) {
-                duplicates.push({
-                    mpn: newMPN,
-                    newComponent: newComp,
-                    existingComponent: existingComp
-                });
-            }
-        }
-
-        return duplicates;
-    };
-    
     // CENTRAL HANDLER: Called by SetupSection after any resolution (AmbiguousQtyModal or Preview Submit)
-    const handleBOMFileResolution = async (componentsToUpload) => {
+    const handleBOMFileResolution = async (componentsToUpload, upload = {}) => {
         if (!componentsToUpload || componentsToUpload.length === 0) {
             toast.error('No components to submit after processing.');
             return false;
         }
         
-        // Detect duplicates
-        const duplicates = detectDuplicates(componentsToUpload);
+        // Detect duplicates against other projects (a re-upload replaces this project's BOM)
+        const uploadProject = componentsToUpload[0].ProjectName;
+        const duplicates = detectDuplicates(
+            componentsToUpload,
+            components.filter(c => c.ProjectName !== uploadProject)
+        );
 
         if (duplicates.length > 0) {
             // Show stats modal with conflicts
             setPendingComponents(componentsToUpload);
+            setPendingUpload(upload);
             setUploadStats({
                 totalParsed: componentsToUpload.length,
                 newComponents: componentsToUpload.length - duplicates.length,
@@ -232,14 +271,14 @@ export default function App() {
             return true; // Return true to keep SetupSection workflow active (don't reset form)
         } else {
             // No conflicts, process immediately
-            return await processComponents(componentsToUpload);
+            return await processComponents(componentsToUpload, upload);
         }
     };
 
     // Handle BOM Submit (Used by SetupSection's preview submit button)
-    const handleBOMSubmit = async (componentsToUpload) => {
+    const handleBOMSubmit = async (componentsToUpload, upload) => {
         // This function is the entry point for submissions WITHOUT quantity ambiguity issues (i.e., straight from preview).
-        return handleBOMFileResolution(componentsToUpload);
+        return handleBOMFileResolution(componentsToUpload, upload);
     };
 
 
@@ -248,95 +287,90 @@ export default function App() {
         if (!pendingComponents) return;
 
         const componentsToAdd = [];
-        const componentsToUpdate = [];
+        const duplicatesByComponent = new Map(
+            (uploadStats?.duplicates || []).map(duplicate => [duplicate.newComponent, duplicate])
+        );
 
         for (const comp of pendingComponents) {
-            const mpn = extractMPN(comp);
-            const resolution = resolutions[mpn];
-
-            if (resolution === 'merge') {
-                // Find existing and merge quantities
-                const existing = components.find(c => extractMPN(c) === mpn);
-                if (existing) {
-                    const existingQty = parseInt(existing.Quantity || existing.Qty || 1);
-                    const newQty = parseInt(comp.Quantity || comp.Qty || 1);
-                    componentsToUpdate.push({
-                        ...existing,
-                        Quantity: existingQty + newQty,
-                        Qty: existingQty + newQty
-                    });
-                }
-            } else if (resolution === 'separate') {
-                // Add as new component
+            const duplicate = duplicatesByComponent.get(comp);
+            const resolution = duplicate ? resolutions[duplicate.key] : 'new';
+
+            if (resolution === 'new') {
+                // No library match
                 componentsToAdd.push(comp);
+            } else if (resolution === 'merge') {
+                // Add the placement to the matched library part
+                const existing = duplicate.existingComponent;
+                componentsToAdd.push(existing.partId ? { ...comp, partId: existing.partId } : comp);
+            } else if (resolution === 'separate') {
+                // Add as a new library part with the same MPN
+                componentsToAdd.push({ ...comp, partId: createSeparatePartId(comp) });
             }
             // 'skip' = do nothing
         }
 
-        // Update merged components
-        for (const comp of componentsToUpdate) {
-            await updateExistingComponent(comp.id, {
-                Quantity: comp.Quantity,
-                Qty: comp.Qty
-            });
-        }
-
-        // Add new components
+        // Add new placements
         if (componentsToAdd.length > 0) {
-            await processComponents(componentsToAdd);
+            await processComponents(componentsToAdd, pendingUpload || {});
         }
 
         // Clean up
         setPendingComponents(null);
+        setPendingUpload(null);
         setUploadStats(null);
         
-        toast.success(`Processed ${componentsToUpdate.length + componentsToAdd.length} components`);
+        toast.success(`Processed ${componentsToAdd.length} components`);
         return true;
     };
 
     /**
-     * Process and add components with auto-LPN
+     * Process and add components with auto-LPN.
+     * The upload becomes the active BOM of its project and is stored as a new revision.
      */
-    const processComponents = async (componentsToAdd) => {
+    const processComponents = async (componentsToAdd, upload = {}) => {
         setIsProcessing(true);
 
         try {
-            // Step 1: Add components to Firestore first
-            const result = await addComponentsInBatch(componentsToAdd);
+            // Step 1: Store the upload as a revision first, so a failed write never loses history,
+            // then replace the project's active BOM in Firestore
+            const uploadProject = componentsToAdd[0]?.ProjectName;
+            if (uploadProject) {
+                const revision = await recordRevision(uploadProject, {
+                    fileName: upload.fileName,
+                    uploadedBy: user?.email || user?.uid,
+                    components: componentsToAdd
+                });
+                if (!revision.success) {
+                    throw new Error(revision.error);
+                }
+            }
+
+            const result = uploadProject
+                ? await replaceProjectInBatch(uploadProject, componentsToAdd)
+                : await addComponentsInBatch(componentsToAdd);
 
             if (!result.success) {
                 throw new Error(result.error || 'Failed to add components');
             }
 
-            // Step 2: AUTO-ASSIGN LPNs (Check and Assign/Reuse LPN)
-            let lpnSuccess = 0;
-            let lpnFailed = 0;
-
-            for (const comp of componentsToAdd) {
-                const mpn = extractMPN(comp);
-                
-                // Only attempt LPN assignment if MPN exists
-                if (mpn) {
+            // Step 2: AUTO-ASSIGN LPNs (reuse the LPN of known MPNs, number the new ones in one
+            // batch); only librarians assign LPNs.
+            // Only components with an MPN, or generic passives identified by value and package
+            // (which share the LPN of their library part), get an LPN.
+            const componentsForLPN = (permissions.manageLibrary ? componentsToAdd : [])
+                .filter(comp => extractMPN(comp) || getPassiveSignature(comp))
+                .map(comp => {
+                    const mpn = extractMPN(comp);
                     // Components in 'componentsToAdd' already have a temporary ID generated in bomParser.
-                    // We use this ID to update the document we just created in Firestore.
-                    const componentForLPN = { 
-                        id: comp.id, 
-                        'Mfr. Part #': mpn,
-                        // This comp object may contain other MPN fields, but 'Mfr. Part #' is the canonical one set 
-                        // before calling assignLPN for DB consistency check.
-                    };
-
-                    // Call assignLPN, which now handles the reuse check against the entire database
-                    const lpnResult = await assignLPN(componentForLPN);
-
-                    if (lpnResult.success) {
-                        lpnSuccess++;
-                    } else {
-                        lpnFailed++;
-                    }
-                }
-            }
+                    // 'Mfr. Part #' is the canonical MPN field used for the DB consistency check.
+                    return mpn
+                        ? { id: comp.id, partId: comp.partId, Designator: comp.Designator, 'Mfr. Part #': mpn }
+                        : comp;
+                });
 
+            const { details: lpnDetails } = await assignLPNBatch(componentsForLPN);
+            const lpnSuccess = lpnDetails.processed.length;
+            const lpnFailed = lpnDetails.failed.length;
 
             toast.success(`Added ${componentsToAdd.length} components${lpnSuccess > 0 ? `, assigned ${lpnSuccess} LPNs` : ''}`);
             
@@ -354,28 +388,47 @@ export default function App() {
     };
 
 
-    // Handle KiCad file upload
-    const handleKiCadUpload = async (file) => {
+    // Handle KiCad upload (root sheet, root + sub-sheets, or zipped project)
+    const handleKiCadUpload = async (files) => {
         if (!projectName.trim()) {
             setKicadError('Please enter a project name first');
             return;
         }
 
-        await parseKiCadSchematic(file, projectName);
-        
-        if (components.length > 0) {
-            const { matched, unmatched } = autoLinkWithBOM(components, projectName);
+        const schematicComponents = await parseKiCadSchematic(files, projectName);
+        const hasProjectComponents = components.some(c => c.ProjectName === projectName);
+
+        if (schematicComponents.length > 0 && hasProjectComponents) {
+            const { matched, unmatched } = autoLinkWithBOM(schematicComponents, components, projectName);
             if (unmatched.length > 0) {
                 toast.warning(`${matched.length} components matched, ${unmatched.length} unmatched`);
+                setIsUnmatchedModalOpen(true);
             } else {
                 toast.success(`All ${matched.length} components matched with KiCad schematic`);
             }
         }
     };
 
-    // Handle component edit
+    // Handle KiCad write-back: download the schematic with library fields filled in
+    const handleKiCadExport = async () => {
+        const result = await exportSyncedSchematic(projectName, components);
+        if (!result.success) {
+            toast.error(result.error || 'Failed to export KiCad schematic');
+        } else if (result.updatedSymbols > 0) {
+            toast.success(`Updated ${result.updatedProperties} fields on ${result.updatedSymbols} symbols`);
+        } else {
+            toast.info('Schematic is already in sync with the library');
+        }
+    };
+
+    // Handle component edit (logged for undo)
     const handleEditComponent = async (componentId, updatedData) => {
-        const result = await updateExistingComponent(componentId, updatedData);
+        const component = components.find(c => c.id === componentId);
+        const change = component && planRowEdit(component, updatedData);
+        if (!change) return;
+
+        const label = `Edit ${component.Designator || component.Reference || 'component'}`;
+        const result = await updateComponentsInBatch([change], { label, source: AUDIT_SOURCES.EDIT });
         if (result.success) {
             toast.success('Component updated successfully');
         } else {
@@ -383,6 +436,21 @@ export default function App() {
         }
     };
 
+    // Handle library part edit (applies to every project using the part)
+    const handleEditPart = async (partId, updatedData) => {
+        const part = parts.find(p => p.id === partId);
+        const change = part && planRowEdit(part, updatedData);
+        if (!change) return;
+
+        const label = `Edit part ${extractMPN(part) || part.Value || partId}`;
+        const result = await updateComponentsInBatch([change], { label, parts: true, source: AUDIT_SOURCES.EDIT });
+        if (result.success) {
+            toast.success('Part updated in all projects');
+        } else {
+            toast.error(result.error || 'Failed to update part');
+        }
+    };
+
     // Handle component delete
     const handleDeleteComponent = (componentId) => {
         const component = components.find(c => c.id === componentId);
@@ -391,9 +459,12 @@ export default function App() {
         setConfirmModal({
             isOpen: true,
             title: 'Delete Component',
-            message: `Are you sure you want to delete component "${component.Designator || component.Reference || 'Unknown'}"? This action cannot be undone.`,
+            message: `Are you sure you want to delete component "${component.Designator || component.Reference || 'Unknown'}"? You can undo this with Ctrl+Z.`,
             onConfirm: async () => {
-                const result = await removeComponent(componentId);
+                const result = await removeComponentsInBatch([component], {
+                    label: `Delete ${component.Designator || component.Reference || 'component'}`,
+                    source: AUDIT_SOURCES.EDIT
+                });
                 if (result.success) {
                     toast.success('Component deleted successfully');
                 } else {
@@ -404,6 +475,166 @@ export default function App() {
         });
     };
 
+    // Write a bulk edit planned in the DataTable as one batch
+    const handleBulkUpdate = async (changes, { label, parts: isParts }) => {
+        const result = await updateComponentsInBatch(changes, { label, parts: isParts });
+        if (result.success) {
+            toast.success(`${label}: updated ${result.count} ${isParts ? 'part' : 'component'}${result.count !== 1 ? 's' : ''}`);
+        } else {
+            toast.error(result.error || 'Failed to update components');
+        }
+        return result.success;
+    };
+
+    // Delete the selected components in one batch (can be undone)
+    const handleBulkDelete = (selected) => {
+        setConfirmModal({
+            isOpen: true,
+            title: 'Delete Components',
+            message: `Are you sure you want to delete ${selected.length} selected component${selected.length !== 1 ? 's' : ''}? You can undo this until the next bulk edit.`,
+            onConfirm: async () => {
+                const result = await removeComponentsInBatch(selected, { label: 'Delete' });
+                if (result.success) {
+                    toast.success(`Deleted ${result.count} components`);
+                } else {
+                    toast.error(result.error || 'Failed to delete components');
+                }
+            },
+            type: 'danger'
+        });
+    };
+
+    // Assign LPNs to every selected row that has none yet
+    const handleBulkAssignLPN = async (selected) => {
+        const pending = selected.filter(component => !hasLPN(component));
+        if (pending.length === 0) {
+            toast.info('All selected rows already have an LPN');
+            return;
+        }
+
+        // Issued LPNs are permanent, so the assignment is not recorded for undo
+        const result = await assignLPNBatch(pending);
+        if (!result?.details) {
+            toast.error('Failed to assign LPNs');
+            return;
+        }
+
+        const { processed, failed } = result.details;
+        if (processed.length > 0) {
+            toast.success(`Assigned ${processed.length} LPNs`);
+        }
+        if (processed.length === 0 && failed.length > 0) {
+            toast.error(`Failed to assign LPNs: ${failed[0].error}`);
+        } else if (failed.length > 0) {
+            toast.warning(`${failed.length} rows could not get an LPN (missing MPN or passive value/package)`);
+        }
+    };
+
+    // Ask a librarian for the LPNs of every selected row that has none yet
+    const handleBulkRequestLPN = async (selected) => {
+        const pending = selected.filter(component => !hasLPN(component)
+            && requestsByPart.get(component.partId || component.id)?.status !== LPN_REQUEST_STATUS.PENDING);
+        if (pending.length === 0) {
+            toast.info('All selected rows already have an LPN or a pending request');
+            return;
+        }
+
+        let requested = 0;
+        for (const component of pending) {
+            const result = await requestLPN(component);
+            if (result.success) requested++;
+        }
+
+        if (requested > 0) {
+            toast.success(`Requested ${requested} LPNs from the librarians`);
+        }
+        if (requested < pending.length) {
+            toast.warning(`${pending.length - requested} rows could not be requested (missing MPN or passive value/package)`);
+        }
+    };
+
+    // Approve an LPN request, issuing the LPN
+    const handleApproveLPNRequest = async (request) => {
+        const result = await approveLPNRequest(request);
+        if (result.success) {
+            toast.success(`Issued ${result.lpn} for ${request.mpn || request.genericPartNumber}`);
+        } else {
+            toast.error(result.error || 'Failed to approve LPN request');
+        }
+    };
+
+    // Reject an LPN request; the requester sees the reason next to the part
+    const handleRejectLPNRequest = async (request, reason) => {
+        const result = await rejectLPNRequest(request, reason);
+        if (result.success) {
+            toast.info(`Rejected LPN request for ${request.mpn || request.genericPartNumber}`);
+        } else {
+            toast.error(result.error || 'Failed to reject LPN request');
+        }
+    };
+
+    // Undo the latest logged operation
+    const handleUndo = async () => {
+        const result = await undoOperation();
+        if (result.success) {
+            toast.success(`Undone: ${result.label}`);
+        } else {
+            toast.warning(result.error || 'Failed to undo');
+        }
+    };
+
+    // Redo the latest undone operation
+    const handleRedo = async () => {
+        const result = await redoOperation();
+        if (result.success) {
+            toast.success(`Redone: ${result.label}`);
+        } else {
+            toast.warning(result.error || 'Failed to redo');
+        }
+    };
+
+    // Ctrl+Z / Ctrl+Shift+Z (and Ctrl+Y); text fields keep their own undo
+    useEffect(() => {
+        if (!isAuthenticated || !permissions.edit) return;
+
+        const handleKeyDown = (e) => {
+            if (!(e.ctrlKey || e.metaKey)) return;
+            const target = e.target;
+            if (target?.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target?.tagName)) return;
+
+            const key = e.key.toLowerCase();
+            if (key === 'z' && !e.shiftKey) {
+                e.preventDefault();
+                handleUndo();
+            } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+                e.preventDefault();
+                handleRedo();
+            }
+        };
+
+        document.addEventListener('keydown', handleKeyDown);
+        return () => document.removeEventListener('keydown', handleKeyDown);
+    });
+
+    // Open the history panel and load the projects that can be restored
+    const handleShowHistory = async () => {
+        setIsHistoryOpen(true);
+        setDeletedProjects(null);
+        const result = await loadDeletedProjects();
+        setDeletedProjects(result.success ? result.projects : []);
+    };
+
+    // Restore a soft-deleted project from the history panel
+    const handleRestoreProject = async (projectName) => {
+        const result = await restoreProject(projectName);
+        if (result.success) {
+            toast.success(`Project "${projectName}" restored (${result.count} components)`);
+            setDeletedProjects(prev => (prev || []).filter(project => project.name !== projectName));
+        } else {
+            toast.error(result.error || 'Failed to restore project');
+        }
+    };
+
     // Handle project delete
     const handleDeleteProject = (projectName) => {
         const count = components.filter(c => c.ProjectName === projectName).length;
@@ -411,7 +642,7 @@ export default function App() {
         setConfirmModal({
             isOpen: true,
             title: 'Delete Project',
-            message: `Are you sure you want to delete all ${count} components from project "${projectName}"? This action cannot be undone.`,
+            message: `Are you sure you want to delete all ${count} components from project "${projectName}"? The project can be restored from History for ${retentionDays} days.`,
             onConfirm: async () => {
                 const result = await removeProject(projectName);
                 if (result.success) {
@@ -424,6 +655,40 @@ export default function App() {
         });
     };
 
+    // Open the revision history of a project
+    const handleShowRevisions = async (projectName) => {
+        setRevisionsProject(projectName);
+        setRevisionsData(null);
+        const result = await loadRevisions(projectName);
+        if (result.success) {
+            setRevisionsData({ revisions: result.revisions, activeRevision: result.activeRevision });
+        } else {
+            toast.error(result.error || 'Failed to load revisions');
+            setRevisionsProject(null);
+        }
+    };
+
+    // Restore an earlier revision as the project's active BOM
+    const handleRestoreRevision = (number) => {
+        const projectName = revisionsProject;
+
+        setConfirmModal({
+            isOpen: true,
+            title: 'Restore Revision',
+            message: `Replace the current BOM of "${projectName}" with revision ${number}? The current placements are removed; all revisions are kept.`,
+            onConfirm: async () => {
+                const result = await restoreRevision(projectName, number);
+                if (result.success) {
+                    toast.success(`Restored revision ${number} of "${projectName}" (${result.count} components)`);
+                    setRevisionsData(prev => prev && { ...prev, activeRevision: number });
+                } else {
+                    toast.error(result.error || 'Failed to restore revision');
+                }
+            },
+            type: 'warning'
+        });
+    };
+
     // Handle clear library
     const handleClearLibrary = () => {
         if (components.length === 0) return;
@@ -431,7 +696,7 @@ export default function App() {
         setConfirmModal({
             isOpen: true,
             title: 'Clear Library',
-            message: `Are you sure you want to clear all ${components.length} components? This action cannot be undone.`,
+            message: `Are you sure you want to clear all ${components.length} components? Its projects can be restored from History for ${retentionDays} days.`,
             onConfirm: async () => {
                 const result = await clearAllComponents();
                 if (result.success) {
@@ -481,6 +746,51 @@ export default function App() {
         }
     };
 
+    // Export the audit history of components (or library parts) as CSV for audits
+    const handleExportHistory = async (rows, { parts: isParts }) => {
+        const histories = [];
+        for (const row of rows) {
+            const result = await loadComponentHistory(row, { parts: isParts });
+            if (!result.success) {
+                toast.error(result.error || 'Failed to load change history');
+                return;
+            }
+            histories.push({ component: row, entries: result.entries });
+        }
+
+        if (histories.every(history => history.entries.length === 0)) {
+            toast.info('No recorded changes for the selected rows');
+            return;
+        }
+
+        try {
+            const dataBlob = new Blob([auditTrailToCSV(histories)], { type: 'text/csv' });
+            const url = URL.createObjectURL(dataBlob);
+
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = `keylife_audit_trail_${new Date().toISOString().split('T')[0]}.csv`;
+            document.body.appendChild(link);
+            link.click();
+            document.body.removeChild(link);
+            URL.revokeObjectURL(url);
+
+            toast.success(`Exported change history of ${rows.length} row${rows.length !== 1 ? 's' : ''}`);
+        } catch (err) {
+            toast.error('Failed to export change history');
+        }
+    };
+
+    // Export a KiCad symbol library with one symbol per LPN
+    const handleExportKiCadLibrary = () => {
+        const result = exportSymbolLibrary(components);
+        if (result.success) {
+            toast.success(`Exported ${result.symbolCount} symbols (${result.withGraphics} with schematic graphics)`);
+        } else {
+            toast.warning(result.error);
+        }
+    };
+
     // Import library (placeholder)
     const importLibrary = () => {
         toast.info('Import feature coming soon');
@@ -516,6 +826,33 @@ export default function App() {
                             {isAuthenticated ? (
                                 <>
                                     <UserProfile />
+                                    {permissions.manageLibrary && (
+                                        <button
+                                            onClick={() => setIsLPNRequestsOpen(true)}
+                                            className="relative bg-gray-700 hover:bg-gray-600 text-white px-4 py-2 rounded-lg transition-colors inline-flex items-center gap-2"
+                                            title="LPN requests waiting for review"
+                                        >
+                                            <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                                                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M7 7h.01M7 3h5c.512 0 1.024.195 1.414.586l7 7a2 2 0 010 2.828l-7 7a2 2 0 01-2.828 0l-7-7A1.994 1.994 0 013 12V7a4 4 0 014-4z" />
+                                            </svg>
+                                            <span className="hidden md:inline">LPN Requests</span>
+                                            {pendingRequests.length > 0 && (
+                                                <span className="absolute -top-2 -right-2 bg-amber-500 text-gray-900 text-xs font-bold rounded-full px-1.5 py-0.5">
+                                                    {pendingRequests.length}
+                                                </span>
+                                            )}
+                                        </button>
+                                    )}
+                                    <button
+                                        onClick={handleShowHistory}
+                                        className="bg-gray-700 hover:bg-gray-600 text-white px-4 py-2 rounded-lg transition-colors inline-flex items-center gap-2"
+                                        title="History (undo/redo, deleted projects)"
+                                    >
+                                        <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                                            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M12 8v4l3 3m6-3a9 9 0 11-18 0 9 9 0 0118 0z" />
+                                        </svg>
+                                        <span className="hidden md:inline">History</span>
+                                    </button>
                                     <button
                                         onClick={() => setIsConfigOpen(true)}
                                         className="bg-gray-700 hover:bg-gray-600 text-white px-4 py-2 rounded-lg transition-colors inline-flex items-center gap-2"
@@ -553,18 +890,27 @@ export default function App() {
                 <main>
                     {isAuthenticated ? (
                         <>
-                            <SetupSection 
-                                projectName={projectName}
-                                setProjectName={setProjectName}
-                                onBOMSubmit={handleBOMSubmit}
-                                onBOMFileResolve={handleBOMFileResolution}
-                                isProcessing={isProcessing}
-                                onKiCadUpload={handleKiCadUpload}
-                                isParsingKiCad={isParsingKiCad}
-                                kicadError={kicadError}
-                                kicadSchematics={kicadSchematics}
-                                config={config}
-                            />
+                            {!permissions.edit && (
+                                <div className="bg-gray-800 border border-gray-700 text-gray-300 px-4 py-3 rounded-lg mb-6 text-sm">
+                                    You have {role} access to {activeWorkspace ? `"${activeWorkspace.name}"` : 'this library'}: uploads and edits are disabled.
+                                </div>
+                            )}
+
+                            {permissions.edit && (
+                                <SetupSection 
+                                    projectName={projectName}
+                                    setProjectName={setProjectName}
+                                    onBOMSubmit={handleBOMSubmit}
+                                    onBOMFileResolve={handleBOMFileResolution}
+                                    isProcessing={isProcessing}
+                                    onKiCadUpload={handleKiCadUpload}
+                                    onKiCadExport={handleKiCadExport}
+                                    isParsingKiCad={isParsingKiCad}
+                                    kicadError={kicadError}
+                                    kicadSchematics={kicadSchematics}
+                                    config={config}
+                                />
+                            )}
 
                             {isProcessing && (
                                 <div className="bg-blue-900/30 border border-blue-700 text-blue-300 px-4 py-3 rounded-lg mb-6 flex items-center gap-3">
@@ -583,12 +929,14 @@ export default function App() {
                                 <>
                                     <ProjectManager
                                         components={components}
-                                        onDeleteProject={handleDeleteProject}
+                                        onDeleteProject={permissions.edit ? handleDeleteProject : undefined}
+                                        onShowRevisions={handleShowRevisions}
                                         onFilterProject={(projectName) => setSelectedProject(projectName)}
                                     />
                                     
                                     <DataTable
                                         components={components}
+                                        parts={parts}
                                         headers={headers}
                                         selectedProject={selectedProject}
                                         setSelectedProject={setSelectedProject}
@@ -597,16 +945,31 @@ export default function App() {
                                         searchTerm={searchTerm}
                                         setSearchTerm={setSearchTerm}
                                         findAlternatives={findAlternatives}
-                                        editComponent={handleEditComponent}
-                                        deleteComponent={handleDeleteComponent}
-                                        clearLibrary={handleClearLibrary}
+                                        editComponent={permissions.edit ? handleEditComponent : undefined}
+                                        editPart={permissions.edit ? handleEditPart : undefined}
+                                        deleteComponent={permissions.edit ? handleDeleteComponent : undefined}
+                                        clearLibrary={permissions.manageLibrary ? handleClearLibrary : undefined}
                                         saveLibraryToFile={saveLibraryToFile}
-                                        importLibrary={importLibrary}
+                                        exportKiCadLibrary={handleExportKiCadLibrary}
+                                        importLibrary={permissions.manageLibrary ? importLibrary : undefined}
                                         kicadSchematics={kicadSchematics}
                                         matchWithKiCad={matchWithKiCad}
                                         generateKiCadComponent={generateKiCadComponent}
                                         designatorConfig={config.designatorMeanings}
                                         onCopyKiCadSymbol={copyKiCadSymbolToClipboard}
+                                        onBulkUpdate={permissions.edit ? handleBulkUpdate : undefined}
+                                        onBulkDelete={permissions.edit ? handleBulkDelete : undefined}
+                                        onBulkAssignLPN={handleBulkAssignLPN}
+                                        canAssignLPN={permissions.manageLibrary}
+                                        canCorrectMPN={permissions.correctMPN}
+                                        canRequestLPN={permissions.edit}
+                                        onBulkRequestLPN={handleBulkRequestLPN}
+                                        lpnRequestsByPart={requestsByPart}
+                                        lpnScheme={lpnScheme}
+                                        lastOperation={history.past[history.past.length - 1]}
+                                        onUndo={handleUndo}
+                                        loadComponentHistory={loadComponentHistory}
+                                        onExportHistory={handleExportHistory}
                                     />
                                 </>
                             )}
@@ -673,7 +1036,8 @@ export default function App() {
                 isOpen={isConfigOpen}
                 onClose={() => setIsConfigOpen(false)}
                 onSave={handleConfigSave}
-                currentConfig={config}
+                currentConfig={modalConfig}
+                canEditLPNScheme={permissions.manageLPNScheme}
             />
 
             <UnmatchedComponentsModal
@@ -681,7 +1045,6 @@ export default function App() {
                 onClose={() => setIsUnmatchedModalOpen(false)}
                 unmatchedComponents={unmatchedComponents}
                 projectName={selectedProject || projectName}
-                syncParams={syncParams}
             />
 
             <UploadStatsModal
@@ -689,11 +1052,44 @@ export default function App() {
                 onClose={() => {
                     setUploadStats(null);
                     setPendingComponents(null);
+                    setPendingUpload(null);
                 }}
                 stats={uploadStats}
                 onResolveConflicts={handleResolveConflicts}
             />
 
+            <RevisionsModal
+                isOpen={!!revisionsProject}
+                onClose={() => {
+                    setRevisionsProject(null);
+                    setRevisionsData(null);
+                }}
+                projectName={revisionsProject}
+                revisions={revisionsData?.revisions}
+                activeRevision={revisionsData?.activeRevision}
+                onRestore={handleRestoreRevision}
+            />
+
+            <HistoryPanel
+                isOpen={isHistoryOpen}
+                onClose={() => setIsHistoryOpen(false)}
+                history={history}
+                onUndo={handleUndo}
+                onRedo={handleRedo}
+                deletedProjects={deletedProjects}
+                retentionDays={retentionDays}
+                onRestoreProject={permissions.edit ? handleRestoreProject : undefined}
+            />
+
+            <LPNRequestsModal
+                isOpen={isLPNRequestsOpen}
+                onClose={() => setIsLPNRequestsOpen(false)}
+                requests={lpnRequests}
+                pendingRequests={pendingRequests}
+                onApprove={handleApproveLPNRequest}
+                onReject={handleRejectLPNRequest}
+            />
+
             <ConfirmModal
                 isOpen={confirmModal.isOpen}
                 onClose={() => setConfirmModal({ ...confirmModal, isOpen: false })}
@@ -14,7 +14,10 @@ export default function AmbiguousQtyModal({
     onClose,
     ambiguousComponents = [], // Array of components flagged with _ambiguousQty
     projectName,
-    onResolve // Function to call with resolved data: (resolvedComponents) => {}
+    onResolve, // Function to call with resolved data: (resolvedComponents) => {}
+    sheetNames = [], // Worksheets of an Excel file; a picker is shown for more than one
+    sheetName,
+    onSheetChange // Re-parses the file from another worksheet: (event) => {}
 }) {
     // State to track the chosen resolution for each ambiguous component
     // Key: component.id, Value: 'flatten' | 'keep' | 'skip'
@@ -67,9 +70,12 @@ export default function AmbiguousQtyModal({
                     delete newComp._potentialDesignators;
                     delete newComp._originalQty;
                     delete newComp._qtyColumnName;
+                    delete newComp._expandedFromRange;
+                    delete newComp._designatorColumn;
 
-                    // Set the specific designator for this instance
+                    // Set the specific designator for this instance, in the file's own designator column too
                     newComp.Designator = designator; // Assuming 'Designator' is the standard field
+                    if (originalComp._designatorColumn) newComp[originalComp._designatorColumn] = designator;
                     if (originalComp.Reference) newComp.Reference = designator; // Update common alternates too
                     if (originalComp.RefDes) newComp.RefDes = designator;
                     if (originalComp.Ref) newComp.Ref = designator;
@@ -91,6 +97,8 @@ export default function AmbiguousQtyModal({
                 delete keptComp._potentialDesignators;
                 delete keptComp._originalQty;
                 delete keptComp._qtyColumnName;
+                delete keptComp._expandedFromRange;
+                delete keptComp._designatorColumn;
                 resolvedComponents.push(keptComp);
             }
             // If resolution === 'skip', do nothing (don't add to resolvedComponents)
@@ -118,6 +126,23 @@ export default function AmbiguousQtyModal({
                         <p className="text-sm text-gray-400 mt-1">
                             {ambiguousComponents.length} row(s) in '{projectName}' need clarification.
                         </p>
+                        {sheetNames.length > 1 && onSheetChange && (
+                            <div className="mt-2 flex items-center gap-2">
+                                <label htmlFor="ambiguous-sheet" className="text-xs text-gray-400 whitespace-nowrap">
+                                    Worksheet
+                                </label>
+                                <select
+                                    id="ambiguous-sheet"
+                                    value={sheetName}
+                                    onChange={onSheetChange}
+                                    className="bg-gray-700 border border-gray-600 rounded-lg px-2 py-1 text-sm text-white focus:outline-none focus:ring-2 focus:ring-keylife-accent"
+                                >
+                                    {sheetNames.map(name => (
+                                        <option key={name} value={name}>{name}</option>
+                                    ))}
+                                </select>
+                            </div>
+                        )}
                     </div>
                     <button
                         onClick={onClose}
@@ -132,7 +157,7 @@ export default function AmbiguousQtyModal({
                 {/* Info Banner */}
                  <div className="p-4 bg-yellow-900/20 border-b border-yellow-500/30">
                     <p className="text-sm text-yellow-300">
-                        These rows list multiple designators but also have a quantity greater than 1. Please choose how to interpret them.
+                        These rows list multiple designators but also have a quantity greater than 1, or contain a designator range (e.g. R1-R8) that doesn't match the quantity. Please choose how to interpret them.
                     </p>
                 </div>
 
@@ -154,6 +179,11 @@ export default function AmbiguousQtyModal({
                                         <div className="font-mono text-white mb-1 break-all" title={comp.Designator}>
                                             Designators: <span className="text-yellow-400">{comp.Designator}</span> ({designatorCount} found)
                                         </div>
+                                        {comp._expandedFromRange && (
+                                            <div className="text-xs text-gray-400 mb-1 break-all">
+                                                Range expanded to: <span className="font-mono text-gray-300">{designators.join(', ')}</span>
+                                            </div>
+                                        )}
                                          <div className="text-sm text-gray-400">
                                             Listed Quantity: <span className="text-yellow-400 font-bold">{listedQty}</span>
                                             {/* Highlight mismatch */}
@@ -240,7 +270,7 @@ export default function AmbiguousQtyModal({
                             onClick={onClose}
                             className="bg-gray-700 hover:bg-gray-600 text-white px-6 py-2 rounded-lg transition-colors"
                         >
-                            Cancel Upload
+                            Back to Preview
                         </button>
                         <button
                             onClick={handleApplyResolutions}
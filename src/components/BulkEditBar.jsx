@@ -0,0 +1,170 @@
+/**
+ * @file BulkEditBar.jsx
+ * @description Toolbar for the rows selected in the DataTable: set a field on all of them,
+ * find/replace within one column, assign or request LPNs, print their labels, export their audit
+ * history or delete them
+ */
+
+import { useMemo, useState } from 'react';
+import { planSetField, planFindReplace } from '../utils/bulkEdit.js';
+
+const inputClass = 'bg-gray-700 border border-gray-600 rounded-lg px-3 py-1.5 text-sm text-white placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-keylife-accent';
+const buttonClass = 'text-white font-medium py-1.5 px-3 rounded-lg text-sm transition duration-200 disabled:bg-gray-600 disabled:cursor-not-allowed';
+
+export default function BulkEditBar({
+    selectedRows,
+    columns,
+    isPartsView,
+    onApplyChanges,
+    onAssignLPN,
+    onRequestLPN,
+    onExportHistory,
+    onPrintLabels,
+    onDelete,
+    onClearSelection
+}) {
+    const [mode, setMode] = useState('set');
+    const [field, setField] = useState('');
+    const [value, setValue] = useState('');
+    const [find, setFind] = useState('');
+    const [replace, setReplace] = useState('');
+    const [useRegex, setUseRegex] = useState(false);
+    const [caseSensitive, setCaseSensitive] = useState(false);
+
+    const column = field || columns[0] || '';
+
+    // Preview of what the current inputs would change
+    const plan = useMemo(() => {
+        if (!column) return { changes: [], locked: 0 };
+        try {
+            if (mode === 'set') return planSetField(selectedRows, column, value);
+            if (!find) return { changes: [], locked: 0 };
+            return planFindReplace(selectedRows, column, find, replace, { regex: useRegex, caseSensitive });
+        } catch (err) {
+            return { changes: [], locked: 0, error: err.message };
+        }
+    }, [mode, selectedRows, column, value, find, replace, useRegex, caseSensitive]);
+
+    const handleApply = async () => {
+        const label = mode === 'set' ? `Set ${column}` : `Replace in ${column}`;
+        const applied = await onApplyChanges(plan.changes, label);
+        if (applied) {
+            setValue('');
+            setFind('');
+            setReplace('');
+        }
+    };
+
+    return (
+        <div className="mb-4 p-4 bg-gray-900/60 border border-keylife-accent/30 rounded-lg space-y-3">
+            <div className="flex flex-wrap items-center justify-between gap-3">
+                <div className="flex items-center gap-3">
+                    <span className="text-sm font-medium text-white">
+                        {selectedRows.length} selected
+                    </span>
+                    <button onClick={onClearSelection} className="text-xs text-gray-400 hover:text-white underline">
+                        Clear selection
+                    </button>
+                </div>
+
+                <div className="flex gap-2">
+                    {onAssignLPN && (
+                        <button onClick={onAssignLPN} className={`${buttonClass} bg-purple-600 hover:bg-purple-500`}>
+                            Assign LPNs
+                        </button>
+                    )}
+                    {onRequestLPN && (
+                        <button onClick={onRequestLPN} className={`${buttonClass} bg-purple-600 hover:bg-purple-500`}>
+                            Request LPNs
+                        </button>
+                    )}
+                    {onPrintLabels && (
+                        <button onClick={onPrintLabels} className={`${buttonClass} bg-gray-600 hover:bg-gray-500`}>
+                            Print Labels
+                        </button>
+                    )}
+                    <button onClick={onExportHistory} className={`${buttonClass} bg-gray-600 hover:bg-gray-500`}>
+                        Export History
+                    </button>
+                    {!isPartsView && onDelete && (
+                        <button onClick={onDelete} className={`${buttonClass} bg-red-600 hover:bg-red-500`}>
+                            Delete
+                        </button>
+                    )}
+                </div>
+            </div>
+
+            <div className="flex flex-wrap items-center gap-2">
+                <div className="inline-flex rounded-lg bg-gray-700 p-1">
+                    {[['set', 'Set Field'], ['replace', 'Find & Replace']].map(([key, label]) => (
+                        <button
+                            key={key}
+                            onClick={() => setMode(key)}
+                            className={`px-3 py-1 rounded-md text-xs font-medium transition duration-200 ${
+                                mode === key ? 'bg-keylife-accent text-white' : 'text-gray-300 hover:text-white'
+                            }`}
+                        >
+                            {label}
+                        </button>
+                    ))}
+                </div>
+
+                <select value={column} onChange={(e) => setField(e.target.value)} className={inputClass}>
+                    {columns.map(header => (
+                        <option key={header} value={header}>{header}</option>
+                    ))}
+                </select>
+
+                {mode === 'set' ? (
+                    <input
+                        type="text"
+                        placeholder="New value"
+                        value={value}
+                        onChange={(e) => setValue(e.target.value)}
+                        className={inputClass}
+                    />
+                ) : (
+                    <>
+                        <input
+                            type="text"
+                            placeholder={useRegex ? 'Regular expression' : 'Find'}
+                            value={find}
+                            onChange={(e) => setFind(e.target.value)}
+                            className={`${inputClass} font-mono`}
+                        />
+                        <input
+                            type="text"
+                            placeholder={useRegex ? 'Replace ($1 for groups)' : 'Replace'}
+                            value={replace}
+                            onChange={(e) => setReplace(e.target.value)}
+                            className={`${inputClass} font-mono`}
+                        />
+                        <label className="inline-flex items-center gap-1 text-xs text-gray-300">
+                            <input type="checkbox" checked={useRegex} onChange={(e) => setUseRegex(e.target.checked)} />
+                            Regex
+                        </label>
+                        <label className="inline-flex items-center gap-1 text-xs text-gray-300">
+                            <input type="checkbox" checked={caseSensitive} onChange={(e) => setCaseSensitive(e.target.checked)} />
+                            Match case
+                        </label>
+                    </>
+                )}
+
+                <button
+                    onClick={handleApply}
+                    disabled={plan.changes.length === 0}
+                    className={`${buttonClass} bg-keylife-accent hover:bg-keylife-accent/80`}
+                >
+                    Apply to {plan.changes.length} {isPartsView ? 'part' : 'row'}{plan.changes.length !== 1 ? 's' : ''}
+                </button>
+            </div>
+
+            {plan.error && <p className="text-xs text-red-400">{plan.error}</p>}
+            {plan.locked > 0 && (
+                <p className="text-xs text-yellow-400">
+                    {plan.locked} row{plan.locked !== 1 ? 's' : ''} skipped: MPN is locked after LPN assignment
+                </p>
+            )}
+        </div>
+    );
+}
@@ -1,6 +1,8 @@
 import { useState, useEffect } from 'react';
+import { DEFAULT_RETENTION_DAYS } from '../utils/operationLog.js';
+import { DEFAULT_LPN_SCHEME, assembleLPN, resolveLPNFormat } from '../utils/lpnUtils.js';
 
-export default function ConfigModal({ isOpen, onClose, onSave, currentConfig }) {
+export default function ConfigModal({ isOpen, onClose, onSave, currentConfig, canEditLPNScheme = true }) {
     const [activeTab, setActiveTab] = useState('designator');
     const [config, setConfig] = useState({
         designatorColumn: 'Designator',
@@ -39,7 +41,9 @@ export default function ConfigModal({ isOpen, onClose, onSave, currentConfig })
             'Manufacturer': 'Manufacturer',
             'Mfr': 'Manufacturer'
         },
-        kicadSyncParams: ['Datasheet', 'Mfr. Part #']
+        kicadSyncParams: ['Datasheet', 'Mfr. Part #'],
+        deletedProjectRetentionDays: DEFAULT_RETENTION_DAYS,
+        lpnScheme: DEFAULT_LPN_SCHEME
     });
 
     const [newPrefix, setNewPrefix] = useState('');
@@ -48,6 +52,7 @@ export default function ConfigModal({ isOpen, onClose, onSave, currentConfig })
     const [newFieldTo, setNewFieldTo] = useState('');
     const [newSyncParam, setNewSyncParam] = useState('');
     const [newAltColumn, setNewAltColumn] = useState('');
+    const [newCategory, setNewCategory] = useState({ name: '', prefix: '', designators: '' });
 
     useEffect(() => {
         if (currentConfig) {
@@ -61,9 +66,13 @@ export default function ConfigModal({ isOpen, onClose, onSave, currentConfig })
         { id: 'designator', label: 'Designator Column', icon: '🔗' },
         { id: 'meanings', label: 'Designator Meanings', icon: '🏷️' },
         { id: 'fields', label: 'Field Mappings', icon: '🗂️' },
-        { id: 'kicad', label: 'KiCad Sync', icon: '⚡' }
+        { id: 'kicad', label: 'KiCad Sync', icon: '⚡' },
+        { id: 'lpn', label: 'LPN Scheme', icon: '🔢' },
+        { id: 'history', label: 'History', icon: '↩️' }
     ];
 
+    const lpnScheme = config.lpnScheme ?? DEFAULT_LPN_SCHEME;
+
     const handleSave = () => {
         onSave(config);
         onClose();
@@ -151,6 +160,30 @@ export default function ConfigModal({ isOpen, onClose, onSave, currentConfig })
         }
     };
 
+    const updateLPNScheme = (updates) => {
+        setConfig(prev => ({
+            ...prev,
+            lpnScheme: { ...(prev.lpnScheme ?? DEFAULT_LPN_SCHEME), ...updates }
+        }));
+    };
+
+    const addLPNCategory = () => {
+        const name = newCategory.name.trim();
+        const prefix = newCategory.prefix.trim().toUpperCase();
+        const designators = newCategory.designators
+            .split(/[\s,]+/)
+            .map(designator => designator.trim().toUpperCase())
+            .filter(Boolean);
+        if (name && prefix && designators.length && !lpnScheme.categories.some(category => category.prefix === prefix)) {
+            updateLPNScheme({ categories: [...lpnScheme.categories, { name, prefix, designators }] });
+            setNewCategory({ name: '', prefix: '', designators: '' });
+        }
+    };
+
+    const removeLPNCategory = (prefix) => {
+        updateLPNScheme({ categories: lpnScheme.categories.filter(category => category.prefix !== prefix) });
+    };
+
     const removeAlternateColumn = (column) => {
         setConfig(prev => ({
             ...prev,
@@ -473,6 +506,174 @@ export default function ConfigModal({ isOpen, onClose, onSave, currentConfig })
                             </div>
                         </div>
                     )}
+
+                    {/* LPN Scheme Tab */}
+                    {activeTab === 'lpn' && (
+                        <fieldset disabled={!canEditLPNScheme} className="space-y-6 disabled:opacity-60">
+                            <p className="text-sm text-gray-400">
+                                Format of newly issued Local Part Numbers, shared by everyone using this library.
+                                Every prefix has its own sequence counter. Numbers issued in an earlier format
+                                and in the original KL-00000-XXXXXX format stay valid.
+                            </p>
+                            {!canEditLPNScheme && (
+                                <p className="text-sm text-yellow-400">Only workspace admins can change the LPN scheme.</p>
+                            )}
+
+                            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                                <div>
+                                    <label className="block text-sm font-medium text-gray-300 mb-2">
+                                        Default Prefix
+                                    </label>
+                                    <input
+                                        type="text"
+                                        value={lpnScheme.prefix}
+                                        onChange={(e) => updateLPNScheme({ prefix: e.target.value.toUpperCase() })}
+                                        className="w-full bg-gray-700 border border-gray-600 rounded-lg px-4 py-2 text-white font-mono focus:outline-none focus:ring-2 focus:ring-keylife-accent"
+                                        placeholder="e.g., KL-"
+                                    />
+                                    <p className="text-xs text-gray-400 mt-1">
+                                        Used for parts that match no category below
+                                    </p>
+                                </div>
+                                <div>
+                                    <label className="block text-sm font-medium text-gray-300 mb-2">
+                                        Sequence Digits
+                                    </label>
+                                    <input
+                                        type="number"
+                                        min="3"
+                                        max="9"
+                                        value={lpnScheme.sequenceWidth}
+                                        onChange={(e) => updateLPNScheme({
+                                            sequenceWidth: Math.min(9, Math.max(3, parseInt(e.target.value, 10) || 3))
+                                        })}
+                                        className="w-32 bg-gray-700 border border-gray-600 rounded-lg px-4 py-2 text-white focus:outline-none focus:ring-2 focus:ring-keylife-accent"
+                                    />
+                                </div>
+                            </div>
+
+                            <div className="space-y-2">
+                                <label className="flex items-center gap-2 text-sm text-gray-300">
+                                    <input
+                                        type="checkbox"
+                                        checked={lpnScheme.includeHash}
+                                        onChange={(e) => updateLPNScheme({ includeHash: e.target.checked })}
+                                        className="rounded border-gray-600 bg-gray-700 text-keylife-accent focus:ring-keylife-accent"
+                                    />
+                                    Append the 6-character MPN hash
+                                </label>
+                                <label className="flex items-center gap-2 text-sm text-gray-300">
+                                    <input
+                                        type="checkbox"
+                                        checked={lpnScheme.checkDigit}
+                                        onChange={(e) => updateLPNScheme({ checkDigit: e.target.checked })}
+                                        className="rounded border-gray-600 bg-gray-700 text-keylife-accent focus:ring-keylife-accent"
+                                    />
+                                    Append a check digit to catch mistyped numbers
+                                </label>
+                            </div>
+
+                            <div>
+                                <label className="block text-sm font-medium text-gray-300 mb-2">
+                                    Categories
+                                </label>
+                                <p className="text-xs text-gray-400 mb-3">
+                                    Parts get the prefix of the category listing their designator prefix
+                                </p>
+
+                                <div className="grid gap-2 mb-4">
+                                    {lpnScheme.categories.map(category => (
+                                        <div key={category.prefix} className="flex items-center justify-between bg-gray-700 rounded-lg px-4 py-2">
+                                            <div className="flex items-center gap-4">
+                                                <span className="text-white">{category.name}</span>
+                                                <span className="font-mono text-xs text-gray-400">{category.designators.join(', ')}</span>
+                                                <span className="text-gray-400">→</span>
+                                                <span className="font-mono font-bold text-keylife-accent">{category.prefix}</span>
+                                            </div>
+                                            <button
+                                                onClick={() => removeLPNCategory(category.prefix)}
+                                                className="text-red-400 hover:text-red-300 transition-colors"
+                                                title="Remove"
+                                            >
+                                                <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                                                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16" />
+                                                </svg>
+                                            </button>
+                                        </div>
+                                    ))}
+                                </div>
+
+                                <div className="flex gap-2">
+                                    <input
+                                        type="text"
+                                        value={newCategory.name}
+                                        onChange={(e) => setNewCategory(prev => ({ ...prev, name: e.target.value }))}
+                                        placeholder="Name (e.g., Resistors)"
+                                        className="flex-1 bg-gray-700 border border-gray-600 rounded-lg px-4 py-2 text-white focus:outline-none focus:ring-2 focus:ring-keylife-accent"
+                                    />
+                                    <input
+                                        type="text"
+                                        value={newCategory.designators}
+                                        onChange={(e) => setNewCategory(prev => ({ ...prev, designators: e.target.value.toUpperCase() }))}
+                                        placeholder="Designators (e.g., R, RN)"
+                                        className="w-48 bg-gray-700 border border-gray-600 rounded-lg px-4 py-2 text-white font-mono focus:outline-none focus:ring-2 focus:ring-keylife-accent"
+                                    />
+                                    <input
+                                        type="text"
+                                        value={newCategory.prefix}
+                                        onChange={(e) => setNewCategory(prev => ({ ...prev, prefix: e.target.value.toUpperCase() }))}
+                                        placeholder="Prefix (e.g., KL-RES-)"
+                                        className="w-40 bg-gray-700 border border-gray-600 rounded-lg px-4 py-2 text-white font-mono focus:outline-none focus:ring-2 focus:ring-keylife-accent"
+                                        onKeyPress={(e) => e.key === 'Enter' && addLPNCategory()}
+                                    />
+                                    <button
+                                        onClick={addLPNCategory}
+                                        className="bg-keylife-accent hover:bg-keylife-accent/80 text-white px-4 py-2 rounded-lg transition-colors"
+                                    >
+                                        Add
+                                    </button>
+                                </div>
+                            </div>
+
+                            <div className="bg-gray-900/50 border border-gray-700 rounded-lg p-4">
+                                <h4 className="font-medium text-white mb-2">Example:</h4>
+                                <ul className="text-sm text-gray-400 space-y-1 font-mono">
+                                    {[null, ...lpnScheme.categories].map(category => (
+                                        <li key={category?.prefix || 'default'}>
+                                            {assembleLPN(123, 'A3F142', resolveLPNFormat(lpnScheme, category))}
+                                        </li>
+                                    ))}
+                                </ul>
+                                <p className="text-xs text-gray-500 mt-2">
+                                    Numbers issued before a change keep their format; new numbers use the format above
+                                </p>
+                            </div>
+                        </fieldset>
+                    )}
+
+                    {/* History Tab */}
+                    {activeTab === 'history' && (
+                        <div className="space-y-6">
+                            <div>
+                                <label className="block text-sm font-medium text-gray-300 mb-2">
+                                    Keep Deleted Projects (days)
+                                </label>
+                                <input
+                                    type="number"
+                                    min="1"
+                                    value={config.deletedProjectRetentionDays ?? DEFAULT_RETENTION_DAYS}
+                                    onChange={(e) => setConfig(prev => ({
+                                        ...prev,
+                                        deletedProjectRetentionDays: Math.max(1, parseInt(e.target.value, 10) || 1)
+                                    }))}
+                                    className="w-32 bg-gray-700 border border-gray-600 rounded-lg px-4 py-2 text-white focus:outline-none focus:ring-2 focus:ring-keylife-accent"
+                                />
+                                <p className="text-xs text-gray-400 mt-1">
+                                    Deleted projects can be restored from History until this period has passed; after that they are removed for good
+                                </p>
+                            </div>
+                        </div>
+                    )}
                 </div>
 
                 {/* Footer */}
@@ -1,14 +1,30 @@
 /**
  * @file DataTable.jsx
- * @description Enhanced data table with inline editing, delete, KiCad integration, LPN management
+ * @description Enhanced data table with inline editing, delete, KiCad integration, LPN management.
+ * The "Placements" view lists every project placement; the "Parts" view lists library parts
+ * with where they are used, and edits there apply to every project using the part.
+ * Rows can be selected for bulk edits; the last operation can be undone.
+ * Labels can be printed for the selection or the selected project.
  */
 
-import { useMemo, useState } from 'react';
+import { useEffect, useMemo, useRef, useState } from 'react';
 import { useLPN } from '../hooks/useLPN.js';
 import LPNButton from './LPNButton.jsx';
+import BulkEditBar from './BulkEditBar.jsx';
+import HistoryDrawer from './HistoryDrawer.jsx';
+import LPNLifecycleModal from './LPNLifecycleModal.jsx';
+import LabelPrintModal from './LabelPrintModal.jsx';
+import { isPlacementField, summarizeParts } from '../utils/partModel.js';
+import { LPN_LIFECYCLE_FIELDS } from '../utils/lpnUtils.js';
+
+// Usage columns computed by summarizeParts, not stored on the part
+const PART_SUMMARY_FIELDS = ['placementCount', 'totalQuantity', 'projects', 'designators'];
+
+const getTypePrefix = (designator) => String(designator || '').match(/^[A-Z]+/)?.[0];
 
 export default function DataTable({
     components,
+    parts = [],
     headers,
     selectedProject,
     setSelectedProject,
@@ -16,9 +32,11 @@ export default function DataTable({
     setSearchTerm,
     findAlternatives,
     editComponent,
+    editPart,
     deleteComponent,
     clearLibrary,
     saveLibraryToFile,
+    exportKiCadLibrary,
     importLibrary,
     selectedTypes,
     setSelectedTypes,
@@ -26,11 +44,31 @@ export default function DataTable({
     matchWithKiCad,
     generateKiCadComponent,
     designatorConfig,
-    onCopyKiCadSymbol
+    onCopyKiCadSymbol,
+    onBulkUpdate,
+    onBulkDelete,
+    onBulkAssignLPN,
+    lastOperation,
+    onUndo,
+    loadComponentHistory,
+    onExportHistory,
+    canAssignLPN = true,
+    canRequestLPN = false,
+    onBulkRequestLPN,
+    lpnRequestsByPart,
+    lpnScheme,
+    canCorrectMPN = false
 }) {
     const [editingId, setEditingId] = useState(null);
     const [editedData, setEditedData] = useState({});
     const [copiedId, setCopiedId] = useState(null);
+    const [viewMode, setViewMode] = useState('placements');
+    const [selectedIds, setSelectedIds] = useState(() => new Set());
+    const [historyComponent, setHistoryComponent] = useState(null);
+    const [lifecycleComponent, setLifecycleComponent] = useState(null);
+    const [labelJob, setLabelJob] = useState(null);
+    const selectAllRef = useRef(null);
+    const isPartsView = viewMode === 'parts';
 
     const { canEditField, isFieldLocked } = useLPN();
 
@@ -80,11 +118,49 @@ export default function DataTable({
         return filtered;
     }, [components, searchTerm, selectedProject, selectedTypes, designatorConfig]);
 
+    const filteredParts = useMemo(() => {
+        let filtered = summarizeParts(parts, components);
+
+        if (selectedProject) {
+            filtered = filtered.filter(part => part.projects.includes(selectedProject));
+        }
+
+        if (selectedTypes.length > 0) {
+            filtered = filtered.filter(part =>
+                part.designators.some(designator => selectedTypes.includes(designatorConfig[getTypePrefix(designator)]))
+            );
+        }
+
+        if (searchTerm) {
+            const lowercasedFilter = searchTerm.toLowerCase();
+            filtered = filtered.filter(part =>
+                Object.keys(part).some(key => String(part[key]).toLowerCase().includes(lowercasedFilter))
+            );
+        }
+
+        return filtered;
+    }, [parts, components, searchTerm, selectedProject, selectedTypes, designatorConfig]);
+
+    const rows = isPartsView ? filteredParts : filteredComponents;
+
+    // Only selected rows that pass the current filters are edited
+    const selectedRows = useMemo(
+        () => rows.filter(row => selectedIds.has(row.id)),
+        [rows, selectedIds]
+    );
+    const allSelected = rows.length > 0 && selectedRows.length === rows.length;
+
+    useEffect(() => {
+        if (selectAllRef.current) {
+            selectAllRef.current.indeterminate = selectedRows.length > 0 && !allSelected;
+        }
+    }, [selectedRows.length, allSelected]);
+
     const stats = useMemo(() => ({
-        total: components.length,
-        filtered: filteredComponents.length,
+        total: isPartsView ? parts.length : components.length,
+        filtered: rows.length,
         projects: projectNames.length
-    }), [components.length, filteredComponents.length, projectNames.length]);
+    }), [isPartsView, parts.length, components.length, rows.length, projectNames.length]);
 
     const handleEdit = (component) => {
         setEditingId(component.id);
@@ -92,7 +168,14 @@ export default function DataTable({
     };
 
     const handleSave = (componentId) => {
-        editComponent(componentId, editedData);
+        if (isPartsView) {
+            const attributes = Object.fromEntries(
+                Object.entries(editedData).filter(([field]) => field !== 'id' && !PART_SUMMARY_FIELDS.includes(field))
+            );
+            editPart(componentId, attributes);
+        } else {
+            editComponent(componentId, editedData);
+        }
         setEditingId(null);
         setEditedData({});
     };
@@ -102,6 +185,36 @@ export default function DataTable({
         setEditedData({});
     };
 
+    const handleViewChange = (mode) => {
+        handleCancel();
+        setSelectedIds(new Set());
+        setViewMode(mode);
+    };
+
+    const toggleRow = (id) => {
+        setSelectedIds(prev => {
+            const next = new Set(prev);
+            if (next.has(id)) next.delete(id);
+            else next.add(id);
+            return next;
+        });
+    };
+
+    // Selects every row matching the current filters, or clears them when all are selected
+    const toggleAllFiltered = () => {
+        setSelectedIds(prev => {
+            const next = new Set(prev);
+            rows.forEach(row => (allSelected ? next.delete(row.id) : next.add(row.id)));
+            return next;
+        });
+    };
+
+    const clearSelection = () => setSelectedIds(new Set());
+
+    const handleBulkApply = async (changes, label) => {
+        return onBulkUpdate(changes, { label, parts: isPartsView });
+    };
+
     const handleFieldChange = (field, value) => {
         setEditedData(prev => ({ ...prev, [field]: value }));
     };
@@ -164,10 +277,17 @@ export default function DataTable({
     const displayHeaders = useMemo(() => {
         return headers.filter(header =>
             header !== 'Local_Part_Number' && // Exclude LPN from standard columns
+            !LPN_LIFECYCLE_FIELDS.includes(header) && // Shown with the LPN
             header !== 'MFR' // Exclude the potentially problematic 'MFR' column
         );
     }, [headers]);
 
+    // The Parts view shows part attributes only; placement fields differ per project
+    const columns = useMemo(() =>
+        isPartsView ? displayHeaders.filter(header => !isPlacementField(header)) : displayHeaders,
+        [isPartsView, displayHeaders]
+    );
+
 
     return (
         <div className="bg-gray-800 rounded-xl shadow-lg p-6 ring-1 ring-keylife-accent/20">
@@ -179,9 +299,29 @@ export default function DataTable({
                             Component Library
                         </h2>
                         <p className="text-sm text-gray-400 mt-1">
-                            Showing {stats.filtered} of {stats.total} components
+                            Showing {stats.filtered} of {stats.total} {isPartsView ? 'parts' : 'components'}
                             {stats.projects > 0 && ` • ${stats.projects} project${stats.projects !== 1 ? 's' : ''}`}
                         </p>
+                        {isPartsView && (
+                            <p className="text-xs text-gray-500 mt-1">
+                                Part edits apply to every project that uses the part
+                            </p>
+                        )}
+                    </div>
+
+                    {/* View Toggle */}
+                    <div className="inline-flex rounded-lg bg-gray-700 p-1">
+                        {[['placements', 'Placements'], ['parts', 'Parts']].map(([mode, label]) => (
+                            <button
+                                key={mode}
+                                onClick={() => handleViewChange(mode)}
+                                className={`px-3 py-1 rounded-md text-sm font-medium transition duration-200 ${
+                                    viewMode === mode ? 'bg-keylife-accent text-white' : 'text-gray-300 hover:text-white'
+                                }`}
+                            >
+                                {label}
+                            </button>
+                        ))}
                     </div>
 
                     {/* Filters */}
@@ -264,12 +404,36 @@ export default function DataTable({
                     </div>
                 </div>
 
+                {/* Undo last operation */}
+                {lastOperation && (
+                    <div className="flex items-center justify-between gap-3 mb-3 px-4 py-2 bg-blue-900/30 border border-blue-700/50 rounded-lg text-sm text-blue-200">
+                        <span>{lastOperation.label} ({lastOperation.count} row{lastOperation.count !== 1 ? 's' : ''})</span>
+                        <button
+                            onClick={onUndo}
+                            title="Undo (Ctrl+Z)"
+                            className="bg-blue-600 hover:bg-blue-500 text-white font-medium py-1 px-3 rounded-lg text-xs transition duration-200"
+                        >
+                            Undo
+                        </button>
+                    </div>
+                )}
+
                 {/* Active Filters */}
                 {(selectedProject || searchTerm) && (
                     <div className="flex flex-wrap gap-2">
                         {selectedProject && (
                             <span className="inline-flex items-center gap-1 px-3 py-1 bg-keylife-accent/20 text-keylife-accent rounded-full text-sm">
                                 Project: {selectedProject}
+                                <button
+                                    onClick={() => setLabelJob({
+                                        rows: components.filter(c => c.ProjectName === selectedProject),
+                                        title: selectedProject
+                                    })}
+                                    title="Print labels for every LPN in the project"
+                                    className="hover:text-white underline"
+                                >
+                                    Labels
+                                </button>
                                 <button onClick={() => setSelectedProject('')} className="hover:text-white">
                                     <svg className="w-4 h-4" fill="currentColor" viewBox="0 0 20 20">
                                         <path fillRule="evenodd" d="M4.293 4.293a1 1 0 011.414 0L10 8.586l4.293-4.293a1 1 0 111.414 1.414L11.414 10l4.293 4.293a1 1 0 01-1.414 1.414L10 11.414l-4.293 4.293a1 1 0 01-1.414-1.414L8.586 10 4.293 5.707a1 1 0 010-1.414z" clipRule="evenodd" />
@@ -291,17 +455,52 @@ export default function DataTable({
                 )}
             </div>
 
+            {onBulkUpdate && selectedRows.length > 0 && (
+                <BulkEditBar
+                    selectedRows={selectedRows}
+                    columns={columns}
+                    isPartsView={isPartsView}
+                    onApplyChanges={handleBulkApply}
+                    onAssignLPN={canAssignLPN ? () => onBulkAssignLPN(selectedRows, { parts: isPartsView }) : undefined}
+                    onRequestLPN={!canAssignLPN && canRequestLPN && onBulkRequestLPN ? () => onBulkRequestLPN(selectedRows) : undefined}
+                    onExportHistory={() => onExportHistory(selectedRows, { parts: isPartsView })}
+                    onPrintLabels={() => setLabelJob({
+                        rows: selectedRows,
+                        title: `${selectedRows.length} selected ${isPartsView ? 'part' : 'row'}${selectedRows.length !== 1 ? 's' : ''}`
+                    })}
+                    onDelete={onBulkDelete && (() => onBulkDelete(selectedRows))}
+                    onClearSelection={clearSelection}
+                />
+            )}
+
             {/* Component Table */}
             <div className="overflow-x-auto rounded-lg border border-gray-700">
                 <table className="w-full text-sm text-left text-gray-300">
                     <thead className="text-xs text-keylife-accent uppercase bg-gray-900">
                         <tr>
+                            {onBulkUpdate && (
+                                <th scope="col" className="px-4 py-3">
+                                    <input
+                                        ref={selectAllRef}
+                                        type="checkbox"
+                                        checked={allSelected}
+                                        onChange={toggleAllFiltered}
+                                        title="Select all filtered rows"
+                                    />
+                                </th>
+                            )}
                             {/* Use displayHeaders instead of headers */}
-                            {displayHeaders.map((header) => (
+                            {columns.map((header) => (
                                 <th key={header} scope="col" className="px-6 py-3 whitespace-nowrap">
                                     {header}
                                 </th>
                             ))}
+                            {isPartsView && (
+                                <>
+                                    <th scope="col" className="px-6 py-3 whitespace-nowrap">Used In</th>
+                                    <th scope="col" className="px-6 py-3 text-center whitespace-nowrap">Placements</th>
+                                </>
+                            )}
                             <th scope="col" className="px-6 py-3 text-center whitespace-nowrap">
                                 LPN
                             </th>
@@ -311,13 +510,24 @@ export default function DataTable({
                         </tr>
                     </thead>
                     <tbody>
-                        {filteredComponents.map((component) => (
+                        {rows.map((component) => (
                             <tr
                                 key={component.id}
-                                className="bg-gray-800 border-b border-gray-700 hover:bg-gray-700/50 transition-colors"
+                                className={`border-b border-gray-700 hover:bg-gray-700/50 transition-colors ${
+                                    selectedIds.has(component.id) ? 'bg-keylife-accent/10' : 'bg-gray-800'
+                                }`}
                             >
+                                {onBulkUpdate && (
+                                    <td className="px-4 py-4">
+                                        <input
+                                            type="checkbox"
+                                            checked={selectedIds.has(component.id)}
+                                            onChange={() => toggleRow(component.id)}
+                                        />
+                                    </td>
+                                )}
                                 {/* Use displayHeaders instead of headers */}
-                                {displayHeaders.map((header) => {
+                                {columns.map((header) => {
                                     const isLocked = isFieldDisabled(header, component);
 
                                     return (
@@ -356,11 +566,27 @@ export default function DataTable({
                                     );
                                 })}
 
+                                {isPartsView && (
+                                    <>
+                                        <td className="px-6 py-4 whitespace-nowrap">
+                                            {component.projects.length > 0 ? component.projects.join(', ') : '-'}
+                                        </td>
+                                        <td className="px-6 py-4 text-center whitespace-nowrap" title={component.designators.join(', ')}>
+                                            {component.placementCount} ({component.totalQuantity} pcs)
+                                        </td>
+                                    </>
+                                )}
+
                                 {/* LPN Column */}
                                 <td className="px-6 py-4 text-center">
                                     <LPNButton
                                         component={component}
                                         disabled={editingId === component.id}
+                                        canAssign={canAssignLPN}
+                                        canRequest={canRequestLPN}
+                                        request={lpnRequestsByPart?.get(isPartsView ? component.id : component.partId)}
+                                        lpnScheme={lpnScheme}
+                                        onManageLifecycle={canAssignLPN ? () => setLifecycleComponent(component) : undefined}
                                     />
                                 </td>
 
@@ -396,27 +622,41 @@ export default function DataTable({
                                                 </svg>
                                                 AI
                                             </button>
+                                            {(isPartsView ? editPart : editComponent) && (
+                                                <button
+                                                    onClick={() => handleEdit(component)}
+                                                    className="bg-blue-600 hover:bg-blue-500 text-white font-medium py-1 px-2 rounded-lg text-xs transition duration-200 inline-flex items-center gap-1"
+                                                    title="Edit component"
+                                                >
+                                                    <svg className="w-3 h-3" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                                                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M11 5H6a2 2 0 00-2 2v11a2 2 0 002 2h11a2 2 0 002-2v-5m-1.414-9.414a2 2 0 112.828 2.828L11.828 15H9v-2.828l8.586-8.586z" />
+                                                    </svg>
+                                                    Edit
+                                                </button>
+                                            )}
                                             <button
-                                                onClick={() => handleEdit(component)}
-                                                className="bg-blue-600 hover:bg-blue-500 text-white font-medium py-1 px-2 rounded-lg text-xs transition duration-200 inline-flex items-center gap-1"
-                                                title="Edit component"
-                                            >
-                                                <svg className="w-3 h-3" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                                                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M11 5H6a2 2 0 00-2 2v11a2 2 0 002 2h11a2 2 0 002-2v-5m-1.414-9.414a2 2 0 112.828 2.828L11.828 15H9v-2.828l8.586-8.586z" />
-                                                </svg>
-                                                Edit
-                                            </button>
-                                            <button
-                                                onClick={() => deleteComponent(component.id)}
-                                                className="bg-red-600 hover:bg-red-500 text-white font-medium py-1 px-2 rounded-lg text-xs transition duration-200 inline-flex items-center gap-1"
-                                                title="Delete component"
+                                                onClick={() => setHistoryComponent(component)}
+                                                className="bg-gray-600 hover:bg-gray-500 text-white font-medium py-1 px-2 rounded-lg text-xs transition duration-200 inline-flex items-center gap-1"
+                                                title="Change history"
                                             >
                                                 <svg className="w-3 h-3" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                                                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16" />
+                                                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M12 8v4l3 3m6-3a9 9 0 11-18 0 9 9 0 0118 0z" />
                                                 </svg>
-                                                Del
+                                                History
                                             </button>
-                                            {kicadSchematics[component.ProjectName] && (
+                                            {!isPartsView && deleteComponent && (
+                                                <button
+                                                    onClick={() => deleteComponent(component.id)}
+                                                    className="bg-red-600 hover:bg-red-500 text-white font-medium py-1 px-2 rounded-lg text-xs transition duration-200 inline-flex items-center gap-1"
+                                                    title="Delete component"
+                                                >
+                                                    <svg className="w-3 h-3" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                                                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16" />
+                                                    </svg>
+                                                    Del
+                                                </button>
+                                            )}
+                                            {!isPartsView && kicadSchematics[component.ProjectName] && (
                                                 <button
                                                     onClick={async () => {
                                                         const success = await onCopyKiCadSymbol(component);
@@ -460,12 +700,12 @@ export default function DataTable({
                 </table>
             </div>
 
-            {filteredComponents.length === 0 && (
+            {rows.length === 0 && (
                 <div className="text-center py-12 text-gray-400">
                     <svg className="w-16 h-16 mx-auto mb-4 text-gray-600" fill="none" stroke="currentColor" viewBox="0 0 24 24">
                         <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="1.5" d="M9.172 16.172a4 4 0 015.656 0M9 10h.01M15 10h.01M21 12a9 9 0 11-18 0 9 9 0 0118 0z" />
                     </svg>
-                    <p className="text-lg font-medium mb-1">No components found</p>
+                    <p className="text-lg font-medium mb-1">No {isPartsView ? 'parts' : 'components'} found</p>
                     <p className="text-sm">Try adjusting your search or filter criteria</p>
                 </div>
             )}
@@ -473,23 +713,37 @@ export default function DataTable({
             {/* Action Buttons */}
             <div className="flex flex-col sm:flex-row justify-between items-center gap-3 mt-6 pt-6 border-t border-gray-700">
                 <div className="flex gap-3">
-                    <label className="cursor-pointer">
-                        <input
-                            type="file"
-                            accept=".json"
-                            onChange={handleImport}
-                            className="hidden"
-                        />
-                        <span className="inline-flex items-center gap-2 bg-gray-700 hover:bg-gray-600 text-white font-medium py-2 px-4 rounded-lg transition duration-200">
-                            <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M4 16v1a3 3 0 003 3h10a3 3 0 003-3v-1m-4-8l-4-4m0 0L8 8m4-4v12" />
-                            </svg>
-                            Import Library
-                        </span>
-                    </label>
+                    {importLibrary && (
+                        <label className="cursor-pointer">
+                            <input
+                                type="file"
+                                accept=".json"
+                                onChange={handleImport}
+                                className="hidden"
+                            />
+                            <span className="inline-flex items-center gap-2 bg-gray-700 hover:bg-gray-600 text-white font-medium py-2 px-4 rounded-lg transition duration-200">
+                                <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M4 16v1a3 3 0 003 3h10a3 3 0 003-3v-1m-4-8l-4-4m0 0L8 8m4-4v12" />
+                                </svg>
+                                Import Library
+                            </span>
+                        </label>
+                    )}
                 </div>
 
                 <div className="flex gap-3">
+                    {exportKiCadLibrary && (
+                        <button
+                            onClick={exportKiCadLibrary}
+                            title="Download a .kicad_sym library with one symbol per Local Part Number"
+                            className="bg-purple-600 hover:bg-purple-700 text-white font-medium py-2 px-4 rounded-lg transition duration-200 inline-flex items-center gap-2"
+                        >
+                            <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M8 7H5a2 2 0 00-2 2v9a2 2 0 002 2h14a2 2 0 002-2V9a2 2 0 00-2-2h-3m-1 4l-3 3m0 0l-3-3m3 3V4" />
+                            </svg>
+                            KiCad Library
+                        </button>
+                    )}
                     <button
                         onClick={saveLibraryToFile}
                         className="bg-keylife-accent hover:bg-keylife-accent/80 text-white font-medium py-2 px-4 rounded-lg transition duration-200 inline-flex items-center gap-2"
@@ -499,17 +753,45 @@ export default function DataTable({
                         </svg>
                         Save Library
                     </button>
-                    <button
-                        onClick={clearLibrary}
-                        className="bg-red-700 hover:bg-red-600 text-white font-medium py-2 px-4 rounded-lg transition duration-200 inline-flex items-center gap-2"
-                    >
-                        <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16" />
-                        </svg>
-                        Clear All
-                    </button>
+                    {clearLibrary && (
+                        <button
+                            onClick={clearLibrary}
+                            className="bg-red-700 hover:bg-red-600 text-white font-medium py-2 px-4 rounded-lg transition duration-200 inline-flex items-center gap-2"
+                        >
+                            <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16" />
+                            </svg>
+                            Clear All
+                        </button>
+                    )}
                 </div>
             </div>
+
+            <HistoryDrawer
+                component={historyComponent}
+                isPartsView={isPartsView}
+                loadHistory={loadComponentHistory}
+                onExport={onExportHistory}
+                onClose={() => setHistoryComponent(null)}
+            />
+
+            {lifecycleComponent && (
+                <LPNLifecycleModal
+                    component={lifecycleComponent}
+                    partId={isPartsView ? lifecycleComponent.id : lifecycleComponent.partId}
+                    lpnScheme={lpnScheme}
+                    canCorrectMPN={canCorrectMPN}
+                    onClose={() => setLifecycleComponent(null)}
+                />
+            )}
+
+            {labelJob && (
+                <LabelPrintModal
+                    rows={labelJob.rows}
+                    title={labelJob.title}
+                    onClose={() => setLabelJob(null)}
+                />
+            )}
         </div>
     );
 }
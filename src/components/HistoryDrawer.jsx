@@ -0,0 +1,135 @@
+/**
+ * @file HistoryDrawer.jsx
+ * @description Side drawer with the audit history of one component: every change to its
+ * placement and library part with the user, time, source and field-level before/after values
+ */
+
+import { useEffect, useState } from 'react';
+import { isLPNLockEntry } from '../utils/auditTrail.js';
+import LoadingSpinner from './LoadingSpinner.jsx';
+
+const SOURCE_STYLES = {
+    upload: 'bg-blue-900/50 text-blue-300',
+    edit: 'bg-gray-700 text-gray-300',
+    bulk: 'bg-indigo-900/50 text-indigo-300',
+    ai: 'bg-keylife-accent/20 text-keylife-accent',
+    lpn: 'bg-purple-900/50 text-purple-300',
+    revision: 'bg-teal-900/50 text-teal-300',
+    undo: 'bg-yellow-900/50 text-yellow-300',
+    redo: 'bg-yellow-900/50 text-yellow-300',
+    correction: 'bg-red-900/50 text-red-300',
+};
+
+const formatValue = (value) => {
+    if (value === null || value === undefined || value === '') return '—';
+    return typeof value === 'object' ? JSON.stringify(value) : String(value);
+};
+
+function HistoryEntry({ entry }) {
+    const lpnLock = isLPNLockEntry(entry);
+
+    return (
+        <li className={`p-3 rounded-lg border ${lpnLock ? 'border-purple-500/60 bg-purple-900/20' : 'border-gray-700 bg-gray-900/40'}`}>
+            <div className="flex flex-wrap items-center gap-2 text-xs">
+                <span className={`px-2 py-0.5 rounded-full font-medium ${SOURCE_STYLES[entry.source] || SOURCE_STYLES.edit}`}>
+                    {entry.source}
+                </span>
+                <span className="text-gray-400">{entry.action} • {entry.scope}</span>
+                {lpnLock && <span className="text-purple-300 font-medium">LPN assigned, MPN locked</span>}
+            </div>
+            <p className="text-xs text-gray-500 mt-1">
+                {new Date(entry.timestamp).toLocaleString()} • {entry.userEmail || entry.userId || 'unknown user'}
+            </p>
+            {entry.reason && <p className="text-xs text-gray-300 mt-1">Reason: {entry.reason}</p>}
+            <ul className="mt-2 space-y-1 text-xs">
+                {(entry.changes || []).map(change => (
+                    <li key={change.field} className="font-mono break-all">
+                        <span className="text-gray-400">{change.field}: </span>
+                        <span className="text-red-300 line-through">{formatValue(change.before)}</span>
+                        <span className="text-gray-500"> → </span>
+                        <span className="text-green-300">{formatValue(change.after)}</span>
+                    </li>
+                ))}
+            </ul>
+        </li>
+    );
+}
+
+export default function HistoryDrawer({ component, isPartsView, loadHistory, onExport, onClose }) {
+    const [entries, setEntries] = useState(null);
+    const [error, setError] = useState('');
+
+    useEffect(() => {
+        if (!component) return;
+        let active = true;
+        setEntries(null);
+        setError('');
+        loadHistory(component, { parts: isPartsView }).then(result => {
+            if (!active) return;
+            if (result.success) {
+                setEntries(result.entries);
+            } else {
+                setError(result.error || 'Failed to load history');
+                setEntries([]);
+            }
+        });
+        return () => {
+            active = false;
+        };
+    }, [component, isPartsView, loadHistory]);
+
+    if (!component) return null;
+
+    const title = isPartsView
+        ? component['Mfr. Part #'] || component.Local_Part_Number || component.Value || component.id
+        : `${component.Designator || component.Reference || 'Component'} (${component.ProjectName})`;
+
+    return (
+        <div className="fixed inset-0 z-50 flex justify-end bg-black/50" onClick={(e) => e.target === e.currentTarget && onClose()}>
+            <aside className="w-full max-w-md h-full overflow-y-auto bg-gray-800 border-l border-gray-700 shadow-2xl">
+                <div className="sticky top-0 bg-gray-800 border-b border-gray-700 p-4 flex justify-between items-start gap-3">
+                    <div>
+                        <h2 className="text-lg font-bold text-white">Change History</h2>
+                        <p className="text-sm text-gray-400 break-all">{title}</p>
+                    </div>
+                    <div className="flex items-center gap-2">
+                        <button
+                            onClick={() => onExport([component], { parts: isPartsView })}
+                            disabled={!entries || entries.length === 0}
+                            className="bg-gray-600 hover:bg-gray-500 disabled:bg-gray-700 disabled:cursor-not-allowed text-white font-medium py-1 px-3 rounded-lg text-xs transition duration-200"
+                        >
+                            Export CSV
+                        </button>
+                        <button
+                            onClick={onClose}
+                            className="text-gray-400 hover:text-white transition-colors p-1 hover:bg-gray-700 rounded-lg"
+                        >
+                            <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M6 18L18 6M6 6l12 12" />
+                            </svg>
+                        </button>
+                    </div>
+                </div>
+
+                <div className="p-4">
+                    {!entries && (
+                        <div className="flex justify-center py-6">
+                            <LoadingSpinner size="sm" message="Loading history..." />
+                        </div>
+                    )}
+                    {error && <p className="text-sm text-red-400 mb-3">{error}</p>}
+                    {entries && entries.length === 0 && !error && (
+                        <p className="text-sm text-gray-400">No recorded changes yet.</p>
+                    )}
+                    {entries && entries.length > 0 && (
+                        <ul className="space-y-3">
+                            {entries.map((entry, index) => (
+                                <HistoryEntry key={entry.id || index} entry={entry} />
+                            ))}
+                        </ul>
+                    )}
+                </div>
+            </aside>
+        </div>
+    );
+}
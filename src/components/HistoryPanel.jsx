@@ -0,0 +1,151 @@
+/**
+ * @file HistoryPanel.jsx
+ * @description Lists the operations of this session for undo/redo, and the soft-deleted
+ * projects that can still be restored
+ */
+
+import { getPurgeDate } from '../utils/operationLog.js';
+import LoadingSpinner from './LoadingSpinner.jsx';
+
+const formatTime = (iso) => new Date(iso).toLocaleTimeString();
+
+function OperationRow({ operation, muted }) {
+    return (
+        <li className={`flex justify-between gap-3 px-4 py-2 border-b border-gray-700 last:border-0 ${muted ? 'text-gray-500' : 'text-gray-300'}`}>
+            <span>
+                {operation.label}
+                <span className="ml-2 text-xs text-gray-500">
+                    {operation.count} row{operation.count !== 1 ? 's' : ''}
+                </span>
+            </span>
+            <span className="text-xs whitespace-nowrap">{formatTime(operation.at)}</span>
+        </li>
+    );
+}
+
+export default function HistoryPanel({
+    isOpen,
+    onClose,
+    history,
+    onUndo,
+    onRedo,
+    deletedProjects,
+    retentionDays,
+    onRestoreProject
+}) {
+    if (!isOpen) return null;
+
+    const past = [...history.past].reverse();
+
+    return (
+        <div
+            className="fixed inset-0 bg-black/75 backdrop-blur-sm flex justify-center items-center z-50 p-4"
+            onClick={(e) => e.target === e.currentTarget && onClose()}
+        >
+            <div className="bg-gray-800 rounded-xl shadow-2xl w-full max-w-2xl max-h-[90vh] overflow-y-auto ring-1 ring-keylife-accent/30">
+                {/* Header */}
+                <div className="sticky top-0 bg-gray-800 border-b border-gray-700 p-6 z-10">
+                    <div className="flex justify-between items-start">
+                        <div>
+                            <h2 className="text-2xl font-bold text-white">History</h2>
+                            <p className="text-sm text-gray-400 mt-1">
+                                Ctrl+Z to undo, Ctrl+Shift+Z to redo
+                            </p>
+                        </div>
+                        <button
+                            onClick={onClose}
+                            className="text-gray-400 hover:text-white transition-colors p-2 hover:bg-gray-700 rounded-lg"
+                        >
+                            <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M6 18L18 6M6 6l12 12" />
+                            </svg>
+                        </button>
+                    </div>
+                </div>
+
+                <div className="p-6 space-y-6">
+                    {/* Operations */}
+                    <div>
+                        <div className="flex justify-between items-center mb-3">
+                            <h3 className="text-lg font-semibold text-keylife-accent">This Session</h3>
+                            <div className="flex gap-2">
+                                <button
+                                    onClick={onUndo}
+                                    disabled={history.past.length === 0}
+                                    className="bg-blue-600 hover:bg-blue-500 disabled:bg-gray-600 disabled:cursor-not-allowed text-white font-medium py-1 px-3 rounded-lg text-sm transition duration-200"
+                                >
+                                    Undo
+                                </button>
+                                <button
+                                    onClick={onRedo}
+                                    disabled={history.future.length === 0}
+                                    className="bg-blue-600 hover:bg-blue-500 disabled:bg-gray-600 disabled:cursor-not-allowed text-white font-medium py-1 px-3 rounded-lg text-sm transition duration-200"
+                                >
+                                    Redo
+                                </button>
+                            </div>
+                        </div>
+
+                        {past.length === 0 && history.future.length === 0 ? (
+                            <p className="text-sm text-gray-400">No changes yet.</p>
+                        ) : (
+                            <ul className="rounded-lg border border-gray-700 text-sm">
+                                {history.future.map(operation => (
+                                    <OperationRow key={operation.id} operation={operation} muted />
+                                ))}
+                                {past.map(operation => (
+                                    <OperationRow key={operation.id} operation={operation} />
+                                ))}
+                            </ul>
+                        )}
+                        {history.future.length > 0 && (
+                            <p className="text-xs text-gray-500 mt-2">Greyed out operations were undone and can be redone.</p>
+                        )}
+                    </div>
+
+                    {/* Deleted projects */}
+                    <div>
+                        <h3 className="text-lg font-semibold text-keylife-accent mb-1">Deleted Projects</h3>
+                        <p className="text-xs text-gray-500 mb-3">
+                            Deleted projects are kept for {retentionDays} day{retentionDays !== 1 ? 's' : ''} before they are removed for good.
+                        </p>
+
+                        {!deletedProjects && (
+                            <div className="flex justify-center py-4">
+                                <LoadingSpinner size="sm" message="Loading deleted projects..." />
+                            </div>
+                        )}
+
+                        {deletedProjects && deletedProjects.length === 0 && (
+                            <p className="text-sm text-gray-400">No deleted projects.</p>
+                        )}
+
+                        {deletedProjects && deletedProjects.length > 0 && (
+                            <ul className="rounded-lg border border-gray-700 text-sm">
+                                {deletedProjects.map(project => (
+                                    <li key={project.name} className="flex justify-between items-center gap-3 px-4 py-2 border-b border-gray-700 last:border-0">
+                                        <div>
+                                            <p className="text-white">{project.name}</p>
+                                            <p className="text-xs text-gray-500">
+                                                {project.componentCount} components • deleted {new Date(project.deletedAt).toLocaleDateString()}
+                                                {' '}• removed after {getPurgeDate(project.deletedAt, retentionDays).toLocaleDateString()}
+                                            </p>
+                                        </div>
+                                        {onRestoreProject && (
+                                            <button
+                                                onClick={() => onRestoreProject(project.name)}
+                                                className="bg-keylife-accent hover:bg-keylife-accent/80 text-white font-medium py-1 px-3 rounded-lg text-xs transition duration-200"
+                                            >
+                                                Restore
+                                            </button>
+                                        )}
+                                    </li>
+                                ))}
+                            </ul>
+                        )}
+                    </div>
+                </div>
+            </div>
+        </div>
+    );
+}
@@ -5,9 +5,28 @@
 
 import { useState } from 'react';
 import { useLPN } from '../hooks/useLPN.js';
+import { LPN_REQUEST_STATUS } from '../utils/lpnRequests.js';
+import { LPN_LIFECYCLE_LABELS, getLPNLifecycle } from '../utils/lpnUtils.js';
 
-export default function LPNButton({ component, onSuccess, disabled }) {
-    const { assignLPN, isGenerating, hasLPN } = useLPN();
+const LIFECYCLE_STYLES = {
+    active: 'bg-green-900/30 border-green-700/50 text-green-300',
+    nrnd: 'bg-amber-900/30 border-amber-700/50 text-amber-300',
+    obsolete: 'bg-red-900/30 border-red-700/50 text-red-300',
+    superseded: 'bg-gray-700/50 border-gray-600 text-gray-300',
+};
+
+// Lifecycle, replacement and approved alternates of an LPN, for the badge tooltip
+const describeLifecycle = ({ status, supersededBy, alternates }) => [
+    LPN_LIFECYCLE_LABELS[status],
+    supersededBy && `superseded by ${supersededBy}`,
+    alternates.length > 0 && `alternates: ${alternates.join(', ')}`
+].filter(Boolean).join(', ');
+
+// Without `canAssign`, users with `canRequest` ask a librarian for the LPN instead;
+// `request` is the latest LPN request of the component's part and `lpnScheme` the
+// configured LPN format. `onManageLifecycle` opens the lifecycle of an assigned LPN.
+export default function LPNButton({ component, onSuccess, disabled, canAssign = true, canRequest = false, request, lpnScheme, onManageLifecycle }) {
+    const { assignLPN, requestLPN, isGenerating, hasLPN } = useLPN(lpnScheme);
     const [showSuccess, setShowSuccess] = useState(false);
     const [localError, setLocalError] = useState('');
 
@@ -30,13 +49,80 @@ export default function LPNButton({ component, onSuccess, disabled }) {
         }
     };
 
+    const handleRequestLPN = async () => {
+        setLocalError('');
+
+        const result = await requestLPN(component);
+
+        if (!result.success) {
+            setLocalError(result.error);
+            setTimeout(() => setLocalError(''), 5000);
+        }
+    };
+
     if (componentHasLPN) {
+        const lifecycle = getLPNLifecycle(component);
+
         return (
-            <div className="inline-flex items-center gap-2 px-3 py-1 bg-green-900/30 border border-green-700/50 rounded-lg">
-                <svg className="w-4 h-4 text-green-400" fill="currentColor" viewBox="0 0 20 20">
-                    <path fillRule="evenodd" d="M10 18a8 8 0 100-16 8 8 0 000 16zm3.707-9.293a1 1 0 00-1.414-1.414L9 10.586 7.707 9.293a1 1 0 00-1.414 1.414l2 2a1 1 0 001.414 0l4-4z" clipRule="evenodd" />
-                </svg>
-                <span className="text-xs text-green-300 font-mono">{component.Local_Part_Number}</span>
+            <div className="flex flex-col items-center gap-1">
+                <div className="inline-flex items-center gap-2 px-3 py-1 bg-green-900/30 border border-green-700/50 rounded-lg">
+                    <svg className="w-4 h-4 text-green-400" fill="currentColor" viewBox="0 0 20 20">
+                        <path fillRule="evenodd" d="M10 18a8 8 0 100-16 8 8 0 000 16zm3.707-9.293a1 1 0 00-1.414-1.414L9 10.586 7.707 9.293a1 1 0 00-1.414 1.414l2 2a1 1 0 001.414 0l4-4z" clipRule="evenodd" />
+                    </svg>
+                    <span className="text-xs text-green-300 font-mono">{component.Local_Part_Number}</span>
+                </div>
+                <div className="inline-flex items-center gap-1">
+                    <button
+                        onClick={onManageLifecycle}
+                        disabled={!onManageLifecycle}
+                        className={`px-2 py-0.5 border rounded-full text-xs font-medium disabled:cursor-default ${LIFECYCLE_STYLES[lifecycle.status]}`}
+                        title={describeLifecycle(lifecycle)}
+                    >
+                        {LPN_LIFECYCLE_LABELS[lifecycle.status]}
+                        {lifecycle.supersededBy && <span className="font-mono"> → {lifecycle.supersededBy}</span>}
+                    </button>
+                    {lifecycle.alternates.length > 0 && (
+                        <span className="text-xs text-gray-400" title={lifecycle.alternates.join(', ')}>
+                            +{lifecycle.alternates.length} alt
+                        </span>
+                    )}
+                </div>
+            </div>
+        );
+    }
+
+    if (!canAssign && request?.status === LPN_REQUEST_STATUS.PENDING) {
+        return (
+            <span
+                className="inline-flex items-center px-3 py-1 bg-amber-900/30 border border-amber-700/50 rounded-lg text-xs text-amber-300"
+                title={`Requested by ${request.requestedByEmail || 'unknown'}, waiting for a librarian`}
+            >
+                KL# requested
+            </span>
+        );
+    }
+
+    if (!canAssign && canRequest) {
+        return (
+            <div className="flex flex-col gap-1">
+                <button
+                    onClick={handleRequestLPN}
+                    disabled={disabled || isGenerating}
+                    className="bg-purple-600 hover:bg-purple-500 disabled:bg-gray-600 disabled:cursor-not-allowed text-white font-medium py-1 px-3 rounded-lg text-xs transition duration-200"
+                    title="Ask a librarian to issue a KeyLife Local Part Number"
+                >
+                    {isGenerating ? 'Requesting...' : 'Request KL#'}
+                </button>
+
+                {request?.status === LPN_REQUEST_STATUS.REJECTED && (
+                    <span className="text-xs text-red-400" title={`Rejected by ${request.reviewedByEmail || 'a librarian'}`}>
+                        Rejected: {request.reason}
+                    </span>
+                )}
+
+                {localError && (
+                    <span className="text-xs text-red-400">{localError}</span>
+                )}
             </div>
         );
     }
@@ -45,7 +131,7 @@ export default function LPNButton({ component, onSuccess, disabled }) {
         <div className="flex flex-col gap-1">
             <button
                 onClick={handleAssignLPN}
-                disabled={disabled || isGenerating}
+                disabled={disabled || !canAssign || isGenerating}
                 className="bg-purple-600 hover:bg-purple-500 disabled:bg-gray-600 disabled:cursor-not-allowed text-white font-medium py-1 px-3 rounded-lg text-xs transition duration-200 inline-flex items-center gap-1"
                 title="Assign KeyLife Local Part Number"
             >
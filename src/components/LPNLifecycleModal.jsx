@@ -0,0 +1,220 @@
+/**
+ * @file LPNLifecycleModal.jsx
+ * @description Librarian management of an assigned LPN: its lifecycle status (active, NRND,
+ * obsolete or superseded by another LPN) and the approved alternate MPNs (AVL) that
+ * resolve to it. Admins (`canCorrectMPN`) can also correct the locked MPN with a reason.
+ */
+
+import { useState } from 'react';
+import { useLPN } from '../hooks/useLPN.js';
+import {
+    LPN_LIFECYCLE, LPN_LIFECYCLE_LABELS, MPN_CHANGE_POLICIES, getLPNLifecycle, extractMPN
+} from '../utils/lpnUtils.js';
+
+const POLICY_LABELS = {
+    retain: 'Retain the LPN',
+    recompute: 'Recompute the hash from the new MPN',
+};
+
+export default function LPNLifecycleModal({ component, partId, lpnScheme, canCorrectMPN = false, onClose }) {
+    const { setLPNLifecycle, addAlternateMPN, changeMPN } = useLPN(lpnScheme);
+    const lifecycle = getLPNLifecycle(component);
+    const [status, setStatus] = useState(lifecycle?.status || LPN_LIFECYCLE.ACTIVE);
+    const [supersededBy, setSupersededBy] = useState(lifecycle?.supersededBy || '');
+    const [alternates, setAlternates] = useState(lifecycle?.alternates || []);
+    const [alternate, setAlternate] = useState('');
+    const [isBusy, setIsBusy] = useState(false);
+    const [message, setMessage] = useState(null);
+    const [current, setCurrent] = useState({ mpn: extractMPN(component), lpn: component.Local_Part_Number });
+    const [correction, setCorrection] = useState({ mpn: '', reason: '', policy: MPN_CHANGE_POLICIES.RETAIN });
+
+    if (!lifecycle) return null;
+
+    const run = async (action, onSuccess) => {
+        setIsBusy(true);
+        setMessage(null);
+        const result = await action();
+        setIsBusy(false);
+        if (result.success) {
+            onSuccess(result);
+        } else {
+            setMessage({ type: 'error', text: result.error });
+        }
+    };
+
+    const handleSaveStatus = () => run(
+        () => setLPNLifecycle(partId, { status, supersededBy }),
+        () => setMessage({ type: 'success', text: `Status set to ${LPN_LIFECYCLE_LABELS[status]}` })
+    );
+
+    const handleAddAlternate = () => run(
+        () => addAlternateMPN(partId, alternate),
+        (result) => {
+            setAlternates(result.alternates);
+            setAlternate('');
+            setMessage({ type: 'success', text: 'Alternate MPN approved' });
+        }
+    );
+
+    const handleChangeMPN = () => run(
+        () => changeMPN(partId, correction),
+        (result) => {
+            const { newMPN, newLPN, partIds } = result.correction;
+            setCurrent({ mpn: newMPN, lpn: newLPN });
+            setCorrection({ mpn: '', reason: '', policy: MPN_CHANGE_POLICIES.RETAIN });
+            setMessage({ type: 'success', text: `MPN changed to ${newMPN} on ${partIds.length} part(s), LPN ${newLPN}` });
+        }
+    );
+
+    return (
+        <div
+            className="fixed inset-0 bg-black/75 backdrop-blur-sm flex justify-center items-center z-50 p-4"
+            onClick={(e) => e.target === e.currentTarget && onClose()}
+        >
+            <div className="bg-gray-800 rounded-xl shadow-2xl w-full max-w-lg max-h-[90vh] overflow-y-auto ring-1 ring-keylife-accent/30">
+                {/* Header */}
+                <div className="border-b border-gray-700 p-6">
+                    <div className="flex justify-between items-start">
+                        <div>
+                            <h2 className="text-2xl font-bold text-white">LPN Lifecycle</h2>
+                            <p className="text-sm text-gray-400 mt-1">
+                                <span className="font-mono text-green-300">{current.lpn}</span>
+                                {current.mpn && <span> • {current.mpn}</span>}
+                            </p>
+                        </div>
+                        <button
+                            onClick={onClose}
+                            className="text-gray-400 hover:text-white transition-colors p-2 hover:bg-gray-700 rounded-lg"
+                        >
+                            <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M6 18L18 6M6 6l12 12" />
+                            </svg>
+                        </button>
+                    </div>
+                </div>
+
+                <div className="p-6 space-y-6">
+                    <div>
+                        <h3 className="text-lg font-semibold text-keylife-accent mb-3">Status</h3>
+                        <div className="flex flex-wrap gap-2">
+                            {Object.values(LPN_LIFECYCLE).map(value => (
+                                <label key={value} className="inline-flex items-center gap-2 text-sm text-gray-200">
+                                    <input
+                                        type="radio"
+                                        name="lpn-status"
+                                        value={value}
+                                        checked={status === value}
+                                        onChange={() => setStatus(value)}
+                                        className="accent-keylife-accent"
+                                    />
+                                    {LPN_LIFECYCLE_LABELS[value]}
+                                </label>
+                            ))}
+                        </div>
+                        {status === LPN_LIFECYCLE.SUPERSEDED && (
+                            <input
+                                type="text"
+                                placeholder="Replacement LPN, e.g. KL-00150-B1C2D3"
+                                value={supersededBy}
+                                onChange={(e) => setSupersededBy(e.target.value)}
+                                className="w-full mt-3 bg-gray-700 border border-gray-600 rounded-lg px-3 py-1.5 text-sm font-mono text-white placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-keylife-accent"
+                            />
+                        )}
+                        <button
+                            onClick={handleSaveStatus}
+                            disabled={isBusy}
+                            className="mt-3 bg-keylife-accent hover:bg-keylife-accent/80 disabled:bg-gray-600 text-white font-medium py-1 px-3 rounded-lg text-sm transition duration-200"
+                        >
+                            Save Status
+                        </button>
+                    </div>
+
+                    <div>
+                        <h3 className="text-lg font-semibold text-keylife-accent mb-1">Approved Alternates</h3>
+                        <p className="text-xs text-gray-400 mb-3">
+                            Alternate MPNs resolve to this LPN everywhere, including new uploads
+                        </p>
+                        {alternates.length === 0 ? (
+                            <p className="text-sm text-gray-400">No alternates approved.</p>
+                        ) : (
+                            <ul className="flex flex-wrap gap-2 text-sm">
+                                {alternates.map(mpn => (
+                                    <li key={mpn} className="px-2 py-0.5 bg-gray-700 rounded font-mono text-gray-200">{mpn}</li>
+                                ))}
+                            </ul>
+                        )}
+                        <div className="flex gap-2 mt-3">
+                            <input
+                                type="text"
+                                placeholder="Alternate MPN"
+                                value={alternate}
+                                onChange={(e) => setAlternate(e.target.value)}
+                                className="flex-1 bg-gray-700 border border-gray-600 rounded-lg px-3 py-1.5 text-sm font-mono text-white placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-keylife-accent"
+                            />
+                            <button
+                                onClick={handleAddAlternate}
+                                disabled={isBusy || !alternate.trim()}
+                                className="bg-green-600 hover:bg-green-500 disabled:bg-gray-600 disabled:cursor-not-allowed text-white font-medium py-1 px-3 rounded-lg text-sm transition duration-200"
+                            >
+                                Approve
+                            </button>
+                        </div>
+                    </div>
+
+                    {canCorrectMPN && (
+                        <div className="border-t border-gray-700 pt-6">
+                            <h3 className="text-lg font-semibold text-red-300 mb-1">Correct MPN</h3>
+                            <p className="text-xs text-gray-400 mb-3">
+                                Changes the locked MPN of every part with this LPN; the reason is kept in their history
+                            </p>
+                            <div className="space-y-2">
+                                <input
+                                    type="text"
+                                    placeholder="Corrected MPN"
+                                    value={correction.mpn}
+                                    onChange={(e) => setCorrection(prev => ({ ...prev, mpn: e.target.value }))}
+                                    className="w-full bg-gray-700 border border-gray-600 rounded-lg px-3 py-1.5 text-sm font-mono text-white placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-keylife-accent"
+                                />
+                                <input
+                                    type="text"
+                                    placeholder="Reason, e.g. Typo in the uploaded BOM"
+                                    value={correction.reason}
+                                    onChange={(e) => setCorrection(prev => ({ ...prev, reason: e.target.value }))}
+                                    className="w-full bg-gray-700 border border-gray-600 rounded-lg px-3 py-1.5 text-sm text-white placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-keylife-accent"
+                                />
+                                <div className="flex flex-wrap gap-4">
+                                    {Object.values(MPN_CHANGE_POLICIES).map(value => (
+                                        <label key={value} className="inline-flex items-center gap-2 text-sm text-gray-200">
+                                            <input
+                                                type="radio"
+                                                name="mpn-change-policy"
+                                                value={value}
+                                                checked={correction.policy === value}
+                                                onChange={() => setCorrection(prev => ({ ...prev, policy: value }))}
+                                                className="accent-keylife-accent"
+                                            />
+                                            {POLICY_LABELS[value]}
+                                        </label>
+                                    ))}
+                                </div>
+                                <button
+                                    onClick={handleChangeMPN}
+                                    disabled={isBusy || !correction.mpn.trim() || !correction.reason.trim()}
+                                    className="bg-red-600 hover:bg-red-500 disabled:bg-gray-600 disabled:cursor-not-allowed text-white font-medium py-1 px-3 rounded-lg text-sm transition duration-200"
+                                >
+                                    Change MPN
+                                </button>
+                            </div>
+                        </div>
+                    )}
+
+                    {message && (
+                        <p className={`text-sm ${message.type === 'error' ? 'text-red-400' : 'text-green-300'}`}>
+                            {message.text}
+                        </p>
+                    )}
+                </div>
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,184 @@
+/**
+ * @file LPNRequestsModal.jsx
+ * @description Librarian review of LPN requests: check the part data of each pending
+ * request, then approve it (issuing the LPN) or reject it with a reason
+ */
+
+import { useState } from 'react';
+import { LPN_REQUEST_STATUS, REVIEW_FIELDS } from '../utils/lpnRequests.js';
+
+// Reviewed requests listed below the pending ones
+const RECENT_LIMIT = 10;
+
+const formatDate = (timestamp) => (timestamp ? new Date(timestamp).toLocaleString() : '-');
+
+function PendingRequest({ request, isBusy, onApprove, onReject }) {
+    const [isRejecting, setIsRejecting] = useState(false);
+    const [reason, setReason] = useState('');
+
+    return (
+        <li className="bg-gray-900/50 rounded-lg p-4 border border-gray-700">
+            <div className="flex flex-wrap justify-between items-start gap-3">
+                <div>
+                    <p className="font-mono text-white">{request.mpn || request.genericPartNumber}</p>
+                    <p className="text-xs text-gray-500 mt-1">
+                        Requested by {request.requestedByEmail || 'unknown'} on {formatDate(request.requestedAt)}
+                    </p>
+                </div>
+                {!isRejecting && (
+                    <div className="flex gap-2">
+                        <button
+                            onClick={() => onApprove(request)}
+                            disabled={isBusy}
+                            className="bg-green-600 hover:bg-green-500 disabled:bg-gray-600 text-white font-medium py-1 px-3 rounded-lg text-sm transition duration-200"
+                        >
+                            Approve
+                        </button>
+                        <button
+                            onClick={() => setIsRejecting(true)}
+                            disabled={isBusy}
+                            className="bg-red-600 hover:bg-red-500 disabled:bg-gray-600 text-white font-medium py-1 px-3 rounded-lg text-sm transition duration-200"
+                        >
+                            Reject
+                        </button>
+                    </div>
+                )}
+            </div>
+
+            <dl className="grid grid-cols-[max-content_1fr] gap-x-4 gap-y-1 text-sm mt-3">
+                {REVIEW_FIELDS.map(field => (
+                    <div key={field} className="contents">
+                        <dt className="text-gray-400">{field}</dt>
+                        <dd className={request.part?.[field] ? 'text-gray-200' : 'text-amber-400'}>
+                            {request.part?.[field] || 'missing'}
+                        </dd>
+                    </div>
+                ))}
+            </dl>
+
+            {isRejecting && (
+                <div className="flex flex-wrap gap-2 mt-3">
+                    <input
+                        type="text"
+                        placeholder="Reason, e.g. Manufacturer missing"
+                        value={reason}
+                        onChange={(e) => setReason(e.target.value)}
+                        className="flex-1 bg-gray-700 border border-gray-600 rounded-lg px-3 py-1.5 text-sm text-white placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-keylife-accent"
+                        autoFocus
+                    />
+                    <button
+                        onClick={() => onReject(request, reason)}
+                        disabled={isBusy || !reason.trim()}
+                        className="bg-red-600 hover:bg-red-500 disabled:bg-gray-600 disabled:cursor-not-allowed text-white font-medium py-1 px-3 rounded-lg text-sm transition duration-200"
+                    >
+                        Reject Request
+                    </button>
+                    <button
+                        onClick={() => setIsRejecting(false)}
+                        className="bg-gray-600 hover:bg-gray-500 text-white font-medium py-1 px-3 rounded-lg text-sm transition duration-200"
+                    >
+                        Cancel
+                    </button>
+                </div>
+            )}
+        </li>
+    );
+}
+
+export default function LPNRequestsModal({
+    isOpen,
+    onClose,
+    requests,
+    pendingRequests,
+    onApprove,
+    onReject
+}) {
+    const [busyId, setBusyId] = useState(null);
+
+    if (!isOpen) return null;
+
+    const reviewed = (requests || [])
+        .filter(request => request.status !== LPN_REQUEST_STATUS.PENDING)
+        .sort((a, b) => String(b.reviewedAt).localeCompare(String(a.reviewedAt)))
+        .slice(0, RECENT_LIMIT);
+
+    // Review one request at a time
+    const review = (action) => async (request, ...args) => {
+        setBusyId(request.id);
+        await action(request, ...args);
+        setBusyId(null);
+    };
+
+    return (
+        <div
+            className="fixed inset-0 bg-black/75 backdrop-blur-sm flex justify-center items-center z-50 p-4"
+            onClick={(e) => e.target === e.currentTarget && onClose()}
+        >
+            <div className="bg-gray-800 rounded-xl shadow-2xl w-full max-w-3xl max-h-[90vh] overflow-y-auto ring-1 ring-keylife-accent/30">
+                {/* Header */}
+                <div className="sticky top-0 bg-gray-800 border-b border-gray-700 p-6 z-10">
+                    <div className="flex justify-between items-start">
+                        <div>
+                            <h2 className="text-2xl font-bold text-white">LPN Requests</h2>
+                            <p className="text-sm text-gray-400 mt-1">
+                                Review the part data before issuing a KeyLife Local Part Number
+                            </p>
+                        </div>
+                        <button
+                            onClick={onClose}
+                            className="text-gray-400 hover:text-white transition-colors p-2 hover:bg-gray-700 rounded-lg"
+                        >
+                            <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M6 18L18 6M6 6l12 12" />
+                            </svg>
+                        </button>
+                    </div>
+                </div>
+
+                <div className="p-6 space-y-6">
+                    <div>
+                        <h3 className="text-lg font-semibold text-keylife-accent mb-3">
+                            Pending ({pendingRequests.length})
+                        </h3>
+                        {pendingRequests.length === 0 ? (
+                            <p className="text-sm text-gray-400">No requests waiting for review.</p>
+                        ) : (
+                            <ul className="space-y-3">
+                                {pendingRequests.map(request => (
+                                    <PendingRequest
+                                        key={request.id}
+                                        request={request}
+                                        isBusy={busyId !== null}
+                                        onApprove={review(onApprove)}
+                                        onReject={review(onReject)}
+                                    />
+                                ))}
+                            </ul>
+                        )}
+                    </div>
+
+                    {reviewed.length > 0 && (
+                        <div>
+                            <h3 className="text-lg font-semibold text-keylife-accent mb-3">Recently Reviewed</h3>
+                            <ul className="rounded-lg border border-gray-700 text-sm">
+                                {reviewed.map(request => (
+                                    <li key={request.id} className="flex flex-wrap justify-between items-center gap-3 px-4 py-2 border-b border-gray-700 last:border-0">
+                                        <span className="font-mono text-gray-300">{request.mpn || request.genericPartNumber}</span>
+                                        {request.status === LPN_REQUEST_STATUS.APPROVED ? (
+                                            <span className="text-green-300 font-mono">{request.lpn}</span>
+                                        ) : (
+                                            <span className="text-red-400">Rejected: {request.reason}</span>
+                                        )}
+                                        <span className="text-xs text-gray-500">
+                                            {request.reviewedByEmail || 'unknown'}, {formatDate(request.reviewedAt)}
+                                        </span>
+                                    </li>
+                                ))}
+                            </ul>
+                        </div>
+                    )}
+                </div>
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,181 @@
+/**
+ * @file LabelPrintModal.jsx
+ * @description Prints drawer labels for the selected rows or a whole project: one label per LPN
+ * with its MPN, value, footprint and barcode, as a PDF for label sheets or ZPL for thermal printers.
+ */
+
+import { useMemo, useState } from 'react';
+import {
+    LABEL_TEMPLATES, BARCODE_TYPES, LABEL_FORMATS, getLabelData, generateLabelPDF, generateLabelZPL
+} from '../utils/labels.js';
+
+const BARCODE_LABELS = {
+    code128: 'Code 128',
+    datamatrix: 'DataMatrix',
+};
+
+const inputClass = 'bg-gray-700 border border-gray-600 rounded-lg px-3 py-1.5 text-sm text-white focus:outline-none focus:ring-2 focus:ring-keylife-accent';
+
+export default function LabelPrintModal({ rows, title, onClose }) {
+    const [templateId, setTemplateId] = useState('avery-l7160');
+    const [barcode, setBarcode] = useState(BARCODE_TYPES.CODE128);
+    const [format, setFormat] = useState(LABEL_FORMATS.PDF);
+    const [copies, setCopies] = useState(1);
+    const [skip, setSkip] = useState(0);
+    const [error, setError] = useState(null);
+
+    const { labels, skipped } = useMemo(() => getLabelData(rows), [rows]);
+    const template = LABEL_TEMPLATES[templateId];
+    const isThermal = template.type === 'thermal';
+    // ZPL only drives thermal printers
+    const outputFormat = isThermal ? format : LABEL_FORMATS.PDF;
+
+    const handleDownload = () => {
+        setError(null);
+        try {
+            const options = { template: templateId, barcode, copies, skip };
+            const isZPL = outputFormat === LABEL_FORMATS.ZPL;
+            const content = isZPL ? generateLabelZPL(labels, options) : generateLabelPDF(labels, options);
+            const dataBlob = new Blob([content], { type: isZPL ? 'text/plain' : 'application/pdf' });
+            const url = URL.createObjectURL(dataBlob);
+
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = `keylife_labels_${new Date().toISOString().split('T')[0]}.${outputFormat}`;
+            document.body.appendChild(link);
+            link.click();
+            document.body.removeChild(link);
+            URL.revokeObjectURL(url);
+        } catch (err) {
+            setError('Failed to generate labels: ' + err.message);
+        }
+    };
+
+    return (
+        <div
+            className="fixed inset-0 bg-black/75 backdrop-blur-sm flex justify-center items-center z-50 p-4"
+            onClick={(e) => e.target === e.currentTarget && onClose()}
+        >
+            <div className="bg-gray-800 rounded-xl shadow-2xl w-full max-w-lg max-h-[90vh] overflow-y-auto ring-1 ring-keylife-accent/30">
+                {/* Header */}
+                <div className="border-b border-gray-700 p-6">
+                    <div className="flex justify-between items-start">
+                        <div>
+                            <h2 className="text-2xl font-bold text-white">Print Labels</h2>
+                            <p className="text-sm text-gray-400 mt-1">
+                                {title} • {labels.length} label{labels.length !== 1 ? 's' : ''}
+                            </p>
+                        </div>
+                        <button
+                            onClick={onClose}
+                            className="text-gray-400 hover:text-white transition-colors p-2 hover:bg-gray-700 rounded-lg"
+                        >
+                            <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M6 18L18 6M6 6l12 12" />
+                            </svg>
+                        </button>
+                    </div>
+                </div>
+
+                <div className="p-6 space-y-4">
+                    {skipped > 0 && (
+                        <p className="text-xs text-yellow-400">
+                            {skipped} row{skipped !== 1 ? 's have' : ' has'} no LPN and will not get a label
+                        </p>
+                    )}
+
+                    <label className="block text-sm text-gray-300">
+                        Template
+                        <select
+                            value={templateId}
+                            onChange={(e) => setTemplateId(e.target.value)}
+                            className={`${inputClass} w-full mt-1`}
+                        >
+                            {Object.entries(LABEL_TEMPLATES).map(([id, { name }]) => (
+                                <option key={id} value={id}>{name}</option>
+                            ))}
+                        </select>
+                    </label>
+
+                    <div>
+                        <p className="text-sm text-gray-300 mb-1">Barcode</p>
+                        <div className="flex gap-4">
+                            {Object.values(BARCODE_TYPES).map(value => (
+                                <label key={value} className="inline-flex items-center gap-2 text-sm text-gray-200">
+                                    <input
+                                        type="radio"
+                                        name="label-barcode"
+                                        value={value}
+                                        checked={barcode === value}
+                                        onChange={() => setBarcode(value)}
+                                        className="accent-keylife-accent"
+                                    />
+                                    {BARCODE_LABELS[value]}
+                                </label>
+                            ))}
+                        </div>
+                    </div>
+
+                    <div>
+                        <p className="text-sm text-gray-300 mb-1">Output</p>
+                        <div className="flex gap-4">
+                            {Object.values(LABEL_FORMATS).map(value => (
+                                <label key={value} className="inline-flex items-center gap-2 text-sm text-gray-200">
+                                    <input
+                                        type="radio"
+                                        name="label-format"
+                                        value={value}
+                                        checked={outputFormat === value}
+                                        disabled={value === LABEL_FORMATS.ZPL && !isThermal}
+                                        onChange={() => setFormat(value)}
+                                        className="accent-keylife-accent"
+                                    />
+                                    {value.toUpperCase()}
+                                </label>
+                            ))}
+                        </div>
+                        {!isThermal && (
+                            <p className="text-xs text-gray-400 mt-1">ZPL is available for thermal templates</p>
+                        )}
+                    </div>
+
+                    <div className="flex gap-4">
+                        <label className="block text-sm text-gray-300">
+                            Copies per LPN
+                            <input
+                                type="number"
+                                min="1"
+                                value={copies}
+                                onChange={(e) => setCopies(Number(e.target.value))}
+                                className={`${inputClass} w-24 mt-1 block`}
+                            />
+                        </label>
+                        {!isThermal && (
+                            <label className="block text-sm text-gray-300">
+                                Skip used labels
+                                <input
+                                    type="number"
+                                    min="0"
+                                    max={template.columns * template.rows - 1}
+                                    value={skip}
+                                    onChange={(e) => setSkip(Number(e.target.value))}
+                                    className={`${inputClass} w-24 mt-1 block`}
+                                />
+                            </label>
+                        )}
+                    </div>
+
+                    {error && <p className="text-sm text-red-400">{error}</p>}
+
+                    <button
+                        onClick={handleDownload}
+                        disabled={labels.length === 0}
+                        className="bg-keylife-accent hover:bg-keylife-accent/80 disabled:bg-gray-600 disabled:cursor-not-allowed text-white font-medium py-1.5 px-4 rounded-lg text-sm transition duration-200"
+                    >
+                        Download {outputFormat.toUpperCase()}
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+}
@@ -1,11 +1,11 @@
 /**
  * @file ProjectManager.jsx
- * @description Panel for managing entire projects (view stats, delete projects)
+ * @description Panel for managing entire projects (view stats, BOM revisions, delete projects)
  */
 
 import { useMemo } from 'react';
 
-export default function ProjectManager({ components, onDeleteProject, onFilterProject }) {
+export default function ProjectManager({ components, onDeleteProject, onFilterProject, onShowRevisions }) {
     const projectStats = useMemo(() => {
         const stats = {};
         
@@ -74,15 +74,29 @@ export default function ProjectManager({ components, onDeleteProject, onFilterPr
                                 </svg>
                                 View
                             </button>
-                            <button
-                                onClick={() => onDeleteProject(project.name)}
-                                className="flex-1 bg-red-600 hover:bg-red-500 text-white font-medium py-1.5 px-3 rounded-lg text-sm transition duration-200 inline-flex items-center justify-center gap-1"
-                            >
-                                <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16" />
-                                </svg>
-                                Delete
-                            </button>
+                            {onShowRevisions && (
+                                <button
+                                    onClick={() => onShowRevisions(project.name)}
+                                    className="flex-1 bg-gray-700 hover:bg-gray-600 text-white font-medium py-1.5 px-3 rounded-lg text-sm transition duration-200 inline-flex items-center justify-center gap-1"
+                                    title="Uploaded BOM revisions"
+                                >
+                                    <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M12 8v4l3 3m6-3a9 9 0 11-18 0 9 9 0 0118 0z" />
+                                    </svg>
+                                    Revisions
+                                </button>
+                            )}
+                            {onDeleteProject && (
+                                <button
+                                    onClick={() => onDeleteProject(project.name)}
+                                    className="flex-1 bg-red-600 hover:bg-red-500 text-white font-medium py-1.5 px-3 rounded-lg text-sm transition duration-200 inline-flex items-center justify-center gap-1"
+                                >
+                                    <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16" />
+                                    </svg>
+                                    Delete
+                                </button>
+                            )}
                         </div>
                     </div>
                 ))}
@@ -0,0 +1,223 @@
+/**
+ * @file RevisionsModal.jsx
+ * @description Lists the uploaded BOM revisions of a project, compares two of them
+ * and restores an earlier one as the active BOM
+ */
+
+import { useMemo, useState } from 'react';
+import { diffBOMRevisions, isEmptyDiff } from '../utils/bomDiff.js';
+import LoadingSpinner from './LoadingSpinner.jsx';
+
+const formatDelta = (delta) => (delta > 0 ? `+${delta}` : String(delta));
+
+function DiffSection({ title, count, colorClass, children }) {
+    if (count === 0) return null;
+
+    return (
+        <div className="bg-gray-900/50 rounded-lg p-4 border border-gray-700">
+            <h4 className={`font-medium mb-2 ${colorClass}`}>
+                {title} ({count})
+            </h4>
+            <div className="space-y-1 text-sm text-gray-300 max-h-48 overflow-y-auto">
+                {children}
+            </div>
+        </div>
+    );
+}
+
+export default function RevisionsModal({
+    isOpen,
+    onClose,
+    projectName,
+    revisions,
+    activeRevision,
+    onRestore
+}) {
+    const [baseNumber, setBaseNumber] = useState(null);
+    const [targetNumber, setTargetNumber] = useState(null);
+
+    const list = revisions || [];
+    // Default to comparing the two latest revisions
+    const base = baseNumber ?? list[list.length - 2]?.number ?? null;
+    const target = targetNumber ?? list[list.length - 1]?.number ?? null;
+
+    const diff = useMemo(() => {
+        const baseRevision = list.find(revision => revision.number === base);
+        const targetRevision = list.find(revision => revision.number === target);
+        if (!baseRevision || !targetRevision || base === target) return null;
+        return diffBOMRevisions(baseRevision.components, targetRevision.components);
+    }, [list, base, target]);
+
+    if (!isOpen) return null;
+
+    const handleClose = () => {
+        setBaseNumber(null);
+        setTargetNumber(null);
+        onClose();
+    };
+
+    return (
+        <div
+            className="fixed inset-0 bg-black/75 backdrop-blur-sm flex justify-center items-center z-50 p-4"
+            onClick={(e) => e.target === e.currentTarget && handleClose()}
+        >
+            <div className="bg-gray-800 rounded-xl shadow-2xl w-full max-w-4xl max-h-[90vh] overflow-y-auto ring-1 ring-keylife-accent/30">
+                {/* Header */}
+                <div className="sticky top-0 bg-gray-800 border-b border-gray-700 p-6 z-10">
+                    <div className="flex justify-between items-start">
+                        <div>
+                            <h2 className="text-2xl font-bold text-white">BOM Revisions</h2>
+                            <p className="text-sm text-gray-400 mt-1">{projectName}</p>
+                        </div>
+                        <button
+                            onClick={handleClose}
+                            className="text-gray-400 hover:text-white transition-colors p-2 hover:bg-gray-700 rounded-lg"
+                        >
+                            <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M6 18L18 6M6 6l12 12" />
+                            </svg>
+                        </button>
+                    </div>
+                </div>
+
+                <div className="p-6 space-y-6">
+                    {!revisions && (
+                        <div className="flex justify-center py-8">
+                            <LoadingSpinner size="md" message="Loading revisions..." />
+                        </div>
+                    )}
+
+                    {revisions && list.length === 0 && (
+                        <p className="text-center text-gray-400 py-8">
+                            No revisions recorded yet. Every new BOM upload for this project is stored as a revision.
+                        </p>
+                    )}
+
+                    {list.length > 0 && (
+                        <div className="overflow-x-auto rounded-lg border border-gray-700">
+                            <table className="w-full text-sm text-left text-gray-300">
+                                <thead className="text-xs text-keylife-accent uppercase bg-gray-900">
+                                    <tr>
+                                        <th scope="col" className="px-4 py-3">Rev</th>
+                                        <th scope="col" className="px-4 py-3">File</th>
+                                        <th scope="col" className="px-4 py-3">Uploaded</th>
+                                        <th scope="col" className="px-4 py-3">By</th>
+                                        <th scope="col" className="px-4 py-3 text-center">Parts</th>
+                                        <th scope="col" className="px-4 py-3 text-center">Base</th>
+                                        <th scope="col" className="px-4 py-3 text-center">Compare</th>
+                                        <th scope="col" className="px-4 py-3 text-center">Actions</th>
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    {[...list].reverse().map(revision => (
+                                        <tr key={revision.number} className="bg-gray-800 border-b border-gray-700">
+                                            <td className="px-4 py-3 whitespace-nowrap font-medium text-white">
+                                                {revision.number}
+                                                {revision.number === activeRevision && (
+                                                    <span className="ml-2 px-2 py-0.5 bg-green-900/50 text-green-400 rounded-full text-xs">Active</span>
+                                                )}
+                                            </td>
+                                            <td className="px-4 py-3 whitespace-nowrap">{revision.fileName || '-'}</td>
+                                            <td className="px-4 py-3 whitespace-nowrap">
+                                                {revision.uploadedAt ? new Date(revision.uploadedAt).toLocaleString() : '-'}
+                                            </td>
+                                            <td className="px-4 py-3 whitespace-nowrap">{revision.uploadedBy || '-'}</td>
+                                            <td className="px-4 py-3 text-center">{revision.componentCount ?? revision.components?.length ?? 0}</td>
+                                            <td className="px-4 py-3 text-center">
+                                                <input
+                                                    type="radio"
+                                                    name="revision-base"
+                                                    checked={base === revision.number}
+                                                    onChange={() => setBaseNumber(revision.number)}
+                                                />
+                                            </td>
+                                            <td className="px-4 py-3 text-center">
+                                                <input
+                                                    type="radio"
+                                                    name="revision-target"
+                                                    checked={target === revision.number}
+                                                    onChange={() => setTargetNumber(revision.number)}
+                                                />
+                                            </td>
+                                            <td className="px-4 py-3 text-center">
+                                                <button
+                                                    onClick={() => onRestore(revision.number)}
+                                                    disabled={revision.number === activeRevision}
+                                                    className="bg-keylife-accent hover:bg-keylife-accent/80 disabled:bg-gray-600 disabled:cursor-not-allowed text-white font-medium py-1 px-3 rounded-lg text-xs transition duration-200"
+                                                >
+                                                    Restore
+                                                </button>
+                                            </td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                        </div>
+                    )}
+
+                    {/* Diff */}
+                    {list.length > 1 && (
+                        <div className="space-y-4">
+                            <h3 className="text-lg font-semibold text-keylife-accent">
+                                Revision {base} → Revision {target}
+                            </h3>
+
+                            {!diff && (
+                                <p className="text-sm text-gray-400">Select two different revisions to compare.</p>
+                            )}
+
+                            {diff && isEmptyDiff(diff) && (
+                                <p className="text-sm text-gray-400">The revisions are identical.</p>
+                            )}
+
+                            {diff && (
+                                <div className="grid md:grid-cols-2 gap-4">
+                                    <DiffSection title="Added" count={diff.added.length} colorClass="text-green-400">
+                                        {diff.added.map(({ designator, component }) => (
+                                            <div key={designator}>
+                                                <span className="font-mono text-white">{designator}</span> {component.Value || ''}
+                                            </div>
+                                        ))}
+                                    </DiffSection>
+
+                                    <DiffSection title="Removed" count={diff.removed.length} colorClass="text-red-400">
+                                        {diff.removed.map(({ designator, component }) => (
+                                            <div key={designator}>
+                                                <span className="font-mono text-white">{designator}</span> {component.Value || ''}
+                                            </div>
+                                        ))}
+                                    </DiffSection>
+
+                                    <DiffSection title="MPN Swaps" count={diff.mpnSwaps.length} colorClass="text-yellow-400">
+                                        {diff.mpnSwaps.map(({ designator, from, to }) => (
+                                            <div key={designator}>
+                                                <span className="font-mono text-white">{designator}</span> {from || '-'} → {to || '-'}
+                                            </div>
+                                        ))}
+                                    </DiffSection>
+
+                                    <DiffSection title="Changed" count={diff.changed.length} colorClass="text-blue-400">
+                                        {diff.changed.map(({ designator, changes }) => (
+                                            <div key={designator}>
+                                                <span className="font-mono text-white">{designator}</span>{' '}
+                                                {changes.map(change => `${change.field}: ${change.from || '-'} → ${change.to || '-'}`).join(', ')}
+                                            </div>
+                                        ))}
+                                    </DiffSection>
+
+                                    <DiffSection title="Quantity Changes" count={diff.quantityDeltas.length} colorClass="text-purple-400">
+                                        {diff.quantityDeltas.map(({ mpn, from, to, delta }) => (
+                                            <div key={mpn}>
+                                                <span className="font-mono text-white">{mpn}</span> {from} → {to} ({formatDelta(delta)})
+                                            </div>
+                                        ))}
+                                    </DiffSection>
+                                </div>
+                            )}
+                        </div>
+                    )}
+                </div>
+            </div>
+        </div>
+    );
+}
@@ -5,8 +5,13 @@
 
 import { useState } from 'react';
 import { processBOMFile } from '../utils/bomParser.js';
+import { KICAD_BOM_FORMAT_LABELS } from '../utils/kicadBom.js';
+import { BOM_PROFILES, CUSTOM_PROFILE_ID } from '../utils/bomProfiles.js';
 import AmbiguousQtyModal from './AmbiguousQtyModal.jsx';
 
+// Names of the detected CSV delimiters for the preview badge
+const DELIMITER_LABELS = { ',': 'comma', ';': 'semicolon', '\t': 'tab' };
+
 export default function SetupSection({ 
     projectName, 
     setProjectName, 
@@ -14,6 +19,7 @@ export default function SetupSection({
     onBOMFileResolve, // <-- PROP for handling final component list after any resolution
     isProcessing,
     onKiCadUpload,
+    onKiCadExport,
     isParsingKiCad,
     kicadError,
     kicadSchematics,
@@ -23,7 +29,9 @@ export default function SetupSection({
     const [kicadFile, setKicadFile] = useState(null);
     const [previewData, setPreviewData] = useState(null);
     const [isParsing, setIsParsing] = useState(false);
+    const [parseProgress, setParseProgress] = useState(null);
     const [parseError, setParseError] = useState('');
+    const [importProfileId, setImportProfileId] = useState('auto');
     
     // --- STATE for Quantity Ambiguity Management ---
     const [ambiguousData, setAmbiguousData] = useState(null); 
@@ -41,43 +49,63 @@ export default function SetupSection({
         }
 
         setBomFile(file);
+        await parseBOMFile(file, importProfileId);
+        event.target.value = '';
+    };
+
+    // Re-parse the selected file when the user overrides the detected import profile
+    const handleImportProfileChange = async (event) => {
+        const profileId = event.target.value;
+        setImportProfileId(profileId);
+        if (bomFile) {
+            await parseBOMFile(bomFile, profileId, previewData?.sheetName);
+        }
+    };
+
+    // Re-parse the selected Excel file from another worksheet
+    const handleSheetChange = async (event) => {
+        if (bomFile) {
+            await parseBOMFile(bomFile, importProfileId, event.target.value);
+        }
+    };
+
+    // Parse a BOM file for preview with the given import profile ('auto' to detect)
+    // and worksheet (Excel only; omitted to pick the first sheet with a BOM header)
+    const parseBOMFile = async (file, profileId, sheetName) => {
         setParseError('');
         setIsParsing(true);
+        setParseProgress(null);
         setAmbiguousData(null); // Reset ambiguity check
 
         try {
             // Parse file for preview. Now returns ambiguousComponents
-            const { components, ambiguousComponents, headers, count } = await processBOMFile(
+            const { components, ambiguousComponents, headers, count, sourceFormat, profileId: detectedProfileId, encoding, delimiter, sheetName: importedSheet, sheetNames } = await processBOMFile(
                 file,
                 projectName.trim(),
-                config
+                config,
+                { profileId, sheetName, onProgress: fraction => setParseProgress(Math.round(fraction * 100)) }
             );
 
             if (components.length + ambiguousComponents.length === 0) {
                 throw new Error('No components found in file');
             }
 
-            // --- AMBIGUITY CHECK ---
-            if (ambiguousComponents.length > 0) {
-                // If ambiguous components exist, set data to open the modal for resolution
-                setAmbiguousData({
-                    fileName: file.name,
-                    components: components, // Non-ambiguous components
-                    ambiguous: ambiguousComponents, // Ambiguous components
-                    headers: headers,
-                });
-                return;
-            }
-            // -----------------------
-
-            // No ambiguity, proceed to regular preview
+            // Ambiguous rows stay in the preview, so the profile and worksheet can still be
+            // changed; they are resolved on submit
             setPreviewData({
                 fileName: file.name,
                 count,
                 headers,
+                sourceFormat,
+                profileId: detectedProfileId,
+                encoding,
+                delimiter,
+                sheetName: importedSheet,
+                sheetNames,
                 components: components.slice(0, 5), // Preview first 5
                 totalComponents: components.length,
-                allComponents: components // Components are already normalized here
+                allComponents: components, // Components are already normalized here
+                ambiguous: ambiguousComponents // Normalized with the same profile
             });
 
         } catch (err) {
@@ -86,7 +114,7 @@ export default function SetupSection({
             setPreviewData(null);
         } finally {
             setIsParsing(false);
-            event.target.value = '';
+            setParseProgress(null);
         }
     };
     
@@ -106,7 +134,7 @@ export default function SetupSection({
         }
 
         // 2. Pass the consolidated list to the next processing step (duplicate check/submission)
-        const success = await onBOMFileResolve(allComponents);
+        const success = await onBOMFileResolve(allComponents, { fileName: ambiguousData.fileName });
         
         if (success) {
             // If submission (including duplicate resolution) was successful, clear form
@@ -120,9 +148,20 @@ export default function SetupSection({
     // Submit BOM to database - now calls the App.jsx handler (onBOMSubmit)
     const handleSubmit = async () => {
         if (!previewData) return;
+
+        // --- AMBIGUITY CHECK: open the modal to resolve the flagged rows first ---
+        if (previewData.ambiguous.length > 0) {
+            setAmbiguousData({
+                fileName: previewData.fileName,
+                components: previewData.allComponents, // Non-ambiguous components
+                ambiguous: previewData.ambiguous, // Ambiguous components
+                headers: previewData.headers,
+            });
+            return;
+        }
         
         // This submits the final component list from the preview state (no ambiguity found previously)
-        const success = await onBOMSubmit(previewData.allComponents);
+        const success = await onBOMSubmit(previewData.allComponents, { fileName: previewData.fileName });
         
         if (success) {
             // Clear form
@@ -140,10 +179,10 @@ export default function SetupSection({
         setAmbiguousData(null); // Clear ambiguity data too
     };
 
-    // Handle KiCad file upload is unchanged
+    // Handle KiCad upload: a root sheet, the root plus its sub-sheets, or a zipped project folder
     const handleKiCadFileUpload = async (event) => {
-        const file = event.target.files?.[0];
-        if (!file) return;
+        const files = Array.from(event.target.files || []);
+        if (files.length === 0) return;
 
         if (!projectName.trim()) {
             alert('Please enter a project name first');
@@ -151,14 +190,14 @@ export default function SetupSection({
             return;
         }
 
-        if (!file.name.endsWith('.kicad_sch')) {
-            alert('Please upload a valid KiCad schematic file (.kicad_sch)');
+        if (!files.every(file => /\.(kicad_sch|kicad_pro|zip)$/i.test(file.name))) {
+            alert('Please upload KiCad schematic files (.kicad_sch) or a zipped project folder (.zip)');
             event.target.value = '';
             return;
         }
 
-        setKicadFile(file);
-        await onKiCadUpload(file);
+        setKicadFile(files.length === 1 ? files[0] : { name: `${files.length} files selected` });
+        await onKiCadUpload(files);
         event.target.value = '';
     };
 
@@ -198,7 +237,7 @@ export default function SetupSection({
                         className="block text-sm font-medium text-gray-300 mb-2"
                     >
                         Upload BOM File
-                        <span className="text-gray-500 text-xs ml-2">(.csv, .xlsx, .xls)</span>
+                        <span className="text-gray-500 text-xs ml-2">(.csv, .xlsx, .xls, KiCad .xml)</span>
                     </label>
                     <label 
                         htmlFor="csv-upload" 
@@ -213,7 +252,7 @@ export default function SetupSection({
                         {isParsing ? (
                             <>
                                 <div className="animate-spin rounded-full h-5 w-5 border-b-2 border-keylife-accent mr-2"></div>
-                                <span>Parsing...</span>
+                                <span>Parsing...{parseProgress !== null && ` ${parseProgress}%`}</span>
                             </>
                         ) : (
                             <>
@@ -236,10 +275,28 @@ export default function SetupSection({
                             </>
                         )}
                     </label>
+                    <div className="mt-2 flex items-center gap-2">
+                        <label htmlFor="import-profile" className="text-xs text-gray-400 whitespace-nowrap">
+                            Import profile
+                        </label>
+                        <select
+                            id="import-profile"
+                            value={importProfileId}
+                            onChange={handleImportProfileChange}
+                            disabled={isProcessing || isParsing}
+                            className="flex-1 bg-gray-700 border border-gray-600 rounded-lg px-2 py-1 text-sm text-white focus:outline-none focus:ring-2 focus:ring-keylife-accent disabled:opacity-50"
+                        >
+                            <option value="auto">Auto-detect</option>
+                            {BOM_PROFILES.map(profile => (
+                                <option key={profile.id} value={profile.id}>{profile.name}</option>
+                            ))}
+                            <option value={CUSTOM_PROFILE_ID}>Custom (Configuration)</option>
+                        </select>
+                    </div>
                     <input
                         id="csv-upload"
                         type="file"
-                        accept=".csv,.xls,.xlsx,application/vnd.ms-excel,application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"
+                        accept=".csv,.xls,.xlsx,.xml,application/vnd.ms-excel,application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"
                         onChange={handleBOMFileSelect}
                         disabled={isProcessing || isParsing || !projectName.trim()}
                         className="hidden"
@@ -262,10 +319,51 @@ export default function SetupSection({
                             📋 BOM Preview
                         </h3>
                         <span className="text-sm text-gray-400">
+                            {previewData.profileId && (
+                                <span className="mr-2 px-2 py-0.5 rounded bg-gray-700 text-gray-300 text-xs">
+                                    {BOM_PROFILES.find(profile => profile.id === previewData.profileId)?.name || 'Custom (Configuration)'}
+                                </span>
+                            )}
+                            {previewData.encoding && (
+                                <span className="mr-2 px-2 py-0.5 rounded bg-gray-700 text-gray-300 text-xs">
+                                    {previewData.encoding.toUpperCase()} · {DELIMITER_LABELS[previewData.delimiter] || previewData.delimiter}
+                                </span>
+                            )}
+                            {previewData.sourceFormat && (
+                                <span className="mr-2 px-2 py-0.5 rounded bg-purple-900/40 text-purple-300 text-xs">
+                                    {KICAD_BOM_FORMAT_LABELS[previewData.sourceFormat]}
+                                </span>
+                            )}
                             {previewData.totalComponents} components found
                         </span>
                     </div>
 
+                    {previewData.ambiguous.length > 0 && (
+                        <p className="mb-4 text-sm text-yellow-300 bg-yellow-900/20 border border-yellow-500/30 rounded-lg px-3 py-2">
+                            {previewData.ambiguous.length} row(s) have a quantity that does not match their designators and will be resolved on submit.
+                        </p>
+                    )}
+
+                    {/* Worksheet picker for multi-sheet workbooks */}
+                    {previewData.sheetNames?.length > 1 && (
+                        <div className="mb-4 flex items-center gap-2">
+                            <label htmlFor="import-sheet" className="text-xs text-gray-400 whitespace-nowrap">
+                                Worksheet
+                            </label>
+                            <select
+                                id="import-sheet"
+                                value={previewData.sheetName}
+                                onChange={handleSheetChange}
+                                disabled={isProcessing || isParsing}
+                                className="bg-gray-700 border border-gray-600 rounded-lg px-2 py-1 text-sm text-white focus:outline-none focus:ring-2 focus:ring-keylife-accent disabled:opacity-50"
+                            >
+                                {previewData.sheetNames.map(name => (
+                                    <option key={name} value={name}>{name}</option>
+                                ))}
+                            </select>
+                        </div>
+                    )}
+
                     {/* Preview Table */}
                     <div className="overflow-x-auto mb-4">
                         <table className="w-full text-sm">
@@ -314,7 +412,7 @@ export default function SetupSection({
                                     <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
                                         <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M5 13l4 4L19 7" />
                                     </svg>
-                                    Submit & Add to Library
+                                    {previewData.ambiguous.length > 0 ? 'Resolve & Submit' : 'Submit & Add to Library'}
                                 </>
                             )}
                         </button>
@@ -356,14 +454,15 @@ export default function SetupSection({
                                     <svg className="w-5 h-5 mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24">
                                         <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M7 16a4 4 0 01-.88-7.903A5 5 0 1115.9 6L16 6a5 5 0 011 9.9M15 13l-3-3m0 0l-3 3m3-3v12" />
                                     </svg>
-                                    <span>{kicadFile?.name || 'Upload KiCad Schematic (.kicad_sch)'}</span>
+                                    <span>{kicadFile?.name || 'Upload KiCad Schematic (.kicad_sch, sheets or .zip)'}</span>
                                 </>
                             )}
                         </label>
                         <input
                             id="kicad-upload"
                             type="file"
-                            accept=".kicad_sch"
+                            accept=".kicad_sch,.kicad_pro,.zip"
+                            multiple
                             onChange={handleKiCadFileUpload}
                             disabled={isParsingKiCad || !projectName.trim()}
                             className="hidden"
@@ -382,9 +481,21 @@ export default function SetupSection({
                                     </p>
                                     <p className="text-gray-400 text-xs mt-1">
                                         {kicadSchematics[projectName].components} components parsed
+                                        {kicadSchematics[projectName].sheetFiles?.length > 1 && 
+                                            ` from ${kicadSchematics[projectName].sheetFiles.length} sheets`}
                                     </p>
                                 </div>
                             </div>
+                            {onKiCadExport && (
+                                <button
+                                    onClick={onKiCadExport}
+                                    disabled={isParsingKiCad}
+                                    title="Write synced fields and Local Part Numbers back into the schematic"
+                                    className="mt-3 w-full bg-purple-600 hover:bg-purple-700 disabled:opacity-50 disabled:cursor-not-allowed text-white text-sm font-medium px-3 py-2 rounded-lg transition-colors"
+                                >
+                                    Export Synced Schematic
+                                </button>
+                            )}
                         </div>
                     )}
                 </div>
@@ -429,10 +540,13 @@ export default function SetupSection({
             {ambiguousData && (
                 <AmbiguousQtyModal
                     isOpen={!!ambiguousData}
-                    onClose={handleCancel}
+                    onClose={() => setAmbiguousData(null)} // Back to the preview
                     ambiguousComponents={ambiguousData.ambiguous}
                     projectName={projectName}
                     onResolve={handleAmbiguousResolution} // Pass the resolution handler
+                    sheetNames={previewData?.sheetNames}
+                    sheetName={previewData?.sheetName}
+                    onSheetChange={handleSheetChange} // Re-parsing closes the modal and returns to the preview
                 />
             )}
         </div>
@@ -9,8 +9,7 @@ export default function UnmatchedComponentsModal({
     isOpen, 
     onClose, 
     unmatchedComponents, 
-    projectName,
-    syncParams 
+    projectName
 }) {
     const [searchTerm, setSearchTerm] = useState('');
 
@@ -88,9 +87,8 @@ export default function UnmatchedComponentsModal({
                             </p>
                             <ul className="list-disc ml-5 mt-1 space-y-0.5">
                                 <li>Designator matching (primary method)</li>
-                                {syncParams.map((param, i) => (
-                                    <li key={i}>{param} matching</li>
-                                ))}
+                                <li>Manufacturer Part Number matching</li>
+                                <li>Value + Footprint matching</li>
                             </ul>
                         </div>
                     </div>
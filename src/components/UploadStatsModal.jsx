@@ -4,6 +4,14 @@
  */
 
 import { useState } from 'react';
+import { extractMPN } from '../utils/lpnUtils.js';
+
+// Badge colors by match confidence
+const getConfidenceClass = (confidence) => {
+    if (confidence >= 0.95) return 'bg-red-900/30 text-red-400';
+    if (confidence >= 0.8) return 'bg-yellow-900/30 text-yellow-400';
+    return 'bg-blue-900/30 text-blue-400';
+};
 
 export default function UploadStatsModal({ 
     isOpen, 
@@ -17,10 +25,10 @@ export default function UploadStatsModal({
 
     const hasDuplicates = stats.duplicates && stats.duplicates.length > 0;
 
-    const handleResolutionChange = (mpn, resolution) => {
+    const handleResolutionChange = (key, resolution) => {
         setResolutions(prev => ({
             ...prev,
-            [mpn]: resolution
+            [key]: resolution
         }));
     };
 
@@ -33,7 +41,7 @@ export default function UploadStatsModal({
     };
 
     const allResolved = hasDuplicates 
-        ? stats.duplicates.every(dup => resolutions[dup.mpn])
+        ? stats.duplicates.every(dup => resolutions[dup.key])
         : true;
 
     return (
@@ -113,14 +121,26 @@ export default function UploadStatsModal({
                                                     {duplicate.newComponent.Designator}
                                                 </div>
                                                 <div className="text-sm text-gray-400">
-                                                    MPN: <span className="text-yellow-400">{duplicate.mpn}</span>
+                                                    {duplicate.mpn ? 'MPN' : 'Generic'}: <span className="text-yellow-400">{duplicate.key}</span>
                                                 </div>
                                             </div>
-                                            <span className="px-2 py-1 bg-yellow-900/30 text-yellow-400 text-xs rounded">
-                                                Duplicate
+                                            <span className={`px-2 py-1 text-xs rounded ${getConfidenceClass(duplicate.confidence ?? 1)}`}>
+                                                {Math.round((duplicate.confidence ?? 1) * 100)}% match
                                             </span>
                                         </div>
 
+                                        {/* Why it matched */}
+                                        {duplicate.reasons?.length > 0 && (
+                                            <ul className="text-xs text-gray-400 mb-3 space-y-0.5">
+                                                {duplicate.reasons.map(reason => (
+                                                    <li key={reason}>• {reason}</li>
+                                                ))}
+                                                {duplicate.candidates?.length > 1 && (
+                                                    <li>• {duplicate.candidates.length - 1} other library candidate{duplicate.candidates.length > 2 ? 's' : ''}</li>
+                                                )}
+                                            </ul>
+                                        )}
+
                                         {/* Comparison */}
                                         <div className="grid md:grid-cols-2 gap-4 mb-4">
                                             {/* Existing Component */}
@@ -132,6 +152,10 @@ export default function UploadStatsModal({
                                                     Existing in Library
                                                 </div>
                                                 <div className="text-sm space-y-1">
+                                                    <div className="flex justify-between">
+                                                        <span className="text-gray-400">MPN:</span>
+                                                        <span className="text-white">{extractMPN(duplicate.existingComponent) || '-'}</span>
+                                                    </div>
                                                     <div className="flex justify-between">
                                                         <span className="text-gray-400">Designator:</span>
                                                         <span className="text-white">{duplicate.existingComponent.Designator}</span>
@@ -189,14 +213,14 @@ export default function UploadStatsModal({
                                                     type="radio"
                                                     name={`resolution-${idx}`}
                                                     value="merge"
-                                                    checked={resolutions[duplicate.mpn] === 'merge'}
-                                                    onChange={(e) => handleResolutionChange(duplicate.mpn, e.target.value)}
+                                                    checked={resolutions[duplicate.key] === 'merge'}
+                                                    onChange={(e) => handleResolutionChange(duplicate.key, e.target.value)}
                                                     className="mt-1"
                                                 />
                                                 <div className="flex-1">
-                                                    <div className="font-medium text-white">Merge & Update Quantity</div>
+                                                    <div className="font-medium text-white">Use Library Part</div>
                                                     <div className="text-xs text-gray-400 mt-1">
-                                                        Keep existing component, add quantities together
+                                                        Add this placement to the existing library part
                                                     </div>
                                                 </div>
                                             </label>
@@ -206,14 +230,14 @@ export default function UploadStatsModal({
                                                     type="radio"
                                                     name={`resolution-${idx}`}
                                                     value="separate"
-                                                    checked={resolutions[duplicate.mpn] === 'separate'}
-                                                    onChange={(e) => handleResolutionChange(duplicate.mpn, e.target.value)}
+                                                    checked={resolutions[duplicate.key] === 'separate'}
+                                                    onChange={(e) => handleResolutionChange(duplicate.key, e.target.value)}
                                                     className="mt-1"
                                                 />
                                                 <div className="flex-1">
                                                     <div className="font-medium text-white">Keep Separate</div>
                                                     <div className="text-xs text-gray-400 mt-1">
-                                                        Create new component with different LPN
+                                                        Create a second library part with its own LPN
                                                     </div>
                                                 </div>
                                             </label>
@@ -223,8 +247,8 @@ export default function UploadStatsModal({
                                                     type="radio"
                                                     name={`resolution-${idx}`}
                                                     value="skip"
-                                                    checked={resolutions[duplicate.mpn] === 'skip'}
-                                                    onChange={(e) => handleResolutionChange(duplicate.mpn, e.target.value)}
+                                                    checked={resolutions[duplicate.key] === 'skip'}
+                                                    onChange={(e) => handleResolutionChange(duplicate.key, e.target.value)}
                                                     className="mt-1"
                                                 />
                                                 <div className="flex-1">
@@ -251,7 +275,7 @@ export default function UploadStatsModal({
                                     // Auto-select "merge" for all
                                     const autoResolutions = {};
                                     stats.duplicates.forEach(dup => {
-                                        autoResolutions[dup.mpn] = 'merge';
+                                        autoResolutions[dup.key] = 'merge';
                                     });
                                     setResolutions(autoResolutions);
                                 }}
@@ -1,15 +1,29 @@
 /**
  * @file UserProfile.jsx
- * @description User profile display and logout component
+ * @description User profile display, workspace switcher and logout component
  */
 
 import { useState } from 'react';
 import { useAuth } from '../hooks/useAuth.js';
+import { useWorkspace } from '../context/WorkspaceContext.jsx';
+import { useToastContext } from '../context/ToastContext.jsx';
+import { ROLE_LABELS } from '../utils/workspaces.js';
+import WorkspaceModal from './WorkspaceModal.jsx';
 
 export default function UserProfile() {
     const { user, logout, isAuthenticated } = useAuth();
+    const {
+        workspaces,
+        invitations,
+        activeWorkspace,
+        switchWorkspace,
+        acceptWorkspaceInvitation,
+        removeInvitation
+    } = useWorkspace();
+    const toast = useToastContext();
     const [isDropdownOpen, setIsDropdownOpen] = useState(false);
     const [isLoggingOut, setIsLoggingOut] = useState(false);
+    const [isWorkspaceModalOpen, setIsWorkspaceModalOpen] = useState(false);
 
     if (!isAuthenticated || !user) {
         return null;
@@ -22,6 +36,30 @@ export default function UserProfile() {
         setIsDropdownOpen(false);
     };
 
+    const handleSwitch = (workspaceId) => {
+        switchWorkspace(workspaceId);
+        setIsDropdownOpen(false);
+    };
+
+    const handleAccept = async (invitation) => {
+        const result = await acceptWorkspaceInvitation(invitation);
+        if (result.success) {
+            toast.success(`Joined "${result.workspace.name}" as ${ROLE_LABELS[result.workspace.role]}`);
+            setIsDropdownOpen(false);
+        } else {
+            toast.error(result.error);
+        }
+    };
+
+    const handleDecline = async (invitation) => {
+        const result = await removeInvitation(invitation.id);
+        if (!result.success) toast.error(result.error);
+    };
+
+    const workspaceButtonClass = (active) => `w-full flex items-center justify-between gap-2 px-3 py-2 text-left text-sm rounded-lg transition-colors ${
+        active ? 'bg-keylife-accent/20 text-keylife-accent' : 'text-gray-300 hover:bg-gray-700'
+    }`;
+
     const getInitials = (name) => {
         if (!name) return '?';
         return name
@@ -45,7 +83,13 @@ export default function UserProfile() {
                 </div>
                 <span className="hidden md:inline text-sm text-white">
                     {user.displayName}
+                    <span className="block text-xs text-gray-400 text-left">
+                        {activeWorkspace ? activeWorkspace.name : 'Personal library'}
+                    </span>
                 </span>
+                {invitations.length > 0 && (
+                    <span className="w-2 h-2 rounded-full bg-yellow-400" title="Pending workspace invitations" />
+                )}
                 <svg 
                     className={`w-4 h-4 text-gray-400 transition-transform ${isDropdownOpen ? 'rotate-180' : ''}`}
                     fill="none" 
@@ -80,6 +124,62 @@ export default function UserProfile() {
                             </p>
                         </div>
 
+                        {/* Workspaces */}
+                        <div className="p-2 border-b border-gray-700">
+                            <p className="px-3 py-1 text-xs font-semibold text-gray-500 uppercase">Workspace</p>
+                            <button onClick={() => handleSwitch(null)} className={workspaceButtonClass(!activeWorkspace)}>
+                                <span>Personal library</span>
+                            </button>
+                            {workspaces.map(workspace => (
+                                <button
+                                    key={workspace.id}
+                                    onClick={() => handleSwitch(workspace.id)}
+                                    className={workspaceButtonClass(activeWorkspace?.id === workspace.id)}
+                                >
+                                    <span className="truncate">{workspace.name}</span>
+                                    <span className="text-xs text-gray-500">{ROLE_LABELS[workspace.role]}</span>
+                                </button>
+                            ))}
+                            <button
+                                onClick={() => {
+                                    setIsWorkspaceModalOpen(true);
+                                    setIsDropdownOpen(false);
+                                }}
+                                className="w-full px-3 py-2 text-left text-sm text-keylife-accent hover:bg-gray-700 rounded-lg transition-colors"
+                            >
+                                Manage workspaces...
+                            </button>
+                        </div>
+
+                        {/* Invitations */}
+                        {invitations.length > 0 && (
+                            <div className="p-2 border-b border-gray-700">
+                                <p className="px-3 py-1 text-xs font-semibold text-gray-500 uppercase">Invitations</p>
+                                {invitations.map(invitation => (
+                                    <div key={invitation.id} className="px-3 py-2 text-sm">
+                                        <p className="text-white truncate">{invitation.workspaceName}</p>
+                                        <p className="text-xs text-gray-400">
+                                            as {ROLE_LABELS[invitation.role]}{invitation.invitedBy ? `, from ${invitation.invitedBy}` : ''}
+                                        </p>
+                                        <div className="flex gap-2 mt-2">
+                                            <button
+                                                onClick={() => handleAccept(invitation)}
+                                                className="bg-keylife-accent hover:bg-keylife-accent/80 text-white font-medium py-1 px-3 rounded-lg text-xs transition duration-200"
+                                            >
+                                                Join
+                                            </button>
+                                            <button
+                                                onClick={() => handleDecline(invitation)}
+                                                className="bg-gray-600 hover:bg-gray-500 text-white font-medium py-1 px-3 rounded-lg text-xs transition duration-200"
+                                            >
+                                                Decline
+                                            </button>
+                                        </div>
+                                    </div>
+                                ))}
+                            </div>
+                        )}
+
                         {/* Menu Items */}
                         <div className="p-2">
                             <button
@@ -105,6 +205,11 @@ export default function UserProfile() {
                     </div>
                 </>
             )}
+
+            <WorkspaceModal
+                isOpen={isWorkspaceModalOpen}
+                onClose={() => setIsWorkspaceModalOpen(false)}
+            />
         </div>
     );
-}
\ No newline at end of file
+}
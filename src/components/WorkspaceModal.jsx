@@ -0,0 +1,259 @@
+/**
+ * @file WorkspaceModal.jsx
+ * @description Create shared workspaces and manage the members, roles and pending
+ * invitations of the active workspace
+ */
+
+import { useCallback, useEffect, useState } from 'react';
+import { useWorkspace } from '../context/WorkspaceContext.jsx';
+import { useToastContext } from '../context/ToastContext.jsx';
+import { getCurrentUserId } from '../config/firebase.js';
+import { ROLES, ROLE_LABELS, ROLE_DESCRIPTIONS } from '../utils/workspaces.js';
+import LoadingSpinner from './LoadingSpinner.jsx';
+
+const inputClass = 'bg-gray-700 border border-gray-600 rounded-lg px-3 py-2 text-sm text-white placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-keylife-accent';
+const buttonClass = 'text-white font-medium py-2 px-4 rounded-lg text-sm transition duration-200 disabled:bg-gray-600 disabled:cursor-not-allowed';
+
+function RoleSelect({ value, onChange, disabled }) {
+    return (
+        <select value={value} onChange={(e) => onChange(e.target.value)} disabled={disabled} className={inputClass}>
+            {ROLES.map(role => (
+                <option key={role} value={role}>{ROLE_LABELS[role]}</option>
+            ))}
+        </select>
+    );
+}
+
+export default function WorkspaceModal({ isOpen, onClose }) {
+    const {
+        activeWorkspace,
+        permissions,
+        createNewWorkspace,
+        loadMembers,
+        inviteToWorkspace,
+        changeMemberRole,
+        removeWorkspaceMember,
+        removeInvitation
+    } = useWorkspace();
+    const toast = useToastContext();
+    const [newName, setNewName] = useState('');
+    const [members, setMembers] = useState(null);
+    const [pending, setPending] = useState([]);
+    const [inviteEmail, setInviteEmail] = useState('');
+    const [inviteRole, setInviteRole] = useState('editor');
+    const [isBusy, setIsBusy] = useState(false);
+    const currentUserId = getCurrentUserId();
+    const showError = toast.error;
+
+    const refresh = useCallback(async () => {
+        if (!activeWorkspace) return;
+        setMembers(null);
+        const result = await loadMembers();
+        if (result.success) {
+            setMembers(result.members);
+            setPending(result.invitations);
+        } else {
+            setMembers([]);
+            showError(result.error);
+        }
+    }, [activeWorkspace, loadMembers, showError]);
+
+    useEffect(() => {
+        if (isOpen) refresh();
+    }, [isOpen, refresh]);
+
+    if (!isOpen) return null;
+
+    // Run a workspace action, then report its result and reload the members
+    const run = async (action, successMessage) => {
+        setIsBusy(true);
+        const result = await action();
+        setIsBusy(false);
+        if (!result.success) {
+            toast.error(result.error);
+            return false;
+        }
+        if (successMessage) toast.success(successMessage);
+        await refresh();
+        return true;
+    };
+
+    const handleCreate = async () => {
+        setIsBusy(true);
+        const result = await createNewWorkspace(newName);
+        setIsBusy(false);
+        if (result.success) {
+            toast.success(`Created workspace "${result.workspace.name}"`);
+            setNewName('');
+        } else {
+            toast.error(result.error);
+        }
+    };
+
+    const handleLeave = async () => {
+        const name = activeWorkspace.name;
+        setIsBusy(true);
+        const result = await removeWorkspaceMember(currentUserId);
+        setIsBusy(false);
+        if (result.success) {
+            toast.success(`Left workspace "${name}"`);
+            onClose();
+        } else {
+            toast.error(result.error);
+        }
+    };
+
+    const handleInvite = async () => {
+        const sent = await run(() => inviteToWorkspace(inviteEmail, inviteRole), `Invited ${inviteEmail.trim()}`);
+        if (sent) setInviteEmail('');
+    };
+
+    return (
+        <div
+            className="fixed inset-0 bg-black/75 backdrop-blur-sm flex justify-center items-center z-50 p-4"
+            onClick={(e) => e.target === e.currentTarget && onClose()}
+        >
+            <div className="bg-gray-800 rounded-xl shadow-2xl w-full max-w-2xl max-h-[90vh] overflow-y-auto ring-1 ring-keylife-accent/30">
+                {/* Header */}
+                <div className="sticky top-0 bg-gray-800 border-b border-gray-700 p-6 z-10">
+                    <div className="flex justify-between items-start">
+                        <div>
+                            <h2 className="text-2xl font-bold text-white">Workspaces</h2>
+                            <p className="text-sm text-gray-400 mt-1">
+                                Share one component library with your team
+                            </p>
+                        </div>
+                        <button
+                            onClick={onClose}
+                            className="text-gray-400 hover:text-white transition-colors p-2 hover:bg-gray-700 rounded-lg"
+                        >
+                            <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M6 18L18 6M6 6l12 12" />
+                            </svg>
+                        </button>
+                    </div>
+                </div>
+
+                <div className="p-6 space-y-6">
+                    {/* Create */}
+                    <div>
+                        <h3 className="text-lg font-semibold text-keylife-accent mb-3">New Workspace</h3>
+                        <div className="flex gap-2">
+                            <input
+                                type="text"
+                                placeholder="Workspace name, e.g. R&D Team"
+                                value={newName}
+                                onChange={(e) => setNewName(e.target.value)}
+                                className={`${inputClass} flex-1`}
+                            />
+                            <button
+                                onClick={handleCreate}
+                                disabled={isBusy || !newName.trim()}
+                                className={`${buttonClass} bg-keylife-accent hover:bg-keylife-accent/80`}
+                            >
+                                Create
+                            </button>
+                        </div>
+                    </div>
+
+                    {/* Members of the active workspace */}
+                    <div>
+                        <h3 className="text-lg font-semibold text-keylife-accent mb-1">
+                            {activeWorkspace ? `Members of ${activeWorkspace.name}` : 'Members'}
+                        </h3>
+
+                        {!activeWorkspace && (
+                            <p className="text-sm text-gray-400">
+                                You are in your personal library. Switch to a workspace in the profile menu to manage its members.
+                            </p>
+                        )}
+
+                        {activeWorkspace && !members && (
+                            <div className="flex justify-center py-4">
+                                <LoadingSpinner size="sm" message="Loading members..." />
+                            </div>
+                        )}
+
+                        {activeWorkspace && members && (
+                            <ul className="rounded-lg border border-gray-700 text-sm mt-3">
+                                {members.map(member => (
+                                    <li key={member.uid} className="flex flex-wrap justify-between items-center gap-3 px-4 py-2 border-b border-gray-700 last:border-0">
+                                        <div className="min-w-0">
+                                            <p className="text-white truncate">{member.displayName || member.email}</p>
+                                            <p className="text-xs text-gray-500 truncate">{member.email}</p>
+                                        </div>
+                                        <div className="flex items-center gap-2">
+                                            {permissions.manageMembers ? (
+                                                <RoleSelect
+                                                    value={member.role}
+                                                    disabled={isBusy}
+                                                    onChange={(role) => run(() => changeMemberRole(member.uid, role), `Changed role to ${ROLE_LABELS[role]}`)}
+                                                />
+                                            ) : (
+                                                <span className="text-xs text-gray-400">{ROLE_LABELS[member.role]}</span>
+                                            )}
+                                            {(permissions.manageMembers || member.uid === currentUserId) && (
+                                                <button
+                                                    onClick={() => (member.uid === currentUserId ? handleLeave() : run(() => removeWorkspaceMember(member.uid)))}
+                                                    disabled={isBusy}
+                                                    className="bg-red-600 hover:bg-red-500 disabled:bg-gray-600 text-white font-medium py-1 px-3 rounded-lg text-xs transition duration-200"
+                                                >
+                                                    {member.uid === currentUserId ? 'Leave' : 'Remove'}
+                                                </button>
+                                            )}
+                                        </div>
+                                    </li>
+                                ))}
+                            </ul>
+                        )}
+                    </div>
+
+                    {/* Invitations */}
+                    {activeWorkspace && permissions.manageMembers && (
+                        <div>
+                            <h3 className="text-lg font-semibold text-keylife-accent mb-3">Invite</h3>
+                            <div className="flex flex-wrap gap-2">
+                                <input
+                                    type="email"
+                                    placeholder="colleague@example.com"
+                                    value={inviteEmail}
+                                    onChange={(e) => setInviteEmail(e.target.value)}
+                                    className={`${inputClass} flex-1`}
+                                />
+                                <RoleSelect value={inviteRole} onChange={setInviteRole} disabled={isBusy} />
+                                <button
+                                    onClick={handleInvite}
+                                    disabled={isBusy || !inviteEmail.trim()}
+                                    className={`${buttonClass} bg-keylife-accent hover:bg-keylife-accent/80`}
+                                >
+                                    Invite
+                                </button>
+                            </div>
+                            <p className="text-xs text-gray-500 mt-2">{ROLE_DESCRIPTIONS[inviteRole]}</p>
+
+                            {pending.length > 0 && (
+                                <ul className="rounded-lg border border-gray-700 text-sm mt-3">
+                                    {pending.map(invitation => (
+                                        <li key={invitation.id} className="flex justify-between items-center gap-3 px-4 py-2 border-b border-gray-700 last:border-0">
+                                            <span className="text-gray-300 truncate">
+                                                {invitation.email}
+                                                <span className="ml-2 text-xs text-gray-500">{ROLE_LABELS[invitation.role]}, pending</span>
+                                            </span>
+                                            <button
+                                                onClick={() => run(() => removeInvitation(invitation.id))}
+                                                disabled={isBusy}
+                                                className="bg-gray-600 hover:bg-gray-500 text-white font-medium py-1 px-3 rounded-lg text-xs transition duration-200"
+                                            >
+                                                Withdraw
+                                            </button>
+                                        </li>
+                                    ))}
+                                </ul>
+                            )}
+                        </div>
+                    )}
+                </div>
+            </div>
+        </div>
+    );
+}
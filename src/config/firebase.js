@@ -142,6 +142,7 @@ export function subscribeToAuthChanges(callback) {
             callback({
                 uid: user.uid,
                 email: user.email,
+                emailVerified: user.emailVerified,
                 displayName: user.displayName || user.email
             });
         } else {
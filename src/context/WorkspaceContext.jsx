@@ -0,0 +1,249 @@
+/**
+ * @file WorkspaceContext.jsx
+ * @description Context provider for the active library: the user's personal library or a
+ * shared team workspace, with the user's role and permissions in it
+ */
+
+import { createContext, useCallback, useContext, useEffect, useMemo, useState } from 'react';
+import { subscribeToAuthChanges } from '../config/firebase.js';
+import {
+    createWorkspace,
+    getUserWorkspaces,
+    getWorkspaceMembers,
+    inviteMember,
+    getWorkspaceInvitations,
+    getInvitationsForEmail,
+    acceptInvitation,
+    deleteInvitation,
+    updateMemberRole,
+    removeMember
+} from '../services/workspaceService.js';
+import { getPermissions, getWorkspaceLibraryId } from '../utils/workspaces.js';
+
+// The owner of a personal library may do everything
+const PERSONAL_ROLE = 'admin';
+
+const WorkspaceContext = createContext(null);
+
+// Used outside a WorkspaceProvider: always the personal library
+const personalLibrary = {
+    workspaces: [],
+    invitations: [],
+    activeWorkspace: null,
+    role: PERSONAL_ROLE,
+    permissions: getPermissions(PERSONAL_ROLE),
+    libraryId: null
+};
+
+const getStorageKey = (uid) => `keylife_active_workspace_${uid}`;
+
+export function WorkspaceProvider({ children }) {
+    const [user, setUser] = useState(null);
+    const [workspaces, setWorkspaces] = useState([]);
+    const [invitations, setInvitations] = useState([]);
+    const [activeWorkspaceId, setActiveWorkspaceId] = useState(null);
+
+    useEffect(() => subscribeToAuthChanges(setUser), []);
+
+    /**
+     * Reload the user's workspaces and pending invitations
+     */
+    const refreshWorkspaces = useCallback(async () => {
+        if (!user) return { success: false, error: 'User not authenticated' };
+
+        try {
+            // Invitations can only be read and accepted with a verified email address
+            const [userWorkspaces, pending] = await Promise.all([
+                getUserWorkspaces(user.uid),
+                user.emailVerified ? getInvitationsForEmail(user.email) : []
+            ]);
+            setWorkspaces(userWorkspaces);
+            setInvitations(pending);
+            return { success: true, workspaces: userWorkspaces };
+        } catch (err) {
+            return { success: false, error: 'Failed to load workspaces: ' + err.message };
+        }
+    }, [user]);
+
+    useEffect(() => {
+        if (!user) {
+            setWorkspaces([]);
+            setInvitations([]);
+            setActiveWorkspaceId(null);
+            return;
+        }
+        setActiveWorkspaceId(localStorage.getItem(getStorageKey(user.uid)) || null);
+        refreshWorkspaces().then(result => {
+            if (!result.success) console.error(result.error);
+        });
+    }, [user, refreshWorkspaces]);
+
+    /**
+     * Switch to a workspace, or to the personal library with null
+     */
+    const switchWorkspace = useCallback((workspaceId) => {
+        setActiveWorkspaceId(workspaceId || null);
+        if (!user) return;
+        if (workspaceId) {
+            localStorage.setItem(getStorageKey(user.uid), workspaceId);
+        } else {
+            localStorage.removeItem(getStorageKey(user.uid));
+        }
+    }, [user]);
+
+    /**
+     * Create a workspace and switch to it
+     */
+    const createNewWorkspace = useCallback(async (name) => {
+        if (!user) return { success: false, error: 'User not authenticated' };
+
+        try {
+            const workspace = await createWorkspace(user, name);
+            setWorkspaces(current => [...current, workspace].sort((a, b) => a.name.localeCompare(b.name)));
+            switchWorkspace(workspace.id);
+            return { success: true, workspace };
+        } catch (err) {
+            return { success: false, error: 'Failed to create workspace: ' + err.message };
+        }
+    }, [user, switchWorkspace]);
+
+    /**
+     * Join the workspace of an invitation and switch to it
+     */
+    const acceptWorkspaceInvitation = useCallback(async (invitation) => {
+        if (!user) return { success: false, error: 'User not authenticated' };
+
+        try {
+            const workspace = await acceptInvitation(user, invitation);
+            setInvitations(current => current.filter(item => item.id !== invitation.id));
+            setWorkspaces(current => [...current.filter(item => item.id !== workspace.id), workspace]
+                .sort((a, b) => a.name.localeCompare(b.name)));
+            switchWorkspace(workspace.id);
+            return { success: true, workspace };
+        } catch (err) {
+            return { success: false, error: 'Failed to join workspace: ' + err.message };
+        }
+    }, [user, switchWorkspace]);
+
+    /**
+     * Decline an invitation sent to the user, or withdraw one sent by an admin
+     */
+    const removeInvitation = useCallback(async (invitationId) => {
+        try {
+            await deleteInvitation(invitationId);
+            setInvitations(current => current.filter(item => item.id !== invitationId));
+            return { success: true };
+        } catch (err) {
+            return { success: false, error: 'Failed to remove invitation: ' + err.message };
+        }
+    }, []);
+
+    const activeWorkspace = useMemo(
+        () => workspaces.find(workspace => workspace.id === activeWorkspaceId) || null,
+        [workspaces, activeWorkspaceId]
+    );
+
+    /**
+     * Load the members and pending invitations of the active workspace
+     */
+    const loadMembers = useCallback(async () => {
+        if (!activeWorkspace) return { success: false, error: 'No workspace selected' };
+
+        try {
+            const [members, pending] = await Promise.all([
+                getWorkspaceMembers(activeWorkspace.id),
+                getWorkspaceInvitations(activeWorkspace.id)
+            ]);
+            return { success: true, members, invitations: pending };
+        } catch (err) {
+            return { success: false, error: 'Failed to load members: ' + err.message };
+        }
+    }, [activeWorkspace]);
+
+    /**
+     * Invite someone to the active workspace
+     */
+    const inviteToWorkspace = useCallback(async (email, role) => {
+        if (!activeWorkspace) return { success: false, error: 'No workspace selected' };
+
+        try {
+            const invitation = await inviteMember(activeWorkspace, email, role, user?.email);
+            return { success: true, invitation };
+        } catch (err) {
+            return { success: false, error: 'Failed to invite member: ' + err.message };
+        }
+    }, [activeWorkspace, user]);
+
+    /**
+     * Change the role of a member of the active workspace
+     */
+    const changeMemberRole = useCallback(async (memberId, role) => {
+        if (!activeWorkspace) return { success: false, error: 'No workspace selected' };
+
+        try {
+            await updateMemberRole(activeWorkspace.id, memberId, role);
+            if (memberId === user?.uid) {
+                setWorkspaces(current => current.map(item => (item.id === activeWorkspace.id ? { ...item, role } : item)));
+            }
+            return { success: true };
+        } catch (err) {
+            return { success: false, error: 'Failed to change role: ' + err.message };
+        }
+    }, [activeWorkspace, user]);
+
+    /**
+     * Remove a member from the active workspace; removing yourself leaves it
+     */
+    const removeWorkspaceMember = useCallback(async (memberId) => {
+        if (!activeWorkspace) return { success: false, error: 'No workspace selected' };
+
+        try {
+            await removeMember(activeWorkspace.id, memberId);
+            if (memberId === user?.uid) {
+                setWorkspaces(current => current.filter(item => item.id !== activeWorkspace.id));
+                switchWorkspace(null);
+            }
+            return { success: true };
+        } catch (err) {
+            return { success: false, error: 'Failed to remove member: ' + err.message };
+        }
+    }, [activeWorkspace, user, switchWorkspace]);
+
+    const value = useMemo(() => {
+        const role = activeWorkspace ? activeWorkspace.role : PERSONAL_ROLE;
+        return {
+            workspaces,
+            invitations,
+            activeWorkspace,
+            role,
+            permissions: getPermissions(role),
+            libraryId: activeWorkspace ? getWorkspaceLibraryId(activeWorkspace.id) : null,
+            switchWorkspace,
+            refreshWorkspaces,
+            createNewWorkspace,
+            acceptWorkspaceInvitation,
+            removeInvitation,
+            loadMembers,
+            inviteToWorkspace,
+            changeMemberRole,
+            removeWorkspaceMember
+        };
+    }, [
+        workspaces, invitations, activeWorkspace, switchWorkspace, refreshWorkspaces, createNewWorkspace,
+        acceptWorkspaceInvitation, removeInvitation, loadMembers, inviteToWorkspace, changeMemberRole,
+        removeWorkspaceMember
+    ]);
+
+    return (
+        <WorkspaceContext.Provider value={value}>
+            {children}
+        </WorkspaceContext.Provider>
+    );
+}
+
+/**
+ * Active library and role. Without a WorkspaceProvider this is the personal library.
+ */
+export function useWorkspace() {
+    return useContext(WorkspaceContext) || personalLibrary;
+}
@@ -3,32 +3,109 @@
  * @description React hook for Firestore operations with real-time sync
  */
 
-import { useState, useEffect, useCallback } from 'react';
+import { useState, useEffect, useCallback, useRef } from 'react';
 import {
     subscribeToComponents,
     subscribeToProjectComponents,
+    subscribeToParts,
     addComponent,
     addComponentsBatch,
     updateComponent,
+    updatePart,
+    migrateLegacyComponents,
     deleteComponent,
-    deleteProjectComponents,
-    deleteAllComponents,
-    getNextLPNSequence,
+    updateComponentsBatch,
+    deleteComponentsBatch,
+    restoreComponentsBatch,
+    softDeleteProject,
+    restoreDeletedProject,
+    getDeletedProjects,
+    purgeDeletedProjects,
+    softDeleteLibrary,
+    restoreDeletedLibrary,
+    replaceProjectComponents,
+    saveBOMRevision,
+    getBOMRevisions,
+    restoreBOMRevision,
+    createLPNRequest,
+    issueLPN,
+    issueLPNsInBatch,
+    rejectLPNRequest,
+    setLPNLifecycle,
+    addAlternateMPN,
+    changeLockedMPN,
     saveUserSettings,
     loadUserSettings,
     getAllComponents,
     checkMPNExists,
-    findLPNForMPN // <-- Corrected: Ensure this function is imported from firestoreService.js
+    findLPNForMPN, // <-- Corrected: Ensure this function is imported from firestoreService.js
+    backfillLPNRegistry,
+    findLPNForPart,
+    getComponentHistory
 } from '../services/firestoreService.js';
+import { invertChanges } from '../utils/bulkEdit.js';
+import { createOperationLog, recordOperation, takeUndo, takeRedo } from '../utils/operationLog.js';
+import { AUDIT_SOURCES } from '../utils/auditTrail.js';
 
+import { useWorkspace } from '../context/WorkspaceContext.jsx';
 import { getCurrentUserId, auth } from '../config/firebase.js';
 import { onAuthStateChanged } from 'firebase/auth';
 
+/**
+ * Who made a change and where it came from, for the audit history
+ */
+function createAudit(source) {
+    return {
+        source,
+        userId: auth.currentUser?.uid || null,
+        userEmail: auth.currentUser?.email || null
+    };
+}
+
+/**
+ * Write a logged operation again (redo) or revert it (undo)
+ */
+async function applyOperation(libraryId, operation, direction) {
+    const undo = direction === 'undo';
+    const audit = createAudit(undo ? AUDIT_SOURCES.UNDO : AUDIT_SOURCES.REDO);
+    switch (operation.type) {
+        case 'update':
+            return updateComponentsBatch(libraryId, undo ? invertChanges(operation.changes) : operation.changes, { parts: operation.parts, audit });
+        case 'delete':
+            return undo
+                ? restoreComponentsBatch(libraryId, operation.components, audit)
+                : deleteComponentsBatch(libraryId, operation.components, audit);
+        case 'deleteProject':
+            return undo
+                ? restoreDeletedProject(libraryId, operation.projectName, audit)
+                : softDeleteProject(libraryId, operation.projectName, audit);
+        case 'clearLibrary':
+            return undo
+                ? restoreDeletedLibrary(libraryId, operation.deletedAt, audit)
+                : softDeleteLibrary(libraryId, audit, operation.deletedAt);
+        default:
+            throw new Error(`Unknown operation "${operation.type}"`);
+    }
+}
+
+// Libraries whose LPNs were registered in this session (the hook is used by many components)
+const backfilledLibraries = new Set();
+
+// Users whose legacy components were migrated in this session, so concurrent hooks don't race
+const migratedUsers = new Set();
+
 export const useFirestore = () => {
     const [components, setComponents] = useState([]);
+    const [parts, setParts] = useState([]);
     const [loading, setLoading] = useState(true);
     const [error, setError] = useState('');
     const [userId, setUserId] = useState(null);
+    // Library to read and write: the active shared workspace or the user's personal library
+    const { libraryId: workspaceLibraryId, permissions } = useWorkspace();
+    const libraryId = userId ? (workspaceLibraryId || userId) : null;
+    // Operations that can be undone/redone during this session
+    const [history, setHistory] = useState(createOperationLog);
+    const historyBusyRef = useRef(false);
 
     // Get current user ID and subscribe to auth changes
     useEffect(() => {
@@ -47,12 +124,17 @@ export const useFirestore = () => {
     }, []);
 
 
-    // Subscribe to components when userId is available
+    // Operations of another library cannot be undone here
+    useEffect(() => {
+        setHistory(createOperationLog());
+    }, [libraryId]);
+
+    // Subscribe to components when the library is known
     useEffect(() => {
-        if (!userId) return;
+        if (!libraryId) return;
 
         setLoading(true);
-        const unsubscribe = subscribeToComponents(userId, (data, err) => {
+        const unsubscribe = subscribeToComponents(libraryId, (data, err) => {
             if (err) {
                 setError('Failed to load components: ' + err.message);
                 setLoading(false);
@@ -64,135 +146,524 @@ export const useFirestore = () => {
         });
 
         return unsubscribe;
+    }, [libraryId]);
+
+    // Subscribe to library parts (Parts view)
+    useEffect(() => {
+        if (!libraryId) return;
+
+        return subscribeToParts(libraryId, (data, err) => {
+            if (err) {
+                setError('Failed to load parts: ' + err.message);
+                return;
+            }
+            setParts(data || []);
+        });
+    }, [libraryId]);
+
+    // Move components stored before the parts/placements split, once per user and session
+    useEffect(() => {
+        if (!userId || migratedUsers.has(userId)) return;
+        migratedUsers.add(userId);
+
+        migrateLegacyComponents(userId)
+            .then(count => {
+                if (count > 0) console.log(`Firestore: Migrated ${count} components to parts and placements`);
+            })
+            .catch(err => {
+                migratedUsers.delete(userId);
+                setError('Failed to migrate components: ' + err.message);
+            });
     }, [userId]);
 
+    // Register LPNs issued before the global LPN registry existed, once per library and session.
+    // Only librarians write the registry; a failure is logged and retried in the next session
+    const { manageLibrary } = permissions;
+    useEffect(() => {
+        if (!libraryId || !manageLibrary || backfilledLibraries.has(libraryId)) return;
+        backfilledLibraries.add(libraryId);
+
+        backfillLPNRegistry(libraryId, createAudit(AUDIT_SOURCES.LPN))
+            .then(({ registered, conflicts }) => {
+                if (registered > 0) console.log(`Firestore: Registered ${registered} LPNs in the LPN registry`);
+                if (conflicts.length > 0) console.warn('Firestore: LPNs differing from the LPN registry:', conflicts);
+            })
+            .catch(err => console.error('Firestore: Failed to register LPNs:', err));
+    }, [libraryId, manageLibrary]);
+
     /**
      * Add a single component
      */
-    const addNewComponent = useCallback(async (componentData) => {
-        if (!userId) {
+    const addNewComponent = useCallback(async (componentData, { source = AUDIT_SOURCES.EDIT } = {}) => {
+        if (!libraryId) {
             setError('User not authenticated');
             return { success: false, error: 'User not authenticated' };
         }
 
         try {
-            await addComponent(userId, componentData);
+            await addComponent(libraryId, componentData, createAudit(source));
             return { success: true };
         } catch (err) {
             const errorMsg = 'Failed to add component: ' + err.message;
             setError(errorMsg);
             return { success: false, error: errorMsg };
         }
-    }, [userId]);
+    }, [libraryId]);
 
     /**
      * Add multiple components
      */
-    const addComponentsInBatch = useCallback(async (componentsArray) => {
-        if (!userId) {
+    const addComponentsInBatch = useCallback(async (componentsArray, { source = AUDIT_SOURCES.UPLOAD } = {}) => {
+        if (!libraryId) {
             setError('User not authenticated');
             return { success: false, error: 'User not authenticated' };
         }
 
         try {
-            await addComponentsBatch(userId, componentsArray);
+            await addComponentsBatch(libraryId, componentsArray, createAudit(source));
             return { success: true, count: componentsArray.length };
         } catch (err) {
             const errorMsg = 'Failed to add components: ' + err.message;
             setError(errorMsg);
             return { success: false, error: errorMsg };
         }
-    }, [userId]);
+    }, [libraryId]);
 
     /**
-     * Update a component
+     * Update a component. `source` is recorded in its audit history.
      */
-    const updateExistingComponent = useCallback(async (componentId, updates) => {
-        if (!userId) {
+    const updateExistingComponent = useCallback(async (componentId, updates, { source = AUDIT_SOURCES.EDIT } = {}) => {
+        if (!libraryId) {
             setError('User not authenticated');
             return { success: false, error: 'User not authenticated' };
         }
 
         try {
-            await updateComponent(userId, componentId, updates);
+            await updateComponent(libraryId, componentId, updates, createAudit(source));
             return { success: true };
         } catch (err) {
             const errorMsg = 'Failed to update component: ' + err.message;
             setError(errorMsg);
             return { success: false, error: errorMsg };
         }
-    }, [userId]);
+    }, [libraryId]);
+
+    /**
+     * Update a library part (applies to every project using it)
+     */
+    const updateExistingPart = useCallback(async (partId, updates, { source = AUDIT_SOURCES.EDIT } = {}) => {
+        if (!libraryId) {
+            setError('User not authenticated');
+            return { success: false, error: 'User not authenticated' };
+        }
+
+        try {
+            await updatePart(libraryId, partId, updates, createAudit(source));
+            return { success: true };
+        } catch (err) {
+            const errorMsg = 'Failed to update part: ' + err.message;
+            setError(errorMsg);
+            return { success: false, error: errorMsg };
+        }
+    }, [libraryId]);
 
     /**
      * Delete a component
      */
     const removeComponent = useCallback(async (componentId) => {
-        if (!userId) {
+        if (!libraryId) {
             setError('User not authenticated');
             return { success: false, error: 'User not authenticated' };
         }
 
         try {
-            await deleteComponent(userId, componentId);
+            await deleteComponent(libraryId, componentId);
             return { success: true };
         } catch (err) {
             const errorMsg = 'Failed to delete component: ' + err.message;
             setError(errorMsg);
             return { success: false, error: errorMsg };
         }
-    }, [userId]);
+    }, [libraryId]);
+
+    /**
+     * Add an operation written elsewhere (e.g. LPN assignment) to the undo log
+     */
+    const recordHistory = useCallback((operation) => {
+        if (operation.count > 0) setHistory(log => recordOperation(log, operation));
+    }, []);
+
+    /**
+     * Update many components (or, with `parts`, library parts) in batched writes
+     */
+    const updateComponentsInBatch = useCallback(async (changes, { label = 'Bulk edit', parts = false, source = AUDIT_SOURCES.BULK } = {}) => {
+        if (!libraryId) {
+            setError('User not authenticated');
+            return { success: false, error: 'User not authenticated' };
+        }
+
+        try {
+            const count = await updateComponentsBatch(libraryId, changes, { parts, audit: createAudit(source) });
+            recordHistory({ type: 'update', label, changes, parts, count });
+            return { success: true, count };
+        } catch (err) {
+            const errorMsg = 'Failed to update components: ' + err.message;
+            setError(errorMsg);
+            return { success: false, error: errorMsg };
+        }
+    }, [libraryId, recordHistory]);
+
+    /**
+     * Delete many components in batched writes
+     */
+    const removeComponentsInBatch = useCallback(async (componentsArray, { label = 'Bulk delete', source = AUDIT_SOURCES.BULK } = {}) => {
+        if (!libraryId) {
+            setError('User not authenticated');
+            return { success: false, error: 'User not authenticated' };
+        }
+
+        try {
+            const count = await deleteComponentsBatch(libraryId, componentsArray, createAudit(source));
+            recordHistory({ type: 'delete', label, components: componentsArray, count });
+            return { success: true, count };
+        } catch (err) {
+            const errorMsg = 'Failed to delete components: ' + err.message;
+            setError(errorMsg);
+            return { success: false, error: errorMsg };
+        }
+    }, [libraryId, recordHistory]);
+
+    /**
+     * Undo or redo the next operation in the log
+     */
+    const stepHistory = useCallback(async (direction) => {
+        if (!libraryId) {
+            setError('User not authenticated');
+            return { success: false, error: 'User not authenticated' };
+        }
+
+        const step = direction === 'undo' ? takeUndo(history) : takeRedo(history);
+        if (!step) {
+            return { success: false, error: `Nothing to ${direction}` };
+        }
+        // Ignore repeated shortcuts while an operation is still being written
+        if (historyBusyRef.current) {
+            return { success: false, error: 'Another undo/redo is in progress' };
+        }
+
+        const { operation } = step;
+        historyBusyRef.current = true;
+        try {
+            await applyOperation(libraryId, operation, direction);
+            setHistory(step.log);
+            return { success: true, label: operation.label, count: operation.count };
+        } catch (err) {
+            const errorMsg = `Failed to ${direction} "${operation.label}": ` + err.message;
+            setError(errorMsg);
+            return { success: false, error: errorMsg };
+        } finally {
+            historyBusyRef.current = false;
+        }
+    }, [libraryId, history]);
+
+    const undoOperation = useCallback(() => stepHistory('undo'), [stepHistory]);
+    const redoOperation = useCallback(() => stepHistory('redo'), [stepHistory]);
 
     /**
      * Delete all components in a project
      */
     const removeProject = useCallback(async (projectName) => {
-        if (!userId) {
+        if (!libraryId) {
             setError('User not authenticated');
             return { success: false, error: 'User not authenticated' };
         }
 
         try {
-            await deleteProjectComponents(userId, projectName);
-            return { success: true };
+            const count = await softDeleteProject(libraryId, projectName, createAudit(AUDIT_SOURCES.EDIT));
+            recordHistory({ type: 'deleteProject', label: `Delete project "${projectName}"`, projectName, count });
+            return { success: true, count };
         } catch (err) {
             const errorMsg = 'Failed to delete project: ' + err.message;
             setError(errorMsg);
             return { success: false, error: errorMsg };
         }
-    }, [userId]);
+    }, [libraryId, recordHistory]);
+
+    /**
+     * List soft-deleted projects that can still be restored
+     */
+    const loadDeletedProjects = useCallback(async () => {
+        if (!libraryId) {
+            return { success: false, error: 'User not authenticated' };
+        }
+
+        try {
+            const projects = await getDeletedProjects(libraryId);
+            return { success: true, projects };
+        } catch (err) {
+            const errorMsg = 'Failed to load deleted projects: ' + err.message;
+            setError(errorMsg);
+            return { success: false, error: errorMsg };
+        }
+    }, [libraryId]);
+
+    /**
+     * Restore a soft-deleted project
+     */
+    const restoreProject = useCallback(async (projectName) => {
+        if (!libraryId) {
+            setError('User not authenticated');
+            return { success: false, error: 'User not authenticated' };
+        }
+
+        try {
+            const count = await restoreDeletedProject(libraryId, projectName, createAudit(AUDIT_SOURCES.EDIT));
+            return { success: true, count };
+        } catch (err) {
+            const errorMsg = 'Failed to restore project: ' + err.message;
+            setError(errorMsg);
+            return { success: false, error: errorMsg };
+        }
+    }, [libraryId]);
+
+    /**
+     * Permanently remove soft-deleted projects past the retention period
+     */
+    const purgeExpiredProjects = useCallback(async (retentionDays) => {
+        if (!libraryId) {
+            return { success: false, error: 'User not authenticated' };
+        }
+
+        try {
+            const purged = await purgeDeletedProjects(libraryId, retentionDays);
+            return { success: true, purged };
+        } catch (err) {
+            const errorMsg = 'Failed to purge deleted projects: ' + err.message;
+            setError(errorMsg);
+            return { success: false, error: errorMsg };
+        }
+    }, [libraryId]);
+
+    /**
+     * Replace a project's active BOM with newly uploaded components
+     */
+    const replaceProjectInBatch = useCallback(async (projectName, componentsArray) => {
+        if (!libraryId) {
+            setError('User not authenticated');
+            return { success: false, error: 'User not authenticated' };
+        }
+
+        try {
+            await replaceProjectComponents(libraryId, projectName, componentsArray, createAudit(AUDIT_SOURCES.UPLOAD));
+            return { success: true, count: componentsArray.length };
+        } catch (err) {
+            const errorMsg = 'Failed to add components: ' + err.message;
+            setError(errorMsg);
+            return { success: false, error: errorMsg };
+        }
+    }, [libraryId]);
+
+    /**
+     * Record an upload as the next revision of its project
+     */
+    const recordRevision = useCallback(async (projectName, revision) => {
+        if (!libraryId) {
+            setError('User not authenticated');
+            return { success: false, error: 'User not authenticated' };
+        }
+
+        try {
+            const number = await saveBOMRevision(libraryId, projectName, revision);
+            return { success: true, number };
+        } catch (err) {
+            const errorMsg = 'Failed to save BOM revision: ' + err.message;
+            setError(errorMsg);
+            return { success: false, error: errorMsg };
+        }
+    }, [libraryId]);
 
     /**
-     * Clear all components
+     * Load the revisions of a project
+     */
+    const loadRevisions = useCallback(async (projectName) => {
+        if (!libraryId) {
+            return { success: false, error: 'User not authenticated' };
+        }
+
+        try {
+            const { revisions, activeRevision } = await getBOMRevisions(libraryId, projectName);
+            return { success: true, revisions, activeRevision };
+        } catch (err) {
+            const errorMsg = 'Failed to load BOM revisions: ' + err.message;
+            setError(errorMsg);
+            return { success: false, error: errorMsg };
+        }
+    }, [libraryId]);
+
+    /**
+     * Restore an earlier revision as the active BOM of a project
+     */
+    const restoreRevision = useCallback(async (projectName, number) => {
+        if (!libraryId) {
+            setError('User not authenticated');
+            return { success: false, error: 'User not authenticated' };
+        }
+
+        try {
+            const restored = await restoreBOMRevision(libraryId, projectName, number, createAudit(AUDIT_SOURCES.REVISION));
+            return { success: true, count: restored.length };
+        } catch (err) {
+            const errorMsg = 'Failed to restore revision: ' + err.message;
+            setError(errorMsg);
+            return { success: false, error: errorMsg };
+        }
+    }, [libraryId]);
+
+    /**
+     * Clear all components; they are soft-deleted and purged with deleted projects
      */
     const clearAllComponents = useCallback(async () => {
-        if (!userId) {
+        if (!libraryId) {
             setError('User not authenticated');
             return { success: false, error: 'User not authenticated' };
         }
 
         try {
-            await deleteAllComponents(userId);
+            const { deletedAt, count } = await softDeleteLibrary(libraryId, createAudit(AUDIT_SOURCES.EDIT));
+            recordHistory({ type: 'clearLibrary', label: 'Clear library', deletedAt, count });
             return { success: true };
         } catch (err) {
             const errorMsg = 'Failed to clear components: ' + err.message;
             setError(errorMsg);
             return { success: false, error: errorMsg };
         }
-    }, [userId]);
+    }, [libraryId, recordHistory]);
 
     /**
-     * Get next LPN sequence number
+     * Request an LPN for a library part
      */
-    const getNextSequence = useCallback(async () => {
+    const submitLPNRequest = useCallback(async (request) => {
+        if (!libraryId) {
+            return { success: false, error: 'User not authenticated' };
+        }
+
         try {
-            const sequence = await getNextLPNSequence();
-            return { success: true, sequence };
+            const stored = await createLPNRequest(libraryId, request, createAudit(AUDIT_SOURCES.LPN));
+            return { success: true, request: stored };
         } catch (err) {
-            const errorMsg = 'Failed to get LPN sequence: ' + err.message;
+            const errorMsg = 'Failed to request LPN: ' + err.message;
             setError(errorMsg);
             return { success: false, error: errorMsg };
         }
-    }, []);
+    }, [libraryId]);
+
+    /**
+     * Issue the LPN of a request (approval), or of a new request approved right away
+     */
+    const issuePartLPN = useCallback(async (request, options) => {
+        if (!libraryId) {
+            return { success: false, error: 'User not authenticated' };
+        }
+
+        try {
+            const { lpn, sequence } = await issueLPN(libraryId, request, createAudit(AUDIT_SOURCES.LPN), options);
+            return { success: true, lpn, sequence };
+        } catch (err) {
+            const errorMsg = 'Failed to issue LPN: ' + err.message;
+            setError(errorMsg);
+            return { success: false, error: errorMsg };
+        }
+    }, [libraryId]);
+
+    /**
+     * Issue the LPNs of many parts at once; every entry is `{request, format}`
+     */
+    const issuePartLPNs = useCallback(async (entries) => {
+        if (!libraryId) {
+            return { success: false, error: 'User not authenticated' };
+        }
+
+        try {
+            const { issued, failed } = await issueLPNsInBatch(libraryId, entries, createAudit(AUDIT_SOURCES.LPN));
+            return { success: true, issued, failed };
+        } catch (err) {
+            const errorMsg = 'Failed to issue LPNs: ' + err.message;
+            setError(errorMsg);
+            return { success: false, error: errorMsg };
+        }
+    }, [libraryId]);
+
+    /**
+     * Reject a pending LPN request with a reason
+     */
+    const rejectPendingLPNRequest = useCallback(async (requestId, reason) => {
+        if (!libraryId) {
+            return { success: false, error: 'User not authenticated' };
+        }
+
+        try {
+            await rejectLPNRequest(libraryId, requestId, reason, createAudit(AUDIT_SOURCES.LPN));
+            return { success: true };
+        } catch (err) {
+            const errorMsg = 'Failed to reject LPN request: ' + err.message;
+            setError(errorMsg);
+            return { success: false, error: errorMsg };
+        }
+    }, [libraryId]);
+
+    /**
+     * Set the lifecycle status of a part's LPN; `supersededBy` names the replacing LPN
+     */
+    const setPartLPNLifecycle = useCallback(async (partId, lifecycle) => {
+        if (!libraryId) {
+            return { success: false, error: 'User not authenticated' };
+        }
+
+        try {
+            await setLPNLifecycle(libraryId, partId, lifecycle, createAudit(AUDIT_SOURCES.LPN));
+            return { success: true };
+        } catch (err) {
+            const errorMsg = 'Failed to update LPN lifecycle: ' + err.message;
+            setError(errorMsg);
+            return { success: false, error: errorMsg };
+        }
+    }, [libraryId]);
+
+    /**
+     * Approve an alternate MPN for the LPN of a part
+     */
+    const addPartAlternateMPN = useCallback(async (partId, mpn) => {
+        if (!libraryId) {
+            return { success: false, error: 'User not authenticated' };
+        }
+
+        try {
+            const { alternates } = await addAlternateMPN(libraryId, partId, mpn, createAudit(AUDIT_SOURCES.LPN));
+            return { success: true, alternates };
+        } catch (err) {
+            const errorMsg = 'Failed to add alternate MPN: ' + err.message;
+            setError(errorMsg);
+            return { success: false, error: errorMsg };
+        }
+    }, [libraryId]);
+
+    /**
+     * Correct the locked MPN of a part (admins): `{mpn, reason, policy, scheme}`
+     */
+    const correctLockedMPN = useCallback(async (partId, change) => {
+        if (!libraryId) {
+            return { success: false, error: 'User not authenticated' };
+        }
+
+        try {
+            const correction = await changeLockedMPN(libraryId, partId, change, createAudit(AUDIT_SOURCES.CORRECTION));
+            return { success: true, correction };
+        } catch (err) {
+            const errorMsg = 'Failed to change MPN: ' + err.message;
+            setError(errorMsg);
+            return { success: false, error: errorMsg };
+        }
+    }, [libraryId]);
 
     /**
      * Save user settings
@@ -236,38 +707,75 @@ export const useFirestore = () => {
      * Check if MPN exists
      */
     const doesMPNExist = useCallback(async (mpn) => {
-        if (!userId) {
+        if (!libraryId) {
             return { success: false, error: 'User not authenticated' };
         }
 
         try {
-            const exists = await checkMPNExists(userId, mpn);
+            const exists = await checkMPNExists(libraryId, mpn);
             return { success: true, exists };
         } catch (err) {
             const errorMsg = 'Failed to check MPN: ' + err.message;
             setError(errorMsg);
             return { success: false, error: errorMsg };
         }
-    }, [userId]);
+    }, [libraryId]);
 
     /**
-     * Find existing LPN by MPN (Consistency Check)
+     * Find existing LPN by MPN in the global LPN registry (Consistency Check)
      */
     const findLPNByMPN = useCallback(async (mpn) => {
-        if (!userId) {
+        if (!libraryId) {
             return { success: false, error: 'User not authenticated' };
         }
         
         try {
-            const lpn = await findLPNForMPN(userId, mpn);
+            const lpn = await findLPNForMPN(mpn);
             return { success: true, lpn };
         } catch (err) {
             const errorMsg = 'Failed to find existing LPN: ' + err.message;
             setError(errorMsg);
             return { success: false, error: errorMsg };
         }
-    }, [userId]);
+    }, [libraryId]);
+
+    /**
+     * Find the LPN of a library part (generic passives without MPN)
+     */
+    const findLPNByPartId = useCallback(async (partId) => {
+        if (!libraryId) {
+            return { success: false, error: 'User not authenticated' };
+        }
+
+        try {
+            const lpn = await findLPNForPart(libraryId, partId);
+            return { success: true, lpn };
+        } catch (err) {
+            const errorMsg = 'Failed to find existing LPN: ' + err.message;
+            setError(errorMsg);
+            return { success: false, error: errorMsg };
+        }
+    }, [libraryId]);
 
+    /**
+     * Load the audit history of a component (placement and part), or with `parts` of a library part
+     */
+    const loadComponentHistory = useCallback(async (component, { parts = false } = {}) => {
+        if (!libraryId) {
+            return { success: false, error: 'User not authenticated' };
+        }
+
+        try {
+            const entries = await getComponentHistory(libraryId, parts
+                ? { partId: component.id }
+                : { placementId: component.id, partId: component.partId || null });
+            return { success: true, entries };
+        } catch (err) {
+            const errorMsg = 'Failed to load component history: ' + err.message;
+            setError(errorMsg);
+            return { success: false, error: errorMsg };
+        }
+    }, [libraryId]);
 
     /**
      * Clear error
@@ -278,20 +786,44 @@ export const useFirestore = () => {
 
     return {
         components,
+        parts,
         loading,
         error,
         userId,
+        libraryId,
         addNewComponent,
         addComponentsInBatch,
         updateExistingComponent,
+        updateExistingPart,
         removeComponent,
+        updateComponentsInBatch,
+        removeComponentsInBatch,
+        recordHistory,
+        undoOperation,
+        redoOperation,
+        history,
         removeProject,
+        loadDeletedProjects,
+        restoreProject,
+        purgeExpiredProjects,
+        replaceProjectInBatch,
+        recordRevision,
+        loadRevisions,
+        restoreRevision,
         clearAllComponents,
-        getNextSequence,
+        submitLPNRequest,
+        issuePartLPN,
+        issuePartLPNs,
+        rejectPendingLPNRequest,
+        setPartLPNLifecycle,
+        addPartAlternateMPN,
+        correctLockedMPN,
         saveSettings,
         loadSettings,
         doesMPNExist,
         findLPNByMPN,
+        findLPNByPartId,
+        loadComponentHistory,
         clearError
     };
 };
@@ -4,7 +4,12 @@
  * It stores the RAW KiCad symbol definition text for direct clipboard export.
  */
 
-import { useState, useCallback, useEffect } from 'react';
+import { useState, useCallback, useEffect, useRef } from 'react';
+import JSZip from 'jszip';
+import { matchKiCadComponents } from '../utils/kicadMatcher.js';
+import { readSchematicFiles, flattenSchematicHierarchy } from '../utils/kicadHierarchy.js';
+import { buildSymbolPropertyUpdates, setSymbolProperties, isValidSchematicText } from '../utils/kicadSync.js';
+import { collectLibraryParts, buildKiCadSymbolLibrary } from '../utils/kicadLibrary.js';
 
 // Storage keys
 const STORAGE_KEYS = {
@@ -20,6 +25,10 @@ export const useKiCadParser = () => {
     const [syncParams, setSyncParams] = useState(['Datasheet', 'Mfr. Part #']);
     const [unmatchedComponents, setUnmatchedComponents] = useState({});
 
+    // Original schematic text per project, needed for write-back. Kept in memory only:
+    // full schematics are too large for localStorage, so an export after reload needs a re-upload.
+    const schematicSourcesRef = useRef({});
+
     // --- State Management: Load and Save ---
 
     // Load data from localStorage on mount
@@ -34,139 +43,110 @@ export const useKiCadParser = () => {
             if (savedSyncParams) {
                 setSyncParams(JSON.parse(savedSyncParams));
             }
+
+            const savedUnmatched = localStorage.getItem(STORAGE_KEYS.UNMATCHED);
+            if (savedUnmatched) {
+                setUnmatchedComponents(JSON.parse(savedUnmatched));
+            }
         } catch (err) {
             console.error('Failed to load KiCad data:', err);
         }
     }, []);
 
-    // Save schematics and sync params to localStorage
+    // Save schematics, sync params and unmatched results to localStorage
     useEffect(() => {
         try {
             localStorage.setItem(STORAGE_KEYS.SCHEMATICS, JSON.stringify(kicadSchematics));
             localStorage.setItem(STORAGE_KEYS.SYNC_PARAMS, JSON.stringify(syncParams));
+            localStorage.setItem(STORAGE_KEYS.UNMATCHED, JSON.stringify(unmatchedComponents));
         } catch (err) {
             console.error('Failed to save KiCad data:', err);
         }
-    }, [kicadSchematics, syncParams]);
+    }, [kicadSchematics, syncParams, unmatchedComponents]);
 
     // --- Parsing and Data Preparation ---
     
     /**
-     * Parses the .kicad_sch file content, extracting components and their RAW symbol text.
-     * @param {File} file - The KiCad schematic file object.
-     * @returns {Promise<{components: Array<object>, metadata: object, rawSymbolMap: object}>}
+     * Parses uploaded .kicad_sch files (root sheet plus sub-sheets, or a zipped project folder),
+     * extracting one component per placed symbol instance and its RAW symbol text.
+     * @param {File|Array<File>|FileList} fileOrFiles - The uploaded schematic file(s).
+     * @returns {Promise<{components: Array<object>, metadata: object, rawSymbolMap: object, libSymbols: object, symbolLibIds: object, files: object, rootFileName: string, sheetFiles: Array<string>, missingSheets: Array<object>}>}
      */
-    const parseKiCadSchematicFile = async (file) => {
-        const fileContent = await file.text();
-        const lines = fileContent.split('\n');
+    const parseKiCadSchematicFiles = async (fileOrFiles) => {
+        const fileList = fileOrFiles instanceof File ? [fileOrFiles] : Array.from(fileOrFiles || []);
+        const { files, projectFile } = await readSchematicFiles(fileList);
+        const hierarchy = flattenSchematicHierarchy(files, null, projectFile);
+        const { titleBlock, version } = hierarchy.root;
         
         const components = [];
-        const metadata = {};
         // KEY: Component Reference (e.g., R1), VALUE: Raw KiCad symbol S-expression text
         const rawSymbolMap = {}; 
+        // KEY: Component Reference, VALUE: lib_id of the symbol it was placed from
+        const symbolLibIds = {};
+
+        // Library symbol definitions (graphics) embedded in every sheet, keyed by lib_id
+        const libSymbols = {};
+        for (const schematic of Object.values(hierarchy.schematics)) {
+            for (const [libId, libSymbol] of Object.entries(schematic.libSymbols)) {
+                if (!libSymbols[libId]) libSymbols[libId] = libSymbol.raw;
+            }
+        }
 
-        let inSymbolBlock = false;
-        let blockParenDepth = 0;
-        let currentSymbolRef = null;
-        let currentSymbolRawText = [];
-        let componentFields = {};
-
-        // Helper to extract value from a field line
-        const extractFieldValue = (line) => {
-            const valueMatch = line.match(/\(value\s+"(.*?)"\)/);
-            return valueMatch ? valueMatch[1] : '';
+        const metadata = {
+            Title: titleBlock.title || 'N/A',
+            Date: titleBlock.date || 'N/A',
+            Revision: titleBlock.rev || 'N/A',
+            Company: titleBlock.company || 'N/A',
+            Version: version || 'N/A',
+            Sheets: hierarchy.sheets.length,
         };
 
-        // --- Line-by-Line S-Expression Parsing ---
-        for (const line of lines) {
-            const trimmedLine = line.trim();
-
-            // 1. Extract Title Block Metadata (for schematic info panel)
-            if (trimmedLine.startsWith('(title_block')) {
-                const titleMatch = fileContent.match(/\(title\s+"(.*?)"\)/);
-                const dateMatch = fileContent.match(/\(date\s+"(.*?)"\)/);
-                const revMatch = fileContent.match(/\(rev\s+"(.*?)"\)/);
-                
-                metadata.Title = titleMatch ? titleMatch[1] : 'N/A';
-                metadata.Date = dateMatch ? dateMatch[1] : 'N/A';
-                metadata.Revision = revMatch ? revMatch[1] : 'N/A';
-            }
-            
-            // 2. Component Symbol Block Identification
-            if (trimmedLine.startsWith('(symbol') && !inSymbolBlock) {
-                // Found the start of a symbol block
-                inSymbolBlock = true;
-                blockParenDepth = 0;
-                currentSymbolRawText = [];
-                componentFields = {};
-                
-                // Continue to the next step to process this line
-            }
+        for (const { reference, symbol, sheetPath } of hierarchy.instances) {
+            // Power symbols and flags (#PWR01, #FLG01) and parts excluded from the BOM are not components
+            if (!reference || reference.startsWith('#') || !symbol.inBom) continue;
 
-            // 3. Process lines inside a symbol block
-            if (inSymbolBlock) {
-                // Track parenthesis depth to correctly capture the entire S-expression block
-                const openParenCount = (trimmedLine.match(/\(/g) || []).length;
-                const closeParenCount = (trimmedLine.match(/\)/g) || []).length;
-                
-                blockParenDepth += openParenCount;
-                blockParenDepth -= closeParenCount;
-
-                currentSymbolRawText.push(line);
-
-                // Extract Field Data (name and value) for the BOM table
-                if (trimmedLine.startsWith('(field')) {
-                    const nameMatch = trimmedLine.match(/\(name\s+"(.*?)"\)/);
-                    if (nameMatch) {
-                        const fieldName = nameMatch[1];
-                        const fieldValue = extractFieldValue(trimmedLine);
-                        componentFields[fieldName] = fieldValue;
-
-                        // Identify the main Designator/Reference early
-                        if (fieldName === 'Reference' || fieldName === 'RefDes') {
-                            currentSymbolRef = fieldValue;
-                        }
-                    }
-                }
+            // Multi-unit parts (U1A, U1B) appear once per unit; keep the first unit's text
+            if (rawSymbolMap[reference]) continue;
 
-                // Check for the end of the block (depth returns to 0 relative to block start)
-                if (blockParenDepth === 0) {
-                    inSymbolBlock = false;
-
-                    if (currentSymbolRef) {
-                        // Save the full raw text block
-                        rawSymbolMap[currentSymbolRef] = currentSymbolRawText.join('\n');
-                        
-                        // Create the simplified BOM component object
-                        components.push({
-                            id: `${currentSymbolRef}-${Date.now()}`,
-                            Designator: currentSymbolRef,
-                            ProjectName: file.name, // Will be replaced by actual project name in useKiCadParser
-                            // Map all fields found directly to the component object
-                            ...componentFields,
-                        });
-                    }
-                    
-                    // Reset for the next symbol
-                    currentSymbolRef = null;
-                    currentSymbolRawText = [];
-                    componentFields = {};
-                }
-            }
+            rawSymbolMap[reference] = symbol.raw;
+            symbolLibIds[reference] = symbol.libId;
+
+            components.push({
+                id: `${reference}-${Date.now()}`,
+                ...symbol.properties,
+                Designator: reference,
+                Sheet: sheetPath,
+                ProjectName: hierarchy.rootKey, // Will be replaced by actual project name in useKiCadParser
+            });
         }
         
-        return { components, metadata, rawSymbolMap };
+        return {
+            components,
+            metadata,
+            rawSymbolMap,
+            libSymbols,
+            symbolLibIds,
+            files,
+            rootFileName: hierarchy.rootKey,
+            sheetFiles: Object.keys(hierarchy.schematics),
+            missingSheets: hierarchy.missingSheets,
+        };
     };
 
     /**
-     * Handles the KiCad schematic file upload and parsing.
+     * Handles the KiCad schematic upload and parsing. Accepts a single root sheet,
+     * the root sheet together with its child sheets, or a zipped project folder.
      */
-    const parseKiCadSchematic = useCallback(async (file, projectName) => {
+    const parseKiCadSchematic = useCallback(async (fileOrFiles, projectName) => {
         setIsParsingKiCad(true);
         setKicadError('');
 
         try {
-            const { components, metadata, rawSymbolMap } = await parseKiCadSchematicFile(file);
+            const {
+                components, metadata, rawSymbolMap, libSymbols, symbolLibIds, files, rootFileName, sheetFiles, missingSheets
+            } = await parseKiCadSchematicFiles(fileOrFiles);
+
+            schematicSourcesRef.current[projectName] = { files, rootKey: rootFileName };
             
             // Update components with the actual projectName before returning
             const componentsWithProject = components.map(c => ({
@@ -177,15 +157,23 @@ export const useKiCadParser = () => {
             setKicadSchematics(prev => ({
                 ...prev,
                 [projectName]: {
-                    fileName: file.name,
+                    fileName: rootFileName,
+                    sheetFiles: sheetFiles,
                     uploadDate: Date.now(),
                     components: components.length,
                     metadata: metadata,
                     rawSymbolMap: rawSymbolMap, // <-- RAW DATA SAVED HERE
+                    libSymbols,
+                    symbolLibIds,
                 }
             }));
             
-            setKicadError(`✓ Successfully parsed ${components.length} components from ${file.name}`);
+            if (missingSheets.length > 0) {
+                const missingNames = missingSheets.map(sheet => sheet.fileName).join(', ');
+                setKicadError(`Parsed ${components.length} components from ${rootFileName}, but ${missingSheets.length} sub-sheet(s) were not uploaded: ${missingNames}`);
+            } else {
+                setKicadError(`✓ Successfully parsed ${components.length} components from ${rootFileName}${sheetFiles.length > 1 ? ` (${sheetFiles.length} sheets)` : ''}`);
+            }
             setTimeout(() => setKicadError(''), 5000);
             
             return componentsWithProject; // Return components to be merged into the main BOM data
@@ -207,7 +195,9 @@ export const useKiCadParser = () => {
      */
     const getRawKiCadSymbolText = useCallback((bomComponent, projectName) => {
         const schematicData = kicadSchematics[projectName];
-        const designator = bomComponent.Designator || bomComponent.Reference; 
+        // Prefer the reference the component was linked to, then its own designator
+        const designator = schematicData?.links?.[bomComponent.id]?.reference
+            || bomComponent.Designator || bomComponent.Reference; 
 
         if (!schematicData || !designator) {
             return `KiCad symbol text not found. Missing schematic data or designator.`;
@@ -275,10 +265,132 @@ export const useKiCadParser = () => {
     }, [getRawKiCadSymbolText]);
 
 
+    // --- Write-back (Sync Params Export) ---
+
+    /**
+     * Writes the configured sync params and Local_Part_Number from the library into the
+     * uploaded schematic and downloads the result. A single-sheet project downloads as
+     * .kicad_sch; a hierarchical project downloads as a .zip with every sheet.
+     * @param {string} projectName - The project whose schematic should be exported.
+     * @param {Array<object>} bomComponents - Library components (filtered to the project here).
+     * @returns {Promise<{success: boolean, updatedSymbols?: number, updatedProperties?: number, error?: string}>}
+     */
+    const exportSyncedSchematic = useCallback(async (projectName, bomComponents) => {
+        const source = schematicSourcesRef.current[projectName];
+        if (!source) {
+            const errorMsg = 'Schematic source is not loaded. Please re-upload the KiCad schematic for this project.';
+            setKicadError(errorMsg);
+            return { success: false, error: errorMsg };
+        }
+
+        try {
+            const { files, rootKey } = source;
+            const { instances } = flattenSchematicHierarchy(files, rootKey);
+
+            // Resolve a designator to its library component: linked components first, then by designator
+            const projectComponents = (bomComponents || []).filter(c => c.ProjectName === projectName);
+            const links = kicadSchematics[projectName]?.links || {};
+            const byReference = new Map();
+            projectComponents.forEach(c => {
+                const reference = links[c.id]?.reference;
+                if (reference) byReference.set(reference, c);
+            });
+            projectComponents.forEach(c => {
+                const designator = String(c.Designator || c.Reference || '').trim();
+                if (designator && !byReference.has(designator)) byReference.set(designator, c);
+            });
+
+            const updatesByFile = buildSymbolPropertyUpdates(
+                instances,
+                (reference) => byReference.get(reference) || null,
+                syncParams
+            );
+
+            const outputFiles = {};
+            let updatedSymbols = 0;
+            let updatedProperties = 0;
+            for (const [fileName, text] of Object.entries(files)) {
+                const { text: newText, changedSymbols, changedProperties } = setSymbolProperties(text, updatesByFile[fileName] || {});
+                if (!isValidSchematicText(newText)) {
+                    throw new Error(`Generated schematic for "${fileName}" is not valid`);
+                }
+                outputFiles[fileName] = newText;
+                updatedSymbols += changedSymbols;
+                updatedProperties += changedProperties;
+            }
+
+            let blob, downloadName;
+            if (Object.keys(outputFiles).length === 1) {
+                blob = new Blob([outputFiles[rootKey]], { type: 'text/plain' });
+                downloadName = rootKey.split('/').pop();
+            } else {
+                const zip = new JSZip();
+                Object.entries(outputFiles).forEach(([fileName, text]) => zip.file(fileName, text));
+                blob = await zip.generateAsync({ type: 'blob' });
+                downloadName = `${rootKey.split('/').pop().replace(/\.kicad_sch$/i, '')}_synced.zip`;
+            }
+
+            const url = URL.createObjectURL(blob);
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = downloadName;
+            document.body.appendChild(link);
+            link.click();
+            document.body.removeChild(link);
+            URL.revokeObjectURL(url);
+
+            return { success: true, updatedSymbols, updatedProperties };
+        } catch (err) {
+            console.error('KiCad Export Error:', err);
+            const errorMsg = `Error exporting KiCad schematic: ${err.message}`;
+            setKicadError(errorMsg);
+            return { success: false, error: errorMsg };
+        }
+    }, [kicadSchematics, syncParams]);
+
+    // --- Symbol Library Export ---
+
+    /**
+     * Downloads a .kicad_sym library with one symbol per unique LPN in the component library.
+     * Symbol graphics come from the lib_symbols of uploaded project schematics where available.
+     * @param {Array<object>} bomComponents - All library components.
+     * @param {string} [libraryName='keylife_parts'] - Library (and file) name.
+     * @returns {{success: boolean, symbolCount?: number, withGraphics?: number, error?: string}}
+     */
+    const exportSymbolLibrary = useCallback((bomComponents, libraryName = 'keylife_parts') => {
+        try {
+            const parts = collectLibraryParts(bomComponents, kicadSchematics);
+            if (parts.length === 0) {
+                return { success: false, error: 'No components with a Local Part Number to export' };
+            }
+
+            const blob = new Blob([buildKiCadSymbolLibrary(parts)], { type: 'text/plain' });
+            const url = URL.createObjectURL(blob);
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = `${libraryName}.kicad_sym`;
+            document.body.appendChild(link);
+            link.click();
+            document.body.removeChild(link);
+            URL.revokeObjectURL(url);
+
+            return {
+                success: true,
+                symbolCount: parts.length,
+                withGraphics: parts.filter(part => part.libSymbol).length,
+            };
+        } catch (err) {
+            console.error('KiCad Library Export Error:', err);
+            return { success: false, error: `Error building KiCad symbol library: ${err.message}` };
+        }
+    }, [kicadSchematics]);
+
     /**
      * Clear schematic data for a project
      */
     const clearSchematicData = useCallback((projectName) => {
+        delete schematicSourcesRef.current[projectName];
+
         setKicadSchematics(prev => {
             const updated = { ...prev };
             delete updated[projectName];
@@ -294,27 +406,47 @@ export const useKiCadParser = () => {
     
     // --- Linking and Matching logic ---
     
-    const autoLinkWithBOM = useCallback((parsedComponents, projectName) => { 
-        // Log the call for debugging, but return empty data for now
-        console.warn(`autoLinkWithBOM called for project: ${projectName}. Returning unlinked data.`);
-        
-        // In a real implementation, this would contain the actual linking logic.
-        // For now, return the expected structure to prevent the crash.
-        return { 
-            matched: 0, 
-            unmatched: parsedComponents.length, 
-            unmatchedList: parsedComponents 
-        };
+    /**
+     * Links parsed schematic symbols with the project's BOM components and records
+     * which BOM components could not be matched.
+     * @param {Array<object>} schematicComponents - Components returned by parseKiCadSchematic.
+     * @param {Array<object>} bomComponents - Library components (filtered to the project here).
+     * @param {string} projectName - The project the schematic belongs to.
+     * @returns {{matched: Array<object>, unmatched: Array<object>, unmatchedSymbols: Array<object>}}
+     */
+    const autoLinkWithBOM = useCallback((schematicComponents, bomComponents, projectName) => { 
+        const projectComponents = (bomComponents || []).filter(c => c.ProjectName === projectName);
+        const result = matchKiCadComponents(schematicComponents, projectComponents);
+
+        // Keep the link table with the schematic so single components can be resolved later
+        const links = {};
+        result.matched.forEach(({ bomComponent, symbol, matchedBy }) => {
+            links[bomComponent.id] = { reference: symbol.Designator, matchedBy };
+        });
+
+        setKicadSchematics(prev => prev[projectName]
+            ? { ...prev, [projectName]: { ...prev[projectName], links } }
+            : prev
+        );
+
+        setUnmatchedComponents(prev => ({
+            ...prev,
+            [projectName]: result.unmatched,
+        }));
+
+        return result;
     }, []);
     
-    // Ensure matchWithKiCad also returns something if it's called somewhere with destructuring
-    const matchWithKiCad = useCallback(() => { 
-        setKicadError('Matching logic not yet implemented.'); 
-        setTimeout(() => setKicadError(''), 5000);
-        
-        // Also return an object if this is used with destructuring elsewhere
-        return {}; 
-    }, [setKicadError]);
+    /**
+     * Looks up the schematic symbol linked to a BOM component by autoLinkWithBOM.
+     * @param {object} bomComponent - The component object from the main BOM list.
+     * @returns {{matched: boolean, reference?: string, matchedBy?: string}}
+     */
+    const matchWithKiCad = useCallback((bomComponent) => { 
+        const link = kicadSchematics[bomComponent?.ProjectName]?.links?.[bomComponent?.id];
+        if (!link) return { matched: false };
+        return { matched: true, ...link };
+    }, [kicadSchematics]);
     
 
     // --- Final Return ---
@@ -333,5 +465,7 @@ export const useKiCadParser = () => {
         autoLinkWithBOM,
         clearSchematicData,
         copyKiCadSymbolToClipboard, 
+        exportSyncedSchematic,
+        exportSymbolLibrary,
     };
 };
\ No newline at end of file
@@ -6,55 +6,81 @@
 import { useState, useCallback } from 'react';
 import { useFirestore } from './useFirestore.js';
 import {
-    validateComponentForLPN, hasLPN, extractMPN, generateMPNHash,
-    assembleLPN, isFieldLocked, formatSequence
+    validateComponentForLPN, hasLPN, extractMPN, isFieldLocked,
+    DEFAULT_LPN_SCHEME, LPN_LIFECYCLE, getLPNCategory, resolveLPNFormat, parseLPN,
+    validateLPNFormat as validateSchemeLPN
 } from '../utils/lpnUtils.js';
+import { getPassiveSignature, getGenericPartNumber } from '../utils/passiveParts.js';
+import { getPartId } from '../utils/partModel.js';
+import { AUDIT_SOURCES } from '../utils/auditTrail.js';
+import { buildLPNRequest } from '../utils/lpnRequests.js';
 
-export const useLPN = () => {
+/**
+ * MPN, generic part number and library part of a component an LPN is issued for.
+ * Generic passives without MPN are identified by their attributes (value, package,
+ * ratings) instead.
+ */
+function getLPNIdentity(component) {
+    const mpn = extractMPN(component);
+    const genericPartNumber = mpn ? null : getGenericPartNumber(getPassiveSignature(component));
+    if (!validateComponentForLPN(component) && !genericPartNumber) throw new Error('MPN required for LPN assignment');
+    if (hasLPN(component)) throw new Error('Component already has an LPN');
+    return { mpn, genericPartNumber, partId: component.partId || getPartId(component) };
+}
+
+/**
+ * @param {object} scheme - LPN scheme of the configuration; parts are issued LPNs in the
+ * format of their category
+ */
+export const useLPN = (scheme = DEFAULT_LPN_SCHEME) => {
     const [isGenerating, setIsGenerating] = useState(false);
     const [error, setError] = useState('');
     
     // Update destructured imports from useFirestore
-    const { getNextSequence, updateExistingComponent, findLPNByMPN } = useFirestore(); // findLPNByMPN is new
+    const {
+        updateExistingComponent, findLPNByMPN, findLPNByPartId,
+        submitLPNRequest, issuePartLPN, issuePartLPNs, rejectPendingLPNRequest,
+        setPartLPNLifecycle, addPartAlternateMPN, correctLockedMPN
+    } = useFirestore();
 
+    // Assign an LPN directly (librarians): reuse the LPN of the MPN, or issue a new one
+    // through a request that is approved right away
     const assignLPN = useCallback(async (component) => {
         setIsGenerating(true);
         setError('');
 
         try {
-            if (!validateComponentForLPN(component)) throw new Error('MPN required for LPN assignment');
-            if (hasLPN(component)) throw new Error('Component already has an LPN');
-            
-            // Extract the canonical MPN
-            const mpn = extractMPN(component);
-            if (!mpn) throw new Error('Could not extract MPN');
+            const identity = getLPNIdentity(component);
+            const { mpn } = identity;
 
-            // 1. CHECK FOR EXISTING LPN IN DB FOR THIS MPN (Consistency Check)
-            const existingLPNResult = await findLPNByMPN(mpn);
+            // 1. CHECK FOR EXISTING LPN IN THE LPN REGISTRY FOR THIS MPN (Consistency Check).
+            // Generic passives share the LPN of their library part.
+            const existingLPNResult = mpn
+                ? await findLPNByMPN(mpn)
+                : await findLPNByPartId(identity.partId);
             let finalLPN = null;
             
             if (existingLPNResult.success && existingLPNResult.lpn) {
                 // LPN already exists for this component type. Reuse it.
                 finalLPN = existingLPNResult.lpn;
-            } else {
-                // 2. GENERATE NEW LPN (if no existing LPN found)
-                const hash = generateMPNHash(mpn);
-                const sequenceResult = await getNextSequence();
-                if (!sequenceResult?.success) throw new Error(sequenceResult?.error || 'Failed to get LPN sequence');
-                
-                finalLPN = assembleLPN(sequenceResult.sequence, hash);
-            }
 
-            // 3. ASSIGN LPN to the current component using its document ID
-            // NOTE: The component passed here must have its Firestore ID set (handled in App.jsx)
-            const updateResult = await updateExistingComponent(component.id, { 
-                Local_Part_Number: finalLPN,
-                // Ensure the canonical MPN field is set on the component before update, 
-                // as this is the field used for the DB query in findLPNForMPN.
-                'Mfr. Part #': mpn 
-            });
+                // NOTE: The component passed here must have its Firestore ID set (handled in App.jsx)
+                const updateResult = await updateExistingComponent(component.id, mpn ? { 
+                    Local_Part_Number: finalLPN,
+                    // Ensure the canonical MPN field is set on the component before update,
+                    // whichever field the MPN was found in.
+                    'Mfr. Part #': mpn 
+                } : { Local_Part_Number: finalLPN }, { source: AUDIT_SOURCES.LPN });
 
-            if (!updateResult?.success) throw new Error(updateResult?.error || 'Failed to update component with LPN');
+                if (!updateResult?.success) throw new Error(updateResult?.error || 'Failed to update component with LPN');
+            } else {
+                // 2. ISSUE NEW LPN (advances the counter and registers the MPN)
+                const format = resolveLPNFormat(scheme, getLPNCategory(component, scheme));
+                const issueResult = await issuePartLPN(buildLPNRequest(component, identity), { format });
+                if (!issueResult?.success) throw new Error(issueResult?.error || 'Failed to issue LPN');
+
+                finalLPN = issueResult.lpn;
+            }
 
             return { success: true, lpn: finalLPN };
         } catch (err) {
@@ -64,8 +90,56 @@ export const useLPN = () => {
         } finally {
             setIsGenerating(false);
         }
-    }, [getNextSequence, updateExistingComponent, findLPNByMPN]);
+    }, [updateExistingComponent, findLPNByMPN, findLPNByPartId, issuePartLPN, scheme]);
+
+    // Ask a librarian to issue an LPN for the component's library part
+    const requestLPN = useCallback(async (component) => {
+        setIsGenerating(true);
+        setError('');
+
+        try {
+            const identity = getLPNIdentity(component);
+            if (!identity.partId) throw new Error('Component has no library part');
+
+            const result = await submitLPNRequest(buildLPNRequest(component, identity));
+            if (!result?.success) throw new Error(result?.error || 'Failed to request LPN');
+
+            return { success: true, request: result.request };
+        } catch (err) {
+            const errorMsg = err.message || 'Request LPN failed';
+            setError(errorMsg);
+            return { success: false, error: errorMsg };
+        } finally {
+            setIsGenerating(false);
+        }
+    }, [submitLPNRequest]);
+
+    // Approve a pending request; an LPN registered for the same MPN is reused
+    const approveLPNRequest = useCallback(async (request) => {
+        setError('');
+
+        const format = resolveLPNFormat(scheme, getLPNCategory(request, scheme));
+        const result = await issuePartLPN(request, { format });
+        if (!result.success) setError(result.error);
+        return result;
+    }, [issuePartLPN, scheme]);
 
+    // Reject a pending request; the reason is shown to the requester
+    const rejectLPNRequest = useCallback(async (request, reason) => {
+        setError('');
+        if (!String(reason || '').trim()) {
+            const errorMsg = 'A reason is required to reject an LPN request';
+            setError(errorMsg);
+            return { success: false, error: errorMsg };
+        }
+
+        const result = await rejectPendingLPNRequest(request.id, reason);
+        if (!result.success) setError(result.error);
+        return result;
+    }, [rejectPendingLPNRequest]);
+
+    // Assign the LPNs of many components at once: every MPN gets one LPN, new numbers come
+    // from blocks of sequence numbers reserved in a single transaction
     const assignLPNBatch = useCallback(async (components) => {
         if (!components?.length) {
             return { overallSuccess: true, details: { processed: [], failed: [], total: 0 } };
@@ -74,49 +148,108 @@ export const useLPN = () => {
         setIsGenerating(true);
 
         const results = { processed: [], failed: [], total: components.length };
-        let overallSuccess = true;
-
-        try { 
-            for (const component of components) {
-                const result = await assignLPN(component); 
-                if (result.success) {
-                    results.processed.push({ componentId: component.id, lpn: result.lpn });
-                } else {
-                    results.failed.push({ componentId: component.id, error: result.error || 'Unknown' });
-                    overallSuccess = false;
-                }
+        const entries = [];
+        const componentIdsByPart = new Map();
+
+        components.forEach(component => {
+            try {
+                const identity = getLPNIdentity(component);
+                if (!identity.partId) throw new Error('Component has no library part');
+
+                entries.push({
+                    request: buildLPNRequest(component, identity),
+                    format: resolveLPNFormat(scheme, getLPNCategory(component, scheme))
+                });
+                componentIdsByPart.set(identity.partId, [...(componentIdsByPart.get(identity.partId) || []), component.id]);
+            } catch (err) {
+                results.failed.push({ componentId: component.id, error: err.message });
             }
-        } catch (batchError) { 
-            console.error("Unexpected error during assignLPNBatch loop:", batchError);
-            setError(`Batch processing failed unexpectedly: ${batchError.message}`);
-            overallSuccess = false;
-        } finally { 
+        });
+
+        try {
+            if (entries.length > 0) {
+                const result = await issuePartLPNs(entries);
+                if (!result?.success) throw new Error(result?.error || 'Failed to issue LPNs');
+
+                result.issued.forEach(({ partId, lpn }) => componentIdsByPart.get(partId)
+                    .forEach(componentId => results.processed.push({ componentId, lpn })));
+                result.failed.forEach(({ partId, error }) => componentIdsByPart.get(partId)
+                    .forEach(componentId => results.failed.push({ componentId, error })));
+            }
+        } catch (batchError) {
+            setError(`Batch processing failed: ${batchError.message}`);
+            componentIdsByPart.forEach(componentIds => componentIds
+                .forEach(componentId => results.failed.push({ componentId, error: batchError.message })));
+        } finally {
             setIsGenerating(false);
         }
 
         return {
-            overallSuccess: overallSuccess,
+            overallSuccess: results.failed.length === 0,
             details: results
         };
+    }, [issuePartLPNs, scheme]);
+
+    // Mark the LPN of a library part active, NRND, obsolete or superseded by another LPN
+    const setLPNLifecycle = useCallback(async (partId, { status, supersededBy = null }) => {
+        setError('');
+        if (status === LPN_LIFECYCLE.SUPERSEDED && !validateSchemeLPN(String(supersededBy || '').trim(), scheme)) {
+            const errorMsg = 'A superseded LPN needs a valid replacement LPN';
+            setError(errorMsg);
+            return { success: false, error: errorMsg };
+        }
 
-    }, [assignLPN, setError, setIsGenerating]);
+        const result = await setPartLPNLifecycle(partId, { status, supersededBy });
+        if (!result.success) setError(result.error);
+        return result;
+    }, [setPartLPNLifecycle, scheme]);
+
+    // Approve an alternate MPN (AVL) for the LPN of a library part
+    const addAlternateMPN = useCallback(async (partId, mpn) => {
+        setError('');
+        if (!String(mpn || '').trim()) {
+            const errorMsg = 'MPN required for an alternate';
+            setError(errorMsg);
+            return { success: false, error: errorMsg };
+        }
+
+        const result = await addPartAlternateMPN(partId, mpn);
+        if (!result.success) setError(result.error);
+        return result;
+    }, [addPartAlternateMPN]);
+
+    // Correct the locked MPN of a library part (admins). `policy` (MPN_CHANGE_POLICIES)
+    // recomputes the hash of the LPN from the new MPN or retains it.
+    const changeMPN = useCallback(async (partId, { mpn, reason, policy }) => {
+        setError('');
+        if (!String(mpn || '').trim()) {
+            const errorMsg = 'MPN required';
+            setError(errorMsg);
+            return { success: false, error: errorMsg };
+        }
+        if (!String(reason || '').trim()) {
+            const errorMsg = 'A reason is required to change a locked MPN';
+            setError(errorMsg);
+            return { success: false, error: errorMsg };
+        }
 
+        const result = await correctLockedMPN(partId, { mpn, reason, policy, scheme });
+        if (!result.success) setError(result.error);
+        return result;
+    }, [correctLockedMPN, scheme]);
 
     const canEditField = useCallback((fieldName, component) => !isFieldLocked(fieldName, component), []);
     const getLPNInfo = useCallback((component) => {
-         if (!hasLPN(component)) return null;
-         const lpn = component.Local_Part_Number;
-         const parts = lpn.split('-');
-         if (parts.length !== 3 || parts[0] !== 'KL' || !/^\d{5}$/.test(parts[1]) || !/^[0-9A-F]{6}$/.test(parts[2])) {
-             return { lpn, valid: false };
-         }
-         return { lpn, valid: true, sequence: parts[1], hash: parts[2], mpn: extractMPN(component) };
-     }, []);
-    const validateLPNFormat = useCallback((lpn) => /^KL-\d{5}-[0-9A-F]{6}$/.test(lpn || ''), []);
+        if (!hasLPN(component)) return null;
+        const info = parseLPN(component.Local_Part_Number, scheme);
+        return info.valid ? { ...info, mpn: extractMPN(component) } : info;
+    }, [scheme]);
+    const validateLPNFormat = useCallback((lpn) => validateSchemeLPN(lpn, scheme), [scheme]);
     const clearError = useCallback(() => setError(''), [setError]);
 
     return {
-        isGenerating, error, assignLPN, assignLPNBatch, canEditField,
+        isGenerating, error, assignLPN, assignLPNBatch, requestLPN,
+        approveLPNRequest, rejectLPNRequest, setLPNLifecycle, addAlternateMPN, changeMPN, canEditField,
         getLPNInfo, validateLPNFormat, clearError, hasLPN,
         validateComponentForLPN, isFieldLocked
     };
@@ -0,0 +1,35 @@
+/**
+ * @file useLPNRequests.js
+ * @description React hook for the LPN requests of the active library, with real-time sync
+ */
+
+import { useState, useEffect, useMemo } from 'react';
+import { subscribeToLPNRequests } from '../services/firestoreService.js';
+import { getLatestRequestsByPart, getPendingRequests } from '../utils/lpnRequests.js';
+
+/**
+ * @param {string|null} libraryId - Library to watch; null while signed out
+ */
+export const useLPNRequests = (libraryId) => {
+    const [requests, setRequests] = useState([]);
+    const [error, setError] = useState('');
+
+    useEffect(() => {
+        setRequests([]);
+        if (!libraryId) return;
+
+        return subscribeToLPNRequests(libraryId, (data, err) => {
+            if (err) {
+                setError('Failed to load LPN requests: ' + err.message);
+                return;
+            }
+            setError('');
+            setRequests(data || []);
+        });
+    }, [libraryId]);
+
+    const pendingRequests = useMemo(() => getPendingRequests(requests), [requests]);
+    const requestsByPart = useMemo(() => getLatestRequestsByPart(requests), [requests]);
+
+    return { requests, pendingRequests, requestsByPart, error };
+};
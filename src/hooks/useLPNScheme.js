@@ -0,0 +1,54 @@
+/**
+ * @file useLPNScheme.js
+ * @description React hook for the LPN scheme of the active library, with real-time sync
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import { subscribeToLPNScheme, saveLPNScheme } from '../services/firestoreService.js';
+import { DEFAULT_LPN_SCHEME, changeLPNScheme } from '../utils/lpnUtils.js';
+
+/**
+ * @param {string|null} libraryId - Library to watch; null while signed out
+ * @param {object|null} fallbackScheme - Scheme to use while the library has none saved
+ */
+export const useLPNScheme = (libraryId, fallbackScheme = null) => {
+    const [libraryScheme, setLibraryScheme] = useState(null);
+    const [error, setError] = useState('');
+
+    useEffect(() => {
+        setLibraryScheme(null);
+        if (!libraryId) return;
+
+        return subscribeToLPNScheme(libraryId, (data, err) => {
+            if (err) {
+                setError('Failed to load LPN scheme: ' + err.message);
+                return;
+            }
+            setError('');
+            setLibraryScheme(data);
+        });
+    }, [libraryId]);
+
+    const scheme = libraryScheme ?? fallbackScheme ?? DEFAULT_LPN_SCHEME;
+
+    /**
+     * Save a changed scheme on the library, keeping the formats it replaces recognizable
+     */
+    const saveScheme = useCallback(async (changes) => {
+        if (!libraryId) {
+            return { success: false, error: 'User not authenticated' };
+        }
+
+        try {
+            const changed = changeLPNScheme(scheme, changes);
+            await saveLPNScheme(libraryId, changed);
+            return { success: true, scheme: changed };
+        } catch (err) {
+            const errorMsg = 'Failed to save LPN scheme: ' + err.message;
+            setError(errorMsg);
+            return { success: false, error: errorMsg };
+        }
+    }, [libraryId, scheme]);
+
+    return { scheme, saveScheme, error };
+};
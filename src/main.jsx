@@ -6,6 +6,7 @@
 import React from 'react';
 import ReactDOM from 'react-dom/client';
 import { ToastProvider } from './context/ToastContext.jsx';
+import { WorkspaceProvider } from './context/WorkspaceContext.jsx';
 import App from './App.jsx';
 import ErrorBoundary from './components/ErrorBoundary.jsx';
 
@@ -16,7 +17,9 @@ root.render(
     <React.StrictMode>
         <ErrorBoundary>
             <ToastProvider>
-                <App />
+                <WorkspaceProvider>
+                    <App />
+                </WorkspaceProvider>
             </ToastProvider>
         </ErrorBoundary>
     </React.StrictMode>
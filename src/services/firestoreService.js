@@ -1,6 +1,11 @@
 /**
  * @file firestoreService.js
- * @description Firestore database operations for BOM data
+ * @description Firestore database operations for BOM data.
+ * The library is stored as `parts` (one document per MPN/LPN) and `placements`
+ * (project, designator, quantity, DNP); callers see placements joined with their
+ * part as "components".
+ * Library functions take a library id as their `userId`: a user id for the personal
+ * library or `workspaces/{workspaceId}` for a shared workspace.
  */
 
 import { 
@@ -15,17 +20,114 @@ import {
     where,
     onSnapshot,
     increment,
-    runTransaction
+    runTransaction,
+    writeBatch,
+    deleteField,
+    documentId
 } from 'firebase/firestore';
 import { db } from '../config/firebase.js';
+import {
+    groupComponentsByPart,
+    getMissingPartAttributes,
+    splitUpdates,
+    joinPlacements,
+    splitComponent,
+    toDocId
+} from '../utils/partModel.js';
+import { isPurgeDue } from '../utils/operationLog.js';
+import { AUDIT_SOURCES, diffFields, diffUpdates, createAuditEntry, mergeHistories } from '../utils/auditTrail.js';
+import {
+    assembleLPN, generateMPNHash, getMaxSequence, resolveLPNFormat, extractMPN, LPN_LIFECYCLE,
+    MPN_FIELDS, MPN_CHANGE_POLICIES, rehashLPN
+} from '../utils/lpnUtils.js';
+import { normalizeMPN } from '../utils/mpnMatcher.js';
+import { LPN_REQUEST_STATUS, getLPNIdentityKey } from '../utils/lpnRequests.js';
+
+// Firestore accepts at most 500 writes per batch
+const BATCH_WRITE_LIMIT = 450;
+
+// Firestore accepts at most 30 values in an 'in' query
+const IN_QUERY_LIMIT = 30;
+
+// Identities registered per transaction, below the 500 writes a transaction accepts
+// together with the block and counter writes; firestore.rules caps blocks at this size
+const REGISTRY_TRANSACTION_LIMIT = 400;
+
+// Documents firestore.rules reads for the registry writes of one transaction or batch, below
+// the 20 Firestore allows, leaving room for the library membership. An entry without a
+// sequence reads its part; numbering from a counter reads the counter (before and after)
+// and its block
+const REGISTRY_RULES_READS = 15;
+const COUNTER_RULES_READS = 3;
+
+// Size of one chunk of a BOM revision's components, well below Firestore's 1 MiB document limit
+const REVISION_CHUNK_BYTES = 512 * 1024;
+
+/**
+ * Path segments of a library document. A library is a shared workspace (library id
+ * `workspaces/{workspaceId}`) or, for any other id, the personal library of that user.
+ */
+function getLibrarySegments(libraryId) {
+    return libraryId.startsWith('workspaces/') ? libraryId.split('/') : ['users', libraryId];
+}
 
 /**
- * Get user's components collection reference
+ * Get user's legacy components collection reference (one document per designator,
+ * before parts and placements were split)
  */
-function getUserComponentsRef(userId) {
+function getLegacyComponentsRef(userId) {
     return collection(db, 'users', userId, 'components');
 }
 
+/**
+ * Get a library's parts collection reference
+ */
+function getUserPartsRef(libraryId) {
+    return collection(db, ...getLibrarySegments(libraryId), 'parts');
+}
+
+/**
+ * Get a library's project placements collection reference
+ */
+function getUserPlacementsRef(libraryId) {
+    return collection(db, ...getLibrarySegments(libraryId), 'placements');
+}
+
+/**
+ * Get a project's document reference (revision counter and active revision)
+ */
+function getProjectRef(libraryId, projectName) {
+    return doc(db, ...getLibrarySegments(libraryId), 'projects', toDocId(projectName));
+}
+
+/**
+ * Get a project's BOM revisions collection reference
+ */
+function getProjectRevisionsRef(userId, projectName) {
+    return collection(getProjectRef(userId, projectName), 'revisions');
+}
+
+/**
+ * Get the chunks collection of a BOM revision; large BOMs do not fit in one document
+ */
+function getRevisionChunksRef(revisionRef) {
+    return collection(revisionRef, 'chunks');
+}
+
+/**
+ * Get a library's projects collection reference
+ */
+function getUserProjectsRef(libraryId) {
+    return collection(db, ...getLibrarySegments(libraryId), 'projects');
+}
+
+/**
+ * Get the document of a library: the user document, or the workspace document
+ */
+function getLibraryRef(libraryId) {
+    return doc(db, ...getLibrarySegments(libraryId));
+}
+
 /**
  * Get user's settings document reference
  */
@@ -34,95 +136,466 @@ function getUserSettingsRef(userId) {
 }
 
 /**
- * Get global LPN counter reference
+ * Get a global LPN counter reference; every prefix of the LPN scheme has its own counter
  */
-function getLPNCounterRef() {
-    return doc(db, 'system', 'lpn_counter');
+function getLPNCounterRef(counterId = 'lpn_counter') {
+    return doc(db, 'system', counterId);
 }
 
 /**
- * Subscribe to user's components in real-time
+ * Get the global MPN-to-LPN registry collection reference. Entries are keyed by
+ * getLPNIdentityKey (normalized MPN or generic part number) and never change, so every
+ * MPN has one LPN across all libraries.
  */
-export function subscribeToComponents(userId, callback) {
-    const componentsRef = getUserComponentsRef(userId);
-    
-    return onSnapshot(componentsRef, (snapshot) => {
-        const components = [];
-        snapshot.forEach((doc) => {
-            components.push({ id: doc.id, ...doc.data() });
-        });
-        callback(components);
-    }, (error) => {
-        console.error('Error subscribing to components:', error);
-        callback(null, error);
+function getLPNRegistryRef() {
+    return collection(db, 'lpn_registry');
+}
+
+/**
+ * Path of a library document (`users/{uid}` or `workspaces/{id}`), as registry entries name
+ * the libraries holding an LPN
+ */
+function getLibraryPath(libraryId) {
+    return getLibrarySegments(libraryId).join('/');
+}
+
+/**
+ * Path of a library part, as registry entries name it for the security rules
+ */
+function getPartPath(libraryId, partId) {
+    return [getLibraryPath(libraryId), 'parts', partId].join('/');
+}
+
+/**
+ * Registry entry of an LPN, registered by the library `libraryId`. `sequence` and
+ * `counterId` are set when the LPN was issued with the entry, and null for LPNs registered
+ * afterwards (existing parts, backfill). An approved alternate MPN names the registry key of
+ * the LPN's own identity in `alternateOf`, and a corrected MPN the entry it was corrected
+ * from; the security rules require that entry to be of the library the LPN was issued to.
+ * `partPath` names the library part holding the LPN, which the security rules require of
+ * entries without a sequence. `libraries` lists the libraries holding the LPN (see
+ * joinRegistryEntry); only an LPN held by one library can be corrected.
+ */
+function createRegistryEntry({ mpn = null, genericPartNumber = null }, lpn, registrant = {}, { libraryId, partId, sequence = null, counterId = null, alternateOf = null }) {
+    return {
+        lpn,
+        mpn: mpn ? normalizeMPN(mpn) : null,
+        genericPartNumber: mpn ? null : genericPartNumber,
+        sequence,
+        counterId: sequence ? counterId : null,
+        alternateOf,
+        partPath: getPartPath(libraryId, partId),
+        libraries: [getLibraryPath(libraryId)],
+        registeredBy: registrant.userId || null,
+        registeredAt: new Date().toISOString()
+    };
+}
+
+/**
+ * Whether LPNs a library's parts hold without an issued sequence (issued before the registry
+ * existed) are registered for it. firestore.rules only accepts them from workspaces: the
+ * owner of a personal library writes its parts freely and could claim any MPN for any LPN.
+ */
+function registersHeldLPNs(libraryId) {
+    return libraryId.startsWith('workspaces/');
+}
+
+/**
+ * Registry entry update adding a library that takes the entry's LPN to its `libraries`, or
+ * null when the entry lists the library already
+ */
+function joinRegistryEntry(entry, libraryId) {
+    const library = getLibraryPath(libraryId);
+    const libraries = entry.libraries || [];
+    return libraries.includes(library) ? null : { libraries: [...libraries, library] };
+}
+
+/**
+ * MPN or generic part number of a library part. Generic passives are keyed by their generic
+ * part number (see getPartId); library parts have no designator to derive it from again.
+ */
+function getPartIdentity(partId, part) {
+    const mpn = extractMPN(part);
+    const genericPartNumber = !mpn && partId.startsWith('gen_')
+        ? decodeURIComponent(partId.slice('gen_'.length).split('~')[0])
+        : null;
+    return { mpn, genericPartNumber };
+}
+
+/**
+ * Get a library's LPN requests collection reference
+ */
+function getLPNRequestsRef(libraryId) {
+    return collection(db, ...getLibrarySegments(libraryId), 'lpnRequests');
+}
+
+/**
+ * Get a library's LPN block reservations collection reference
+ */
+function getLPNBlocksRef(libraryId) {
+    return collection(db, ...getLibrarySegments(libraryId), 'lpnBlocks');
+}
+
+/**
+ * Get a library's record of corrected MPNs
+ */
+function getMPNChangesRef(libraryId) {
+    return collection(db, ...getLibrarySegments(libraryId), 'mpnChanges');
+}
+
+/**
+ * Get the append-only audit history of a part or placement document
+ */
+function getHistoryRef(docRef) {
+    return collection(docRef, 'history');
+}
+
+/**
+ * Collect the documents of a snapshot as plain objects
+ */
+function snapshotToArray(snapshot) {
+    const items = [];
+    snapshot.forEach((doc) => {
+        items.push({ id: doc.id, ...doc.data() });
     });
+    return items;
+}
+
+/**
+ * Subscribe to parts and a placements query, calling back with the joined components
+ * once both have loaded. Placements of soft-deleted projects are left out.
+ */
+function subscribeToJoinedComponents(userId, placementsQuery, callback, label) {
+    let parts = null;
+    let placements = null;
+    const emit = () => {
+        if (parts && placements) callback(joinPlacements(parts, placements));
+    };
+    const onError = (error) => {
+        console.error(`Error subscribing to ${label}:`, error);
+        callback(null, error);
+    };
+
+    const unsubscribeParts = onSnapshot(getUserPartsRef(userId), (snapshot) => {
+        parts = snapshotToArray(snapshot);
+        emit();
+    }, onError);
+    const unsubscribePlacements = onSnapshot(placementsQuery, (snapshot) => {
+        placements = snapshotToArray(snapshot).filter(placement => !placement.deletedAt);
+        emit();
+    }, onError);
+
+    return () => {
+        unsubscribeParts();
+        unsubscribePlacements();
+    };
+}
+
+/**
+ * Subscribe to user's components (placements joined with their parts) in real-time
+ */
+export function subscribeToComponents(userId, callback) {
+    return subscribeToJoinedComponents(userId, getUserPlacementsRef(userId), callback, 'components');
 }
 
 /**
  * Subscribe to components for a specific project
  */
 export function subscribeToProjectComponents(userId, projectName, callback) {
-    const componentsRef = getUserComponentsRef(userId);
-    const q = query(componentsRef, where('ProjectName', '==', projectName));
-    
-    return onSnapshot(q, (snapshot) => {
-        const components = [];
-        snapshot.forEach((doc) => {
-            components.push({ id: doc.id, ...doc.data() });
-        });
-        callback(components);
+    const q = query(getUserPlacementsRef(userId), where('ProjectName', '==', projectName));
+    return subscribeToJoinedComponents(userId, q, callback, 'project components');
+}
+
+/**
+ * Subscribe to user's library parts in real-time; parts hidden by clearing the library are left out
+ */
+export function subscribeToParts(userId, callback) {
+    return onSnapshot(getUserPartsRef(userId), (snapshot) => {
+        callback(snapshotToArray(snapshot).filter(part => !part.deletedAt));
     }, (error) => {
-        console.error('Error subscribing to project components:', error);
+        console.error('Error subscribing to parts:', error);
         callback(null, error);
     });
 }
 
 /**
- * Add a new component
+ * Batch operation appending an audit entry to a document's history; null when nothing changed.
+ * `audit` is `{source, userId, userEmail}`; the user defaults to the library owner.
  */
-export async function addComponent(userId, componentData) {
-    const componentRef = doc(getUserComponentsRef(userId), componentData.id);
-    await setDoc(componentRef, {
-        ...componentData,
-        createdAt: new Date().toISOString(),
-        updatedAt: new Date().toISOString()
+function auditOperation(userId, docRef, changes, audit = {}, action = 'update') {
+    if (changes.length === 0) return null;
+    const entry = createAuditEntry(changes, { source: AUDIT_SOURCES.EDIT, userId, ...audit, action });
+    return batch => batch.set(doc(getHistoryRef(docRef)), entry);
+}
+
+/**
+ * Build the batch operations writing parts and placements. New part attributes only fill
+ * fields the stored part does not have yet, so library data is never overwritten by an
+ * upload. Each write is grouped with its audit entry.
+ */
+async function partAndPlacementOperations(userId, parts, placements, audit = { source: AUDIT_SOURCES.UPLOAD }) {
+    const now = new Date().toISOString();
+
+    // The stored parts, in 'in' queries
+    const partsRef = getUserPartsRef(userId);
+    const partDocs = parts.size > 0 ? await getDocsWhereIn(partsRef, documentId(), [...parts.keys()]) : [];
+    const stored = new Map(partDocs.map(partDoc => [partDoc.id, partDoc.data()]));
+
+    const partOperations = [...parts.entries()].map(([partId, attributes]) => {
+        const partRef = doc(partsRef, partId);
+        const part = stored.get(partId);
+        if (!part) {
+            return [
+                batch => batch.set(partRef, { ...attributes, createdAt: now, updatedAt: now }),
+                auditOperation(userId, partRef, diffFields(null, attributes), audit, 'create')
+            ];
+        }
+        const missing = getMissingPartAttributes(part, attributes);
+        // Adding a part hidden by clearing the library brings it back
+        const { deletedAt } = part;
+        if (Object.keys(missing).length === 0 && !deletedAt) return null;
+        return [
+            batch => batch.set(partRef, { ...missing, ...(deletedAt && { deletedAt: deleteField() }), updatedAt: now }, { merge: true }),
+            auditOperation(userId, partRef, [
+                ...diffUpdates(part, missing),
+                ...(deletedAt ? diffFields({ deletedAt }, null) : [])
+            ], audit)
+        ];
+    });
+
+    const placementOperations = placements.map(({ id, ...data }) => {
+        const placementRef = doc(getUserPlacementsRef(userId), id);
+        return [
+            batch => batch.set(placementRef, { ...data, createdAt: now, updatedAt: now }),
+            auditOperation(userId, placementRef, diffFields(null, data), audit, 'create')
+        ];
     });
+
+    return [...partOperations, ...placementOperations];
+}
+
+/**
+ * Write parts and placements, each in the same batch as its audit entry
+ */
+async function writePartsAndPlacements(userId, parts, placements, audit) {
+    await commitInBatches(await partAndPlacementOperations(userId, parts, placements, audit));
+    return placements.map(placement => placement.id);
+}
+
+/**
+ * Add a new component: upserts its library part and adds the placement
+ */
+export async function addComponent(userId, componentData, audit) {
+    const { parts, placements } = groupComponentsByPart([componentData]);
+    await writePartsAndPlacements(userId, parts, placements, audit);
     return componentData.id;
 }
 
 /**
- * Add multiple components in batch
+ * Add multiple components in batch. Components sharing an MPN share one part.
  */
-export async function addComponentsBatch(userId, components) {
-    const promises = components.map(component => addComponent(userId, component));
-    return Promise.all(promises);
+export async function addComponentsBatch(userId, components, audit) {
+    const { parts, placements } = groupComponentsByPart(components);
+    return writePartsAndPlacements(userId, parts, placements, audit);
 }
 
 /**
- * Update an existing component
+ * Update an existing component. Part attributes are written to the library part (and so
+ * change in every project using it); project, designator, quantity and DNP stay on the
+ * placement. An id without a placement is treated as a part id (Parts view).
+ * The changed fields are appended to the part and placement histories.
  */
-export async function updateComponent(userId, componentId, updates) {
-    const componentRef = doc(getUserComponentsRef(userId), componentId);
-    await updateDoc(componentRef, {
-        ...updates,
-        updatedAt: new Date().toISOString()
-    });
+export async function updateComponent(userId, componentId, updates, audit) {
+    const updatedAt = new Date().toISOString();
+    const placementRef = doc(getUserPlacementsRef(userId), componentId);
+    const placementDoc = await getDoc(placementRef);
+
+    if (!placementDoc.exists()) {
+        const partRef = doc(getUserPartsRef(userId), componentId);
+        const partDoc = await getDoc(partRef);
+        if (partDoc.exists()) {
+            const { partUpdates } = splitUpdates(componentId, updates);
+            await commitInBatches([[
+                batch => batch.update(partRef, { ...partUpdates, updatedAt }),
+                auditOperation(userId, partRef, diffUpdates(partDoc.data(), partUpdates), audit)
+            ]]);
+            return;
+        }
+        await updateDoc(placementRef, { ...updates, updatedAt });
+        return;
+    }
+
+    const placement = placementDoc.data();
+    const { partId } = placement;
+    const { partUpdates, placementUpdates } = splitUpdates(partId, updates);
+    // The part, the placement and their history entries are written together
+    const operations = [
+        batch => batch.update(placementRef, { ...placementUpdates, updatedAt }),
+        auditOperation(userId, placementRef, diffUpdates(placement, placementUpdates), audit)
+    ];
+    if (partId && Object.keys(partUpdates).length > 0) {
+        const partRef = doc(getUserPartsRef(userId), partId);
+        const partDoc = await getDoc(partRef);
+        const part = partDoc.exists() ? partDoc.data() : {};
+        operations.push(batch => batch.set(partRef, { ...partUpdates, updatedAt }, { merge: true }));
+        operations.push(auditOperation(userId, partRef, diffUpdates(part, partUpdates), audit));
+    }
+    await commitInBatches([operations]);
+}
+
+/**
+ * Update a library part; the change shows in every project that uses it
+ */
+export async function updatePart(userId, partId, updates, audit) {
+    const partRef = doc(getUserPartsRef(userId), partId);
+    const partDoc = await getDoc(partRef);
+    const part = partDoc.exists() ? partDoc.data() : {};
+    const { partUpdates } = splitUpdates(partId, updates);
+    await commitInBatches([[
+        batch => batch.update(partRef, {
+            ...partUpdates,
+            updatedAt: new Date().toISOString()
+        }),
+        auditOperation(userId, partRef, diffUpdates(part, partUpdates), audit)
+    ]]);
+}
+
+/**
+ * Get the audit history of a component (its placement and library part), newest first.
+ * Pass only `partId` for a library part.
+ */
+export async function getComponentHistory(userId, { placementId = null, partId = null }) {
+    const [partSnapshot, placementSnapshot] = await Promise.all([
+        partId ? getDocs(getHistoryRef(doc(getUserPartsRef(userId), partId))) : null,
+        placementId ? getDocs(getHistoryRef(doc(getUserPlacementsRef(userId), placementId))) : null
+    ]);
+    return mergeHistories(
+        partSnapshot ? snapshotToArray(partSnapshot) : [],
+        placementSnapshot ? snapshotToArray(placementSnapshot) : []
+    );
 }
 
 /**
- * Delete a component
+ * Delete a component (its placement; the library part is kept)
  */
 export async function deleteComponent(userId, componentId) {
-    const componentRef = doc(getUserComponentsRef(userId), componentId);
+    const componentRef = doc(getUserPlacementsRef(userId), componentId);
     await deleteDoc(componentRef);
 }
 
 /**
- * Delete all components for a project
+ * Run write operations in as few batches as Firestore allows.
+ * Each operation is a function adding one write to the batch it is given. An array of
+ * operations is a group that is never split across batches, so a write and its audit
+ * entries are committed together; empty entries are skipped.
+ */
+async function commitInBatches(operations) {
+    let batch = null;
+    let size = 0;
+    for (const group of operations.map(operation => [operation].flat().filter(Boolean))) {
+        if (batch && size + group.length > BATCH_WRITE_LIMIT) {
+            await batch.commit();
+            batch = null;
+        }
+        if (group.length === 0) continue;
+        if (!batch) {
+            batch = writeBatch(db);
+            size = 0;
+        }
+        group.forEach(operation => operation(batch));
+        size += group.length;
+    }
+    if (batch) await batch.commit();
+}
+
+// Undefined values (fields a row did not have before) are removed, so an update can be undone
+const withDeletedFields = (updates) => Object.fromEntries(
+    Object.entries(updates).map(([field, value]) => [field, value === undefined ? deleteField() : value])
+);
+
+/**
+ * Update many components in batched writes. Each change is `{id, partId, updates}`;
+ * part attributes go to the library part, the rest to the placement. With `parts`
+ * set, ids are library part ids (Parts view).
+ */
+export async function updateComponentsBatch(userId, changes, { parts = false, audit } = {}) {
+    const updatedAt = new Date().toISOString();
+    const operations = [];
+
+    for (const { id, partId, updates, previous = {} } of changes) {
+        if (parts) {
+            const partRef = doc(getUserPartsRef(userId), id);
+            const { partUpdates } = splitUpdates(id, updates);
+            operations.push([
+                batch => batch.set(partRef, { ...withDeletedFields(partUpdates), updatedAt }, { merge: true }),
+                auditOperation(userId, partRef, diffUpdates(previous, partUpdates), audit)
+            ]);
+            continue;
+        }
+
+        // A change's part and placement writes and their audit entries are committed together
+        const { partUpdates, placementUpdates } = splitUpdates(partId, updates);
+        const group = [];
+        if (partId && Object.keys(partUpdates).length > 0) {
+            const partRef = doc(getUserPartsRef(userId), partId);
+            group.push(batch => batch.set(partRef,
+                { ...withDeletedFields(partUpdates), updatedAt }, { merge: true }));
+            group.push(auditOperation(userId, partRef, diffUpdates(previous, partUpdates), audit));
+        }
+        if (Object.keys(placementUpdates).length > 0) {
+            const placementRef = doc(getUserPlacementsRef(userId), id);
+            group.push(batch => batch.update(placementRef,
+                { ...withDeletedFields(placementUpdates), updatedAt }));
+            group.push(auditOperation(userId, placementRef, diffUpdates(previous, placementUpdates), audit));
+        }
+        operations.push(group);
+    }
+
+    await commitInBatches(operations);
+    return changes.length;
+}
+
+/**
+ * Delete many components (placements) in batched writes; library parts are kept
+ */
+export async function deleteComponentsBatch(userId, components, audit) {
+    await commitInBatches(components.map(component => {
+        const placementRef = doc(getUserPlacementsRef(userId), component.id);
+        const { placement } = splitComponent(component);
+        return [
+            batch => batch.delete(placementRef),
+            auditOperation(userId, placementRef, diffFields(placement, null), audit, 'delete')
+        ];
+    }));
+    return components.length;
+}
+
+/**
+ * Write deleted components (joined placements) back with their ids and part references
+ */
+export async function restoreComponentsBatch(userId, components, audit) {
+    const updatedAt = new Date().toISOString();
+    await commitInBatches(components.map(component => {
+        const { id, ...placement } = splitComponent(component).placement;
+        const placementRef = doc(getUserPlacementsRef(userId), id);
+        return [
+            batch => batch.set(placementRef, {
+                ...placement,
+                createdAt: component.createdAt || updatedAt,
+                updatedAt
+            }),
+            auditOperation(userId, placementRef, diffFields(null, placement), audit, 'create')
+        ];
+    }));
+    return components.length;
+}
+
+/**
+ * Delete all components (placements) for a project
  */
 export async function deleteProjectComponents(userId, projectName) {
-    const componentsRef = getUserComponentsRef(userId);
-    const q = query(componentsRef, where('ProjectName', '==', projectName));
+    const placementsRef = getUserPlacementsRef(userId);
+    const q = query(placementsRef, where('ProjectName', '==', projectName));
     const snapshot = await getDocs(q);
     
     const deletePromises = [];
@@ -134,46 +607,1029 @@ export async function deleteProjectComponents(userId, projectName) {
 }
 
 /**
- * Delete all components for a user
+ * Replace the placements of a project with a new BOM. The new placements are written
+ * before the old ones are deleted, so a failed commit never leaves the project empty;
+ * every delete is grouped with its audit entry.
  */
-export async function deleteAllComponents(userId) {
-    const componentsRef = getUserComponentsRef(userId);
-    const snapshot = await getDocs(componentsRef);
-    
+export async function replaceProjectComponents(userId, projectName, components, audit) {
+    const placementsRef = getUserPlacementsRef(userId);
+    const snapshot = await getDocs(query(placementsRef, where('ProjectName', '==', projectName)));
+    const { parts, placements } = groupComponentsByPart(components);
+    const kept = new Set(placements.map(placement => placement.id));
+
+    const deletions = snapshot.docs
+        .filter(placementDoc => !kept.has(placementDoc.id))
+        .map(placementDoc => [
+            batch => batch.delete(placementDoc.ref),
+            auditOperation(userId, placementDoc.ref, diffFields(placementDoc.data(), null), audit, 'delete')
+        ]);
+
+    await commitInBatches([
+        ...await partAndPlacementOperations(userId, parts, placements, audit),
+        ...deletions
+    ]);
+}
+
+/**
+ * Split components into chunks of at most `maxBytes` of JSON each
+ */
+function chunkComponents(components, maxBytes = REVISION_CHUNK_BYTES) {
+    const encoder = new TextEncoder();
+    const chunks = [];
+    let current = [];
+    let size = 0;
+
+    for (const component of components) {
+        const componentSize = encoder.encode(JSON.stringify(component)).length;
+        if (current.length > 0 && size + componentSize > maxBytes) {
+            chunks.push(current);
+            current = [];
+            size = 0;
+        }
+        current.push(component);
+        size += componentSize;
+    }
+    if (current.length > 0) chunks.push(current);
+    return chunks;
+}
+
+/**
+ * Read the components of a revision from its chunks
+ */
+async function getRevisionComponents(revisionRef, revision) {
+    // Revisions saved before chunking hold their components inline
+    if (revision.components) return revision.components;
+
+    const snapshot = await getDocs(getRevisionChunksRef(revisionRef));
+    return snapshotToArray(snapshot)
+        .sort((a, b) => a.index - b.index)
+        .flatMap(chunk => chunk.components || []);
+}
+
+/**
+ * Store an uploaded BOM as the next numbered revision of its project and make it
+ * the active revision. The components are stored in size-limited chunks written in the
+ * same transaction as the revision. Returns the revision number.
+ */
+export async function saveBOMRevision(userId, projectName, { fileName, uploadedBy, components }) {
+    const projectRef = getProjectRef(userId, projectName);
+    const chunks = chunkComponents(components);
+
+    return runTransaction(db, async (transaction) => {
+        const projectDoc = await transaction.get(projectRef);
+        const number = (projectDoc.exists() ? projectDoc.data().revisionCount || 0 : 0) + 1;
+        const uploadedAt = new Date().toISOString();
+        const revisionRef = doc(getProjectRevisionsRef(userId, projectName), String(number));
+
+        transaction.set(revisionRef, {
+            number,
+            fileName: fileName || '',
+            uploadedBy: uploadedBy || '',
+            uploadedAt,
+            componentCount: components.length,
+            chunkCount: chunks.length
+        });
+        chunks.forEach((chunk, index) => {
+            transaction.set(doc(getRevisionChunksRef(revisionRef), String(index)), { index, components: chunk });
+        });
+        transaction.set(projectRef, {
+            name: projectName,
+            revisionCount: number,
+            activeRevision: number,
+            updatedAt: uploadedAt,
+            // A new upload brings a soft-deleted project back
+            deletedAt: deleteField(),
+            deletedCount: deleteField()
+        }, { merge: true });
+
+        return number;
+    });
+}
+
+/**
+ * Get the BOM revisions of a project (oldest first) with their components, and the
+ * active revision number
+ */
+export async function getBOMRevisions(userId, projectName) {
+    const revisionsRef = getProjectRevisionsRef(userId, projectName);
+    const [projectDoc, snapshot] = await Promise.all([
+        getDoc(getProjectRef(userId, projectName)),
+        getDocs(revisionsRef)
+    ]);
+
+    const revisions = await Promise.all(snapshotToArray(snapshot).map(async (revision) => ({
+        ...revision,
+        components: await getRevisionComponents(doc(revisionsRef, revision.id), revision)
+    })));
+    revisions.sort((a, b) => a.number - b.number);
+    const activeRevision = projectDoc.exists() ? projectDoc.data().activeRevision || null : null;
+    return { revisions, activeRevision };
+}
+
+/**
+ * Make an earlier revision the active BOM of its project. Returns the restored components.
+ */
+export async function restoreBOMRevision(userId, projectName, number, audit = { source: AUDIT_SOURCES.REVISION }) {
+    const revisionRef = doc(getProjectRevisionsRef(userId, projectName), String(number));
+    const revisionDoc = await getDoc(revisionRef);
+    if (!revisionDoc.exists()) {
+        throw new Error(`Revision ${number} of "${projectName}" not found`);
+    }
+
+    const components = await getRevisionComponents(revisionRef, revisionDoc.data());
+    await replaceProjectComponents(userId, projectName, components, audit);
+    await setDoc(getProjectRef(userId, projectName), {
+        activeRevision: number,
+        updatedAt: new Date().toISOString()
+    }, { merge: true });
+
+    return components;
+}
+
+/**
+ * Delete the revision history of a project
+ */
+export async function deleteProjectRevisions(userId, projectName) {
+    const snapshot = await getDocs(getProjectRevisionsRef(userId, projectName));
+
+    const deletePromises = [];
+    snapshot.forEach((revisionDoc) => {
+        deletePromises.push(getDocs(getRevisionChunksRef(revisionDoc.ref))
+            .then(chunks => Promise.all(chunks.docs.map(chunk => deleteDoc(chunk.ref))))
+            .then(() => deleteDoc(revisionDoc.ref)));
+    });
+    await Promise.all(deletePromises);
+    await deleteDoc(getProjectRef(userId, projectName));
+}
+
+/**
+ * Soft-delete a project: its placements are hidden but kept, so the project can be
+ * restored until it is purged. Returns the number of hidden placements.
+ */
+export async function softDeleteProject(userId, projectName, audit) {
+    const deletedAt = new Date().toISOString();
+    const snapshot = await getDocs(query(getUserPlacementsRef(userId), where('ProjectName', '==', projectName)));
+
+    // Each placement is hidden in the same batch as its history entry
+    const operations = snapshot.docs.map(doc => [
+        batch => batch.update(doc.ref, { deletedAt }),
+        auditOperation(userId, doc.ref, diffFields(null, { deletedAt }), audit)
+    ]);
+    const count = operations.length;
+    operations.push(batch => batch.set(getProjectRef(userId, projectName), {
+        name: projectName,
+        deletedAt,
+        deletedCount: count
+    }, { merge: true }));
+
+    await commitInBatches(operations);
+    return count;
+}
+
+/**
+ * Bring back a soft-deleted project, with the library parts it uses if clearing the library
+ * hid them. Returns the number of restored placements.
+ */
+export async function restoreDeletedProject(userId, projectName, audit) {
+    const snapshot = await getDocs(query(getUserPlacementsRef(userId), where('ProjectName', '==', projectName)));
+
+    // Each document is un-hidden in the same batch as its history entry
+    const restore = (doc) => {
+        const { deletedAt } = doc.data();
+        return [
+            batch => batch.update(doc.ref, { deletedAt: deleteField() }),
+            auditOperation(userId, doc.ref, diffFields({ deletedAt }, null), audit)
+        ];
+    };
+
+    const deletedPlacements = snapshot.docs.filter(doc => doc.data().deletedAt);
+    const operations = deletedPlacements.map(restore);
+    const count = operations.length;
+
+    const partIds = new Set(deletedPlacements.map(doc => doc.data().partId).filter(Boolean));
+    const partDocs = partIds.size > 0 ? await getDocsWhereIn(getUserPartsRef(userId), documentId(), [...partIds]) : [];
+    operations.push(...partDocs.filter(doc => doc.data().deletedAt).map(restore));
+    operations.push(batch => batch.set(getProjectRef(userId, projectName), {
+        deletedAt: deleteField(),
+        deletedCount: deleteField(),
+        updatedAt: new Date().toISOString()
+    }, { merge: true }));
+
+    await commitInBatches(operations);
+    return count;
+}
+
+/**
+ * Get the soft-deleted projects, most recently deleted first
+ */
+export async function getDeletedProjects(userId) {
+    const snapshot = await getDocs(getUserProjectsRef(userId));
+    return snapshotToArray(snapshot)
+        .filter(project => project.deletedAt)
+        .map(project => ({
+            name: project.name,
+            deletedAt: project.deletedAt,
+            componentCount: project.deletedCount || 0
+        }))
+        .sort((a, b) => b.deletedAt.localeCompare(a.deletedAt));
+}
+
+/**
+ * Permanently delete soft-deleted projects older than the retention period
+ * (placements, revisions and the project document), then the placements and library
+ * parts hidden by clearing the library that are past it too; parts still used by a
+ * placement are kept. Returns the purged project names.
+ */
+export async function purgeDeletedProjects(userId, retentionDays, now = Date.now()) {
+    const expired = (await getDeletedProjects(userId))
+        .filter(project => isPurgeDue(project.deletedAt, retentionDays, now));
+
+    for (const { name } of expired) {
+        await deleteProjectComponents(userId, name);
+        await deleteProjectRevisions(userId, name);
+    }
+
+    const isExpired = (doc) => isPurgeDue(doc.data().deletedAt, retentionDays, now);
+    const [placementsSnapshot, partsSnapshot] = await Promise.all([
+        getDocs(query(getUserPlacementsRef(userId), where('deletedAt', '!=', null))),
+        getDocs(query(getUserPartsRef(userId), where('deletedAt', '!=', null)))
+    ]);
+    const expiredPlacements = placementsSnapshot.docs.filter(isExpired);
+    const expiredParts = partsSnapshot.docs.filter(isExpired);
+
+    const purgedPlacementIds = new Set(expiredPlacements.map(doc => doc.id));
+    const usedPartIds = new Set((expiredParts.length > 0
+        ? await getDocsWhereIn(getUserPlacementsRef(userId), 'partId', expiredParts.map(doc => doc.id))
+        : [])
+        .filter(doc => !purgedPlacementIds.has(doc.id))
+        .map(doc => doc.data().partId));
+
+    await commitInBatches([
+        ...expiredPlacements.map(doc => batch => batch.delete(doc.ref)),
+        ...expiredParts.filter(doc => !usedPartIds.has(doc.id)).map(doc => batch => batch.delete(doc.ref))
+    ]);
+    return expired.map(project => project.name);
+}
+
+/**
+ * Soft-delete the whole library: every project is soft-deleted as by softDeleteProject and
+ * the library parts are hidden, so everything can be restored until it is purged.
+ * Pass `deletedAt` to repeat an earlier clear (redo). Returns `{deletedAt, count}` with
+ * the number of hidden placements.
+ */
+export async function softDeleteLibrary(userId, audit, deletedAt = new Date().toISOString()) {
+    const [placementsSnapshot, partsSnapshot] = await Promise.all([
+        getDocs(getUserPlacementsRef(userId)),
+        getDocs(getUserPartsRef(userId))
+    ]);
+
+    const operations = [];
+    const hide = (doc) => {
+        operations.push([
+            batch => batch.update(doc.ref, { deletedAt }),
+            auditOperation(userId, doc.ref, diffFields(null, { deletedAt }), audit)
+        ]);
+    };
+
+    const projectCounts = new Map();
+    placementsSnapshot.forEach((doc) => {
+        const { ProjectName, deletedAt: hiddenAt } = doc.data();
+        if (hiddenAt) return;
+        hide(doc);
+        if (ProjectName) projectCounts.set(ProjectName, (projectCounts.get(ProjectName) || 0) + 1);
+    });
+    partsSnapshot.forEach((doc) => {
+        if (!doc.data().deletedAt) hide(doc);
+    });
+    projectCounts.forEach((deletedCount, name) => {
+        operations.push(batch => batch.set(getProjectRef(userId, name), { name, deletedAt, deletedCount }, { merge: true }));
+    });
+
+    await commitInBatches(operations);
+    return { deletedAt, count: [...projectCounts.values()].reduce((sum, count) => sum + count, 0) };
+}
+
+/**
+ * Undo softDeleteLibrary: bring back the placements, parts and projects hidden at `deletedAt`.
+ * Returns the number of restored placements.
+ */
+export async function restoreDeletedLibrary(userId, deletedAt, audit) {
+    const [placementsSnapshot, partsSnapshot, projectsSnapshot] = await Promise.all([
+        getDocs(query(getUserPlacementsRef(userId), where('deletedAt', '==', deletedAt))),
+        getDocs(query(getUserPartsRef(userId), where('deletedAt', '==', deletedAt))),
+        getDocs(query(getUserProjectsRef(userId), where('deletedAt', '==', deletedAt)))
+    ]);
+
+    const operations = [];
+    [...placementsSnapshot.docs, ...partsSnapshot.docs].forEach((doc) => {
+        operations.push([
+            batch => batch.update(doc.ref, { deletedAt: deleteField() }),
+            auditOperation(userId, doc.ref, diffFields({ deletedAt }, null), audit)
+        ]);
+    });
+    projectsSnapshot.docs.forEach((doc) => {
+        operations.push(batch => batch.update(doc.ref, {
+            deletedAt: deleteField(),
+            deletedCount: deleteField(),
+            updatedAt: new Date().toISOString()
+        }));
+    });
+
+    await commitInBatches(operations);
+    return placementsSnapshot.docs.length;
+}
+
+/**
+ * Move documents from the legacy components collection into parts and placements.
+ * Placements keep the legacy document ids. Returns the number of migrated components.
+ */
+export async function migrateLegacyComponents(userId) {
+    const snapshot = await getDocs(getLegacyComponentsRef(userId));
+    if (snapshot.empty) return 0;
+
+    const legacyComponents = snapshotToArray(snapshot);
+    const { parts, placements } = groupComponentsByPart(legacyComponents);
+    await writePartsAndPlacements(userId, parts, placements);
+
     const deletePromises = [];
     snapshot.forEach((doc) => {
         deletePromises.push(deleteDoc(doc.ref));
     });
-    
-    return Promise.all(deletePromises);
+    await Promise.all(deletePromises);
+
+    return legacyComponents.length;
 }
 
 /**
- * Get next LPN sequence number (atomic increment)
+ * Request an LPN for a library part. `requester` is `{userId, userEmail}`.
+ * A part has at most one pending request: the open one is returned instead of a new one.
  */
-export async function getNextLPNSequence() {
-    const counterRef = getLPNCounterRef();
-    
+export async function createLPNRequest(libraryId, request, requester = {}) {
+    const requestsRef = getLPNRequestsRef(libraryId);
+    const open = await getDocs(query(
+        requestsRef,
+        where('partId', '==', request.partId),
+        where('status', '==', LPN_REQUEST_STATUS.PENDING)
+    ));
+    if (!open.empty) {
+        return { id: open.docs[0].id, ...open.docs[0].data() };
+    }
+
+    const requestRef = doc(requestsRef);
+    const data = {
+        ...request,
+        status: LPN_REQUEST_STATUS.PENDING,
+        requestedBy: requester.userId || null,
+        requestedByEmail: requester.userEmail || null,
+        requestedAt: new Date().toISOString(),
+        lpn: null,
+        reason: null
+    };
+    await setDoc(requestRef, data);
+    return { id: requestRef.id, ...data };
+}
+
+/**
+ * Subscribe to a library's LPN requests in real-time, newest first
+ */
+export function subscribeToLPNRequests(libraryId, callback) {
+    return onSnapshot(getLPNRequestsRef(libraryId), (snapshot) => {
+        const requests = snapshotToArray(snapshot);
+        requests.sort((a, b) => String(b.requestedAt).localeCompare(String(a.requestedAt)));
+        callback(requests);
+    }, (error) => {
+        console.error('Error subscribing to LPN requests:', error);
+        callback(null, error);
+    });
+}
+
+/**
+ * Issue the LPN of a request. This is the only path that advances the global LPN counter:
+ * the counter, the approved request and the part are written in one transaction, which
+ * the security rules check. A request without id (a librarian assigning an LPN directly)
+ * is recorded as approved by `reviewer` (`{userId, userEmail}`).
+ * The part keeps an LPN it already has; otherwise the LPN registered for its MPN in the
+ * global registry is reused, and only an unregistered MPN is issued a new number, which is
+ * registered in the same transaction. `format` (see resolveLPNFormat) selects the prefix
+ * and the counter the LPN is issued from; the legacy KL- format by default.
+ * @returns {Promise<{id: string, lpn: string, sequence: number|null}>}
+ */
+export async function issueLPN(libraryId, request, reviewer = {}, { format = resolveLPNFormat() } = {}) {
+    const { id: requestId, ...requestData } = request;
+    const requestsRef = getLPNRequestsRef(libraryId);
+    const requestRef = requestId ? doc(requestsRef, requestId) : doc(requestsRef);
+    const partRef = doc(getUserPartsRef(libraryId), request.partId);
+    const registryRef = doc(getLPNRegistryRef(), getLPNIdentityKey(request));
+    const counterRef = getLPNCounterRef(format.counterId);
+
     return runTransaction(db, async (transaction) => {
+        const requestDoc = await transaction.get(requestRef);
+        const partDoc = await transaction.get(partRef);
+        const registryDoc = await transaction.get(registryRef);
         const counterDoc = await transaction.get(counterRef);
-        
-        let currentSequence = 0;
-        if (counterDoc.exists()) {
-            currentSequence = counterDoc.data().sequence || 0;
+
+        if (requestDoc.exists() && requestDoc.data().status !== LPN_REQUEST_STATUS.PENDING) {
+            throw new Error('LPN request was already reviewed');
+        }
+        if (!partDoc.exists()) {
+            throw new Error('Library part not found');
         }
-        
-        const nextSequence = currentSequence + 1;
-        
-        if (nextSequence > 99999) {
-            throw new Error('LPN sequence limit reached (99999)');
+
+        const now = new Date().toISOString();
+        const part = partDoc.data();
+        const registeredLPN = registryDoc.exists() ? registryDoc.data().lpn : null;
+        let lpn = part.Local_Part_Number || registeredLPN;
+        let sequence = null;
+
+        if (!lpn) {
+            sequence = (counterDoc.exists() ? counterDoc.data().sequence || 0 : 0) + 1;
+            const maxSequence = getMaxSequence(format.sequenceWidth);
+            if (sequence > maxSequence) {
+                throw new Error(`LPN sequence limit reached for ${format.prefix} (${maxSequence})`);
+            }
+            lpn = assembleLPN(sequence, generateMPNHash(request.mpn || request.genericPartNumber), format);
+            transaction.set(counterRef, {
+                sequence,
+                issuedFor: [...getLibrarySegments(libraryId), 'lpnRequests', requestRef.id].join('/')
+            }, { merge: true });
+        }
+        if (!registeredLPN && (sequence || registersHeldLPNs(libraryId))) {
+            transaction.set(registryRef, createRegistryEntry(request, lpn, reviewer, {
+                libraryId,
+                partId: request.partId,
+                sequence,
+                counterId: format.counterId
+            }));
+        } else if (lpn === registeredLPN) {
+            const joined = joinRegistryEntry(registryDoc.data(), libraryId);
+            if (joined) transaction.update(registryRef, joined);
+        }
+
+        if (!part.Local_Part_Number) {
+            const updates = request.mpn ? { Local_Part_Number: lpn, 'Mfr. Part #': request.mpn } : { Local_Part_Number: lpn };
+            transaction.update(partRef, { ...updates, updatedAt: now });
+            auditOperation(libraryId, partRef, diffUpdates(part, updates), { ...reviewer, source: AUDIT_SOURCES.LPN })?.(transaction);
         }
-        
-        transaction.set(counterRef, { sequence: nextSequence }, { merge: true });
-        
-        return nextSequence;
+
+        transaction.set(requestRef, {
+            ...(requestDoc.exists() ? {} : {
+                ...requestData,
+                requestedBy: reviewer.userId || null,
+                requestedByEmail: reviewer.userEmail || null,
+                requestedAt: now
+            }),
+            status: LPN_REQUEST_STATUS.APPROVED,
+            lpn,
+            sequence,
+            counterId: sequence ? format.counterId : null,
+            reason: null,
+            reviewedBy: reviewer.userId || null,
+            reviewedByEmail: reviewer.userEmail || null,
+            reviewedAt: now
+        }, { merge: true });
+
+        return { id: requestRef.id, lpn, sequence };
     });
 }
 
+/**
+ * Read the documents of a collection with one of the given values of a field (or document
+ * ids) with as few 'in' queries as Firestore allows
+ */
+async function getDocsWhereIn(collectionRef, field, values) {
+    const snapshots = [];
+    for (let start = 0; start < values.length; start += IN_QUERY_LIMIT) {
+        snapshots.push(getDocs(query(collectionRef, where(field, 'in', values.slice(start, start + IN_QUERY_LIMIT)))));
+    }
+    return (await Promise.all(snapshots)).flatMap(snapshot => snapshot.docs);
+}
+
+/**
+ * Register the LPNs of identity groups (`[key, group]`) in one transaction. A group whose
+ * parts have an LPN registers it; the others are numbered from one block of sequence
+ * numbers per counter. Groups registered in the meantime take the registered LPN.
+ */
+async function registerLPNGroups(libraryId, entries, reviewer) {
+    await runTransaction(db, async (transaction) => {
+        const registryRefs = entries.map(([key]) => doc(getLPNRegistryRef(), key));
+        const registryDocs = await Promise.all(registryRefs.map(registryRef => transaction.get(registryRef)));
+
+        const toNumber = new Map();
+        entries.forEach(([, group], index) => {
+            group.sequence = null;
+            group.blockId = null;
+            group.lpn = registryDocs[index].exists() ? registryDocs[index].data().lpn : group.partLPN;
+            if (!group.lpn) {
+                toNumber.set(group.format.counterId, [...(toNumber.get(group.format.counterId) || []), group]);
+            }
+        });
+
+        const counterRefs = [...toNumber.keys()].map(counterId => getLPNCounterRef(counterId));
+        const counterDocs = await Promise.all(counterRefs.map(counterRef => transaction.get(counterRef)));
+        const now = new Date().toISOString();
+
+        [...toNumber.values()].forEach((counterGroups, index) => {
+            const { format } = counterGroups[0];
+            const first = (counterDocs[index].exists() ? counterDocs[index].data().sequence || 0 : 0) + 1;
+            const last = first + counterGroups.length - 1;
+            const maxSequence = getMaxSequence(format.sequenceWidth);
+            if (last > maxSequence) {
+                throw new Error(`LPN sequence limit reached for ${format.prefix} (${maxSequence})`);
+            }
+
+            const blockRef = doc(getLPNBlocksRef(libraryId));
+            transaction.set(blockRef, {
+                status: LPN_REQUEST_STATUS.APPROVED,
+                counterId: format.counterId,
+                firstSequence: first,
+                sequence: last,
+                count: counterGroups.length,
+                reviewedBy: reviewer.userId || null,
+                reviewedByEmail: reviewer.userEmail || null,
+                reviewedAt: now
+            });
+            transaction.set(counterRefs[index], {
+                sequence: last,
+                issuedFor: [...getLibrarySegments(libraryId), 'lpnBlocks', blockRef.id].join('/')
+            }, { merge: true });
+
+            counterGroups.forEach((group, offset) => {
+                group.sequence = first + offset;
+                group.blockId = blockRef.id;
+                group.lpn = assembleLPN(group.sequence, generateMPNHash(group.request.mpn || group.request.genericPartNumber), format);
+            });
+        });
+
+        entries.forEach(([, group], index) => {
+            if (registryDocs[index].exists()) {
+                const joined = joinRegistryEntry(registryDocs[index].data(), libraryId);
+                if (joined) transaction.update(registryRefs[index], joined);
+                return;
+            }
+            transaction.set(registryRefs[index], createRegistryEntry(group.request, group.lpn, reviewer, {
+                libraryId,
+                partId: group.lpnPartId,
+                sequence: group.sequence,
+                counterId: group.format.counterId
+            }));
+        });
+    });
+}
+
+/**
+ * Split unregistered identity groups (`[key, group]`) into the transactions of
+ * registerLPNGroups, each within REGISTRY_TRANSACTION_LIMIT groups and the documents the
+ * security rules read for them (REGISTRY_RULES_READS)
+ */
+function chunkRegistryGroups(entries) {
+    const chunks = [];
+    let chunk = [];
+    let reads = 0;
+    let counterIds = new Set();
+    const readsOf = ({ partLPN, format }) => {
+        if (partLPN) return 1;
+        return counterIds.has(format.counterId) ? 0 : COUNTER_RULES_READS;
+    };
+
+    entries.forEach(entry => {
+        const [, group] = entry;
+        if (chunk.length === REGISTRY_TRANSACTION_LIMIT || (chunk.length > 0 && reads + readsOf(group) > REGISTRY_RULES_READS)) {
+            chunks.push(chunk);
+            chunk = [];
+            reads = 0;
+            counterIds = new Set();
+        }
+        reads += readsOf(group);
+        if (!group.partLPN) counterIds.add(group.format.counterId);
+        chunk.push(entry);
+    });
+    if (chunk.length > 0) chunks.push(chunk);
+    return chunks;
+}
+
+/**
+ * Issue the LPNs of many parts at once (uploads and bulk assignment). Every entry is
+ * `{request, format}` with a request built by buildLPNRequest and the format of its part.
+ * Parts are grouped by identity (normalized MPN, or generic part number) so each MPN ends
+ * up with exactly one LPN: the LPN in the global registry is reused, and unregistered
+ * identities are registered in transactions that number them from one block of sequence
+ * numbers per counter. Parts, audit entries and approved requests are then written in
+ * chunked batches; numbers of a block whose writes fail stay unused.
+ * @returns {Promise<{issued: Array<{partId: string, lpn: string, sequence: number|null}>, failed: Array<{partId: string, error: string}>}>}
+ */
+export async function issueLPNsInBatch(libraryId, entries, reviewer = {}) {
+    const groups = new Map();
+    entries.forEach(({ request, format = resolveLPNFormat() }) => {
+        const key = getLPNIdentityKey(request);
+        const group = groups.get(key) || { request, format, partIds: new Set(), lpn: null, sequence: null };
+        group.partIds.add(request.partId);
+        groups.set(key, group);
+    });
+
+    // The parts and the registry entries of their identities, in 'in' queries
+    const partIds = [...new Set(entries.map(({ request }) => request.partId))];
+    const partDocs = await getDocsWhereIn(getUserPartsRef(libraryId), documentId(), partIds);
+    const parts = new Map(partDocs.map(partDoc => [partDoc.id, partDoc.data()]));
+    const registryDocs = await getDocsWhereIn(getLPNRegistryRef(), documentId(), [...groups.keys()]);
+    const registered = new Map(registryDocs.map(entryDoc => [entryDoc.id, entryDoc.data()]));
+
+    const failed = [];
+    const unregistered = [];
+    groups.forEach((group, key) => {
+        const found = [...group.partIds].filter(partId => parts.has(partId));
+        [...group.partIds].filter(partId => !parts.has(partId))
+            .forEach(partId => failed.push({ partId, error: 'Library part not found' }));
+        group.partIds = new Set(found);
+        if (found.length === 0) return;
+
+        // The part that already has an LPN, if any, is the one its registry entry names
+        group.lpnPartId = found.find(partId => parts.get(partId).Local_Part_Number) || found[0];
+        group.partLPN = parts.get(group.lpnPartId).Local_Part_Number || null;
+        group.lpn = registered.get(key)?.lpn || null;
+        // A personal library keeps the LPN of its part unregistered (see registersHeldLPNs)
+        if (!group.lpn && group.partLPN && !registersHeldLPNs(libraryId)) group.lpn = group.partLPN;
+        if (!group.lpn) unregistered.push([key, group]);
+    });
+
+    for (const chunk of chunkRegistryGroups(unregistered)) {
+        await registerLPNGroups(libraryId, chunk, reviewer);
+    }
+
+    // Write the parts, their audit entries and the approved requests in chunked batches
+    const now = new Date().toISOString();
+    const issued = [];
+    const operations = [];
+    const audit = { ...reviewer, source: AUDIT_SOURCES.LPN };
+    groups.forEach((group, key) => {
+        if (!group.lpn) return;
+        const { mpn } = group.request;
+
+        // Identities registered before this call record the library as a holder of their LPN
+        const joined = registered.has(key) ? joinRegistryEntry(registered.get(key), libraryId) : null;
+        if (joined) operations.push(batch => batch.update(doc(getLPNRegistryRef(), key), joined));
+
+        group.partIds.forEach(partId => {
+            const part = parts.get(partId);
+            if (part.Local_Part_Number) {
+                issued.push({ partId, lpn: part.Local_Part_Number, sequence: null });
+                return;
+            }
+            issued.push({ partId, lpn: group.lpn, sequence: group.sequence });
+
+            const partRef = doc(getUserPartsRef(libraryId), partId);
+            const updates = mpn ? { Local_Part_Number: group.lpn, 'Mfr. Part #': mpn } : { Local_Part_Number: group.lpn };
+            operations.push(batch => batch.set(partRef, { ...updates, updatedAt: now }, { merge: true }));
+            operations.push(auditOperation(libraryId, partRef, diffUpdates(part, updates), audit));
+        });
+
+        if (group.sequence) {
+            const { id, ...requestData } = group.request;
+            const requestRef = id ? doc(getLPNRequestsRef(libraryId), id) : doc(getLPNRequestsRef(libraryId));
+            operations.push(batch => batch.set(requestRef, {
+                ...requestData,
+                requestedBy: reviewer.userId || null,
+                requestedByEmail: reviewer.userEmail || null,
+                requestedAt: now,
+                status: LPN_REQUEST_STATUS.APPROVED,
+                lpn: group.lpn,
+                sequence: group.sequence,
+                counterId: group.format.counterId,
+                blockId: group.blockId,
+                reason: null,
+                reviewedBy: reviewer.userId || null,
+                reviewedByEmail: reviewer.userEmail || null,
+                reviewedAt: now
+            }, { merge: true }));
+        }
+    });
+    await commitInBatches(operations.filter(Boolean));
+
+    return { issued, failed };
+}
+
+/**
+ * Register the LPNs of a library's parts in the global registry (migration for LPNs issued
+ * before the registry existed). Identities registered already are left alone; one whose
+ * registered LPN differs from the library's is reported as a conflict. Only workspaces
+ * register new entries (see registersHeldLPNs), in batches of REGISTRY_RULES_READS entries
+ * since the security rules read the part of every entry.
+ * @returns {Promise<{registered: number, conflicts: Array<{key: string, lpn: string, registeredLPN: string}>}>}
+ */
+export async function backfillLPNRegistry(libraryId, registrant = {}) {
+    const snapshot = await getDocs(query(getUserPartsRef(libraryId), where('Local_Part_Number', '!=', null)));
+    if (snapshot.empty) return { registered: 0, conflicts: [] };
+
+    const conflicts = [];
+    const identities = new Map();
+    snapshot.forEach(partDoc => {
+        const part = partDoc.data();
+        const { mpn, genericPartNumber } = getPartIdentity(partDoc.id, part);
+        if (!part.Local_Part_Number || (!mpn && !genericPartNumber)) return;
+
+        const key = getLPNIdentityKey({ mpn, genericPartNumber });
+        const known = identities.get(key);
+        if (!known) {
+            identities.set(key, { mpn, genericPartNumber, lpn: part.Local_Part_Number, partId: partDoc.id });
+        } else if (known.lpn !== part.Local_Part_Number) {
+            conflicts.push({ key, lpn: part.Local_Part_Number, registeredLPN: known.lpn });
+        }
+    });
+
+    const registryDocs = await getDocsWhereIn(getLPNRegistryRef(), documentId(), [...identities.keys()]);
+    const registered = new Map(registryDocs.map(entryDoc => [entryDoc.id, entryDoc.data()]));
+
+    const operations = [];
+    const entries = [];
+    identities.forEach((identity, key) => {
+        const entryRef = doc(getLPNRegistryRef(), key);
+        const entry = registered.get(key);
+        if (entry) {
+            if (entry.lpn !== identity.lpn) {
+                conflicts.push({ key, lpn: identity.lpn, registeredLPN: entry.lpn });
+                return;
+            }
+            const joined = joinRegistryEntry(entry, libraryId);
+            if (joined) operations.push(batch => batch.update(entryRef, joined));
+            return;
+        }
+        if (!registersHeldLPNs(libraryId)) return;
+        entries.push(batch => batch.set(entryRef, createRegistryEntry(identity, identity.lpn, registrant, {
+            libraryId,
+            partId: identity.partId
+        })));
+    });
+    await commitInBatches(operations);
+    for (let start = 0; start < entries.length; start += REGISTRY_RULES_READS) {
+        await commitInBatches(entries.slice(start, start + REGISTRY_RULES_READS));
+    }
+
+    return { registered: entries.length, conflicts };
+}
+
+/**
+ * Set the lifecycle status of a library part's LPN (see LPN_LIFECYCLE). A superseded LPN
+ * names the LPN of the library that replaces it; other states clear it.
+ */
+export async function setLPNLifecycle(libraryId, partId, { status, supersededBy = null }, audit = {}) {
+    if (!Object.values(LPN_LIFECYCLE).includes(status)) {
+        throw new Error(`Unknown LPN lifecycle status: ${status}`);
+    }
+    const replacement = status === LPN_LIFECYCLE.SUPERSEDED ? String(supersededBy || '').trim() : null;
+    if (status === LPN_LIFECYCLE.SUPERSEDED && !replacement) {
+        throw new Error('A superseded LPN needs the LPN that replaces it');
+    }
+
+    const partRef = doc(getUserPartsRef(libraryId), partId);
+    const partDoc = await getDoc(partRef);
+    if (!partDoc.exists()) throw new Error('Library part not found');
+    const part = partDoc.data();
+    if (!part.Local_Part_Number) throw new Error('Part has no LPN');
+
+    if (replacement) {
+        if (replacement === part.Local_Part_Number) throw new Error('An LPN cannot supersede itself');
+        const snapshot = await getDocs(query(getUserPartsRef(libraryId), where('Local_Part_Number', '==', replacement)));
+        if (snapshot.empty) throw new Error(`Replacement LPN ${replacement} not found in the library`);
+    }
+
+    const updates = { LPN_Status: status, Superseded_By: replacement };
+    await commitInBatches([[
+        batch => batch.update(partRef, { ...updates, updatedAt: new Date().toISOString() }),
+        auditOperation(libraryId, partRef, diffUpdates(part, updates), audit)
+    ]]);
+    return updates;
+}
+
+/**
+ * Approve an alternate MPN (AVL entry) for the LPN of a library part. The alternate is
+ * registered with the LPN in the global registry, so looking it up or issuing an LPN for it
+ * resolves to this LPN; an MPN registered with another LPN cannot become an alternate. New
+ * alternates are approved by the library the LPN was issued to (the first library of its
+ * registry entry), which the security rules check.
+ * @returns {Promise<{lpn: string, alternates: string[]}>}
+ */
+export async function addAlternateMPN(libraryId, partId, mpn, reviewer = {}) {
+    const alternate = normalizeMPN(mpn);
+    if (!alternate) throw new Error('MPN required');
+
+    const partRef = doc(getUserPartsRef(libraryId), partId);
+    const registryRef = doc(getLPNRegistryRef(), getLPNIdentityKey({ mpn: alternate }));
+
+    return runTransaction(db, async (transaction) => {
+        const partDoc = await transaction.get(partRef);
+        const registryDoc = await transaction.get(registryRef);
+
+        if (!partDoc.exists()) throw new Error('Library part not found');
+        const part = partDoc.data();
+        const lpn = part.Local_Part_Number;
+        if (!lpn) throw new Error('Part has no LPN');
+
+        const identity = getPartIdentity(partId, part);
+        if (identity.mpn && normalizeMPN(identity.mpn) === alternate) {
+            throw new Error(`${alternate} is the MPN of ${lpn}`);
+        }
+        if (registryDoc.exists() && registryDoc.data().lpn !== lpn) {
+            throw new Error(`${alternate} already has LPN ${registryDoc.data().lpn}`);
+        }
+
+        if (!registryDoc.exists()) {
+            const alternateOf = identity.mpn || identity.genericPartNumber ? getLPNIdentityKey(identity) : null;
+            const primaryDoc = alternateOf ? await transaction.get(doc(getLPNRegistryRef(), alternateOf)) : null;
+            const primary = primaryDoc?.exists() ? primaryDoc.data() : null;
+            if (!primary || primary.lpn !== lpn || (primary.libraries || [])[0] !== getLibraryPath(libraryId)) {
+                throw new Error(`Alternates of ${lpn} are approved by the library it was issued to`);
+            }
+            transaction.set(registryRef, createRegistryEntry({ mpn: alternate }, lpn, reviewer, { libraryId, partId, alternateOf }));
+        } else {
+            const joined = joinRegistryEntry(registryDoc.data(), libraryId);
+            if (joined) transaction.update(registryRef, joined);
+        }
+
+        const current = Array.isArray(part.Alternate_MPNs) ? part.Alternate_MPNs : [];
+        const alternates = current.includes(alternate) ? current : [...current, alternate];
+        if (alternates !== current) {
+            transaction.update(partRef, { Alternate_MPNs: alternates, updatedAt: new Date().toISOString() });
+            auditOperation(libraryId, partRef, diffUpdates(part, { Alternate_MPNs: alternates }), { ...reviewer, source: AUDIT_SOURCES.LPN })?.(transaction);
+        }
+        return { lpn, alternates };
+    });
+}
+
+/**
+ * Correct the locked MPN of a library part (admins), e.g. a typo made before the LPN was
+ * assigned. The new MPN must not be registered with another LPN. With the `recompute` policy
+ * the LPN takes the hash of the new MPN, keeping its prefix and sequence number; `retain`
+ * keeps the LPN. Parts of the library with the old MPN and LPN take the new ones (other parts
+ * sharing the LPN, approved alternates, and parts it supersedes follow a recomputed LPN),
+ * with audit entries carrying the reason. Registry entries of the LPN follow it, and the old
+ * MPN resolves to the corrected LPN. An LPN other libraries hold as well is refused, since
+ * their parts would keep the old one. The correction is recorded in the library's
+ * `mpnChanges`, which the security rules check. Part documents keep their ids.
+ * @returns {Promise<{id: string, oldMPN: string|null, newMPN: string, oldLPN: string, newLPN: string, partIds: string[]}>}
+ */
+export async function changeLockedMPN(libraryId, partId, { mpn, reason, policy = MPN_CHANGE_POLICIES.RETAIN, scheme }, admin = {}) {
+    const newMPN = String(mpn || '').trim();
+    const changeReason = String(reason || '').trim();
+    if (!newMPN) throw new Error('MPN required');
+    if (!changeReason) throw new Error('A reason is required to change a locked MPN');
+    if (!Object.values(MPN_CHANGE_POLICIES).includes(policy)) throw new Error(`Unknown hash policy: ${policy}`);
+
+    const partsRef = getUserPartsRef(libraryId);
+    const partDoc = await getDoc(doc(partsRef, partId));
+    if (!partDoc.exists()) throw new Error('Library part not found');
+    const oldLPN = partDoc.data().Local_Part_Number;
+    if (!oldLPN) throw new Error('Part has no LPN');
+    const oldMPN = extractMPN(partDoc.data());
+    if (oldMPN && normalizeMPN(oldMPN) === normalizeMPN(newMPN)) {
+        throw new Error(`${newMPN} is already the MPN of ${oldLPN}`);
+    }
+    const newLPN = policy === MPN_CHANGE_POLICIES.RECOMPUTE ? rehashLPN(oldLPN, newMPN, scheme) : oldLPN;
+
+    // Parts and registry entries with the LPN, and parts superseded by it
+    const [sharing, superseded, registered] = await Promise.all([
+        getDocs(query(partsRef, where('Local_Part_Number', '==', oldLPN))),
+        newLPN !== oldLPN ? getDocs(query(partsRef, where('Superseded_By', '==', oldLPN))) : null,
+        getDocs(query(getLPNRegistryRef(), where('lpn', '==', oldLPN)))
+    ]);
+    const partRefs = sharing.docs.map(sharingDoc => doc(partsRef, sharingDoc.id));
+    const supersededRefs = superseded ? superseded.docs.map(supersededDoc => doc(partsRef, supersededDoc.id)) : [];
+    const identity = getPartIdentity(partId, partDoc.data());
+    const oldKey = identity.mpn || identity.genericPartNumber ? getLPNIdentityKey(identity) : null;
+    const newKey = getLPNIdentityKey({ mpn: newMPN });
+    const registryKeys = [...new Set([...registered.docs.map(entryDoc => entryDoc.id), oldKey, newKey].filter(Boolean))];
+    const registryRefs = registryKeys.map(key => doc(getLPNRegistryRef(), key));
+
+    return runTransaction(db, async (transaction) => {
+        const partDocs = await Promise.all(partRefs.map(partRef => transaction.get(partRef)));
+        const supersededDocs = await Promise.all(supersededRefs.map(partRef => transaction.get(partRef)));
+        const registryDocs = await Promise.all(registryRefs.map(registryRef => transaction.get(registryRef)));
+
+        const newEntry = registryDocs[registryKeys.indexOf(newKey)];
+        if (newEntry.exists() && newEntry.data().lpn !== oldLPN) {
+            throw new Error(`${normalizeMPN(newMPN)} already has LPN ${newEntry.data().lpn}`);
+        }
+        if (partDocs.some(sharingDoc => !sharingDoc.exists() || sharingDoc.data().Local_Part_Number !== oldLPN)) {
+            throw new Error('The LPN changed during the correction, please try again');
+        }
+        // Parts of other libraries cannot follow the correction, so only an LPN no other library
+        // holds can be corrected (registry entries list their libraries, see joinRegistryEntry)
+        const library = getLibraryPath(libraryId);
+        const holders = registryDocs.filter(entryDoc => entryDoc.exists() && entryDoc.data().lpn === oldLPN)
+            .map(entryDoc => entryDoc.data().libraries || []);
+        if (holders.some(libraries => libraries.some(holder => holder !== library))) {
+            throw new Error(`${oldLPN} is also used by other libraries and cannot be corrected`);
+        }
+        if (holders.some(libraries => !libraries.includes(library))) {
+            throw new Error(`${oldLPN} is not registered to this library yet, please try again later`);
+        }
+
+        const now = new Date().toISOString();
+        const changeRef = doc(getMPNChangesRef(libraryId));
+        const changeId = [...getLibrarySegments(libraryId), 'mpnChanges', changeRef.id].join('/');
+        const record = {
+            partId,
+            partIds: partRefs.map(partRef => partRef.id),
+            oldMPN,
+            newMPN,
+            oldLPN,
+            newLPN,
+            policy,
+            reason: changeReason,
+            changedBy: admin.userId || null,
+            changedByEmail: admin.userEmail || null,
+            changedAt: now
+        };
+        transaction.set(changeRef, record);
+
+        // The new MPN's entry points at the corrected entry, which the rules accept as evidence
+        // of the LPN; without one only a workspace registers it (see registersHeldLPNs)
+        const oldEntry = oldKey ? registryDocs[registryKeys.indexOf(oldKey)] : null;
+        const correctedFrom = oldEntry?.exists() ? oldKey : null;
+        registryDocs.forEach((entryDoc, index) => {
+            const key = registryKeys[index];
+            if (!entryDoc.exists()) {
+                if (key === newKey && (correctedFrom || registersHeldLPNs(libraryId))) {
+                    transaction.set(registryRefs[index], createRegistryEntry({ mpn: newMPN }, newLPN, admin, { libraryId, partId, alternateOf: correctedFrom }));
+                }
+                return;
+            }
+            if (entryDoc.data().lpn !== oldLPN || (newLPN === oldLPN && key !== oldKey)) return;
+            const updates = key === oldKey ? { lpn: newLPN, correctedTo: normalizeMPN(newMPN), changeId } : { lpn: newLPN, changeId };
+            transaction.update(registryRefs[index], updates);
+        });
+
+        const audit = { ...admin, source: AUDIT_SOURCES.CORRECTION, reason: changeReason };
+        const isCorrected = (part, id) => id === partId || (oldMPN && normalizeMPN(extractMPN(part) || '') === normalizeMPN(oldMPN));
+        partDocs.forEach((sharingDoc, index) => {
+            const part = sharingDoc.data();
+            const updates = newLPN !== oldLPN ? { Local_Part_Number: newLPN } : {};
+            if (isCorrected(part, sharingDoc.id)) {
+                updates['Mfr. Part #'] = newMPN;
+                MPN_FIELDS.filter(field => part[field] && oldMPN && normalizeMPN(part[field]) === normalizeMPN(oldMPN))
+                    .forEach(field => { updates[field] = newMPN; });
+            }
+            if (Object.keys(updates).length === 0) return;
+            transaction.update(partRefs[index], { ...updates, updatedAt: now });
+            auditOperation(libraryId, partRefs[index], diffUpdates(part, updates), audit)?.(transaction);
+        });
+        supersededDocs.forEach((supersededDoc, index) => {
+            if (!supersededDoc.exists() || supersededDoc.data().Superseded_By !== oldLPN) return;
+            transaction.update(supersededRefs[index], { Superseded_By: newLPN, updatedAt: now });
+            auditOperation(libraryId, supersededRefs[index], diffUpdates(supersededDoc.data(), { Superseded_By: newLPN }), audit)?.(transaction);
+        });
+
+        return { id: changeRef.id, ...record };
+    });
+}
+
+/**
+ * Reject a pending LPN request. Rejections must carry a reason for the requester.
+ */
+export async function rejectLPNRequest(libraryId, requestId, reason, reviewer = {}) {
+    const trimmedReason = String(reason || '').trim();
+    if (!trimmedReason) {
+        throw new Error('A reason is required to reject an LPN request');
+    }
+
+    const requestRef = doc(getLPNRequestsRef(libraryId), requestId);
+    const requestDoc = await getDoc(requestRef);
+    if (!requestDoc.exists()) {
+        throw new Error('LPN request not found');
+    }
+    if (requestDoc.data().status !== LPN_REQUEST_STATUS.PENDING) {
+        throw new Error('LPN request was already reviewed');
+    }
+
+    await updateDoc(requestRef, {
+        status: LPN_REQUEST_STATUS.REJECTED,
+        reason: trimmedReason,
+        reviewedBy: reviewer.userId || null,
+        reviewedByEmail: reviewer.userEmail || null,
+        reviewedAt: new Date().toISOString()
+    });
+}
+
+/**
+ * Subscribe to the LPN scheme of a library; the callback gets null while none is saved
+ */
+export function subscribeToLPNScheme(libraryId, callback) {
+    return onSnapshot(getLibraryRef(libraryId), (snapshot) => {
+        callback(snapshot.exists() ? snapshot.data().lpnScheme || null : null);
+    }, (error) => {
+        console.error('Error subscribing to LPN scheme:', error);
+        callback(null, error);
+    });
+}
+
+/**
+ * Save the LPN scheme of a library, which everyone issuing LPNs in it uses
+ */
+export async function saveLPNScheme(libraryId, scheme) {
+    await setDoc(getLibraryRef(libraryId), {
+        lpnScheme: scheme,
+        lpnSchemeUpdatedAt: new Date().toISOString()
+    }, { merge: true });
+}
+
 /**
  * Save user settings/preferences
  */
@@ -200,66 +1656,63 @@ export async function loadUserSettings(userId) {
 }
 
 /**
- * Get component by ID
+ * Get component by ID (placement joined with its part)
  */
 export async function getComponentById(userId, componentId) {
-    const componentRef = doc(getUserComponentsRef(userId), componentId);
-    const componentDoc = await getDoc(componentRef);
+    const placementDoc = await getDoc(doc(getUserPlacementsRef(userId), componentId));
     
-    if (componentDoc.exists()) {
-        return { id: componentDoc.id, ...componentDoc.data() };
+    if (!placementDoc.exists()) {
+        return null;
     }
-    
-    return null;
+
+    const placement = { id: placementDoc.id, ...placementDoc.data() };
+    const parts = [];
+    if (placement.partId) {
+        const partDoc = await getDoc(doc(getUserPartsRef(userId), placement.partId));
+        if (partDoc.exists()) parts.push({ id: partDoc.id, ...partDoc.data() });
+    }
+    return joinPlacements(parts, [placement])[0];
 }
 
 /**
  * Get all components for a user
  */
 export async function getAllComponents(userId) {
-    const componentsRef = getUserComponentsRef(userId);
-    const snapshot = await getDocs(componentsRef);
+    const [partsSnapshot, placementsSnapshot] = await Promise.all([
+        getDocs(getUserPartsRef(userId)),
+        getDocs(getUserPlacementsRef(userId))
+    ]);
     
-    const components = [];
-    snapshot.forEach((doc) => {
-        components.push({ id: doc.id, ...doc.data() });
-    });
-    
-    return components;
+    return joinPlacements(snapshotToArray(partsSnapshot), snapshotToArray(placementsSnapshot));
 }
 
 /**
- * Check if component with MPN already exists
+ * Check if a library part with MPN already exists
  */
 export async function checkMPNExists(userId, mpn) {
-    const componentsRef = getUserComponentsRef(userId);
-    const q = query(componentsRef, where('Mfr. Part #', '==', mpn));
+    const partsRef = getUserPartsRef(userId);
+    const q = query(partsRef, where('Mfr. Part #', '==', mpn));
     const snapshot = await getDocs(q);
     
     return !snapshot.empty;
 }
 
 /**
- * Find existing LPN for a component with a given MPN
- * Searches for any component matching the canonical MPN field that has an LPN assigned.
- * This is the LPN Consistency Check.
+ * Find the LPN registered for an MPN in the global registry (the LPN Consistency Check).
+ * The MPN is normalized, so spellings that differ in case or spacing find the same LPN, and
+ * an approved alternate MPN finds the LPN it is an alternate of.
  */
-export async function findLPNForMPN(userId, mpn) {
-    const componentsRef = getUserComponentsRef(userId);
-    // Query for components matching the canonical MPN field that have an LPN set
-    const q = query(
-        componentsRef, 
-        where('Mfr. Part #', '==', mpn),
-        // Filter where Local_Part_Number field exists and is not null/empty string (implicitly handled by firestore)
-        where('Local_Part_Number', '!=', null) 
-    );
-    
-    const snapshot = await getDocs(q);
-    
-    if (!snapshot.empty) {
-        // Return the LPN from the first match
-        return snapshot.docs[0].data().Local_Part_Number;
-    }
-    
-    return null;
+export async function findLPNForMPN(mpn) {
+    const entryDoc = await getDoc(doc(getLPNRegistryRef(), getLPNIdentityKey({ mpn })));
+    return entryDoc.exists() ? entryDoc.data().lpn : null;
+}
+
+/**
+ * Returns the LPN of a library part, or null when it has none.
+ * Used for generic passives, which are identified by part id instead of MPN.
+ */
+export async function findLPNForPart(userId, partId) {
+    const partDoc = await getDoc(doc(getUserPartsRef(userId), partId));
+    if (!partDoc.exists()) return null;
+    return partDoc.data().Local_Part_Number || null;
 }
@@ -0,0 +1,217 @@
+/**
+ * @file workspaceService.js
+ * @description Firestore operations for shared team workspaces.
+ * A workspace (`workspaces/{workspaceId}`) holds a shared library with the same layout
+ * as a personal one, plus `members/{uid}` with each member's role. Invitations are
+ * stored in `invitations` so the invited user can find them by email, and every user
+ * keeps a list of their workspaces in `users/{uid}/workspaces`.
+ */
+
+import {
+    collection,
+    doc,
+    getDoc,
+    getDocs,
+    setDoc,
+    updateDoc,
+    deleteDoc,
+    query,
+    where,
+    writeBatch
+} from 'firebase/firestore';
+import { db } from '../config/firebase.js';
+import { toDocId } from '../utils/partModel.js';
+import { ROLES, normalizeEmail } from '../utils/workspaces.js';
+
+/**
+ * Get a workspace's document reference
+ */
+function getWorkspaceRef(workspaceId) {
+    return doc(db, 'workspaces', workspaceId);
+}
+
+/**
+ * Get a workspace's members collection reference
+ */
+function getMembersRef(workspaceId) {
+    return collection(getWorkspaceRef(workspaceId), 'members');
+}
+
+/**
+ * Get the invitations collection reference
+ */
+function getInvitationsRef() {
+    return collection(db, 'invitations');
+}
+
+/**
+ * Get the reference of a user's own list of workspaces
+ */
+function getUserWorkspacesRef(userId) {
+    return collection(db, 'users', userId, 'workspaces');
+}
+
+/**
+ * Collect the documents of a snapshot as plain objects
+ */
+function snapshotToArray(snapshot) {
+    const items = [];
+    snapshot.forEach((doc) => {
+        items.push({ id: doc.id, ...doc.data() });
+    });
+    return items;
+}
+
+function assertRole(role) {
+    if (!ROLES.includes(role)) throw new Error(`Unknown role "${role}"`);
+}
+
+/**
+ * Create a workspace with the creating user as its admin. Returns the workspace.
+ */
+export async function createWorkspace(user, name) {
+    const trimmed = String(name || '').trim();
+    if (!trimmed) throw new Error('Workspace name is required');
+
+    const workspaceRef = doc(collection(db, 'workspaces'));
+    const now = new Date().toISOString();
+    const batch = writeBatch(db);
+    batch.set(workspaceRef, { name: trimmed, createdBy: user.uid, createdAt: now });
+    batch.set(doc(getMembersRef(workspaceRef.id), user.uid), {
+        email: normalizeEmail(user.email) || null,
+        displayName: user.displayName || null,
+        role: 'admin',
+        joinedAt: now
+    });
+    batch.set(doc(getUserWorkspacesRef(user.uid), workspaceRef.id), { name: trimmed, joinedAt: now });
+    await batch.commit();
+
+    return { id: workspaceRef.id, name: trimmed, role: 'admin' };
+}
+
+/**
+ * Get the workspaces a user belongs to with their current role, sorted by name.
+ * Workspaces the user was removed from are left out.
+ */
+export async function getUserWorkspaces(userId) {
+    const snapshot = await getDocs(getUserWorkspacesRef(userId));
+    const workspaces = await Promise.all(snapshotToArray(snapshot).map(async (workspace) => {
+        try {
+            const memberDoc = await getDoc(doc(getMembersRef(workspace.id), userId));
+            if (!memberDoc.exists()) return null;
+            return { id: workspace.id, name: workspace.name, role: memberDoc.data().role };
+        } catch {
+            // Reading a workspace after being removed from it is denied
+            return null;
+        }
+    }));
+    return workspaces.filter(Boolean).sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Get the members of a workspace, sorted by email
+ */
+export async function getWorkspaceMembers(workspaceId) {
+    const snapshot = await getDocs(getMembersRef(workspaceId));
+    return snapshotToArray(snapshot)
+        .map(member => ({ ...member, uid: member.id }))
+        .sort((a, b) => String(a.email).localeCompare(String(b.email)));
+}
+
+/**
+ * Invite someone to a workspace by email. Inviting the same address again replaces
+ * the pending invitation. Returns the invitation.
+ */
+export async function inviteMember(workspace, email, role, invitedBy) {
+    const normalized = normalizeEmail(email);
+    if (!normalized) throw new Error('Invalid email address');
+    assertRole(role);
+
+    const invitation = {
+        workspaceId: workspace.id,
+        workspaceName: workspace.name,
+        email: normalized,
+        role,
+        invitedBy: invitedBy || null,
+        createdAt: new Date().toISOString()
+    };
+    const id = `${workspace.id}_${toDocId(normalized)}`;
+    await setDoc(doc(getInvitationsRef(), id), invitation);
+    return { id, ...invitation };
+}
+
+/**
+ * Get the pending invitations of a workspace
+ */
+export async function getWorkspaceInvitations(workspaceId) {
+    const snapshot = await getDocs(query(getInvitationsRef(), where('workspaceId', '==', workspaceId)));
+    return snapshotToArray(snapshot);
+}
+
+/**
+ * Get the pending invitations sent to an email address
+ */
+export async function getInvitationsForEmail(email) {
+    const normalized = normalizeEmail(email);
+    if (!normalized) return [];
+    const snapshot = await getDocs(query(getInvitationsRef(), where('email', '==', normalized)));
+    return snapshotToArray(snapshot);
+}
+
+/**
+ * Join a workspace with the role of an invitation and remove the invitation.
+ * Returns the joined workspace.
+ */
+export async function acceptInvitation(user, invitation) {
+    const now = new Date().toISOString();
+    const batch = writeBatch(db);
+    batch.set(doc(getMembersRef(invitation.workspaceId), user.uid), {
+        email: normalizeEmail(user.email) || null,
+        displayName: user.displayName || null,
+        role: invitation.role,
+        invitationId: invitation.id,
+        joinedAt: now
+    });
+    batch.set(doc(getUserWorkspacesRef(user.uid), invitation.workspaceId), {
+        name: invitation.workspaceName,
+        joinedAt: now
+    });
+    batch.delete(doc(getInvitationsRef(), invitation.id));
+    await batch.commit();
+
+    return { id: invitation.workspaceId, name: invitation.workspaceName, role: invitation.role };
+}
+
+/**
+ * Decline or withdraw an invitation
+ */
+export async function deleteInvitation(invitationId) {
+    await deleteDoc(doc(getInvitationsRef(), invitationId));
+}
+
+/**
+ * Throw when a change would leave a workspace without an admin
+ */
+async function assertKeepsAdmin(workspaceId, memberId) {
+    const members = await getWorkspaceMembers(workspaceId);
+    if (!members.some(member => member.role === 'admin' && member.uid !== memberId)) {
+        throw new Error('A workspace needs at least one admin');
+    }
+}
+
+/**
+ * Change a member's role
+ */
+export async function updateMemberRole(workspaceId, memberId, role) {
+    assertRole(role);
+    if (role !== 'admin') await assertKeepsAdmin(workspaceId, memberId);
+    await updateDoc(doc(getMembersRef(workspaceId), memberId), { role });
+}
+
+/**
+ * Remove a member from a workspace (or leave it, for the member's own id)
+ */
+export async function removeMember(workspaceId, memberId) {
+    await assertKeepsAdmin(workspaceId, memberId);
+    await deleteDoc(doc(getMembersRef(workspaceId), memberId));
+}
@@ -0,0 +1,158 @@
+/**
+ * @file auditTrail.js
+ * @description Field-level audit entries for components. Every write to a part or placement
+ * appends an entry to the document's `history` subcollection recording the changed fields
+ * (before/after), who made the change, when, and where it came from.
+ */
+
+// Where a change came from
+export const AUDIT_SOURCES = {
+    UPLOAD: 'upload',
+    EDIT: 'edit',
+    BULK: 'bulk',
+    AI: 'ai',
+    LPN: 'lpn',
+    REVISION: 'revision',
+    UNDO: 'undo',
+    REDO: 'redo',
+    CORRECTION: 'correction',
+};
+
+// Bookkeeping fields that are not part of the audited data
+const UNAUDITED_FIELDS = ['id', 'partId', 'createdAt', 'updatedAt'];
+
+// Firestore cannot store undefined; missing values are recorded as null
+const toStored = (value) => (value === undefined ? null : value);
+
+const isSame = (a, b) => JSON.stringify(toStored(a)) === JSON.stringify(toStored(b));
+
+/**
+ * Lists the fields that differ between two versions of a document
+ * @param {object|null} before - Values before the write (null for a new document)
+ * @param {object|null} after - Values after the write (null for a deleted document)
+ * @returns {Array<{field: string, before: *, after: *}>}
+ *
+ * @example
+ * diffFields({ Value: '10k', Footprint: '0603' }, { Value: '4k7', Footprint: '0603' })
+ * // Returns [{ field: 'Value', before: '10k', after: '4k7' }]
+ */
+export function diffFields(before, after) {
+    const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+    const changes = [];
+
+    fields.forEach(field => {
+        if (UNAUDITED_FIELDS.includes(field)) return;
+        const previous = before?.[field];
+        const next = after?.[field];
+        if (isSame(previous, next)) return;
+        changes.push({ field, before: toStored(previous), after: toStored(next) });
+    });
+
+    return changes;
+}
+
+/**
+ * Lists the fields changed by a partial update
+ * @param {object} previous - Values before the update; may hold more fields than `updates`
+ * @param {object} updates - Written fields
+ * @returns {Array<{field: string, before: *, after: *}>}
+ *
+ * @example
+ * diffUpdates({ Value: '10k', Designator: 'R1' }, { Value: '4k7' })
+ * // Returns [{ field: 'Value', before: '10k', after: '4k7' }]
+ */
+export function diffUpdates(previous, updates) {
+    const before = Object.fromEntries(Object.keys(updates || {}).map(field => [field, previous?.[field]]));
+    return diffFields(before, updates);
+}
+
+/**
+ * Builds one audit entry
+ * @param {Array<object>} changes - Result of diffFields
+ * @param {object} audit
+ * @param {string} audit.source - One of AUDIT_SOURCES
+ * @param {string} audit.userId - User who made the change
+ * @param {string} [audit.userEmail]
+ * @param {string} [audit.action='update'] - 'create', 'update' or 'delete'
+ * @param {string} [audit.reason] - Why the change was made, for corrections
+ * @param {string} [timestamp] - ISO date, defaults to now
+ * @returns {object}
+ */
+export function createAuditEntry(changes, { source, userId, userEmail = null, action = 'update', reason = null }, timestamp = new Date().toISOString()) {
+    const entry = {
+        action,
+        source: source || AUDIT_SOURCES.EDIT,
+        userId: userId || null,
+        userEmail: userEmail || null,
+        timestamp,
+        changes,
+    };
+    return reason ? { ...entry, reason } : entry;
+}
+
+/**
+ * Whether an entry assigned an LPN (which locks the MPN fields)
+ * @param {object} entry - Audit entry
+ * @returns {boolean}
+ */
+export function isLPNLockEntry(entry) {
+    return (entry.changes || []).some(change => change.field === 'Local_Part_Number' && !change.before && change.after);
+}
+
+/**
+ * Merges the part and placement histories of a component, newest first
+ * @param {Array<object>} partEntries - Entries of the library part
+ * @param {Array<object>} placementEntries - Entries of the placement
+ * @returns {Array<object>} - Entries with `scope` set to 'part' or 'placement'
+ */
+export function mergeHistories(partEntries, placementEntries) {
+    return [
+        ...(partEntries || []).map(entry => ({ ...entry, scope: 'part' })),
+        ...(placementEntries || []).map(entry => ({ ...entry, scope: 'placement' })),
+    ].sort((a, b) => String(b.timestamp).localeCompare(String(a.timestamp)));
+}
+
+const formatValue = (value) => {
+    if (value === null || value === undefined) return '';
+    return typeof value === 'object' ? JSON.stringify(value) : String(value);
+};
+
+const escapeCSVField = (value) => {
+    const text = formatValue(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export const AUDIT_CSV_HEADERS = [
+    'Timestamp', 'User', 'User ID', 'Source', 'Action', 'Scope',
+    'Project', 'Designator', 'MPN', 'LPN', 'Field', 'Before', 'After'
+];
+
+/**
+ * Flattens component histories into CSV, one line per changed field
+ * @param {Array<{component: object, entries: Array<object>}>} histories
+ * @returns {string}
+ *
+ * @example
+ * auditTrailToCSV([{ component: { Designator: 'R1' }, entries }])
+ */
+export function auditTrailToCSV(histories) {
+    const lines = [AUDIT_CSV_HEADERS.join(',')];
+
+    for (const { component, entries } of histories || []) {
+        const identity = [
+            component.ProjectName,
+            component.Designator || component.Reference,
+            component['Mfr. Part #'] || component.MPN,
+            component.Local_Part_Number,
+        ];
+        for (const entry of entries || []) {
+            const meta = [entry.timestamp, entry.userEmail, entry.userId, entry.source, entry.action, entry.scope];
+            const changes = entry.changes?.length ? entry.changes : [{ field: '', before: null, after: null }];
+            for (const change of changes) {
+                lines.push([...meta, ...identity, change.field, change.before, change.after].map(escapeCSVField).join(','));
+            }
+        }
+    }
+
+    return lines.join('\r\n');
+}
@@ -0,0 +1,311 @@
+/**
+ * @file barcodes.js
+ * @description Client-side barcode encoders for part labels: Code 128 (ISO/IEC 15417)
+ * and ECC 200 DataMatrix (ISO/IEC 16022). Both return plain module patterns, so the
+ * label renderers can draw them as rectangles in a PDF without any image library.
+ */
+
+// Bar/space widths of Code 128 symbols 0-105, each 11 modules wide
+const CODE128_PATTERNS = [
+    '212222', '222122', '222221', '121223', '121322', '131222', '122213', '122312', '132212', '221213',
+    '221312', '231212', '112232', '122132', '122231', '113222', '123122', '123221', '223211', '221132',
+    '221231', '213212', '223112', '312131', '311222', '321122', '321221', '312212', '322112', '322211',
+    '212123', '212321', '232121', '111323', '131123', '131321', '112313', '132113', '132311', '211313',
+    '231113', '231311', '112133', '112331', '132131', '113123', '113321', '133121', '313121', '211331',
+    '231131', '213113', '213311', '213131', '311123', '311321', '331121', '312113', '312311', '332111',
+    '314111', '221411', '431111', '111224', '111422', '121124', '121421', '141122', '141221', '112214',
+    '112412', '122114', '122411', '142112', '142211', '241211', '221114', '413111', '241112', '134111',
+    '111242', '121142', '121241', '114212', '124112', '124211', '411212', '421112', '421211', '212141',
+    '214121', '412121', '111143', '111341', '131141', '114113', '114311', '411113', '411311', '113141',
+    '114131', '311141', '411131', '211412', '211214', '211232'
+];
+const CODE128_STOP = '2331112';
+const CODE128_START_B = 104;
+const CODE128_START_C = 105;
+const CODE128_CODE_B = 100;
+const CODE128_CODE_C = 99;
+
+// Length of the run of digits starting at `index`
+const countDigits = (text, index) => {
+    let end = index;
+    while (end < text.length && text[end] >= '0' && text[end] <= '9') end++;
+    return end - index;
+};
+
+/**
+ * Encodes text as a Code 128 barcode. Printable ASCII is encoded in code set B;
+ * runs of digits switch to code set C, which packs two digits per symbol.
+ * @param {string} text - Printable ASCII text (space to "~")
+ * @returns {{codes: Array<number>, modules: string}} - Symbol values including start,
+ * check and stop, and the modules left to right ("1" bar, "0" space), without quiet zones
+ *
+ * @example
+ * encodeCode128('KL-00123-A3F142').modules.length // Returns 200
+ */
+export function encodeCode128(text) {
+    const value = String(text ?? '');
+    if (!value) throw new Error('Nothing to encode');
+    const invalid = [...value].find(char => char < ' ' || char > '~');
+    if (invalid) throw new Error(`Code 128 cannot encode "${invalid}"`);
+
+    const codes = [];
+    let codeSet = null;
+    let index = 0;
+
+    while (index < value.length) {
+        const digits = countDigits(value, index);
+        // Code C pays off for 4+ digits at the start or end, 6+ in the middle
+        const atEdge = index === 0 || index + digits === value.length;
+        const useC = digits >= (atEdge ? 4 : 6) || (index === 0 && digits === value.length && digits % 2 === 0);
+
+        if (useC) {
+            const pairs = Math.floor(digits / 2);
+            if (codeSet !== 'C') {
+                codes.push(codeSet ? CODE128_CODE_C : CODE128_START_C);
+                codeSet = 'C';
+            }
+            for (let pair = 0; pair < pairs; pair++) {
+                codes.push(Number(value.substr(index, 2)));
+                index += 2;
+            }
+            continue;
+        }
+
+        if (codeSet !== 'B') {
+            codes.push(codeSet ? CODE128_CODE_B : CODE128_START_B);
+            codeSet = 'B';
+        }
+        codes.push(value.charCodeAt(index) - 32);
+        index++;
+    }
+
+    const checksum = codes.reduce((sum, code, position) => sum + code * Math.max(position, 1), 0) % 103;
+    codes.push(checksum);
+
+    const widths = codes.map(code => CODE128_PATTERNS[code]).join('') + CODE128_STOP;
+    const modules = [...widths].map((width, position) => (position % 2 === 0 ? '1' : '0').repeat(Number(width))).join('');
+
+    return { codes: [...codes, 106], modules };
+}
+
+// Square ECC 200 symbols: size, data region size, regions per side, data and error correction codewords
+const DATAMATRIX_SIZES = [
+    [10, 8, 1, 3, 5],
+    [12, 10, 1, 5, 7],
+    [14, 12, 1, 8, 10],
+    [16, 14, 1, 12, 12],
+    [18, 16, 1, 18, 14],
+    [20, 18, 1, 22, 18],
+    [22, 20, 1, 30, 20],
+    [24, 22, 1, 36, 24],
+    [26, 24, 1, 44, 28],
+    [32, 14, 2, 62, 36],
+    [36, 16, 2, 86, 42],
+    [40, 18, 2, 114, 48],
+    [44, 20, 2, 144, 56],
+    [48, 22, 2, 174, 68]
+];
+
+// GF(256) with the DataMatrix polynomial x^8 + x^5 + x^3 + x^2 + 1
+const GF_EXP = new Array(255);
+const GF_LOG = new Array(256);
+for (let i = 0, x = 1; i < 255; i++) {
+    GF_EXP[i] = x;
+    GF_LOG[x] = i;
+    x <<= 1;
+    if (x & 0x100) x ^= 0x12d;
+}
+
+const gfMultiply = (a, b) => (a && b ? GF_EXP[(GF_LOG[a] + GF_LOG[b]) % 255] : 0);
+
+/**
+ * Encodes text in DataMatrix ASCII encodation: digit pairs are packed into one
+ * codeword, Latin-1 characters above 127 use the upper shift
+ * @param {string} text - Text to encode
+ * @returns {Array<number>} - Data codewords without padding
+ *
+ * @example
+ * encodeDataMatrixASCII('123456') // Returns [142, 164, 186]
+ */
+export function encodeDataMatrixASCII(text) {
+    const value = String(text ?? '');
+    const codewords = [];
+
+    for (let index = 0; index < value.length; index++) {
+        const code = value.charCodeAt(index);
+        const next = value.charCodeAt(index + 1);
+        if (code >= 48 && code <= 57 && next >= 48 && next <= 57) {
+            codewords.push(130 + (code - 48) * 10 + (next - 48));
+            index++;
+        } else if (code < 128) {
+            codewords.push(code + 1);
+        } else if (code < 256) {
+            codewords.push(235, code - 127);
+        } else {
+            throw new Error(`DataMatrix cannot encode "${value[index]}"`);
+        }
+    }
+
+    return codewords;
+}
+
+/**
+ * Computes the Reed-Solomon error correction codewords of a DataMatrix block
+ * @param {Array<number>} data - Data codewords including padding
+ * @param {number} count - Number of error correction codewords
+ * @returns {Array<number>}
+ *
+ * @example
+ * computeDataMatrixECC([142, 164, 186], 5) // Returns [114, 25, 5, 88, 102]
+ */
+export function computeDataMatrixECC(data, count) {
+    // Generator (x + a^1)(x + a^2)...(x + a^count), highest power first
+    let generator = [1];
+    for (let i = 1; i <= count; i++) {
+        const next = new Array(generator.length + 1).fill(0);
+        generator.forEach((coefficient, position) => {
+            next[position] ^= coefficient;
+            next[position + 1] ^= gfMultiply(coefficient, GF_EXP[i]);
+        });
+        generator = next;
+    }
+
+    const ecc = new Array(count).fill(0);
+    for (const codeword of data) {
+        const factor = codeword ^ ecc[0];
+        for (let i = 0; i < count - 1; i++) {
+            ecc[i] = ecc[i + 1] ^ gfMultiply(factor, generator[i + 1]);
+        }
+        ecc[count - 1] = gfMultiply(factor, generator[count]);
+    }
+    return ecc;
+}
+
+// Maps every module of the data region to a codeword bit (ISO/IEC 16022 Annex F).
+// Values are 10 * codeword number (1-based) + bit (1 = most significant); 1 marks a dark filler module.
+const placeModules = (nrow, ncol) => {
+    const grid = new Array(nrow * ncol).fill(0);
+
+    const module = (row, col, chr, bit) => {
+        if (row < 0) {
+            row += nrow;
+            col += 4 - ((nrow + 4) % 8);
+        }
+        if (col < 0) {
+            col += ncol;
+            row += 4 - ((ncol + 4) % 8);
+        }
+        grid[row * ncol + col] = 10 * chr + bit;
+    };
+    const utah = (row, col, chr) => {
+        module(row - 2, col - 2, chr, 1);
+        module(row - 2, col - 1, chr, 2);
+        module(row - 1, col - 2, chr, 3);
+        module(row - 1, col - 1, chr, 4);
+        module(row - 1, col, chr, 5);
+        module(row, col - 2, chr, 6);
+        module(row, col - 1, chr, 7);
+        module(row, col, chr, 8);
+    };
+    const corner = (chr, positions) => positions.forEach(([row, col], bit) => module(row, col, chr, bit + 1));
+
+    let chr = 1;
+    let row = 4;
+    let col = 0;
+    do {
+        if (row === nrow && col === 0) {
+            corner(chr++, [[nrow - 1, 0], [nrow - 1, 1], [nrow - 1, 2], [0, ncol - 2], [0, ncol - 1], [1, ncol - 1], [2, ncol - 1], [3, ncol - 1]]);
+        }
+        if (row === nrow - 2 && col === 0 && ncol % 4) {
+            corner(chr++, [[nrow - 3, 0], [nrow - 2, 0], [nrow - 1, 0], [0, ncol - 4], [0, ncol - 3], [0, ncol - 2], [0, ncol - 1], [1, ncol - 1]]);
+        }
+        if (row === nrow - 2 && col === 0 && ncol % 8 === 4) {
+            corner(chr++, [[nrow - 3, 0], [nrow - 2, 0], [nrow - 1, 0], [0, ncol - 2], [0, ncol - 1], [1, ncol - 1], [2, ncol - 1], [3, ncol - 1]]);
+        }
+        if (row === nrow + 4 && col === 2 && !(ncol % 8)) {
+            corner(chr++, [[nrow - 1, 0], [nrow - 1, ncol - 1], [0, ncol - 3], [0, ncol - 2], [0, ncol - 1], [1, ncol - 3], [1, ncol - 2], [1, ncol - 1]]);
+        }
+        // Sweep up and to the right
+        do {
+            if (row < nrow && col >= 0 && !grid[row * ncol + col]) utah(row, col, chr++);
+            row -= 2;
+            col += 2;
+        } while (row >= 0 && col < ncol);
+        row += 1;
+        col += 3;
+        // Sweep down and to the left
+        do {
+            if (row >= 0 && col < ncol && !grid[row * ncol + col]) utah(row, col, chr++);
+            row += 2;
+            col -= 2;
+        } while (row < nrow && col >= 0);
+        row += 3;
+        col += 1;
+    } while (row < nrow || col < ncol);
+
+    // Sizes whose region is not a multiple of 8 bits leave a 2x2 corner with a fixed pattern
+    if (!grid[nrow * ncol - 1]) {
+        grid[nrow * ncol - 1] = 1;
+        grid[nrow * ncol - ncol - 2] = 1;
+    }
+    return grid;
+};
+
+/**
+ * Encodes text as the smallest square ECC 200 DataMatrix that holds it
+ * @param {string} text - Text to encode (Latin-1)
+ * @returns {{size: number, codewords: Array<number>, modules: Array<Array<boolean>>}} - Symbol size
+ * in modules, data and error correction codewords, and the module rows top to bottom
+ * (true = dark), without the quiet zone
+ *
+ * @example
+ * encodeDataMatrix('KL-00123-A3F142').size // Returns 16
+ */
+export function encodeDataMatrix(text) {
+    const data = encodeDataMatrixASCII(text);
+    if (data.length === 0) throw new Error('Nothing to encode');
+
+    const symbol = DATAMATRIX_SIZES.find(([, , , capacity]) => capacity >= data.length);
+    if (!symbol) throw new Error(`Too much data for a DataMatrix label (${data.length} codewords)`);
+    const [size, regionSize, regions, capacity, eccCount] = symbol;
+
+    // First pad is 129, the rest are randomized by their position
+    const padded = [...data];
+    if (padded.length < capacity) padded.push(129);
+    while (padded.length < capacity) {
+        const pseudoRandom = ((149 * (padded.length + 1)) % 253) + 1;
+        padded.push(129 + pseudoRandom > 254 ? 129 + pseudoRandom - 254 : 129 + pseudoRandom);
+    }
+    const codewords = [...padded, ...computeDataMatrixECC(padded, eccCount)];
+
+    const mappingSize = regionSize * regions;
+    const placement = placeModules(mappingSize, mappingSize);
+    const isDark = (row, col) => {
+        const value = placement[row * mappingSize + col];
+        if (value < 10) return value === 1;
+        const codeword = codewords[Math.floor(value / 10) - 1];
+        return ((codeword >> (8 - (value % 10))) & 1) === 1;
+    };
+
+    // Each data region is framed by a solid L on the left and bottom and clock tracks on the top and right
+    const block = regionSize + 2;
+    const modules = [];
+    for (let y = 0; y < size; y++) {
+        const row = [];
+        for (let x = 0; x < size; x++) {
+            const localX = x % block;
+            const localY = y % block;
+            if (localX === 0 || localY === block - 1) row.push(true);
+            else if (localY === 0) row.push(localX % 2 === 0);
+            else if (localX === block - 1) row.push(localY % 2 === 1);
+            else {
+                const mappingRow = Math.floor(y / block) * regionSize + localY - 1;
+                const mappingCol = Math.floor(x / block) * regionSize + localX - 1;
+                row.push(isDark(mappingRow, mappingCol));
+            }
+        }
+        modules.push(row);
+    }
+
+    return { size, codewords, modules };
+}
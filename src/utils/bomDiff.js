@@ -0,0 +1,131 @@
+/**
+ * @file bomDiff.js
+ * @description Compares two BOM revisions of a project designator by designator:
+ * added, removed and changed designators, MPN swaps and quantity deltas per MPN.
+ */
+
+import { extractMPN } from './lpnUtils.js';
+
+// Fields that identify or track a row rather than describe it
+const IGNORED_FIELDS = ['id', 'partId', 'ProjectName', 'createdAt', 'updatedAt', 'Local_Part_Number'];
+
+// Fields extractMPN reads; a changed MPN is reported as a swap, not as a field change
+const MPN_FIELDS = ['Mfr. Part #', 'MPN', 'Manufacturer Part Number', 'Part Number', 'PartNumber', 'Part#'];
+
+// Label used for rows without an MPN in the quantity deltas
+export const NO_MPN_LABEL = '(no MPN)';
+
+const getDesignator = (component) => String(component.Designator || component.Reference || '').trim();
+
+const getQuantity = (component) => {
+    const quantity = parseInt(component.Quantity ?? component.Qty ?? 1, 10);
+    return isNaN(quantity) ? 1 : quantity;
+};
+
+const toText = (value) => (value === undefined || value === null ? '' : String(value).trim());
+
+/**
+ * Indexes components by designator; rows without a designator get a positional key
+ * @param {Array<object>} components - Flattened BOM rows
+ * @returns {Map<string, object>}
+ */
+function indexByDesignator(components) {
+    const index = new Map();
+    (components || []).forEach((component, position) => {
+        index.set(getDesignator(component) || `#${position + 1}`, component);
+    });
+    return index;
+}
+
+/**
+ * Sums quantities per MPN
+ * @param {Array<object>} components - Flattened BOM rows
+ * @returns {Map<string, number>}
+ */
+function sumQuantitiesByMPN(components) {
+    const totals = new Map();
+    (components || []).forEach(component => {
+        const mpn = extractMPN(component) || NO_MPN_LABEL;
+        totals.set(mpn, (totals.get(mpn) || 0) + getQuantity(component));
+    });
+    return totals;
+}
+
+/**
+ * Lists the descriptive fields that differ between two rows of the same designator
+ * @param {object} before - Row in the base revision
+ * @param {object} after - Row in the compared revision
+ * @returns {Array<{field: string, from: string, to: string}>}
+ */
+function diffFields(before, after) {
+    const fields = new Set([...Object.keys(before), ...Object.keys(after)]);
+    const changes = [];
+    fields.forEach(field => {
+        if (IGNORED_FIELDS.includes(field) || MPN_FIELDS.includes(field)) return;
+        const from = toText(before[field]);
+        const to = toText(after[field]);
+        if (from !== to) changes.push({ field, from, to });
+    });
+    return changes;
+}
+
+/**
+ * Compares two revisions of a project BOM
+ * @param {Array<object>} baseComponents - Rows of the older revision
+ * @param {Array<object>} targetComponents - Rows of the newer revision
+ * @returns {{added: Array<object>, removed: Array<object>, changed: Array<object>,
+ *   mpnSwaps: Array<object>, quantityDeltas: Array<object>}} - `added`/`removed` hold
+ * `{designator, component}`, `changed` holds `{designator, changes}`, `mpnSwaps` holds
+ * `{designator, from, to}` and `quantityDeltas` holds `{mpn, from, to, delta}`
+ *
+ * @example
+ * diffBOMRevisions(
+ *     [{ Designator: 'R1', MPN: 'A' }, { Designator: 'R2', MPN: 'A' }],
+ *     [{ Designator: 'R1', MPN: 'B' }]
+ * )
+ * // removed: R2; mpnSwaps: R1 A → B; quantityDeltas: A 2 → 0, B 0 → 1
+ */
+export function diffBOMRevisions(baseComponents, targetComponents) {
+    const base = indexByDesignator(baseComponents);
+    const target = indexByDesignator(targetComponents);
+    const result = { added: [], removed: [], changed: [], mpnSwaps: [], quantityDeltas: [] };
+
+    target.forEach((component, designator) => {
+        if (!base.has(designator)) result.added.push({ designator, component });
+    });
+
+    base.forEach((before, designator) => {
+        const after = target.get(designator);
+        if (!after) {
+            result.removed.push({ designator, component: before });
+            return;
+        }
+
+        const fromMPN = extractMPN(before);
+        const toMPN = extractMPN(after);
+        if (fromMPN !== toMPN) result.mpnSwaps.push({ designator, from: fromMPN, to: toMPN });
+
+        const changes = diffFields(before, after);
+        if (changes.length > 0) result.changed.push({ designator, changes });
+    });
+
+    const baseTotals = sumQuantitiesByMPN(baseComponents);
+    const targetTotals = sumQuantitiesByMPN(targetComponents);
+    new Set([...baseTotals.keys(), ...targetTotals.keys()]).forEach(mpn => {
+        const from = baseTotals.get(mpn) || 0;
+        const to = targetTotals.get(mpn) || 0;
+        if (from !== to) result.quantityDeltas.push({ mpn, from, to, delta: to - from });
+    });
+    result.quantityDeltas.sort((a, b) => a.mpn.localeCompare(b.mpn));
+
+    return result;
+}
+
+/**
+ * Tells whether a diff has no differences
+ * @param {object} diff - Result of diffBOMRevisions
+ * @returns {boolean}
+ */
+export function isEmptyDiff(diff) {
+    return ['added', 'removed', 'changed', 'mpnSwaps', 'quantityDeltas'].every(key => diff[key].length === 0);
+}
@@ -1,9 +1,23 @@
 /**
  * @file bomParser.js
- * @description Utility functions for parsing BOM files (CSV, Excel)
+ * @description Utility functions for parsing BOM files (CSV, Excel, KiCad BOM exports)
  */
 
-import ExcelJS from 'exceljs';
+import { detectKiCadCsvFormat, parseKiCadBomCSV, parseKiCadNetlistXML } from './kicadBom.js';
+import {
+    DEFAULT_DESIGNATOR_SEPARATOR,
+    HEADER_SEARCH_ROWS,
+    getBOMProfile,
+    getCustomProfile,
+    detectBOMProfile,
+    findProfileHeaderRow,
+    scoreHeaderRow,
+    detectHeaderRow,
+    applyProfileToConfig
+} from './bomProfiles.js';
+import { splitDesignators } from './designatorUtils.js';
+import { parseCsvText, readCsvFile, detectDelimiter } from './csvParser.js';
+import { loadWorkbook, getWorksheetRows } from './excelReader.js';
 
 export function findDesignatorColumn(headers, config) {
     if (!headers || !config) return null;
@@ -29,9 +43,10 @@ export function normalizeComponent(component, config, designatorColumn) {
 /**
  * @function flattenBOM
  * @description Processes raw rows, either flattening designators or flagging ambiguous rows.
+ * @param {object} [options] - `designatorSeparator`: regex source used to split designator cells
  * @returns {{flattened: Array<object>, ambiguous: Array<object>}}
  */
-export function flattenBOM(rawRows, rawHeaders, projectName, designatorColumn) {
+export function flattenBOM(rawRows, rawHeaders, projectName, designatorColumn, options = {}) {
     if (!rawRows || !rawHeaders || !projectName || !designatorColumn) return { flattened: [], ambiguous: [] };
     const flattenedComponents = [];
     const ambiguousComponents = [];
@@ -46,9 +61,12 @@ export function flattenBOM(rawRows, rawHeaders, projectName, designatorColumn) {
         const designatorString = String(rawRow[designatorColumn] || '');
         if (!designatorString.trim()) continue;
 
-        // Split by comma (,), semicolon (;), or space
-        const separatorsRegex = /[,;]\s*|\s+/;
-        const potentialDesignators = designatorString.split(separatorsRegex).filter(d => d && d.trim() !== '');
+        // Split by comma (,), semicolon (;), or space unless the import profile says otherwise,
+        // expanding ranges such as R1-R8 or C3..C6
+        const { designators: potentialDesignators, hasRange } = splitDesignators(
+            designatorString,
+            options.designatorSeparator || DEFAULT_DESIGNATOR_SEPARATOR
+        );
         const hasMultipleDesignators = potentialDesignators.length > 1;
 
         let quantity = 1;
@@ -58,8 +76,11 @@ export function flattenBOM(rawRows, rawHeaders, projectName, designatorColumn) {
             if (isNaN(quantity) || quantity < 1) quantity = 1;
         }
 
-        // --- AMBIGUITY DETECTION: Multiple Designators AND listed Quantity > 1 ---
-        const isAmbiguous = hasMultipleDesignators && hasQuantityColumn && quantity > 1;
+        // --- AMBIGUITY DETECTION: Multiple Designators AND listed Quantity > 1.
+        // Rows with ranges are only ambiguous when the expansion disagrees with the listed Quantity ---
+        const isAmbiguous = hasRange
+            ? hasQuantityColumn && quantity !== potentialDesignators.length
+            : hasMultipleDesignators && hasQuantityColumn && quantity > 1;
 
         if (isAmbiguous) {
             // Flag the row for resolution in the UI
@@ -75,10 +96,13 @@ export function flattenBOM(rawRows, rawHeaders, projectName, designatorColumn) {
             ambiguousComp._potentialDesignators = potentialDesignators;
             ambiguousComp._originalQty = quantity;
             ambiguousComp._qtyColumnName = qtyColumn;
+            ambiguousComp._designatorColumn = designatorColumn;
+            if (hasRange) ambiguousComp._expandedFromRange = true;
             
             ambiguousComponents.push(ambiguousComp);
-        } else if (hasMultipleDesignators && !hasQuantityColumn) {
-            // Case 2: Multiple designators but NO explicit QTY column. Assume Quantity=1 for each and flatten immediately.
+        } else if (hasMultipleDesignators && (!hasQuantityColumn || hasRange)) {
+            // Case 2: Multiple designators but NO explicit QTY column, or a range whose size matches the QTY.
+            // Assume Quantity=1 for each and flatten immediately.
             const designators = potentialDesignators;
             for (const designator of designators) {
                 const componentId = `${projectName}-${designator}-${Date.now()}-${rowCounter++}`;
@@ -86,6 +110,7 @@ export function flattenBOM(rawRows, rawHeaders, projectName, designatorColumn) {
                 for (const header of rawHeaders) {
                     componentData[header] = (header === designatorColumn) ? designator : (rawRow[header] || '');
                 }
+                if (hasQuantityColumn) componentData[qtyColumn] = '1';
                 flattenedComponents.push(componentData);
             }
         } else {
@@ -103,151 +128,239 @@ export function flattenBOM(rawRows, rawHeaders, projectName, designatorColumn) {
 
 /**
  * Parse CSV text into rows and headers, skipping initial blank lines.
+ * `options.headerRowOffset` skips that many non-empty lines (title blocks) before the header;
+ * `options.delimiter` sets the field separator (detected from the text when omitted).
  */
-export function parseCSV(text) {
+export function parseCSV(text, options = {}) {
     if (!text || !text.trim()) {
         throw new Error('CSV file is empty');
     }
+    return buildRecords(parseCsvRows(text, options.delimiter), options.headerRowOffset || 0, 'CSV');
+}
 
-    const lines = text.trim().split('\n');
-    let headerLineIndex = -1;
-    let rawHeaders = [];
-
-    // Find the first non-empty line to use as header
-    for (let i = 0; i < lines.length; i++) {
-        const trimmedLine = lines[i].trim();
-        if (trimmedLine) {
-            // Parse the first non-empty line
-            const potentialHeaders = parseCsvLine(trimmedLine).map(h => h.trim());
-            // Filter out empty strings AFTER checking if the line itself had content
-            rawHeaders = potentialHeaders.filter(h => h);
-
-            // If the first non-empty line yielded no headers, throw error
-            if (rawHeaders.length === 0) {
-                 throw new Error('CSV file has no valid headers');
-            }
+/**
+ * Parse CSV text into arrays of trimmed cell values, one per record (blank lines included).
+ * Quoted cells may span lines. The delimiter is detected when omitted.
+ */
+export function parseCsvRows(text, delimiter) {
+    const rows = parseCsvText(String(text || '').replace(/^\uFEFF/, ''), delimiter);
+    return trimCsvRows(rows);
+}
+
+/**
+ * Trim every cell of parsed CSV rows.
+ */
+function trimCsvRows(rows) {
+    return rows.map(cells => cells.map(cell => cell.trim()));
+}
 
-            // Otherwise, we found our header line
-            headerLineIndex = i;
-            break;
+/**
+ * Turn trimmed CSV or worksheet rows into header names and row objects.
+ * The header is the first non-blank line after `headerRowOffset` non-blank lines;
+ * data rows whose cells are all empty are skipped. `fileType` names the file in errors.
+ */
+function buildRecords(rows, headerRowOffset = 0, fileType = 'CSV') {
+    const isEmpty = (cells) => cells.every(cell => !cell);
+    const isBlankLine = (cells) => cells.length === 1 && !cells[0];
+    let headerIndex = -1;
+    let skipped = 0;
+
+    for (let i = 0; i < rows.length; i++) {
+        if (isBlankLine(rows[i])) continue;
+        if (skipped < headerRowOffset) {
+            skipped++;
+            continue;
         }
+        headerIndex = i;
+        break;
     }
 
-    // This check might be redundant now but kept for safety
-    if (headerLineIndex === -1) {
-        throw new Error('CSV file has no valid headers');
+    if (headerIndex === -1) {
+        throw new Error(`${fileType} file has no valid headers`);
     }
 
-    // Parse data rows starting from the line after the header
-    const rawRows = [];
-    for (let i = headerLineIndex + 1; i < lines.length; i++) {
-        const values = parseCsvLine(lines[i]);
-        if (values.every(v => !v?.trim())) continue; // Skip rows that are completely empty
+    // Remember each header's column so blank header cells do not shift the values
+    const columns = rows[headerIndex]
+        .map((header, index) => ({ header, index }))
+        .filter(column => column.header);
+    if (columns.length === 0) {
+        throw new Error(`${fileType} file has no valid headers`);
+    }
 
+    const rawRows = [];
+    for (const cells of rows.slice(headerIndex + 1)) {
+        if (isEmpty(cells)) continue;
         const row = {};
-        rawHeaders.forEach((header, index) => {
-            row[header] = values[index] !== undefined ? values[index].trim() : '';
+        columns.forEach(({ header, index }) => {
+            row[header] = cells[index] !== undefined ? cells[index] : '';
         });
         rawRows.push(row);
     }
 
-    return { rawHeaders, rawRows };
+    return { rawHeaders: columns.map(column => column.header), rawRows };
 }
 
 /**
- * Parse a single CSV line handling quoted values and trimming results.
+ * Pick the worksheet to import: the named one, else the first sheet whose leading rows
+ * contain a recognizable BOM header, else the first sheet.
+ * @returns {{worksheet: object, rows: Array<Array<string>>}}
  */
-function parseCsvLine(line) {
-    if (typeof line !== 'string') return []; // Handle non-string input gracefully
-    const values = [];
-    let current = '';
-    let inQuotes = false;
-    for (let i = 0; i < line.length; i++) {
-        const char = line[i]; const nextChar = line[i + 1];
-        if (char === '"') {
-            if (inQuotes && nextChar === '"') { current += '"'; i++; } else { inQuotes = !inQuotes; }
-        } else if (char === ',' && !inQuotes) { values.push(current); current = ''; } else { current += char; }
+function selectWorksheet(workbook, sheetName, config) {
+    if (sheetName) {
+        const worksheet = workbook.getWorksheet(sheetName);
+        if (!worksheet) throw new Error(`Worksheet "${sheetName}" not found`);
+        return { worksheet, rows: getWorksheetRows(worksheet) };
     }
-    values.push(current);
-    // Trim values AFTER parsing, remove surrounding quotes if they exist
-    return values.map(v => (v || '').trim().replace(/^"|"$/g, '').trim());
-}
 
-export async function parseExcel(buffer) {
-    const workbook = new ExcelJS.Workbook();
-    try {
-        await workbook.xlsx.load(buffer);
-    } catch (e) {
-        throw new Error(`Failed to load Excel file: ${e.message}`);
+    let first = null;
+    for (const worksheet of workbook.worksheets) {
+        const rows = getWorksheetRows(worksheet);
+        if (rows.slice(0, HEADER_SEARCH_ROWS).some(cells => scoreHeaderRow(cells, config) > 0)) return { worksheet, rows };
+        first = first || { worksheet, rows };
     }
-    const worksheet = workbook.worksheets[0];
-    if (!worksheet) throw new Error('Excel file has no worksheets');
+    return first;
+}
 
-    const rawHeaders = [];
-    worksheet.getRow(1).eachCell({ includeEmpty: true }, (cell) => { // includeEmpty might help
-        rawHeaders.push(String(cell.value || '').trim()); // Ensure string conversion
-    });
-    // Filter out completely empty header cells AFTER processing the row
-    const validHeaders = rawHeaders.filter(h => h);
-    if (validHeaders.length === 0) throw new Error('Excel file has no valid headers in the first row');
+/**
+ * Parse a worksheet of an Excel file.
+ * `options.sheetName` picks the worksheet (default: the first one with a BOM header);
+ * `options.headerRowOffset` skips title rows (default: detected from the column names).
+ * @returns {Promise<{rawHeaders: Array<string>, rawRows: Array<object>, sheetName: string, sheetNames: Array<string>}>}
+ */
+export async function parseExcel(buffer, options = {}) {
+    const workbook = await loadWorkbook(buffer);
+    const { worksheet, rows } = selectWorksheet(workbook, options.sheetName, options.config);
+    const headerRowOffset = options.headerRowOffset ?? detectHeaderRow(rows, options.config);
+    return {
+        ...buildRecords(rows, headerRowOffset, 'Excel'),
+        sheetName: worksheet.name,
+        sheetNames: workbook.worksheets.map(sheet => sheet.name),
+    };
+}
 
-    const rawRows = [];
-    worksheet.eachRow((row, rowNumber) => {
-        if (rowNumber === 1) return; // Skip header
-        const rowObject = {}; let isEmpty = true;
-        validHeaders.forEach((header, index) => { // Iterate using validHeaders index
-             // Get cell by original column index (index + 1)
-             const cell = row.getCell(rawHeaders.indexOf(header) + 1);
-             const value = cell.value !== null && cell.value !== undefined ? String(cell.value) : '';
-             rowObject[header] = value.trim();
-             if (value.trim()) isEmpty = false;
-        });
-        if (!isEmpty) rawRows.push(rowObject);
-    });
-    return { rawHeaders: validHeaders, rawRows }; // Return only valid headers
+/**
+ * Pick the import profile for a file: the requested one, else the best auto-detected
+ * built-in profile, else the custom profile from the configuration.
+ * @param {string} profileId - Requested profile id, or 'auto'
+ * @param {Function} getRows - Returns the non-empty leading rows for a CSV delimiter
+ * @param {object} config - App configuration
+ * @returns {{profile: object, headerRowOffset: number}}
+ */
+export function resolveImportProfile(profileId, getRows, config) {
+    if (profileId && profileId !== 'auto') {
+        const profile = getBOMProfile(profileId) || getCustomProfile(config);
+        return { profile, headerRowOffset: findProfileHeaderRow(getRows(profile.delimiter), profile) };
+    }
+    return detectBOMProfile(getRows)
+        || { profile: getCustomProfile(config), headerRowOffset: detectHeaderRow(getRows(null), config) };
 }
 
 /**
  * @function processBOMFile
  * @description Parses the file and separates components into normalized and ambiguous lists.
- * @returns {Promise<{components: Array<object>, ambiguousComponents: Array<object>, headers: Array<string>, count: number}>}
+ * KiCad BOM exports (kicad-cli CSV, legacy grouped CSV, XML netlist) are recognized
+ * automatically and need no designator column configuration. Other files use an import
+ * profile (Altium, Eagle, OrCAD, or the custom configuration), auto-detected from the
+ * headers unless `options.profileId` names one. CSV files are streamed in chunks; their
+ * encoding (UTF-8, UTF-16, Windows-1252) and delimiter (",", ";", tab) are detected.
+ * Excel files import the first worksheet with a BOM header unless `options.sheetName` names one;
+ * title blocks above the header row are skipped.
+ * @param {object} [options] - `profileId`: import profile id, or 'auto' (default);
+ * `onProgress`: called with the fraction (0..1) of a CSV file read so far;
+ * `sheetName`: worksheet to import from an Excel file
+ * @returns {Promise<{components: Array<object>, ambiguousComponents: Array<object>, headers: Array<string>, count: number, sourceFormat: string|null, profileId: string|null, encoding: string|null, delimiter: string|null, sheetName: string|null, sheetNames: Array<string>}>}
  */
-export async function processBOMFile(file, projectName, config) {
+export async function processBOMFile(file, projectName, config, options = {}) {
     if (!projectName || !projectName.trim()) throw new Error('Project name is required');
     if (!file) throw new Error('No file provided');
     if (!config) throw new Error('Configuration is missing');
 
     const extension = file.name?.split('.').pop()?.toLowerCase();
+    const profileId = options.profileId || 'auto';
     let rawHeaders, rawRows;
+    let sourceFormat = null;
+    let profile = null;
+    let encoding = null;
+    let delimiter = null;
+    let sheetName = null;
+    let sheetNames = [];
 
     try {
         if (extension === 'csv') {
+            // KiCad exports and the import profile are recognized from the leading text, so the
+            // file is read once with the profile's delimiter (the detected one unless it fixes one)
+            let isKiCad = false;
+            let headerRowOffset = 0;
+            const chooseDelimiter = (sample) => {
+                const detected = detectDelimiter(sample);
+                const sampleRows = (sampleDelimiter) => parseCsvRows(sample, sampleDelimiter || detected);
+                isKiCad = profileId === 'auto' && !!detectKiCadCsvFormat(sampleRows(null));
+                if (isKiCad) return detected;
+                ({ profile, headerRowOffset } = resolveImportProfile(
+                    profileId,
+                    sampleDelimiter => sampleRows(sampleDelimiter).filter(cells => cells.some(cell => cell)),
+                    config
+                ));
+                return profile.delimiter || detected;
+            };
+
+            // KiCad readers take every row; profiles count non-empty rows for the header offset
+            let rows = [];
+            const csv = await readCsvFile(file, {
+                delimiter: chooseDelimiter,
+                onProgress: options.onProgress,
+                onRow: (cells) => {
+                    const trimmed = cells.map(cell => cell.trim());
+                    if (isKiCad || trimmed.some(cell => cell)) rows.push(trimmed);
+                },
+                onReset: () => { rows = []; },
+            });
+            ({ encoding, delimiter } = csv);
+            if (isKiCad) {
+                ({ rawHeaders, rawRows, format: sourceFormat } = parseKiCadBomCSV(rows));
+            } else {
+                ({ rawHeaders, rawRows } = buildRecords(rows, headerRowOffset, 'CSV'));
+            }
+        } else if (extension === 'xml') {
             const text = await file.text();
-            ({ rawHeaders, rawRows } = parseCSV(text));
+            ({ rawHeaders, rawRows, format: sourceFormat } = parseKiCadNetlistXML(text));
         } else if (extension === 'xlsx' || extension === 'xls') {
             const buffer = await file.arrayBuffer();
-            ({ rawHeaders, rawRows } = await parseExcel(buffer));
+            const workbook = await loadWorkbook(buffer);
+            const { worksheet, rows } = selectWorksheet(workbook, options.sheetName, config);
+            sheetName = worksheet.name;
+            sheetNames = workbook.worksheets.map(sheet => sheet.name);
+            let headerRowOffset;
+            ({ profile, headerRowOffset } = resolveImportProfile(profileId, () => rows, config));
+            ({ rawHeaders, rawRows } = buildRecords(rows, headerRowOffset, 'Excel'));
         } else {
-            throw new Error('Unsupported file format. Please upload .csv, .xls, or .xlsx file.');
+            throw new Error('Unsupported file format. Please upload .csv, .xls, .xlsx or KiCad .xml file.');
         }
     } catch (parseError) {
         throw new Error(`Error parsing file "${file.name}": ${parseError.message}`);
     }
 
 
-    const designatorColumn = findDesignatorColumn(rawHeaders, config);
+    const importConfig = profile ? applyProfileToConfig(profile, config) : config;
+
+    // KiCad exports are normalized to a "Designator" column by their readers
+    const designatorColumn = sourceFormat ? 'Designator' : findDesignatorColumn(rawHeaders, importConfig);
     if (!designatorColumn) {
-        throw new Error(`Could not find designator column in "${file.name}". Expected one of: ${[config.designatorColumn, ...(config.alternateDesignatorColumns || [])].join(', ')}`);
+        throw new Error(`Could not find designator column in "${file.name}"${profile ? ` (${profile.name} profile)` : ''}. Expected one of: ${[importConfig.designatorColumn, ...(importConfig.alternateDesignatorColumns || [])].join(', ')}`);
     }
 
     // Call updated flattenBOM
-    const { flattened, ambiguous } = flattenBOM(rawRows, rawHeaders, projectName, designatorColumn);
+    const { flattened, ambiguous } = flattenBOM(rawRows, rawHeaders, projectName, designatorColumn, {
+        designatorSeparator: profile?.designatorSeparator
+    });
 
-    // Normalize ONLY the non-ambiguous, already flattened components
-    const normalizedComponents = flattened.map(comp => normalizeComponent(comp, config, designatorColumn));
+    // Normalize the flattened components, and the ambiguous rows with the same profile so
+    // their resolutions carry the mapped fields
+    const normalizedComponents = flattened.map(comp => normalizeComponent(comp, importConfig, designatorColumn));
+    const normalizedAmbiguous = ambiguous.map(comp => normalizeComponent(comp, importConfig, designatorColumn));
 
     // Consolidate headers from both normalized and ambiguous components
-    const allComponentsForHeaderScan = [...normalizedComponents, ...ambiguous];
+    const allComponentsForHeaderScan = [...normalizedComponents, ...normalizedAmbiguous];
     const headersSet = new Set(['ProjectName']);
     allComponentsForHeaderScan.forEach(comp => {
         Object.keys(comp).forEach(key => { 
@@ -258,11 +371,17 @@ export async function processBOMFile(file, projectName, config) {
     
     const headers = ['ProjectName', ...Array.from(headersSet).filter(h => h !== 'ProjectName').sort()];
 
-    // Return normalized components (non-ambiguous) and raw ambiguous components
+    // Return normalized components (non-ambiguous) and normalized ambiguous rows to resolve
     return { 
         components: normalizedComponents, 
-        ambiguousComponents: ambiguous, 
+        ambiguousComponents: normalizedAmbiguous, 
         headers, 
-        count: normalizedComponents.length + ambiguous.length 
+        count: normalizedComponents.length + ambiguous.length,
+        sourceFormat,
+        profileId: profile?.id || null,
+        encoding,
+        delimiter,
+        sheetName,
+        sheetNames
     };
 }
\ No newline at end of file
@@ -0,0 +1,235 @@
+/**
+ * @file bomProfiles.js
+ * @description Named BOM import profiles for the EDA tools our contractors use.
+ *
+ * A profile describes one BOM layout: which column holds the designators, how other
+ * columns map to library fields, where the header row sits and how designator lists
+ * and CSV fields are separated (`delimiter: null` uses the delimiter detected in the file).
+ * The "custom" profile is the ConfigModal configuration.
+ */
+
+/**
+ * Profile used when nothing else matches: the designator column and field mappings from ConfigModal
+ */
+export const CUSTOM_PROFILE_ID = 'custom';
+
+/**
+ * Default rule for splitting a designator cell: comma, semicolon or whitespace
+ */
+export const DEFAULT_DESIGNATOR_SEPARATOR = '[,;]\\s*|\\s+';
+
+/**
+ * Built-in import profiles
+ */
+export const BOM_PROFILES = [
+    {
+        id: 'altium',
+        name: 'Altium Designer',
+        designatorColumn: 'Designator',
+        alternateDesignatorColumns: [],
+        fieldMappings: {
+            'Comment': 'Value',
+            'LibRef': 'Symbol',
+            'Manufacturer 1': 'Manufacturer',
+            'Manufacturer Part Number 1': 'Mfr. Part #',
+        },
+        headerRowOffset: 0,
+        delimiter: null,
+        designatorSeparator: ',\\s*',
+        signatureHeaders: ['Comment', 'Description', 'Designator', 'Footprint', 'LibRef', 'Quantity'],
+        requiredHeaders: ['Comment', 'LibRef'],
+        minScore: 4,
+    },
+    {
+        id: 'eagle',
+        name: 'Eagle / Fusion Electronics',
+        designatorColumn: 'Parts',
+        alternateDesignatorColumns: ['Part'],
+        fieldMappings: {
+            'Package': 'Footprint',
+            'Device': 'Symbol',
+            'MF': 'Manufacturer',
+            'MPN': 'Mfr. Part #',
+        },
+        headerRowOffset: 0,
+        delimiter: null,
+        designatorSeparator: ',\\s*|\\s+',
+        signatureHeaders: ['Qty', 'Value', 'Device', 'Package', 'Parts', 'Part', 'Description'],
+        requiredHeaders: ['Device'],
+        minScore: 4,
+    },
+    {
+        id: 'orcad',
+        name: 'OrCAD Capture',
+        designatorColumn: 'Reference',
+        alternateDesignatorColumns: [],
+        fieldMappings: {
+            'Part': 'Value',
+            'PCB Footprint': 'Footprint',
+            'Part Number': 'Mfr. Part #',
+        },
+        // The standard report starts with a title and a "Page" line
+        headerRowOffset: 2,
+        delimiter: null,
+        designatorSeparator: ',\\s*',
+        signatureHeaders: ['Item', 'Quantity', 'Reference', 'Part', 'PCB Footprint'],
+        requiredHeaders: ['Item', 'Part'],
+        minScore: 3,
+    },
+];
+
+/**
+ * Only the first rows of a file are searched for a header
+ */
+export const HEADER_SEARCH_ROWS = 15;
+
+/**
+ * Returns a built-in profile by id
+ * @param {string} profileId - Profile id
+ * @returns {object|null}
+ */
+export function getBOMProfile(profileId) {
+    return BOM_PROFILES.find(profile => profile.id === profileId) || null;
+}
+
+/**
+ * Builds the custom profile from the ConfigModal configuration
+ * @param {object} config - App configuration
+ * @returns {object}
+ */
+export function getCustomProfile(config) {
+    return {
+        id: CUSTOM_PROFILE_ID,
+        name: 'Custom (Configuration)',
+        designatorColumn: config?.designatorColumn || 'Designator',
+        alternateDesignatorColumns: config?.alternateDesignatorColumns || [],
+        fieldMappings: {},
+        headerRowOffset: 0,
+        delimiter: null,
+        designatorSeparator: DEFAULT_DESIGNATOR_SEPARATOR,
+        signatureHeaders: [],
+        requiredHeaders: [],
+        minScore: Infinity,
+    };
+}
+
+/**
+ * Scores how well a row of cells matches a profile's header signature
+ * @param {Array<string>} cells - Candidate header row
+ * @param {object} profile - Import profile
+ * @returns {number} - Number of signature headers present; 0 when the designator column
+ * or all of the profile's distinctive (required) headers are missing
+ */
+export function scoreProfileHeaders(cells, profile) {
+    const present = new Set((cells || []).map(cell => String(cell || '').trim()));
+    const designatorColumns = [profile.designatorColumn, ...(profile.alternateDesignatorColumns || [])];
+    if (!designatorColumns.some(column => present.has(column))) return 0;
+    if (profile.requiredHeaders?.length && !profile.requiredHeaders.some(header => present.has(header))) return 0;
+    return profile.signatureHeaders.filter(header => present.has(header)).length;
+}
+
+/**
+ * Finds the header row of a profile in the first rows of a file
+ * @param {Array<Array<string>>} rows - Non-empty rows as arrays of cells
+ * @param {object} profile - Import profile
+ * @returns {number} - Header row offset; the profile's default when no row contains its designator column
+ */
+export function findProfileHeaderRow(rows, profile) {
+    const designatorColumns = [profile.designatorColumn, ...(profile.alternateDesignatorColumns || [])];
+    const index = (rows || []).slice(0, HEADER_SEARCH_ROWS).findIndex(cells =>
+        cells.some(cell => designatorColumns.includes(String(cell || '').trim()))
+    );
+    return index >= 0 ? index : profile.headerRowOffset;
+}
+
+// Column names that identify a BOM header row when no profile matches
+const DESIGNATOR_HEADER_NAMES = [
+    'Designator', 'Designators', 'Reference', 'References', 'Reference Designator', 'Ref', 'Refs', 'RefDes', 'Parts',
+];
+const MPN_HEADER_NAMES = [
+    'MPN', 'Mfr. Part #', 'Mfr Part Number', 'Mfg Part Number', 'Manufacturer Part Number', 'Manufacturer PN', 'Part Number',
+];
+const COMMON_HEADER_NAMES = ['Value', 'Qty', 'Quantity', 'Footprint', 'Package', 'Description', 'Manufacturer', 'Comment'];
+
+// "Mfr. Part #" and "mfr part" compare equal
+const normalizeHeaderName = (name) => String(name || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+/**
+ * Scores how much a row of cells looks like a BOM header row
+ * @param {Array<string>} cells - Candidate header row
+ * @param {object} [config] - App configuration (designator columns and field mappings count as known names)
+ * @returns {number} - 0 unless the row names a designator or MPN column
+ *
+ * @example
+ * scoreHeaderRow(['Item', 'Reference', 'Manufacturer Part Number'], config) // Returns 4
+ * scoreHeaderRow(['Project: Widget', 'Rev B'], config)                      // Returns 0
+ */
+export function scoreHeaderRow(cells, config) {
+    const present = new Set((cells || []).map(normalizeHeaderName).filter(Boolean));
+    const hasAny = (names) => names.some(name => present.has(normalizeHeaderName(name)));
+
+    const designatorNames = [config?.designatorColumn, ...(config?.alternateDesignatorColumns || []), ...DESIGNATOR_HEADER_NAMES];
+    const hasDesignator = hasAny(designatorNames.filter(Boolean));
+    const hasMpn = hasAny(MPN_HEADER_NAMES);
+    if (!hasDesignator && !hasMpn) return 0;
+
+    const knownNames = new Set([...COMMON_HEADER_NAMES, ...Object.keys(config?.fieldMappings || {})].map(normalizeHeaderName));
+    const otherMatches = [...present].filter(name => knownNames.has(name)).length;
+    return (hasDesignator ? 2 : 0) + (hasMpn ? 2 : 0) + otherMatches;
+}
+
+/**
+ * Finds the header row below title blocks and logo rows
+ * @param {Array<Array<string>>} rows - Non-empty rows as arrays of cells
+ * @param {object} [config] - App configuration
+ * @returns {number} - Index of the best scoring row among the first rows; 0 when none scores
+ */
+export function detectHeaderRow(rows, config) {
+    let best = { index: 0, score: 0 };
+    (rows || []).slice(0, HEADER_SEARCH_ROWS).forEach((cells, index) => {
+        const score = scoreHeaderRow(cells, config);
+        if (score > best.score) best = { index, score };
+    });
+    return best.index;
+}
+
+/**
+ * Picks the best matching built-in profile for a file
+ * @param {Function} getRows - Returns the file's non-empty rows for a CSV delimiter (null: detected)
+ * @returns {{profile: object, headerRowOffset: number}|null} - null when no built-in profile matches
+ *
+ * @example
+ * detectBOMProfile(delimiter => parseCsvRows(text, delimiter))
+ */
+export function detectBOMProfile(getRows) {
+    let best = null;
+    const rowsByDelimiter = {};
+
+    for (const profile of BOM_PROFILES) {
+        const rows = rowsByDelimiter[profile.delimiter] || (rowsByDelimiter[profile.delimiter] = getRows(profile.delimiter));
+        rows.slice(0, HEADER_SEARCH_ROWS).forEach((cells, index) => {
+            const score = scoreProfileHeaders(cells, profile);
+            if (score >= profile.minScore && (!best || score > best.score)) {
+                best = { profile, headerRowOffset: index, score };
+            }
+        });
+    }
+
+    return best ? { profile: best.profile, headerRowOffset: best.headerRowOffset } : null;
+}
+
+/**
+ * Merges a profile into the configuration shape used by the BOM parser.
+ * Profile field mappings take precedence over the global ones.
+ * @param {object} profile - Import profile
+ * @param {object} config - App configuration
+ * @returns {object}
+ */
+export function applyProfileToConfig(profile, config) {
+    return {
+        ...config,
+        designatorColumn: profile.designatorColumn,
+        alternateDesignatorColumns: profile.alternateDesignatorColumns,
+        fieldMappings: { ...(config?.fieldMappings || {}), ...profile.fieldMappings },
+    };
+}
@@ -0,0 +1,138 @@
+/**
+ * @file bulkEdit.js
+ * @description Plans bulk edits of many components: set a field on every selected row,
+ * or find/replace within one column. A plan lists the changed rows with their previous
+ * values, so it can be written in one batch and undone as a whole.
+ */
+
+import { isFieldLocked } from './lpnUtils.js';
+
+/**
+ * Builds the pattern for a find/replace
+ * @param {string} find - Text or regular expression source to find
+ * @param {object} [options]
+ * @param {boolean} [options.regex=false] - Treat `find` as a regular expression
+ * @param {boolean} [options.caseSensitive=false] - Match case
+ * @returns {RegExp} - Global pattern; throws on an invalid regular expression
+ *
+ * @example
+ * createFindPattern('0603', {}) // Returns /0603/gi
+ * createFindPattern('^R_(\\d{4})', { regex: true }) // Returns /^R_(\d{4})/gi
+ */
+export function createFindPattern(find, { regex = false, caseSensitive = false } = {}) {
+    if (!find) throw new Error('Nothing to find');
+    const source = regex ? find : find.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return new RegExp(source, caseSensitive ? 'g' : 'gi');
+}
+
+// One planned change; `previous` holds the old values (undefined for fields the row did not have)
+const createChange = (row, field, value) => ({
+    id: row.id,
+    partId: row.partId || null,
+    updates: { [field]: value },
+    previous: { [field]: row[field] },
+});
+
+/**
+ * Plans setting one field to the same value on every row.
+ * Rows that already have the value, and fields locked by an assigned LPN, are skipped.
+ * @param {Array<object>} rows - Selected components or parts
+ * @param {string} field - Field to set
+ * @param {string} value - New value
+ * @returns {{changes: Array<object>, locked: number}}
+ *
+ * @example
+ * planSetField([{ id: 'c1', Footprint: '0402' }], 'Footprint', '0603')
+ * // Returns { changes: [{ id: 'c1', partId: null, updates: { Footprint: '0603' }, previous: { Footprint: '0402' } }], locked: 0 }
+ */
+export function planSetField(rows, field, value) {
+    const changes = [];
+    let locked = 0;
+
+    for (const row of rows || []) {
+        if (isFieldLocked(field, row)) {
+            locked++;
+            continue;
+        }
+        if ((row[field] ?? '') === value) continue;
+        changes.push(createChange(row, field, value));
+    }
+
+    return { changes, locked };
+}
+
+/**
+ * Plans a find/replace within one column. `replace` may use `$1`-style groups in regex mode.
+ * @param {Array<object>} rows - Selected components or parts
+ * @param {string} field - Column to search
+ * @param {string} find - Text or regular expression to find
+ * @param {string} replace - Replacement
+ * @param {object} [options] - See createFindPattern
+ * @returns {{changes: Array<object>, locked: number}}
+ *
+ * @example
+ * planFindReplace(rows, 'Footprint', '^R_(\\d{4}).*', 'R$1', { regex: true })
+ */
+export function planFindReplace(rows, field, find, replace, options = {}) {
+    const pattern = createFindPattern(find, options);
+    const changes = [];
+    let locked = 0;
+
+    for (const row of rows || []) {
+        const current = row[field];
+        if (current === undefined || current === null || typeof current === 'object') continue;
+
+        const text = String(current);
+        pattern.lastIndex = 0;
+        if (!pattern.test(text)) continue;
+
+        if (isFieldLocked(field, row)) {
+            locked++;
+            continue;
+        }
+        const next = text.replace(pattern, replace ?? '');
+        if (next !== text) changes.push(createChange(row, field, next));
+    }
+
+    return { changes, locked };
+}
+
+/**
+ * Swaps new and previous values, giving the plan that undoes a written plan
+ * @param {Array<object>} changes - Planned changes
+ * @returns {Array<object>}
+ */
+export function invertChanges(changes) {
+    return (changes || []).map(change => ({
+        ...change,
+        updates: change.previous,
+        previous: change.updates,
+    }));
+}
+
+// Fields managed by the store, never edited by hand
+const MANAGED_FIELDS = ['id', 'partId', 'createdAt', 'updatedAt'];
+
+/**
+ * Plans a single-row edit from the row before and after editing
+ * @param {object} row - Component or part before the edit
+ * @param {object} edited - Edited copy of the row
+ * @returns {object|null} - One change with the edited fields, or null when nothing changed
+ *
+ * @example
+ * planRowEdit({ id: 'c1', Value: '10k', Footprint: '0603' }, { id: 'c1', Value: '4k7', Footprint: '0603' })
+ * // Returns { id: 'c1', partId: null, updates: { Value: '4k7' }, previous: { Value: '10k' } }
+ */
+export function planRowEdit(row, edited) {
+    const updates = {};
+    const previous = {};
+
+    Object.entries(edited || {}).forEach(([field, value]) => {
+        if (MANAGED_FIELDS.includes(field) || row[field] === value) return;
+        updates[field] = value;
+        previous[field] = row[field];
+    });
+
+    if (Object.keys(updates).length === 0) return null;
+    return { id: row.id, partId: row.partId || null, updates, previous };
+}
@@ -0,0 +1,321 @@
+/**
+ * @file csvParser.js
+ * @description RFC 4180 CSV parsing with delimiter and encoding detection.
+ *
+ * The parser is an incremental state machine, so files can be read in chunks and
+ * rows are emitted as soon as they are complete. Quoted fields may contain
+ * delimiters, doubled quotes and line breaks; rows may end in LF, CRLF or CR.
+ */
+
+/**
+ * Delimiters considered by detectDelimiter, in order of preference
+ */
+export const CSV_DELIMITERS = [',', ';', '\t'];
+
+/**
+ * Bytes read per chunk when streaming a file
+ */
+export const DEFAULT_CHUNK_SIZE = 1024 * 1024;
+
+// Parser states
+const FIELD_START = 0;
+const UNQUOTED = 1;
+const QUOTED = 2;
+const QUOTE_IN_QUOTED = 3;
+const AFTER_QUOTED = 4;
+
+/**
+ * Creates an incremental CSV parser.
+ * @param {string} delimiter - Field delimiter
+ * @param {Function} onRow - Called with the cells (Array<string>) of every completed row
+ * @returns {{write: Function, end: Function}} - `write(text)` feeds text, `end()` flushes the last row
+ *
+ * @example
+ * const parser = createCsvParser(',', cells => rows.push(cells));
+ * parser.write('a,"b\nc"\r\n1,');
+ * parser.write('2\n');
+ * parser.end(); // rows: [['a', 'b\nc'], ['1', '2']]
+ */
+export function createCsvParser(delimiter, onRow) {
+    let row = [];
+    let field = '';
+    let state = FIELD_START;
+    let pendingCR = false;
+
+    const endField = () => {
+        row.push(field);
+        field = '';
+        state = FIELD_START;
+    };
+
+    const endRow = () => {
+        endField();
+        onRow(row);
+        row = [];
+    };
+
+    const write = (text) => {
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+
+            // A CR ends the row; swallow the LF of a CRLF pair (possibly in the next chunk)
+            if (pendingCR) {
+                pendingCR = false;
+                if (char === '\n') continue;
+            }
+
+            if (state === QUOTED) {
+                if (char === '"') state = QUOTE_IN_QUOTED;
+                else field += char;
+                continue;
+            }
+            if (state === QUOTE_IN_QUOTED) {
+                // "" inside a quoted field is an escaped quote; anything else closed the field
+                if (char === '"') {
+                    field += '"';
+                    state = QUOTED;
+                    continue;
+                }
+                state = AFTER_QUOTED;
+            }
+
+            if (char === delimiter) {
+                endField();
+            } else if (char === '\n' || char === '\r') {
+                endRow();
+                pendingCR = char === '\r';
+            } else if (state === FIELD_START && char === '"') {
+                // Leading whitespace before an opening quote is tolerated and dropped
+                field = '';
+                state = QUOTED;
+            } else if (state === FIELD_START && (char === ' ' || char === '\t')) {
+                field += char;
+            } else {
+                // Text after a closing quote is kept rather than rejected
+                field += char;
+                if (state === FIELD_START) state = UNQUOTED;
+            }
+        }
+    };
+
+    const end = () => {
+        if (row.length > 0 || field !== '' || state !== FIELD_START) {
+            endRow();
+        }
+    };
+
+    return { write, end };
+}
+
+/**
+ * Parses CSV text into rows of cells
+ * @param {string} text - CSV text
+ * @param {string} [delimiter] - Field delimiter; detected when omitted
+ * @returns {Array<Array<string>>}
+ */
+export function parseCsvText(text, delimiter) {
+    const rows = [];
+    const parser = createCsvParser(delimiter || detectDelimiter(text), cells => rows.push(cells));
+    parser.write(String(text || ''));
+    parser.end();
+    return rows;
+}
+
+/**
+ * Picks the delimiter that splits the first lines into the most consistent number of fields
+ * @param {string} sample - Beginning of the CSV text
+ * @returns {string} - ',', ';' or '\t' (',' when undecidable)
+ *
+ * @example
+ * detectDelimiter('Designator;Value\nR1;10k') // Returns ';'
+ */
+export function detectDelimiter(sample) {
+    const lines = String(sample || '')
+        .split(/\r\n|\n|\r/)
+        .filter(line => line.trim())
+        .slice(0, 20);
+
+    let best = { delimiter: ',', score: 0 };
+    for (const delimiter of CSV_DELIMITERS) {
+        // Count delimiters outside quoted sections on every line
+        const counts = lines.map(line => {
+            let count = 0;
+            let inQuotes = false;
+            for (const char of line) {
+                if (char === '"') inQuotes = !inQuotes;
+                else if (char === delimiter && !inQuotes) count++;
+            }
+            return count;
+        });
+
+        const frequency = {};
+        counts.filter(count => count > 0).forEach(count => { frequency[count] = (frequency[count] || 0) + 1; });
+        const [mode, modeLines] = Object.entries(frequency).sort((a, b) => b[1] - a[1] || b[0] - a[0])[0] || [0, 0];
+        // Lines agreeing on the field count matter most; more fields break ties
+        const score = modeLines * 1000 + Number(mode);
+        if (score > best.score) best = { delimiter, score };
+    }
+    return best.delimiter;
+}
+
+/**
+ * Detects the text encoding from a byte order mark or byte patterns
+ * @param {Uint8Array} bytes - First bytes of the file
+ * @returns {{encoding: string, bomLength: number}} - `encoding` is 'utf-8', 'utf-16le' or 'utf-16be'
+ * (UTF-8 may turn out to be Windows-1252 while decoding)
+ */
+export function detectEncoding(bytes) {
+    if (bytes[0] === 0xEF && bytes[1] === 0xBB && bytes[2] === 0xBF) return { encoding: 'utf-8', bomLength: 3 };
+    if (bytes[0] === 0xFF && bytes[1] === 0xFE) return { encoding: 'utf-16le', bomLength: 2 };
+    if (bytes[0] === 0xFE && bytes[1] === 0xFF) return { encoding: 'utf-16be', bomLength: 2 };
+
+    // UTF-16 without BOM: ASCII text has a zero in every other byte
+    const sample = bytes.subarray(0, Math.min(bytes.length, 512));
+    let evenZeros = 0;
+    let oddZeros = 0;
+    for (let i = 0; i < sample.length; i++) {
+        if (sample[i] === 0) {
+            if (i % 2 === 0) evenZeros++;
+            else oddZeros++;
+        }
+    }
+    const pairs = sample.length / 2;
+    if (pairs >= 2 && oddZeros > pairs * 0.4 && evenZeros === 0) return { encoding: 'utf-16le', bomLength: 0 };
+    if (pairs >= 2 && evenZeros > pairs * 0.4 && oddZeros === 0) return { encoding: 'utf-16be', bomLength: 0 };
+
+    return { encoding: 'utf-8', bomLength: 0 };
+}
+
+/**
+ * Decodes a complete buffer, falling back to Windows-1252 when it is not valid UTF-8
+ * @param {ArrayBuffer|Uint8Array} buffer - Raw file content
+ * @returns {{text: string, encoding: string}}
+ */
+export function decodeText(buffer) {
+    const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+    const { encoding, bomLength } = detectEncoding(bytes);
+    const body = bytes.subarray(bomLength);
+
+    if (encoding !== 'utf-8') {
+        return { text: new TextDecoder(encoding).decode(body), encoding };
+    }
+    try {
+        return { text: new TextDecoder('utf-8', { fatal: true }).decode(body), encoding };
+    } catch {
+        return { text: new TextDecoder('windows-1252').decode(body), encoding: 'windows-1252' };
+    }
+}
+
+/**
+ * The delimiter given to a reader: a fixed one, one chosen by a function from the leading
+ * text, or the detected one
+ */
+function chooseDelimiter(delimiter, sample) {
+    const chosen = typeof delimiter === 'function' ? delimiter(sample) : delimiter;
+    return chosen || detectDelimiter(sample);
+}
+
+/**
+ * Reads one chunk of a file-like object as bytes
+ * @param {Blob} file - File or Blob
+ * @param {number} start - Byte offset
+ * @param {number} end - End offset (exclusive)
+ * @returns {Promise<Uint8Array>}
+ */
+async function readChunk(file, start, end) {
+    return new Uint8Array(await file.slice(start, end).arrayBuffer());
+}
+
+/**
+ * Streams a CSV file row by row, detecting encoding and delimiter from the first chunk.
+ * @param {Blob} file - File or Blob to read
+ * @param {object} [options]
+ * @param {Function} [options.onRow] - Called with the cells of each row and its index
+ * @param {Function} [options.onProgress] - Called with the fraction of bytes read (0..1)
+ * @param {string|Function} [options.delimiter] - Field delimiter, or a function choosing it from the
+ * leading text (at least 4096 characters unless the file is shorter); detected when omitted
+ * @param {number} [options.chunkSize=DEFAULT_CHUNK_SIZE] - Bytes per chunk
+ * @param {Function} [options.onReset] - Called before rows are re-emitted after an encoding fallback
+ * @returns {Promise<{encoding: string, delimiter: string, rowCount: number}>}
+ */
+export async function streamCsvFile(file, options = {}) {
+    const { onRow = () => {}, onProgress, chunkSize = DEFAULT_CHUNK_SIZE } = options;
+    const size = file.size || 0;
+
+    const { encoding, bomLength } = detectEncoding(await readChunk(file, 0, Math.min(size, 512)));
+
+    const run = async (textEncoding) => {
+        const decoder = new TextDecoder(textEncoding, { fatal: textEncoding === 'utf-8' });
+        let parser = null;
+        let delimiter = null;
+        let rowCount = 0;
+        let sample = '';
+
+        const start = (text) => {
+            delimiter = chooseDelimiter(options.delimiter, text);
+            parser = createCsvParser(delimiter, cells => onRow(cells, rowCount++));
+            parser.write(text);
+        };
+
+        for (let offset = bomLength; offset < size; offset += chunkSize) {
+            const bytes = await readChunk(file, offset, Math.min(size, offset + chunkSize));
+            const text = decoder.decode(bytes, { stream: true });
+            if (parser) {
+                parser.write(text);
+            } else {
+                // Collect enough text to detect the delimiter from whole lines
+                sample += text;
+                if (sample.length >= 4096 || offset + chunkSize >= size) {
+                    start(sample);
+                    sample = '';
+                }
+            }
+            onProgress?.(Math.min(1, (offset + chunkSize) / size));
+        }
+
+        const rest = decoder.decode();
+        if (!parser) start(sample + rest);
+        else if (rest) parser.write(rest);
+        parser.end();
+
+        return { encoding: textEncoding, delimiter, rowCount };
+    };
+
+    if (encoding !== 'utf-8') return run(encoding);
+
+    // Files that are not valid UTF-8 are re-read as Windows-1252 (Excel's default CSV encoding)
+    try {
+        return await run('utf-8');
+    } catch (err) {
+        if (!(err instanceof TypeError)) throw err;
+        options.onReset?.();
+        return run('windows-1252');
+    }
+}
+
+/**
+ * Reads a CSV file, streaming it in chunks. Rows are collected, or handed to `options.onRow`
+ * one by one as they are parsed (`rows` is empty then).
+ * Falls back to `file.text()` for file-like objects without `slice` (e.g. test stand-ins).
+ * @param {Blob|{text: Function}} file - File to read
+ * @param {object} [options] - `onRow`, `onReset`, `delimiter`, `onProgress`, `chunkSize` as in streamCsvFile
+ * @returns {Promise<{rows: Array<Array<string>>, encoding: string, delimiter: string}>}
+ */
+export async function readCsvFile(file, options = {}) {
+    let rows = [];
+    const { onRow = cells => rows.push(cells), onReset = () => { rows = []; } } = options;
+
+    if (typeof file?.slice !== 'function') {
+        const text = String(await file.text()).replace(/^\uFEFF/, '');
+        const delimiter = chooseDelimiter(options.delimiter, text);
+        let rowCount = 0;
+        const parser = createCsvParser(delimiter, cells => onRow(cells, rowCount++));
+        parser.write(text);
+        parser.end();
+        options.onProgress?.(1);
+        return { rows, encoding: 'utf-8', delimiter };
+    }
+
+    const result = await streamCsvFile(file, { ...options, onRow, onReset });
+    return { rows, encoding: result.encoding, delimiter: result.delimiter };
+}
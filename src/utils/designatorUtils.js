@@ -0,0 +1,76 @@
+/**
+ * @file designatorUtils.js
+ * @description Splitting and range expansion of reference designator lists
+ * ("R1, R2", "C3..C6", "R1-R4, R7").
+ */
+
+// Ranges larger than this are treated as text, not expanded (guards against "R1-R99999")
+export const MAX_RANGE_SIZE = 500;
+
+const RANGE_PATTERN = /^([A-Za-z_#]*?)(\d+)(?:-|\.\.)([A-Za-z_#]*?)(\d+)$/;
+
+/**
+ * Expands a single range token into designators
+ * @param {string} token - A designator or a range such as "R1-R4", "C3..C6" or "D4-6"
+ * @returns {Array<string>|null} - Expanded designators, or null when the token is not a valid range
+ *
+ * @example
+ * expandDesignatorRange('R1-R4')  // Returns ['R1', 'R2', 'R3', 'R4']
+ * expandDesignatorRange('C08..C10') // Returns ['C08', 'C09', 'C10']
+ * expandDesignatorRange('R1-R1')  // Returns ['R1']
+ * expandDesignatorRange('R7')     // Returns null
+ */
+export function expandDesignatorRange(token) {
+    const match = String(token || '').trim().match(RANGE_PATTERN);
+    if (!match) return null;
+
+    const [, prefix, from, endPrefix, to] = match;
+    // "R1-C4" is not a range; "R1-4" repeats the start prefix implicitly
+    if (!prefix || (endPrefix && endPrefix !== prefix)) return null;
+
+    const start = parseInt(from, 10);
+    const end = parseInt(to, 10);
+    if (end < start || end - start + 1 > MAX_RANGE_SIZE) return null;
+    // "R1-R1" and "R1..R1" name one designator
+    if (end === start) return [`${prefix}${from}`];
+
+    // Keep zero padding of the start ("R01-R03" -> R01, R02, R03)
+    const width = from.startsWith('0') ? from.length : 0;
+    const designators = [];
+    for (let n = start; n <= end; n++) {
+        designators.push(`${prefix}${String(n).padStart(width, '0')}`);
+    }
+    return designators;
+}
+
+/**
+ * Splits a designator cell into single designators, expanding ranges. A degenerate range
+ * ("R1-R1") is one designator and does not count as a range.
+ * @param {string} text - Designator cell text
+ * @param {string|RegExp} separator - Separator pattern between list entries
+ * @returns {{designators: Array<string>, hasRange: boolean}}
+ *
+ * @example
+ * splitDesignators('R1-R4, R7', /[,;]\s*|\s+/)
+ * // Returns { designators: ['R1', 'R2', 'R3', 'R4', 'R7'], hasRange: true }
+ */
+export function splitDesignators(text, separator) {
+    // "R1 - R4" / "C3 .. C6": drop the spaces so the range survives whitespace splitting
+    const compact = String(text || '').replace(/([A-Za-z_#]*\d+)\s*(-|\.\.)\s*(?=[A-Za-z_#]*\d+\b)/g, '$1$2');
+    const pattern = separator instanceof RegExp ? separator : new RegExp(separator);
+
+    const designators = [];
+    let hasRange = false;
+    for (const token of compact.split(pattern)) {
+        const trimmed = token?.trim();
+        if (!trimmed) continue;
+        const expanded = expandDesignatorRange(trimmed);
+        if (expanded) {
+            designators.push(...expanded);
+            hasRange = hasRange || expanded.length > 1;
+        } else {
+            designators.push(trimmed);
+        }
+    }
+    return { designators, hasRange };
+}
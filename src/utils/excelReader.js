@@ -0,0 +1,81 @@
+/**
+ * @file excelReader.js
+ * @description Reading Excel workbooks as rows of displayed cell text.
+ *
+ * ExcelJS returns objects for formulas, rich text, hyperlinks and errors; these are
+ * resolved to the text Excel shows. Merged cells take the master cell's text when the
+ * merge runs down the column; cells merged in from the left stay empty so a header
+ * spanning several columns is not repeated.
+ */
+
+import ExcelJS from 'exceljs';
+
+/**
+ * Converts an ExcelJS cell value to its displayed text
+ * @param {*} value - Cell value (primitive, Date, or ExcelJS value object)
+ * @returns {string}
+ *
+ * @example
+ * getCellValueText({ richText: [{ text: '10' }, { text: 'k' }] }) // Returns '10k'
+ * getCellValueText({ formula: 'A1*2', result: 20 })              // Returns '20'
+ */
+export function getCellValueText(value) {
+    if (value === null || value === undefined) return '';
+    if (value instanceof Date) return value.toISOString().slice(0, 10);
+    if (typeof value !== 'object') return String(value);
+
+    if (Array.isArray(value.richText)) return value.richText.map(run => run.text || '').join('');
+    if ('formula' in value || 'sharedFormula' in value) return getCellValueText(value.result);
+    if ('hyperlink' in value) return getCellValueText(value.text ?? value.hyperlink);
+    if ('error' in value) return String(value.error);
+    if ('text' in value) return getCellValueText(value.text);
+    return '';
+}
+
+/**
+ * Returns the displayed text of a worksheet cell, resolving merged cells
+ * @param {object} cell - ExcelJS cell
+ * @returns {string}
+ */
+export function getCellText(cell) {
+    if (!cell) return '';
+    if (cell.isMerged && cell.master && cell.master !== cell) {
+        // Only vertical merges repeat the text; horizontal spans show it once
+        if (cell.master.col !== cell.col) return '';
+        return getCellValueText(cell.master.value).trim();
+    }
+    return getCellValueText(cell.value).trim();
+}
+
+/**
+ * Loads an Excel workbook from a buffer
+ * @param {ArrayBuffer} buffer - .xlsx file content
+ * @returns {Promise<object>} - ExcelJS workbook with at least one worksheet
+ */
+export async function loadWorkbook(buffer) {
+    const workbook = new ExcelJS.Workbook();
+    try {
+        await workbook.xlsx.load(buffer);
+    } catch (e) {
+        throw new Error(`Failed to load Excel file: ${e.message}`);
+    }
+    if (workbook.worksheets.length === 0) throw new Error('Excel file has no worksheets');
+    return workbook;
+}
+
+/**
+ * Returns the rows of a worksheet that show any text, as arrays of cell text
+ * @param {object} worksheet - ExcelJS worksheet
+ * @returns {Array<Array<string>>} - Cells from column A onwards
+ */
+export function getWorksheetRows(worksheet) {
+    const rows = [];
+    worksheet.eachRow((row) => {
+        const cells = [];
+        for (let col = 1; col <= row.cellCount; col++) {
+            cells.push(getCellText(row.getCell(col)));
+        }
+        if (cells.some(cell => cell)) rows.push(cells);
+    });
+    return rows;
+}
@@ -0,0 +1,204 @@
+/**
+ * @file kicadBom.js
+ * @description Readers for the BOM files KiCad itself produces:
+ *   - `kicad-cli sch export bom` CSV (KiCad 7/8, "Refs","Value","Footprint","Qty","DNP")
+ *   - the legacy `bom_csv_grouped_by_value` plugin CSV ("Source:"/"Generator:" preamble, "Ref","Qnty",...)
+ *   - the intermediate XML netlist (`<export><components><comp ref="R1">...`)
+ *
+ * All readers return one row per designator with `Designator`, `Value`, `Footprint`
+ * and the symbol fields, so no designator column or field mapping has to be configured.
+ */
+
+import { splitDesignators } from './designatorUtils.js';
+
+/**
+ * Identifiers of the supported KiCad BOM formats
+ */
+export const KICAD_BOM_FORMATS = {
+    CLI_CSV: 'kicad-cli-csv',
+    LEGACY_CSV: 'kicad-legacy-csv',
+    XML_NETLIST: 'kicad-xml-netlist',
+};
+
+/**
+ * Human-readable names of the formats, for previews
+ */
+export const KICAD_BOM_FORMAT_LABELS = {
+    [KICAD_BOM_FORMATS.CLI_CSV]: 'KiCad BOM (kicad-cli)',
+    [KICAD_BOM_FORMATS.LEGACY_CSV]: 'KiCad BOM (bom_csv_grouped_by_value)',
+    [KICAD_BOM_FORMATS.XML_NETLIST]: 'KiCad XML netlist',
+};
+
+const REFERENCE_HEADERS = ['Refs', 'Reference', 'References', 'Ref'];
+const LEGACY_PREAMBLE_KEYS = ['Source:', 'Date:', 'Tool:', 'Generator:', 'Component Count:'];
+
+// Column names used by KiCad exports, mapped to the library's field names
+const HEADER_ALIASES = {
+    Refs: 'Designator',
+    Reference: 'Designator',
+    References: 'Designator',
+    Ref: 'Designator',
+    Qnty: 'Qty',
+    Quantity: 'Qty',
+    '${QUANTITY}': 'Qty',
+    '${DNP}': 'DNP',
+    'Cmp name': 'Symbol',
+};
+
+// KiCad writes "~" for an empty Value/Datasheet
+const cleanValue = (value) => {
+    const text = String(value ?? '').trim();
+    return text === '~' ? '' : text;
+};
+
+/**
+ * Expands a KiCad reference list into single designators.
+ * Handles "," / space separated lists and same-prefix ranges ("R1-R4").
+ * @param {string} refs - Reference list from a grouped BOM row
+ * @returns {Array<string>}
+ *
+ * @example
+ * expandDesignatorList('C1, C2, R1-R3') // Returns ['C1', 'C2', 'R1', 'R2', 'R3']
+ */
+export function expandDesignatorList(refs) {
+    return splitDesignators(refs, /[,;\s]+/).designators;
+}
+
+/**
+ * Turns grouped rows (one row per value, several refs) into one row per designator.
+ * Rows whose Qty does not match the number of refs are kept grouped, so the regular
+ * ambiguous-quantity check can ask the user.
+ * @param {Array<object>} groupedRows - Rows keyed by normalized header names
+ * @returns {Array<object>}
+ */
+function expandGroupedRows(groupedRows) {
+    const rows = [];
+    for (const row of groupedRows) {
+        const designators = expandDesignatorList(row.Designator).filter(ref => !ref.startsWith('#'));
+        if (designators.length === 0) continue;
+
+        const qty = parseInt(row.Qty, 10);
+        if (!isNaN(qty) && qty !== designators.length) {
+            rows.push({ ...row, Designator: designators.join(', ') });
+            continue;
+        }
+
+        for (const designator of designators) {
+            rows.push({ ...row, Designator: designator, ...('Qty' in row ? { Qty: '1' } : {}) });
+        }
+    }
+    return rows;
+}
+
+/**
+ * Detects a KiCad-generated CSV BOM from its parsed cell rows
+ * @param {Array<Array<string>>} rows - CSV rows as arrays of cells
+ * @returns {{format: string, headerIndex: number}|null} - null for other CSV files
+ */
+export function detectKiCadCsvFormat(rows) {
+    const firstRows = (rows || []).slice(0, 20);
+    const headerIndex = firstRows.findIndex(cells =>
+        cells.some(cell => REFERENCE_HEADERS.includes(cell)) && cells.includes('Value')
+    );
+    if (headerIndex === -1) return null;
+
+    const headers = firstRows[headerIndex];
+    const hasPreamble = firstRows
+        .slice(0, headerIndex)
+        .some(cells => LEGACY_PREAMBLE_KEYS.includes(cells[0]));
+    if (hasPreamble || headers.includes('Qnty') || headers.includes('Cmp name')) {
+        return { format: KICAD_BOM_FORMATS.LEGACY_CSV, headerIndex };
+    }
+
+    // kicad-cli puts the reference column first and always exports the footprint
+    const isFirstNonEmptyRow = firstRows.slice(0, headerIndex).every(cells => cells.every(cell => !cell));
+    if (isFirstNonEmptyRow && REFERENCE_HEADERS.includes(headers[0]) && headers.includes('Footprint')) {
+        return { format: KICAD_BOM_FORMATS.CLI_CSV, headerIndex };
+    }
+
+    return null;
+}
+
+/**
+ * Reads a KiCad-generated CSV BOM
+ * @param {Array<Array<string>>} rows - CSV rows as arrays of cells
+ * @returns {{rawHeaders: Array<string>, rawRows: Array<object>, format: string}|null} - null when not a KiCad BOM
+ */
+export function parseKiCadBomCSV(rows) {
+    const detected = detectKiCadCsvFormat(rows);
+    if (!detected) return null;
+
+    const headers = rows[detected.headerIndex].map(header => HEADER_ALIASES[header] || header);
+    const groupedRows = [];
+    for (const cells of rows.slice(detected.headerIndex + 1)) {
+        if (cells.every(cell => !cell)) continue;
+        const row = {};
+        headers.forEach((header, index) => {
+            if (header) row[header] = cleanValue(cells[index]);
+        });
+        groupedRows.push(row);
+    }
+
+    const rawHeaders = ['Designator', ...headers.filter(header => header && header !== 'Designator')];
+    return { rawHeaders, rawRows: expandGroupedRows(groupedRows), format: detected.format };
+}
+
+/**
+ * Reads a KiCad intermediate XML netlist (the input of BOM plugins)
+ * @param {string} text - XML text
+ * @returns {{rawHeaders: Array<string>, rawRows: Array<object>, format: string}}
+ */
+export function parseKiCadNetlistXML(text) {
+    const doc = new DOMParser().parseFromString(text, 'application/xml');
+    const root = doc.documentElement;
+    if (!root || root.nodeName !== 'export' || doc.getElementsByTagName('parsererror').length > 0) {
+        throw new Error('Not a KiCad XML netlist: expected an <export> root element');
+    }
+
+    const childText = (element, name) => {
+        const child = Array.from(element.children).find(node => node.nodeName === name);
+        return child ? cleanValue(child.textContent) : '';
+    };
+
+    const headers = new Set(['Designator', 'Value', 'Footprint', 'Datasheet']);
+    const rawRows = [];
+
+    for (const comp of Array.from(doc.getElementsByTagName('comp'))) {
+        const reference = comp.getAttribute('ref') || '';
+        if (!reference || reference.startsWith('#')) continue;
+
+        const properties = Array.from(comp.children).filter(node => node.nodeName === 'property');
+        const hasProperty = (name) => properties.some(node => node.getAttribute('name') === name);
+        if (hasProperty('exclude_from_bom')) continue;
+
+        const row = {
+            Designator: reference,
+            Value: childText(comp, 'value'),
+            Footprint: childText(comp, 'footprint'),
+            Datasheet: childText(comp, 'datasheet'),
+        };
+
+        const libsource = Array.from(comp.children).find(node => node.nodeName === 'libsource');
+        if (libsource?.getAttribute('description')) {
+            row.Description = libsource.getAttribute('description');
+        }
+
+        const fields = Array.from(comp.children).find(node => node.nodeName === 'fields');
+        for (const field of Array.from(fields?.children || [])) {
+            const name = field.getAttribute('name');
+            if (name && !(name in row)) row[name] = cleanValue(field.textContent);
+        }
+
+        const sheetpath = Array.from(comp.children).find(node => node.nodeName === 'sheetpath');
+        if (sheetpath?.getAttribute('names')) row.Sheet = sheetpath.getAttribute('names');
+        if (hasProperty('dnp')) row.DNP = 'DNP';
+
+        Object.keys(row).forEach(key => headers.add(key));
+        rawRows.push(row);
+    }
+
+    const rawHeaders = [...headers];
+    rawRows.forEach(row => rawHeaders.forEach(header => { if (!(header in row)) row[header] = ''; }));
+
+    return { rawHeaders, rawRows, format: KICAD_BOM_FORMATS.XML_NETLIST };
+}
@@ -0,0 +1,240 @@
+/**
+ * @file kicadHierarchy.js
+ * @description Resolves hierarchical KiCad schematics (root sheet + sub-sheets) into one
+ * flat list of placed symbol instances with per-instance designators.
+ *
+ * Instance designators are looked up in this order:
+ *   1. KiCad 7/8 `(instances (project ... (path "/<root uuid>/<sheet uuid>..." (reference ...))))` on the symbol
+ *   2. KiCad 6 root-level `(symbol_instances (path "/<sheet uuid>.../<symbol uuid>" (reference ...)))`
+ *   3. The symbol's own "Reference" property
+ */
+
+import JSZip from 'jszip';
+import { parseKiCadSchematicText, resolveSymbolReference } from './kicadSchematic.js';
+
+/**
+ * Normalizes a relative file path: forward slashes, no "./" segments, ".." resolved
+ * @param {string} path - Raw path
+ * @returns {string}
+ *
+ * @example
+ * normalizePath('proj\\sub/../power.kicad_sch') // Returns "proj/power.kicad_sch"
+ */
+export function normalizePath(path) {
+    const segments = [];
+    for (const segment of String(path || '').replace(/\\/g, '/').split('/')) {
+        if (!segment || segment === '.') continue;
+        if (segment === '..') {
+            segments.pop();
+        } else {
+            segments.push(segment);
+        }
+    }
+    return segments.join('/');
+}
+
+/**
+ * Returns the last segment of a path
+ * @param {string} path - File path
+ * @returns {string}
+ */
+function getBaseName(path) {
+    const normalized = normalizePath(path);
+    return normalized.slice(normalized.lastIndexOf('/') + 1);
+}
+
+/**
+ * Returns the directory part of a path ('' for top-level files)
+ * @param {string} path - File path
+ * @returns {string}
+ */
+function getDirName(path) {
+    const normalized = normalizePath(path);
+    const index = normalized.lastIndexOf('/');
+    return index >= 0 ? normalized.slice(0, index) : '';
+}
+
+/**
+ * Finds the uploaded file a `Sheetfile` property points to. The path is relative to
+ * the parent sheet; when folder structure was lost (individual file upload) a unique
+ * base name match is accepted.
+ * @param {string} sheetFileName - Value of the Sheetfile property
+ * @param {string} parentKey - Key of the sheet that references it
+ * @param {Array<string>} fileKeys - Keys of all available files
+ * @returns {string|null}
+ */
+export function resolveSheetFile(sheetFileName, parentKey, fileKeys) {
+    if (!sheetFileName) return null;
+
+    const parentDir = getDirName(parentKey);
+    const relative = normalizePath(parentDir ? `${parentDir}/${sheetFileName}` : sheetFileName);
+    const exact = fileKeys.find(key => normalizePath(key) === relative);
+    if (exact) return exact;
+
+    const baseName = getBaseName(sheetFileName);
+    const byName = fileKeys.filter(key => getBaseName(key) === baseName);
+    return byName.length === 1 ? byName[0] : null;
+}
+
+/**
+ * Reads uploaded schematic files. Accepts `.kicad_sch` files and `.zip` archives
+ * of a project folder (only the `.kicad_sch` / `.kicad_pro` entries are used).
+ * @param {Array<File>|FileList} fileList - Uploaded files
+ * @returns {Promise<{files: object, projectFile: string|null}>} - `files` maps path to text
+ */
+export async function readSchematicFiles(fileList) {
+    const files = {};
+    let projectFile = null;
+
+    for (const file of Array.from(fileList || [])) {
+        const name = file.name || '';
+        const lowerName = name.toLowerCase();
+
+        if (lowerName.endsWith('.zip')) {
+            const zip = await JSZip.loadAsync(await file.arrayBuffer());
+            for (const entry of Object.values(zip.files)) {
+                // Skip folders and macOS resource forks
+                if (entry.dir || entry.name.startsWith('__MACOSX/')) continue;
+                const entryName = entry.name.toLowerCase();
+                if (entryName.endsWith('.kicad_sch')) {
+                    files[normalizePath(entry.name)] = await entry.async('string');
+                } else if (entryName.endsWith('.kicad_pro') && !projectFile) {
+                    projectFile = normalizePath(entry.name);
+                }
+            }
+        } else if (lowerName.endsWith('.kicad_sch')) {
+            files[normalizePath(file.webkitRelativePath || name)] = await file.text();
+        } else if (lowerName.endsWith('.kicad_pro') && !projectFile) {
+            projectFile = normalizePath(file.webkitRelativePath || name);
+        }
+    }
+
+    return { files, projectFile };
+}
+
+/**
+ * Picks the root sheet: the schematic no other uploaded sheet references. When
+ * several qualify, the one named after the `.kicad_pro` file wins.
+ * @param {object} parsedFiles - Map of path to parsed schematic model
+ * @param {string|null} [projectFile=null] - Path of the .kicad_pro file, if any
+ * @returns {string|null} - Key of the root schematic
+ */
+export function findRootSchematic(parsedFiles, projectFile = null) {
+    const keys = Object.keys(parsedFiles);
+    const referenced = new Set();
+
+    for (const key of keys) {
+        for (const sheet of parsedFiles[key].sheets) {
+            const childKey = resolveSheetFile(sheet.fileName, key, keys);
+            if (childKey && childKey !== key) referenced.add(childKey);
+        }
+    }
+
+    const candidates = keys.filter(key => !referenced.has(key));
+    if (candidates.length === 0) return null;
+
+    if (projectFile) {
+        const stem = getBaseName(projectFile).replace(/\.kicad_pro$/i, '');
+        const match = candidates.find(key => getBaseName(key) === `${stem}.kicad_sch`);
+        if (match) return match;
+    }
+
+    return candidates[0];
+}
+
+/**
+ * Looks up the designator of one placed instance of a symbol
+ * @param {object} symbol - Placed symbol from parseKiCadSchematicText
+ * @param {Array<string>} sheetUuids - Sheet UUIDs from the root down to the containing sheet
+ * @param {string} rootUuid - UUID of the root schematic
+ * @param {object} rootSymbolInstances - KiCad 6 symbol_instances table of the root schematic
+ * @returns {{reference: string, unit: number}}
+ */
+function resolveInstance(symbol, sheetUuids, rootUuid, rootSymbolInstances) {
+    const sheetPath = sheetUuids.map(uuid => `/${uuid}`).join('');
+
+    // KiCad 7/8: the path names the containing sheet, starting at the root schematic
+    const instance = symbol.instances.find(inst => inst.path === `/${rootUuid}${sheetPath}`)
+        || (sheetPath && symbol.instances.find(inst => inst.path.endsWith(sheetPath)));
+    if (instance?.reference) {
+        return { reference: instance.reference, unit: instance.unit };
+    }
+
+    // KiCad 6: the path names every sheet and finally the symbol itself
+    const legacy = rootSymbolInstances[`${sheetPath}/${symbol.uuid}`];
+    if (legacy?.reference) {
+        return { reference: legacy.reference, unit: legacy.unit };
+    }
+
+    // Flat schematics written without instance data for this path
+    return { reference: resolveSymbolReference(symbol), unit: symbol.unit };
+}
+
+/**
+ * Walks the sheet hierarchy from the root and returns every placed symbol instance.
+ * Sheets used more than once (multi-instance sheets) are visited once per sheet symbol.
+ * @param {object} files - Map of path to schematic text
+ * @param {string} [rootKey] - Root schematic path; detected automatically when omitted
+ * @param {string|null} [projectFile=null] - Path of the .kicad_pro file, used for root detection
+ * @returns {{
+ *   rootKey: string,
+ *   root: object,
+ *   schematics: object,
+ *   instances: Array<{reference: string, unit: number, symbol: object, fileName: string, sheetPath: string, sheetUuids: Array<string>}>,
+ *   sheets: Array<{name: string, fileName: string, sheetPath: string}>,
+ *   missingSheets: Array<{name: string, fileName: string, parent: string}>
+ * }}
+ */
+export function flattenSchematicHierarchy(files, rootKey, projectFile = null) {
+    const schematics = {};
+    for (const [key, text] of Object.entries(files || {})) {
+        try {
+            schematics[key] = parseKiCadSchematicText(text);
+        } catch (err) {
+            throw new Error(`Failed to parse sheet "${key}": ${err.message}`);
+        }
+    }
+
+    const keys = Object.keys(schematics);
+    if (keys.length === 0) {
+        throw new Error('No KiCad schematic (.kicad_sch) files found');
+    }
+
+    const resolvedRoot = rootKey || findRootSchematic(schematics, projectFile);
+    if (!resolvedRoot || !schematics[resolvedRoot]) {
+        throw new Error('Could not determine the root schematic sheet');
+    }
+
+    const root = schematics[resolvedRoot];
+    const instances = [];
+    const sheets = [{ name: '', fileName: resolvedRoot, sheetPath: '/' }];
+    const missingSheets = [];
+
+    const walk = (key, sheetUuids, sheetNames, stack) => {
+        const schematic = schematics[key];
+        const sheetPath = sheetNames.length ? `/${sheetNames.join('/')}/` : '/';
+
+        for (const symbol of schematic.symbols) {
+            const { reference, unit } = resolveInstance(symbol, sheetUuids, root.uuid, root.symbolInstances);
+            instances.push({ reference, unit, symbol, fileName: key, sheetPath, sheetUuids });
+        }
+
+        for (const sheet of schematic.sheets) {
+            const childKey = resolveSheetFile(sheet.fileName, key, keys);
+            if (!childKey) {
+                missingSheets.push({ name: sheet.name, fileName: sheet.fileName, parent: key });
+                continue;
+            }
+            if (stack.includes(childKey)) {
+                throw new Error(`Recursive sheet reference: "${sheet.fileName}" includes itself`);
+            }
+            const childNames = [...sheetNames, sheet.name || sheet.uuid];
+            sheets.push({ name: sheet.name, fileName: childKey, sheetPath: `/${childNames.join('/')}/` });
+            walk(childKey, [...sheetUuids, sheet.uuid], childNames, [...stack, childKey]);
+        }
+    };
+
+    walk(resolvedRoot, [], [], [resolvedRoot]);
+
+    return { rootKey: resolvedRoot, root, schematics, instances, sheets, missingSheets };
+}
@@ -0,0 +1,190 @@
+/**
+ * @file kicadLibrary.js
+ * @description Builds a KiCad symbol library (`.kicad_sym`) from the component library.
+ *
+ * One symbol is written per unique Local Part Number. When the part was placed in a
+ * project with an uploaded schematic, the symbol graphics are taken from that
+ * schematic's `lib_symbols`; otherwise a plain rectangular placeholder is generated.
+ */
+
+import { parseSExpression, findChildren, getAtomValue } from './kicadSchematic.js';
+import { escapeKiCadString, getPropertyEdits, applyTextEdits } from './kicadSync.js';
+import { extractMPN, hasLPN } from './lpnUtils.js';
+
+/**
+ * File format version written to the library header (KiCad 7 and newer)
+ */
+export const SYMBOL_LIBRARY_VERSION = '20220914';
+
+/**
+ * Properties written to every library symbol, in file order
+ */
+export const LIBRARY_SYMBOL_PROPERTIES = ['Value', 'Footprint', 'Datasheet', 'MPN', 'Manufacturer', 'LPN'];
+
+/**
+ * Reads the library symbol property values from a component
+ * @param {object} component - Library component
+ * @returns {object} - Map of property name to value ('' when unknown)
+ *
+ * @example
+ * getLibraryPropertyValues({ Value: '10k', 'Mfr. Part #': 'RC0603FR-0710KL', Local_Part_Number: 'KL-00001-ABCDEF' })
+ * // Returns { Value: '10k', Footprint: '', Datasheet: '', MPN: 'RC0603FR-0710KL', Manufacturer: '', LPN: 'KL-00001-ABCDEF' }
+ */
+export function getLibraryPropertyValues(component) {
+    const text = (value) => (value === null || value === undefined ? '' : String(value).trim());
+    return {
+        Value: text(component.Value),
+        Footprint: text(component.Footprint || component.Package),
+        Datasheet: text(component.Datasheet),
+        MPN: extractMPN(component) || '',
+        Manufacturer: text(component.Manufacturer),
+        LPN: text(component.Local_Part_Number),
+    };
+}
+
+/**
+ * Looks up the schematic library symbol a component was placed with
+ * @param {object} component - Library component
+ * @param {object} kicadSchematics - Stored schematic data keyed by project name
+ * @returns {string|null} - Raw `lib_symbols` entry text
+ */
+function getSchematicLibSymbol(component, kicadSchematics) {
+    const schematic = kicadSchematics?.[component.ProjectName];
+    if (!schematic?.libSymbols || !schematic.symbolLibIds) return null;
+
+    const reference = schematic.links?.[component.id]?.reference || component.Designator || component.Reference;
+    const libId = schematic.symbolLibIds[reference];
+    return (libId && schematic.libSymbols[libId]) || null;
+}
+
+/**
+ * Groups library components by Local Part Number and picks the component each
+ * library symbol is built from. Components placed in a project with an uploaded
+ * schematic are preferred, so the real symbol graphics can be reused.
+ * @param {Array<object>} components - Library components
+ * @param {object} [kicadSchematics={}] - Stored schematic data keyed by project name
+ * @returns {Array<{lpn: string, component: object, libSymbol: string|null}>} - Sorted by LPN
+ */
+export function collectLibraryParts(components, kicadSchematics = {}) {
+    const parts = new Map();
+
+    for (const component of components || []) {
+        if (!hasLPN(component)) continue;
+        const lpn = component.Local_Part_Number.trim();
+        const existing = parts.get(lpn);
+        if (existing?.libSymbol) continue;
+
+        const libSymbol = getSchematicLibSymbol(component, kicadSchematics);
+        if (!existing || libSymbol) {
+            parts.set(lpn, { lpn, component, libSymbol });
+        }
+    }
+
+    return [...parts.values()].sort((a, b) => a.lpn.localeCompare(b.lpn));
+}
+
+/**
+ * Re-indents a multi-line block: its closing line's indent is replaced by `indent`
+ * @param {string} block - Text cut from a larger file
+ * @param {string} indent - New base indentation
+ * @returns {string}
+ */
+function reindentBlock(block, indent) {
+    const lines = block.split('\n');
+    if (lines.length === 1) return block;
+
+    const baseIndent = lines[lines.length - 1].match(/^[ \t]*/)[0];
+    return lines
+        .map((line, index) => {
+            if (index === 0) return line;
+            return line.startsWith(baseIndent) ? indent + line.slice(baseIndent.length) : line;
+        })
+        .join('\n');
+}
+
+/**
+ * Turns a schematic `lib_symbols` entry into a library symbol named `name`,
+ * with the given property values set. Unit sub-symbols ("R_0_1") are renamed to match.
+ * @param {string} libSymbol - Raw lib_symbols entry text
+ * @param {string} name - New symbol name
+ * @param {object} values - Map of property name to value
+ * @returns {string}
+ */
+export function createLibrarySymbol(libSymbol, name, values) {
+    const [symbolNode] = parseSExpression(libSymbol);
+    const nameAtom = symbolNode.items[1];
+    const baseName = String(nameAtom.value).split(':').pop();
+
+    const edits = [{ start: nameAtom.start, end: nameAtom.end, text: `"${escapeKiCadString(name)}"` }];
+    for (const unit of findChildren(symbolNode, 'symbol')) {
+        const unitName = getAtomValue(unit, 0) || '';
+        if (unitName.startsWith(`${baseName}_`)) {
+            const unitAtom = unit.items[1];
+            edits.push({
+                start: unitAtom.start,
+                end: unitAtom.end,
+                text: `"${escapeKiCadString(name + unitName.slice(baseName.length))}"`,
+            });
+        }
+    }
+    edits.push(...getPropertyEdits(libSymbol, symbolNode, values).edits);
+
+    return applyTextEdits(libSymbol, edits);
+}
+
+/**
+ * Builds a rectangular placeholder symbol for parts without schematic graphics
+ * @param {string} name - Symbol name
+ * @param {string} referencePrefix - Designator prefix, e.g. "R"
+ * @param {object} values - Map of property name to value
+ * @returns {string}
+ */
+export function createPlaceholderSymbol(name, referencePrefix, values) {
+    const font = '(effects (font (size 1.27 1.27))';
+    const lines = [
+        `(symbol "${escapeKiCadString(name)}" (in_bom yes) (on_board yes)`,
+        `  (property "Reference" "${escapeKiCadString(referencePrefix)}" (at 0 3.81 0) ${font}))`,
+    ];
+    LIBRARY_SYMBOL_PROPERTIES.forEach((property, index) => {
+        const y = property === 'Value' ? '-3.81' : (-6.35 - index * 2.54).toFixed(2);
+        const hide = property === 'Value' ? '' : ' hide';
+        lines.push(`  (property "${property}" "${escapeKiCadString(values[property] || '')}" (at 0 ${y} 0) ${font}${hide}))`);
+    });
+    lines.push(
+        `  (symbol "${escapeKiCadString(name)}_0_1"`,
+        '    (rectangle (start -5.08 2.54) (end 5.08 -2.54) (stroke (width 0.254) (type default)) (fill (type background)))',
+        '  )',
+        ')'
+    );
+    return lines.join('\n');
+}
+
+/**
+ * Builds the text of a `.kicad_sym` library with one symbol per part
+ * @param {Array<{lpn: string, component: object, libSymbol: string|null}>} parts - From collectLibraryParts
+ * @returns {string}
+ *
+ * @example
+ * const text = buildKiCadSymbolLibrary(collectLibraryParts(components, kicadSchematics));
+ */
+export function buildKiCadSymbolLibrary(parts) {
+    const symbols = (parts || []).map(({ lpn, component, libSymbol }) => {
+        const values = getLibraryPropertyValues(component);
+        if (libSymbol) {
+            return `  ${reindentBlock(createLibrarySymbol(libSymbol, lpn, values), '  ')}`;
+        }
+        const designator = String(component.Designator || component.Reference || '');
+        const referencePrefix = designator.match(/^[A-Za-z]+/)?.[0] || 'U';
+        return createPlaceholderSymbol(lpn, referencePrefix, values)
+            .split('\n')
+            .map(line => `  ${line}`)
+            .join('\n');
+    });
+
+    return [
+        `(kicad_symbol_lib (version ${SYMBOL_LIBRARY_VERSION}) (generator bom_consolidation_tool)`,
+        ...symbols,
+        ')',
+        '',
+    ].join('\n');
+}
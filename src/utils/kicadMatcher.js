@@ -0,0 +1,134 @@
+/**
+ * @file kicadMatcher.js
+ * @description Utility functions for linking parsed KiCad schematic symbols with BOM components.
+ * Matching runs in three passes, each one only considering what is still unmatched:
+ *   1. Designator (e.g. R1 <-> R1)
+ *   2. Manufacturer Part Number
+ *   3. Value + Footprint (footprint library prefix is ignored)
+ */
+
+import { extractMPN } from './lpnUtils.js';
+
+/**
+ * Match methods, in the order they are attempted
+ */
+export const MATCH_METHODS = {
+    DESIGNATOR: 'designator',
+    MPN: 'mpn',
+    VALUE_FOOTPRINT: 'value+footprint',
+};
+
+/**
+ * Normalizes a designator for comparison
+ * @param {string} designator - Raw designator (e.g. " r1 ")
+ * @returns {string} - Uppercase, trimmed designator or '' if missing
+ *
+ * @example
+ * normalizeDesignator(' r1 ') // Returns "R1"
+ */
+export function normalizeDesignator(designator) {
+    if (designator === null || designator === undefined) return '';
+    return String(designator).trim().toUpperCase();
+}
+
+/**
+ * Normalizes a footprint name for comparison. KiCad footprints carry a library
+ * prefix ("Resistor_SMD:R_0603_1608Metric") that BOM exports often drop.
+ * @param {string} footprint - Raw footprint name
+ * @returns {string} - Lowercase footprint name without library prefix
+ *
+ * @example
+ * normalizeFootprint('Resistor_SMD:R_0603_1608Metric') // Returns "r_0603_1608metric"
+ */
+export function normalizeFootprint(footprint) {
+    if (!footprint) return '';
+    const name = String(footprint).trim();
+    const separatorIndex = name.lastIndexOf(':');
+    return (separatorIndex >= 0 ? name.slice(separatorIndex + 1) : name).toLowerCase();
+}
+
+/**
+ * Builds the Value+Footprint key for a component
+ * @param {object} component - Component or symbol object
+ * @returns {string|null} - Combined key or null if either part is missing
+ */
+function getValueFootprintKey(component) {
+    const value = String(component.Value || '').trim().toLowerCase();
+    const footprint = normalizeFootprint(component.Footprint || component.Package);
+    if (!value || !footprint) return null;
+    return `${value}|${footprint}`;
+}
+
+/**
+ * Gets the designator of a component, falling back to common alternate field names
+ * @param {object} component - Component or symbol object
+ * @returns {string} - Normalized designator
+ */
+function getDesignator(component) {
+    return normalizeDesignator(component.Designator || component.Reference || component.RefDes);
+}
+
+/**
+ * Groups items into queues by key so that each item can only be consumed once
+ * @param {Array<object>} items - Items to index
+ * @param {Function} keyFn - Returns the key for an item, or a falsy value to skip it
+ * @returns {Map<string, Array<object>>}
+ */
+function buildIndex(items, keyFn) {
+    const index = new Map();
+    for (const item of items) {
+        const key = keyFn(item);
+        if (!key) continue;
+        if (!index.has(key)) index.set(key, []);
+        index.get(key).push(item);
+    }
+    return index;
+}
+
+/**
+ * Links KiCad schematic symbols with BOM components.
+ * Each symbol and each BOM component is used at most once.
+ * @param {Array<object>} schematicComponents - Components parsed from the schematic
+ * @param {Array<object>} bomComponents - BOM components of the same project
+ * @returns {{matched: Array<{bomComponent: object, symbol: object, matchedBy: string}>, unmatched: Array<object>, unmatchedSymbols: Array<object>}}
+ *
+ * @example
+ * const { matched, unmatched } = matchKiCadComponents(symbols, projectComponents);
+ */
+export function matchKiCadComponents(schematicComponents, bomComponents) {
+    const matched = [];
+    let remainingBOM = [...(bomComponents || [])];
+    let remainingSymbols = [...(schematicComponents || [])];
+
+    const passes = [
+        { method: MATCH_METHODS.DESIGNATOR, keyFn: getDesignator },
+        { method: MATCH_METHODS.MPN, keyFn: (c) => extractMPN(c)?.toUpperCase() },
+        { method: MATCH_METHODS.VALUE_FOOTPRINT, keyFn: getValueFootprintKey },
+    ];
+
+    for (const { method, keyFn } of passes) {
+        if (remainingBOM.length === 0 || remainingSymbols.length === 0) break;
+
+        const bomIndex = buildIndex(remainingBOM, keyFn);
+        const linkedBOM = new Set();
+        const stillUnmatchedSymbols = [];
+
+        for (const symbol of remainingSymbols) {
+            const key = keyFn(symbol);
+            const candidates = key ? bomIndex.get(key) : null;
+
+            if (candidates && candidates.length > 0) {
+                const bomComponent = candidates.shift();
+                linkedBOM.add(bomComponent);
+                matched.push({ bomComponent, symbol, matchedBy: method });
+            } else {
+                stillUnmatchedSymbols.push(symbol);
+            }
+        }
+
+        remainingBOM = remainingBOM.filter(c => !linkedBOM.has(c));
+        remainingSymbols = stillUnmatchedSymbols;
+    }
+
+    return { matched, unmatched: remainingBOM, unmatchedSymbols: remainingSymbols };
+}
@@ -0,0 +1,353 @@
+/**
+ * @file kicadSchematic.js
+ * @description S-expression tokenizer/parser and schematic model for KiCad 6/7/8 `.kicad_sch` files.
+ *
+ * Every node keeps its `start`/`end` offsets into the source text, so callers can
+ * cut out the exact original text of any block (e.g. a placed symbol) without
+ * re-serializing it.
+ */
+
+/**
+ * Splits S-expression text into tokens
+ * @param {string} text - Raw S-expression text
+ * @returns {Array<{type: 'open'|'close'|'atom', value?: string, quoted?: boolean, start: number, end: number}>}
+ *
+ * @example
+ * tokenizeSExpression('(property "Reference" "R1")')
+ * // Returns open, atom "property", atom "Reference" (quoted), atom "R1" (quoted), close
+ */
+export function tokenizeSExpression(text) {
+    if (typeof text !== 'string') {
+        throw new Error('S-expression input must be a string');
+    }
+
+    const tokens = [];
+    let i = 0;
+
+    while (i < text.length) {
+        const char = text[i];
+
+        if (char === '(' || char === ')') {
+            tokens.push({ type: char === '(' ? 'open' : 'close', start: i, end: i + 1 });
+            i++;
+        } else if (/\s/.test(char)) {
+            i++;
+        } else if (char === '"') {
+            // Quoted string: KiCad escapes quotes and backslashes with a backslash
+            const start = i;
+            let value = '';
+            i++;
+            let closed = false;
+            while (i < text.length) {
+                const c = text[i];
+                if (c === '\\' && i + 1 < text.length) {
+                    const next = text[i + 1];
+                    value += next === 'n' ? '\n' : next;
+                    i += 2;
+                } else if (c === '"') {
+                    closed = true;
+                    i++;
+                    break;
+                } else {
+                    value += c;
+                    i++;
+                }
+            }
+            if (!closed) {
+                throw new Error(`Unterminated string starting at offset ${start}`);
+            }
+            tokens.push({ type: 'atom', value, quoted: true, start, end: i });
+        } else {
+            // Bare atom: runs until whitespace, a parenthesis or a quote
+            const start = i;
+            while (i < text.length && !/[\s()"]/.test(text[i])) i++;
+            tokens.push({ type: 'atom', value: text.slice(start, i), quoted: false, start, end: i });
+        }
+    }
+
+    return tokens;
+}
+
+/**
+ * Parses S-expression text into a tree of list and atom nodes
+ * @param {string} text - Raw S-expression text
+ * @returns {Array<object>} - Top-level nodes. Lists are `{type: 'list', items, start, end}`,
+ * atoms are `{type: 'atom', value, quoted, start, end}`.
+ */
+export function parseSExpression(text) {
+    const tokens = tokenizeSExpression(text);
+    const root = [];
+    const stack = [];
+
+    for (const token of tokens) {
+        if (token.type === 'open') {
+            stack.push({ type: 'list', items: [], start: token.start, end: -1 });
+        } else if (token.type === 'close') {
+            const node = stack.pop();
+            if (!node) {
+                throw new Error(`Unexpected ")" at offset ${token.start}`);
+            }
+            node.end = token.end;
+            (stack.length ? stack[stack.length - 1].items : root).push(node);
+        } else {
+            (stack.length ? stack[stack.length - 1].items : root).push(token);
+        }
+    }
+
+    if (stack.length > 0) {
+        throw new Error(`Unbalanced parentheses: ${stack.length} list(s) not closed`);
+    }
+
+    return root;
+}
+
+/**
+ * Returns the head keyword of a list node (e.g. "symbol" for `(symbol ...)`)
+ * @param {object} node - Parsed node
+ * @returns {string|null}
+ */
+export function getNodeName(node) {
+    if (!node || node.type !== 'list') return null;
+    const head = node.items[0];
+    return head && head.type === 'atom' ? head.value : null;
+}
+
+/**
+ * Returns all direct child lists of a node with the given head keyword
+ * @param {object} node - Parsed list node
+ * @param {string} name - Head keyword to look for
+ * @returns {Array<object>}
+ */
+export function findChildren(node, name) {
+    if (!node || node.type !== 'list') return [];
+    return node.items.filter(item => getNodeName(item) === name);
+}
+
+/**
+ * Returns the first direct child list of a node with the given head keyword
+ * @param {object} node - Parsed list node
+ * @param {string} name - Head keyword to look for
+ * @returns {object|null}
+ */
+export function findChild(node, name) {
+    return findChildren(node, name)[0] || null;
+}
+
+/**
+ * Returns the value of the n-th atom argument of a list node (0 = first after the head)
+ * @param {object} node - Parsed list node
+ * @param {number} [index=0] - Argument index
+ * @returns {string|null}
+ */
+export function getAtomValue(node, index = 0) {
+    if (!node || node.type !== 'list') return null;
+    const item = node.items[index + 1];
+    return item && item.type === 'atom' ? item.value : null;
+}
+
+/**
+ * Reads the `(name value)` style child of a node, e.g. `(reference "R1")`
+ * @param {object} node - Parsed list node
+ * @param {string} name - Child keyword
+ * @returns {string|null}
+ */
+function getChildValue(node, name) {
+    return getAtomValue(findChild(node, name));
+}
+
+/**
+ * Reads a yes/no flag child such as `(in_bom yes)`. Missing flags use the default.
+ * @param {object} node - Parsed list node
+ * @param {string} name - Flag keyword
+ * @param {boolean} defaultValue - Value when the flag is absent
+ * @returns {boolean}
+ */
+function getFlag(node, name, defaultValue) {
+    const value = getChildValue(node, name);
+    if (value === null) return defaultValue;
+    return value === 'yes';
+}
+
+/**
+ * Collects the properties of a symbol. Supports the KiCad 6+ syntax
+ * `(property "Name" "Value" ...)` and the older `(field (name "Name") (value "Value"))`.
+ * @param {object} node - Parsed symbol node
+ * @returns {object} - Map of property name to value
+ */
+export function getProperties(node) {
+    const properties = {};
+
+    for (const property of findChildren(node, 'property')) {
+        const name = getAtomValue(property, 0);
+        if (name !== null) properties[name] = getAtomValue(property, 1) ?? '';
+    }
+
+    for (const field of findChildren(node, 'field')) {
+        const name = getChildValue(field, 'name');
+        if (name !== null) properties[name] = getChildValue(field, 'value') ?? '';
+    }
+
+    return properties;
+}
+
+/**
+ * Reads the per-project instance data of a placed symbol (KiCad 7/8)
+ * `(instances (project "name" (path "/uuid" (reference "R1") (unit 1))))`
+ * @param {object} symbolNode - Parsed symbol node
+ * @returns {Array<{project: string, path: string, reference: string, unit: number}>}
+ */
+function getSymbolInstances(symbolNode) {
+    const instances = [];
+    for (const instancesNode of findChildren(symbolNode, 'instances')) {
+        for (const projectNode of findChildren(instancesNode, 'project')) {
+            const project = getAtomValue(projectNode, 0) || '';
+            for (const pathNode of findChildren(projectNode, 'path')) {
+                instances.push({
+                    project,
+                    path: getAtomValue(pathNode, 0) || '',
+                    reference: getChildValue(pathNode, 'reference') || '',
+                    unit: parseInt(getChildValue(pathNode, 'unit') || '1', 10),
+                });
+            }
+        }
+    }
+    return instances;
+}
+
+/**
+ * Reads the title block of a schematic
+ * @param {object} rootNode - Parsed `kicad_sch` node
+ * @returns {{title: string, date: string, rev: string, company: string, comments: object}}
+ */
+function getTitleBlock(rootNode) {
+    const titleBlock = findChild(rootNode, 'title_block');
+    const comments = {};
+    for (const comment of findChildren(titleBlock, 'comment')) {
+        comments[getAtomValue(comment, 0)] = getAtomValue(comment, 1) || '';
+    }
+    return {
+        title: getChildValue(titleBlock, 'title') || '',
+        date: getChildValue(titleBlock, 'date') || '',
+        rev: getChildValue(titleBlock, 'rev') || '',
+        company: getChildValue(titleBlock, 'company') || '',
+        comments,
+    };
+}
+
+/**
+ * Parses the text of a `.kicad_sch` file into a schematic model.
+ * @param {string} text - Raw schematic file content
+ * @returns {{
+ *   version: string, generator: string, uuid: string,
+ *   titleBlock: object,
+ *   libSymbols: object,
+ *   symbols: Array<object>,
+ *   sheets: Array<object>,
+ *   symbolInstances: object
+ * }}
+ *
+ * `libSymbols` maps a lib_id to `{ libId, properties, raw }`.
+ * Each placed symbol is `{ libId, uuid, reference, unit, inBom, onBoard, dnp, properties, instances, raw, start, end }`.
+ * Each sheet reference is `{ uuid, name, fileName, properties, instances }`.
+ * `symbolInstances` holds the KiCad 6 root-level `(symbol_instances ...)` table keyed by path.
+ */
+export function parseKiCadSchematicText(text) {
+    const [rootNode] = parseSExpression(text);
+    if (getNodeName(rootNode) !== 'kicad_sch') {
+        throw new Error('Not a KiCad schematic: expected a (kicad_sch ...) root');
+    }
+
+    const libSymbols = {};
+    for (const libSymbol of findChildren(findChild(rootNode, 'lib_symbols'), 'symbol')) {
+        const libId = getAtomValue(libSymbol, 0);
+        libSymbols[libId] = {
+            libId,
+            properties: getProperties(libSymbol),
+            raw: text.slice(libSymbol.start, libSymbol.end),
+        };
+    }
+
+    const symbolInstances = {};
+    for (const pathNode of findChildren(findChild(rootNode, 'symbol_instances'), 'path')) {
+        const path = getAtomValue(pathNode, 0);
+        symbolInstances[path] = {
+            path,
+            reference: getChildValue(pathNode, 'reference') || '',
+            unit: parseInt(getChildValue(pathNode, 'unit') || '1', 10),
+            value: getChildValue(pathNode, 'value'),
+            footprint: getChildValue(pathNode, 'footprint'),
+        };
+    }
+
+    // Placed symbols are direct children of the root; lib_symbols entries are not
+    const symbols = findChildren(rootNode, 'symbol').map(symbolNode => {
+        const properties = getProperties(symbolNode);
+        return {
+            libId: getChildValue(symbolNode, 'lib_id') || '',
+            uuid: getChildValue(symbolNode, 'uuid') || '',
+            reference: properties.Reference || properties.RefDes || '',
+            unit: parseInt(getChildValue(symbolNode, 'unit') || '1', 10),
+            inBom: getFlag(symbolNode, 'in_bom', true),
+            onBoard: getFlag(symbolNode, 'on_board', true),
+            dnp: getFlag(symbolNode, 'dnp', false),
+            properties,
+            instances: getSymbolInstances(symbolNode),
+            raw: text.slice(symbolNode.start, symbolNode.end),
+            start: symbolNode.start,
+            end: symbolNode.end,
+        };
+    });
+
+    // Hierarchical sheet references: (sheet ... (property "Sheetfile" "power.kicad_sch") ...)
+    const sheets = findChildren(rootNode, 'sheet').map(sheetNode => {
+        const properties = getProperties(sheetNode);
+        const pages = [];
+        for (const instancesNode of findChildren(sheetNode, 'instances')) {
+            for (const projectNode of findChildren(instancesNode, 'project')) {
+                for (const pathNode of findChildren(projectNode, 'path')) {
+                    pages.push({
+                        project: getAtomValue(projectNode, 0) || '',
+                        path: getAtomValue(pathNode, 0) || '',
+                        page: getChildValue(pathNode, 'page') || '',
+                    });
+                }
+            }
+        }
+        return {
+            uuid: getChildValue(sheetNode, 'uuid') || '',
+            // KiCad 6 wrote "Sheet name"/"Sheet file", KiCad 7+ writes "Sheetname"/"Sheetfile"
+            name: properties.Sheetname ?? properties['Sheet name'] ?? '',
+            fileName: properties.Sheetfile ?? properties['Sheet file'] ?? '',
+            properties,
+            instances: pages,
+        };
+    });
+
+    return {
+        version: getChildValue(rootNode, 'version') || '',
+        generator: getChildValue(rootNode, 'generator') || '',
+        uuid: getChildValue(rootNode, 'uuid') || '',
+        titleBlock: getTitleBlock(rootNode),
+        libSymbols,
+        symbols,
+        sheets,
+        symbolInstances,
+    };
+}
+
+/**
+ * Resolves the designator of a placed symbol on the root sheet. A "R?" reference
+ * property is replaced by the instance data when the schematic carries it.
+ * @param {object} symbol - Placed symbol from parseKiCadSchematicText
+ * @param {object} [symbolInstances={}] - KiCad 6 symbol_instances table
+ * @returns {string}
+ */
+export function resolveSymbolReference(symbol, symbolInstances = {}) {
+    const fromInstances = symbol.instances.find(inst => inst.reference)?.reference
+        || symbolInstances[`/${symbol.uuid}`]?.reference;
+
+    if (!symbol.reference || symbol.reference.endsWith('?')) {
+        return fromInstances || symbol.reference;
+    }
+    return symbol.reference;
+}
@@ -0,0 +1,216 @@
+/**
+ * @file kicadSync.js
+ * @description Writes BOM/library field values back into KiCad schematic text.
+ *
+ * Edits are applied as text splices at the offsets recorded by the S-expression
+ * parser, so everything outside the touched property values (formatting, UUIDs,
+ * graphics, ordering) stays byte-for-byte identical.
+ */
+
+import {
+    parseSExpression,
+    getNodeName,
+    findChild,
+    findChildren,
+    getAtomValue
+} from './kicadSchematic.js';
+
+/**
+ * Fields always written back in addition to the configured sync params
+ */
+export const ALWAYS_SYNCED_FIELDS = ['Local_Part_Number'];
+
+/**
+ * Escapes a value for use inside a KiCad quoted string
+ * @param {string} value - Raw value
+ * @returns {string} - Escaped value without surrounding quotes
+ *
+ * @example
+ * escapeKiCadString('10k "1%"') // Returns '10k \\"1%\\"'
+ */
+export function escapeKiCadString(value) {
+    return String(value ?? '')
+        .replace(/\\/g, '\\\\')
+        .replace(/"/g, '\\"')
+        .replace(/\n/g, '\\n');
+}
+
+/**
+ * Returns the whitespace a line starts with, for the line containing `offset`
+ * @param {string} text - Source text
+ * @param {number} offset - Offset inside the line
+ * @returns {string}
+ */
+function getLineIndent(text, offset) {
+    const lineStart = text.lastIndexOf('\n', offset - 1) + 1;
+    return text.slice(lineStart, offset).match(/^[ \t]*/)[0];
+}
+
+/**
+ * Builds the text of a new hidden property placed at the symbol's anchor point
+ * @param {object} symbolNode - Parsed symbol node
+ * @param {string} name - Property name
+ * @param {string} value - Property value
+ * @returns {string}
+ */
+function buildPropertyText(symbolNode, name, value) {
+    const at = findChild(symbolNode, 'at');
+    const x = getAtomValue(at, 0) || '0';
+    const y = getAtomValue(at, 1) || '0';
+
+    // KiCad 6 files number their properties with (id N); newer versions dropped it
+    const properties = findChildren(symbolNode, 'property');
+    const ids = properties
+        .map(property => parseInt(getAtomValue(findChild(property, 'id')), 10))
+        .filter(id => !isNaN(id));
+    const idPart = ids.length > 0 ? ` (id ${Math.max(...ids) + 1})` : '';
+
+    return `(property "${escapeKiCadString(name)}" "${escapeKiCadString(value)}"${idPart} (at ${x} ${y} 0)`
+        + ' (effects (font (size 1.27 1.27)) hide))';
+}
+
+/**
+ * Computes the text edits that add or update properties on one symbol node.
+ * Empty values and values that are already set are skipped.
+ * @param {string} text - Source text the node was parsed from
+ * @param {object} symbolNode - Parsed symbol node (placed or library symbol)
+ * @param {object} values - Map of property name to new value
+ * @returns {{edits: Array<{start: number, end: number, text: string}>, changedProperties: number}}
+ */
+export function getPropertyEdits(text, symbolNode, values) {
+    const properties = findChildren(symbolNode, 'property');
+    const edits = [];
+    const insertions = [];
+    let changedProperties = 0;
+
+    for (const [name, value] of Object.entries(values || {})) {
+        if (value === null || value === undefined || String(value).trim() === '') continue;
+        const newValue = String(value);
+        const existing = properties.find(property => getAtomValue(property, 0) === name);
+
+        if (existing) {
+            const valueAtom = existing.items[2];
+            if (valueAtom?.type === 'atom') {
+                if (valueAtom.value === newValue) continue;
+                edits.push({ start: valueAtom.start, end: valueAtom.end, text: `"${escapeKiCadString(newValue)}"` });
+            } else {
+                // Property without a value atom: insert one after the name
+                const nameAtom = existing.items[1];
+                edits.push({ start: nameAtom.end, end: nameAtom.end, text: ` "${escapeKiCadString(newValue)}"` });
+            }
+        } else {
+            insertions.push(buildPropertyText(symbolNode, name, newValue));
+        }
+        changedProperties++;
+    }
+
+    if (insertions.length > 0) {
+        // New properties go after the last existing one, matching its indentation
+        const anchor = properties[properties.length - 1];
+        const insertAt = anchor ? anchor.end : symbolNode.end - 1;
+        const indent = anchor
+            ? getLineIndent(text, anchor.start)
+            : `${getLineIndent(text, symbolNode.start)}\t`;
+        edits.push({
+            start: insertAt,
+            end: insertAt,
+            text: insertions.map(property => `\n${indent}${property}`).join(''),
+        });
+    }
+
+    return { edits, changedProperties };
+}
+
+/**
+ * Applies non-overlapping text edits
+ * @param {string} text - Source text
+ * @param {Array<{start: number, end: number, text: string}>} edits - Edits with source offsets
+ * @returns {string}
+ */
+export function applyTextEdits(text, edits) {
+    // Apply from the end so earlier offsets stay valid
+    let result = text;
+    for (const edit of [...edits].sort((a, b) => b.start - a.start)) {
+        result = result.slice(0, edit.start) + edit.text + result.slice(edit.end);
+    }
+    return result;
+}
+
+/**
+ * Adds or updates properties on placed symbols of one schematic file.
+ * @param {string} text - Original schematic text
+ * @param {object} updates - Map of symbol start offset to `{ [propertyName]: value }`
+ * @returns {{text: string, changedSymbols: number, changedProperties: number}}
+ *
+ * @example
+ * setSymbolProperties(text, { [symbol.start]: { 'Mfr. Part #': 'RC0603FR-0710KL' } })
+ */
+export function setSymbolProperties(text, updates) {
+    const [rootNode] = parseSExpression(text);
+    const edits = [];
+    let changedSymbols = 0;
+    let changedProperties = 0;
+
+    for (const symbolNode of findChildren(rootNode, 'symbol')) {
+        const symbolUpdates = updates?.[symbolNode.start];
+        if (!symbolUpdates) continue;
+
+        const result = getPropertyEdits(text, symbolNode, symbolUpdates);
+        if (result.changedProperties === 0) continue;
+
+        edits.push(...result.edits);
+        changedSymbols++;
+        changedProperties += result.changedProperties;
+    }
+
+    return { text: applyTextEdits(text, edits), changedSymbols, changedProperties };
+}
+
+/**
+ * Builds per-file property updates from library components.
+ * Symbols on multi-instance sheets share one set of properties, so the first
+ * instance that has a library component decides the values.
+ * @param {Array<{reference: string, symbol: object, fileName: string}>} instances - From flattenSchematicHierarchy
+ * @param {Function} getComponent - Returns the library component for a designator, or null
+ * @param {Array<string>} fieldNames - Library fields to write into the schematic
+ * @returns {object} - Map of file name to setSymbolProperties updates
+ */
+export function buildSymbolPropertyUpdates(instances, getComponent, fieldNames) {
+    const updatesByFile = {};
+    const fields = [...new Set([...(fieldNames || []), ...ALWAYS_SYNCED_FIELDS])];
+
+    for (const { reference, symbol, fileName } of instances || []) {
+        if (!reference || reference.startsWith('#')) continue;
+
+        const fileUpdates = updatesByFile[fileName] || (updatesByFile[fileName] = {});
+        if (fileUpdates[symbol.start]) continue;
+
+        const component = getComponent(reference);
+        if (!component) continue;
+
+        const values = {};
+        for (const field of fields) {
+            const value = component[field];
+            if (value !== null && value !== undefined && String(value).trim() !== '') {
+                values[field] = String(value).trim();
+            }
+        }
+        if (Object.keys(values).length > 0) fileUpdates[symbol.start] = values;
+    }
+
+    return updatesByFile;
+}
+
+/**
+ * Checks that a text is still a KiCad schematic root after editing
+ * @param {string} text - Schematic text
+ * @returns {boolean}
+ */
+export function isValidSchematicText(text) {
+    try {
+        const nodes = parseSExpression(text);
+        return nodes.length === 1 && getNodeName(nodes[0]) === 'kicad_sch';
+    } catch {
+        return false;
+    }
+}
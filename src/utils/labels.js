@@ -0,0 +1,368 @@
+/**
+ * @file labels.js
+ * @description Drawer labels for parts with an LPN. Each label carries the LPN, MPN, value,
+ * footprint and a Code 128 or DataMatrix barcode of the LPN. Labels are laid out on
+ * Avery-style sheets or 62 mm direct-thermal rolls and written as PDF or ZPL, entirely
+ * client-side.
+ */
+
+import { extractMPN } from './lpnUtils.js';
+import { encodeCode128, encodeDataMatrix } from './barcodes.js';
+
+export const BARCODE_TYPES = {
+    CODE128: 'code128',
+    DATAMATRIX: 'datamatrix',
+};
+
+export const LABEL_FORMATS = {
+    PDF: 'pdf',
+    ZPL: 'zpl',
+};
+
+// Sizes in mm. Sheets give the page, the grid and the top-left margin; thermal labels print one per page.
+export const LABEL_TEMPLATES = {
+    'avery-l7160': {
+        name: 'Avery L7160 (A4, 21 per sheet, 63.5 × 38.1 mm)',
+        type: 'sheet',
+        page: { width: 210, height: 297 },
+        label: { width: 63.5, height: 38.1 },
+        columns: 3,
+        rows: 7,
+        margin: { top: 15.15, left: 7.25 },
+        pitch: { x: 66.04, y: 38.1 },
+    },
+    'avery-l7651': {
+        name: 'Avery L7651 (A4, 65 per sheet, 38.1 × 21.2 mm)',
+        type: 'sheet',
+        page: { width: 210, height: 297 },
+        label: { width: 38.1, height: 21.2 },
+        columns: 5,
+        rows: 13,
+        margin: { top: 10.7, left: 4.75 },
+        pitch: { x: 40.6, y: 21.2 },
+    },
+    'avery-5160': {
+        name: 'Avery 5160 (Letter, 30 per sheet, 2.625 × 1 in)',
+        type: 'sheet',
+        page: { width: 215.9, height: 279.4 },
+        label: { width: 66.675, height: 25.4 },
+        columns: 3,
+        rows: 10,
+        margin: { top: 12.7, left: 4.7625 },
+        pitch: { x: 69.85, y: 25.4 },
+    },
+    'thermal-62x29': {
+        name: 'Direct thermal 62 × 29 mm',
+        type: 'thermal',
+        label: { width: 62, height: 29 },
+        dpi: 203,
+    },
+    'thermal-62x100': {
+        name: 'Direct thermal 62 × 100 mm',
+        type: 'thermal',
+        label: { width: 62, height: 100 },
+        dpi: 203,
+    },
+};
+
+const VALUE_FIELDS = ['Value', 'Val', 'Comment'];
+const FOOTPRINT_FIELDS = ['Footprint', 'Package', 'Case', 'Case/Package'];
+
+const getField = (component, fields) => {
+    for (const field of fields) {
+        const value = component?.[field];
+        if (value !== undefined && value !== null && String(value).trim()) return String(value).trim();
+    }
+    return '';
+};
+
+/**
+ * Collects the label contents of components or parts. Rows without an LPN get no label,
+ * and an LPN used by several rows (e.g. placements of one part) is labelled once.
+ * @param {Array<object>} rows - Components or library parts
+ * @returns {{labels: Array<{lpn: string, mpn: string, value: string, footprint: string}>, skipped: number}}
+ * `skipped` counts the rows without an LPN
+ *
+ * @example
+ * getLabelData([{ Local_Part_Number: 'KL-00123-A3F142', MPN: 'RC0603FR-07100KL', Value: '100k', Footprint: '0603' }, { Value: '1k' }])
+ * // Returns { labels: [{ lpn: 'KL-00123-A3F142', mpn: 'RC0603FR-07100KL', value: '100k', footprint: '0603' }], skipped: 1 }
+ */
+export function getLabelData(rows) {
+    const labels = [];
+    const seen = new Set();
+    let skipped = 0;
+
+    for (const row of rows || []) {
+        const lpn = String(row?.Local_Part_Number || '').trim();
+        if (!lpn) {
+            skipped++;
+            continue;
+        }
+        if (seen.has(lpn)) continue;
+        seen.add(lpn);
+        labels.push({
+            lpn,
+            mpn: extractMPN(row) || '',
+            value: getField(row, VALUE_FIELDS),
+            footprint: getField(row, FOOTPRINT_FIELDS),
+        });
+    }
+
+    return { labels, skipped };
+}
+
+const getTemplate = (templateId) => {
+    const template = LABEL_TEMPLATES[templateId];
+    if (!template) throw new Error(`Unknown label template: ${templateId}`);
+    return template;
+};
+
+// Text is set in Courier, so a line's width is known without font metrics
+const CHAR_WIDTH = 0.6;
+
+const fitText = (text, width, size) => {
+    const maxChars = Math.max(1, Math.floor(width / (size * CHAR_WIDTH)));
+    return text.length > maxChars ? text.slice(0, maxChars - 1) + '…' : text;
+};
+
+/**
+ * Lays out one label: the barcode box and the text lines, in mm from the label's top-left corner.
+ * Code 128 runs along the bottom; a DataMatrix sits on the left with the text beside it.
+ * The LPN is shrunk to fit, the other lines are truncated.
+ * @param {{lpn: string, mpn: string, value: string, footprint: string}} label - Label contents
+ * @param {{width: number, height: number}} size - Label size in mm
+ * @param {string} barcode - One of BARCODE_TYPES
+ * @returns {{barcode: {x: number, y: number, width: number, height: number}, lines: Array<{text: string, x: number, y: number, size: number, bold: boolean}>}}
+ * Line `y` is the baseline and `size` the font size, both in mm
+ */
+export function layoutLabel(label, size, barcode) {
+    const padding = Math.min(2, size.height * 0.08);
+    const innerWidth = size.width - 2 * padding;
+    const innerHeight = size.height - 2 * padding;
+
+    let box;
+    let text;
+    if (barcode === BARCODE_TYPES.DATAMATRIX) {
+        const side = Math.min(innerHeight, innerWidth * 0.4);
+        box = { x: padding, y: padding, width: side, height: side };
+        text = { x: padding + side + padding, y: padding, width: innerWidth - side - padding, height: innerHeight };
+    } else if (barcode === BARCODE_TYPES.CODE128) {
+        const barHeight = Math.min(innerHeight * 0.4, 15);
+        box = { x: padding, y: size.height - padding - barHeight, width: innerWidth, height: barHeight };
+        text = { x: padding, y: padding, width: innerWidth, height: innerHeight - barHeight - padding / 2 };
+    } else {
+        throw new Error(`Unknown barcode type: ${barcode}`);
+    }
+
+    const details = [label.value, label.footprint].filter(Boolean).join(' · ');
+    const contents = [label.mpn, details].filter(Boolean);
+    // Sized so a typical 16-character MPN fits on one line
+    const fontSize = Math.min((text.height / (contents.length + 1)) * 0.8, 4.8, text.width / (16 * CHAR_WIDTH));
+    const lineHeight = fontSize / 0.8;
+
+    const lpnSize = Math.min(fontSize * 1.15, text.width / (label.lpn.length * CHAR_WIDTH));
+    const lines = [{ text: label.lpn, x: text.x, y: text.y + lineHeight * 0.85, size: lpnSize, bold: true }];
+    contents.forEach((content, index) => {
+        lines.push({
+            text: fitText(content, text.width, fontSize),
+            x: text.x,
+            y: text.y + lineHeight * (index + 1.85),
+            size: fontSize,
+            bold: false,
+        });
+    });
+
+    return { barcode: box, lines };
+}
+
+const PT_PER_MM = 72 / 25.4;
+const pt = (mm) => Number((mm * PT_PER_MM).toFixed(2));
+
+// PDF string literal in WinAnsiEncoding; characters outside it print as "?"
+const pdfString = (text) => {
+    let result = '(';
+    for (const char of text) {
+        const code = char === '…' ? 0x85 : char.charCodeAt(0);
+        if (char === '(' || char === ')' || char === '\\') result += '\\' + char;
+        else if (code >= 32 && code < 127) result += char;
+        else if (code === 0x85 || (code >= 160 && code < 256)) result += '\\' + code.toString(8).padStart(3, '0');
+        else result += '?';
+    }
+    return result + ')';
+};
+
+// Drawing operators for the barcode of one label; `top` and `left` are the label's page position in mm
+const drawBarcode = (value, barcode, box, pageHeight, left, top) => {
+    const ops = [];
+    const rect = (x, y, width, height) => {
+        ops.push(`${pt(left + x)} ${pt(pageHeight - top - y - height)} ${pt(width)} ${pt(height)} re`);
+    };
+
+    if (barcode === BARCODE_TYPES.DATAMATRIX) {
+        const { size, modules } = encodeDataMatrix(value);
+        // One module of quiet zone on each side
+        const moduleSize = box.width / (size + 2);
+        modules.forEach((row, y) => {
+            let start = -1;
+            row.concat(false).forEach((dark, x) => {
+                if (dark && start < 0) start = x;
+                if (!dark && start >= 0) {
+                    rect(box.x + (start + 1) * moduleSize, box.y + (y + 1) * moduleSize, (x - start) * moduleSize, moduleSize);
+                    start = -1;
+                }
+            });
+        });
+    } else {
+        const { modules } = encodeCode128(value);
+        // Ten modules of quiet zone on each side
+        const moduleWidth = box.width / (modules.length + 20);
+        for (const match of modules.matchAll(/1+/g)) {
+            rect(box.x + (match.index + 10) * moduleWidth, box.y, match[0].length * moduleWidth, box.height);
+        }
+    }
+
+    return ops.length ? [...ops, 'f'] : [];
+};
+
+// Content stream of one page of labels, placed at [left, top] in mm
+const drawLabels = (placed, size, barcode, pageHeight) => {
+    const ops = [];
+    for (const { label, left, top } of placed) {
+        const layout = layoutLabel(label, size, barcode);
+        ops.push(...drawBarcode(label.lpn, barcode, layout.barcode, pageHeight, left, top));
+        for (const line of layout.lines) {
+            ops.push(`BT /${line.bold ? 'F2' : 'F1'} ${pt(line.size)} Tf ${pt(left + line.x)} ${pt(pageHeight - top - line.y)} Td ${pdfString(line.text)} Tj ET`);
+        }
+    }
+    return ops.join('\n');
+};
+
+// Assembles a PDF from page sizes and content streams, with Courier and Courier-Bold as F1 and F2
+const buildPDF = (pages) => {
+    const objects = [
+        '<< /Type /Catalog /Pages 2 0 R >>',
+        `<< /Type /Pages /Kids [${pages.map((_, index) => `${5 + index * 2} 0 R`).join(' ')}] /Count ${pages.length} >>`,
+        '<< /Type /Font /Subtype /Type1 /BaseFont /Courier /Encoding /WinAnsiEncoding >>',
+        '<< /Type /Font /Subtype /Type1 /BaseFont /Courier-Bold /Encoding /WinAnsiEncoding >>',
+    ];
+    pages.forEach(({ width, height, content }, index) => {
+        objects.push(
+            `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${pt(width)} ${pt(height)}] ` +
+            `/Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${6 + index * 2} 0 R >>`
+        );
+        objects.push(`<< /Length ${content.length} >>\nstream\n${content}\nendstream`);
+    });
+
+    // Everything is ASCII, so string lengths are byte offsets
+    let pdf = '%PDF-1.4\n';
+    const offsets = objects.map((object, index) => {
+        const offset = pdf.length;
+        pdf += `${index + 1} 0 obj\n${object}\nendobj\n`;
+        return offset;
+    });
+    const xref = pdf.length;
+    pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+    pdf += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+    pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+    return pdf;
+};
+
+/**
+ * Generates a PDF of labels. Sheet templates fill the grid left to right, top to bottom;
+ * thermal templates print one label per page at the label size.
+ * @param {Array<object>} labels - Label contents from getLabelData
+ * @param {object} options
+ * @param {string} options.template - Key of LABEL_TEMPLATES
+ * @param {string} [options.barcode='code128'] - One of BARCODE_TYPES
+ * @param {number} [options.copies=1] - Copies of each label
+ * @param {number} [options.skip=0] - Positions to leave empty on the first sheet (partly used sheets)
+ * @returns {string} - The PDF document
+ *
+ * @example
+ * generateLabelPDF(labels, { template: 'avery-l7160', barcode: 'datamatrix' }) // Returns "%PDF-1.4\n..."
+ */
+export function generateLabelPDF(labels, { template: templateId, barcode = BARCODE_TYPES.CODE128, copies = 1, skip = 0 } = {}) {
+    const template = getTemplate(templateId);
+    if (!labels?.length) throw new Error('No labels to print');
+
+    const copiesEach = Math.max(1, Math.floor(copies) || 1);
+    const queue = labels.flatMap(label => new Array(copiesEach).fill(label));
+    const { label: size } = template;
+
+    if (template.type === 'thermal') {
+        return buildPDF(queue.map(label => ({
+            ...size,
+            content: drawLabels([{ label, left: 0, top: 0 }], size, barcode, size.height),
+        })));
+    }
+
+    const perSheet = template.columns * template.rows;
+    const firstPosition = Math.min(Math.max(0, Math.floor(skip) || 0), perSheet - 1);
+    const sheets = [];
+    queue.forEach((label, index) => {
+        const position = firstPosition + index;
+        const sheet = Math.floor(position / perSheet);
+        const slot = position % perSheet;
+        if (!sheets[sheet]) sheets[sheet] = [];
+        sheets[sheet].push({
+            label,
+            left: template.margin.left + (slot % template.columns) * template.pitch.x,
+            top: template.margin.top + Math.floor(slot / template.columns) * template.pitch.y,
+        });
+    });
+
+    return buildPDF(sheets.map(placed => ({
+        ...template.page,
+        content: drawLabels(placed, size, barcode, template.page.height),
+    })));
+}
+
+// Field data with ^FH hex escapes for the characters ZPL treats as commands
+const zplField = (text) => '^FH_^FD' + text.replace(/[_^~]/g, char => '_' + char.charCodeAt(0).toString(16).toUpperCase()) + '^FS';
+
+/**
+ * Generates ZPL for a direct-thermal printer, one label format per LPN. Barcodes use the
+ * printer's own Code 128 (^BC) and DataMatrix (^BX) commands.
+ * @param {Array<object>} labels - Label contents from getLabelData
+ * @param {object} options
+ * @param {string} options.template - Key of a thermal template in LABEL_TEMPLATES
+ * @param {string} [options.barcode='code128'] - One of BARCODE_TYPES
+ * @param {number} [options.copies=1] - Copies of each label (^PQ)
+ * @returns {string} - ZPL to send to the printer
+ *
+ * @example
+ * generateLabelZPL(labels, { template: 'thermal-62x29' }) // Returns "^XA\n^CI28\n^PW496\n..."
+ */
+export function generateLabelZPL(labels, { template: templateId, barcode = BARCODE_TYPES.CODE128, copies = 1 } = {}) {
+    const template = getTemplate(templateId);
+    if (template.type !== 'thermal') throw new Error('ZPL output needs a thermal label template');
+    if (!labels?.length) throw new Error('No labels to print');
+
+    const dotsPerMm = template.dpi / 25.4;
+    const dots = (mm) => Math.round(mm * dotsPerMm);
+    const copiesEach = Math.max(1, Math.floor(copies) || 1);
+
+    return labels.map(label => {
+        const layout = layoutLabel(label, template.label, barcode);
+        const box = layout.barcode;
+        const commands = ['^XA', '^CI28', `^PW${dots(template.label.width)}`, `^LL${dots(template.label.height)}`];
+
+        if (barcode === BARCODE_TYPES.DATAMATRIX) {
+            const { size } = encodeDataMatrix(label.lpn);
+            const moduleDots = Math.max(1, Math.floor(dots(box.width) / (size + 2)));
+            commands.push(`^FO${dots(box.x) + moduleDots},${dots(box.y) + moduleDots}^BXN,${moduleDots},200,${size},${size}${zplField(label.lpn)}`);
+        } else {
+            const { modules } = encodeCode128(label.lpn);
+            const moduleDots = Math.max(1, Math.floor(dots(box.width) / (modules.length + 20)));
+            commands.push(`^FO${dots(box.x) + moduleDots * 10},${dots(box.y)}^BY${moduleDots}^BCN,${dots(box.height)},N,N,N,A${zplField(label.lpn)}`);
+        }
+
+        for (const line of layout.lines) {
+            const height = dots(line.size);
+            commands.push(`^FO${dots(line.x)},${dots(line.y - line.size * 0.8)}^A0N,${height},${Math.round(height * CHAR_WIDTH)}${zplField(line.text)}`);
+        }
+
+        commands.push(`^PQ${copiesEach}`, '^XZ');
+        return commands.join('\n');
+    }).join('\n') + '\n';
+}
@@ -0,0 +1,88 @@
+/**
+ * @file lpnRequests.js
+ * @description LPN issuance workflow. Engineers request an LPN for a library part; a
+ * librarian reviews the part data and approves the request, which issues the LPN, or
+ * rejects it with a reason. Requests are kept as the record of every issued LPN.
+ */
+
+import { normalizeMPN } from './mpnMatcher.js';
+import { toDocId } from './partModel.js';
+
+export const LPN_REQUEST_STATUS = {
+    PENDING: 'pending',
+    APPROVED: 'approved',
+    REJECTED: 'rejected',
+};
+
+// Part attributes a librarian reviews before approving a request
+export const REVIEW_FIELDS = ['Mfr. Part #', 'Manufacturer', 'Description', 'Value', 'Footprint'];
+
+/**
+ * Builds the request for the LPN of a library part
+ * @param {object} component - Component or part the LPN is requested for
+ * @param {object} identity - `{partId, mpn, genericPartNumber}` of the part
+ * @returns {object} - Request data; status, requester and timestamps are added when it is stored.
+ * The designator selects the LPN scheme category when the request is approved.
+ *
+ * @example
+ * buildLPNRequest({ id: 'c1', 'Mfr. Part #': 'STM32F407VGT6', Designator: 'U1' }, { partId: 'mpn_STM32F407VGT6', mpn: 'STM32F407VGT6' })
+ * // Returns { partId: 'mpn_STM32F407VGT6', componentId: 'c1', designator: 'U1', mpn: 'STM32F407VGT6', genericPartNumber: null, part: { 'Mfr. Part #': 'STM32F407VGT6' } }
+ */
+export function buildLPNRequest(component, { partId, mpn = null, genericPartNumber = null }) {
+    const part = {};
+    REVIEW_FIELDS.forEach(field => {
+        const value = String(component?.[field] ?? '').trim();
+        if (value) part[field] = value;
+    });
+
+    return {
+        partId,
+        componentId: component?.id || null,
+        designator: component?.Designator || component?.designators?.[0] || null,
+        mpn,
+        genericPartNumber,
+        part
+    };
+}
+
+/**
+ * Key of the identity an LPN belongs to: the normalized MPN, or the generic part number of
+ * a passive without MPN. Identities with the same key share one LPN; the key is the id of
+ * their entry in the global `lpn_registry`.
+ * @param {object} identity - `{mpn, genericPartNumber}` of a request or part
+ * @returns {string}
+ *
+ * @example
+ * getLPNIdentityKey({ mpn: 'stm32f407vgt6' })               // Returns 'mpn_STM32F407VGT6'
+ * getLPNIdentityKey({ genericPartNumber: 'RES-4.7k-0603' }) // Returns 'gen_RES-4%2E7k-0603'
+ */
+export function getLPNIdentityKey({ mpn = null, genericPartNumber = null }) {
+    return mpn ? `mpn_${toDocId(normalizeMPN(mpn))}` : `gen_${toDocId(genericPartNumber)}`;
+}
+
+/**
+ * Latest request of every part, to show the state of its LPN request next to the part
+ * @param {Array<object>} requests - Stored requests
+ * @returns {Map<string, object>} - Part id to its most recent request
+ */
+export function getLatestRequestsByPart(requests) {
+    const latest = new Map();
+    (requests || []).forEach(request => {
+        const current = latest.get(request.partId);
+        if (!current || String(request.requestedAt) > String(current.requestedAt)) {
+            latest.set(request.partId, request);
+        }
+    });
+    return latest;
+}
+
+/**
+ * Requests waiting for review, oldest first
+ * @param {Array<object>} requests - Stored requests
+ * @returns {Array<object>}
+ */
+export function getPendingRequests(requests) {
+    return (requests || [])
+        .filter(request => request.status === LPN_REQUEST_STATUS.PENDING)
+        .sort((a, b) => String(a.requestedAt).localeCompare(String(b.requestedAt)));
+}
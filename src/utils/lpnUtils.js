@@ -3,6 +3,12 @@
  * @description Utility functions for Local Part Number (LPN) generation
  * Format: KL-{Sequence}-{Hash}
  * Example: KL-00123-A3F142
+ *
+ * The format is configurable through an LPN scheme: a prefix per component category
+ * (e.g. KL-RES-, KL-IC-) with its own sequence counter, the sequence width, whether the
+ * MPN hash is included and an optional check digit, e.g. KL-RES-000123-A3F142-7.
+ * Legacy KL-{5 digits}-{6 hex} numbers are valid under every scheme, and a scheme keeps
+ * the formats it issued in before it was changed so those numbers stay valid too.
  * 
  * The hash is based ONLY on the Manufacturer Part Number (MPN) which is the 
  * immutable identifier. Once an LPN is assigned, the MPN field becomes locked
@@ -10,25 +16,40 @@
  */
 
 /**
- * Formats a number as a 5-digit sequence string
- * @param {number} sequenceNumber - Sequential number (1 to 99999)
- * @returns {string} - Zero-padded 5-digit string
+ * Formats a number as a zero-padded sequence string
+ * @param {number} sequenceNumber - Sequential number (1 to the largest number of `width` digits)
+ * @param {number} width - Number of digits, 5 by default
+ * @returns {string} - Zero-padded sequence string
  * 
  * @example
- * formatSequence(1)     // Returns "00001"
- * formatSequence(123)   // Returns "00123"
- * formatSequence(99999) // Returns "99999"
+ * formatSequence(1)      // Returns "00001"
+ * formatSequence(123)    // Returns "00123"
+ * formatSequence(99999)  // Returns "99999"
+ * formatSequence(123, 6) // Returns "000123"
  */
-export function formatSequence(sequenceNumber) {
+export function formatSequence(sequenceNumber, width = 5) {
     // Ensure it's a valid number
     const num = parseInt(sequenceNumber, 10);
+    const max = getMaxSequence(width);
     
-    if (isNaN(num) || num < 1 || num > 99999) {
-        throw new Error('Sequence number must be between 1 and 99999');
+    if (isNaN(num) || num < 1 || num > max) {
+        throw new Error(`Sequence number must be between 1 and ${max}`);
     }
 
-    // Pad with zeros to 5 digits
-    return num.toString().padStart(5, '0');
+    // Pad with zeros to the sequence width
+    return num.toString().padStart(width, '0');
+}
+
+/**
+ * Largest sequence number of a sequence width
+ * @param {number} width - Number of digits
+ * @returns {number}
+ *
+ * @example
+ * getMaxSequence(5) // Returns 99999
+ */
+export function getMaxSequence(width = 5) {
+    return 10 ** width - 1;
 }
 
 /**
@@ -65,6 +86,16 @@ export function generateMPNHash(mpn) {
     return hexHash.padStart(6, '0').slice(-6);
 }
 
+// Common field names for Manufacturer Part Number, in order of preference
+export const MPN_FIELDS = [
+    'Mfr. Part #',
+    'MPN',
+    'Manufacturer Part Number',
+    'Part Number',
+    'PartNumber',
+    'Part#'
+];
+
 /**
  * Extracts the Manufacturer Part Number from a component object
  * Tries multiple common field names for MPN
@@ -81,17 +112,7 @@ export function extractMPN(component) {
         return null;
     }
 
-    // Common field names for Manufacturer Part Number
-    const mpnFields = [
-        'Mfr. Part #',
-        'MPN',
-        'Manufacturer Part Number',
-        'Part Number',
-        'PartNumber',
-        'Part#'
-    ];
-
-    for (const field of mpnFields) {
+    for (const field of MPN_FIELDS) {
         if (component[field] && component[field].trim()) {
             return component[field].trim();
         }
@@ -102,17 +123,251 @@ export function extractMPN(component) {
 
 /**
  * Assembles the complete LPN string
- * @param {number} sequence - Sequential number (1-99999)
+ * @param {number} sequence - Sequential number (1-99999 with the default width)
  * @param {string} hash - 6-character hash based on MPN
- * @returns {string} - Complete LPN in format KL-{Sequence}-{Hash}
+ * @param {object} format - `{prefix, sequenceWidth, includeHash, checkDigit}`, see resolveLPNFormat;
+ * defaults to the legacy format
+ * @returns {string} - Complete LPN in format {Prefix}{Sequence}[-{Hash}][-{Check digit}]
  * 
  * @example
  * assembleLPN(123, "A3F142") // Returns "KL-00123-A3F142"
  * assembleLPN(1, "B7E293")   // Returns "KL-00001-B7E293"
+ * assembleLPN(123, "A3F142", { prefix: "KL-RES-", sequenceWidth: 6, checkDigit: true }) // Returns "KL-RES-000123-A3F142-D"
+ */
+export function assembleLPN(sequence, hash, format = {}) {
+    const { prefix, sequenceWidth, includeHash, checkDigit } = { ...LEGACY_LPN_FORMAT, ...format };
+    let lpn = `${prefix}${formatSequence(sequence, sequenceWidth)}`;
+    if (includeHash) lpn += `-${hash}`;
+    if (checkDigit) lpn += `-${computeCheckDigit(lpn)}`;
+    return lpn;
+}
+
+const CHECK_CHARACTERS = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+
+/**
+ * Computes the check digit of an LPN (Luhn mod 36 over its letters and digits), which
+ * catches a single mistyped character and most swapped neighbours
+ * @param {string} text - LPN without check digit
+ * @returns {string} - One character, 0-9 or A-Z
+ *
+ * @example
+ * computeCheckDigit("KL-00001-ABCDEF") // Returns the same character for the same LPN
+ */
+export function computeCheckDigit(text) {
+    const codes = [...String(text || '').toUpperCase()]
+        .map(char => CHECK_CHARACTERS.indexOf(char))
+        .filter(code => code !== -1);
+    const base = CHECK_CHARACTERS.length;
+
+    let sum = 0;
+    let factor = 2;
+    for (let i = codes.length - 1; i >= 0; i--) {
+        const addend = factor * codes[i];
+        sum += Math.floor(addend / base) + (addend % base);
+        factor = factor === 2 ? 1 : 2;
+    }
+    return CHECK_CHARACTERS[(base - (sum % base)) % base];
+}
+
+// Format of the numbers issued before LPN schemes were configurable
+const LEGACY_LPN_FORMAT = { prefix: 'KL-', sequenceWidth: 5, includeHash: true, checkDigit: false };
+
+/**
+ * Default LPN scheme: a single KL- sequence for every part. Categories give parts whose
+ * designator prefix is listed their own prefix and counter, e.g.
+ * `{ name: 'Resistors', prefix: 'KL-RES-', designators: ['R', 'RN'] }`.
+ * `previousFormats` lists the formats the scheme no longer issues in (see changeLPNScheme).
+ */
+export const DEFAULT_LPN_SCHEME = {
+    ...LEGACY_LPN_FORMAT,
+    categories: [],
+    previousFormats: []
+};
+
+/**
+ * Id of the counter document (in `system`) of an LPN prefix. The default KL- prefix keeps
+ * the original global counter.
+ * @param {string} prefix - LPN prefix
+ * @returns {string}
+ *
+ * @example
+ * getLPNCounterId("KL-")     // Returns "lpn_counter"
+ * getLPNCounterId("KL-RES-") // Returns "lpn_counter_KL_RES"
+ */
+export function getLPNCounterId(prefix) {
+    const key = String(prefix || '').toUpperCase().replace(/[^A-Z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+    return !key || key === 'KL' ? 'lpn_counter' : `lpn_counter_${key}`;
+}
+
+/**
+ * Finds the scheme category of a component from the letter prefix of its designator
+ * (or the first designator of a library part)
+ * @param {object} component - Component, library part or LPN request
+ * @param {object} scheme - LPN scheme
+ * @returns {object|null} - The category, or null for the default prefix
+ *
+ * @example
+ * getLPNCategory({ Designator: "R12" }, { categories: [{ name: "Resistors", prefix: "KL-RES-", designators: ["R"] }] })
+ * // Returns { name: "Resistors", prefix: "KL-RES-", designators: ["R"] }
+ */
+export function getLPNCategory(component, scheme = DEFAULT_LPN_SCHEME) {
+    const designator = component?.Designator || component?.designator || component?.designators?.[0] || '';
+    const letters = String(designator).trim().match(/^[A-Za-z]+/)?.[0].toUpperCase();
+    if (!letters) return null;
+
+    return (scheme?.categories || []).find(category =>
+        (category.designators || []).some(prefix => String(prefix).trim().toUpperCase() === letters)
+    ) || null;
+}
+
+/**
+ * Resolves the format an LPN is issued in
+ * @param {object} scheme - LPN scheme
+ * @param {object|null} category - Category of the part, see getLPNCategory
+ * @returns {{prefix: string, sequenceWidth: number, includeHash: boolean, checkDigit: boolean, counterId: string, category: string|null}}
+ *
+ * @example
+ * resolveLPNFormat(DEFAULT_LPN_SCHEME, null)
+ * // Returns { prefix: "KL-", sequenceWidth: 5, includeHash: true, checkDigit: false, counterId: "lpn_counter", category: null }
+ */
+export function resolveLPNFormat(scheme = DEFAULT_LPN_SCHEME, category = null) {
+    const settings = { ...DEFAULT_LPN_SCHEME, ...scheme };
+    const prefix = category?.prefix || settings.prefix;
+    return {
+        prefix,
+        sequenceWidth: settings.sequenceWidth,
+        includeHash: settings.includeHash,
+        checkDigit: settings.checkDigit,
+        counterId: getLPNCounterId(prefix),
+        category: category?.name || null
+    };
+}
+
+/**
+ * Lists the formats a scheme issues LPNs in: one per category, then the default prefix
+ * @param {object} scheme - LPN scheme
+ * @returns {Array<object>} - Formats as returned by resolveLPNFormat
+ *
+ * @example
+ * getSchemeFormats(DEFAULT_LPN_SCHEME).map(format => format.prefix) // Returns ["KL-"]
+ */
+export function getSchemeFormats(scheme = DEFAULT_LPN_SCHEME) {
+    return [
+        ...(scheme?.categories || []).map(category => resolveLPNFormat(scheme, category)),
+        resolveLPNFormat(scheme)
+    ];
+}
+
+const formatKey = ({ prefix, sequenceWidth, includeHash, checkDigit }) =>
+    [prefix, sequenceWidth, includeHash, checkDigit].join('|');
+
+/**
+ * Applies a change to an LPN scheme. The formats the changed scheme no longer issues in
+ * are kept in its `previousFormats`, so LPNs issued before the change still parse.
+ * @param {object} scheme - Current LPN scheme
+ * @param {object} changes - New scheme settings (prefix, sequenceWidth, includeHash, checkDigit, categories)
+ * @returns {object} - The changed scheme
+ *
+ * @example
+ * changeLPNScheme(DEFAULT_LPN_SCHEME, { sequenceWidth: 6 }).previousFormats
+ * // Returns [{ prefix: "KL-", sequenceWidth: 5, includeHash: true, checkDigit: false, category: null }]
+ */
+export function changeLPNScheme(scheme, changes) {
+    const current = { ...DEFAULT_LPN_SCHEME, ...scheme };
+    const changed = { ...current, ...changes };
+    const issued = new Set(getSchemeFormats(changed).map(formatKey));
+
+    const previousFormats = new Map();
+    [...(current.previousFormats || []), ...getSchemeFormats(current)].forEach(format => {
+        const key = formatKey(format);
+        if (issued.has(key) || previousFormats.has(key)) return;
+        const { prefix, sequenceWidth, includeHash, checkDigit, category = null } = format;
+        previousFormats.set(key, { prefix, sequenceWidth, includeHash, checkDigit, category });
+    });
+    return { ...changed, previousFormats: [...previousFormats.values()] };
+}
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Parses an LPN of any format of the scheme (current or previous), or of the legacy format
+ * @param {string} lpn - LPN to parse
+ * @param {object} scheme - LPN scheme
+ * @returns {object} - `{lpn, valid: true, prefix, category, sequence, hash, checkDigit}`,
+ * or `{lpn, valid: false}`
+ *
+ * @example
+ * parseLPN("KL-00123-A3F142")
+ * // Returns { lpn: "KL-00123-A3F142", valid: true, prefix: "KL-", category: null, sequence: "00123", hash: "A3F142", checkDigit: null }
+ */
+export function parseLPN(lpn, scheme = DEFAULT_LPN_SCHEME) {
+    const text = String(lpn || '').trim();
+    const formats = [
+        ...getSchemeFormats(scheme),
+        ...(scheme?.previousFormats || []),
+        { ...LEGACY_LPN_FORMAT, category: null }
+    ].sort((a, b) => b.prefix.length - a.prefix.length);
+
+    for (const format of formats) {
+        const pattern = new RegExp(
+            `^${escapeRegExp(format.prefix)}(?<sequence>\\d{${format.sequenceWidth}})` +
+            (format.includeHash ? '-(?<hash>[0-9A-F]{6})' : '') +
+            (format.checkDigit ? '-(?<check>[0-9A-Z])' : '') + '$'
+        );
+        const match = pattern.exec(text);
+        if (!match) continue;
+
+        const { sequence, hash = null, check = null } = match.groups;
+        if (check && computeCheckDigit(text.slice(0, -2)) !== check) continue;
+
+        return { lpn: text, valid: true, prefix: format.prefix, category: format.category, sequence, hash, checkDigit: check };
+    }
+
+    return { lpn: text, valid: false };
+}
+
+// What happens to the hash of an LPN when an admin corrects its locked MPN
+export const MPN_CHANGE_POLICIES = {
+    RETAIN: 'retain',
+    RECOMPUTE: 'recompute'
+};
+
+/**
+ * Recomputes the MPN hash of an LPN, keeping its prefix, sequence number and check digit
+ * setting (used when a mistyped MPN is corrected)
+ * @param {string} lpn - LPN of any format of the scheme
+ * @param {string} mpn - Corrected MPN
+ * @param {object} scheme - LPN scheme
+ * @returns {string} - LPN with the hash of `mpn`; LPNs without hash are returned unchanged
+ *
+ * @example
+ * rehashLPN("KL-00123-A3F142", "RC0603FR-07100KL") // Returns "KL-00123-" + generateMPNHash("RC0603FR-07100KL")
  */
-export function assembleLPN(sequence, hash) {
-    const formattedSequence = formatSequence(sequence);
-    return `KL-${formattedSequence}-${hash}`;
+export function rehashLPN(lpn, mpn, scheme = DEFAULT_LPN_SCHEME) {
+    const info = parseLPN(lpn, scheme);
+    if (!info.valid) throw new Error(`Unrecognized LPN format: ${info.lpn}`);
+    if (!info.hash) return info.lpn;
+
+    return assembleLPN(Number(info.sequence), generateMPNHash(mpn), {
+        prefix: info.prefix,
+        sequenceWidth: info.sequence.length,
+        includeHash: true,
+        checkDigit: info.checkDigit !== null
+    });
+}
+
+/**
+ * Checks an LPN against the formats of a scheme (legacy numbers are always accepted)
+ * @param {string} lpn - LPN to check
+ * @param {object} scheme - LPN scheme
+ * @returns {boolean}
+ *
+ * @example
+ * validateLPNFormat("KL-12345-ABCDEF") // Returns true
+ * validateLPNFormat("KL-1234-ABCDEF")  // Returns false
+ */
+export function validateLPNFormat(lpn, scheme = DEFAULT_LPN_SCHEME) {
+    return parseLPN(lpn, scheme).valid;
 }
 
 /**
@@ -143,14 +398,58 @@ export function hasLPN(component) {
 }
 
 /**
- * Checks if a field is the MPN field and should be locked from editing
+ * Lifecycle states of an LPN. An LPN is never reassigned: parts that go out of production
+ * are marked instead, and a superseded LPN names the LPN that replaces it.
+ */
+export const LPN_LIFECYCLE = {
+    ACTIVE: 'active',
+    NRND: 'nrnd',
+    OBSOLETE: 'obsolete',
+    SUPERSEDED: 'superseded'
+};
+
+export const LPN_LIFECYCLE_LABELS = {
+    active: 'Active',
+    nrnd: 'NRND',
+    obsolete: 'Obsolete',
+    superseded: 'Superseded'
+};
+
+// Part fields of the LPN lifecycle and the approved alternate MPNs (AVL); like the MPN,
+// they are only changed through the LPN actions of librarians
+export const LPN_LIFECYCLE_FIELDS = ['LPN_Status', 'Superseded_By', 'Alternate_MPNs'];
+
+/**
+ * Gets the lifecycle of a component's LPN
+ * @param {object} component - Component or library part
+ * @returns {{status: string, supersededBy: string|null, alternates: string[]}|null} - null
+ * without LPN; LPNs without a recorded status are active
+ *
+ * @example
+ * getLPNLifecycle({ Local_Part_Number: "KL-00123-A3F142", LPN_Status: "superseded", Superseded_By: "KL-00150-B1C2D3" })
+ * // Returns { status: "superseded", supersededBy: "KL-00150-B1C2D3", alternates: [] }
+ */
+export function getLPNLifecycle(component) {
+    if (!hasLPN(component)) return null;
+    const status = Object.values(LPN_LIFECYCLE).includes(component.LPN_Status) ? component.LPN_Status : LPN_LIFECYCLE.ACTIVE;
+    return {
+        status,
+        supersededBy: status === LPN_LIFECYCLE.SUPERSEDED ? component.Superseded_By || null : null,
+        alternates: Array.isArray(component.Alternate_MPNs) ? component.Alternate_MPNs : []
+    };
+}
+
+/**
+ * Checks if a field is locked from editing: the MPN and the LPN lifecycle fields of a
+ * component with an LPN
  * @param {string} fieldName - Name of the field being edited
  * @param {object} component - Component object being edited
- * @returns {boolean} - True if field is locked (MPN field with assigned LPN)
+ * @returns {boolean} - True if field is locked (MPN or lifecycle field with assigned LPN)
  * 
  * @example
  * const component = { "Mfr. Part #": "RC0603", "Local_Part_Number": "KL-00123-A3F142" };
  * isFieldLocked("Mfr. Part #", component) // Returns true
+ * isFieldLocked("LPN_Status", component) // Returns true
  * isFieldLocked("Value", component) // Returns false
  */
 export function isFieldLocked(fieldName, component) {
@@ -159,15 +458,5 @@ export function isFieldLocked(fieldName, component) {
         return false;
     }
 
-    // List of MPN field names that should be locked
-    const mpnFields = [
-        'Mfr. Part #',
-        'MPN',
-        'Manufacturer Part Number',
-        'Part Number',
-        'PartNumber',
-        'Part#'
-    ];
-
-    return mpnFields.includes(fieldName);
+    return MPN_FIELDS.includes(fieldName) || LPN_LIFECYCLE_FIELDS.includes(fieldName);
 }
\ No newline at end of file
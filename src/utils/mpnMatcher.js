@@ -0,0 +1,291 @@
+/**
+ * @file mpnMatcher.js
+ * @description Indexed duplicate detection for uploaded components.
+ *
+ * MPNs are compared at increasingly loose levels, each with a confidence score:
+ *   1. Exact MPN                                   (1.00)
+ *   2. Same MPN ignoring case and whitespace       (0.95)
+ *   3. Same MPN ignoring punctuation (- . / , _)   (0.85)
+ *   4. Same base MPN after removing packaging, reel
+ *      and lead-free suffixes of the manufacturer  (0.75)
+ * A known, different manufacturer halves the score.
+ * Generic passives without MPN are matched by attributes instead (see passiveParts.js).
+ * Library components are indexed once per key, so an upload is matched in O(n + m).
+ */
+
+import { extractMPN } from './lpnUtils.js';
+import {
+    getPassiveSignature,
+    getGenericPartNumber,
+    getPassiveGroupKey,
+    comparePassives
+} from './passiveParts.js';
+
+export const MATCH_LEVELS = {
+    exact: { confidence: 1, reason: 'Exact MPN match' },
+    normalized: { confidence: 0.95, reason: 'Same MPN ignoring case and whitespace' },
+    compact: { confidence: 0.85, reason: 'Same MPN ignoring punctuation' },
+    base: { confidence: 0.75, reason: 'Same part ignoring packaging suffix' },
+};
+
+// Candidates below this confidence are not reported
+export const DEFAULT_MIN_CONFIDENCE = 0.7;
+
+/**
+ * Packaging, reel and lead-free suffixes per manufacturer. `prefix` limits a rule to
+ * that manufacturer's part numbering so it can also be applied when the BOM has no
+ * manufacturer column. Suffixes are tried in order; the first match is removed.
+ */
+export const PACKAGING_SUFFIX_RULES = [
+    // RC0603FR-07100KL: "L" = lead-free, "-07" = 7" reel (kept, it is part of the value code)
+    { manufacturer: /yageo/i, name: 'Yageo', prefix: /^(RC|RT|AC|AF)\d{4}/, suffixes: [/L$/] },
+    // CRCW060310K0FKEA: "EA"/"EB"/"TA" = packaging
+    { manufacturer: /vishay|dale/i, name: 'Vishay', prefix: /^(CRCW|TNPW|RCG)\d{4}/, suffixes: [/(EA|EB|EC|EF|TA|TB)$/] },
+    // Diodes and rectifiers: "-E3/61T", "-GE3", "-M3" = finish and reel
+    { manufacturer: /vishay|general semi/i, name: 'Vishay', prefix: null, suffixes: [/-(E3|GE3|HE3|M3)(\/\w+)?$/] },
+    // GRM188R71H104KA93D: last letter = packaging (D/J paper reel, L/K embossed, B bulk)
+    { manufacturer: /murata/i, name: 'Murata', prefix: /^(GRM|GCM|GRT|GJM|LQM|LQG|LQW|BLM)\w+/, suffixes: [/[DJLKB]$/] },
+    // CL10B104KB8NNNC: last letter = packaging
+    { manufacturer: /samsung/i, name: 'Samsung', prefix: /^CL\d{2}[A-Z]\d{3}/, suffixes: [/[CDE]$/] },
+    // C0603C104K5RACTU: "TU"/"7411"/"AUTO" = packaging
+    { manufacturer: /kemet/i, name: 'KEMET', prefix: /^C\d{4}C\d{3}/, suffixes: [/(TU|7411|7210|AUTO)$/] },
+    // TPS62130RGTR / RGTT: "R"/"T" = reel size, "/NOPB" = lead-free, "G4" = green
+    { manufacturer: /texas|^ti$/i, name: 'Texas Instruments', prefix: null, suffixes: [/\/NOPB$/, /G4$/, /[RT]$/] },
+    // MMBT3904LT1G: "T1G"/"T3G" = reel and Pb-free
+    { manufacturer: /onsemi|on semi|fairchild/i, name: 'onsemi', prefix: null, suffixes: [/T[13]G$/, /G$/] },
+    // BC847B,215: ",215"/",115" = packing
+    { manufacturer: /nexperia|nxp/i, name: 'Nexperia', prefix: null, suffixes: [/,\d{3}$/] },
+    // MCP1700T-3302E/TT: "T" before the dash = tape and reel
+    { manufacturer: /microchip/i, name: 'Microchip', prefix: /^[A-Z]+\d+[A-Z]*T-/, suffixes: [/T(?=-)/] },
+    // AP2112K-3.3TRG1: "TRG1"/"-7" = tape and reel, green
+    { manufacturer: /diodes/i, name: 'Diodes Inc.', prefix: null, suffixes: [/TRG1$/, /-7$/, /-13$/] },
+    // STM32F103C8T6TR: "TR" = tape and reel
+    { manufacturer: /st ?micro|^st$/i, name: 'STMicroelectronics', prefix: null, suffixes: [/TR$/] },
+];
+
+// Distributor and generic tape-and-reel suffixes, independent of the manufacturer
+const GENERIC_SUFFIXES = [/-?CT-ND$/, /-ND$/, /[-/]T\/?R$/, /-REEL7?$/, /-CT$/];
+
+const MANUFACTURER_FIELDS = ['Manufacturer', 'Mfr', 'MFR', 'Mfr.', 'Manufacturer Name'];
+
+/**
+ * Returns the manufacturer named on a component
+ * @param {object} component - Component data
+ * @returns {string} - Empty when not given
+ */
+export function getManufacturer(component) {
+    for (const field of MANUFACTURER_FIELDS) {
+        const value = component?.[field];
+        if (typeof value === 'string' && value.trim()) return value.trim();
+    }
+    return '';
+}
+
+/**
+ * Normalizes an MPN for comparison: uppercase without whitespace
+ * @param {string} mpn - Manufacturer Part Number
+ * @returns {string}
+ *
+ * @example
+ * normalizeMPN(' rc0603fr-07 100kl ') // Returns 'RC0603FR-07100KL'
+ */
+export function normalizeMPN(mpn) {
+    return String(mpn || '').toUpperCase().replace(/\s+/g, '');
+}
+
+/**
+ * Removes punctuation from a normalized MPN
+ * @param {string} mpn - Manufacturer Part Number
+ * @returns {string}
+ */
+export function compactMPN(mpn) {
+    return normalizeMPN(mpn).replace(/[-./,_#]/g, '');
+}
+
+/**
+ * Removes known packaging suffixes from an MPN
+ * @param {string} mpn - Manufacturer Part Number
+ * @param {string} [manufacturer] - Manufacturer name; rules without a matching
+ * manufacturer only apply when their part number prefix matches
+ * @returns {{base: string, removed: Array<{suffix: string, manufacturer: string}>}}
+ *
+ * @example
+ * stripPackagingSuffix('RC0603FR-07100KL', 'Yageo')
+ * // Returns { base: 'RC0603FR-07100K', removed: [{ suffix: 'L', manufacturer: 'Yageo' }] }
+ */
+export function stripPackagingSuffix(mpn, manufacturer = '') {
+    let base = normalizeMPN(mpn);
+    const removed = [];
+
+    const removeFirst = (patterns, name) => {
+        for (const pattern of patterns) {
+            const match = base.match(pattern);
+            // Never strip a part number down to nothing
+            if (match && base.length - match[0].length >= 3) {
+                base = base.slice(0, match.index) + base.slice(match.index + match[0].length);
+                removed.push({ suffix: match[0], manufacturer: name });
+                return;
+            }
+        }
+    };
+
+    removeFirst(GENERIC_SUFFIXES, 'generic');
+
+    for (const rule of PACKAGING_SUFFIX_RULES) {
+        const manufacturerMatches = manufacturer && rule.manufacturer.test(manufacturer);
+        const prefixMatches = rule.prefix && rule.prefix.test(base);
+        if (manufacturerMatches ? (!rule.prefix || prefixMatches) : (!manufacturer && prefixMatches)) {
+            removeFirst(rule.suffixes, rule.name);
+        }
+    }
+
+    return { base, removed };
+}
+
+/**
+ * Computes the comparison keys of a component
+ * @param {object} component - Component data
+ * @returns {object|null} - `{mpn, manufacturer, exact, normalized, compact, base, removed}`; null without MPN
+ */
+export function getMatchKeys(component) {
+    const mpn = extractMPN(component);
+    if (!mpn) return null;
+
+    const manufacturer = getManufacturer(component);
+    const { base, removed } = stripPackagingSuffix(mpn, manufacturer);
+    return {
+        mpn,
+        manufacturer,
+        exact: mpn,
+        normalized: normalizeMPN(mpn),
+        compact: compactMPN(mpn),
+        base: compactMPN(base),
+        removed,
+    };
+}
+
+// Library parts are identified by part id (placements of one part are one candidate)
+const getCandidateKey = (component) => component.partId || normalizeMPN(extractMPN(component)) || component.id;
+
+const addToIndex = (map, key, entry) => {
+    const list = map.get(key) || [];
+    list.push(entry);
+    map.set(key, list);
+};
+
+/**
+ * Indexes library components by each match key, and generic passives by kind, value and package
+ * @param {Array<object>} components - Library components
+ * @returns {{exact: Map, normalized: Map, compact: Map, base: Map, passive: Map}} - Component lists per key
+ */
+export function createMPNIndex(components) {
+    const index = { exact: new Map(), normalized: new Map(), compact: new Map(), base: new Map(), passive: new Map() };
+
+    for (const component of components || []) {
+        const keys = getMatchKeys(component);
+        if (keys) {
+            Object.keys(MATCH_LEVELS).forEach(level => addToIndex(index[level], keys[level], { component, keys }));
+            continue;
+        }
+
+        const signature = getPassiveSignature(component);
+        if (signature) addToIndex(index.passive, getPassiveGroupKey(signature), { component, signature });
+    }
+
+    return index;
+}
+
+// Finds attribute-equivalent library passives for a component without MPN
+const findPassiveCandidates = (index, component) => {
+    const signature = getPassiveSignature(component);
+    if (!signature) return [];
+
+    const candidates = new Map();
+    for (const entry of index.passive.get(getPassiveGroupKey(signature)) || []) {
+        const { equivalent, confidence, reasons } = comparePassives(signature, entry.signature);
+        const candidateKey = getCandidateKey(entry.component);
+        if (equivalent && !(candidates.get(candidateKey)?.confidence >= confidence)) {
+            candidates.set(candidateKey, { component: entry.component, confidence, reasons });
+        }
+    }
+    return [...candidates.values()].sort((a, b) => b.confidence - a.confidence);
+};
+
+// Describes the suffixes removed from either MPN
+const describeRemovedSuffixes = (newKeys, existingKeys) => {
+    const removed = [...newKeys.removed, ...existingKeys.removed];
+    if (removed.length === 0) return MATCH_LEVELS.base.reason;
+    const parts = removed.map(({ suffix, manufacturer }) =>
+        manufacturer === 'generic' ? `"${suffix}"` : `${manufacturer} "${suffix}"`
+    );
+    return `${MATCH_LEVELS.base.reason} (${[...new Set(parts)].join(', ')})`;
+};
+
+/**
+ * Finds library candidates for one component, best first. Components without MPN
+ * are matched against equivalent generic passives.
+ * @param {object} index - Result of createMPNIndex
+ * @param {object} component - Uploaded component
+ * @returns {Array<{component: object, confidence: number, reasons: Array<string>}>}
+ */
+export function findMPNCandidates(index, component) {
+    const keys = getMatchKeys(component);
+    if (!keys) return findPassiveCandidates(index, component);
+
+    const candidates = new Map();
+
+    Object.keys(MATCH_LEVELS).forEach(level => {
+        for (const entry of index[level].get(keys[level]) || []) {
+            const candidateKey = getCandidateKey(entry.component);
+            if (candidates.has(candidateKey)) continue;
+
+            let confidence = MATCH_LEVELS[level].confidence;
+            const reasons = [level === 'base' ? describeRemovedSuffixes(keys, entry.keys) : MATCH_LEVELS[level].reason];
+
+            if (keys.manufacturer && entry.keys.manufacturer &&
+                normalizeMPN(keys.manufacturer) !== normalizeMPN(entry.keys.manufacturer)) {
+                confidence /= 2;
+                reasons.push(`Different manufacturer (${entry.keys.manufacturer} in library)`);
+            }
+
+            candidates.set(candidateKey, { component: entry.component, confidence, reasons });
+        }
+    });
+
+    return [...candidates.values()].sort((a, b) => b.confidence - a.confidence);
+}
+
+/**
+ * Detects uploaded components that already exist in the library
+ * @param {Array<object>} newComponents - Uploaded components
+ * @param {Array<object>} libraryComponents - Existing library components
+ * @param {object} [options]
+ * @param {number} [options.minConfidence=DEFAULT_MIN_CONFIDENCE] - Lowest reported confidence
+ * @returns {Array<{key: string, mpn: string|null, newComponent: object, existingComponent: object,
+ *   confidence: number, reasons: Array<string>, candidates: Array<object>}>} - One entry per
+ * uploaded component with a candidate; `key` is the MPN, or the generic part number of a
+ * passive without MPN, and `existingComponent` is the best candidate
+ */
+export function detectDuplicates(newComponents, libraryComponents, { minConfidence = DEFAULT_MIN_CONFIDENCE } = {}) {
+    const index = createMPNIndex(libraryComponents);
+    const duplicates = [];
+
+    for (const newComponent of newComponents || []) {
+        const candidates = findMPNCandidates(index, newComponent)
+            .filter(candidate => candidate.confidence >= minConfidence);
+        if (candidates.length === 0) continue;
+
+        const mpn = extractMPN(newComponent);
+        duplicates.push({
+            key: mpn || getGenericPartNumber(getPassiveSignature(newComponent)),
+            mpn,
+            newComponent,
+            existingComponent: candidates[0].component,
+            confidence: candidates[0].confidence,
+            reasons: candidates[0].reasons,
+            candidates,
+        });
+    }
+
+    return duplicates;
+}
@@ -0,0 +1,93 @@
+/**
+ * @file operationLog.js
+ * @description Undo/redo log of library operations (edits, deletes, project deletes,
+ * clearing the library) and the retention rules for soft-deleted projects.
+ * The log is a plain `{past, future}` object; each function returns a new log.
+ */
+
+// Operations kept for undo; older ones are dropped
+export const MAX_OPERATIONS = 50;
+
+// Days a deleted project can be restored before it is removed for good
+export const DEFAULT_RETENTION_DAYS = 30;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Creates an empty operation log
+ * @returns {{past: Array<object>, future: Array<object>}}
+ */
+export function createOperationLog() {
+    return { past: [], future: [] };
+}
+
+/**
+ * Adds a performed operation. Recording a new operation clears the redo stack.
+ * @param {object} log - Operation log
+ * @param {object} operation - `{type, label, count, ...data}`
+ * @param {number} [limit=MAX_OPERATIONS] - Maximum operations kept
+ * @returns {object} - New log
+ *
+ * @example
+ * recordOperation(createOperationLog(), { type: 'delete', label: 'Delete R1', count: 1, components })
+ */
+export function recordOperation(log, operation, limit = MAX_OPERATIONS) {
+    const entry = {
+        ...operation,
+        id: operation.id || `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 7)}`,
+        at: operation.at || new Date().toISOString(),
+    };
+    return { past: [...log.past, entry].slice(-limit), future: [] };
+}
+
+/**
+ * Takes the latest operation off the undo stack
+ * @param {object} log - Operation log
+ * @returns {{operation: object, log: object}|null} - null when there is nothing to undo
+ */
+export function takeUndo(log) {
+    if (log.past.length === 0) return null;
+    const operation = log.past[log.past.length - 1];
+    return {
+        operation,
+        log: { past: log.past.slice(0, -1), future: [operation, ...log.future] },
+    };
+}
+
+/**
+ * Takes the latest undone operation off the redo stack
+ * @param {object} log - Operation log
+ * @returns {{operation: object, log: object}|null} - null when there is nothing to redo
+ */
+export function takeRedo(log) {
+    if (log.future.length === 0) return null;
+    const [operation, ...future] = log.future;
+    return {
+        operation,
+        log: { past: [...log.past, operation], future },
+    };
+}
+
+/**
+ * Date after which a soft-deleted project is removed for good
+ * @param {string} deletedAt - ISO date of the delete
+ * @param {number} [retentionDays=DEFAULT_RETENTION_DAYS]
+ * @returns {Date}
+ */
+export function getPurgeDate(deletedAt, retentionDays = DEFAULT_RETENTION_DAYS) {
+    return new Date(new Date(deletedAt).getTime() + retentionDays * DAY_MS);
+}
+
+/**
+ * Whether a soft-deleted project is past its retention period
+ * @param {string} deletedAt - ISO date of the delete
+ * @param {number} [retentionDays=DEFAULT_RETENTION_DAYS]
+ * @param {Date|number} [now=Date.now()]
+ * @returns {boolean}
+ *
+ * @example
+ * isPurgeDue('2024-01-01T00:00:00Z', 30, new Date('2024-02-01')) // Returns true
+ */
+export function isPurgeDue(deletedAt, retentionDays = DEFAULT_RETENTION_DAYS, now = Date.now()) {
+    return getPurgeDate(deletedAt, retentionDays).getTime() <= new Date(now).getTime();
+}
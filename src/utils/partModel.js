@@ -0,0 +1,205 @@
+/**
+ * @file partModel.js
+ * @description Two-level library model: library parts and project placements.
+ *
+ * A part holds the canonical attributes of one physical part (MPN, manufacturer, value,
+ * footprint, LPN, ...) and is keyed by its MPN; generic passives without MPN are keyed
+ * by their generic part number (value, package, ratings), other parts by their LPN.
+ * A placement is one use of a part in a project: project name, designator, quantity and
+ * DNP flag, plus a `partId` reference. Rows with no identity at all have no part; their
+ * attributes stay on the placement.
+ *
+ * The rest of the app works on "components": placements joined with their part.
+ */
+
+import { extractMPN } from './lpnUtils.js';
+import { getPassiveSignature, getGenericPartNumber } from './passiveParts.js';
+
+/**
+ * Fields that belong to a placement rather than to the part it uses
+ */
+export const PLACEMENT_FIELD_PATTERN =
+    /^(ProjectName|Designator|Designators|Reference|References|RefDes|Ref|Refs|Parts|Qty|Quantity|Qnty|Qnt|Count|Amount|DNP|DNI|Populate|Fitted|Item|Sheet)$/i;
+
+// Bookkeeping fields that are neither part attributes nor placement data
+const META_FIELDS = ['id', 'partId', 'createdAt', 'updatedAt'];
+
+/**
+ * Tells whether a field is stored on the placement
+ * @param {string} field - Field name
+ * @returns {boolean}
+ */
+export function isPlacementField(field) {
+    return PLACEMENT_FIELD_PATTERN.test(String(field || '').trim()) || String(field || '').startsWith('_');
+}
+
+/**
+ * Turns free text (MPN, LPN, project name) into a valid Firestore document id.
+ * Document ids cannot contain "/" and must not be "." or "..".
+ * @param {string} text - Text to encode
+ * @returns {string}
+ */
+export function toDocId(text) {
+    return encodeURIComponent(text).replace(/\./g, '%2E');
+}
+
+/**
+ * Returns the id of the library part a component belongs to
+ * @param {object} component - Component or placement data
+ * @returns {string|null} - `mpn_<MPN>`, `gen_<generic part number>` or `lpn_<LPN>`;
+ * null for parts without any of them
+ *
+ * @example
+ * getPartId({ 'Mfr. Part #': 'rc0603fr-0710kl' }) // Returns 'mpn_RC0603FR-0710KL'
+ * getPartId({ Designator: 'R1', Value: '4k7', Footprint: '0603' }) // Returns 'gen_RES-4%2E7k-0603'
+ */
+export function getPartId(component) {
+    if (component?.partId) return component.partId;
+    const mpn = extractMPN(component);
+    if (mpn) return `mpn_${toDocId(mpn.toUpperCase())}`;
+    const genericPartNumber = getGenericPartNumber(getPassiveSignature(component));
+    if (genericPartNumber) return `gen_${toDocId(genericPartNumber)}`;
+    const lpn = String(component?.Local_Part_Number || '').trim();
+    if (lpn) return `lpn_${toDocId(lpn)}`;
+    return null;
+}
+
+/**
+ * Creates an id for a second part with the same MPN ("keep separate" on upload conflicts)
+ * @param {object} component - Component the new part is created for
+ * @returns {string|null}
+ */
+export function createSeparatePartId(component) {
+    const baseId = getPartId({ ...component, partId: undefined });
+    return baseId ? `${baseId}~${Date.now().toString(36)}` : null;
+}
+
+/**
+ * Splits component data into part attributes and placement fields
+ * @param {object} component - Flat component data
+ * @returns {{partId: string|null, part: object, placement: object}} - Without a part id,
+ * every attribute is kept on the placement
+ */
+export function splitComponent(component) {
+    const partId = getPartId(component);
+    const part = {};
+    const placement = {};
+
+    Object.entries(component || {}).forEach(([field, value]) => {
+        if (META_FIELDS.includes(field)) return;
+        if (!partId || isPlacementField(field)) placement[field] = value;
+        else part[field] = value;
+    });
+
+    if (component?.id) placement.id = component.id;
+    if (partId) placement.partId = partId;
+    return { partId, part, placement };
+}
+
+/**
+ * Splits an update of a joined component into part and placement updates
+ * @param {string|null} partId - Part the placement references
+ * @param {object} updates - Changed fields
+ * @returns {{partUpdates: object, placementUpdates: object}}
+ */
+export function splitUpdates(partId, updates) {
+    const partUpdates = {};
+    const placementUpdates = {};
+    Object.entries(updates || {}).forEach(([field, value]) => {
+        if (META_FIELDS.includes(field)) return;
+        if (partId && !isPlacementField(field)) partUpdates[field] = value;
+        else placementUpdates[field] = value;
+    });
+    return { partUpdates, placementUpdates };
+}
+
+/**
+ * Returns the incoming attributes an existing part does not have yet.
+ * Library data wins: filled-in part fields are never overwritten by an upload.
+ * @param {object|null} existing - Stored part attributes
+ * @param {object} incoming - Attributes from a new upload
+ * @returns {object}
+ */
+export function getMissingPartAttributes(existing, incoming) {
+    const missing = {};
+    Object.entries(incoming || {}).forEach(([field, value]) => {
+        const current = existing?.[field];
+        const isEmpty = current === undefined || current === null || String(current).trim() === '';
+        if (isEmpty && value !== undefined && value !== null && String(value).trim() !== '') {
+            missing[field] = value;
+        }
+    });
+    return missing;
+}
+
+/**
+ * Groups components into the part documents and placements to write
+ * @param {Array<object>} components - Flat components (e.g. from processBOMFile)
+ * @returns {{parts: Map<string, object>, placements: Array<object>}} - Part attributes by part id
+ * (first non-empty value of each field wins) and placement data
+ */
+export function groupComponentsByPart(components) {
+    const parts = new Map();
+    const placements = [];
+
+    for (const component of components || []) {
+        const { partId, part, placement } = splitComponent(component);
+        if (partId) {
+            const attributes = parts.get(partId) || {};
+            parts.set(partId, { ...attributes, ...getMissingPartAttributes(attributes, part) });
+        }
+        placements.push(placement);
+    }
+
+    return { parts, placements };
+}
+
+/**
+ * Joins placements with their parts into flat components
+ * @param {Array<object>} parts - Part documents ({id, ...attributes})
+ * @param {Array<object>} placements - Placement documents
+ * @returns {Array<object>} - One component per placement; placement fields win over part attributes
+ */
+export function joinPlacements(parts, placements) {
+    const partsById = new Map((parts || []).map(part => [part.id, part]));
+
+    return (placements || []).map(placement => {
+        const part = placement.partId ? partsById.get(placement.partId) : null;
+        if (!part) return { ...placement };
+
+        const { id: _partId, createdAt: _created, updatedAt: _updated, ...attributes } = part;
+        return { ...attributes, ...placement, id: placement.id, partId: placement.partId };
+    });
+}
+
+/**
+ * Summarizes library parts with where they are used, for the Parts view
+ * @param {Array<object>} parts - Part documents
+ * @param {Array<object>} components - Joined components
+ * @returns {Array<object>} - Part attributes plus `placementCount`, `totalQuantity`,
+ * `projects` (sorted names) and `designators`
+ */
+export function summarizeParts(parts, components) {
+    const usage = new Map();
+    for (const component of components || []) {
+        if (!component.partId) continue;
+        const entry = usage.get(component.partId) || { placementCount: 0, totalQuantity: 0, projects: new Set(), designators: [] };
+        const quantity = parseInt(component.Quantity ?? component.Qty ?? 1, 10);
+        entry.placementCount++;
+        entry.totalQuantity += isNaN(quantity) ? 1 : quantity;
+        if (component.ProjectName) entry.projects.add(component.ProjectName);
+        if (component.Designator) entry.designators.push(component.Designator);
+        usage.set(component.partId, entry);
+    }
+
+    return (parts || []).map(part => {
+        const entry = usage.get(part.id);
+        return {
+            ...part,
+            placementCount: entry?.placementCount || 0,
+            totalQuantity: entry?.totalQuantity || 0,
+            projects: entry ? [...entry.projects].sort() : [],
+            designators: entry?.designators || [],
+        };
+    });
+}
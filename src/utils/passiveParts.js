@@ -0,0 +1,281 @@
+/**
+ * @file passiveParts.js
+ * @description Attribute-based identity for generic passives (resistors, capacitors,
+ * inductors) that have no MPN: engineering value and package code parsing, a canonical
+ * generic part number, and equivalence rules for tolerance, voltage and dielectric.
+ */
+
+// Unit symbol per passive kind
+export const PASSIVE_UNITS = { resistor: 'Ω', capacitor: 'F', inductor: 'H' };
+
+// Short codes used in generic part numbers
+const KIND_CODES = { resistor: 'RES', capacitor: 'CAP', inductor: 'IND' };
+
+// Designator prefixes that identify a passive kind
+const DESIGNATOR_KINDS = { R: 'resistor', RN: 'resistor', RV: 'resistor', C: 'capacitor', L: 'inductor' };
+
+const UNIT_KINDS = { 'Ω': 'resistor', F: 'capacitor', H: 'inductor' };
+
+const MULTIPLIERS = {
+    p: 1e-12, P: 1e-12,
+    n: 1e-9, N: 1e-9,
+    u: 1e-6, U: 1e-6, 'µ': 1e-6, 'μ': 1e-6,
+    m: 1e-3,
+    R: 1, r: 1,
+    k: 1e3, K: 1e3,
+    M: 1e6,
+    G: 1e9,
+};
+
+// Printed prefixes, largest first
+const PREFIXES = [[1e9, 'G'], [1e6, 'M'], [1e3, 'k'], [1, ''], [1e-3, 'm'], [1e-6, 'µ'], [1e-9, 'n'], [1e-12, 'p']];
+
+// Imperial (inch) chip sizes and their metric (mm) codes
+const IMPERIAL_CODES = ['01005', '0201', '0402', '0603', '0805', '1206', '1210', '1806', '1812', '2010', '2220', '2512'];
+const METRIC_TO_IMPERIAL = {
+    '0402': '01005', '0603': '0201', '1005': '0402', '1608': '0603', '2012': '0805', '3216': '1206',
+    '3225': '1210', '4516': '1806', '4532': '1812', '5025': '2010', '5750': '2220', '6332': '2512',
+};
+
+// Dielectric classes, best first; aliases map to the canonical name
+const DIELECTRIC_RANK = { C0G: 5, X8R: 4, X7R: 3, X7S: 3, X6S: 2, X5R: 2, Y5V: 1, Z5U: 1 };
+const DIELECTRIC_ALIASES = { COG: 'C0G', NP0: 'C0G', NPO: 'C0G' };
+
+const VALUE_FIELDS = ['Value', 'Val', 'Comment'];
+const PACKAGE_FIELDS = ['Footprint', 'Package', 'Case', 'Size', 'Case/Package'];
+const TEXT_FIELDS = [...VALUE_FIELDS, 'Description', 'Desc', 'Tolerance', 'Voltage', 'Rated Voltage', 'Dielectric', 'TempCo'];
+
+const ENGINEERING_VALUE_PATTERN = /^(\d*[.,]?\d+)\s*(meg|[pPnNuUµμmrRkKMG])?(\d+)?\s*(ohms?|Ω|F|H)?$/i;
+
+// Drops float noise such as 4.7000000000000002e-7
+const roundValue = (value) => Number(value.toPrecision(12));
+
+const getField = (component, fields) => {
+    for (const field of fields) {
+        const value = component?.[field];
+        if (value !== undefined && value !== null && String(value).trim()) return String(value).trim();
+    }
+    return '';
+};
+
+/**
+ * Parses an engineering value such as 10k, 4k7, 100nF, 0.1u, 1R0 or 2.2 µF
+ * @param {string} text - Value text
+ * @param {string} [defaultUnit=''] - Unit when the text names none (Ω, F or H)
+ * @returns {{value: number, unit: string}|null} - Value in base units; null if not a value
+ *
+ * @example
+ * parseEngineeringValue('4k7')   // Returns { value: 4700, unit: 'Ω' } with defaultUnit 'Ω'
+ * parseEngineeringValue('100nF') // Returns { value: 1e-7, unit: 'F' }
+ */
+export function parseEngineeringValue(text, defaultUnit = '') {
+    const match = String(text ?? '').trim().match(ENGINEERING_VALUE_PATTERN);
+    if (!match) return null;
+
+    const [, number, prefix, fraction, unitText] = match;
+    // "Meg" and the case-sensitive "m"/"M" (milli/mega) need care; other prefixes ignore case
+    const multiplier = !prefix ? 1
+        : /^meg$/i.test(prefix) ? 1e6
+        : MULTIPLIERS[prefix] ?? MULTIPLIERS[prefix.toLowerCase()];
+
+    // "4k7" / "1R0": the prefix is the decimal point, so the leading part must be an integer
+    if (fraction && (!prefix || /[.,]/.test(number))) return null;
+
+    const value = parseFloat(`${number.replace(',', '.')}${fraction ? `.${fraction}` : ''}`) * multiplier;
+    let unit = defaultUnit;
+    if (unitText) unit = /^(ohms?|Ω)$/i.test(unitText) ? 'Ω' : unitText.toUpperCase();
+    else if (prefix && /^r$/i.test(prefix)) unit = 'Ω';
+
+    return { value: roundValue(value), unit };
+}
+
+/**
+ * Formats a value with an engineering prefix
+ * @param {number} value - Value in base units
+ * @param {string} [unit=''] - Unit symbol
+ * @returns {string}
+ *
+ * @example
+ * formatEngineeringValue(4700, 'Ω') // Returns '4.7kΩ'
+ * formatEngineeringValue(1e-7, 'F') // Returns '100nF'
+ */
+export function formatEngineeringValue(value, unit = '') {
+    if (value === 0) return `0${unit}`;
+    const [scale, prefix] = PREFIXES.find(([threshold]) => Math.abs(value) >= threshold) || PREFIXES[PREFIXES.length - 1];
+    return `${roundValue(value / scale)}${prefix}${unit}`;
+}
+
+/**
+ * Extracts an imperial chip size code from a package or footprint name
+ * @param {string} text - Package text, e.g. "0603", "R_0603_1608Metric", "1608 (metric)"
+ * @returns {string|null} - Imperial code such as '0603'
+ */
+export function parsePackageCode(text) {
+    const value = String(text ?? '');
+
+    // KiCad footprints name both: R_0603_1608Metric
+    const kicad = value.match(/(\d{4,5})_(\d{4})Metric/i);
+    if (kicad && IMPERIAL_CODES.includes(kicad[1])) return kicad[1];
+
+    const codes = value.match(/\d{4,5}/g) || [];
+    if (/metric|\bmm\b/i.test(value)) {
+        const metric = codes.find(code => METRIC_TO_IMPERIAL[code]);
+        if (metric) return METRIC_TO_IMPERIAL[metric];
+    }
+    return codes.find(code => IMPERIAL_CODES.includes(code)) || null;
+}
+
+/**
+ * Extracts a tolerance in percent ("±1%", "5 %")
+ * @param {string} text
+ * @returns {number|null}
+ */
+export function parseTolerance(text) {
+    const match = String(text ?? '').match(/±?\s*(\d+(?:\.\d+)?)\s*%/);
+    return match ? parseFloat(match[1]) : null;
+}
+
+/**
+ * Extracts a voltage rating ("50V", "6.3 V", "16VDC")
+ * @param {string} text
+ * @returns {number|null}
+ */
+export function parseVoltage(text) {
+    const match = String(text ?? '').match(/(?:^|[\s,;/])(\d+(?:\.\d+)?)\s*V(?:DC)?(?![a-z])/i);
+    return match ? parseFloat(match[1]) : null;
+}
+
+/**
+ * Extracts a ceramic dielectric class, with C0G/NP0 aliases resolved
+ * @param {string} text
+ * @returns {string|null} - Canonical name such as 'X7R' or 'C0G'
+ */
+export function parseDielectric(text) {
+    const match = String(text ?? '').toUpperCase().match(/\b(C0G|COG|NP0|NPO|X8R|X7R|X7S|X6S|X5R|Y5V|Z5U)\b/);
+    return match ? DIELECTRIC_ALIASES[match[1]] || match[1] : null;
+}
+
+// Finds the passive kind from the designator prefix or the value's unit
+const getPassiveKind = (component, unit) => {
+    if (UNIT_KINDS[unit]) return UNIT_KINDS[unit];
+    const prefix = String(component?.Designator || component?.Reference || '').trim().match(/^[A-Z]+/i)?.[0]?.toUpperCase();
+    return DESIGNATOR_KINDS[prefix] || null;
+};
+
+/**
+ * Describes a generic passive by its attributes
+ * @param {object} component - Component data
+ * @returns {object|null} - `{kind, value, unit, package, tolerance, voltage, dielectric}`;
+ * null unless kind, value and package are all known
+ *
+ * @example
+ * getPassiveSignature({ Designator: 'C3', Value: '100nF 50V X7R', Footprint: 'C_0603_1608Metric' })
+ * // Returns { kind: 'capacitor', value: 1e-7, unit: 'F', package: '0603', tolerance: null, voltage: 50, dielectric: 'X7R' }
+ */
+export function getPassiveSignature(component) {
+    const valueText = getField(component, VALUE_FIELDS);
+    // The value leads the text: "2.2 µF", "100nF 50V X7R 10%"
+    const tokens = valueText.split(/[\s/;]+/);
+    const parsed = parseEngineeringValue(valueText)
+        || parseEngineeringValue(tokens.slice(0, 2).join(' '))
+        || parseEngineeringValue(tokens[0]);
+    if (!parsed) return null;
+
+    const kind = getPassiveKind(component, parsed.unit);
+    if (!kind || (parsed.unit && PASSIVE_UNITS[kind] !== parsed.unit)) return null;
+
+    const packageCode = parsePackageCode(getField(component, PACKAGE_FIELDS)) || parsePackageCode(getField(component, ['Description', 'Desc']));
+    if (!packageCode) return null;
+
+    const text = TEXT_FIELDS.map(field => component?.[field] ?? '').join(' ');
+    return {
+        kind,
+        value: parsed.value,
+        unit: PASSIVE_UNITS[kind],
+        package: packageCode,
+        tolerance: parseTolerance(text),
+        voltage: kind === 'capacitor' ? parseVoltage(text) : null,
+        dielectric: kind === 'capacitor' ? parseDielectric(text) : null,
+    };
+}
+
+/**
+ * Builds the canonical generic part number of a passive, used as its identity and LPN hash input
+ * @param {object|null} signature - Result of getPassiveSignature
+ * @returns {string|null}
+ *
+ * @example
+ * getGenericPartNumber(getPassiveSignature({ Designator: 'R1', Value: '4k7', Footprint: '0603', Tolerance: '1%' }))
+ * // Returns 'RES-4.7k-0603-1%'
+ */
+export function getGenericPartNumber(signature) {
+    if (!signature) return null;
+    const segments = [
+        KIND_CODES[signature.kind],
+        formatEngineeringValue(signature.value).replace('µ', 'u'),
+        signature.package,
+    ];
+    if (signature.tolerance !== null) segments.push(`${signature.tolerance}%`);
+    if (signature.voltage !== null) segments.push(`${signature.voltage}V`);
+    if (signature.dielectric) segments.push(signature.dielectric);
+    return segments.join('-');
+}
+
+/**
+ * Key grouping passives that can be equivalent (same kind, value and package)
+ * @param {object} signature - Result of getPassiveSignature
+ * @returns {string}
+ */
+export function getPassiveGroupKey(signature) {
+    return `${signature.kind}|${signature.value}|${signature.package}`;
+}
+
+// Compares an optional rating; `meets(a, b)` tells whether a library rating `a` beats the required `b`
+const compareRating = (label, required, candidate, format, meets) => {
+    if (required === null && candidate === null) return { ok: true };
+    if (required === null || candidate === null) {
+        return { ok: true, unknown: true, reason: `${label} not specified on both` };
+    }
+    if (required === candidate) return { ok: true, reason: `Same ${label.toLowerCase()} (${format(candidate)})` };
+    if (meets(candidate, required)) {
+        return { ok: true, better: true, reason: `${label} ${format(candidate)} meets ${format(required)}` };
+    }
+    return { ok: false };
+};
+
+/**
+ * Checks whether a library passive can replace a required one.
+ * Value and package must match; the library part may have a tighter tolerance,
+ * a higher voltage rating and a better dielectric.
+ * @param {object} required - Signature of the uploaded passive
+ * @param {object} candidate - Signature of the library passive
+ * @returns {{equivalent: boolean, confidence: number, reasons: Array<string>}}
+ */
+export function comparePassives(required, candidate) {
+    const notEquivalent = { equivalent: false, confidence: 0, reasons: [] };
+    if (!required || !candidate || getPassiveGroupKey(required) !== getPassiveGroupKey(candidate)) {
+        return notEquivalent;
+    }
+
+    const reasons = [`Same ${formatEngineeringValue(required.value, required.unit)} ${required.package} ${required.kind}`];
+    const checks = [
+        compareRating('Tolerance', required.tolerance, candidate.tolerance, tolerance => `${tolerance}%`, (a, b) => a < b),
+    ];
+    if (required.kind === 'capacitor') {
+        checks.push(
+            compareRating('Voltage', required.voltage, candidate.voltage, voltage => `${voltage}V`, (a, b) => a > b),
+            compareRating('Dielectric', required.dielectric, candidate.dielectric, name => name,
+                (a, b) => (DIELECTRIC_RANK[a] || 0) > (DIELECTRIC_RANK[b] || 0))
+        );
+    }
+
+    let confidence = 0.9;
+    for (const check of checks) {
+        if (!check.ok) return notEquivalent;
+        if (check.better) confidence -= 0.05;
+        if (check.unknown) confidence -= 0.1;
+        if (check.reason) reasons.push(check.reason);
+    }
+
+    return { equivalent: true, confidence: roundValue(confidence), reasons };
+}
@@ -0,0 +1,84 @@
+/**
+ * @file workspaces.js
+ * @description Shared team workspaces: member roles, what each role may do, and the
+ * library id the Firestore service uses for a workspace. The personal library of a
+ * user is not a workspace; its owner has every permission.
+ */
+
+// Roles from least to most privileged
+export const ROLES = ['viewer', 'editor', 'librarian', 'admin'];
+
+export const ROLE_LABELS = {
+    viewer: 'Viewer',
+    editor: 'Editor',
+    librarian: 'Librarian',
+    admin: 'Admin',
+};
+
+export const ROLE_DESCRIPTIONS = {
+    viewer: 'Can browse and export the library',
+    editor: 'Can upload BOMs and edit components and projects',
+    librarian: 'Can also assign LPNs and clear or import the library',
+    admin: 'Can also invite members, change their roles, set the LPN scheme and correct locked MPNs',
+};
+
+// Lowest role allowed to perform each action
+const REQUIRED_ROLES = {
+    view: 'viewer',
+    edit: 'editor',
+    manageLibrary: 'librarian',
+    manageMembers: 'admin',
+    correctMPN: 'admin',
+    manageLPNScheme: 'admin',
+};
+
+/**
+ * Whether a role is at least as privileged as another
+ * @param {string} role - Member role
+ * @param {string} required - Role to compare against
+ * @returns {boolean}
+ *
+ * @example
+ * hasRole('librarian', 'editor') // Returns true
+ * hasRole('viewer', 'editor') // Returns false
+ */
+export function hasRole(role, required) {
+    const rank = ROLES.indexOf(role);
+    return rank !== -1 && rank >= ROLES.indexOf(required);
+}
+
+/**
+ * What a member with the given role may do
+ * @param {string|null} role - Member role; null for no access
+ * @returns {{view: boolean, edit: boolean, manageLibrary: boolean, manageMembers: boolean, correctMPN: boolean, manageLPNScheme: boolean}}
+ *
+ * @example
+ * getPermissions('editor') // Returns { view: true, edit: true, manageLibrary: false, manageMembers: false, correctMPN: false, manageLPNScheme: false }
+ */
+export function getPermissions(role) {
+    return Object.fromEntries(
+        Object.entries(REQUIRED_ROLES).map(([action, required]) => [action, hasRole(role, required)])
+    );
+}
+
+/**
+ * Library id of a workspace, as taken by the Firestore service in place of a user id
+ * @param {string} workspaceId
+ * @returns {string}
+ */
+export function getWorkspaceLibraryId(workspaceId) {
+    return `workspaces/${workspaceId}`;
+}
+
+/**
+ * Normalizes an email address for invitations
+ * @param {string} email
+ * @returns {string} - Trimmed, lower-case address; empty when invalid
+ *
+ * @example
+ * normalizeEmail(' Jane.Doe@Example.com ') // Returns 'jane.doe@example.com'
+ */
+export function normalizeEmail(email) {
+    const normalized = String(email || '').trim().toLowerCase();
+    return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(normalized) ? normalized : '';
+}
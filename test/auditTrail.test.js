@@ -0,0 +1,156 @@
+/**
+ * @file auditTrail.test.js
+ * @description Tests for field-level audit entries, merged histories and the CSV export
+ */
+import { describe, it, expect } from 'vitest';
+import {
+    AUDIT_SOURCES,
+    AUDIT_CSV_HEADERS,
+    diffFields,
+    diffUpdates,
+    createAuditEntry,
+    isLPNLockEntry,
+    mergeHistories,
+    auditTrailToCSV
+} from '../src/utils/auditTrail.js';
+
+describe('auditTrail', () => {
+    describe('diffFields', () => {
+        it('should list only the changed fields with before and after values', () => {
+            expect(diffFields({ Value: '10k', Footprint: '0603' }, { Value: '4k7', Footprint: '0603' }))
+                .toEqual([{ field: 'Value', before: '10k', after: '4k7' }]);
+        });
+
+        it('should record added and removed fields as null on the missing side', () => {
+            expect(diffFields({ Notes: 'old' }, { Footprint: '0603' })).toEqual([
+                { field: 'Notes', before: 'old', after: null },
+                { field: 'Footprint', before: null, after: '0603' }
+            ]);
+        });
+
+        it('should treat a missing document as empty', () => {
+            expect(diffFields(null, { Value: '10k' })).toEqual([{ field: 'Value', before: null, after: '10k' }]);
+            expect(diffFields({ Value: '10k' }, null)).toEqual([{ field: 'Value', before: '10k', after: null }]);
+        });
+
+        it('should skip bookkeeping fields and unchanged nested values', () => {
+            expect(diffFields(
+                { id: 'a', partId: 'p1', updatedAt: 't0', Qty: [1, 2] },
+                { id: 'b', partId: 'p2', updatedAt: 't1', Qty: [1, 2] }
+            )).toEqual([]);
+        });
+
+        it('should treat undefined and null as the same value', () => {
+            expect(diffFields({ Notes: undefined }, { Notes: null })).toEqual([]);
+        });
+    });
+
+    describe('diffUpdates', () => {
+        it('should only compare the updated fields', () => {
+            expect(diffUpdates({ Value: '10k', Designator: 'R1' }, { Value: '4k7' }))
+                .toEqual([{ field: 'Value', before: '10k', after: '4k7' }]);
+        });
+
+        it('should record removed fields as null', () => {
+            expect(diffUpdates({ Notes: 'old' }, { Notes: undefined }))
+                .toEqual([{ field: 'Notes', before: 'old', after: null }]);
+        });
+    });
+
+    describe('createAuditEntry', () => {
+        it('should build an entry with user, source and timestamp', () => {
+            const changes = [{ field: 'Value', before: '10k', after: '4k7' }];
+            expect(createAuditEntry(changes, { source: AUDIT_SOURCES.BULK, userId: 'u1', userEmail: 'a@example.com' }, '2024-01-01T00:00:00.000Z'))
+                .toEqual({
+                    action: 'update',
+                    source: 'bulk',
+                    userId: 'u1',
+                    userEmail: 'a@example.com',
+                    timestamp: '2024-01-01T00:00:00.000Z',
+                    changes
+                });
+        });
+
+        it('should keep the reason of a correction', () => {
+            const entry = createAuditEntry([], { source: AUDIT_SOURCES.CORRECTION, userId: 'u1', reason: 'Typo in BOM' });
+            expect(entry).toMatchObject({ source: 'correction', reason: 'Typo in BOM' });
+            expect(createAuditEntry([], { userId: 'u1' })).not.toHaveProperty('reason');
+        });
+
+        it('should default to an inline edit by an unknown user', () => {
+            const entry = createAuditEntry([], {});
+            expect(entry).toMatchObject({ action: 'update', source: 'edit', userId: null, userEmail: null });
+            expect(entry.timestamp).toEqual(expect.any(String));
+        });
+    });
+
+    describe('isLPNLockEntry', () => {
+        it('should detect the first LPN assignment', () => {
+            expect(isLPNLockEntry({ changes: [{ field: 'Local_Part_Number', before: null, after: 'KL-00001-ABCDEF' }] })).toBe(true);
+        });
+
+        it('should ignore other changes and LPN removals', () => {
+            expect(isLPNLockEntry({ changes: [{ field: 'Value', before: null, after: '10k' }] })).toBe(false);
+            expect(isLPNLockEntry({ changes: [{ field: 'Local_Part_Number', before: 'KL-00001-ABCDEF', after: null }] })).toBe(false);
+            expect(isLPNLockEntry({})).toBe(false);
+        });
+    });
+
+    describe('mergeHistories', () => {
+        it('should tag entries with their scope and sort them newest first', () => {
+            const merged = mergeHistories(
+                [{ id: 'p1', timestamp: '2024-01-01T00:00:00.000Z' }, { id: 'p2', timestamp: '2024-03-01T00:00:00.000Z' }],
+                [{ id: 'c1', timestamp: '2024-02-01T00:00:00.000Z' }]
+            );
+            expect(merged.map(entry => [entry.id, entry.scope])).toEqual([
+                ['p2', 'part'], ['c1', 'placement'], ['p1', 'part']
+            ]);
+        });
+
+        it('should accept missing histories', () => {
+            expect(mergeHistories(null, undefined)).toEqual([]);
+        });
+    });
+
+    describe('auditTrailToCSV', () => {
+        const component = { ProjectName: 'Board', Designator: 'R1', 'Mfr. Part #': 'RC0603', Local_Part_Number: 'KL-00001-ABCDEF' };
+
+        it('should write one line per changed field', () => {
+            const csv = auditTrailToCSV([{
+                component,
+                entries: [{
+                    timestamp: '2024-01-01T00:00:00.000Z',
+                    userEmail: 'a@example.com',
+                    userId: 'u1',
+                    source: 'edit',
+                    action: 'update',
+                    scope: 'part',
+                    changes: [
+                        { field: 'Value', before: '10k', after: '4k7' },
+                        { field: 'Footprint', before: null, after: '0603' }
+                    ]
+                }]
+            }]);
+            const lines = csv.split('\r\n');
+
+            expect(lines[0]).toBe(AUDIT_CSV_HEADERS.join(','));
+            expect(lines).toHaveLength(3);
+            expect(lines[1]).toBe('2024-01-01T00:00:00.000Z,a@example.com,u1,edit,update,part,Board,R1,RC0603,KL-00001-ABCDEF,Value,10k,4k7');
+            expect(lines[2]).toMatch(/,Footprint,,0603$/);
+        });
+
+        it('should quote values containing commas, quotes or line breaks', () => {
+            const csv = auditTrailToCSV([{
+                component,
+                entries: [{ timestamp: 't', source: 'edit', action: 'update', scope: 'placement', changes: [
+                    { field: 'Description', before: 'RES, 10k', after: 'say "hi"\nthere' }
+                ] }]
+            }]);
+            expect(csv.split('\r\n')[1]).toContain(',"RES, 10k","say ""hi""\nthere"');
+        });
+
+        it('should only write the header without histories', () => {
+            expect(auditTrailToCSV([])).toBe(AUDIT_CSV_HEADERS.join(','));
+        });
+    });
+});
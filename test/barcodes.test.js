@@ -0,0 +1,103 @@
+/**
+ * @file barcodes.test.js
+ * @description Test suite for the Code 128 and DataMatrix encoders used on part labels
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+    encodeCode128,
+    encodeDataMatrixASCII,
+    computeDataMatrixECC,
+    encodeDataMatrix
+} from '../src/utils/barcodes.js';
+
+describe('Barcodes', () => {
+    describe('encodeCode128', () => {
+        it('should encode text in code set B with the check symbol and stop', () => {
+            expect(encodeCode128('PJJ123C').codes).toEqual([104, 48, 42, 42, 17, 18, 19, 35, 55, 106]);
+        });
+
+        it('should pack an even run of digits in code set C', () => {
+            expect(encodeCode128('1234').codes).toEqual([105, 12, 34, 82, 106]);
+        });
+
+        it('should switch to code set C for long digit runs and back', () => {
+            const { codes } = encodeCode128('KL-123456-A');
+            expect(codes.slice(0, 4)).toEqual([104, 43, 44, 13]);
+            expect(codes.slice(4, 8)).toEqual([99, 12, 34, 56]);
+            expect(codes.slice(8, 11)).toEqual([100, 13, 33]);
+        });
+
+        it('should produce 11 modules per symbol plus a 13-module stop', () => {
+            const { codes, modules } = encodeCode128('KL-00123-A3F142');
+            expect(modules).toHaveLength((codes.length - 1) * 11 + 13);
+            expect(modules.startsWith('11010010000')).toBe(true);
+            expect(modules.endsWith('1100011101011')).toBe(true);
+        });
+
+        it('should reject empty text and characters outside printable ASCII', () => {
+            expect(() => encodeCode128('')).toThrow('Nothing to encode');
+            expect(() => encodeCode128('4.7µF')).toThrow('Code 128 cannot encode "µ"');
+        });
+    });
+
+    describe('encodeDataMatrixASCII', () => {
+        it('should pack digit pairs into one codeword', () => {
+            expect(encodeDataMatrixASCII('123456')).toEqual([142, 164, 186]);
+        });
+
+        it('should encode single digits and other ASCII as value plus one', () => {
+            expect(encodeDataMatrixASCII('A1-')).toEqual([66, 50, 46]);
+        });
+
+        it('should use the upper shift for Latin-1 characters', () => {
+            expect(encodeDataMatrixASCII('µ')).toEqual([235, 54]);
+            expect(() => encodeDataMatrixASCII('Ω')).toThrow('DataMatrix cannot encode "Ω"');
+        });
+    });
+
+    describe('computeDataMatrixECC', () => {
+        it('should match the ISO/IEC 16022 example', () => {
+            expect(computeDataMatrixECC([142, 164, 186], 5)).toEqual([114, 25, 5, 88, 102]);
+        });
+    });
+
+    describe('encodeDataMatrix', () => {
+        it('should pick the smallest symbol that holds the data', () => {
+            expect(encodeDataMatrix('123456').size).toBe(10);
+            expect(encodeDataMatrix('KL-00123-A3F142').size).toBe(16);
+            expect(encodeDataMatrix('x'.repeat(100)).size).toBe(40);
+        });
+
+        it('should append padding and error correction codewords', () => {
+            expect(encodeDataMatrix('123456').codewords).toEqual([142, 164, 186, 114, 25, 5, 88, 102]);
+
+            const { codewords } = encodeDataMatrix('A');
+            expect(codewords.slice(0, 3)).toEqual([66, 129, 70]);
+            expect(codewords).toHaveLength(8);
+        });
+
+        it('should frame the data with the finder pattern and clock tracks', () => {
+            const { size, modules } = encodeDataMatrix('KL-00123-A3F142');
+
+            expect(modules).toHaveLength(size);
+            expect(modules.every(row => row.length === size && row[0])).toBe(true);
+            expect(modules[size - 1].every(Boolean)).toBe(true);
+            expect(modules[0].map(Boolean)).toEqual(modules[0].map((_, x) => x % 2 === 0));
+            expect(modules.map(row => row[size - 1])).toEqual(modules.map((_, y) => y % 2 === 1));
+        });
+
+        it('should add the inner finder patterns of multi-region symbols', () => {
+            const { size, modules } = encodeDataMatrix('x'.repeat(50));
+            expect(size).toBe(32);
+            // Second region starts at column 16 with a solid left edge
+            expect(modules.every(row => row[16])).toBe(true);
+            expect(modules[15].every(Boolean)).toBe(true);
+        });
+
+        it('should reject empty and oversized data', () => {
+            expect(() => encodeDataMatrix('')).toThrow('Nothing to encode');
+            expect(() => encodeDataMatrix('x'.repeat(200))).toThrow('Too much data for a DataMatrix label');
+        });
+    });
+});
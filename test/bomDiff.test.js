@@ -0,0 +1,58 @@
+/**
+ * @file bomDiff.test.js
+ * @description Test suite for comparing project BOM revisions
+ */
+
+import { describe, it, expect } from 'vitest';
+import { diffBOMRevisions, isEmptyDiff, NO_MPN_LABEL } from '../src/utils/bomDiff.js';
+
+const rev1 = [
+    { id: 'a1', Designator: 'R1', Value: '10k', 'Mfr. Part #': 'RC0603-10K', Qty: '1' },
+    { id: 'a2', Designator: 'R2', Value: '10k', 'Mfr. Part #': 'RC0603-10K', Qty: '1' },
+    { id: 'a3', Designator: 'C1', Value: '100nF', 'Mfr. Part #': 'GRM188', Qty: '1' },
+    { id: 'a4', Designator: 'TP1', Qty: '1' }
+];
+
+const rev2 = [
+    { id: 'b1', Designator: 'R1', Value: '10k', 'Mfr. Part #': 'RC0603-10K', Qty: '1' },
+    { id: 'b2', Designator: 'R2', Value: '22k', 'Mfr. Part #': 'RC0603-22K', Qty: '1' },
+    { id: 'b3', Designator: 'C1', Value: '100nF', 'Mfr. Part #': 'GRM188', Qty: '1', DNP: 'yes' },
+    { id: 'b4', Designator: 'C2', Value: '100nF', 'Mfr. Part #': 'GRM188', Qty: '1' }
+];
+
+describe('BOM Diff', () => {
+
+    describe('diffBOMRevisions', () => {
+        it('should report added and removed designators', () => {
+            const diff = diffBOMRevisions(rev1, rev2);
+            expect(diff.added.map(entry => entry.designator)).toEqual(['C2']);
+            expect(diff.removed.map(entry => entry.designator)).toEqual(['TP1']);
+        });
+
+        it('should report MPN swaps separately from other field changes', () => {
+            const diff = diffBOMRevisions(rev1, rev2);
+            expect(diff.mpnSwaps).toEqual([{ designator: 'R2', from: 'RC0603-10K', to: 'RC0603-22K' }]);
+            expect(diff.changed).toEqual([
+                { designator: 'R2', changes: [{ field: 'Value', from: '10k', to: '22k' }] },
+                { designator: 'C1', changes: [{ field: 'DNP', from: '', to: 'yes' }] }
+            ]);
+        });
+
+        it('should report quantity deltas per MPN', () => {
+            const diff = diffBOMRevisions(rev1, rev2);
+            expect(diff.quantityDeltas).toEqual([
+                { mpn: NO_MPN_LABEL, from: 1, to: 0, delta: -1 },
+                { mpn: 'GRM188', from: 1, to: 2, delta: 1 },
+                { mpn: 'RC0603-10K', from: 2, to: 1, delta: -1 },
+                { mpn: 'RC0603-22K', from: 0, to: 1, delta: 1 }
+            ]);
+        });
+
+        it('should ignore ids, project and LPN fields', () => {
+            const before = [{ id: 'x', ProjectName: 'A', Designator: 'R1', MPN: 'M', Local_Part_Number: 'KL-1' }];
+            const after = [{ id: 'y', ProjectName: 'B', Designator: 'R1', MPN: 'M' }];
+            expect(isEmptyDiff(diffBOMRevisions(before, after))).toBe(true);
+            expect(isEmptyDiff(diffBOMRevisions(rev1, rev2))).toBe(false);
+        });
+    });
+});
@@ -162,6 +162,29 @@ describe('BOM Parser Utilities', () => { // Top-level describe
             expect(result.flattened[1].Desc).toBe('Test');
             expect(result.ambiguous).toHaveLength(0);
         });
+        it('should expand designator ranges when no Qty column', () => {
+            const rows = [{ 'Designator': 'R1-R4, R7', 'Value': '1k' }, { 'Designator': 'C3..C5', 'Value': '1uF' }];
+            const result = flattenBOM(rows, headers, projectName, 'Designator');
+            expect(result.flattened.map(c => c.Designator)).toEqual(['R1', 'R2', 'R3', 'R4', 'R7', 'C3', 'C4', 'C5']);
+            expect(result.ambiguous).toHaveLength(0);
+        });
+        it('should flatten ranges whose size matches the Qty column', () => {
+            const rows = [{ 'Designator': 'R1-R8', 'Value': '1k', 'Qty': '8' }];
+            const result = flattenBOM(rows, headersWithQty, projectName, 'Designator');
+            expect(result.flattened).toHaveLength(8);
+            expect(result.flattened[7]).toMatchObject({ Designator: 'R8', Qty: '1' });
+            expect(result.ambiguous).toHaveLength(0);
+        });
+        it('should flag ranges whose size does not match the Qty column', () => {
+            const rows = [{ 'Designator': 'R1-R4', 'Value': '1k', 'Qty': '1' }];
+            const result = flattenBOM(rows, headersWithQty, projectName, 'Designator');
+            expect(result.flattened).toHaveLength(0);
+            expect(result.ambiguous).toHaveLength(1);
+            expect(result.ambiguous[0]._ambiguousQty).toBe(true);
+            expect(result.ambiguous[0]._expandedFromRange).toBe(true);
+            expect(result.ambiguous[0]._potentialDesignators).toEqual(['R1', 'R2', 'R3', 'R4']);
+            expect(result.ambiguous[0]._originalQty).toBe(1);
+        });
         it('should handle null or undefined inputs gracefully', () => {
             // Updated expectation to match the new return structure
             expect(flattenBOM(null, headers, 'P1', 'D')).toEqual(expectedEmptyResult);
@@ -0,0 +1,150 @@
+/**
+ * @file bomProfiles.test.js
+ * @description Test suite for BOM import profiles (Altium, Eagle, OrCAD, custom)
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+    CUSTOM_PROFILE_ID,
+    getBOMProfile,
+    getCustomProfile,
+    scoreProfileHeaders,
+    findProfileHeaderRow,
+    detectBOMProfile,
+    applyProfileToConfig
+} from '../src/utils/bomProfiles.js';
+import { parseCsvRows, processBOMFile } from '../src/utils/bomParser.js';
+
+const ALTIUM_CSV = `Comment,Description,Designator,Footprint,LibRef,Quantity
+10k,Resistor,"R1, R2",0603,RES,2
+100nF,Capacitor,C1,0603,CAP,1
+`;
+
+const EAGLE_CSV = `"Qty";"Value";"Device";"Package";"Parts";"Description";"MPN"
+"2";"10k";"R-EU_R0603";"R0603";"R1, R2";"RESISTOR";"RC0603FR-0710KL"
+`;
+
+const ORCAD_CSV = `Bill Of Materials,Revised: Monday March 01 2022
+Page1
+Item,Quantity,Reference,Part,PCB Footprint
+1,2,"C1,C2",100nF,C0603
+2,1,U1,LM358,SOIC8
+`;
+
+const config = {
+    designatorColumn: 'Designator',
+    alternateDesignatorColumns: ['Reference', 'RefDes', 'Ref'],
+    fieldMappings: { 'MPN': 'Mfr. Part #', 'Package': 'Footprint' }
+};
+
+const nonEmptyRows = (text) => (delimiter) =>
+    parseCsvRows(text, delimiter).filter(cells => cells.some(cell => cell));
+
+const makeFile = (name, content) => ({
+    name,
+    text: async () => content,
+    arrayBuffer: async () => content,
+});
+
+describe('BOM Import Profiles', () => {
+
+    describe('scoreProfileHeaders', () => {
+        it('should count signature headers when the designator column is present', () => {
+            const altium = getBOMProfile('altium');
+            expect(scoreProfileHeaders(['Comment', 'Designator', 'Footprint', 'LibRef', 'Quantity'], altium)).toBe(5);
+        });
+        it('should score 0 without the designator column or a distinctive header', () => {
+            const altium = getBOMProfile('altium');
+            expect(scoreProfileHeaders(['Comment', 'Footprint', 'LibRef'], altium)).toBe(0);
+            expect(scoreProfileHeaders(['Designator', 'Description', 'Footprint', 'Quantity'], altium)).toBe(0);
+        });
+    });
+
+    describe('detectBOMProfile', () => {
+        it('should detect Altium BOMs', () => {
+            const result = detectBOMProfile(nonEmptyRows(ALTIUM_CSV));
+            expect(result.profile.id).toBe('altium');
+            expect(result.headerRowOffset).toBe(0);
+        });
+        it('should detect semicolon separated Eagle BOMs', () => {
+            expect(detectBOMProfile(nonEmptyRows(EAGLE_CSV)).profile.id).toBe('eagle');
+        });
+        it('should detect OrCAD BOMs below their title lines', () => {
+            const result = detectBOMProfile(nonEmptyRows(ORCAD_CSV));
+            expect(result.profile.id).toBe('orcad');
+            expect(result.headerRowOffset).toBe(2);
+        });
+        it('should return null for generic BOMs', () => {
+            expect(detectBOMProfile(nonEmptyRows('Designator,Value,Footprint,Quantity\nR1,10k,0603,1'))).toBeNull();
+        });
+    });
+
+    describe('findProfileHeaderRow', () => {
+        it('should find the row with the designator column or fall back to the default offset', () => {
+            const orcad = getBOMProfile('orcad');
+            expect(findProfileHeaderRow(nonEmptyRows(ORCAD_CSV)(','), orcad)).toBe(2);
+            expect(findProfileHeaderRow([['a'], ['b']], orcad)).toBe(2);
+        });
+    });
+
+    describe('applyProfileToConfig', () => {
+        it('should use the profile designator column and merge field mappings', () => {
+            const merged = applyProfileToConfig(getBOMProfile('eagle'), config);
+            expect(merged.designatorColumn).toBe('Parts');
+            expect(merged.alternateDesignatorColumns).toEqual(['Part']);
+            expect(merged.fieldMappings).toMatchObject({ 'MPN': 'Mfr. Part #', 'Device': 'Symbol', 'Package': 'Footprint' });
+        });
+        it('should build the custom profile from the configuration', () => {
+            const custom = getCustomProfile(config);
+            expect(custom.id).toBe(CUSTOM_PROFILE_ID);
+            expect(custom.alternateDesignatorColumns).toEqual(['Reference', 'RefDes', 'Ref']);
+        });
+    });
+
+    describe('processBOMFile with profiles', () => {
+        it('should import Altium BOMs with Comment as Value', async () => {
+            const result = await processBOMFile(makeFile('altium.csv', ALTIUM_CSV), 'P', config);
+            expect(result.profileId).toBe('altium');
+            expect(result.ambiguousComponents).toHaveLength(1);
+            expect(result.components[0]).toMatchObject({ Designator: 'C1', Value: '100nF', Symbol: 'CAP' });
+        });
+
+        it('should import Eagle BOMs using the Parts column', async () => {
+            const result = await processBOMFile(makeFile('eagle.csv', EAGLE_CSV), 'P', config);
+            expect(result.profileId).toBe('eagle');
+            expect(result.ambiguousComponents[0]._potentialDesignators).toEqual(['R1', 'R2']);
+            expect(result.ambiguousComponents[0]['MPN']).toBe('RC0603FR-0710KL');
+        });
+
+        it('should normalize ambiguous rows with the profile', async () => {
+            const result = await processBOMFile(makeFile('eagle.csv', EAGLE_CSV), 'P', config);
+            expect(result.ambiguousComponents[0]).toMatchObject({
+                Designator: 'R1, R2',
+                Footprint: 'R0603',
+                'Mfr. Part #': 'RC0603FR-0710KL',
+                _designatorColumn: 'Parts'
+            });
+        });
+
+        it('should import OrCAD BOMs after skipping the title lines', async () => {
+            const result = await processBOMFile(makeFile('orcad.csv', ORCAD_CSV), 'P', config);
+            expect(result.profileId).toBe('orcad');
+            expect(result.components).toHaveLength(1);
+            expect(result.components[0]).toMatchObject({ Designator: 'U1', Value: 'LM358', Footprint: 'SOIC8' });
+        });
+
+        it('should honour an explicit profile override', async () => {
+            const csv = 'Designator,Value\nR1,10k';
+            const result = await processBOMFile(makeFile('bom.csv', csv), 'P', config, { profileId: 'altium' });
+            expect(result.profileId).toBe('altium');
+            await expect(processBOMFile(makeFile('bom.csv', 'Parts;Value\nR1;10k'), 'P', config, { profileId: 'custom' }))
+                .rejects.toThrow('Could not find designator column');
+        });
+
+        it('should fall back to the custom profile', async () => {
+            const result = await processBOMFile(makeFile('bom.csv', 'Reference,Value\nR1,10k'), 'P', config);
+            expect(result.profileId).toBe(CUSTOM_PROFILE_ID);
+            expect(result.components[0].Designator).toBe('R1');
+        });
+    });
+});
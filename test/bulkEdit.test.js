@@ -0,0 +1,89 @@
+/**
+ * @file bulkEdit.test.js
+ * @description Test suite for planning bulk set-field and find/replace edits
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+    createFindPattern,
+    planSetField,
+    planFindReplace,
+    invertChanges,
+    planRowEdit
+} from '../src/utils/bulkEdit.js';
+
+describe('Bulk Edit', () => {
+    const rows = [
+        { id: 'c1', partId: 'mpn_X1', 'Mfr. Part #': 'X1', Footprint: 'R_0603_1608Metric', Value: '10k' },
+        { id: 'c2', partId: null, Footprint: 'r_0402_1005Metric', Value: '4k7' },
+        { id: 'c3', partId: 'mpn_X3', 'Mfr. Part #': 'X3', Local_Part_Number: 'KL-00001-ABCDEF', Footprint: '0603' }
+    ];
+
+    describe('createFindPattern', () => {
+        it('should escape plain text and honour case sensitivity', () => {
+            expect(createFindPattern('a.b').test('axb')).toBe(false);
+            expect(createFindPattern('ABC').flags).toBe('gi');
+            expect(createFindPattern('ABC', { caseSensitive: true }).flags).toBe('g');
+        });
+
+        it('should throw on empty text or an invalid regular expression', () => {
+            expect(() => createFindPattern('')).toThrow('Nothing to find');
+            expect(() => createFindPattern('(', { regex: true })).toThrow();
+        });
+    });
+
+    describe('planSetField', () => {
+        it('should plan changes with previous values and skip unchanged rows', () => {
+            const { changes, locked } = planSetField(rows, 'Value', '10k');
+            expect(locked).toBe(0);
+            expect(changes).toEqual([
+                { id: 'c2', partId: null, updates: { Value: '10k' }, previous: { Value: '4k7' } },
+                { id: 'c3', partId: 'mpn_X3', updates: { Value: '10k' }, previous: { Value: undefined } }
+            ]);
+        });
+
+        it('should skip MPN fields locked by an assigned LPN', () => {
+            const { changes, locked } = planSetField(rows, 'Mfr. Part #', 'Y1');
+            expect(locked).toBe(1);
+            expect(changes.map(change => change.id)).toEqual(['c1', 'c2']);
+        });
+    });
+
+    describe('planFindReplace', () => {
+        it('should replace plain text case-insensitively within one column', () => {
+            const { changes } = planFindReplace(rows, 'Footprint', 'metric', 'M');
+            expect(changes.map(change => change.updates.Footprint)).toEqual(['R_0603_1608M', 'r_0402_1005M']);
+        });
+
+        it('should support regular expressions with groups', () => {
+            const { changes } = planFindReplace(rows, 'Footprint', '^R_(\\d{4})_.*$', '$1', { regex: true, caseSensitive: true });
+            expect(changes).toHaveLength(1);
+            expect(changes[0]).toMatchObject({ id: 'c1', updates: { Footprint: '0603' }, previous: { Footprint: 'R_0603_1608Metric' } });
+        });
+
+        it('should count matching locked rows instead of changing them', () => {
+            const { changes, locked } = planFindReplace(rows, 'Mfr. Part #', 'X', 'Z');
+            expect(changes.map(change => change.updates['Mfr. Part #'])).toEqual(['Z1']);
+            expect(locked).toBe(1);
+        });
+    });
+
+    describe('planRowEdit', () => {
+        it('should keep only edited fields with their previous values', () => {
+            const edited = { ...rows[0], Value: '4k7', updatedAt: 'later' };
+            expect(planRowEdit(rows[0], edited)).toEqual({
+                id: 'c1', partId: 'mpn_X1', updates: { Value: '4k7' }, previous: { Value: '10k' }
+            });
+            expect(planRowEdit(rows[0], { ...rows[0] })).toBeNull();
+        });
+    });
+
+    describe('invertChanges', () => {
+        it('should swap new and previous values', () => {
+            const { changes } = planSetField(rows.slice(0, 1), 'Value', '1k');
+            expect(invertChanges(changes)).toEqual([
+                { id: 'c1', partId: 'mpn_X1', updates: { Value: '10k' }, previous: { Value: '1k' } }
+            ]);
+        });
+    });
+});
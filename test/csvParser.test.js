@@ -0,0 +1,181 @@
+/**
+ * @file csvParser.test.js
+ * @description Test suite for the streaming RFC 4180 CSV parser and encoding/delimiter detection
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import {
+    createCsvParser,
+    parseCsvText,
+    detectDelimiter,
+    detectEncoding,
+    decodeText,
+    streamCsvFile,
+    readCsvFile
+} from '../src/utils/csvParser.js';
+import { processBOMFile } from '../src/utils/bomParser.js';
+
+const encodeUtf16LE = (text, withBom = true) => {
+    const bytes = new Uint8Array((withBom ? 2 : 0) + text.length * 2);
+    let offset = 0;
+    if (withBom) { bytes[0] = 0xFF; bytes[1] = 0xFE; offset = 2; }
+    for (let i = 0; i < text.length; i++) {
+        bytes[offset + i * 2] = text.charCodeAt(i) & 0xFF;
+        bytes[offset + i * 2 + 1] = text.charCodeAt(i) >> 8;
+    }
+    return bytes;
+};
+
+describe('CSV Parser', () => {
+
+    describe('parseCsvText', () => {
+        it('should keep delimiters, doubled quotes and line breaks inside quoted fields', () => {
+            const rows = parseCsvText('Designator,Description\n"R1,R2","Resistor ""thick film""\nAEC-Q200"\n', ',');
+            expect(rows).toEqual([
+                ['Designator', 'Description'],
+                ['R1,R2', 'Resistor "thick film"\nAEC-Q200'],
+            ]);
+        });
+
+        it('should accept CRLF, CR and LF line endings', () => {
+            expect(parseCsvText('a,b\r\n1,2\r3,4\n5,6', ',')).toEqual([['a', 'b'], ['1', '2'], ['3', '4'], ['5', '6']]);
+        });
+
+        it('should keep blank lines and empty trailing fields', () => {
+            expect(parseCsvText('a,b\n\n1,\n', ',')).toEqual([['a', 'b'], [''], ['1', '']]);
+        });
+
+        it('should detect the delimiter when none is given', () => {
+            expect(parseCsvText('Designator;Value\nR1;10k')).toEqual([['Designator', 'Value'], ['R1', '10k']]);
+        });
+    });
+
+    describe('createCsvParser', () => {
+        it('should produce the same rows however the input is chunked', () => {
+            const text = 'Ref,Note\r\n"C1","say ""hi"""\r\n"C2","a,\r\nb"\r\n';
+            const expected = parseCsvText(text, ',');
+            for (let size = 1; size <= 5; size++) {
+                const rows = [];
+                const parser = createCsvParser(',', cells => rows.push(cells));
+                for (let i = 0; i < text.length; i += size) parser.write(text.slice(i, i + size));
+                parser.end();
+                expect(rows).toEqual(expected);
+            }
+        });
+    });
+
+    describe('detectDelimiter', () => {
+        it('should pick semicolon and tab separated files', () => {
+            expect(detectDelimiter('"Qty";"Value";"Parts"\n"2";"10,5k";"R1, R2"')).toBe(';');
+            expect(detectDelimiter('Designator\tValue\tFootprint\nR1\t10k\t0603')).toBe('\t');
+        });
+        it('should ignore delimiters inside quotes and default to comma', () => {
+            expect(detectDelimiter('Designator,Value\n"R1;R2;R3",10k')).toBe(',');
+            expect(detectDelimiter('Designator')).toBe(',');
+        });
+    });
+
+    describe('detectEncoding / decodeText', () => {
+        it('should recognize byte order marks', () => {
+            expect(detectEncoding(new Uint8Array([0xEF, 0xBB, 0xBF, 0x41]))).toEqual({ encoding: 'utf-8', bomLength: 3 });
+            expect(detectEncoding(new Uint8Array([0xFF, 0xFE, 0x41, 0x00]))).toEqual({ encoding: 'utf-16le', bomLength: 2 });
+            expect(detectEncoding(new Uint8Array([0xFE, 0xFF, 0x00, 0x41]))).toEqual({ encoding: 'utf-16be', bomLength: 2 });
+        });
+
+        it('should decode UTF-16 with and without BOM', () => {
+            expect(decodeText(encodeUtf16LE('Designator,Value\nR1,10µF'))).toEqual({ text: 'Designator,Value\nR1,10µF', encoding: 'utf-16le' });
+            expect(decodeText(encodeUtf16LE('R1,10k', false)).encoding).toBe('utf-16le');
+        });
+
+        it('should fall back to Windows-1252 for invalid UTF-8', () => {
+            // "10µF ±5%" as written by Excel on Windows
+            const bytes = new Uint8Array([0x31, 0x30, 0xB5, 0x46, 0x20, 0xB1, 0x35, 0x25]);
+            expect(decodeText(bytes)).toEqual({ text: '10µF ±5%', encoding: 'windows-1252' });
+        });
+    });
+
+    describe('streamCsvFile', () => {
+        it('should stream rows in chunks and report progress', async () => {
+            const lines = ['Designator,Value'];
+            for (let i = 1; i <= 200; i++) lines.push(`R${i},"${i}k, 1%"`);
+            const file = new File([lines.join('\r\n')], 'bom.csv');
+
+            const rows = [];
+            const progress = [];
+            const result = await streamCsvFile(file, {
+                chunkSize: 64,
+                onRow: cells => rows.push(cells),
+                onProgress: fraction => progress.push(fraction),
+            });
+
+            expect(result).toEqual({ encoding: 'utf-8', delimiter: ',', rowCount: 201 });
+            expect(rows[200]).toEqual(['R200', '200k, 1%']);
+            expect(progress.length).toBeGreaterThan(10);
+            expect(progress[progress.length - 1]).toBe(1);
+        });
+
+        it('should keep multi-byte characters split across chunks intact', async () => {
+            const file = new File(['\uFEFFDesignator;Value\nC1;4µ7\n'], 'bom.csv');
+            const { rows, encoding, delimiter } = await readCsvFile(file, { chunkSize: 3 });
+            expect(encoding).toBe('utf-8');
+            expect(delimiter).toBe(';');
+            expect(rows).toEqual([['Designator', 'Value'], ['C1', '4µ7']]);
+        });
+
+        it('should re-read Windows-1252 files', async () => {
+            const bytes = new Uint8Array([...new TextEncoder().encode('Designator,Value\nC1,10'), 0xB5, 0x46]);
+            const { rows, encoding } = await readCsvFile(new File([bytes], 'bom.csv'), { chunkSize: 8 });
+            expect(encoding).toBe('windows-1252');
+            expect(rows).toEqual([['Designator', 'Value'], ['C1', '10µF']]);
+        });
+
+        it('should hand rows to onRow instead of collecting them', async () => {
+            const file = new File(['Designator,Value\nR1,10k\nR2,1k\n'], 'bom.csv');
+            const rows = [];
+            const result = await readCsvFile(file, { chunkSize: 8, onRow: (cells, index) => rows.push([index, cells]) });
+            expect(result.rows).toEqual([]);
+            expect(rows).toEqual([[0, ['Designator', 'Value']], [1, ['R1', '10k']], [2, ['R2', '1k']]]);
+        });
+
+        it('should let a function choose the delimiter from the leading text', async () => {
+            const file = new File(['Designator;Value,Tolerance\nR1;10k,1%\n'], 'bom.csv');
+            const samples = [];
+            const { rows, delimiter } = await readCsvFile(file, {
+                delimiter: (sample) => { samples.push(sample); return ';'; }
+            });
+            expect(samples).toEqual(['Designator;Value,Tolerance\nR1;10k,1%\n']);
+            expect(delimiter).toBe(';');
+            expect(rows).toEqual([['Designator', 'Value,Tolerance'], ['R1', '10k,1%']]);
+        });
+
+        it('should read UTF-16 files', async () => {
+            const file = new File([encodeUtf16LE('Designator\tValue\r\nR1\t10k\r\n')], 'bom.csv');
+            const { rows, encoding, delimiter } = await readCsvFile(file, { chunkSize: 5 });
+            expect(encoding).toBe('utf-16le');
+            expect(delimiter).toBe('\t');
+            expect(rows).toEqual([['Designator', 'Value'], ['R1', '10k']]);
+        });
+    });
+
+    describe('processBOMFile with CSV dialects', () => {
+        const config = { designatorColumn: 'Designator', alternateDesignatorColumns: [], fieldMappings: {} };
+
+        it('should import semicolon separated files with multi-line cells', async () => {
+            const csv = 'Designator;Value;Description\r\nR1;10k;"Thick film;\r\n0603"\r\nC1;"100nF";X7R\r\n';
+            const result = await processBOMFile(new File([csv], 'bom.csv'), 'P', config);
+            expect(result.delimiter).toBe(';');
+            expect(result.encoding).toBe('utf-8');
+            expect(result.components).toHaveLength(2);
+            expect(result.components[0]).toMatchObject({ Designator: 'R1', Value: '10k', Description: 'Thick film;\r\n0603' });
+        });
+
+        it('should read the file once', async () => {
+            const file = new File(['Designator,Value\nR1,10k\n'], 'bom.csv');
+            const slice = vi.spyOn(file, 'slice');
+            const result = await processBOMFile(file, 'P', config, { profileId: 'altium' });
+            expect(result.components).toHaveLength(1);
+            // The encoding probe and one chunk
+            expect(slice).toHaveBeenCalledTimes(2);
+        });
+    });
+});
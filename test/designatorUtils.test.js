@@ -0,0 +1,63 @@
+/**
+ * @file designatorUtils.test.js
+ * @description Test suite for designator list splitting and range expansion
+ */
+
+import { describe, it, expect } from 'vitest';
+import { MAX_RANGE_SIZE, expandDesignatorRange, splitDesignators } from '../src/utils/designatorUtils.js';
+
+const DEFAULT_SEPARATOR = /[,;]\s*|\s+/;
+
+describe('Designator Utilities', () => {
+
+    describe('expandDesignatorRange', () => {
+        it('should expand dash and double-dot ranges', () => {
+            expect(expandDesignatorRange('R1-R4')).toEqual(['R1', 'R2', 'R3', 'R4']);
+            expect(expandDesignatorRange('C3..C6')).toEqual(['C3', 'C4', 'C5', 'C6']);
+            expect(expandDesignatorRange('IC1-IC2')).toEqual(['IC1', 'IC2']);
+        });
+        it('should accept ranges without a prefix on the end', () => {
+            expect(expandDesignatorRange('D4-6')).toEqual(['D4', 'D5', 'D6']);
+        });
+        it('should keep zero padding', () => {
+            expect(expandDesignatorRange('R08-R10')).toEqual(['R08', 'R09', 'R10']);
+        });
+        it('should collapse degenerate ranges to one designator', () => {
+            expect(expandDesignatorRange('R1-R1')).toEqual(['R1']);
+            expect(expandDesignatorRange('R1..R1')).toEqual(['R1']);
+            expect(expandDesignatorRange('C05-5')).toEqual(['C05']);
+        });
+        it('should reject non-ranges', () => {
+            expect(expandDesignatorRange('R7')).toBeNull();
+            expect(expandDesignatorRange('R1-C4')).toBeNull();
+            expect(expandDesignatorRange('R5-R2')).toBeNull();
+            expect(expandDesignatorRange('1-4')).toBeNull();
+            expect(expandDesignatorRange(`R1-R${MAX_RANGE_SIZE + 1}`)).toBeNull();
+        });
+    });
+
+    describe('splitDesignators', () => {
+        it('should split lists without ranges', () => {
+            expect(splitDesignators('R1, R2 R3; R4', DEFAULT_SEPARATOR))
+                .toEqual({ designators: ['R1', 'R2', 'R3', 'R4'], hasRange: false });
+        });
+        it('should expand mixed lists', () => {
+            expect(splitDesignators('R1-R4, R7', DEFAULT_SEPARATOR))
+                .toEqual({ designators: ['R1', 'R2', 'R3', 'R4', 'R7'], hasRange: true });
+        });
+        it('should expand ranges written with spaces', () => {
+            expect(splitDesignators('C3 .. C6', DEFAULT_SEPARATOR).designators).toEqual(['C3', 'C4', 'C5', 'C6']);
+            expect(splitDesignators('R1 - R3', DEFAULT_SEPARATOR).designators).toEqual(['R1', 'R2', 'R3']);
+        });
+        it('should not count degenerate ranges as ranges', () => {
+            expect(splitDesignators('R1-R1, R2', DEFAULT_SEPARATOR)).toEqual({ designators: ['R1', 'R2'], hasRange: false });
+            expect(splitDesignators('C3 .. C3', DEFAULT_SEPARATOR)).toEqual({ designators: ['C3'], hasRange: false });
+        });
+        it('should accept a separator given as regex source', () => {
+            expect(splitDesignators('R1,R2', ',\\s*').designators).toEqual(['R1', 'R2']);
+        });
+        it('should return an empty list for empty input', () => {
+            expect(splitDesignators('', DEFAULT_SEPARATOR)).toEqual({ designators: [], hasRange: false });
+        });
+    });
+});
@@ -0,0 +1,127 @@
+/**
+ * @file excelReader.test.js
+ * @description Test suite for Excel cell text resolution, header row detection and worksheet selection
+ */
+
+import { describe, it, expect } from 'vitest';
+import ExcelJS from 'exceljs';
+import { getCellValueText, getWorksheetRows, loadWorkbook } from '../src/utils/excelReader.js';
+import { scoreHeaderRow, detectHeaderRow } from '../src/utils/bomProfiles.js';
+import { parseExcel, processBOMFile } from '../src/utils/bomParser.js';
+
+const config = {
+    designatorColumn: 'Designator',
+    alternateDesignatorColumns: ['Reference', 'RefDes'],
+    fieldMappings: { 'Mfr. Part #': 'MPN' }
+};
+
+// Builds an .xlsx buffer; `sheets` maps sheet names to a function filling the worksheet
+const buildWorkbook = async (sheets) => {
+    const workbook = new ExcelJS.Workbook();
+    Object.entries(sheets).forEach(([name, fill]) => fill(workbook.addWorksheet(name)));
+    return workbook.xlsx.writeBuffer();
+};
+
+const makeXlsxFile = (name, buffer) => ({
+    name,
+    arrayBuffer: async () => buffer,
+});
+
+// A supplier BOM with a merged title block, a logo row and formula/rich-text cells
+const fillSupplierBom = (sheet) => {
+    sheet.getCell('A1').value = 'ACME Electronics - Bill of Materials';
+    sheet.mergeCells('A1:D1');
+    sheet.getCell('A2').value = { richText: [{ text: 'Project: ' }, { font: { bold: true }, text: 'Widget' }] };
+    sheet.addRow([]);
+    sheet.addRow(['Item', 'Reference', 'Value', 'Mfr. Part #']);
+    sheet.addRow([1, 'R1', { richText: [{ text: '10' }, { text: 'k' }] }, 'RC0603FR-0710KL']);
+    sheet.addRow([2, { formula: '"C"&A6', result: 'C2' }, '100nF', { text: 'GRM188', hyperlink: 'https://example.com' }]);
+};
+
+describe('Excel Reader', () => {
+
+    describe('getCellValueText', () => {
+        it('should resolve rich text, formulas, hyperlinks and errors to displayed text', () => {
+            expect(getCellValueText({ richText: [{ text: '4' }, { text: 'k7' }] })).toBe('4k7');
+            expect(getCellValueText({ formula: 'A1*2', result: 20 })).toBe('20');
+            expect(getCellValueText({ sharedFormula: 'A1', result: { richText: [{ text: 'x' }] } })).toBe('x');
+            expect(getCellValueText({ text: 'Datasheet', hyperlink: 'https://example.com' })).toBe('Datasheet');
+            expect(getCellValueText({ error: '#N/A' })).toBe('#N/A');
+            expect(getCellValueText({ formula: 'A1' })).toBe('');
+            expect(getCellValueText(new Date(Date.UTC(2024, 0, 31)))).toBe('2024-01-31');
+            expect(getCellValueText(null)).toBe('');
+        });
+    });
+
+    describe('getWorksheetRows', () => {
+        it('should repeat vertically merged cells and not horizontally merged ones', async () => {
+            const buffer = await buildWorkbook({
+                BOM: (sheet) => {
+                    sheet.getCell('A1').value = 'Reference';
+                    sheet.mergeCells('A1:A2');
+                    sheet.getCell('B1').value = 'Manufacturer';
+                    sheet.mergeCells('B1:C1');
+                    sheet.getCell('B2').value = 'Name';
+                    sheet.getCell('C2').value = 'MPN';
+                },
+            });
+            const workbook = await loadWorkbook(buffer);
+            expect(getWorksheetRows(workbook.worksheets[0])).toEqual([
+                ['Reference', 'Manufacturer', ''],
+                ['Reference', 'Name', 'MPN'],
+            ]);
+        });
+    });
+
+    describe('scoreHeaderRow / detectHeaderRow', () => {
+        it('should score rows naming designator and MPN columns', () => {
+            expect(scoreHeaderRow(['Item', 'Reference', 'Value', 'Mfr. Part #'], config)).toBe(6);
+            expect(scoreHeaderRow(['Item', 'Manufacturer Part Number'], config)).toBe(2);
+            expect(scoreHeaderRow(['Value', 'Description'], config)).toBe(0);
+        });
+
+        it('should find the header below title rows', () => {
+            const rows = [['ACME BOM'], ['Value: see notes'], ['Ref Des', 'Value', 'MPN'], ['R1', '10k', 'X']];
+            expect(detectHeaderRow(rows, config)).toBe(2);
+            expect(detectHeaderRow([['a', 'b'], ['1', '2']], config)).toBe(0);
+        });
+    });
+
+    describe('parseExcel', () => {
+        it('should skip title blocks and convert cell objects to text', async () => {
+            const buffer = await buildWorkbook({ BOM: fillSupplierBom });
+            const result = await parseExcel(buffer, { config });
+            expect(result.rawHeaders).toEqual(['Item', 'Reference', 'Value', 'Mfr. Part #']);
+            expect(result.rawRows).toEqual([
+                { Item: '1', Reference: 'R1', Value: '10k', 'Mfr. Part #': 'RC0603FR-0710KL' },
+                { Item: '2', Reference: 'C2', Value: '100nF', 'Mfr. Part #': 'GRM188' },
+            ]);
+            expect(result.sheetNames).toEqual(['BOM']);
+        });
+    });
+
+    describe('processBOMFile with workbooks', () => {
+        const buildMultiSheet = () => buildWorkbook({
+            Cover: (sheet) => { sheet.addRow(['Customer', 'ACME']); sheet.addRow(['Revision', 'B']); },
+            BOM: fillSupplierBom,
+            DNP: (sheet) => { sheet.addRow(['Designator', 'Value']); sheet.addRow(['R9', '0R']); },
+        });
+
+        it('should import the first sheet with a BOM header and list all sheets', async () => {
+            const result = await processBOMFile(makeXlsxFile('bom.xlsx', await buildMultiSheet()), 'P', config);
+            expect(result.sheetName).toBe('BOM');
+            expect(result.sheetNames).toEqual(['Cover', 'BOM', 'DNP']);
+            expect(result.components.map(comp => comp.Designator)).toEqual(['R1', 'C2']);
+            expect(result.components[0].MPN).toBe('RC0603FR-0710KL');
+        });
+
+        it('should import the requested sheet', async () => {
+            const result = await processBOMFile(makeXlsxFile('bom.xlsx', await buildMultiSheet()), 'P', config, { sheetName: 'DNP' });
+            expect(result.sheetName).toBe('DNP');
+            expect(result.components).toHaveLength(1);
+            expect(result.components[0]).toMatchObject({ Designator: 'R9', Value: '0R' });
+            await expect(processBOMFile(makeXlsxFile('bom.xlsx', await buildMultiSheet()), 'P', config, { sheetName: 'Missing' }))
+                .rejects.toThrow('Worksheet "Missing" not found');
+        });
+    });
+});
@@ -175,6 +175,16 @@ describe('Firebase Authentication', () => {
             triggerAuthStateChange(createMockUser('another-user'));
             expect(callback).not.toHaveBeenCalled();
         });
+
+        it('should tell whether the email address is verified', () => {
+            const callback = vi.fn();
+            const unsubscribe = subscribeToAuthChanges(callback);
+
+            triggerAuthStateChange({ ...createMockUser('verified-user'), emailVerified: true });
+            expect(callback).toHaveBeenLastCalledWith(expect.objectContaining({ uid: 'verified-user', emailVerified: true }));
+
+            unsubscribe();
+        });
     });
 });
 
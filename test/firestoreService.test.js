@@ -5,10 +5,16 @@
 import { describe, it, expect, vi, beforeEach } from 'vitest';
 import {
     subscribeToComponents, subscribeToProjectComponents, addComponent, addComponentsBatch,
-    updateComponent, deleteComponent, deleteProjectComponents, deleteAllComponents,
-    getNextLPNSequence, saveUserSettings, loadUserSettings, checkMPNExists,
-    findLPNForMPN // Ensure this is exported from the actual service file
+    updateComponent, deleteComponent, deleteProjectComponents,
+    createLPNRequest, subscribeToLPNRequests, issueLPN, issueLPNsInBatch, backfillLPNRegistry, setLPNLifecycle, addAlternateMPN, changeLockedMPN, rejectLPNRequest, saveUserSettings, loadUserSettings, subscribeToLPNScheme, saveLPNScheme, checkMPNExists,
+    findLPNForMPN, // Ensure this is exported from the actual service file
+    findLPNForPart,
+    saveBOMRevision, getBOMRevisions, restoreBOMRevision, replaceProjectComponents,
+    updateComponentsBatch, deleteComponentsBatch, restoreComponentsBatch,
+    softDeleteProject, restoreDeletedProject, getDeletedProjects, purgeDeletedProjects, softDeleteLibrary, restoreDeletedLibrary,
+    getComponentHistory
 } from '../src/services/firestoreService.js';
+import { resolveLPNFormat, generateMPNHash } from '../src/utils/lpnUtils.js';
 
 // --- Mock Firestore ---
 vi.mock('firebase/firestore', async (importOriginal) => {
@@ -34,6 +40,8 @@ vi.mock('firebase/firestore', async (importOriginal) => {
         onSnapshot: vi.fn(),
         increment: vi.fn((value) => ({ _incrementValue: value })),
         runTransaction: vi.fn(),
+        writeBatch: vi.fn(),
+        deleteField: vi.fn(() => ({ _deleteField: true })),
     };
 });
 
@@ -48,6 +56,10 @@ const getMockedFirestore = async () => await import('firebase/firestore');
 
 describe('firestoreService', () => {
     let firestoreMocks;
+
+    // Writes of one kind ('set', 'update', 'delete') queued on the batches created so far
+    const batchWrites = (method = 'set') => firestoreMocks.writeBatch.mock.results
+        .flatMap(({ value }) => value[method].mock.calls);
     beforeEach(async () => {
         vi.clearAllMocks();
         firestoreMocks = await getMockedFirestore();
@@ -61,6 +73,9 @@ describe('firestoreService', () => {
         firestoreMocks.setDoc.mockResolvedValue();
         firestoreMocks.updateDoc.mockResolvedValue();
         firestoreMocks.deleteDoc.mockResolvedValue();
+        firestoreMocks.writeBatch.mockImplementation(() => ({
+            set: vi.fn(), update: vi.fn(), delete: vi.fn(), commit: vi.fn().mockResolvedValue()
+        }));
         firestoreMocks.runTransaction.mockImplementation(async (db, updateFunction) => {
              const mockCounterDoc = {
                  exists: () => true,
@@ -80,19 +95,68 @@ describe('firestoreService', () => {
         const userId = 'user1';
         const compData = { id: 'comp1', name: 'Test' };
 
-        it('addComponent should call setDoc with correct path and data', async () => {
+        it('addComponent should write the placement with correct path and data', async () => {
             await addComponent(userId, compData);
-            expect(firestoreMocks.setDoc).toHaveBeenCalledWith(
-                expect.objectContaining({ _path: `db/users/${userId}/components/comp1` }),
-                expect.objectContaining({ name: 'Test', id: 'comp1', createdAt: expect.any(String) })
-            );
+            expect(batchWrites()).toContainEqual([
+                expect.objectContaining({ _path: `db/users/${userId}/placements/comp1` }),
+                expect.objectContaining({ name: 'Test', createdAt: expect.any(String) })
+            ]);
+        });
+
+        it('addComponent should write to a shared workspace library', async () => {
+            await addComponent('workspaces/w1', { id: 'comp3', Designator: 'R1', 'Mfr. Part #': 'X1' });
+            expect(batchWrites()).toContainEqual([
+                expect.objectContaining({ _path: 'db/workspaces/w1/placements/comp3' }),
+                expect.objectContaining({ partId: 'mpn_X1' })
+            ]);
+            expect(batchWrites()).toContainEqual([
+                expect.objectContaining({ _path: 'db/workspaces/w1/parts/mpn_X1' }),
+                expect.anything()
+            ]);
+        });
+
+        it('addComponent should store part attributes on the part and placement fields on the placement', async () => {
+            await addComponent(userId, { id: 'comp2', ProjectName: 'P', Designator: 'R1', Qty: '1', 'Mfr. Part #': 'rc0603', Value: '10k' });
+            expect(batchWrites()).toContainEqual([
+                expect.objectContaining({ _path: `db/users/${userId}/parts/mpn_RC0603` }),
+                expect.objectContaining({ 'Mfr. Part #': 'rc0603', Value: '10k', createdAt: expect.any(String) })
+            ]);
+            const placementData = batchWrites()
+                .find(([ref]) => ref._path === `db/users/${userId}/placements/comp2`)[1];
+            expect(placementData).toMatchObject({ ProjectName: 'P', Designator: 'R1', Qty: '1', partId: 'mpn_RC0603' });
+            expect(placementData).not.toHaveProperty('Value');
+        });
+
+        it('addComponentsBatch should only fill missing attributes of existing parts', async () => {
+            firestoreMocks.getDocs.mockResolvedValue({ docs: [{ id: 'mpn_X1', data: () => ({ 'Mfr. Part #': 'X1', Value: '10k' }) }] });
+            await addComponentsBatch(userId, [
+                { id: 'c1', Designator: 'R1', 'Mfr. Part #': 'X1', Value: '1k', Footprint: '0603' },
+                { id: 'c2', Designator: 'R2', 'Mfr. Part #': 'X1', Value: '1k' }
+            ]);
+            const partWrites = batchWrites().filter(([ref]) => ref._path.includes('/parts/') && !ref._path.includes('/history/'));
+            expect(partWrites).toHaveLength(1);
+            expect(partWrites[0][1]).toEqual({ Footprint: '0603', updatedAt: expect.any(String) });
+            expect(partWrites[0][2]).toEqual({ merge: true });
+        });
+
+        it('addComponentsBatch should read the stored parts in chunked queries', async () => {
+            const components = Array.from({ length: 35 }, (_, index) => ({ id: `c${index}`, Designator: `R${index}`, 'Mfr. Part #': `X${index}` }));
+            await addComponentsBatch(userId, components);
+            expect(firestoreMocks.getDoc).not.toHaveBeenCalled();
+            // 35 part ids, at most 30 values per query
+            expect(firestoreMocks.getDocs).toHaveBeenCalledTimes(2);
+            expect(firestoreMocks.writeBatch).toHaveBeenCalledTimes(1);
         });
 
-        it('addComponentsBatch should call addComponent for each component', async () => {
-            const components = [{ id: 'c1' }, { id: 'c2' }];
-            // Since addComponent is mocked via setDoc, check setDoc calls
+        it('addComponentsBatch should write every placement with its history entry in one batch', async () => {
+            const components = [{ id: 'c1', Designator: 'R1' }, { id: 'c2', Designator: 'R2' }];
             await addComponentsBatch(userId, components);
-            expect(firestoreMocks.setDoc).toHaveBeenCalledTimes(components.length);
+            expect(firestoreMocks.setDoc).not.toHaveBeenCalled();
+            expect(firestoreMocks.writeBatch).toHaveBeenCalledTimes(1);
+            expect(batchWrites().map(([ref]) => ref._path)).toEqual([
+                'db/users/user1/placements/c1', 'db/users/user1/placements/c1/history/',
+                'db/users/user1/placements/c2', 'db/users/user1/placements/c2/history/'
+            ]);
         });
 
 
@@ -100,15 +164,35 @@ describe('firestoreService', () => {
             const updates = { name: 'Updated' };
             await updateComponent(userId, 'comp1', updates);
             expect(firestoreMocks.updateDoc).toHaveBeenCalledWith(
-                expect.objectContaining({ _path: `db/users/${userId}/components/comp1` }),
+                expect.objectContaining({ _path: `db/users/${userId}/placements/comp1` }),
                 expect.objectContaining({ name: 'Updated', updatedAt: expect.any(String) })
             );
         });
 
+        it('updateComponent should write part attributes to the shared part', async () => {
+            const batch = { set: vi.fn(), update: vi.fn(), commit: vi.fn().mockResolvedValue() };
+            firestoreMocks.writeBatch.mockReturnValueOnce(batch);
+            firestoreMocks.getDoc.mockResolvedValueOnce({ exists: () => true, data: () => ({ partId: 'mpn_X1', Designator: 'R1' }) });
+            await updateComponent(userId, 'comp1', { Value: '22k', Designator: 'R7' });
+            expect(batch.set).toHaveBeenCalledWith(
+                expect.objectContaining({ _path: `db/users/${userId}/parts/mpn_X1` }),
+                { Value: '22k', updatedAt: expect.any(String) },
+                { merge: true }
+            );
+            expect(batch.update).toHaveBeenCalledWith(
+                expect.objectContaining({ _path: `db/users/${userId}/placements/comp1` }),
+                { Designator: 'R7', updatedAt: expect.any(String) }
+            );
+            // History entries of the part and the placement go in the same batch
+            expect(batch.set).toHaveBeenCalledTimes(3);
+            expect(batch.commit).toHaveBeenCalledTimes(1);
+            expect(firestoreMocks.updateDoc).not.toHaveBeenCalled();
+        });
+
         it('deleteComponent should call deleteDoc with correct path', async () => {
             await deleteComponent(userId, 'comp1');
             expect(firestoreMocks.deleteDoc).toHaveBeenCalledWith(
-                expect.objectContaining({ _path: `db/users/${userId}/components/comp1` })
+                expect.objectContaining({ _path: `db/users/${userId}/placements/comp1` })
             );
         });
     });
@@ -132,77 +216,1224 @@ describe('firestoreService', () => {
             await deleteProjectComponents(userId, projectName);
 
             expect(firestoreMocks.query).toHaveBeenCalledWith(
-                expect.objectContaining({ _path: `db/users/${userId}/components` }),
+                expect.objectContaining({ _path: `db/users/${userId}/placements` }),
                 expect.objectContaining({ _field: 'ProjectName', _op: '==', _value: projectName })
             );
             expect(firestoreMocks.deleteDoc).toHaveBeenCalledTimes(mockDocs.length);
             expect(firestoreMocks.deleteDoc).toHaveBeenCalledWith('ref1');
             expect(firestoreMocks.deleteDoc).toHaveBeenCalledWith('ref2');
         });
+    });
 
-        it('deleteAllComponents should get all docs and call deleteDoc for each', async () => {
-            const mockDocs = [{ id: 'c1', ref: 'ref1' }, { id: 'c2', ref: 'ref2' }];
-            firestoreMocks.getDocs.mockResolvedValue({
-                empty: false,
-                docs: mockDocs,
-                forEach: (cb) => mockDocs.forEach(cb)
-            });
+    // --- LPN Counter ---
+    describe('BOM Revisions', () => {
+        const userId = 'user1';
 
-            await deleteAllComponents(userId);
+        it('saveBOMRevision should number revisions per project and mark the new one active', async () => {
+            const transaction = {
+                get: vi.fn().mockResolvedValue({ exists: () => true, data: () => ({ revisionCount: 2 }) }),
+                set: vi.fn()
+            };
+            firestoreMocks.runTransaction.mockImplementationOnce(async (db, updateFunction) => updateFunction(transaction));
+
+            const components = [{ id: 'c1', Designator: 'R1' }];
+            const number = await saveBOMRevision(userId, 'Main Board', { fileName: 'bom.csv', uploadedBy: 'a@b.c', components });
+
+            expect(number).toBe(3);
+            expect(transaction.get).toHaveBeenCalledWith(expect.objectContaining({ _path: `db/users/${userId}/projects/Main%20Board` }));
+            expect(transaction.set).toHaveBeenCalledWith(
+                expect.objectContaining({ _path: `db/users/${userId}/projects/Main%20Board/revisions/3` }),
+                { number: 3, fileName: 'bom.csv', uploadedBy: 'a@b.c', uploadedAt: expect.any(String), componentCount: 1, chunkCount: 1 }
+            );
+            expect(transaction.set).toHaveBeenCalledWith(
+                expect.objectContaining({ _path: `db/users/${userId}/projects/Main%20Board/revisions/3/chunks/0` }),
+                { index: 0, components }
+            );
+            expect(transaction.set).toHaveBeenCalledWith(
+                expect.objectContaining({ _path: `db/users/${userId}/projects/Main%20Board` }),
+                expect.objectContaining({ revisionCount: 3, activeRevision: 3 }),
+                { merge: true }
+            );
+        });
+
+        it('saveBOMRevision should split large BOMs into chunks below the document size limit', async () => {
+            const transaction = {
+                get: vi.fn().mockResolvedValue({ exists: () => false }),
+                set: vi.fn()
+            };
+            firestoreMocks.runTransaction.mockImplementationOnce(async (db, updateFunction) => updateFunction(transaction));
 
+            const description = 'x'.repeat(1000);
+            const components = Array.from({ length: 1500 }, (_, i) => ({ id: `c${i}`, Designator: `R${i}`, Description: description }));
+            await saveBOMRevision(userId, 'P', { components });
+
+            const chunks = transaction.set.mock.calls
+                .filter(([ref]) => ref._path.includes('/chunks/'))
+                .map(([, data]) => data);
+            expect(chunks.length).toBeGreaterThan(1);
+            chunks.forEach(chunk => expect(JSON.stringify(chunk).length).toBeLessThan(1024 * 1024));
+            expect(chunks.flatMap(chunk => chunk.components)).toEqual(components);
+            expect(transaction.set).toHaveBeenCalledWith(
+                expect.objectContaining({ _path: `db/users/${userId}/projects/P/revisions/1` }),
+                expect.objectContaining({ componentCount: 1500, chunkCount: chunks.length })
+            );
+        });
+
+        it('getBOMRevisions should assemble the components of chunked revisions', async () => {
+            const revisions = [{ id: '1', data: () => ({ number: 1, chunkCount: 2 }) }];
+            const chunks = [
+                { id: '1', data: () => ({ index: 1, components: [{ id: 'c2' }] }) },
+                { id: '0', data: () => ({ index: 0, components: [{ id: 'c1' }] }) }
+            ];
+            firestoreMocks.getDocs
+                .mockResolvedValueOnce({ docs: revisions, forEach: (cb) => revisions.forEach(cb) })
+                .mockResolvedValueOnce({ docs: chunks, forEach: (cb) => chunks.forEach(cb) });
+
+            const result = await getBOMRevisions(userId, 'P');
+            expect(result.revisions[0].components).toEqual([{ id: 'c1' }, { id: 'c2' }]);
             expect(firestoreMocks.getDocs).toHaveBeenCalledWith(
-                expect.objectContaining({ _path: `db/users/${userId}/components` })
+                expect.objectContaining({ _path: `db/users/${userId}/projects/P/revisions/1/chunks` })
             );
-            expect(firestoreMocks.deleteDoc).toHaveBeenCalledTimes(mockDocs.length);
-            expect(firestoreMocks.deleteDoc).toHaveBeenCalledWith('ref1');
-            expect(firestoreMocks.deleteDoc).toHaveBeenCalledWith('ref2');
+        });
+
+        it('getBOMRevisions should return revisions oldest first with the active number', async () => {
+            const docs = [
+                { id: '2', data: () => ({ number: 2, fileName: 'b.csv' }) },
+                { id: '1', data: () => ({ number: 1, fileName: 'a.csv' }) }
+            ];
+            firestoreMocks.getDocs.mockResolvedValueOnce({ docs, forEach: (cb) => docs.forEach(cb) });
+            firestoreMocks.getDoc.mockResolvedValueOnce({ exists: () => true, data: () => ({ activeRevision: 1 }) });
+
+            const result = await getBOMRevisions(userId, 'P');
+            expect(result.activeRevision).toBe(1);
+            expect(result.revisions.map(revision => revision.fileName)).toEqual(['a.csv', 'b.csv']);
+        });
+
+        it('restoreBOMRevision should replace the project placements with the revision', async () => {
+            const components = [{ id: 'c1', ProjectName: 'P', Designator: 'R1' }];
+            firestoreMocks.getDoc.mockResolvedValueOnce({ exists: () => true, data: () => ({ components }) });
+
+            await expect(restoreBOMRevision(userId, 'P', 1)).resolves.toEqual(components);
+            expect(firestoreMocks.query).toHaveBeenCalledWith(
+                expect.objectContaining({ _path: `db/users/${userId}/placements` }),
+                expect.objectContaining({ _field: 'ProjectName', _value: 'P' })
+            );
+            expect(batchWrites()).toContainEqual([
+                expect.objectContaining({ _path: `db/users/${userId}/placements/c1` }),
+                expect.objectContaining({ Designator: 'R1' })
+            ]);
+            expect(firestoreMocks.setDoc).toHaveBeenCalledWith(
+                expect.objectContaining({ _path: `db/users/${userId}/projects/P` }),
+                expect.objectContaining({ activeRevision: 1 }),
+                { merge: true }
+            );
+
+            firestoreMocks.getDoc.mockResolvedValueOnce({ exists: () => false });
+            await expect(restoreBOMRevision(userId, 'P', 9)).rejects.toThrow('Revision 9 of "P" not found');
+        });
+
+        it('restoreBOMRevision should read the components of a chunked revision', async () => {
+            const components = [{ id: 'c1', ProjectName: 'P', Designator: 'R1' }];
+            const chunks = [{ id: '0', data: () => ({ index: 0, components }) }];
+            firestoreMocks.getDoc.mockResolvedValueOnce({ exists: () => true, data: () => ({ number: 2, chunkCount: 1 }) });
+            firestoreMocks.getDocs.mockResolvedValueOnce({ docs: chunks, forEach: (cb) => chunks.forEach(cb) });
+
+            await expect(restoreBOMRevision(userId, 'P', 2)).resolves.toEqual(components);
+            expect(batchWrites()).toContainEqual([
+                expect.objectContaining({ _path: `db/users/${userId}/placements/c1` }),
+                expect.objectContaining({ Designator: 'R1' })
+            ]);
+        });
+        it('replaceProjectComponents should add the new placements before deleting the old ones with history entries', async () => {
+            const writes = [];
+            firestoreMocks.writeBatch.mockImplementation(() => ({
+                set: vi.fn((ref, data) => writes.push(['set', ref._path, data])),
+                update: vi.fn(),
+                delete: vi.fn(ref => writes.push(['delete', ref._path])),
+                commit: vi.fn().mockResolvedValue()
+            }));
+            const placementDoc = (id, data) => ({ id, ref: { _path: `db/users/${userId}/placements/${id}` }, data: () => data });
+            const docs = [
+                placementDoc('old1', { ProjectName: 'P', Designator: 'C1' }),
+                placementDoc('c1', { ProjectName: 'P', Designator: 'R1' })
+            ];
+            firestoreMocks.getDocs
+                .mockResolvedValueOnce({ docs, forEach: (cb) => docs.forEach(cb) })
+                .mockResolvedValue({ empty: true, docs: [], forEach: vi.fn() });
+
+            await replaceProjectComponents(userId, 'P', [{ id: 'c1', ProjectName: 'P', Designator: 'R2' }]);
+
+            const placementWrite = writes.findIndex(([method, path]) => method === 'set' && path === `db/users/${userId}/placements/c1`);
+            const deletion = writes.findIndex(([method]) => method === 'delete');
+            expect(placementWrite).toBeGreaterThanOrEqual(0);
+            expect(deletion).toBeGreaterThan(placementWrite);
+            expect(writes.filter(([method]) => method === 'delete')).toEqual([['delete', `db/users/${userId}/placements/old1`]]);
+            expect(writes[deletion + 1]).toEqual([
+                'set',
+                `db/users/${userId}/placements/old1/history/`,
+                expect.objectContaining({ action: 'delete' })
+            ]);
+            expect(firestoreMocks.deleteDoc).not.toHaveBeenCalled();
         });
     });
 
-    // --- LPN Counter ---
-    describe('LPN Counter', () => {
-        it('getNextLPNSequence should run transaction and increment sequence', async () => {
-            firestoreMocks.runTransaction.mockImplementation(async (db, updateFunction) => {
-                const mockCounterDoc = {
-                    exists: () => true,
-                    data: () => ({ sequence: 5 })
-                };
-                const transaction = {
-                    get: vi.fn().mockResolvedValue(mockCounterDoc),
-                    set: vi.fn()
-                };
-                const nextSequence = await updateFunction(transaction);
-                expect(transaction.get).toHaveBeenCalledWith(expect.objectContaining({ _path: 'db/system/lpn_counter' }));
-                expect(transaction.set).toHaveBeenCalledWith(expect.objectContaining({ _path: 'db/system/lpn_counter' }), { sequence: 6 }, { merge: true });
-                return nextSequence;
-            });
-
-            const result = await getNextLPNSequence();
-            expect(result).toBe(6);
-        });
-
-        it('getNextLPNSequence should handle counter not existing', async () => {
-            firestoreMocks.runTransaction.mockImplementation(async (db, updateFunction) => {
-                const mockCounterDoc = { exists: () => false };
-                const transaction = { get: vi.fn().mockResolvedValue(mockCounterDoc), set: vi.fn() };
-                const nextSequence = await updateFunction(transaction);
-                expect(transaction.set).toHaveBeenCalledWith(expect.anything(), { sequence: 1 }, { merge: true });
-                return nextSequence;
-            });
-            const result = await getNextLPNSequence();
-            expect(result).toBe(1);
-        });
-
-        it('getNextLPNSequence should throw error if limit reached', async () => {
-             // FIX: The mock needs to actually throw the error from the updateFunction
-             firestoreMocks.runTransaction.mockImplementation(async (db, updateFunction) => {
-                const mockCounterDoc = { exists: () => true, data: () => ({ sequence: 99999 }) };
-                const transaction = { get: vi.fn().mockResolvedValue(mockCounterDoc), set: vi.fn() };
-                // Let updateFunction run and throw, runTransaction should propagate it
-                return await updateFunction(transaction);
-             });
-             // Now test that calling getNextLPNSequence causes the rejection
-             await expect(getNextLPNSequence()).rejects.toThrow('LPN sequence limit reached');
+    describe('Bulk Operations', () => {
+        const userId = 'user1';
+        let batches;
+
+        beforeEach(() => {
+            batches = [];
+            firestoreMocks.writeBatch.mockImplementation(() => {
+                const batch = { set: vi.fn(), update: vi.fn(), delete: vi.fn(), commit: vi.fn().mockResolvedValue() };
+                batches.push(batch);
+                return batch;
+            });
+        });
+
+        it('updateComponentsBatch should split updates between part and placement', async () => {
+            await updateComponentsBatch(userId, [
+                { id: 'c1', partId: 'mpn_X1', updates: { Footprint: '0603', Designator: 'R9' } },
+                { id: 'c2', partId: null, updates: { Footprint: undefined } }
+            ]);
+
+            expect(batches).toHaveLength(1);
+            const [batch] = batches;
+            expect(batch.set).toHaveBeenCalledWith(
+                expect.objectContaining({ _path: 'db/users/user1/parts/mpn_X1' }),
+                expect.objectContaining({ Footprint: '0603' }),
+                { merge: true }
+            );
+            expect(batch.update).toHaveBeenCalledWith(
+                expect.objectContaining({ _path: 'db/users/user1/placements/c1' }),
+                expect.objectContaining({ Designator: 'R9' })
+            );
+            // Fields the row did not have before are removed again
+            expect(batch.update).toHaveBeenCalledWith(
+                expect.objectContaining({ _path: 'db/users/user1/placements/c2' }),
+                expect.objectContaining({ Footprint: { _deleteField: true } })
+            );
+            expect(batch.commit).toHaveBeenCalledTimes(1);
+        });
+
+        it('updateComponentsBatch should write library parts directly in the Parts view', async () => {
+            await updateComponentsBatch(userId, [{ id: 'mpn_X1', partId: null, updates: { Value: '10k' } }], { parts: true });
+            expect(batches[0].set).toHaveBeenCalledWith(
+                expect.objectContaining({ _path: 'db/users/user1/parts/mpn_X1' }),
+                expect.objectContaining({ Value: '10k' }),
+                { merge: true }
+            );
+            expect(batches[0].update).not.toHaveBeenCalled();
+        });
+
+        it('deleteComponentsBatch should split large deletes into several batches', async () => {
+            const components = Array.from({ length: 1000 }, (_, index) => ({ id: `c${index}`, Designator: `R${index}` }));
+            expect(await deleteComponentsBatch(userId, components)).toBe(1000);
+            expect(batches.length).toBeGreaterThan(1);
+            batches.forEach(batch => {
+                expect(batch.delete.mock.calls.length + batch.set.mock.calls.length).toBeLessThanOrEqual(450);
+            });
+            expect(batches.reduce((sum, batch) => sum + batch.delete.mock.calls.length, 0)).toBe(1000);
+        });
+
+        it('restoreComponentsBatch should write placements back with their part reference', async () => {
+            await restoreComponentsBatch(userId, [
+                { id: 'c1', partId: 'mpn_X1', 'Mfr. Part #': 'X1', Designator: 'R1', ProjectName: 'P', createdAt: 't0' }
+            ]);
+            expect(batches[0].set).toHaveBeenCalledWith(
+                expect.objectContaining({ _path: 'db/users/user1/placements/c1' }),
+                expect.objectContaining({ partId: 'mpn_X1', Designator: 'R1', ProjectName: 'P', createdAt: 't0' })
+            );
+            expect(batches[0].set.mock.calls[0][1]).not.toHaveProperty('Mfr. Part #');
+        });
+    });
+
+    describe('Audit History', () => {
+        const userId = 'user1';
+        const audit = { source: 'bulk', userId: 'user1', userEmail: 'a@example.com' };
+        let batches;
+
+        // History entries written to a document, by its path
+        const historyEntries = (path) => batches.flatMap(batch => batch.set.mock.calls)
+            .filter(([ref]) => ref._path.startsWith(`${path}/history/`))
+            .map(([, entry]) => entry);
+
+        beforeEach(() => {
+            batches = [];
+            firestoreMocks.writeBatch.mockImplementation(() => {
+                const batch = { set: vi.fn(), update: vi.fn(), delete: vi.fn(), commit: vi.fn().mockResolvedValue() };
+                batches.push(batch);
+                return batch;
+            });
+        });
+
+        it('updateComponentsBatch should append before/after values to the part and placement history', async () => {
+            await updateComponentsBatch(userId, [{
+                id: 'c1',
+                partId: 'mpn_X1',
+                updates: { Footprint: '0603', Designator: 'R9' },
+                previous: { Footprint: '0402', Designator: 'R1' }
+            }], { audit });
+
+            expect(historyEntries('db/users/user1/parts/mpn_X1')).toEqual([expect.objectContaining({
+                action: 'update',
+                source: 'bulk',
+                userId: 'user1',
+                userEmail: 'a@example.com',
+                changes: [{ field: 'Footprint', before: '0402', after: '0603' }]
+            })]);
+            expect(historyEntries('db/users/user1/placements/c1')).toEqual([expect.objectContaining({
+                changes: [{ field: 'Designator', before: 'R1', after: 'R9' }]
+            })]);
+        });
+
+        it('updateComponentsBatch should keep each change and its history entries in one batch', async () => {
+            const changes = Array.from({ length: 150 }, (_, index) => ({
+                id: `c${index}`,
+                partId: `mpn_X${index}`,
+                updates: { Footprint: '0603', Designator: 'R9' },
+                previous: { Footprint: '0402', Designator: 'R1' }
+            }));
+
+            await updateComponentsBatch(userId, changes, { audit });
+
+            // 4 writes per change: 112 changes fit the 450-write limit, the rest go to the next batch
+            expect(batches.map(batch => batch.set.mock.calls.length + batch.update.mock.calls.length)).toEqual([448, 152]);
+            expect(batches[1].update.mock.calls[0][0]._path).toBe('db/users/user1/placements/c112');
+        });
+
+        it('addComponentsBatch should record created parts and placements as uploads', async () => {
+            await addComponentsBatch(userId, [{ id: 'c1', ProjectName: 'P', Designator: 'R1', 'Mfr. Part #': 'X1', Value: '10k' }]);
+
+            const [partEntry] = historyEntries('db/users/user1/parts/mpn_X1');
+            expect(partEntry).toMatchObject({ action: 'create', source: 'upload', userId: 'user1' });
+            expect(partEntry.changes).toContainEqual({ field: 'Value', before: null, after: '10k' });
+            expect(historyEntries('db/users/user1/placements/c1')[0].changes).toContainEqual({ field: 'Designator', before: null, after: 'R1' });
+        });
+
+        it('updateComponent should record the LPN assignment with its source', async () => {
+            firestoreMocks.getDoc
+                .mockResolvedValueOnce({ exists: () => true, data: () => ({ partId: 'mpn_X1', Designator: 'R1' }) })
+                .mockResolvedValueOnce({ exists: () => true, data: () => ({ 'Mfr. Part #': 'X1' }) });
+
+            await updateComponent(userId, 'c1', { Local_Part_Number: 'KL-00001-ABCDEF' }, { source: 'lpn', userId: 'user1' });
+
+            expect(historyEntries('db/users/user1/parts/mpn_X1')).toEqual([expect.objectContaining({
+                source: 'lpn',
+                changes: [{ field: 'Local_Part_Number', before: null, after: 'KL-00001-ABCDEF' }]
+            })]);
+            expect(historyEntries('db/users/user1/placements/c1')).toEqual([]);
+        });
+
+        it('deleteComponentsBatch should record the deleted placement values', async () => {
+            await deleteComponentsBatch(userId, [{ id: 'c1', partId: 'mpn_X1', 'Mfr. Part #': 'X1', Designator: 'R1', ProjectName: 'P' }], audit);
+
+            const [entry] = historyEntries('db/users/user1/placements/c1');
+            expect(entry.action).toBe('delete');
+            expect(entry.changes).toContainEqual({ field: 'Designator', before: 'R1', after: null });
+            expect(entry.changes.map(change => change.field)).not.toContain('Mfr. Part #');
+        });
+
+        it('getComponentHistory should merge part and placement entries, newest first', async () => {
+            const snapshot = (entries) => ({ forEach: (cb) => entries.forEach(({ id, ...data }) => cb({ id, data: () => data })) });
+            firestoreMocks.getDocs
+                .mockResolvedValueOnce(snapshot([{ id: 'h1', timestamp: '2024-01-01T00:00:00.000Z', changes: [] }]))
+                .mockResolvedValueOnce(snapshot([{ id: 'h2', timestamp: '2024-02-01T00:00:00.000Z', changes: [] }]));
+
+            const entries = await getComponentHistory(userId, { placementId: 'c1', partId: 'mpn_X1' });
+
+            expect(entries.map(entry => [entry.id, entry.scope])).toEqual([['h2', 'placement'], ['h1', 'part']]);
+            expect(firestoreMocks.collection).toHaveBeenCalledWith(
+                expect.objectContaining({ _path: 'db/users/user1/parts/mpn_X1' }), 'history'
+            );
+        });
+    });
+
+    describe('Deleted Projects', () => {
+        const userId = 'user1';
+        let batch;
+
+        const mockSnapshot = (items) => {
+            const docs = items.map(({ id, ...data }) => ({ id, ref: `ref_${id}`, data: () => data }));
+            return { empty: docs.length === 0, docs, forEach: (cb) => docs.forEach(cb) };
+        };
+
+        beforeEach(() => {
+            batch = { set: vi.fn(), update: vi.fn(), delete: vi.fn(), commit: vi.fn().mockResolvedValue() };
+            firestoreMocks.writeBatch.mockReturnValue(batch);
+        });
+
+        it('softDeleteProject should mark placements and the project as deleted', async () => {
+            firestoreMocks.getDocs.mockResolvedValueOnce(mockSnapshot([{ id: 'c1', ProjectName: 'P' }, { id: 'c2', ProjectName: 'P' }]));
+
+            expect(await softDeleteProject(userId, 'P')).toBe(2);
+            expect(batch.update).toHaveBeenCalledWith('ref_c1', { deletedAt: expect.any(String) });
+            expect(batch.update).toHaveBeenCalledWith('ref_c2', { deletedAt: expect.any(String) });
+            expect(batch.set).toHaveBeenCalledWith(
+                expect.objectContaining({ _path: 'db/users/user1/projects/P' }),
+                expect.objectContaining({ name: 'P', deletedCount: 2, deletedAt: expect.any(String) }),
+                { merge: true }
+            );
+            expect(firestoreMocks.deleteDoc).not.toHaveBeenCalled();
+        });
+
+        it('softDeleteProject should keep each placement and its history entry in one batch', async () => {
+            const docs = Array.from({ length: 300 }, (_, index) => ({
+                id: `c${index}`,
+                ref: { _path: `db/users/user1/placements/c${index}` },
+                data: () => ({ ProjectName: 'P' })
+            }));
+            firestoreMocks.getDocs.mockResolvedValueOnce({ docs, forEach: (cb) => docs.forEach(cb) });
+            const batches = [];
+            firestoreMocks.writeBatch.mockImplementation(() => {
+                const created = { set: vi.fn(), update: vi.fn(), commit: vi.fn().mockResolvedValue() };
+                batches.push(created);
+                return created;
+            });
+
+            await softDeleteProject(userId, 'P', { source: 'edit', userId: 'user1' });
+
+            expect(batches).toHaveLength(2);
+            batches.forEach(({ set, update }) => {
+                const histories = set.mock.calls.filter(([ref]) => ref._path.includes('/history/'));
+                expect(histories.map(([ref]) => ref._path.split('/history/')[0]))
+                    .toEqual(update.mock.calls.map(([ref]) => ref._path));
+            });
+        });
+
+        it('restoreDeletedProject should clear the deleted marks', async () => {
+            firestoreMocks.getDocs.mockResolvedValueOnce(mockSnapshot([
+                { id: 'c1', ProjectName: 'P', deletedAt: '2024-01-01T00:00:00.000Z' },
+                { id: 'c2', ProjectName: 'P' }
+            ]));
+
+            expect(await restoreDeletedProject(userId, 'P')).toBe(1);
+            expect(batch.update).toHaveBeenCalledTimes(1);
+            expect(batch.update).toHaveBeenCalledWith('ref_c1', { deletedAt: { _deleteField: true } });
+        });
+
+        it('getDeletedProjects should list deleted projects, newest first', async () => {
+            firestoreMocks.getDocs.mockResolvedValueOnce(mockSnapshot([
+                { id: 'A', name: 'A', deletedAt: '2024-01-01T00:00:00.000Z', deletedCount: 3 },
+                { id: 'B', name: 'B', revisionCount: 1 },
+                { id: 'C', name: 'C', deletedAt: '2024-03-01T00:00:00.000Z' }
+            ]));
+
+            expect(await getDeletedProjects(userId)).toEqual([
+                { name: 'C', deletedAt: '2024-03-01T00:00:00.000Z', componentCount: 0 },
+                { name: 'A', deletedAt: '2024-01-01T00:00:00.000Z', componentCount: 3 }
+            ]);
+        });
+
+        it('purgeDeletedProjects should only remove projects past the retention period', async () => {
+            firestoreMocks.getDocs
+                .mockResolvedValueOnce(mockSnapshot([
+                    { id: 'Old', name: 'Old', deletedAt: '2024-01-01T00:00:00.000Z' },
+                    { id: 'New', name: 'New', deletedAt: '2024-01-25T00:00:00.000Z' }
+                ]))
+                .mockResolvedValueOnce(mockSnapshot([{ id: 'c1', ProjectName: 'Old' }]))
+                .mockResolvedValueOnce(mockSnapshot([{ id: '1', number: 1 }]));
+
+            const purged = await purgeDeletedProjects(userId, 30, new Date('2024-02-05T00:00:00.000Z'));
+
+            expect(purged).toEqual(['Old']);
+            expect(firestoreMocks.deleteDoc).toHaveBeenCalledWith('ref_c1');
+            expect(firestoreMocks.deleteDoc).toHaveBeenCalledWith('ref_1');
+            expect(firestoreMocks.deleteDoc).toHaveBeenCalledWith(expect.objectContaining({ _path: 'db/users/user1/projects/Old' }));
+        });
+
+        // Answer getDocs by the name of the queried collection
+        const mockCollections = (collections) => {
+            firestoreMocks.getDocs.mockImplementation(async (ref) => {
+                const path = (ref._collectionRef || ref)._path;
+                return mockSnapshot(collections[path.split('/').pop()] || []);
+            });
+        };
+
+        it('purgeDeletedProjects should remove hidden parts past the retention period unless still placed', async () => {
+            mockCollections({
+                parts: [
+                    { id: 'mpn_OLD', deletedAt: '2024-01-01T00:00:00.000Z' },
+                    { id: 'mpn_USED', deletedAt: '2024-01-01T00:00:00.000Z' },
+                    { id: 'mpn_NEW', deletedAt: '2024-01-25T00:00:00.000Z' }
+                ],
+                placements: [{ id: 'c1', partId: 'mpn_USED' }]
+            });
+
+            await purgeDeletedProjects(userId, 30, new Date('2024-02-05T00:00:00.000Z'));
+
+            expect(batch.delete).toHaveBeenCalledTimes(1);
+            expect(batch.delete).toHaveBeenCalledWith('ref_mpn_OLD');
+        });
+
+        it('restoreDeletedProject should bring back the hidden parts of its placements', async () => {
+            firestoreMocks.getDocs
+                .mockResolvedValueOnce(mockSnapshot([{ id: 'c1', ProjectName: 'P', partId: 'mpn_X1', deletedAt: '2024-01-01T00:00:00.000Z' }]))
+                .mockResolvedValueOnce(mockSnapshot([{ id: 'mpn_X1', deletedAt: '2024-01-01T00:00:00.000Z' }]));
+
+            await restoreDeletedProject(userId, 'P');
+
+            expect(batch.update).toHaveBeenCalledWith('ref_mpn_X1', { deletedAt: { _deleteField: true } });
+        });
+
+        it('softDeleteLibrary should hide parts and soft-delete every project', async () => {
+            mockCollections({
+                placements: [
+                    { id: 'c1', ProjectName: 'A', partId: 'mpn_X1' },
+                    { id: 'c2', ProjectName: 'B', partId: 'mpn_X1' },
+                    { id: 'c3', ProjectName: 'B', deletedAt: '2024-01-01T00:00:00.000Z' }
+                ],
+                parts: [{ id: 'mpn_X1' }]
+            });
+
+            const result = await softDeleteLibrary(userId, undefined, '2024-02-01T00:00:00.000Z');
+
+            expect(result).toEqual({ deletedAt: '2024-02-01T00:00:00.000Z', count: 2 });
+            expect(batch.update).toHaveBeenCalledTimes(3);
+            expect(batch.update).toHaveBeenCalledWith('ref_mpn_X1', { deletedAt: '2024-02-01T00:00:00.000Z' });
+            expect(batch.update).not.toHaveBeenCalledWith('ref_c3', expect.anything());
+            expect(batch.set).toHaveBeenCalledWith(
+                expect.objectContaining({ _path: 'db/users/user1/projects/B' }),
+                { name: 'B', deletedAt: '2024-02-01T00:00:00.000Z', deletedCount: 1 },
+                { merge: true }
+            );
+            expect(firestoreMocks.deleteDoc).not.toHaveBeenCalled();
+        });
+
+        it('restoreDeletedLibrary should clear the marks of one clear', async () => {
+            const deletedAt = '2024-02-01T00:00:00.000Z';
+            mockCollections({
+                placements: [{ id: 'c1', deletedAt }],
+                parts: [{ id: 'mpn_X1', deletedAt }],
+                projects: [{ id: 'A', name: 'A', deletedAt }]
+            });
+
+            expect(await restoreDeletedLibrary(userId, deletedAt)).toBe(1);
+            expect(firestoreMocks.where).toHaveBeenCalledWith('deletedAt', '==', deletedAt);
+            expect(batch.update).toHaveBeenCalledWith('ref_c1', { deletedAt: { _deleteField: true } });
+            expect(batch.update).toHaveBeenCalledWith('ref_mpn_X1', { deletedAt: { _deleteField: true } });
+            expect(batch.update).toHaveBeenCalledWith('ref_A', expect.objectContaining({ deletedCount: { _deleteField: true } }));
+        });
+    });
+
+    describe('LPN Requests', () => {
+        const libraryId = 'workspaces/w1';
+        const reviewer = { userId: 'lib1', userEmail: 'lib@example.com' };
+        const request = { partId: 'mpn_X1', componentId: 'c1', mpn: 'X1', genericPartNumber: null, part: { 'Mfr. Part #': 'X1' } };
+
+        // Run issueLPN transactions against stored documents keyed by path
+        const mockTransaction = (docs) => {
+            const transaction = {
+                get: vi.fn(async (ref) => (docs[ref._path]
+                    ? { exists: () => true, data: () => docs[ref._path] }
+                    : { exists: () => false })),
+                set: vi.fn(),
+                update: vi.fn()
+            };
+            firestoreMocks.runTransaction.mockImplementation(async (db, updateFunction) => updateFunction(transaction));
+            return transaction;
+        };
+
+        it('createLPNRequest should store a pending request with its requester', async () => {
+            const stored = await createLPNRequest(libraryId, request, { userId: 'eng1', userEmail: 'eng@example.com' });
+
+            expect(stored).toMatchObject({ status: 'pending', requestedBy: 'eng1', partId: 'mpn_X1' });
+            expect(firestoreMocks.setDoc).toHaveBeenCalledWith(
+                expect.objectContaining({ _path: 'db/workspaces/w1/lpnRequests/' }),
+                expect.objectContaining({ status: 'pending', requestedByEmail: 'eng@example.com', lpn: null })
+            );
+        });
+
+        it('createLPNRequest should return the open request of the part', async () => {
+            firestoreMocks.getDocs.mockResolvedValueOnce({
+                empty: false,
+                docs: [{ id: 'r1', data: () => ({ ...request, status: 'pending' }) }]
+            });
+
+            expect(await createLPNRequest(libraryId, request)).toMatchObject({ id: 'r1', status: 'pending' });
+            expect(firestoreMocks.where).toHaveBeenCalledWith('status', '==', 'pending');
+            expect(firestoreMocks.setDoc).not.toHaveBeenCalled();
+        });
+
+        it('subscribeToLPNRequests should list requests newest first', () => {
+            firestoreMocks.onSnapshot.mockImplementationOnce((ref, successCb) => {
+                successCb({ forEach: (cb) => [
+                    { id: 'r1', requestedAt: '2025-01-01' },
+                    { id: 'r2', requestedAt: '2025-02-01' }
+                ].forEach(({ id, ...data }) => cb({ id, data: () => data })) });
+                return vi.fn();
+            });
+            const callback = vi.fn();
+
+            subscribeToLPNRequests(libraryId, callback);
+            expect(callback.mock.calls[0][0].map(item => item.id)).toEqual(['r2', 'r1']);
+        });
+
+        it('issueLPN should advance the counter, approve the request and set the part LPN in one transaction', async () => {
+            const transaction = mockTransaction({
+                'db/workspaces/w1/lpnRequests/r1': { ...request, status: 'pending' },
+                'db/workspaces/w1/parts/mpn_X1': { 'Mfr. Part #': 'X1' },
+                'db/system/lpn_counter': { sequence: 5 }
+            });
+
+            const result = await issueLPN(libraryId, { id: 'r1', ...request }, reviewer);
+
+            expect(result).toEqual({ id: 'r1', lpn: expect.stringMatching(/^KL-00006-[0-9A-F]{6}$/), sequence: 6 });
+            expect(transaction.set).toHaveBeenCalledWith(
+                expect.objectContaining({ _path: 'db/system/lpn_counter' }),
+                { sequence: 6, issuedFor: 'workspaces/w1/lpnRequests/r1' },
+                { merge: true }
+            );
+            expect(transaction.update).toHaveBeenCalledWith(
+                expect.objectContaining({ _path: 'db/workspaces/w1/parts/mpn_X1' }),
+                expect.objectContaining({ Local_Part_Number: result.lpn })
+            );
+            expect(transaction.set).toHaveBeenCalledWith(
+                expect.objectContaining({ _path: 'db/workspaces/w1/lpnRequests/r1' }),
+                expect.objectContaining({ status: 'approved', lpn: result.lpn, sequence: 6, reviewedBy: 'lib1' }),
+                { merge: true }
+            );
+            // Audit entry of the part
+            expect(transaction.set).toHaveBeenCalledWith(
+                expect.objectContaining({ _path: 'db/workspaces/w1/parts/mpn_X1/history/' }),
+                expect.objectContaining({ source: 'lpn', userId: 'lib1' })
+            );
+        });
+
+        it('issueLPN should record a direct assignment as a request approved by its reviewer', async () => {
+            const transaction = mockTransaction({ 'db/users/user1/parts/mpn_X1': { 'Mfr. Part #': 'X1' } });
+
+            const result = await issueLPN('user1', request, reviewer);
+
+            expect(result.sequence).toBe(1);
+            expect(transaction.set).toHaveBeenCalledWith(
+                expect.objectContaining({ _path: 'db/system/lpn_counter' }),
+                { sequence: 1, issuedFor: 'users/user1/lpnRequests/mock-doc-id' },
+                { merge: true }
+            );
+            expect(transaction.set).toHaveBeenCalledWith(
+                expect.objectContaining({ _path: 'db/users/user1/lpnRequests/' }),
+                expect.objectContaining({ status: 'approved', requestedBy: 'lib1', reviewedBy: 'lib1', partId: 'mpn_X1' }),
+                { merge: true }
+            );
+        });
+
+        it('issueLPN should register a new LPN for its MPN in the same transaction', async () => {
+            const transaction = mockTransaction({
+                'db/users/user1/parts/mpn_X1': { 'Mfr. Part #': 'X1' },
+                'db/system/lpn_counter': { sequence: 8 }
+            });
+
+            const result = await issueLPN('user1', { ...request, mpn: ' x1 ' }, reviewer);
+
+            expect(transaction.set).toHaveBeenCalledWith(
+                expect.objectContaining({ _path: 'db/lpn_registry/mpn_X1' }),
+                expect.objectContaining({ lpn: result.lpn, mpn: 'X1', sequence: 9, counterId: 'lpn_counter', registeredBy: 'lib1' })
+            );
+        });
+
+        it('issueLPN should reuse the registered LPN without advancing the counter', async () => {
+            const transaction = mockTransaction({
+                'db/users/user1/parts/mpn_X1': { 'Mfr. Part #': 'X1' },
+                'db/lpn_registry/mpn_X1': { lpn: 'KL-00001-ABCDEF', libraries: ['workspaces/w1'] }
+            });
+
+            const result = await issueLPN('user1', request, reviewer);
+
+            expect(result).toMatchObject({ lpn: 'KL-00001-ABCDEF', sequence: null });
+            expect(transaction.set).not.toHaveBeenCalledWith(
+                expect.objectContaining({ _path: 'db/system/lpn_counter' }), expect.anything(), expect.anything()
+            );
+            expect(transaction.set).not.toHaveBeenCalledWith(
+                expect.objectContaining({ _path: 'db/lpn_registry/mpn_X1' }), expect.anything()
+            );
+            expect(transaction.update).toHaveBeenCalledWith(
+                expect.anything(), expect.objectContaining({ Local_Part_Number: 'KL-00001-ABCDEF' })
+            );
+            expect(transaction.update).toHaveBeenCalledWith(
+                expect.objectContaining({ _path: 'db/lpn_registry/mpn_X1' }), { libraries: ['workspaces/w1', 'users/user1'] }
+            );
+        });
+
+        it('issueLPN should register the LPN a part of a workspace already has', async () => {
+            const transaction = mockTransaction({
+                'db/workspaces/w1/parts/mpn_X1': { 'Mfr. Part #': 'X1', Local_Part_Number: 'KL-00002-ABCDEF' }
+            });
+
+            const result = await issueLPN(libraryId, request, reviewer);
+
+            expect(result).toMatchObject({ lpn: 'KL-00002-ABCDEF', sequence: null });
+            expect(transaction.set).toHaveBeenCalledWith(
+                expect.objectContaining({ _path: 'db/lpn_registry/mpn_X1' }),
+                expect.objectContaining({ lpn: 'KL-00002-ABCDEF', sequence: null, counterId: null })
+            );
+            expect(transaction.update).not.toHaveBeenCalled();
+        });
+
+        it('issueLPN should not register the LPN a part of a personal library already has', async () => {
+            const transaction = mockTransaction({
+                'db/users/user1/parts/mpn_X1': { 'Mfr. Part #': 'X1', Local_Part_Number: 'KL-00002-ABCDEF' }
+            });
+
+            expect(await issueLPN('user1', request, reviewer)).toMatchObject({ lpn: 'KL-00002-ABCDEF', sequence: null });
+            expect(transaction.set).not.toHaveBeenCalledWith(expect.objectContaining({ _path: 'db/lpn_registry/mpn_X1' }), expect.anything());
+        });
+
+        it('issueLPN should refuse reviewed requests and missing parts', async () => {
+            mockTransaction({
+                'db/users/user1/lpnRequests/r1': { status: 'rejected' },
+                'db/users/user1/parts/mpn_X1': {}
+            });
+            await expect(issueLPN('user1', { id: 'r1', ...request }, reviewer)).rejects.toThrow('already reviewed');
+
+            mockTransaction({});
+            await expect(issueLPN('user1', request, reviewer)).rejects.toThrow('Library part not found');
+        });
+
+        it('issueLPN should throw error if limit reached', async () => {
+            mockTransaction({
+                'db/users/user1/parts/mpn_X1': {},
+                'db/system/lpn_counter': { sequence: 99999 }
+            });
+            await expect(issueLPN('user1', request, reviewer)).rejects.toThrow('LPN sequence limit reached');
+        });
+
+        it('issueLPN should issue from the counter of the scheme format', async () => {
+            const transaction = mockTransaction({
+                'db/users/user1/parts/mpn_X1': {},
+                'db/system/lpn_counter_KL_RES': { sequence: 41 }
+            });
+            const format = resolveLPNFormat(
+                { sequenceWidth: 6, checkDigit: true },
+                { name: 'Resistors', prefix: 'KL-RES-', designators: ['R'] }
+            );
+
+            const result = await issueLPN('user1', request, reviewer, { format });
+
+            expect(result.lpn).toMatch(/^KL-RES-000042-[0-9A-F]{6}-[0-9A-Z]$/);
+            expect(transaction.set).toHaveBeenCalledWith(
+                expect.objectContaining({ _path: 'db/system/lpn_counter_KL_RES' }),
+                { sequence: 42, issuedFor: 'users/user1/lpnRequests/mock-doc-id' },
+                { merge: true }
+            );
+            expect(transaction.set).toHaveBeenCalledWith(
+                expect.objectContaining({ _path: 'db/users/user1/lpnRequests/' }),
+                expect.objectContaining({ sequence: 42, counterId: 'lpn_counter_KL_RES' }),
+                { merge: true }
+            );
+
+            mockTransaction({
+                'db/users/user1/parts/mpn_X1': {},
+                'db/system/lpn_counter': { sequence: 999 }
+            });
+            await expect(issueLPN('user1', request, reviewer, { format: resolveLPNFormat({ sequenceWidth: 3 }) }))
+                .rejects.toThrow('LPN sequence limit reached for KL- (999)');
+        });
+
+        describe('issueLPNsInBatch', () => {
+            // Parts and registry entries answered to the 'in' queries by document id
+            const mockParts = (parts, registry = {}) => {
+                firestoreMocks.getDocs.mockImplementation(async ({ _collectionRef, _constraints: [{ _value }] }) => ({
+                    docs: Object.entries(_collectionRef._path === 'db/lpn_registry' ? registry : parts)
+                        .filter(([id]) => _value.includes(id))
+                        .map(([id, data]) => ({ id, data: () => data }))
+                }));
+            };
+            const mockBatch = () => {
+                const batch = { set: vi.fn(), update: vi.fn(), delete: vi.fn(), commit: vi.fn().mockResolvedValue() };
+                firestoreMocks.writeBatch.mockReturnValue(batch);
+                return batch;
+            };
+            const entry = (partId, mpn, format) => ({ request: { ...request, partId, mpn, part: { 'Mfr. Part #': mpn } }, format });
+
+            it('should give every MPN one LPN from a single reserved block', async () => {
+                mockParts({
+                    mpn_X1: { 'Mfr. Part #': 'X1' },
+                    mpn_X1_2: { 'Mfr. Part #': 'X1' },
+                    mpn_X2: { 'Mfr. Part #': 'X2' },
+                    mpn_X4: { 'Mfr. Part #': 'X4' }
+                }, { mpn_X4: { lpn: 'KL-00003-AAAAAA' } });
+                const transaction = mockTransaction({ 'db/system/lpn_counter': { sequence: 5 } });
+                const batch = mockBatch();
+
+                const { issued, failed } = await issueLPNsInBatch(libraryId, [
+                    entry('mpn_X1', 'X1'), entry('mpn_X1_2', 'X1'), entry('mpn_X1', 'X1'),
+                    entry('mpn_X2', 'X2'), entry('mpn_X4', 'X4'), entry('mpn_GONE', 'X9')
+                ], reviewer);
+
+                const lpnOf = Object.fromEntries(issued.map(({ partId, lpn }) => [partId, lpn]));
+                expect(lpnOf.mpn_X1).toMatch(/^KL-00006-[0-9A-F]{6}$/);
+                expect(lpnOf.mpn_X1_2).toBe(lpnOf.mpn_X1);
+                expect(lpnOf.mpn_X2).toMatch(/^KL-00007-[0-9A-F]{6}$/);
+                expect(lpnOf.mpn_X4).toBe('KL-00003-AAAAAA');
+                expect(failed).toEqual([{ partId: 'mpn_GONE', error: 'Library part not found' }]);
+
+                expect(firestoreMocks.runTransaction).toHaveBeenCalledTimes(1);
+                expect(transaction.set).toHaveBeenCalledWith(
+                    expect.objectContaining({ _path: 'db/workspaces/w1/lpnBlocks/' }),
+                    expect.objectContaining({ status: 'approved', counterId: 'lpn_counter', firstSequence: 6, sequence: 7, count: 2, reviewedBy: 'lib1' })
+                );
+                expect(transaction.set).toHaveBeenCalledWith(
+                    expect.objectContaining({ _path: 'db/system/lpn_counter' }),
+                    { sequence: 7, issuedFor: 'workspaces/w1/lpnBlocks/mock-doc-id' },
+                    { merge: true }
+                );
+                const registryWrites = transaction.set.mock.calls.filter(([ref]) => ref._path.startsWith('db/lpn_registry/'));
+                expect(registryWrites.map(([ref, data]) => [ref._path, data.lpn, data.sequence])).toEqual([
+                    ['db/lpn_registry/mpn_X1', lpnOf.mpn_X1, 6],
+                    ['db/lpn_registry/mpn_X2', lpnOf.mpn_X2, 7]
+                ]);
+
+                const partWrites = batch.set.mock.calls.filter(([ref]) => ref._path.includes('/parts/') && !ref._path.includes('/history/'));
+                expect(partWrites.map(([ref]) => ref._path)).toEqual([
+                    'db/workspaces/w1/parts/mpn_X1', 'db/workspaces/w1/parts/mpn_X1_2',
+                    'db/workspaces/w1/parts/mpn_X2', 'db/workspaces/w1/parts/mpn_X4'
+                ]);
+                const requestWrites = batch.set.mock.calls.filter(([ref]) => ref._path.includes('/lpnRequests/'));
+                expect(requestWrites.map(([, data]) => data.sequence)).toEqual([6, 7]);
+                expect(requestWrites[0][1]).toMatchObject({ status: 'approved', lpn: lpnOf.mpn_X1, blockId: 'mock-doc-id', counterId: 'lpn_counter' });
+                expect(batch.commit).toHaveBeenCalledTimes(1);
+            });
+
+            it('should reuse registered LPNs without reserving numbers', async () => {
+                mockParts(
+                    { mpn_X1: { 'Mfr. Part #': 'X1', Local_Part_Number: 'KL-00001-ABCDEF' } },
+                    { mpn_X1: { lpn: 'KL-00001-ABCDEF', libraries: ['workspaces/w1'] } }
+                );
+                const batch = mockBatch();
+
+                const { issued } = await issueLPNsInBatch(libraryId, [entry('mpn_X1', 'X1')], reviewer);
+
+                expect(issued).toEqual([{ partId: 'mpn_X1', lpn: 'KL-00001-ABCDEF', sequence: null }]);
+                expect(firestoreMocks.runTransaction).not.toHaveBeenCalled();
+                expect(batch.commit).not.toHaveBeenCalled();
+            });
+
+            it('should record the library as a holder of an LPN registered by another library', async () => {
+                mockParts({ mpn_X1: { 'Mfr. Part #': 'X1' } }, { mpn_X1: { lpn: 'KL-00001-ABCDEF', libraries: ['users/u2'] } });
+                const batch = mockBatch();
+
+                await issueLPNsInBatch(libraryId, [entry('mpn_X1', 'X1')], reviewer);
+
+                expect(batch.update).toHaveBeenCalledWith(
+                    expect.objectContaining({ _path: 'db/lpn_registry/mpn_X1' }),
+                    { libraries: ['users/u2', 'workspaces/w1'] }
+                );
+            });
+
+            it('should register the LPN of a part that has one without numbering it', async () => {
+                mockParts({ mpn_X1: { 'Mfr. Part #': 'X1', Local_Part_Number: 'KL-00001-ABCDEF' }, mpn_X1_2: { 'Mfr. Part #': 'X1' } });
+                const transaction = mockTransaction({});
+                mockBatch();
+
+                const { issued } = await issueLPNsInBatch(libraryId, [entry('mpn_X1', 'X1'), entry('mpn_X1_2', 'X1')], reviewer);
+
+                expect(issued.map(({ lpn }) => lpn)).toEqual(['KL-00001-ABCDEF', 'KL-00001-ABCDEF']);
+                expect(transaction.set).toHaveBeenCalledTimes(1);
+                expect(transaction.set).toHaveBeenCalledWith(
+                    expect.objectContaining({ _path: 'db/lpn_registry/mpn_X1' }),
+                    expect.objectContaining({ lpn: 'KL-00001-ABCDEF', sequence: null })
+                );
+            });
+
+            it('should keep the registrations of a transaction within the reads of the security rules', async () => {
+                // 40 parts holding unregistered LPNs: the rules read the part of every entry
+                const parts = Object.fromEntries(Array.from({ length: 40 }, (_, index) => [
+                    `mpn_X${index}`, { 'Mfr. Part #': `X${index}`, Local_Part_Number: `KL-${String(index + 1).padStart(5, '0')}-ABCDEF` }
+                ]));
+                mockParts(parts);
+                const transaction = mockTransaction({});
+                mockBatch();
+                const sizes = [];
+                firestoreMocks.runTransaction.mockImplementation(async (db, updateFunction) => {
+                    const before = transaction.set.mock.calls.length;
+                    await updateFunction(transaction);
+                    sizes.push(transaction.set.mock.calls.length - before);
+                });
+
+                const { issued } = await issueLPNsInBatch(libraryId, Object.keys(parts).map((partId, index) => entry(partId, `X${index}`)), reviewer);
+
+                expect(issued).toHaveLength(40);
+                expect(sizes).toEqual([15, 15, 10]);
+            });
+
+            it('should number from at most five counters per transaction', async () => {
+                const formats = Array.from({ length: 6 }, (_, index) => resolveLPNFormat({}, { name: `C${index}`, prefix: `KL-C${index}-`, designators: [] }));
+                mockParts(Object.fromEntries(formats.map((format, index) => [`mpn_X${index}`, { 'Mfr. Part #': `X${index}` }])));
+                mockTransaction({});
+                mockBatch();
+
+                await issueLPNsInBatch(libraryId, formats.map((format, index) => entry(`mpn_X${index}`, `X${index}`, format)), reviewer);
+
+                expect(firestoreMocks.runTransaction).toHaveBeenCalledTimes(2);
+            });
+
+            it('should leave the LPN of a part of a personal library unregistered', async () => {
+                mockParts({ mpn_X1: { 'Mfr. Part #': 'X1', Local_Part_Number: 'KL-00001-ABCDEF' }, mpn_X1_2: { 'Mfr. Part #': 'X1' } });
+                const batch = mockBatch();
+
+                const { issued } = await issueLPNsInBatch('user1', [entry('mpn_X1', 'X1'), entry('mpn_X1_2', 'X1')], reviewer);
+
+                expect(issued.map(({ lpn }) => lpn)).toEqual(['KL-00001-ABCDEF', 'KL-00001-ABCDEF']);
+                expect(firestoreMocks.runTransaction).not.toHaveBeenCalled();
+                expect(batch.set).toHaveBeenCalledWith(
+                    expect.objectContaining({ _path: 'db/users/user1/parts/mpn_X1_2' }),
+                    expect.objectContaining({ Local_Part_Number: 'KL-00001-ABCDEF' }),
+                    { merge: true }
+                );
+            });
+
+            it('should reserve one block per counter and split lookups into chunks', async () => {
+                const resistors = resolveLPNFormat({}, { name: 'Resistors', prefix: 'KL-RES-', designators: ['R'] });
+                const parts = Object.fromEntries(Array.from({ length: 35 }, (_, index) => [`mpn_R${index}`, { 'Mfr. Part #': `R${index}` }]));
+                mockParts({ ...parts, mpn_U1: { 'Mfr. Part #': 'U1' } });
+                const transaction = mockTransaction({ 'db/system/lpn_counter_KL_RES': { sequence: 10 } });
+                mockBatch();
+
+                const { issued } = await issueLPNsInBatch(libraryId, [
+                    ...Object.keys(parts).map((partId, index) => entry(partId, `R${index}`, resistors)),
+                    entry('mpn_U1', 'U1')
+                ], reviewer);
+
+                expect(issued).toHaveLength(36);
+                expect(issued.find(({ partId }) => partId === 'mpn_R34').lpn).toMatch(/^KL-RES-00045-/);
+                expect(issued.find(({ partId }) => partId === 'mpn_U1').lpn).toMatch(/^KL-00001-/);
+                expect(transaction.set).toHaveBeenCalledWith(
+                    expect.objectContaining({ _path: 'db/system/lpn_counter_KL_RES' }), expect.objectContaining({ sequence: 45 }), { merge: true }
+                );
+                expect(transaction.set).toHaveBeenCalledWith(
+                    expect.objectContaining({ _path: 'db/system/lpn_counter' }), expect.objectContaining({ sequence: 1 }), { merge: true }
+                );
+                // 36 part ids and 36 registry keys, at most 30 values per query
+                expect(firestoreMocks.getDocs).toHaveBeenCalledTimes(4);
+            });
+
+            it('should reserve nothing when a block exceeds the sequence limit', async () => {
+                mockParts({ mpn_X1: { 'Mfr. Part #': 'X1' }, mpn_X2: { 'Mfr. Part #': 'X2' } });
+                mockTransaction({ 'db/system/lpn_counter': { sequence: 99998 } });
+                const batch = mockBatch();
+
+                await expect(issueLPNsInBatch(libraryId, [entry('mpn_X1', 'X1'), entry('mpn_X2', 'X2')], reviewer))
+                    .rejects.toThrow('LPN sequence limit reached for KL- (99999)');
+                expect(batch.commit).not.toHaveBeenCalled();
+            });
+        });
+
+        describe('backfillLPNRegistry', () => {
+            const mockLibrary = (parts, registry = {}) => {
+                const partDocs = Object.entries(parts).map(([id, part]) => ({ id, data: () => part }));
+                firestoreMocks.getDocs
+                    .mockResolvedValueOnce({ empty: partDocs.length === 0, docs: partDocs, forEach: (cb) => partDocs.forEach(cb) })
+                    .mockImplementation(async ({ _constraints: [{ _value }] }) => ({
+                        docs: Object.entries(registry)
+                            .filter(([id]) => _value.includes(id))
+                            .map(([id, data]) => ({ id, data: () => data }))
+                    }));
+            };
+
+            it('should register the LPNs of MPNs and generic passives that are not registered', async () => {
+                mockLibrary({
+                    mpn_X1: { 'Mfr. Part #': 'x1', Local_Part_Number: 'KL-00001-AAAAAA' },
+                    mpn_X2: { 'Mfr. Part #': 'X2', Local_Part_Number: 'KL-00002-BBBBBB' },
+                    'gen_RES-10k-0603': { Value: '10k', Footprint: '0603', Local_Part_Number: 'KL-00003-CCCCCC' },
+                    'lpn_KL-00004-DDDDDD': { Value: 'Custom', Local_Part_Number: 'KL-00004-DDDDDD' }
+                }, { mpn_X2: { lpn: 'KL-00002-BBBBBB', libraries: ['workspaces/w1'] } });
+                const batch = { set: vi.fn(), commit: vi.fn().mockResolvedValue() };
+                firestoreMocks.writeBatch.mockReturnValue(batch);
+
+                const result = await backfillLPNRegistry(libraryId, reviewer);
+
+                expect(result).toEqual({ registered: 2, conflicts: [] });
+                expect(firestoreMocks.where).toHaveBeenCalledWith('Local_Part_Number', '!=', null);
+                expect(batch.set.mock.calls.map(([ref, data]) => [ref._path, data.lpn])).toEqual([
+                    ['db/lpn_registry/mpn_X1', 'KL-00001-AAAAAA'],
+                    ['db/lpn_registry/gen_RES-10k-0603', 'KL-00003-CCCCCC']
+                ]);
+                expect(batch.set.mock.calls[0][1]).toMatchObject({
+                    mpn: 'X1', sequence: null, partPath: 'workspaces/w1/parts/mpn_X1', libraries: ['workspaces/w1'], registeredBy: 'lib1'
+                });
+            });
+
+            it('should report LPNs that differ from the registered ones', async () => {
+                mockLibrary({
+                    mpn_X1: { 'Mfr. Part #': 'X1', Local_Part_Number: 'KL-00001-AAAAAA' },
+                    mpn_X1_2: { 'Mfr. Part #': 'X1 ', Local_Part_Number: 'KL-00009-AAAAAA' },
+                    mpn_X2: { 'Mfr. Part #': 'X2', Local_Part_Number: 'KL-00002-BBBBBB' }
+                }, { mpn_X2: { lpn: 'KL-00005-BBBBBB' } });
+
+                const { registered, conflicts } = await backfillLPNRegistry(libraryId, reviewer);
+
+                expect(registered).toBe(1);
+                expect(conflicts).toEqual([
+                    { key: 'mpn_X1', lpn: 'KL-00009-AAAAAA', registeredLPN: 'KL-00001-AAAAAA' },
+                    { key: 'mpn_X2', lpn: 'KL-00002-BBBBBB', registeredLPN: 'KL-00005-BBBBBB' }
+                ]);
+            });
+
+            it('should register in batches the security rules accept', async () => {
+                mockLibrary(Object.fromEntries(Array.from({ length: 40 }, (_, index) => [
+                    `mpn_X${index}`, { 'Mfr. Part #': `X${index}`, Local_Part_Number: `KL-${String(index + 1).padStart(5, '0')}-ABCDEF` }
+                ])));
+
+                expect(await backfillLPNRegistry(libraryId, reviewer)).toEqual({ registered: 40, conflicts: [] });
+                expect(firestoreMocks.writeBatch.mock.results.map(({ value }) => value.set.mock.calls.length)).toEqual([15, 15, 10]);
+            });
+
+            it('should only join registered LPNs for a personal library', async () => {
+                mockLibrary({
+                    mpn_X1: { 'Mfr. Part #': 'X1', Local_Part_Number: 'KL-00001-AAAAAA' },
+                    mpn_X2: { 'Mfr. Part #': 'X2', Local_Part_Number: 'KL-00002-BBBBBB' }
+                }, { mpn_X2: { lpn: 'KL-00002-BBBBBB', libraries: ['workspaces/w1'] } });
+
+                expect(await backfillLPNRegistry('user1', reviewer)).toEqual({ registered: 0, conflicts: [] });
+                expect(batchWrites()).toEqual([]);
+                expect(batchWrites('update')).toEqual([
+                    [expect.objectContaining({ _path: 'db/lpn_registry/mpn_X2' }), { libraries: ['workspaces/w1', 'users/user1'] }]
+                ]);
+            });
+
+            it('should do nothing for a library without LPNs', async () => {
+                expect(await backfillLPNRegistry(libraryId, reviewer)).toEqual({ registered: 0, conflicts: [] });
+                expect(firestoreMocks.writeBatch).not.toHaveBeenCalled();
+            });
+        });
+
+        describe('LPN lifecycle', () => {
+            const part = { 'Mfr. Part #': 'X1', Local_Part_Number: 'KL-00001-ABCDEF' };
+
+            it('setLPNLifecycle should update the status with an audit entry', async () => {
+                firestoreMocks.getDoc.mockResolvedValueOnce({ exists: () => true, data: () => part });
+
+                const batch = { set: vi.fn(), update: vi.fn(), commit: vi.fn().mockResolvedValue() };
+                firestoreMocks.writeBatch.mockReturnValueOnce(batch);
+
+                await setLPNLifecycle(libraryId, 'mpn_X1', { status: 'obsolete', supersededBy: 'KL-00002-ABCDEF' }, reviewer);
+
+                expect(batch.update).toHaveBeenCalledWith(
+                    expect.objectContaining({ _path: 'db/workspaces/w1/parts/mpn_X1' }),
+                    expect.objectContaining({ LPN_Status: 'obsolete', Superseded_By: null })
+                );
+                expect(batch.set).toHaveBeenCalledTimes(1);
+                expect(firestoreMocks.writeBatch).toHaveBeenCalledTimes(1);
+            });
+
+            it('setLPNLifecycle should require an existing replacement LPN of the library', async () => {
+                await expect(setLPNLifecycle(libraryId, 'mpn_X1', { status: 'retired' })).rejects.toThrow('Unknown LPN lifecycle status');
+                await expect(setLPNLifecycle(libraryId, 'mpn_X1', { status: 'superseded' })).rejects.toThrow('needs the LPN that replaces it');
+
+                firestoreMocks.getDoc.mockResolvedValue({ exists: () => true, data: () => part });
+                await expect(setLPNLifecycle(libraryId, 'mpn_X1', { status: 'superseded', supersededBy: 'KL-00001-ABCDEF' }))
+                    .rejects.toThrow('cannot supersede itself');
+                await expect(setLPNLifecycle(libraryId, 'mpn_X1', { status: 'superseded', supersededBy: 'KL-00002-ABCDEF' }))
+                    .rejects.toThrow('Replacement LPN KL-00002-ABCDEF not found');
+
+                const batch = { set: vi.fn(), update: vi.fn(), commit: vi.fn().mockResolvedValue() };
+                firestoreMocks.writeBatch.mockReturnValueOnce(batch);
+                firestoreMocks.getDocs.mockResolvedValueOnce({ empty: false, docs: [{ id: 'mpn_X2' }] });
+                await setLPNLifecycle(libraryId, 'mpn_X1', { status: 'superseded', supersededBy: ' KL-00002-ABCDEF ' });
+                expect(firestoreMocks.where).toHaveBeenCalledWith('Local_Part_Number', '==', 'KL-00002-ABCDEF');
+                expect(batch.update).toHaveBeenCalledWith(
+                    expect.anything(), expect.objectContaining({ LPN_Status: 'superseded', Superseded_By: 'KL-00002-ABCDEF' })
+                );
+            });
+
+            it('addAlternateMPN should register the alternate with the LPN of the part', async () => {
+                const transaction = mockTransaction({
+                    'db/workspaces/w1/parts/mpn_X1': part,
+                    'db/lpn_registry/mpn_X1': { lpn: 'KL-00001-ABCDEF', libraries: ['workspaces/w1'] }
+                });
+
+                const result = await addAlternateMPN(libraryId, 'mpn_X1', ' x1-alt ', reviewer);
+
+                expect(result).toEqual({ lpn: 'KL-00001-ABCDEF', alternates: ['X1-ALT'] });
+                expect(transaction.set).toHaveBeenCalledWith(
+                    expect.objectContaining({ _path: 'db/lpn_registry/mpn_X1-ALT' }),
+                    expect.objectContaining({
+                        lpn: 'KL-00001-ABCDEF', mpn: 'X1-ALT', alternateOf: 'mpn_X1', sequence: null,
+                        partPath: 'workspaces/w1/parts/mpn_X1', registeredBy: 'lib1'
+                    })
+                );
+                expect(transaction.update).toHaveBeenCalledWith(
+                    expect.objectContaining({ _path: 'db/workspaces/w1/parts/mpn_X1' }),
+                    expect.objectContaining({ Alternate_MPNs: ['X1-ALT'] })
+                );
+                // Audit entry of the part
+                expect(transaction.set).toHaveBeenCalledWith(
+                    expect.objectContaining({ _path: 'db/workspaces/w1/parts/mpn_X1/history/' }),
+                    expect.objectContaining({ source: 'lpn', userId: 'lib1' })
+                );
+            });
+
+            it('addAlternateMPN should refuse MPNs registered with another LPN', async () => {
+                mockTransaction({
+                    'db/workspaces/w1/parts/mpn_X1': part,
+                    'db/lpn_registry/mpn_X9': { lpn: 'KL-00009-ABCDEF' }
+                });
+                await expect(addAlternateMPN(libraryId, 'mpn_X1', 'X9', reviewer)).rejects.toThrow('X9 already has LPN KL-00009-ABCDEF');
+                await expect(addAlternateMPN(libraryId, 'mpn_X1', 'x1', reviewer)).rejects.toThrow('X1 is the MPN of KL-00001-ABCDEF');
+                await expect(addAlternateMPN(libraryId, 'mpn_GONE', 'X2', reviewer)).rejects.toThrow('Library part not found');
+            });
+
+            it('addAlternateMPN should only approve alternates in the library the LPN was issued to', async () => {
+                mockTransaction({
+                    'db/workspaces/w1/parts/mpn_X1': part,
+                    'db/lpn_registry/mpn_X1': { lpn: 'KL-00001-ABCDEF', libraries: ['users/u2', 'workspaces/w1'] }
+                });
+                await expect(addAlternateMPN(libraryId, 'mpn_X1', 'X1-ALT', reviewer))
+                    .rejects.toThrow('Alternates of KL-00001-ABCDEF are approved by the library it was issued to');
+
+                mockTransaction({ 'db/workspaces/w1/parts/mpn_X1': part });
+                await expect(addAlternateMPN(libraryId, 'mpn_X1', 'X1-ALT', reviewer))
+                    .rejects.toThrow('Alternates of KL-00001-ABCDEF are approved by the library it was issued to');
+            });
+
+            it('addAlternateMPN should leave approved alternates alone', async () => {
+                const transaction = mockTransaction({
+                    'db/workspaces/w1/parts/mpn_X1': { ...part, Alternate_MPNs: ['X1-ALT'] },
+                    'db/lpn_registry/mpn_X1-ALT': { lpn: 'KL-00001-ABCDEF', libraries: ['workspaces/w1'] }
+                });
+
+                expect(await addAlternateMPN(libraryId, 'mpn_X1', 'X1-ALT', reviewer)).toEqual({ lpn: 'KL-00001-ABCDEF', alternates: ['X1-ALT'] });
+                expect(transaction.set).not.toHaveBeenCalled();
+                expect(transaction.update).not.toHaveBeenCalled();
+            });
+        });
+
+        describe('changeLockedMPN', () => {
+            const admin = { userId: 'adm1', userEmail: 'admin@example.com' };
+            const part = { 'Mfr. Part #': 'X1O', MPN: 'x1o', Local_Part_Number: 'KL-00001-ABCDEF' };
+
+            // The part, the parts and registry entries answered to the queries by field value
+            const mockLibrary = (parts, registry) => {
+                firestoreMocks.getDoc.mockImplementation(async (ref) => {
+                    const id = ref._path.split('/').pop();
+                    return parts[id] ? { exists: () => true, data: () => parts[id] } : { exists: () => false };
+                });
+                firestoreMocks.getDocs.mockImplementation(async ({ _collectionRef, _constraints: [{ _field, _value }] }) => ({
+                    docs: Object.entries(_collectionRef._path === 'db/lpn_registry' ? registry : parts)
+                        .filter(([, data]) => data[_field] === _value)
+                        .map(([id, data]) => ({ id, data: () => data }))
+                }));
+                return mockTransaction({
+                    ...Object.fromEntries(Object.entries(parts).map(([id, data]) => [`db/workspaces/w1/parts/${id}`, data])),
+                    ...Object.fromEntries(Object.entries(registry).map(([id, data]) => [`db/lpn_registry/${id}`, data]))
+                });
+            };
+
+            it('should check the reason, policy and new MPN', async () => {
+                await expect(changeLockedMPN(libraryId, 'mpn_X1O', { mpn: 'X10', reason: ' ' }, admin)).rejects.toThrow('A reason is required');
+                await expect(changeLockedMPN(libraryId, 'mpn_X1O', { mpn: 'X10', reason: 'Typo', policy: 'keep' }, admin)).rejects.toThrow('Unknown hash policy');
+
+                mockLibrary({ mpn_X1O: part }, {});
+                await expect(changeLockedMPN(libraryId, 'mpn_X1O', { mpn: ' x1o ', reason: 'Typo' }, admin)).rejects.toThrow('already the MPN of KL-00001-ABCDEF');
+                await expect(changeLockedMPN(libraryId, 'mpn_GONE', { mpn: 'X10', reason: 'Typo' }, admin)).rejects.toThrow('Library part not found');
+            });
+
+            it('should refuse an MPN registered with another LPN', async () => {
+                mockLibrary({ mpn_X1O: part }, { mpn_X10: { lpn: 'KL-00005-ABCDEF', mpn: 'X10' } });
+
+                await expect(changeLockedMPN(libraryId, 'mpn_X1O', { mpn: 'X10', reason: 'Typo' }, admin))
+                    .rejects.toThrow('X10 already has LPN KL-00005-ABCDEF');
+            });
+
+            it('should retain the LPN, correct the MPN fields and record the change', async () => {
+                const transaction = mockLibrary(
+                    { mpn_X1O: part, mpn_ALT: { 'Mfr. Part #': 'ALT', Local_Part_Number: 'KL-00001-ABCDEF' } },
+                    {
+                        mpn_X1O: { lpn: 'KL-00001-ABCDEF', mpn: 'X1O', libraries: ['workspaces/w1'] },
+                        mpn_ALT: { lpn: 'KL-00001-ABCDEF', mpn: 'ALT', alternateOf: 'mpn_X1O', libraries: ['workspaces/w1'] }
+                    }
+                );
+
+                const result = await changeLockedMPN(libraryId, 'mpn_X1O', { mpn: 'X10', reason: ' Typo in BOM ' }, admin);
+
+                expect(result).toMatchObject({ oldMPN: 'X1O', newMPN: 'X10', oldLPN: 'KL-00001-ABCDEF', newLPN: 'KL-00001-ABCDEF', partIds: ['mpn_X1O', 'mpn_ALT'] });
+                expect(transaction.set).toHaveBeenCalledWith(
+                    expect.objectContaining({ _path: 'db/workspaces/w1/mpnChanges/' }),
+                    expect.objectContaining({ reason: 'Typo in BOM', policy: 'retain', changedBy: 'adm1' })
+                );
+                expect(transaction.update).toHaveBeenCalledWith(
+                    expect.objectContaining({ _path: 'db/workspaces/w1/parts/mpn_X1O' }),
+                    expect.objectContaining({ 'Mfr. Part #': 'X10', MPN: 'X10' })
+                );
+                // The alternate keeps its MPN and the LPN is unchanged
+                expect(transaction.update).not.toHaveBeenCalledWith(expect.objectContaining({ _path: 'db/workspaces/w1/parts/mpn_ALT' }), expect.anything());
+                expect(transaction.set).toHaveBeenCalledWith(
+                    expect.objectContaining({ _path: 'db/lpn_registry/mpn_X10' }),
+                    expect.objectContaining({ lpn: 'KL-00001-ABCDEF', mpn: 'X10', alternateOf: 'mpn_X1O', registeredBy: 'adm1' })
+                );
+                expect(transaction.update).toHaveBeenCalledWith(
+                    expect.objectContaining({ _path: 'db/lpn_registry/mpn_X1O' }),
+                    { lpn: 'KL-00001-ABCDEF', correctedTo: 'X10', changeId: 'workspaces/w1/mpnChanges/mock-doc-id' }
+                );
+                expect(transaction.set).toHaveBeenCalledWith(
+                    expect.objectContaining({ _path: 'db/workspaces/w1/parts/mpn_X1O/history/' }),
+                    expect.objectContaining({ source: 'correction', reason: 'Typo in BOM', userId: 'adm1' })
+                );
+            });
+
+            it('should move every part, registry entry and supersession to a recomputed LPN', async () => {
+                const transaction = mockLibrary(
+                    {
+                        mpn_X1O: part,
+                        mpn_ALT: { 'Mfr. Part #': 'ALT', Local_Part_Number: 'KL-00001-ABCDEF' },
+                        mpn_OLD: { 'Mfr. Part #': 'OLD', Local_Part_Number: 'KL-00000-AAAAAA', LPN_Status: 'superseded', Superseded_By: 'KL-00001-ABCDEF' }
+                    },
+                    { mpn_X1O: { lpn: 'KL-00001-ABCDEF', libraries: ['workspaces/w1'] }, mpn_ALT: { lpn: 'KL-00001-ABCDEF', libraries: ['workspaces/w1'] } }
+                );
+
+                const { newLPN } = await changeLockedMPN(libraryId, 'mpn_X1O', { mpn: 'X10', reason: 'Typo', policy: 'recompute' }, admin);
+
+                expect(newLPN).toBe(`KL-00001-${generateMPNHash('X10')}`);
+                expect(transaction.update).toHaveBeenCalledWith(
+                    expect.objectContaining({ _path: 'db/workspaces/w1/parts/mpn_X1O' }),
+                    expect.objectContaining({ 'Mfr. Part #': 'X10', Local_Part_Number: newLPN })
+                );
+                expect(transaction.update).toHaveBeenCalledWith(
+                    expect.objectContaining({ _path: 'db/workspaces/w1/parts/mpn_ALT' }),
+                    { Local_Part_Number: newLPN, updatedAt: expect.any(String) }
+                );
+                expect(transaction.update).toHaveBeenCalledWith(
+                    expect.objectContaining({ _path: 'db/workspaces/w1/parts/mpn_OLD' }),
+                    expect.objectContaining({ Superseded_By: newLPN })
+                );
+                expect(transaction.update).toHaveBeenCalledWith(
+                    expect.objectContaining({ _path: 'db/lpn_registry/mpn_ALT' }),
+                    { lpn: newLPN, changeId: 'workspaces/w1/mpnChanges/mock-doc-id' }
+                );
+                expect(transaction.set).toHaveBeenCalledWith(
+                    expect.objectContaining({ _path: 'db/lpn_registry/mpn_X10' }), expect.objectContaining({ lpn: newLPN })
+                );
+            });
+
+            it('should refuse an LPN held by other libraries or not registered to this one', async () => {
+                const transaction = mockLibrary({ mpn_X1O: part }, {
+                    mpn_X1O: { lpn: 'KL-00001-ABCDEF', libraries: ['workspaces/w1'] },
+                    mpn_ALT: { lpn: 'KL-00001-ABCDEF', libraries: ['users/u2', 'workspaces/w1'] }
+                });
+                await expect(changeLockedMPN(libraryId, 'mpn_X1O', { mpn: 'X10', reason: 'Typo' }, admin))
+                    .rejects.toThrow('KL-00001-ABCDEF is also used by other libraries and cannot be corrected');
+
+                mockLibrary({ mpn_X1O: part }, { mpn_X1O: { lpn: 'KL-00001-ABCDEF' } });
+                await expect(changeLockedMPN(libraryId, 'mpn_X1O', { mpn: 'X10', reason: 'Typo' }, admin))
+                    .rejects.toThrow('KL-00001-ABCDEF is not registered to this library yet');
+                expect(transaction.set).not.toHaveBeenCalled();
+                expect(transaction.update).not.toHaveBeenCalled();
+            });
+        });
+
+        it('rejectLPNRequest should require a reason', async () => {
+            await expect(rejectLPNRequest(libraryId, 'r1', '  ', reviewer)).rejects.toThrow('A reason is required');
+            expect(firestoreMocks.updateDoc).not.toHaveBeenCalled();
+        });
+
+        it('rejectLPNRequest should reject pending requests with the reason', async () => {
+            firestoreMocks.getDoc.mockResolvedValueOnce({ exists: () => true, data: () => ({ status: 'pending' }) });
+
+            await rejectLPNRequest(libraryId, 'r1', ' Datasheet missing ', reviewer);
+            expect(firestoreMocks.updateDoc).toHaveBeenCalledWith(
+                expect.objectContaining({ _path: 'db/workspaces/w1/lpnRequests/r1' }),
+                expect.objectContaining({ status: 'rejected', reason: 'Datasheet missing', reviewedBy: 'lib1' })
+            );
         });
     });
 
@@ -239,6 +1470,42 @@ describe('firestoreService', () => {
          });
     });
 
+    describe('LPN Scheme', () => {
+        const scheme = { prefix: 'ACME-', sequenceWidth: 6, includeHash: true, checkDigit: false, categories: [], previousFormats: [] };
+
+        it('saveLPNScheme should store the scheme on the library document', async () => {
+            await saveLPNScheme('workspaces/w1', scheme);
+            expect(firestoreMocks.setDoc).toHaveBeenCalledWith(
+                expect.objectContaining({ _path: 'db/workspaces/w1' }),
+                { lpnScheme: scheme, lpnSchemeUpdatedAt: expect.any(String) },
+                { merge: true }
+            );
+
+            await saveLPNScheme('user1', scheme);
+            expect(firestoreMocks.setDoc).toHaveBeenLastCalledWith(
+                expect.objectContaining({ _path: 'db/users/user1' }), expect.anything(), { merge: true }
+            );
+        });
+
+        it('subscribeToLPNScheme should pass the stored scheme, or null without one', () => {
+            const callback = vi.fn();
+            firestoreMocks.onSnapshot.mockImplementationOnce((ref, successCb) => {
+                successCb({ exists: () => true, data: () => ({ name: 'Team', lpnScheme: scheme }) });
+                return vi.fn();
+            });
+            subscribeToLPNScheme('workspaces/w1', callback);
+            expect(firestoreMocks.onSnapshot.mock.calls[0][0]).toMatchObject({ _path: 'db/workspaces/w1' });
+            expect(callback).toHaveBeenCalledWith(scheme);
+
+            firestoreMocks.onSnapshot.mockImplementationOnce((ref, successCb) => {
+                successCb({ exists: () => true, data: () => ({ name: 'Team' }) });
+                return vi.fn();
+            });
+            subscribeToLPNScheme('workspaces/w1', callback);
+            expect(callback).toHaveBeenLastCalledWith(null);
+        });
+    });
+
     // --- Check MPN & Find LPN ---
     describe('Check MPN & Find LPN', () => {
          const userId = 'user1';
@@ -248,7 +1515,7 @@ describe('firestoreService', () => {
             firestoreMocks.getDocs.mockResolvedValue({ empty: false });
             const result = await checkMPNExists(userId, mpn);
             expect(firestoreMocks.query).toHaveBeenCalledWith(
-                expect.objectContaining({ _path: `db/users/${userId}/components` }),
+                expect.objectContaining({ _path: `db/users/${userId}/parts` }),
                 expect.objectContaining({ _field: 'Mfr. Part #', _op: '==', _value: mpn })
             );
             expect(result).toBe(true);
@@ -260,29 +1527,29 @@ describe('firestoreService', () => {
              expect(result).toBe(false);
          });
 
-         it('findLPNForMPN should query and return LPN if found', async () => {
+         it('findLPNForMPN should return the LPN registered for the normalized MPN', async () => {
             const mockLPN = 'KL-00001-ABCDEF';
-            const mockDocs = [{ id: 'c1', data: () => ({ 'Mfr. Part #': mpn, 'Local_Part_Number': mockLPN }) }];
-            firestoreMocks.getDocs.mockResolvedValue({
-                empty: false,
-                docs: mockDocs
-            });
+            firestoreMocks.getDoc.mockResolvedValueOnce({ exists: () => true, data: () => ({ lpn: mockLPN }) });
 
-            const result = await findLPNForMPN(userId, mpn);
+            const result = await findLPNForMPN(` ${mpn.toLowerCase()} `);
 
-            expect(firestoreMocks.query).toHaveBeenCalledWith(
-                expect.objectContaining({ _path: `db/users/${userId}/components` }),
-                expect.objectContaining({ _field: 'Mfr. Part #', _op: '==', _value: mpn }),
-                expect.objectContaining({ _field: 'Local_Part_Number', _op: '!=', _value: null })
+            expect(firestoreMocks.getDoc).toHaveBeenCalledWith(
+                expect.objectContaining({ _path: `db/lpn_registry/mpn_${mpn.toUpperCase()}` })
             );
             expect(result).toBe(mockLPN);
          });
 
-         it('findLPNForMPN should return null if no matching doc with LPN found', async () => {
-             firestoreMocks.getDocs.mockResolvedValue({ empty: true });
-             const result = await findLPNForMPN(userId, mpn);
+         it('findLPNForMPN should return null if the MPN is not registered', async () => {
+             const result = await findLPNForMPN(mpn);
              expect(result).toBeNull();
          });
+
+         it('findLPNForPart should return the LPN of the library part', async () => {
+             firestoreMocks.getDoc.mockResolvedValueOnce({ exists: () => true, data: () => ({ Local_Part_Number: 'KL-00007-ABCDEF' }) });
+             expect(await findLPNForPart(userId, 'gen_RES-10k-0603')).toBe('KL-00007-ABCDEF');
+             firestoreMocks.getDoc.mockResolvedValueOnce({ exists: () => false });
+             expect(await findLPNForPart(userId, 'gen_RES-10k-0603')).toBeNull();
+         });
     });
 
     // --- Real-time Subscriptions ---
@@ -291,19 +1558,25 @@ describe('firestoreService', () => {
 
         it('subscribeToComponents should call onSnapshot and invoke success callback on data', () => {
             const callback = vi.fn();
-            const mockDocs = [{ id: 'c1', data: () => ({ name: 'Comp1' }) }];
-            const mockSnapshot = {
-                docs: mockDocs,
-                forEach: (cb) => mockDocs.forEach(cb)
+            const snapshots = {
+                [`db/users/${userId}/parts`]: [{ id: 'mpn_X1', data: () => ({ 'Mfr. Part #': 'X1', Value: '10k' }) }],
+                [`db/users/${userId}/placements`]: [
+                    { id: 'c1', data: () => ({ name: 'Comp1' }) },
+                    { id: 'c2', data: () => ({ Designator: 'R1', partId: 'mpn_X1' }) }
+                ]
             };
             firestoreMocks.onSnapshot.mockImplementation((ref, successCb, errorCb) => {
-                expect(ref._path).toBe(`db/users/${userId}/components`);
-                successCb(mockSnapshot);
+                const docs = snapshots[ref._path];
+                expect(docs).toBeDefined();
+                successCb({ docs, forEach: (cb) => docs.forEach(cb) });
                 return vi.fn();
             });
 
             subscribeToComponents(userId, callback);
-            expect(callback).toHaveBeenCalledWith([{ id: 'c1', name: 'Comp1' }]);
+            expect(callback).toHaveBeenLastCalledWith([
+                { id: 'c1', name: 'Comp1' },
+                { id: 'c2', Designator: 'R1', partId: 'mpn_X1', 'Mfr. Part #': 'X1', Value: '10k' }
+            ]);
         });
 
         it('subscribeToComponents should invoke error callback on error', () => {
@@ -321,10 +1594,12 @@ describe('firestoreService', () => {
             const callback = vi.fn();
             const projectName = 'ProjectB';
             firestoreMocks.onSnapshot.mockImplementation((queryRef, successCb, errorCb) => {
-                 expect(queryRef._collectionRef._path).toBe(`db/users/${userId}/components`);
-                 expect(queryRef._constraints).toEqual([
-                     expect.objectContaining({ _field: 'ProjectName', _op: '==', _value: projectName })
-                 ]);
+                 if (queryRef._collectionRef) {
+                     expect(queryRef._collectionRef._path).toBe(`db/users/${userId}/placements`);
+                     expect(queryRef._constraints).toEqual([
+                         expect.objectContaining({ _field: 'ProjectName', _op: '==', _value: projectName })
+                     ]);
+                 }
                  successCb({ docs: [], forEach: vi.fn() });
                  return vi.fn();
             });
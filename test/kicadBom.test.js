@@ -0,0 +1,174 @@
+/**
+ * @file kicadBom.test.js
+ * @description Test suite for KiCad native BOM export readers
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+    KICAD_BOM_FORMATS,
+    expandDesignatorList,
+    detectKiCadCsvFormat,
+    parseKiCadBomCSV,
+    parseKiCadNetlistXML
+} from '../src/utils/kicadBom.js';
+import { parseCsvRows, processBOMFile } from '../src/utils/bomParser.js';
+
+// `kicad-cli sch export bom` with the default field set
+const CLI_CSV = `"Refs","Value","Footprint","Qty","DNP"
+"C1,C2","100nF","Capacitor_SMD:C_0603_1608Metric","2",""
+"R1-R3","10k","Resistor_SMD:R_0603_1608Metric","3",""
+"U1","STM32F103C8T6","Package_QFP:LQFP-48_7x7mm_P0.5mm","1","DNP"
+`;
+
+// Legacy bom_csv_grouped_by_value plugin output
+const LEGACY_CSV = `"Source:","/home/user/amp/amp.sch"
+"Date:","Tue 01 Mar 2022"
+"Tool:","Eeschema 6.0.2"
+"Generator:","/usr/share/kicad/plugins/bom_csv_grouped_by_value.py"
+"Component Count:","3"
+"Ref","Qnty","Value","Cmp name","Footprint","Description","Vendor"
+"C1, C2, ","2","100nF","C","Capacitor_SMD:C_0603_1608Metric","Unpolarized capacitor",""
+"R1, ","1","~","R","Resistor_SMD:R_0603_1608Metric","Resistor",""
+`;
+
+// Intermediate XML netlist as written for BOM plugins
+const NETLIST_XML = `<?xml version="1.0" encoding="UTF-8"?>
+<export version="E">
+  <design><source>amp.kicad_sch</source></design>
+  <components>
+    <comp ref="R1">
+      <value>10k</value>
+      <footprint>Resistor_SMD:R_0603_1608Metric</footprint>
+      <datasheet>~</datasheet>
+      <fields>
+        <field name="Mfr. Part #">RC0603FR-0710KL</field>
+      </fields>
+      <libsource lib="Device" part="R" description="Resistor"/>
+      <sheetpath names="/" tstamps="/"/>
+    </comp>
+    <comp ref="C7">
+      <value>1uF</value>
+      <footprint>Capacitor_SMD:C_0805_2012Metric</footprint>
+      <property name="dnp"/>
+      <sheetpath names="/Power/" tstamps="/abc/"/>
+    </comp>
+    <comp ref="#PWR01">
+      <value>GND</value>
+    </comp>
+    <comp ref="TP1">
+      <value>TestPoint</value>
+      <property name="exclude_from_bom"/>
+    </comp>
+  </components>
+</export>`;
+
+const mockConfig = {
+    designatorColumn: 'Designator',
+    alternateDesignatorColumns: [],
+    fieldMappings: {}
+};
+
+const makeFile = (name, content) => ({
+    name,
+    text: async () => content,
+    arrayBuffer: async () => content,
+});
+
+describe('KiCad BOM Readers', () => {
+
+    describe('expandDesignatorList', () => {
+        it('should split lists and expand ranges', () => {
+            expect(expandDesignatorList('C1, C2, ')).toEqual(['C1', 'C2']);
+            expect(expandDesignatorList('R1-R3,R7')).toEqual(['R1', 'R2', 'R3', 'R7']);
+            expect(expandDesignatorList('D4-6')).toEqual(['D4', 'D5', 'D6']);
+        });
+        it('should keep reversed ranges as-is', () => {
+            expect(expandDesignatorList('R5-R2')).toEqual(['R5-R2']);
+        });
+    });
+
+    describe('detectKiCadCsvFormat', () => {
+        it('should detect kicad-cli and legacy exports', () => {
+            expect(detectKiCadCsvFormat(parseCsvRows(CLI_CSV)))
+                .toEqual({ format: KICAD_BOM_FORMATS.CLI_CSV, headerIndex: 0 });
+            expect(detectKiCadCsvFormat(parseCsvRows(LEGACY_CSV)))
+                .toEqual({ format: KICAD_BOM_FORMATS.LEGACY_CSV, headerIndex: 5 });
+        });
+        it('should ignore ordinary BOM files', () => {
+            expect(detectKiCadCsvFormat(parseCsvRows('Designator,Value,Footprint\nR1,10k,0603'))).toBeNull();
+            expect(detectKiCadCsvFormat(parseCsvRows('Item,Reference,Value\n1,R1,10k'))).toBeNull();
+        });
+    });
+
+    describe('parseKiCadBomCSV', () => {
+        it('should flatten kicad-cli rows into one row per designator', () => {
+            const result = parseKiCadBomCSV(parseCsvRows(CLI_CSV));
+            expect(result.rawHeaders).toEqual(['Designator', 'Value', 'Footprint', 'Qty', 'DNP']);
+            expect(result.rawRows.map(r => r.Designator)).toEqual(['C1', 'C2', 'R1', 'R2', 'R3', 'U1']);
+            expect(result.rawRows[2]).toEqual({
+                Designator: 'R1', Value: '10k', Footprint: 'Resistor_SMD:R_0603_1608Metric', Qty: '1', DNP: ''
+            });
+            expect(result.rawRows[5].DNP).toBe('DNP');
+        });
+
+        it('should map legacy columns and skip the preamble', () => {
+            const result = parseKiCadBomCSV(parseCsvRows(LEGACY_CSV));
+            expect(result.format).toBe(KICAD_BOM_FORMATS.LEGACY_CSV);
+            expect(result.rawHeaders).toEqual(['Designator', 'Qty', 'Value', 'Symbol', 'Footprint', 'Description', 'Vendor']);
+            expect(result.rawRows.map(r => r.Designator)).toEqual(['C1', 'C2', 'R1']);
+            expect(result.rawRows[2].Value).toBe('');
+        });
+
+        it('should keep rows grouped when Qty disagrees with the refs', () => {
+            const csv = `"Refs","Value","Footprint","Qty"\n"R1,R2","10k","R_0603","4"`;
+            const result = parseKiCadBomCSV(parseCsvRows(csv));
+            expect(result.rawRows).toEqual([{ Designator: 'R1, R2', Value: '10k', Footprint: 'R_0603', Qty: '4' }]);
+        });
+    });
+
+    describe('parseKiCadNetlistXML', () => {
+        it('should read components with fields, sheet and DNP', () => {
+            const result = parseKiCadNetlistXML(NETLIST_XML);
+            expect(result.format).toBe(KICAD_BOM_FORMATS.XML_NETLIST);
+            expect(result.rawRows.map(r => r.Designator)).toEqual(['R1', 'C7']);
+            expect(result.rawRows[0]).toMatchObject({
+                Value: '10k',
+                Datasheet: '',
+                Description: 'Resistor',
+                'Mfr. Part #': 'RC0603FR-0710KL',
+                Sheet: '/'
+            });
+            expect(result.rawRows[1]).toMatchObject({ DNP: 'DNP', Sheet: '/Power/', 'Mfr. Part #': '' });
+            expect(result.rawHeaders).toEqual(['Designator', 'Value', 'Footprint', 'Datasheet', 'Description', 'Mfr. Part #', 'Sheet', 'DNP']);
+        });
+
+        it('should reject other XML documents', () => {
+            expect(() => parseKiCadNetlistXML('<bom><item/></bom>')).toThrow('Not a KiCad XML netlist');
+        });
+    });
+
+    describe('processBOMFile with KiCad exports', () => {
+        it('should import kicad-cli CSV without a configured designator column', async () => {
+            const result = await processBOMFile(makeFile('amp-bom.csv', CLI_CSV), 'Amp', {
+                ...mockConfig,
+                designatorColumn: 'Part Reference'
+            });
+            expect(result.sourceFormat).toBe(KICAD_BOM_FORMATS.CLI_CSV);
+            expect(result.components).toHaveLength(6);
+            expect(result.ambiguousComponents).toHaveLength(0);
+            expect(result.components[0]).toMatchObject({ ProjectName: 'Amp', Designator: 'C1', Value: '100nF' });
+        });
+
+        it('should import XML netlists', async () => {
+            const result = await processBOMFile(makeFile('amp.xml', NETLIST_XML), 'Amp', mockConfig);
+            expect(result.sourceFormat).toBe(KICAD_BOM_FORMATS.XML_NETLIST);
+            expect(result.components.map(c => c.Designator)).toEqual(['R1', 'C7']);
+        });
+
+        it('should leave ordinary CSV files to the configured columns', async () => {
+            const result = await processBOMFile(makeFile('bom.csv', 'Designator,Value\nR1,10k'), 'Amp', mockConfig);
+            expect(result.sourceFormat).toBeNull();
+            expect(result.components).toHaveLength(1);
+        });
+    });
+});
@@ -0,0 +1,202 @@
+/**
+ * @file kicadHierarchy.test.js
+ * @description Test suite for hierarchical KiCad schematic resolution
+ */
+
+import { describe, it, expect } from 'vitest';
+import JSZip from 'jszip';
+import {
+    normalizePath,
+    resolveSheetFile,
+    readSchematicFiles,
+    findRootSchematic,
+    flattenSchematicHierarchy
+} from '../src/utils/kicadHierarchy.js';
+
+const ROOT_UUID = 'root-0001';
+const SHEET_A = 'sheet-000a';
+const SHEET_B = 'sheet-000b';
+
+// Root sheet (KiCad 7+): one resistor, two instances of the same "channel" sub-sheet
+const ROOT_SCH = `(kicad_sch (version 20230121) (generator eeschema)
+  (uuid ${ROOT_UUID})
+  (title_block (title "Amp") (rev "A"))
+  (symbol (lib_id "Device:R") (unit 1) (in_bom yes) (on_board yes)
+    (uuid sym-root-r1)
+    (property "Reference" "R1" (at 0 0 0))
+    (property "Value" "10k" (at 0 0 0))
+    (instances (project "amp" (path "/${ROOT_UUID}" (reference "R1") (unit 1))))
+  )
+  (sheet (at 10 10) (size 20 20)
+    (uuid ${SHEET_A})
+    (property "Sheetname" "Left" (at 0 0 0))
+    (property "Sheetfile" "channel.kicad_sch" (at 0 0 0))
+    (instances (project "amp" (path "/${ROOT_UUID}" (page "2"))))
+  )
+  (sheet (at 40 10) (size 20 20)
+    (uuid ${SHEET_B})
+    (property "Sheetname" "Right" (at 0 0 0))
+    (property "Sheetfile" "channel.kicad_sch" (at 0 0 0))
+    (instances (project "amp" (path "/${ROOT_UUID}" (page "3"))))
+  )
+)`;
+
+// Child sheet used twice: the capacitor gets a different designator per instance
+const CHANNEL_SCH = `(kicad_sch (version 20230121) (generator eeschema)
+  (uuid channel-0001)
+  (symbol (lib_id "Device:C") (unit 1) (in_bom yes) (on_board yes)
+    (uuid sym-ch-c1)
+    (property "Reference" "C?" (at 0 0 0))
+    (property "Value" "100nF" (at 0 0 0))
+    (instances (project "amp"
+      (path "/${ROOT_UUID}/${SHEET_A}" (reference "C101") (unit 1))
+      (path "/${ROOT_UUID}/${SHEET_B}" (reference "C201") (unit 1))
+    ))
+  )
+)`;
+
+// KiCad 6 style: designators live in the root symbol_instances table
+const LEGACY_ROOT_SCH = `(kicad_sch (version 20211123) (generator eeschema)
+  (uuid legacy-root)
+  (sheet (at 0 0) (size 10 10)
+    (uuid legacy-sheet)
+    (property "Sheet name" "Power" (id 0) (at 0 0 0))
+    (property "Sheet file" "power.kicad_sch" (id 1) (at 0 0 0))
+  )
+  (symbol_instances
+    (path "/legacy-sheet/legacy-u1" (reference "U7") (unit 1) (value "LM1117") (footprint "SOT-223"))
+  )
+)`;
+
+const LEGACY_POWER_SCH = `(kicad_sch (version 20211123) (generator eeschema)
+  (uuid legacy-power)
+  (symbol (lib_id "Regulator_Linear:LM1117") (unit 1) (in_bom yes) (on_board yes)
+    (uuid legacy-u1)
+    (property "Reference" "U?" (id 0) (at 0 0 0))
+  )
+)`;
+
+// Minimal File stand-in for the parts of the File API the util uses
+const makeFile = (name, content) => ({
+    name,
+    text: async () => content,
+    arrayBuffer: async () => content,
+});
+
+describe('KiCad Hierarchy Utilities', () => {
+
+    describe('normalizePath', () => {
+        it('should normalize separators and relative segments', () => {
+            expect(normalizePath('proj\\sub/../power.kicad_sch')).toBe('proj/power.kicad_sch');
+            expect(normalizePath('./a/./b.kicad_sch')).toBe('a/b.kicad_sch');
+        });
+    });
+
+    describe('resolveSheetFile', () => {
+        const keys = ['proj/root.kicad_sch', 'proj/sheets/power.kicad_sch', 'other/io.kicad_sch'];
+
+        it('should resolve paths relative to the parent sheet', () => {
+            expect(resolveSheetFile('sheets/power.kicad_sch', 'proj/root.kicad_sch', keys)).toBe('proj/sheets/power.kicad_sch');
+        });
+        it('should fall back to a unique base name match', () => {
+            expect(resolveSheetFile('io.kicad_sch', 'proj/root.kicad_sch', keys)).toBe('other/io.kicad_sch');
+        });
+        it('should return null for missing sheets', () => {
+            expect(resolveSheetFile('missing.kicad_sch', 'proj/root.kicad_sch', keys)).toBeNull();
+            expect(resolveSheetFile('', 'proj/root.kicad_sch', keys)).toBeNull();
+        });
+    });
+
+    describe('findRootSchematic', () => {
+        it('should pick the sheet that no other sheet references', () => {
+            const parsed = {
+                'channel.kicad_sch': { sheets: [] },
+                'amp.kicad_sch': { sheets: [{ fileName: 'channel.kicad_sch' }] }
+            };
+            expect(findRootSchematic(parsed)).toBe('amp.kicad_sch');
+        });
+        it('should prefer the sheet named after the project file', () => {
+            const parsed = { 'a.kicad_sch': { sheets: [] }, 'b.kicad_sch': { sheets: [] } };
+            expect(findRootSchematic(parsed, 'b.kicad_pro')).toBe('b.kicad_sch');
+        });
+    });
+
+    describe('flattenSchematicHierarchy', () => {
+        it('should resolve multi-instance sheets with per-instance designators', () => {
+            const result = flattenSchematicHierarchy({
+                'channel.kicad_sch': CHANNEL_SCH,
+                'amp.kicad_sch': ROOT_SCH
+            });
+
+            expect(result.rootKey).toBe('amp.kicad_sch');
+            expect(result.instances.map(i => [i.reference, i.sheetPath])).toEqual([
+                ['R1', '/'],
+                ['C101', '/Left/'],
+                ['C201', '/Right/']
+            ]);
+            expect(result.sheets.map(s => s.sheetPath)).toEqual(['/', '/Left/', '/Right/']);
+            expect(result.missingSheets).toEqual([]);
+        });
+
+        it('should resolve KiCad 6 symbol_instances paths', () => {
+            const result = flattenSchematicHierarchy({
+                'legacy.kicad_sch': LEGACY_ROOT_SCH,
+                'power.kicad_sch': LEGACY_POWER_SCH
+            });
+            expect(result.instances).toHaveLength(1);
+            expect(result.instances[0].reference).toBe('U7');
+            expect(result.instances[0].sheetPath).toBe('/Power/');
+        });
+
+        it('should report sub-sheets that were not uploaded', () => {
+            const result = flattenSchematicHierarchy({ 'amp.kicad_sch': ROOT_SCH });
+            expect(result.instances.map(i => i.reference)).toEqual(['R1']);
+            expect(result.missingSheets).toHaveLength(2);
+            expect(result.missingSheets[0]).toMatchObject({ name: 'Left', fileName: 'channel.kicad_sch' });
+        });
+
+        it('should reject recursive sheet references', () => {
+            const selfRef = `(kicad_sch (uuid x)
+              (sheet (uuid s1) (property "Sheetname" "Loop") (property "Sheetfile" "loop.kicad_sch")))`;
+            expect(() => flattenSchematicHierarchy({ 'loop.kicad_sch': selfRef }, 'loop.kicad_sch'))
+                .toThrow('Recursive sheet reference');
+        });
+
+        it('should throw when no schematic files are given', () => {
+            expect(() => flattenSchematicHierarchy({})).toThrow('No KiCad schematic');
+        });
+
+        it('should name the sheet that failed to parse', () => {
+            expect(() => flattenSchematicHierarchy({ 'bad.kicad_sch': '(kicad_sch (uuid x)' }))
+                .toThrow('bad.kicad_sch');
+        });
+    });
+
+    describe('readSchematicFiles', () => {
+        it('should read individual schematic files', async () => {
+            const { files, projectFile } = await readSchematicFiles([
+                makeFile('amp.kicad_sch', ROOT_SCH),
+                makeFile('amp.kicad_pro', '{}')
+            ]);
+            expect(Object.keys(files)).toEqual(['amp.kicad_sch']);
+            expect(projectFile).toBe('amp.kicad_pro');
+        });
+
+        it('should extract schematic files from a zipped project folder', async () => {
+            const zip = new JSZip();
+            zip.file('amp/amp.kicad_sch', ROOT_SCH);
+            zip.file('amp/channel.kicad_sch', CHANNEL_SCH);
+            zip.file('amp/amp.kicad_pro', '{}');
+            zip.file('amp/amp.kicad_pcb', '(kicad_pcb)');
+            zip.file('__MACOSX/amp/._amp.kicad_sch', 'junk');
+            const buffer = await zip.generateAsync({ type: 'arraybuffer' });
+
+            const { files, projectFile } = await readSchematicFiles([makeFile('amp.zip', buffer)]);
+            expect(Object.keys(files).sort()).toEqual(['amp/amp.kicad_sch', 'amp/channel.kicad_sch']);
+            expect(projectFile).toBe('amp/amp.kicad_pro');
+
+            const result = flattenSchematicHierarchy(files, null, projectFile);
+            expect(result.instances.map(i => i.reference)).toEqual(['R1', 'C101', 'C201']);
+        });
+    });
+});
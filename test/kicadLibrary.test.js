@@ -0,0 +1,147 @@
+/**
+ * @file kicadLibrary.test.js
+ * @description Test suite for KiCad symbol library (.kicad_sym) generation
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+    getLibraryPropertyValues,
+    collectLibraryParts,
+    createLibrarySymbol,
+    createPlaceholderSymbol,
+    buildKiCadSymbolLibrary
+} from '../src/utils/kicadLibrary.js';
+import { parseSExpression, getNodeName, findChildren, getAtomValue, getProperties } from '../src/utils/kicadSchematic.js';
+
+// lib_symbols entry as KiCad embeds it in a schematic (indented four spaces)
+const LIB_SYMBOL_R = `(symbol "Device:R" (pin_numbers hide) (in_bom yes) (on_board yes)
+      (property "Reference" "R" (at 2.032 0 90)
+        (effects (font (size 1.27 1.27)))
+      )
+      (property "Value" "R" (at 0 0 90)
+        (effects (font (size 1.27 1.27)))
+      )
+      (symbol "R_0_1"
+        (rectangle (start -1.016 -2.54) (end 1.016 2.54))
+      )
+      (symbol "R_1_1"
+        (pin passive line (at 0 3.81 270) (length 1.27))
+      )
+    )`;
+
+const RESISTOR = {
+    id: 'c1',
+    ProjectName: 'Amp',
+    Designator: 'R1',
+    Value: '10k',
+    Footprint: 'Resistor_SMD:R_0603_1608Metric',
+    'Mfr. Part #': 'RC0603FR-0710KL',
+    Manufacturer: 'Yageo',
+    Local_Part_Number: 'KL-00001-ABCDEF'
+};
+
+const SCHEMATICS = {
+    Amp: {
+        libSymbols: { 'Device:R': LIB_SYMBOL_R },
+        symbolLibIds: { R1: 'Device:R' }
+    }
+};
+
+const parseSymbol = (text) => parseSExpression(text)[0];
+
+describe('KiCad Library Utilities', () => {
+
+    describe('getLibraryPropertyValues', () => {
+        it('should map component fields to library properties', () => {
+            expect(getLibraryPropertyValues(RESISTOR)).toEqual({
+                Value: '10k',
+                Footprint: 'Resistor_SMD:R_0603_1608Metric',
+                Datasheet: '',
+                MPN: 'RC0603FR-0710KL',
+                Manufacturer: 'Yageo',
+                LPN: 'KL-00001-ABCDEF'
+            });
+        });
+    });
+
+    describe('collectLibraryParts', () => {
+        it('should return one part per LPN, sorted, skipping parts without LPN', () => {
+            const parts = collectLibraryParts([
+                { ...RESISTOR, Local_Part_Number: 'KL-00002-000000', Designator: 'R9', ProjectName: 'Other' },
+                RESISTOR,
+                { ...RESISTOR, id: 'c2', Designator: 'R2' },
+                { Designator: 'C1', Value: '100nF' }
+            ], SCHEMATICS);
+
+            expect(parts.map(p => p.lpn)).toEqual(['KL-00001-ABCDEF', 'KL-00002-000000']);
+            expect(parts[0].libSymbol).toBe(LIB_SYMBOL_R);
+            expect(parts[1].libSymbol).toBeNull();
+        });
+
+        it('should prefer a component whose project has schematic graphics', () => {
+            const unplaced = { ...RESISTOR, id: 'c0', ProjectName: 'NoSchematic' };
+            const parts = collectLibraryParts([unplaced, RESISTOR], SCHEMATICS);
+            expect(parts).toHaveLength(1);
+            expect(parts[0].component).toBe(RESISTOR);
+        });
+
+        it('should use the linked reference when present', () => {
+            const linked = { ...RESISTOR, Designator: 'R99' };
+            const schematics = { Amp: { ...SCHEMATICS.Amp, links: { c1: { reference: 'R1' } } } };
+            expect(collectLibraryParts([linked], schematics)[0].libSymbol).toBe(LIB_SYMBOL_R);
+        });
+    });
+
+    describe('createLibrarySymbol', () => {
+        it('should rename the symbol and its units and set properties', () => {
+            const text = createLibrarySymbol(LIB_SYMBOL_R, 'KL-00001-ABCDEF', getLibraryPropertyValues(RESISTOR));
+            const node = parseSymbol(text);
+
+            expect(getAtomValue(node, 0)).toBe('KL-00001-ABCDEF');
+            expect(findChildren(node, 'symbol').map(unit => getAtomValue(unit, 0)))
+                .toEqual(['KL-00001-ABCDEF_0_1', 'KL-00001-ABCDEF_1_1']);
+
+            const properties = getProperties(node);
+            expect(properties.Reference).toBe('R');
+            expect(properties.Value).toBe('10k');
+            expect(properties.MPN).toBe('RC0603FR-0710KL');
+            expect(properties.LPN).toBe('KL-00001-ABCDEF');
+            expect(properties.Datasheet).toBeUndefined();
+            expect(text).toContain('(rectangle (start -1.016 -2.54) (end 1.016 2.54))');
+        });
+    });
+
+    describe('createPlaceholderSymbol', () => {
+        it('should create a symbol with all library properties', () => {
+            const node = parseSymbol(createPlaceholderSymbol('KL-1', 'C', { Value: '100nF', LPN: 'KL-1' }));
+            const properties = getProperties(node);
+            expect(properties.Reference).toBe('C');
+            expect(properties.Value).toBe('100nF');
+            expect(Object.keys(properties)).toEqual(['Reference', 'Value', 'Footprint', 'Datasheet', 'MPN', 'Manufacturer', 'LPN']);
+            expect(getAtomValue(findChildren(node, 'symbol')[0], 0)).toBe('KL-1_0_1');
+        });
+    });
+
+    describe('buildKiCadSymbolLibrary', () => {
+        it('should build a parseable library with one symbol per part', () => {
+            const parts = collectLibraryParts([
+                RESISTOR,
+                { Designator: 'C4', Value: '100nF', Local_Part_Number: 'KL-00003-123456' }
+            ], SCHEMATICS);
+            const text = buildKiCadSymbolLibrary(parts);
+            const [root] = parseSExpression(text);
+
+            expect(getNodeName(root)).toBe('kicad_symbol_lib');
+            expect(findChildren(root, 'symbol').map(s => getAtomValue(s, 0)))
+                .toEqual(['KL-00001-ABCDEF', 'KL-00003-123456']);
+            expect(text).toContain('\n  (symbol "KL-00001-ABCDEF" (pin_numbers hide)');
+            expect(text).toContain('\n  )\n  (symbol "KL-00003-123456"');
+            expect(getProperties(findChildren(root, 'symbol')[1]).Reference).toBe('C');
+        });
+
+        it('should produce an empty library for no parts', () => {
+            const [root] = parseSExpression(buildKiCadSymbolLibrary([]));
+            expect(findChildren(root, 'symbol')).toHaveLength(0);
+        });
+    });
+});
@@ -0,0 +1,109 @@
+/**
+ * @file kicadMatcher.test.js
+ * @description Test suite for KiCad schematic <-> BOM matching utilities
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+    MATCH_METHODS,
+    normalizeDesignator,
+    normalizeFootprint,
+    matchKiCadComponents
+} from '../src/utils/kicadMatcher.js';
+
+describe('KiCad Matcher Utilities', () => {
+
+    describe('normalizeDesignator', () => {
+        it('should trim and uppercase designators', () => {
+            expect(normalizeDesignator(' r1 ')).toBe('R1');
+        });
+        it('should return empty string for missing values', () => {
+            expect(normalizeDesignator(null)).toBe('');
+            expect(normalizeDesignator(undefined)).toBe('');
+        });
+    });
+
+    describe('normalizeFootprint', () => {
+        it('should strip the KiCad library prefix', () => {
+            expect(normalizeFootprint('Resistor_SMD:R_0603_1608Metric')).toBe('r_0603_1608metric');
+        });
+        it('should keep footprints without prefix', () => {
+            expect(normalizeFootprint('R_0603_1608Metric')).toBe('r_0603_1608metric');
+        });
+        it('should handle empty input', () => {
+            expect(normalizeFootprint('')).toBe('');
+            expect(normalizeFootprint(null)).toBe('');
+        });
+    });
+
+    describe('matchKiCadComponents', () => {
+        it('should match by designator first', () => {
+            const symbols = [{ Designator: 'R1', Value: '10k' }];
+            const bom = [{ id: 'b1', Designator: 'r1', Value: '22k' }];
+            const { matched, unmatched, unmatchedSymbols } = matchKiCadComponents(symbols, bom);
+            expect(matched).toHaveLength(1);
+            expect(matched[0].matchedBy).toBe(MATCH_METHODS.DESIGNATOR);
+            expect(matched[0].bomComponent.id).toBe('b1');
+            expect(unmatched).toHaveLength(0);
+            expect(unmatchedSymbols).toHaveLength(0);
+        });
+
+        it('should fall back to MPN across different field names', () => {
+            const symbols = [{ Designator: 'U5', MPN: 'stm32f407vgt6' }];
+            const bom = [{ id: 'b1', Designator: 'IC1', 'Mfr. Part #': 'STM32F407VGT6' }];
+            const { matched } = matchKiCadComponents(symbols, bom);
+            expect(matched).toHaveLength(1);
+            expect(matched[0].matchedBy).toBe(MATCH_METHODS.MPN);
+        });
+
+        it('should fall back to Value + Footprint', () => {
+            const symbols = [{ Designator: 'C10', Value: '100nF', Footprint: 'Capacitor_SMD:C_0402_1005Metric' }];
+            const bom = [{ id: 'b1', Designator: 'C99', Value: '100nf', Footprint: 'C_0402_1005Metric' }];
+            const { matched } = matchKiCadComponents(symbols, bom);
+            expect(matched).toHaveLength(1);
+            expect(matched[0].matchedBy).toBe(MATCH_METHODS.VALUE_FOOTPRINT);
+        });
+
+        it('should use each BOM component only once', () => {
+            const symbols = [
+                { Designator: 'R10', Value: '10k', Footprint: 'R_0603' },
+                { Designator: 'R11', Value: '10k', Footprint: 'R_0603' }
+            ];
+            const bom = [{ id: 'b1', Designator: 'R1', Value: '10k', Footprint: 'R_0603' }];
+            const { matched, unmatchedSymbols } = matchKiCadComponents(symbols, bom);
+            expect(matched).toHaveLength(1);
+            expect(unmatchedSymbols).toHaveLength(1);
+            expect(unmatchedSymbols[0].Designator).toBe('R11');
+        });
+
+        it('should not let a later pass steal a designator match', () => {
+            const symbols = [
+                { Designator: 'R2', Value: '10k', Footprint: 'R_0603' },
+                { Designator: 'R1', Value: '10k', Footprint: 'R_0603' }
+            ];
+            const bom = [
+                { id: 'b1', Designator: 'R1', Value: '10k', Footprint: 'R_0603' },
+                { id: 'b2', Designator: 'R2', Value: '10k', Footprint: 'R_0603' }
+            ];
+            const { matched } = matchKiCadComponents(symbols, bom);
+            const byRef = Object.fromEntries(matched.map(m => [m.symbol.Designator, m.bomComponent.id]));
+            expect(byRef).toEqual({ R1: 'b1', R2: 'b2' });
+            expect(matched.every(m => m.matchedBy === MATCH_METHODS.DESIGNATOR)).toBe(true);
+        });
+
+        it('should report unmatched BOM components', () => {
+            const symbols = [{ Designator: 'R1' }];
+            const bom = [
+                { id: 'b1', Designator: 'R1' },
+                { id: 'b2', Designator: 'J1', Value: 'USB-C' }
+            ];
+            const { unmatched } = matchKiCadComponents(symbols, bom);
+            expect(unmatched.map(c => c.id)).toEqual(['b2']);
+        });
+
+        it('should handle empty or missing inputs', () => {
+            expect(matchKiCadComponents([], [])).toEqual({ matched: [], unmatched: [], unmatchedSymbols: [] });
+            expect(matchKiCadComponents(null, undefined)).toEqual({ matched: [], unmatched: [], unmatchedSymbols: [] });
+        });
+    });
+});
@@ -0,0 +1,204 @@
+/**
+ * @file kicadSchematic.test.js
+ * @description Test suite for the KiCad S-expression parser and schematic model
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+    tokenizeSExpression,
+    parseSExpression,
+    getNodeName,
+    findChild,
+    findChildren,
+    getAtomValue,
+    getProperties,
+    parseKiCadSchematicText,
+    resolveSymbolReference
+} from '../src/utils/kicadSchematic.js';
+
+// Minimal KiCad 7 style schematic with a lib symbol, one resistor, one power symbol
+const SAMPLE_SCHEMATIC = `(kicad_sch (version 20230121) (generator eeschema)
+  (uuid 0a1b2c3d-0000-0000-0000-000000000001)
+  (paper "A4")
+  (title_block
+    (title "Power Board (Rev B)")
+    (date "2025-01-15")
+    (rev "B")
+    (company "KeyLife")
+    (comment 1 "Checked")
+  )
+  (lib_symbols
+    (symbol "Device:R" (pin_numbers hide) (in_bom yes) (on_board yes)
+      (property "Reference" "R" (at 2.032 0 90))
+      (property "Value" "R" (at 0 0 90))
+      (symbol "R_0_1"
+        (rectangle (start -1.016 -2.54) (end 1.016 2.54))
+      )
+    )
+  )
+  (symbol (lib_id "Device:R") (at 100 50 0) (unit 1)
+    (in_bom yes) (on_board yes) (dnp no)
+    (uuid 11111111-0000-0000-0000-000000000001)
+    (property "Reference" "R1" (at 102 49 0)
+      (effects (font (size 1.27 1.27)) (justify left))
+    )
+    (property "Value" "10k" (at 102 51 0))
+    (property "Footprint" "Resistor_SMD:R_0603_1608Metric" (at 100 50 0)
+      (effects (font (size 1.27 1.27)) hide)
+    )
+    (property "Description" "Pull-up \\"strong\\" (1%)" (at 0 0 0))
+    (property "MPN"
+      "RC0603FR-0710KL"
+      (at 0 0 0)
+    )
+    (instances
+      (project "power_board"
+        (path "/0a1b2c3d-0000-0000-0000-000000000001" (reference "R1") (unit 1))
+      )
+    )
+  )
+  (symbol (lib_id "power:GND") (at 100 60 0) (unit 1)
+    (in_bom yes) (on_board yes)
+    (uuid 22222222-0000-0000-0000-000000000002)
+    (property "Reference" "#PWR01" (at 0 0 0))
+    (property "Value" "GND" (at 0 0 0))
+  )
+)`;
+
+describe('KiCad Schematic Parser', () => {
+
+    describe('tokenizeSExpression', () => {
+        it('should tokenize lists, bare atoms and quoted strings', () => {
+            const tokens = tokenizeSExpression('(property "Reference" R1)');
+            expect(tokens.map(t => t.type)).toEqual(['open', 'atom', 'atom', 'atom', 'close']);
+            expect(tokens[2]).toMatchObject({ value: 'Reference', quoted: true });
+            expect(tokens[3]).toMatchObject({ value: 'R1', quoted: false });
+        });
+
+        it('should keep parentheses inside quoted strings', () => {
+            const tokens = tokenizeSExpression('(title "Board (Rev A)")');
+            expect(tokens).toHaveLength(4);
+            expect(tokens[2].value).toBe('Board (Rev A)');
+        });
+
+        it('should unescape quotes and backslashes', () => {
+            const tokens = tokenizeSExpression('("say \\"hi\\" \\\\ bye")');
+            expect(tokens[1].value).toBe('say "hi" \\ bye');
+        });
+
+        it('should throw on unterminated strings', () => {
+            expect(() => tokenizeSExpression('(a "open')).toThrow('Unterminated string');
+        });
+
+        it('should throw on non-string input', () => {
+            expect(() => tokenizeSExpression(null)).toThrow();
+        });
+    });
+
+    describe('parseSExpression', () => {
+        it('should build a nested tree with source offsets', () => {
+            const text = '(a (b 1) (c "x"))';
+            const [root] = parseSExpression(text);
+            expect(getNodeName(root)).toBe('a');
+            const b = findChild(root, 'b');
+            expect(getAtomValue(b)).toBe('1');
+            expect(text.slice(b.start, b.end)).toBe('(b 1)');
+        });
+
+        it('should handle multi-line expressions', () => {
+            const [root] = parseSExpression('(property\n  "Value"\n  "10k"\n)');
+            expect(getAtomValue(root, 0)).toBe('Value');
+            expect(getAtomValue(root, 1)).toBe('10k');
+        });
+
+        it('should throw on unbalanced parentheses', () => {
+            expect(() => parseSExpression('(a (b)')).toThrow('Unbalanced');
+            expect(() => parseSExpression('(a))')).toThrow('Unexpected');
+        });
+
+        it('should find repeated children', () => {
+            const [root] = parseSExpression('(x (y 1) (z) (y 2))');
+            expect(findChildren(root, 'y').map(n => getAtomValue(n))).toEqual(['1', '2']);
+            expect(findChild(root, 'missing')).toBeNull();
+        });
+    });
+
+    describe('getProperties', () => {
+        it('should read KiCad 6+ property syntax', () => {
+            const [node] = parseSExpression('(symbol (property "Reference" "U1") (property "Value" "LM358"))');
+            expect(getProperties(node)).toEqual({ Reference: 'U1', Value: 'LM358' });
+        });
+
+        it('should read legacy field syntax', () => {
+            const [node] = parseSExpression('(symbol (field (name "Reference") (value "C3")))');
+            expect(getProperties(node)).toEqual({ Reference: 'C3' });
+        });
+    });
+
+    describe('parseKiCadSchematicText', () => {
+        const schematic = parseKiCadSchematicText(SAMPLE_SCHEMATIC);
+
+        it('should read header and title block', () => {
+            expect(schematic.version).toBe('20230121');
+            expect(schematic.generator).toBe('eeschema');
+            expect(schematic.titleBlock).toMatchObject({
+                title: 'Power Board (Rev B)', date: '2025-01-15', rev: 'B', company: 'KeyLife'
+            });
+            expect(schematic.titleBlock.comments['1']).toBe('Checked');
+        });
+
+        it('should expose lib_symbols separately from placed symbols', () => {
+            expect(Object.keys(schematic.libSymbols)).toEqual(['Device:R']);
+            expect(schematic.libSymbols['Device:R'].raw.startsWith('(symbol "Device:R"')).toBe(true);
+            expect(schematic.symbols).toHaveLength(2);
+        });
+
+        it('should read properties including multi-line and escaped values', () => {
+            const [resistor] = schematic.symbols;
+            expect(resistor.libId).toBe('Device:R');
+            expect(resistor.reference).toBe('R1');
+            expect(resistor.properties).toMatchObject({
+                Value: '10k',
+                Footprint: 'Resistor_SMD:R_0603_1608Metric',
+                Description: 'Pull-up "strong" (1%)',
+                MPN: 'RC0603FR-0710KL'
+            });
+            expect(resistor.dnp).toBe(false);
+            expect(resistor.inBom).toBe(true);
+        });
+
+        it('should read instance data', () => {
+            expect(schematic.symbols[0].instances).toEqual([
+                { project: 'power_board', path: '/0a1b2c3d-0000-0000-0000-000000000001', reference: 'R1', unit: 1 }
+            ]);
+        });
+
+        it('should keep the exact raw text of each symbol', () => {
+            const [resistor] = schematic.symbols;
+            expect(resistor.raw).toBe(SAMPLE_SCHEMATIC.slice(resistor.start, resistor.end));
+            expect(resistor.raw.startsWith('(symbol (lib_id "Device:R")')).toBe(true);
+            expect(resistor.raw.endsWith(')')).toBe(true);
+        });
+
+        it('should reject files that are not schematics', () => {
+            expect(() => parseKiCadSchematicText('(kicad_pcb (version 1))')).toThrow('Not a KiCad schematic');
+        });
+    });
+
+    describe('resolveSymbolReference', () => {
+        it('should keep an annotated reference', () => {
+            const symbol = { uuid: 'u1', reference: 'R1', instances: [] };
+            expect(resolveSymbolReference(symbol)).toBe('R1');
+        });
+
+        it('should resolve unannotated references from instances', () => {
+            const symbol = { uuid: 'u1', reference: 'R?', instances: [{ reference: 'R7' }] };
+            expect(resolveSymbolReference(symbol)).toBe('R7');
+        });
+
+        it('should resolve from the KiCad 6 symbol_instances table', () => {
+            const symbol = { uuid: 'u1', reference: 'C?', instances: [] };
+            expect(resolveSymbolReference(symbol, { '/u1': { reference: 'C4' } })).toBe('C4');
+        });
+    });
+});
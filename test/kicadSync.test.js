@@ -0,0 +1,147 @@
+/**
+ * @file kicadSync.test.js
+ * @description Test suite for writing library fields back into KiCad schematics
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+    escapeKiCadString,
+    setSymbolProperties,
+    buildSymbolPropertyUpdates,
+    isValidSchematicText
+} from '../src/utils/kicadSync.js';
+import { parseKiCadSchematicText } from '../src/utils/kicadSchematic.js';
+import { flattenSchematicHierarchy } from '../src/utils/kicadHierarchy.js';
+
+// KiCad 7+ schematic with one resistor and one power symbol
+const SCHEMATIC = `(kicad_sch (version 20230121) (generator eeschema)
+  (uuid root-0001)
+  (symbol (lib_id "Device:R") (at 50.8 76.2 0) (unit 1)
+    (in_bom yes) (on_board yes)
+    (uuid sym-r1)
+    (property "Reference" "R1" (at 52.07 74.93 0))
+    (property "Value" "10k" (at 52.07 77.47 0))
+    (property "Datasheet" "~" (at 50.8 76.2 0)
+      (effects (font (size 1.27 1.27)) hide)
+    )
+    (instances (project "amp" (path "/root-0001" (reference "R1") (unit 1))))
+  )
+  (symbol (lib_id "power:GND") (at 10 10 0) (unit 1)
+    (in_bom yes) (on_board yes)
+    (uuid sym-pwr)
+    (property "Reference" "#PWR01" (at 10 10 0))
+    (instances (project "amp" (path "/root-0001" (reference "#PWR01") (unit 1))))
+  )
+)
+`;
+
+// KiCad 6 numbered its properties with (id N)
+const LEGACY_SCHEMATIC = `(kicad_sch (version 20211123) (generator eeschema)
+  (uuid legacy-root)
+  (symbol (lib_id "Device:C") (at 20 30 0) (unit 1)
+    (uuid legacy-c1)
+    (property "Reference" "C1" (id 0) (at 20 30 0))
+    (property "Value" "100nF" (id 1) (at 20 32 0))
+  )
+)
+`;
+
+const firstSymbolStart = (text) => parseKiCadSchematicText(text).symbols[0].start;
+
+describe('KiCad Sync Utilities', () => {
+
+    describe('escapeKiCadString', () => {
+        it('should escape quotes, backslashes and newlines', () => {
+            expect(escapeKiCadString('10k "1%"')).toBe('10k \\"1%\\"');
+            expect(escapeKiCadString('a\\b')).toBe('a\\\\b');
+            expect(escapeKiCadString('line1\nline2')).toBe('line1\\nline2');
+        });
+        it('should handle null values', () => {
+            expect(escapeKiCadString(null)).toBe('');
+        });
+    });
+
+    describe('setSymbolProperties', () => {
+        it('should replace the value of an existing property in place', () => {
+            const start = firstSymbolStart(SCHEMATIC);
+            const result = setSymbolProperties(SCHEMATIC, {
+                [start]: { Datasheet: 'https://example.com/r.pdf' }
+            });
+
+            expect(result.changedSymbols).toBe(1);
+            expect(result.changedProperties).toBe(1);
+            expect(result.text).toBe(SCHEMATIC.replace(
+                '(property "Datasheet" "~"',
+                '(property "Datasheet" "https://example.com/r.pdf"'
+            ));
+        });
+
+        it('should insert missing properties after the last property with matching indent', () => {
+            const start = firstSymbolStart(SCHEMATIC);
+            const result = setSymbolProperties(SCHEMATIC, {
+                [start]: { 'Mfr. Part #': 'RC0603FR-0710KL', Local_Part_Number: 'KL-00001-ABCDEF' }
+            });
+
+            expect(result.changedProperties).toBe(2);
+            expect(result.text).toContain(
+                '    )\n    (property "Mfr. Part #" "RC0603FR-0710KL" (at 50.8 76.2 0) (effects (font (size 1.27 1.27)) hide))'
+            );
+
+            const symbol = parseKiCadSchematicText(result.text).symbols[0];
+            expect(symbol.properties['Mfr. Part #']).toBe('RC0603FR-0710KL');
+            expect(symbol.properties.Local_Part_Number).toBe('KL-00001-ABCDEF');
+            expect(symbol.uuid).toBe('sym-r1');
+        });
+
+        it('should number new properties in KiCad 6 files', () => {
+            const start = firstSymbolStart(LEGACY_SCHEMATIC);
+            const result = setSymbolProperties(LEGACY_SCHEMATIC, { [start]: { Datasheet: 'ds.pdf' } });
+            expect(result.text).toContain('(property "Datasheet" "ds.pdf" (id 2) (at 20 30 0)');
+        });
+
+        it('should leave the text untouched when nothing changes', () => {
+            const start = firstSymbolStart(SCHEMATIC);
+            expect(setSymbolProperties(SCHEMATIC, {}).text).toBe(SCHEMATIC);
+
+            const result = setSymbolProperties(SCHEMATIC, { [start]: { Value: '10k', Datasheet: '' } });
+            expect(result.text).toBe(SCHEMATIC);
+            expect(result.changedSymbols).toBe(0);
+        });
+
+        it('should escape values containing quotes', () => {
+            const start = firstSymbolStart(SCHEMATIC);
+            const result = setSymbolProperties(SCHEMATIC, { [start]: { Value: '10k "1%"' } });
+            expect(parseKiCadSchematicText(result.text).symbols[0].properties.Value).toBe('10k "1%"');
+        });
+    });
+
+    describe('buildSymbolPropertyUpdates', () => {
+        const { instances } = flattenSchematicHierarchy({ 'amp.kicad_sch': SCHEMATIC });
+        const library = {
+            R1: { 'Mfr. Part #': 'RC0603FR-0710KL', Datasheet: '', Local_Part_Number: 'KL-00001-ABCDEF', Notes: 'x' }
+        };
+
+        it('should include sync params and the Local_Part_Number', () => {
+            const updates = buildSymbolPropertyUpdates(instances, ref => library[ref] || null, ['Datasheet', 'Mfr. Part #']);
+            const start = firstSymbolStart(SCHEMATIC);
+
+            expect(updates['amp.kicad_sch'][start]).toEqual({
+                'Mfr. Part #': 'RC0603FR-0710KL',
+                Local_Part_Number: 'KL-00001-ABCDEF'
+            });
+        });
+
+        it('should skip power symbols and unmatched designators', () => {
+            const updates = buildSymbolPropertyUpdates(instances, () => null, ['Datasheet']);
+            expect(updates['amp.kicad_sch']).toEqual({});
+        });
+    });
+
+    describe('isValidSchematicText', () => {
+        it('should accept schematics and reject broken text', () => {
+            expect(isValidSchematicText(SCHEMATIC)).toBe(true);
+            expect(isValidSchematicText('(kicad_sch (uuid x)')).toBe(false);
+            expect(isValidSchematicText('(kicad_pcb)')).toBe(false);
+        });
+    });
+});
@@ -0,0 +1,156 @@
+/**
+ * @file labels.test.js
+ * @description Test suite for LPN label contents, layout and PDF/ZPL generation
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+    LABEL_TEMPLATES,
+    BARCODE_TYPES,
+    getLabelData,
+    layoutLabel,
+    generateLabelPDF,
+    generateLabelZPL
+} from '../src/utils/labels.js';
+
+const LABELS = [
+    { lpn: 'KL-00123-A3F142', mpn: 'RC0603FR-07100KL', value: '100k', footprint: 'R_0603_1608Metric' },
+    { lpn: 'KL-IC-000042-0FFA21-3', mpn: 'STM32F405RGT6', value: '', footprint: 'LQFP-64' },
+];
+
+const countMatches = (text, pattern) => (text.match(pattern) || []).length;
+
+describe('Labels', () => {
+    describe('getLabelData', () => {
+        it('should collect the LPN, MPN, value and footprint', () => {
+            const { labels, skipped } = getLabelData([
+                { Local_Part_Number: 'KL-00123-A3F142', 'Mfr. Part #': 'RC0603FR-07100KL', Value: '100k', Footprint: '0603' }
+            ]);
+            expect(labels).toEqual([{ lpn: 'KL-00123-A3F142', mpn: 'RC0603FR-07100KL', value: '100k', footprint: '0603' }]);
+            expect(skipped).toBe(0);
+        });
+
+        it('should label each LPN once and skip rows without one', () => {
+            const { labels, skipped } = getLabelData([
+                { Local_Part_Number: 'KL-00123-A3F142', Designator: 'R1' },
+                { Local_Part_Number: 'KL-00123-A3F142', Designator: 'R2' },
+                { Designator: 'C1', Value: '100nF' },
+                { Local_Part_Number: '  ', Designator: 'C2' },
+            ]);
+            expect(labels.map(label => label.lpn)).toEqual(['KL-00123-A3F142']);
+            expect(skipped).toBe(2);
+        });
+
+        it('should fall back to other value and package fields', () => {
+            const { labels } = getLabelData([{ Local_Part_Number: 'KL-00001-000001', Comment: '10uF', Package: '0805' }]);
+            expect(labels[0]).toMatchObject({ mpn: '', value: '10uF', footprint: '0805' });
+        });
+    });
+
+    describe('layoutLabel', () => {
+        const size = LABEL_TEMPLATES['avery-l7651'].label;
+
+        it('should keep the barcode and text inside the label', () => {
+            for (const barcode of Object.values(BARCODE_TYPES)) {
+                const layout = layoutLabel(LABELS[0], size, barcode);
+                expect(layout.barcode.x + layout.barcode.width).toBeLessThanOrEqual(size.width);
+                expect(layout.barcode.y + layout.barcode.height).toBeLessThanOrEqual(size.height);
+                for (const line of layout.lines) {
+                    expect(line.x + line.text.length * line.size * 0.6).toBeLessThanOrEqual(size.width + 0.01);
+                    expect(line.y).toBeLessThanOrEqual(layout.barcode.y + (barcode === BARCODE_TYPES.CODE128 ? 0 : size.height));
+                }
+            }
+        });
+
+        it('should keep the full LPN and truncate the other lines', () => {
+            const label = { ...LABELS[0], mpn: 'A-VERY-LONG-MANUFACTURER-PART-NUMBER-XYZ' };
+            const { lines } = layoutLabel(label, size, BARCODE_TYPES.DATAMATRIX);
+            expect(lines[0]).toMatchObject({ text: 'KL-00123-A3F142', bold: true });
+            expect(lines[1].text.endsWith('…')).toBe(true);
+            expect(lines[2].text).toContain('100k · R_0603');
+        });
+
+        it('should place a DataMatrix left of the text as a square', () => {
+            const { barcode, lines } = layoutLabel(LABELS[0], size, BARCODE_TYPES.DATAMATRIX);
+            expect(barcode.width).toBe(barcode.height);
+            expect(lines.every(line => line.x >= barcode.x + barcode.width)).toBe(true);
+        });
+
+        it('should reject unknown barcode types', () => {
+            expect(() => layoutLabel(LABELS[0], size, 'qr')).toThrow('Unknown barcode type: qr');
+        });
+    });
+
+    describe('generateLabelPDF', () => {
+        it('should write a PDF with valid cross-reference offsets', () => {
+            const pdf = generateLabelPDF(LABELS, { template: 'avery-l7160' });
+            expect(pdf.startsWith('%PDF-1.4\n')).toBe(true);
+            expect(pdf.trimEnd().endsWith('%%EOF')).toBe(true);
+
+            const xref = Number(pdf.match(/startxref\n(\d+)/)[1]);
+            expect(pdf.slice(xref, xref + 4)).toBe('xref');
+            const offsets = [...pdf.slice(xref).matchAll(/^(\d{10}) 00000 n $/gm)].map(match => Number(match[1]));
+            offsets.forEach((offset, index) => {
+                expect(pdf.slice(offset).startsWith(`${index + 1} 0 obj`)).toBe(true);
+            });
+        });
+
+        it('should fill sheets and start a new page when one is full', () => {
+            const template = LABEL_TEMPLATES['avery-l7160'];
+            const onePage = generateLabelPDF(LABELS, { template: 'avery-l7160' });
+            expect(onePage).toContain('/Count 1');
+            expect(countMatches(onePage, /\(KL-00123-A3F142\) Tj/g)).toBe(1);
+
+            const skipped = generateLabelPDF(LABELS, { template: 'avery-l7160', skip: template.columns * template.rows - 1 });
+            expect(skipped).toContain('/Count 2');
+        });
+
+        it('should repeat labels for copies', () => {
+            const pdf = generateLabelPDF(LABELS, { template: 'avery-l7160', copies: 3 });
+            expect(countMatches(pdf, /\(KL-00123-A3F142\) Tj/g)).toBe(3);
+        });
+
+        it('should print one page per label at the label size for thermal templates', () => {
+            const pdf = generateLabelPDF(LABELS, { template: 'thermal-62x29', barcode: BARCODE_TYPES.DATAMATRIX });
+            expect(pdf).toContain('/Count 2');
+            expect(countMatches(pdf, /\/MediaBox \[0 0 175\.75 82\.2\]/g)).toBe(2);
+        });
+
+        it('should escape PDF string delimiters and encode Latin-1', () => {
+            const pdf = generateLabelPDF([{ ...LABELS[0], value: '4.7µF (X7R)' }], { template: 'avery-l7160' });
+            expect(pdf).toContain('4.7\\265F \\(X7R\\)');
+        });
+
+        it('should reject unknown templates and empty label lists', () => {
+            expect(() => generateLabelPDF(LABELS, { template: 'avery-9999' })).toThrow('Unknown label template: avery-9999');
+            expect(() => generateLabelPDF([], { template: 'avery-l7160' })).toThrow('No labels to print');
+        });
+    });
+
+    describe('generateLabelZPL', () => {
+        it('should write one label format per LPN with the print width and copies', () => {
+            const zpl = generateLabelZPL(LABELS, { template: 'thermal-62x29', copies: 2 });
+            expect(countMatches(zpl, /\^XA/g)).toBe(2);
+            expect(countMatches(zpl, /\^XZ/g)).toBe(2);
+            expect(zpl).toContain('^PW496');
+            expect(zpl).toContain('^LL232');
+            expect(countMatches(zpl, /\^PQ2/g)).toBe(2);
+        });
+
+        it('should use the printer barcode commands', () => {
+            expect(generateLabelZPL(LABELS, { template: 'thermal-62x29' })).toMatch(/\^BCN,\d+,N,N,N,A\^FH_\^FDKL-00123-A3F142\^FS/);
+            expect(generateLabelZPL(LABELS, { template: 'thermal-62x29', barcode: BARCODE_TYPES.DATAMATRIX }))
+                .toMatch(/\^BXN,\d+,200,16,16\^FH_\^FDKL-00123-A3F142\^FS/);
+        });
+
+        it('should hex-escape ZPL command characters', () => {
+            const zpl = generateLabelZPL([{ ...LABELS[0], mpn: 'A^B~C' }], { template: 'thermal-62x29' });
+            expect(zpl).toContain('^FDA_5EB_7EC^FS');
+            expect(zpl).toContain('R_5F0603');
+        });
+
+        it('should only accept thermal templates', () => {
+            expect(() => generateLabelZPL(LABELS, { template: 'avery-l7160' })).toThrow('ZPL output needs a thermal label template');
+        });
+    });
+});
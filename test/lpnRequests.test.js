@@ -0,0 +1,73 @@
+/**
+ * @file lpnRequests.test.js
+ * @description Tests for building and grouping LPN requests
+ */
+import { describe, it, expect } from 'vitest';
+import {
+    LPN_REQUEST_STATUS,
+    buildLPNRequest,
+    getLatestRequestsByPart,
+    getPendingRequests,
+    getLPNIdentityKey
+} from '../src/utils/lpnRequests.js';
+
+describe('lpnRequests', () => {
+    describe('buildLPNRequest', () => {
+        it('should keep the part data a librarian reviews', () => {
+            const component = {
+                id: 'c1', Designator: 'U1', ProjectName: 'P', 'Mfr. Part #': 'STM32F407VGT6',
+                Manufacturer: 'ST', Description: ' MCU ', Footprint: '', Value: undefined
+            };
+
+            expect(buildLPNRequest(component, { partId: 'mpn_STM32F407VGT6', mpn: 'STM32F407VGT6' })).toEqual({
+                partId: 'mpn_STM32F407VGT6',
+                componentId: 'c1',
+                designator: 'U1',
+                mpn: 'STM32F407VGT6',
+                genericPartNumber: null,
+                part: { 'Mfr. Part #': 'STM32F407VGT6', Manufacturer: 'ST', Description: 'MCU' }
+            });
+        });
+
+        it('should identify generic passives by their generic part number', () => {
+            const request = buildLPNRequest({ Value: '4k7', Footprint: '0603' }, { partId: 'gen_RES-4%2E7k-0603', genericPartNumber: 'RES-4.7k-0603' });
+
+            expect(request).toMatchObject({ componentId: null, designator: null, mpn: null, genericPartNumber: 'RES-4.7k-0603' });
+            expect(request.part).toEqual({ Value: '4k7', Footprint: '0603' });
+        });
+
+        it('should take the designator of a library part from its placements', () => {
+            const request = buildLPNRequest({ designators: ['R3', 'R4'] }, { partId: 'mpn_X1', mpn: 'X1' });
+
+            expect(request.designator).toBe('R3');
+        });
+    });
+
+    it('should key identities by normalized MPN, or by generic part number', () => {
+        expect(getLPNIdentityKey({ mpn: ' stm32f407vgt6 ' })).toBe('mpn_STM32F407VGT6');
+        expect(getLPNIdentityKey({ mpn: 'RC0603FR -07100KL' })).toBe(getLPNIdentityKey({ mpn: 'rc0603fr-07100kl' }));
+        expect(getLPNIdentityKey({ mpn: 'A/B.1' })).toBe('mpn_A%2FB%2E1');
+        expect(getLPNIdentityKey({ mpn: null, genericPartNumber: 'RES-4.7k-0603' })).toBe('gen_RES-4%2E7k-0603');
+        expect(getLPNIdentityKey({ mpn: 'X1' })).not.toBe(getLPNIdentityKey({ genericPartNumber: 'X1' }));
+    });
+
+    const requests = [
+        { id: 'r1', partId: 'p1', status: LPN_REQUEST_STATUS.REJECTED, requestedAt: '2025-01-01T00:00:00Z' },
+        { id: 'r2', partId: 'p1', status: LPN_REQUEST_STATUS.PENDING, requestedAt: '2025-01-03T00:00:00Z' },
+        { id: 'r3', partId: 'p2', status: LPN_REQUEST_STATUS.PENDING, requestedAt: '2025-01-02T00:00:00Z' },
+        { id: 'r4', partId: 'p3', status: LPN_REQUEST_STATUS.APPROVED, requestedAt: '2025-01-04T00:00:00Z' }
+    ];
+
+    it('should find the latest request of every part', () => {
+        const latest = getLatestRequestsByPart(requests);
+
+        expect(latest.get('p1').id).toBe('r2');
+        expect(latest.get('p2').id).toBe('r3');
+        expect(latest.size).toBe(3);
+        expect(getLatestRequestsByPart(null).size).toBe(0);
+    });
+
+    it('should list pending requests oldest first', () => {
+        expect(getPendingRequests(requests).map(request => request.id)).toEqual(['r3', 'r2']);
+    });
+});
@@ -12,7 +12,18 @@ import {
     assembleLPN,
     validateComponentForLPN,
     hasLPN,
-    isFieldLocked
+    isFieldLocked,
+    computeCheckDigit,
+    DEFAULT_LPN_SCHEME,
+    getLPNCounterId,
+    getLPNCategory,
+    resolveLPNFormat,
+    parseLPN,
+    validateLPNFormat,
+    getSchemeFormats,
+    changeLPNScheme,
+    getLPNLifecycle,
+    rehashLPN
 } from '../src/utils/lpnUtils.js';
 
 describe('formatSequence', () => {
@@ -170,6 +181,108 @@ describe('assembleLPN', () => {
         const lpn = assembleLPN(42, 'ABC123');
         expect(lpn).toMatch(/^KL-\d{5}-[0-9A-F]{6}$/);
     });
+
+    it('should assemble LPN in a configured format', () => {
+        expect(assembleLPN(123, 'A3F142', { prefix: 'KL-RES-', sequenceWidth: 6 })).toBe('KL-RES-000123-A3F142');
+        expect(assembleLPN(7, 'A3F142', { prefix: 'KL-IC-', sequenceWidth: 4, includeHash: false })).toBe('KL-IC-0007');
+        expect(assembleLPN(123, 'A3F142', { prefix: 'KL-RES-', sequenceWidth: 6, checkDigit: true })).toBe('KL-RES-000123-A3F142-D');
+    });
+
+    it('should enforce the limit of the sequence width', () => {
+        expect(formatSequence(123, 6)).toBe('000123');
+        expect(() => formatSequence(1000, 3)).toThrow('Sequence number must be between 1 and 999');
+    });
+});
+
+describe('LPN schemes', () => {
+    const scheme = {
+        ...DEFAULT_LPN_SCHEME,
+        sequenceWidth: 6,
+        checkDigit: true,
+        categories: [
+            { name: 'Resistors', prefix: 'KL-RES-', designators: ['R', 'RN'] },
+            { name: 'ICs', prefix: 'KL-IC-', designators: ['U', 'IC'] }
+        ]
+    };
+
+    it('should compute a check digit that catches typos', () => {
+        expect(computeCheckDigit('KL-RES-000123-A3F142')).toBe('D');
+        expect(computeCheckDigit('kl-res-000123-a3f142')).toBe('D');
+        expect(computeCheckDigit('KL-RES-000132-A3F142')).not.toBe('D');
+        expect(computeCheckDigit('KL-RES-000124-A3F142')).not.toBe('D');
+    });
+
+    it('should give every prefix its own counter', () => {
+        expect(getLPNCounterId('KL-')).toBe('lpn_counter');
+        expect(getLPNCounterId('KL-RES-')).toBe('lpn_counter_KL_RES');
+        expect(getLPNCounterId('acme/ic-')).toBe('lpn_counter_ACME_IC');
+    });
+
+    it('should find the category from the designator prefix', () => {
+        expect(getLPNCategory({ Designator: 'R12' }, scheme).name).toBe('Resistors');
+        expect(getLPNCategory({ Designator: 'rn1' }, scheme).name).toBe('Resistors');
+        expect(getLPNCategory({ designators: ['IC3'] }, scheme).name).toBe('ICs');
+        expect(getLPNCategory({ Designator: 'C1' }, scheme)).toBeNull();
+        expect(getLPNCategory({ Value: '10k' }, scheme)).toBeNull();
+    });
+
+    it('should resolve the format of a category', () => {
+        expect(resolveLPNFormat()).toEqual({
+            prefix: 'KL-', sequenceWidth: 5, includeHash: true, checkDigit: false, counterId: 'lpn_counter', category: null
+        });
+        expect(resolveLPNFormat(scheme, scheme.categories[1])).toEqual({
+            prefix: 'KL-IC-', sequenceWidth: 6, includeHash: true, checkDigit: true, counterId: 'lpn_counter_KL_IC', category: 'ICs'
+        });
+    });
+
+    it('should parse numbers of every format of the scheme', () => {
+        expect(parseLPN('KL-RES-000123-A3F142-D', scheme)).toEqual({
+            lpn: 'KL-RES-000123-A3F142-D', valid: true, prefix: 'KL-RES-', category: 'Resistors',
+            sequence: '000123', hash: 'A3F142', checkDigit: 'D'
+        });
+        const generic = assembleLPN(5, '00FF00', resolveLPNFormat(scheme));
+        expect(parseLPN(generic, scheme)).toMatchObject({ valid: true, prefix: 'KL-', category: null, sequence: '000005' });
+    });
+
+    it('should keep accepting legacy numbers', () => {
+        expect(parseLPN('KL-00123-A3F142', scheme)).toMatchObject({ valid: true, prefix: 'KL-', sequence: '00123', checkDigit: null });
+        expect(validateLPNFormat('KL-00123-A3F142')).toBe(true);
+        expect(validateLPNFormat('KL-00123-A3F142', scheme)).toBe(true);
+    });
+
+    it('should reject numbers outside the scheme', () => {
+        expect(validateLPNFormat('KL-RES-000123-A3F142-0', scheme)).toBe(false);
+        expect(validateLPNFormat('KL-RES-00123-A3F142-D', scheme)).toBe(false);
+        expect(validateLPNFormat('KL-CAP-000123-A3F142-D', scheme)).toBe(false);
+        expect(validateLPNFormat('KL-RES-000123-A3F142-D')).toBe(false);
+        expect(validateLPNFormat('KL-1234-ABCDEF')).toBe(false);
+        expect(validateLPNFormat(null)).toBe(false);
+        expect(parseLPN('nope', scheme)).toEqual({ lpn: 'nope', valid: false });
+    });
+
+    it('should list the formats of every category and the default prefix', () => {
+        expect(getSchemeFormats(scheme).map(format => format.prefix)).toEqual(['KL-RES-', 'KL-IC-', 'KL-']);
+    });
+
+    it('should keep recognizing numbers issued before the scheme changed', () => {
+        const issued = 'KL-RES-000123-A3F142-D';
+        const changed = changeLPNScheme(scheme, { sequenceWidth: 7, checkDigit: false, categories: [] });
+
+        expect(changed.previousFormats.map(format => format.prefix)).toEqual(['KL-RES-', 'KL-IC-', 'KL-']);
+        expect(parseLPN(issued, changed)).toMatchObject({ valid: true, prefix: 'KL-RES-', category: 'Resistors', checkDigit: 'D' });
+        expect(validateLPNFormat('KL-RES-0000123-A3F142', changed)).toBe(false);
+        expect(validateLPNFormat('KL-0000123-A3F142', changed)).toBe(true);
+    });
+
+    it('should drop previous formats the scheme issues in again', () => {
+        const changed = changeLPNScheme(changeLPNScheme(scheme, { sequenceWidth: 7 }), { sequenceWidth: 6 });
+        expect(changed.previousFormats).toEqual([
+            { prefix: 'KL-RES-', sequenceWidth: 7, includeHash: true, checkDigit: true, category: 'Resistors' },
+            { prefix: 'KL-IC-', sequenceWidth: 7, includeHash: true, checkDigit: true, category: 'ICs' },
+            { prefix: 'KL-', sequenceWidth: 7, includeHash: true, checkDigit: true, category: null }
+        ]);
+        expect(changeLPNScheme(scheme, {}).previousFormats).toEqual([]);
+    });
 });
 
 describe('validateComponentForLPN', () => {
@@ -276,6 +389,12 @@ describe('isFieldLocked', () => {
         expect(isFieldLocked('Quantity', componentWithLPN)).toBe(false);
     });
 
+    it('should lock the LPN lifecycle fields when LPN is assigned', () => {
+        expect(isFieldLocked('LPN_Status', componentWithLPN)).toBe(true);
+        expect(isFieldLocked('Superseded_By', componentWithLPN)).toBe(true);
+        expect(isFieldLocked('Alternate_MPNs', componentWithLPN)).toBe(true);
+    });
+
     it('should not lock any field when no LPN is assigned', () => {
         expect(isFieldLocked('Mfr. Part #', componentWithoutLPN)).toBe(false);
         expect(isFieldLocked('MPN', componentWithoutLPN)).toBe(false);
@@ -283,6 +402,45 @@ describe('isFieldLocked', () => {
     });
 });
 
+describe('getLPNLifecycle', () => {
+    it('should treat LPNs without a status as active', () => {
+        expect(getLPNLifecycle({ Local_Part_Number: 'KL-00123-A3F142' }))
+            .toEqual({ status: 'active', supersededBy: null, alternates: [] });
+        expect(getLPNLifecycle({ Local_Part_Number: 'KL-00123-A3F142', LPN_Status: 'unknown' }).status).toBe('active');
+        expect(getLPNLifecycle({ 'Mfr. Part #': 'X1' })).toBeNull();
+    });
+
+    it('should keep the replacement of superseded LPNs only', () => {
+        expect(getLPNLifecycle({
+            Local_Part_Number: 'KL-00123-A3F142', LPN_Status: 'superseded', Superseded_By: 'KL-00150-B1C2D3', Alternate_MPNs: ['X2']
+        })).toEqual({ status: 'superseded', supersededBy: 'KL-00150-B1C2D3', alternates: ['X2'] });
+        expect(getLPNLifecycle({ Local_Part_Number: 'KL-00123-A3F142', LPN_Status: 'nrnd', Superseded_By: 'KL-00150-B1C2D3' }).supersededBy)
+            .toBeNull();
+    });
+});
+
+describe('rehashLPN', () => {
+    it('should keep prefix and sequence and take the hash of the new MPN', () => {
+        expect(rehashLPN('KL-00123-A3F142', 'RC0603FR-07100KL'))
+            .toBe(`KL-00123-${generateMPNHash('RC0603FR-07100KL')}`);
+    });
+
+    it('should recompute the check digit of scheme formats', () => {
+        const scheme = { ...DEFAULT_LPN_SCHEME, sequenceWidth: 6, checkDigit: true };
+        const lpn = assembleLPN(42, 'ABCDEF', resolveLPNFormat(scheme));
+        const rehashed = rehashLPN(lpn, 'X1', scheme);
+
+        expect(rehashed).toMatch(/^KL-000042-[0-9A-F]{6}-[0-9A-Z]$/);
+        expect(validateLPNFormat(rehashed, scheme)).toBe(true);
+    });
+
+    it('should keep LPNs without hash and refuse unknown formats', () => {
+        const scheme = { ...DEFAULT_LPN_SCHEME, includeHash: false };
+        expect(rehashLPN('KL-00007', 'X1', scheme)).toBe('KL-00007');
+        expect(() => rehashLPN('ABC-1', 'X1')).toThrow('Unrecognized LPN format: ABC-1');
+    });
+});
+
 describe('Complete LPN Workflow Integration', () => {
     it('should complete full LPN generation workflow', () => {
         const component = {
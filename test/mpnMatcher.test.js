@@ -0,0 +1,119 @@
+/**
+ * @file mpnMatcher.test.js
+ * @description Test suite for MPN normalization, packaging suffix stripping and duplicate detection
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+    normalizeMPN,
+    compactMPN,
+    stripPackagingSuffix,
+    findMPNCandidates,
+    createMPNIndex,
+    detectDuplicates
+} from '../src/utils/mpnMatcher.js';
+
+describe('MPN Matcher', () => {
+
+    describe('normalizeMPN / compactMPN', () => {
+        it('should ignore case and whitespace, then punctuation', () => {
+            expect(normalizeMPN(' rc0603fr-07 100kl ')).toBe('RC0603FR-07100KL');
+            expect(compactMPN('BC847B,215')).toBe('BC847B215');
+            expect(compactMPN('lm358-d.r2g')).toBe('LM358DR2G');
+        });
+    });
+
+    describe('stripPackagingSuffix', () => {
+        it('should strip manufacturer suffixes recognized by part number prefix', () => {
+            expect(stripPackagingSuffix('RC0603FR-07100KL')).toEqual({
+                base: 'RC0603FR-07100K',
+                removed: [{ suffix: 'L', manufacturer: 'Yageo' }]
+            });
+            expect(stripPackagingSuffix('GRM188R71H104KA93D').base).toBe('GRM188R71H104KA93');
+            expect(stripPackagingSuffix('MCP1700T-3302E/TT').base).toBe('MCP1700-3302E/TT');
+        });
+
+        it('should only apply prefix-less rules for the named manufacturer', () => {
+            expect(stripPackagingSuffix('TPS62130RGTR', 'Texas Instruments').base).toBe('TPS62130RGT');
+            expect(stripPackagingSuffix('TPS62130RGTR').base).toBe('TPS62130RGTR');
+            expect(stripPackagingSuffix('MMBT3904LT1G', 'onsemi').base).toBe('MMBT3904L');
+            expect(stripPackagingSuffix('RC0603FR-07100KL', 'Murata').base).toBe('RC0603FR-07100KL');
+        });
+
+        it('should strip distributor and generic reel suffixes', () => {
+            expect(stripPackagingSuffix('LM358DR-ND').base).toBe('LM358DR');
+            expect(stripPackagingSuffix('ABC123-TR').base).toBe('ABC123');
+        });
+    });
+
+    describe('findMPNCandidates', () => {
+        const library = [
+            { id: 'p1', partId: 'mpn_A', 'Mfr. Part #': 'RC0603FR-07100KL', Designator: 'R1' },
+            { id: 'p2', partId: 'mpn_A', 'Mfr. Part #': 'RC0603FR-07100KL', Designator: 'R2' },
+            { id: 'p3', partId: 'mpn_B', 'Mfr. Part #': 'BC847B,215', Manufacturer: 'Nexperia' }
+        ];
+        const index = createMPNIndex(library);
+
+        it('should score each match level', () => {
+            const score = (component) => findMPNCandidates(index, component)[0]?.confidence;
+            expect(score({ MPN: 'RC0603FR-07100KL' })).toBe(1);
+            expect(score({ MPN: 'rc0603fr-07100kl ' })).toBe(0.95);
+            expect(score({ MPN: 'RC0603FR07100KL' })).toBe(0.85);
+            expect(score({ MPN: 'RC0603FR-07100K' })).toBe(0.75);
+            expect(score({ MPN: 'RC0402FR-07100KL' })).toBeUndefined();
+        });
+
+        it('should report one candidate per library part with reasons', () => {
+            const [candidate, ...others] = findMPNCandidates(index, { MPN: 'RC0603FR-07100K' });
+            expect(others).toHaveLength(0);
+            expect(candidate.component.id).toBe('p1');
+            expect(candidate.reasons).toEqual(['Same part ignoring packaging suffix (Yageo "L")']);
+        });
+
+        it('should halve the confidence for a different manufacturer', () => {
+            const [candidate] = findMPNCandidates(index, { MPN: 'BC847B,215', Manufacturer: 'NXP' });
+            expect(candidate.confidence).toBe(0.5);
+            expect(candidate.reasons[1]).toBe('Different manufacturer (Nexperia in library)');
+        });
+    });
+
+    describe('detectDuplicates', () => {
+        it('should return the best candidate above the confidence threshold', () => {
+            const library = [{ id: 'e1', MPN: 'GRM188R71H104KA93D', Manufacturer: 'Murata' }];
+            const uploaded = [
+                { id: 'n1', MPN: 'GRM188R71H104KA93J', Manufacturer: 'Murata' },
+                { id: 'n2', MPN: 'GRM188R71H104KA93D', Manufacturer: 'Samsung' },
+                { id: 'n3', Value: '10k' }
+            ];
+            const duplicates = detectDuplicates(uploaded, library);
+            expect(duplicates).toHaveLength(1);
+            expect(duplicates[0]).toMatchObject({
+                mpn: 'GRM188R71H104KA93J',
+                newComponent: uploaded[0],
+                existingComponent: library[0],
+                confidence: 0.75
+            });
+            expect(detectDuplicates(uploaded, library, { minConfidence: 0.3 })).toHaveLength(2);
+        });
+
+        it('should match generic passives without MPN by value, package and ratings', () => {
+            const library = [
+                { id: 'e1', Designator: 'C1', Value: '100nF 50V X7R', Footprint: 'C_0603_1608Metric' },
+                { id: 'e2', Designator: 'C2', Value: '100nF 50V X7R', Footprint: 'C_0805_2012Metric' }
+            ];
+            const uploaded = [
+                { id: 'n1', Designator: 'C7', Value: '0.1uF 16V X5R', Footprint: '0603' },
+                { id: 'n2', Designator: 'C8', Value: '100nF 100V X7R', Footprint: '0603' }
+            ];
+            const duplicates = detectDuplicates(uploaded, library);
+            expect(duplicates).toHaveLength(1);
+            expect(duplicates[0]).toMatchObject({
+                mpn: null,
+                key: 'CAP-100n-0603-16V-X5R',
+                newComponent: uploaded[0],
+                existingComponent: library[0],
+                confidence: 0.8
+            });
+        });
+    });
+});
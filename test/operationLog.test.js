@@ -0,0 +1,77 @@
+/**
+ * @file operationLog.test.js
+ * @description Test suite for the undo/redo operation log and deleted project retention
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+    createOperationLog,
+    recordOperation,
+    takeUndo,
+    takeRedo,
+    getPurgeDate,
+    isPurgeDue
+} from '../src/utils/operationLog.js';
+
+describe('Operation Log', () => {
+    const edit = { type: 'update', label: 'Set Value', count: 2, changes: [] };
+    const remove = { type: 'delete', label: 'Delete R1', count: 1, components: [] };
+
+    describe('recordOperation', () => {
+        it('should add operations with an id and time', () => {
+            const log = recordOperation(createOperationLog(), edit);
+            expect(log.past).toHaveLength(1);
+            expect(log.past[0]).toMatchObject(edit);
+            expect(log.past[0].id).toBeTruthy();
+            expect(log.past[0].at).toBeTruthy();
+        });
+
+        it('should keep only the latest operations', () => {
+            let log = createOperationLog();
+            for (let i = 0; i < 5; i++) log = recordOperation(log, { ...edit, label: `Op ${i}` }, 3);
+            expect(log.past.map(operation => operation.label)).toEqual(['Op 2', 'Op 3', 'Op 4']);
+        });
+
+        it('should clear the redo stack', () => {
+            const undone = takeUndo(recordOperation(createOperationLog(), edit)).log;
+            expect(undone.future).toHaveLength(1);
+            expect(recordOperation(undone, remove).future).toEqual([]);
+        });
+    });
+
+    describe('takeUndo / takeRedo', () => {
+        it('should move operations between the undo and redo stacks', () => {
+            const log = recordOperation(recordOperation(createOperationLog(), edit), remove);
+
+            const undo = takeUndo(log);
+            expect(undo.operation.label).toBe('Delete R1');
+            expect(undo.log.past.map(operation => operation.label)).toEqual(['Set Value']);
+
+            const undoAgain = takeUndo(undo.log);
+            expect(undoAgain.operation.label).toBe('Set Value');
+            expect(undoAgain.log.future.map(operation => operation.label)).toEqual(['Set Value', 'Delete R1']);
+
+            const redo = takeRedo(undoAgain.log);
+            expect(redo.operation.label).toBe('Set Value');
+            expect(redo.log.past.map(operation => operation.label)).toEqual(['Set Value']);
+            expect(redo.log.future.map(operation => operation.label)).toEqual(['Delete R1']);
+        });
+
+        it('should return null when there is nothing to undo or redo', () => {
+            expect(takeUndo(createOperationLog())).toBeNull();
+            expect(takeRedo(createOperationLog())).toBeNull();
+        });
+    });
+
+    describe('retention', () => {
+        it('should compute the purge date from the retention period', () => {
+            expect(getPurgeDate('2024-01-01T00:00:00.000Z', 30).toISOString()).toBe('2024-01-31T00:00:00.000Z');
+        });
+
+        it('should tell when a deleted project is due for purging', () => {
+            expect(isPurgeDue('2024-01-01T00:00:00.000Z', 30, new Date('2024-01-30T00:00:00.000Z'))).toBe(false);
+            expect(isPurgeDue('2024-01-01T00:00:00.000Z', 30, new Date('2024-02-01T00:00:00.000Z'))).toBe(true);
+            expect(isPurgeDue('2024-01-01T00:00:00.000Z', 7, new Date('2024-01-09T00:00:00.000Z'))).toBe(true);
+        });
+    });
+});
@@ -0,0 +1,133 @@
+/**
+ * @file partModel.test.js
+ * @description Test suite for splitting components into library parts and project placements
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+    isPlacementField,
+    getPartId,
+    createSeparatePartId,
+    splitComponent,
+    splitUpdates,
+    getMissingPartAttributes,
+    groupComponentsByPart,
+    joinPlacements,
+    summarizeParts
+} from '../src/utils/partModel.js';
+
+describe('Part Model', () => {
+
+    describe('isPlacementField', () => {
+        it('should treat project, designator, quantity and DNP fields as placement fields', () => {
+            ['ProjectName', 'Designator', 'Reference', 'Qty', 'Quantity', 'DNP', '_sheet'].forEach(field => {
+                expect(isPlacementField(field)).toBe(true);
+            });
+            ['Mfr. Part #', 'Value', 'Footprint', 'Local_Part_Number', 'Description'].forEach(field => {
+                expect(isPlacementField(field)).toBe(false);
+            });
+        });
+    });
+
+    describe('getPartId', () => {
+        it('should key parts by normalized MPN, then by LPN', () => {
+            expect(getPartId({ 'Mfr. Part #': ' rc0603fr-0710kl ' })).toBe('mpn_RC0603FR-0710KL');
+            expect(getPartId({ MPN: 'A/B.C' })).toBe('mpn_A%2FB%2EC');
+            expect(getPartId({ Local_Part_Number: 'KL-00001-ABCDEF' })).toBe('lpn_KL-00001-ABCDEF');
+            expect(getPartId({ Value: '10k' })).toBeNull();
+            expect(getPartId({ partId: 'custom', MPN: 'X' })).toBe('custom');
+        });
+
+        it('should key generic passives without MPN by their generic part number', () => {
+            expect(getPartId({ Designator: 'R1', Value: '4k7', Footprint: 'R_0603_1608Metric' })).toBe('gen_RES-4%2E7k-0603');
+            expect(getPartId({ Designator: 'R2', Value: '4.7k', Footprint: '0603' }))
+                .toBe(getPartId({ Designator: 'R1', Value: '4k7', Footprint: 'R_0603_1608Metric' }));
+        });
+
+        it('should create a distinct id for a separate part with the same MPN', () => {
+            const separateId = createSeparatePartId({ MPN: 'X1', partId: 'mpn_X1' });
+            expect(separateId).toMatch(/^mpn_X1~[0-9a-z]+$/);
+            expect(createSeparatePartId({ Value: '10k' })).toBeNull();
+        });
+    });
+
+    describe('splitComponent / splitUpdates', () => {
+        it('should move part attributes to the part and keep placement fields', () => {
+            const { partId, part, placement } = splitComponent({
+                id: 'c1', ProjectName: 'P', Designator: 'R1', Qty: '2', MPN: 'X1', Value: '10k', createdAt: 't'
+            });
+            expect(partId).toBe('mpn_X1');
+            expect(part).toEqual({ MPN: 'X1', Value: '10k' });
+            expect(placement).toEqual({ id: 'c1', ProjectName: 'P', Designator: 'R1', Qty: '2', partId: 'mpn_X1' });
+        });
+
+        it('should keep every attribute on the placement when there is no part', () => {
+            const { partId, part, placement } = splitComponent({ id: 'c1', Designator: 'R1', Value: '10k' });
+            expect(partId).toBeNull();
+            expect(part).toEqual({});
+            expect(placement).toEqual({ id: 'c1', Designator: 'R1', Value: '10k' });
+        });
+
+        it('should split updates by field', () => {
+            expect(splitUpdates('mpn_X1', { id: 'c1', Value: '22k', Designator: 'R2' })).toEqual({
+                partUpdates: { Value: '22k' },
+                placementUpdates: { Designator: 'R2' }
+            });
+            expect(splitUpdates(null, { Value: '22k' })).toEqual({ partUpdates: {}, placementUpdates: { Value: '22k' } });
+        });
+    });
+
+    describe('getMissingPartAttributes', () => {
+        it('should only fill blank attributes', () => {
+            expect(getMissingPartAttributes(
+                { Value: '10k', Footprint: '' },
+                { Value: '1k', Footprint: '0603', Description: ' ' }
+            )).toEqual({ Footprint: '0603' });
+            expect(getMissingPartAttributes(null, { Value: '1k' })).toEqual({ Value: '1k' });
+        });
+    });
+
+    describe('groupComponentsByPart / joinPlacements', () => {
+        it('should create one part per MPN and one placement per component', () => {
+            const { parts, placements } = groupComponentsByPart([
+                { id: 'c1', ProjectName: 'A', Designator: 'R1', MPN: 'X1', Value: '10k' },
+                { id: 'c2', ProjectName: 'B', Designator: 'R5', MPN: 'x1', Footprint: '0603' },
+                { id: 'c3', ProjectName: 'B', Designator: 'TP1' }
+            ]);
+            expect([...parts.keys()]).toEqual(['mpn_X1']);
+            expect(parts.get('mpn_X1')).toEqual({ MPN: 'X1', Value: '10k', Footprint: '0603' });
+            expect(placements.map(placement => placement.partId)).toEqual(['mpn_X1', 'mpn_X1', undefined]);
+        });
+
+        it('should join placements with their part, placement fields winning', () => {
+            const joined = joinPlacements(
+                [{ id: 'mpn_X1', MPN: 'X1', Value: '10k', createdAt: 't' }],
+                [
+                    { id: 'c1', partId: 'mpn_X1', Designator: 'R1' },
+                    { id: 'c2', partId: 'mpn_MISSING', Designator: 'R2' }
+                ]
+            );
+            expect(joined).toEqual([
+                { id: 'c1', partId: 'mpn_X1', MPN: 'X1', Value: '10k', Designator: 'R1' },
+                { id: 'c2', partId: 'mpn_MISSING', Designator: 'R2' }
+            ]);
+        });
+    });
+
+    describe('summarizeParts', () => {
+        it('should add usage across projects to each part', () => {
+            const summary = summarizeParts(
+                [{ id: 'mpn_X1', MPN: 'X1' }, { id: 'mpn_Y2', MPN: 'Y2' }],
+                [
+                    { id: 'c1', partId: 'mpn_X1', ProjectName: 'B', Designator: 'R1', Qty: '2' },
+                    { id: 'c2', partId: 'mpn_X1', ProjectName: 'A', Designator: 'R7' },
+                    { id: 'c3', ProjectName: 'A', Designator: 'TP1' }
+                ]
+            );
+            expect(summary[0]).toMatchObject({
+                placementCount: 2, totalQuantity: 3, projects: ['A', 'B'], designators: ['R1', 'R7']
+            });
+            expect(summary[1]).toMatchObject({ placementCount: 0, totalQuantity: 0, projects: [] });
+        });
+    });
+});
@@ -0,0 +1,149 @@
+/**
+ * @file passiveParts.test.js
+ * @description Test suite for parsing and comparing generic passives (value, package, ratings)
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+    parseEngineeringValue,
+    formatEngineeringValue,
+    parsePackageCode,
+    parseTolerance,
+    parseVoltage,
+    parseDielectric,
+    getPassiveSignature,
+    getGenericPartNumber,
+    getPassiveGroupKey,
+    comparePassives
+} from '../src/utils/passiveParts.js';
+
+describe('Passive Parts', () => {
+
+    describe('parseEngineeringValue', () => {
+        it('should parse SI prefixes, RKM notation and units', () => {
+            expect(parseEngineeringValue('10k')).toEqual({ value: 10000, unit: '' });
+            expect(parseEngineeringValue('4k7').value).toBeCloseTo(4700);
+            expect(parseEngineeringValue('100nF')).toEqual({ value: 1e-7, unit: 'F' });
+            expect(parseEngineeringValue('0.1u').value).toBeCloseTo(1e-7);
+            expect(parseEngineeringValue('1R0')).toEqual({ value: 1, unit: 'Ω' });
+            expect(parseEngineeringValue('2.2 µF').value).toBeCloseTo(2.2e-6);
+            expect(parseEngineeringValue('0R').value).toBe(0);
+            expect(parseEngineeringValue('4,7k').value).toBeCloseTo(4700);
+            expect(parseEngineeringValue('10KΩ')).toEqual({ value: 10000, unit: 'Ω' });
+        });
+
+        it('should treat M as mega and m as milli', () => {
+            expect(parseEngineeringValue('1M').value).toBe(1e6);
+            expect(parseEngineeringValue('1meg').value).toBe(1e6);
+        });
+
+        it('should return null for text that is not a value', () => {
+            expect(parseEngineeringValue('')).toBeNull();
+            expect(parseEngineeringValue('DNP')).toBeNull();
+            expect(parseEngineeringValue(null)).toBeNull();
+        });
+    });
+
+    describe('formatEngineeringValue', () => {
+        it('should format with the nearest SI prefix', () => {
+            expect(formatEngineeringValue(4700)).toBe('4.7k');
+            expect(formatEngineeringValue(1e-7, 'F')).toBe('100nF');
+        });
+    });
+
+    describe('parsePackageCode', () => {
+        it('should read imperial codes from KiCad footprints and plain text', () => {
+            expect(parsePackageCode('Resistor_SMD:R_0603_1608Metric')).toBe('0603');
+            expect(parsePackageCode('0402')).toBe('0402');
+        });
+
+        it('should convert metric codes when marked as metric', () => {
+            expect(parsePackageCode('1608 metric')).toBe('0603');
+        });
+
+        it('should return null without a package code', () => {
+            expect(parsePackageCode('SOT-23')).toBeNull();
+        });
+    });
+
+    describe('ratings', () => {
+        it('should parse tolerance, voltage and dielectric', () => {
+            expect(parseTolerance('100nF 10% X7R')).toBe(10);
+            expect(parseVoltage('100nF 50V X7R')).toBe(50);
+            expect(parseDielectric('1nF NP0')).toBe('C0G');
+            expect(parseDielectric('100nF x7r')).toBe('X7R');
+            expect(parseTolerance('10k')).toBeNull();
+        });
+    });
+
+    describe('getPassiveSignature', () => {
+        it('should describe a capacitor from value and footprint', () => {
+            expect(getPassiveSignature({ Designator: 'C3', Value: '100nF 50V X7R', Footprint: 'C_0603_1608Metric' })).toEqual({
+                kind: 'capacitor', value: 1e-7, unit: 'F', package: '0603', tolerance: null, voltage: 50, dielectric: 'X7R'
+            });
+        });
+
+        it('should take the kind from the designator when the value has no unit', () => {
+            const signature = getPassiveSignature({ Designator: 'R1', Value: '4k7', Footprint: '0603', Tolerance: '1%' });
+            expect(signature.kind).toBe('resistor');
+            expect(signature.tolerance).toBe(1);
+        });
+
+        it('should prefer the unit of the value over the designator prefix', () => {
+            expect(getPassiveSignature({ Designator: 'X1', Value: '10uH', Footprint: '0805' }).kind).toBe('inductor');
+        });
+
+        it('should return null when kind, value or package is unknown', () => {
+            expect(getPassiveSignature({ Designator: 'U1', Value: '10k', Footprint: '0603' })).toBeNull();
+            expect(getPassiveSignature({ Designator: 'R1', Value: '10k' })).toBeNull();
+            expect(getPassiveSignature({ Designator: 'R1', Value: 'DNP', Footprint: '0603' })).toBeNull();
+        });
+    });
+
+    describe('getGenericPartNumber', () => {
+        it('should build a canonical part number including known ratings', () => {
+            expect(getGenericPartNumber(getPassiveSignature({ Designator: 'R1', Value: '4k7', Footprint: '0603', Tolerance: '1%' })))
+                .toBe('RES-4.7k-0603-1%');
+            expect(getGenericPartNumber(getPassiveSignature({ Designator: 'C3', Value: '100nF 50V X7R', Footprint: 'C_0603_1608Metric' })))
+                .toBe('CAP-100n-0603-50V-X7R');
+            expect(getGenericPartNumber(null)).toBeNull();
+        });
+
+        it('should give the same part number for differently written values', () => {
+            const a = getPassiveSignature({ Designator: 'R1', Value: '4k7', Footprint: 'R_0603_1608Metric' });
+            const b = getPassiveSignature({ Designator: 'R9', Value: '4.7kΩ', Footprint: '0603' });
+            expect(getGenericPartNumber(a)).toBe(getGenericPartNumber(b));
+            expect(getPassiveGroupKey(a)).toBe(getPassiveGroupKey(b));
+        });
+    });
+
+    describe('comparePassives', () => {
+        const cap = (value) => getPassiveSignature({ Designator: 'C1', Value: value, Footprint: '0603' });
+
+        it('should accept identical passives with high confidence', () => {
+            const result = comparePassives(cap('100nF 50V X7R'), cap('100nF 50V X7R'));
+            expect(result.equivalent).toBe(true);
+            expect(result.confidence).toBe(0.9);
+        });
+
+        it('should accept better ratings with lower confidence', () => {
+            const result = comparePassives(cap('100nF 16V X5R'), cap('100nF 50V X7R'));
+            expect(result.equivalent).toBe(true);
+            expect(result.confidence).toBe(0.8);
+            expect(result.reasons).toContain('Voltage 50V meets 16V');
+        });
+
+        it('should reject worse ratings and different values or packages', () => {
+            expect(comparePassives(cap('100nF 50V X7R'), cap('100nF 16V X7R')).equivalent).toBe(false);
+            expect(comparePassives(cap('100nF 50V X7R'), cap('100nF 50V Y5V')).equivalent).toBe(false);
+            expect(comparePassives(cap('100nF'), cap('10nF')).equivalent).toBe(false);
+            expect(comparePassives(cap('100nF'), getPassiveSignature({ Designator: 'C1', Value: '100nF', Footprint: '0805' })).equivalent).toBe(false);
+        });
+
+        it('should lower confidence when a rating is only known on one side', () => {
+            const result = comparePassives(cap('100nF 50V'), cap('100nF'));
+            expect(result.equivalent).toBe(true);
+            expect(result.confidence).toBe(0.8);
+        });
+    });
+});
@@ -8,6 +8,9 @@ import { renderHook, waitFor, act } from '@testing-library/react';
 import { useFirestore } from '../src/hooks/useFirestore.js';
 import * as firestoreService from '../src/services/firestoreService.js';
 import { ToastProvider } from '../src/context/ToastContext.jsx';
+import { useWorkspace } from '../src/context/WorkspaceContext.jsx';
+import { getPermissions } from '../src/utils/workspaces.js';
+import { onAuthStateChanged } from 'firebase/auth';
 
 // Mock Firebase auth - define callback storage at module level
 let authStateCallback = null;
@@ -22,6 +25,9 @@ vi.mock('../src/config/firebase.js', () => ({
     db: {}
 }));
 
+// Audit info the hook passes for the mocked user
+const audit = (source) => ({ source, userId: 'test-user-123', userEmail: 'test@example.com' });
+
 vi.mock('firebase/auth', () => ({
     onAuthStateChanged: vi.fn((auth, callback) => {
         authStateCallback = callback;
@@ -37,16 +43,45 @@ vi.mock('firebase/auth', () => ({
 // Mock Firestore service
 vi.mock('../src/services/firestoreService.js', () => ({
     subscribeToComponents: vi.fn(),
+    subscribeToParts: vi.fn(() => vi.fn()),
+    migrateLegacyComponents: vi.fn(() => Promise.resolve(0)),
+    backfillLPNRegistry: vi.fn(() => Promise.resolve({ registered: 0, conflicts: [] })),
+    findLPNForMPN: vi.fn(),
     addComponent: vi.fn(),
     addComponentsBatch: vi.fn(),
     updateComponent: vi.fn(),
+    updatePart: vi.fn(),
     deleteComponent: vi.fn(),
+    updateComponentsBatch: vi.fn(),
+    deleteComponentsBatch: vi.fn(),
+    restoreComponentsBatch: vi.fn(),
+    softDeleteProject: vi.fn(),
+    restoreDeletedProject: vi.fn(),
+    getDeletedProjects: vi.fn(),
+    purgeDeletedProjects: vi.fn(),
+    softDeleteLibrary: vi.fn(),
+    restoreDeletedLibrary: vi.fn(),
     deleteProjectComponents: vi.fn(),
-    deleteAllComponents: vi.fn(),
-    getNextLPNSequence: vi.fn(),
+    replaceProjectComponents: vi.fn(),
+    saveBOMRevision: vi.fn(),
+    getBOMRevisions: vi.fn(),
+    restoreBOMRevision: vi.fn(),
+    deleteProjectRevisions: vi.fn(),
+    createLPNRequest: vi.fn(),
+    issueLPN: vi.fn(),
+    setLPNLifecycle: vi.fn(),
+    addAlternateMPN: vi.fn(),
+    issueLPNsInBatch: vi.fn(),
+    rejectLPNRequest: vi.fn(),
     saveUserSettings: vi.fn(),
     loadUserSettings: vi.fn(),
-    checkMPNExists: vi.fn()
+    checkMPNExists: vi.fn(),
+    getComponentHistory: vi.fn()
+}));
+
+// Personal library unless a test switches to a shared workspace
+vi.mock('../src/context/WorkspaceContext.jsx', () => ({
+    useWorkspace: vi.fn(() => ({ libraryId: null, permissions: { manageLibrary: true } }))
 }));
 
 const wrapper = ({ children }) => <ToastProvider>{children}</ToastProvider>;
@@ -54,6 +89,7 @@ const wrapper = ({ children }) => <ToastProvider>{children}</ToastProvider>;
 describe('useFirestore Hook', () => {
     beforeEach(() => {
         vi.clearAllMocks();
+        vi.mocked(useWorkspace).mockReturnValue({ libraryId: null, permissions: getPermissions('admin') });
         
         // Default mock implementation for subscribeToComponents
         vi.mocked(firestoreService.subscribeToComponents).mockImplementation((userId, callback) => {
@@ -91,6 +127,117 @@ describe('useFirestore Hook', () => {
         });
     });
 
+    describe('Shared workspaces', () => {
+        it('should read and write the library of the active workspace', async () => {
+            vi.mocked(useWorkspace).mockReturnValue({ libraryId: 'workspaces/w1', permissions: getPermissions('editor') });
+            vi.mocked(firestoreService.addComponent).mockResolvedValueOnce();
+
+            const { result } = renderHook(() => useFirestore(), { wrapper });
+
+            await waitFor(() => expect(result.current.libraryId).toBe('workspaces/w1'));
+            expect(firestoreService.subscribeToComponents).toHaveBeenCalledWith('workspaces/w1', expect.any(Function));
+
+            const componentData = { id: 'c1', Designator: 'R1' };
+            await act(async () => {
+                await result.current.addNewComponent(componentData);
+            });
+
+            expect(firestoreService.addComponent).toHaveBeenCalledWith('workspaces/w1', componentData, audit('edit'));
+        });
+
+        it('should register the LPNs of a library once per session', async () => {
+            vi.mocked(useWorkspace).mockReturnValue({ libraryId: 'workspaces/w2', permissions: getPermissions('librarian') });
+
+            const first = renderHook(() => useFirestore(), { wrapper });
+            await waitFor(() => expect(first.result.current.libraryId).toBe('workspaces/w2'));
+            const second = renderHook(() => useFirestore(), { wrapper });
+            await waitFor(() => expect(second.result.current.libraryId).toBe('workspaces/w2'));
+
+            const calls = vi.mocked(firestoreService.backfillLPNRegistry).mock.calls.filter(([libraryId]) => libraryId === 'workspaces/w2');
+            expect(calls).toEqual([['workspaces/w2', audit('lpn')]]);
+        });
+
+        it('should leave the LPN registry alone for members who do not manage the library', async () => {
+            vi.mocked(useWorkspace).mockReturnValue({ libraryId: 'workspaces/w3', permissions: getPermissions('editor') });
+
+            const { result } = renderHook(() => useFirestore(), { wrapper });
+            await waitFor(() => expect(result.current.libraryId).toBe('workspaces/w3'));
+
+            expect(firestoreService.backfillLPNRegistry).not.toHaveBeenCalledWith('workspaces/w3', expect.anything());
+            expect(result.current.error).toBe('');
+        });
+
+        it('should not report a failed registration as an error nor retry it in the session', async () => {
+            vi.mocked(useWorkspace).mockReturnValue({ libraryId: 'workspaces/w4', permissions: getPermissions('librarian') });
+            vi.mocked(firestoreService.backfillLPNRegistry).mockRejectedValueOnce(new Error('Missing or insufficient permissions.'));
+            const consoleError = vi.spyOn(console, 'error').mockImplementation(() => {});
+
+            const first = renderHook(() => useFirestore(), { wrapper });
+            await waitFor(() => expect(consoleError).toHaveBeenCalledWith('Firestore: Failed to register LPNs:', expect.any(Error)));
+            const second = renderHook(() => useFirestore(), { wrapper });
+            await waitFor(() => expect(second.result.current.libraryId).toBe('workspaces/w4'));
+
+            expect(first.result.current.error).toBe('');
+            expect(vi.mocked(firestoreService.backfillLPNRegistry).mock.calls.filter(([libraryId]) => libraryId === 'workspaces/w4')).toHaveLength(1);
+            consoleError.mockRestore();
+        });
+
+        it('should migrate the legacy components of a user once per session', async () => {
+            const signIn = (auth, callback) => {
+                queueMicrotask(() => callback({ uid: 'legacy-user', email: 'test@example.com' }));
+                return vi.fn();
+            };
+            vi.mocked(onAuthStateChanged).mockImplementationOnce(signIn).mockImplementationOnce(signIn);
+
+            const first = renderHook(() => useFirestore(), { wrapper });
+            const second = renderHook(() => useFirestore(), { wrapper });
+            await waitFor(() => expect(first.result.current.userId).toBe('legacy-user'));
+            await waitFor(() => expect(second.result.current.userId).toBe('legacy-user'));
+
+            expect(firestoreService.migrateLegacyComponents).toHaveBeenCalledTimes(1);
+            expect(firestoreService.migrateLegacyComponents).toHaveBeenCalledWith('legacy-user');
+        });
+    });
+
+    describe('findLPNByMPN', () => {
+        it('should look the MPN up in the LPN registry', async () => {
+            vi.mocked(firestoreService.findLPNForMPN).mockResolvedValueOnce('KL-00001-ABCDEF');
+
+            const { result } = renderHook(() => useFirestore(), { wrapper });
+            await waitFor(() => expect(result.current.userId).toBe('test-user-123'));
+
+            let response;
+            await act(async () => {
+                response = await result.current.findLPNByMPN('rc0603');
+            });
+
+            expect(response).toEqual({ success: true, lpn: 'KL-00001-ABCDEF' });
+            expect(firestoreService.findLPNForMPN).toHaveBeenCalledWith('rc0603');
+        });
+    });
+
+    describe('LPN lifecycle', () => {
+        it('should set the lifecycle and approve alternates as LPN changes', async () => {
+            vi.mocked(firestoreService.setLPNLifecycle).mockResolvedValueOnce({});
+            vi.mocked(firestoreService.addAlternateMPN).mockRejectedValueOnce(new Error('X9 already has LPN KL-00009-ABCDEF'));
+
+            const { result } = renderHook(() => useFirestore(), { wrapper });
+            await waitFor(() => expect(result.current.userId).toBe('test-user-123'));
+
+            let response;
+            await act(async () => {
+                response = await result.current.setPartLPNLifecycle('mpn_X1', { status: 'nrnd' });
+            });
+            expect(response).toEqual({ success: true });
+            expect(firestoreService.setLPNLifecycle).toHaveBeenCalledWith('test-user-123', 'mpn_X1', { status: 'nrnd' }, audit('lpn'));
+
+            await act(async () => {
+                response = await result.current.addPartAlternateMPN('mpn_X1', 'X9');
+            });
+            expect(response).toEqual({ success: false, error: 'Failed to add alternate MPN: X9 already has LPN KL-00009-ABCDEF' });
+        });
+    });
+
     describe('addNewComponent', () => {
         it('should add a single component successfully', async () => {
             vi.mocked(firestoreService.addComponent).mockResolvedValueOnce();
@@ -107,7 +254,7 @@ describe('useFirestore Hook', () => {
             });
             
             expect(response.success).toBe(true);
-            expect(firestoreService.addComponent).toHaveBeenCalledWith('test-user-123', componentData);
+            expect(firestoreService.addComponent).toHaveBeenCalledWith('test-user-123', componentData, audit('edit'));
         });
 
         it('should handle errors from addComponent', async () => {
@@ -151,7 +298,8 @@ describe('useFirestore Hook', () => {
             expect(response.count).toBe(2);
             expect(firestoreService.addComponentsBatch).toHaveBeenCalledWith(
                 'test-user-123',
-                components
+                components,
+                audit('upload')
             );
         });
 
@@ -193,7 +341,8 @@ describe('useFirestore Hook', () => {
             expect(firestoreService.updateComponent).toHaveBeenCalledWith(
                 'test-user-123',
                 'c1',
-                updates
+                updates,
+                audit('edit')
             );
         });
     });
@@ -217,8 +366,9 @@ describe('useFirestore Hook', () => {
     });
 
     describe('removeProject', () => {
-        it('should delete all project components successfully', async () => {
-            vi.mocked(firestoreService.deleteProjectComponents).mockResolvedValueOnce();
+        it('should soft-delete the project and restore it on undo', async () => {
+            vi.mocked(firestoreService.softDeleteProject).mockResolvedValueOnce(4);
+            vi.mocked(firestoreService.restoreDeletedProject).mockResolvedValueOnce(4);
             
             const { result } = renderHook(() => useFirestore(), { wrapper });
             
@@ -229,35 +379,185 @@ describe('useFirestore Hook', () => {
                 response = await result.current.removeProject('Project1');
             });
             
-            expect(response.success).toBe(true);
-            expect(firestoreService.deleteProjectComponents).toHaveBeenCalledWith(
-                'test-user-123',
-                'Project1'
-            );
+            expect(response).toEqual({ success: true, count: 4 });
+            expect(firestoreService.softDeleteProject).toHaveBeenCalledWith('test-user-123', 'Project1', audit('edit'));
+            expect(firestoreService.deleteProjectComponents).not.toHaveBeenCalled();
+            expect(result.current.history.past).toHaveLength(1);
+
+            await act(async () => {
+                await result.current.undoOperation();
+            });
+            expect(firestoreService.restoreDeletedProject).toHaveBeenCalledWith('test-user-123', 'Project1', audit('undo'));
+        });
+
+        it('should list, restore and purge deleted projects', async () => {
+            const deleted = [{ name: 'Old', deletedAt: '2024-01-01T00:00:00.000Z', componentCount: 2 }];
+            vi.mocked(firestoreService.getDeletedProjects).mockResolvedValueOnce(deleted);
+            vi.mocked(firestoreService.restoreDeletedProject).mockResolvedValueOnce(2);
+            vi.mocked(firestoreService.purgeDeletedProjects).mockResolvedValueOnce(['Older']);
+            
+            const { result } = renderHook(() => useFirestore(), { wrapper });
+            
+            await waitFor(() => expect(result.current.userId).toBe('test-user-123'));
+            
+            let listed, restored, purged;
+            await act(async () => {
+                listed = await result.current.loadDeletedProjects();
+                restored = await result.current.restoreProject('Old');
+                purged = await result.current.purgeExpiredProjects(7);
+            });
+            
+            expect(listed).toEqual({ success: true, projects: deleted });
+            expect(restored).toEqual({ success: true, count: 2 });
+            expect(purged).toEqual({ success: true, purged: ['Older'] });
+            expect(firestoreService.purgeDeletedProjects).toHaveBeenCalledWith('test-user-123', 7);
         });
     });
 
-    describe('clearAllComponents', () => {
-        it('should clear all components successfully', async () => {
-            vi.mocked(firestoreService.deleteAllComponents).mockResolvedValueOnce();
+    describe('BOM revisions', () => {
+        it('should record an upload as a revision', async () => {
+            vi.mocked(firestoreService.saveBOMRevision).mockResolvedValueOnce(3);
             
             const { result } = renderHook(() => useFirestore(), { wrapper });
             
             await waitFor(() => expect(result.current.userId).toBe('test-user-123'));
             
+            const revision = { fileName: 'bom.csv', uploadedBy: 'test@example.com', components: [] };
             let response;
             await act(async () => {
-                response = await result.current.clearAllComponents();
+                response = await result.current.recordRevision('Project1', revision);
             });
             
-            expect(response.success).toBe(true);
-            expect(firestoreService.deleteAllComponents).toHaveBeenCalledWith('test-user-123');
+            expect(response).toEqual({ success: true, number: 3 });
+            expect(firestoreService.saveBOMRevision).toHaveBeenCalledWith('test-user-123', 'Project1', revision);
+        });
+
+        it('should restore a revision and report failures', async () => {
+            vi.mocked(firestoreService.restoreBOMRevision)
+                .mockResolvedValueOnce([{ id: 'c1' }, { id: 'c2' }])
+                .mockRejectedValueOnce(new Error('Revision 9 of "Project1" not found'));
+            
+            const { result } = renderHook(() => useFirestore(), { wrapper });
+            
+            await waitFor(() => expect(result.current.userId).toBe('test-user-123'));
+            
+            let restored;
+            let missing;
+            await act(async () => {
+                restored = await result.current.restoreRevision('Project1', 1);
+                missing = await result.current.restoreRevision('Project1', 9);
+            });
+            
+            expect(restored).toEqual({ success: true, count: 2 });
+            expect(missing.success).toBe(false);
+            expect(missing.error).toContain('not found');
+        });
+    });
+
+    describe('Bulk operations', () => {
+        const changes = [
+            { id: 'c1', partId: 'mpn_X1', updates: { Footprint: '0603' }, previous: { Footprint: '0402' } },
+            { id: 'c2', partId: null, updates: { Footprint: '0603' }, previous: { Footprint: undefined } }
+        ];
+
+        it('should write a bulk edit in one batch and undo it with the previous values', async () => {
+            vi.mocked(firestoreService.updateComponentsBatch).mockResolvedValue(2);
+            
+            const { result } = renderHook(() => useFirestore(), { wrapper });
+            
+            await waitFor(() => expect(result.current.userId).toBe('test-user-123'));
+            
+            let response;
+            await act(async () => {
+                response = await result.current.updateComponentsInBatch(changes, { label: 'Set Footprint' });
+            });
+            
+            expect(response).toEqual({ success: true, count: 2 });
+            expect(result.current.history.past[0]).toMatchObject({ type: 'update', label: 'Set Footprint', count: 2 });
+
+            let undone;
+            await act(async () => {
+                undone = await result.current.undoOperation();
+            });
+            
+            expect(undone).toEqual({ success: true, label: 'Set Footprint', count: 2 });
+            expect(firestoreService.updateComponentsBatch).toHaveBeenLastCalledWith('test-user-123', [
+                expect.objectContaining({ id: 'c1', updates: { Footprint: '0402' } }),
+                expect.objectContaining({ id: 'c2', updates: { Footprint: undefined } })
+            ], { parts: false, audit: audit('undo') });
+            expect(result.current.history.past).toHaveLength(0);
+
+            let redone;
+            await act(async () => {
+                redone = await result.current.redoOperation();
+            });
+            
+            expect(redone.success).toBe(true);
+            expect(firestoreService.updateComponentsBatch).toHaveBeenLastCalledWith('test-user-123', changes, { parts: false, audit: audit('redo') });
+            expect(result.current.history.past).toHaveLength(1);
+            expect(result.current.history.future).toHaveLength(0);
+        });
+
+        it('should restore deleted components on undo', async () => {
+            vi.mocked(firestoreService.deleteComponentsBatch).mockResolvedValueOnce(1);
+            vi.mocked(firestoreService.restoreComponentsBatch).mockResolvedValueOnce(1);
+            const deleted = [{ id: 'c1', partId: 'mpn_X1', Designator: 'R1' }];
+            
+            const { result } = renderHook(() => useFirestore(), { wrapper });
+            
+            await waitFor(() => expect(result.current.userId).toBe('test-user-123'));
+            
+            await act(async () => {
+                await result.current.removeComponentsInBatch(deleted);
+            });
+            expect(firestoreService.deleteComponentsBatch).toHaveBeenCalledWith('test-user-123', deleted, audit('bulk'));
+
+            await act(async () => {
+                await result.current.undoOperation();
+            });
+            expect(firestoreService.restoreComponentsBatch).toHaveBeenCalledWith('test-user-123', deleted, audit('undo'));
+        });
+
+        it('should report when there is nothing to undo', async () => {
+            const { result } = renderHook(() => useFirestore(), { wrapper });
+            
+            await waitFor(() => expect(result.current.userId).toBe('test-user-123'));
+            
+            let response;
+            await act(async () => {
+                response = await result.current.undoOperation();
+            });
+            expect(response).toEqual({ success: false, error: 'Nothing to undo' });
+        });
+    });
+
+    describe('loadComponentHistory', () => {
+        it('should load the placement and part history of a component', async () => {
+            const entries = [{ action: 'update', source: 'edit', scope: 'part', changes: [] }];
+            vi.mocked(firestoreService.getComponentHistory).mockResolvedValue(entries);
+            
+            const { result } = renderHook(() => useFirestore(), { wrapper });
+            
+            await waitFor(() => expect(result.current.userId).toBe('test-user-123'));
+            
+            let response;
+            await act(async () => {
+                response = await result.current.loadComponentHistory({ id: 'c1', partId: 'mpn_X1' });
+            });
+            
+            expect(response).toEqual({ success: true, entries });
+            expect(firestoreService.getComponentHistory).toHaveBeenCalledWith('test-user-123', { placementId: 'c1', partId: 'mpn_X1' });
+
+            await act(async () => {
+                await result.current.loadComponentHistory({ id: 'mpn_X1' }, { parts: true });
+            });
+            expect(firestoreService.getComponentHistory).toHaveBeenLastCalledWith('test-user-123', { partId: 'mpn_X1' });
         });
     });
 
-    describe('getNextSequence', () => {
-        it('should get next LPN sequence successfully', async () => {
-            vi.mocked(firestoreService.getNextLPNSequence).mockResolvedValueOnce(123);
+    describe('clearAllComponents', () => {
+        it('should soft-delete the library', async () => {
+            vi.mocked(firestoreService.softDeleteLibrary).mockResolvedValueOnce({ deletedAt: '2024-02-01T00:00:00.000Z', count: 1 });
             
             const { result } = renderHook(() => useFirestore(), { wrapper });
             
@@ -265,11 +565,112 @@ describe('useFirestore Hook', () => {
             
             let response;
             await act(async () => {
-                response = await result.current.getNextSequence();
+                response = await result.current.clearAllComponents();
             });
             
             expect(response.success).toBe(true);
-            expect(response.sequence).toBe(123);
+            expect(firestoreService.softDeleteLibrary).toHaveBeenCalledWith('test-user-123', audit('edit'));
+        });
+
+        it('should restore the cleared library on undo and clear it again on redo', async () => {
+            const deletedAt = '2024-02-01T00:00:00.000Z';
+            vi.mocked(firestoreService.softDeleteLibrary).mockResolvedValueOnce({ deletedAt, count: 1 });
+            vi.mocked(firestoreService.restoreDeletedLibrary).mockResolvedValueOnce(1);
+            
+            const { result } = renderHook(() => useFirestore(), { wrapper });
+            
+            await waitFor(() => expect(result.current.userId).toBe('test-user-123'));
+            
+            await act(async () => {
+                await result.current.clearAllComponents();
+            });
+            expect(result.current.history.past[0]).toMatchObject({ type: 'clearLibrary', deletedAt, count: 1 });
+
+            await act(async () => {
+                await result.current.undoOperation();
+            });
+            expect(firestoreService.restoreDeletedLibrary).toHaveBeenCalledWith('test-user-123', deletedAt, audit('undo'));
+
+            vi.mocked(firestoreService.softDeleteLibrary).mockResolvedValueOnce({ deletedAt, count: 1 });
+            await act(async () => {
+                await result.current.redoOperation();
+            });
+            expect(firestoreService.softDeleteLibrary).toHaveBeenLastCalledWith('test-user-123', audit('redo'), deletedAt);
+        });
+    });
+
+    describe('LPN requests', () => {
+        it('should submit a request as the current user', async () => {
+            const request = { partId: 'mpn_X1', mpn: 'X1' };
+            vi.mocked(firestoreService.createLPNRequest).mockResolvedValueOnce({ id: 'r1', ...request, status: 'pending' });
+
+            const { result } = renderHook(() => useFirestore(), { wrapper });
+
+            await waitFor(() => expect(result.current.userId).toBe('test-user-123'));
+
+            let response;
+            await act(async () => {
+                response = await result.current.submitLPNRequest(request);
+            });
+
+            expect(response).toEqual({ success: true, request: { id: 'r1', ...request, status: 'pending' } });
+            expect(firestoreService.createLPNRequest).toHaveBeenCalledWith('test-user-123', request, audit('lpn'));
+        });
+
+        it('should issue the LPN of a request', async () => {
+            vi.mocked(firestoreService.issueLPN).mockResolvedValueOnce({ id: 'r1', lpn: 'KL-00123-ABCDEF', sequence: 123 });
+
+            const { result } = renderHook(() => useFirestore(), { wrapper });
+
+            await waitFor(() => expect(result.current.userId).toBe('test-user-123'));
+
+            let response;
+            await act(async () => {
+                response = await result.current.issuePartLPN({ id: 'r1', partId: 'mpn_X1' });
+            });
+
+            expect(response).toEqual({ success: true, lpn: 'KL-00123-ABCDEF', sequence: 123 });
+            expect(firestoreService.issueLPN).toHaveBeenCalledWith('test-user-123', { id: 'r1', partId: 'mpn_X1' }, audit('lpn'), undefined);
+        });
+
+        it('should issue the LPNs of a batch of parts', async () => {
+            const entries = [{ request: { partId: 'mpn_X1', mpn: 'X1' }, format: { counterId: 'lpn_counter' } }];
+            vi.mocked(firestoreService.issueLPNsInBatch)
+                .mockResolvedValueOnce({ issued: [{ partId: 'mpn_X1', lpn: 'KL-00001-ABCDEF', sequence: 1 }], failed: [] })
+                .mockRejectedValueOnce(new Error('LPN sequence limit reached for KL- (99999)'));
+
+            const { result } = renderHook(() => useFirestore(), { wrapper });
+
+            await waitFor(() => expect(result.current.userId).toBe('test-user-123'));
+
+            let response;
+            await act(async () => {
+                response = await result.current.issuePartLPNs(entries);
+            });
+
+            expect(response).toEqual({ success: true, issued: [{ partId: 'mpn_X1', lpn: 'KL-00001-ABCDEF', sequence: 1 }], failed: [] });
+            expect(firestoreService.issueLPNsInBatch).toHaveBeenCalledWith('test-user-123', entries, audit('lpn'));
+
+            await act(async () => {
+                response = await result.current.issuePartLPNs(entries);
+            });
+            expect(response).toEqual({ success: false, error: 'Failed to issue LPNs: LPN sequence limit reached for KL- (99999)' });
+        });
+
+        it('should report rejection failures', async () => {
+            vi.mocked(firestoreService.rejectLPNRequest).mockRejectedValueOnce(new Error('A reason is required to reject an LPN request'));
+
+            const { result } = renderHook(() => useFirestore(), { wrapper });
+
+            await waitFor(() => expect(result.current.userId).toBe('test-user-123'));
+
+            let response;
+            await act(async () => {
+                response = await result.current.rejectPendingLPNRequest('r1', '');
+            });
+
+            expect(response.success).toBe(false);
+            expect(response.error).toContain('A reason is required');
         });
     });
 
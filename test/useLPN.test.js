@@ -11,11 +11,21 @@ import * as lpnUtils from '../src/utils/lpnUtils.js';
 // --- Mock Dependencies ---
 // Define mocks with default successful implementations
 const mockUseFirestore = {
-    getNextSequence: vi.fn(),
     updateExistingComponent: vi.fn(),
-    findLPNByMPN: vi.fn()
+    findLPNByMPN: vi.fn(),
+    findLPNByPartId: vi.fn(),
+    submitLPNRequest: vi.fn(),
+    issuePartLPN: vi.fn(),
+    issuePartLPNs: vi.fn(),
+    rejectPendingLPNRequest: vi.fn(),
+    setPartLPNLifecycle: vi.fn(),
+    addPartAlternateMPN: vi.fn(),
+    correctLockedMPN: vi.fn()
 };
 
+// Issued LPNs as the service assembles them
+const issued = (sequence) => ({ success: true, lpn: `KL-${String(sequence).padStart(5, '0')}-ABCDEF`, sequence });
+
 // **Mock the module containing the hook**
 vi.mock('../src/hooks/useFirestore.js', () => ({
     // Ensure the factory function returns the hook itself
@@ -43,14 +53,19 @@ describe('useLPN Hook', () => {
     beforeEach(() => {
         // Clear all mocks AND reset implementations before each test
         vi.clearAllMocks();
-        mockUseFirestore.getNextSequence.mockResolvedValue({ success: true, sequence: 1 });
+        mockUseFirestore.issuePartLPN.mockResolvedValue(issued(1));
         mockUseFirestore.updateExistingComponent.mockResolvedValue({ success: true });
+        mockUseFirestore.submitLPNRequest.mockImplementation(async (request) => ({ success: true, request: { id: 'r1', ...request, status: 'pending' } }));
+        mockUseFirestore.rejectPendingLPNRequest.mockResolvedValue({ success: true });
+        mockUseFirestore.setPartLPNLifecycle.mockResolvedValue({ success: true });
+        mockUseFirestore.addPartAlternateMPN.mockResolvedValue({ success: true, alternates: ['MPN789-ALT'] });
         
         // **FIX:** Make findLPNByMPN truly async to prevent race conditions in tests
         mockUseFirestore.findLPNByMPN.mockImplementation(async () => {
              await new Promise(resolve => setTimeout(resolve, 1)); // 1ms delay
              return { success: true, lpn: null }; // Default: No existing LPN found
         });
+        mockUseFirestore.findLPNByPartId.mockResolvedValue({ success: true, lpn: null });
     });
 
     it('should initialize with correct default state', () => {
@@ -73,6 +88,29 @@ describe('useLPN Hook', () => {
             expect(result.current.error).toContain('MPN required');
         });
 
+        it('should assign an LPN to a generic passive without MPN', async () => {
+            const passive = { id: 'c5', Designator: 'R5', Value: '4k7', Footprint: 'R_0603_1608Metric' };
+            const { result } = setupHook();
+            let res;
+            await act(async () => { res = await result.current.assignLPN(passive); });
+            expect(res.success).toBe(true);
+            expect(mockUseFirestore.findLPNByMPN).not.toHaveBeenCalled();
+            expect(mockUseFirestore.findLPNByPartId).toHaveBeenCalledWith('gen_RES-4%2E7k-0603');
+            expect(mockUseFirestore.issuePartLPN).toHaveBeenCalledWith(expect.objectContaining({
+                partId: 'gen_RES-4%2E7k-0603', componentId: 'c5', mpn: null, genericPartNumber: expect.any(String)
+            }), { format: expect.objectContaining({ prefix: 'KL-' }) });
+            expect(mockUseFirestore.updateExistingComponent).not.toHaveBeenCalled();
+        });
+
+        it('should reuse the LPN of the library part for a generic passive', async () => {
+            mockUseFirestore.findLPNByPartId.mockResolvedValue({ success: true, lpn: 'KL-00042-ABCDEF' });
+            const { result } = setupHook();
+            let res;
+            await act(async () => { res = await result.current.assignLPN({ id: 'c6', Designator: 'R6', Value: '4.7k', Footprint: '0603' }); });
+            expect(res).toEqual({ success: true, lpn: 'KL-00042-ABCDEF' });
+            expect(mockUseFirestore.issuePartLPN).not.toHaveBeenCalled();
+        });
+
         it('should return error if component already has LPN', async () => {
             const { result } = setupHook();
             expect(result.current, 'Hook invalid in test').not.toBeNull();
@@ -90,11 +128,11 @@ describe('useLPN Hook', () => {
              expect(res.success).toBe(true);
              expect(res.lpn).toMatch(/^KL-\d{5}-[0-9A-F]{6}$/);
              expect(mockUseFirestore.findLPNByMPN).toHaveBeenCalledWith('MPN123');
-             expect(mockUseFirestore.getNextSequence).toHaveBeenCalledTimes(1);
-             expect(mockUseFirestore.updateExistingComponent).toHaveBeenCalledWith(
-                 mockComponentWithMPN1.id,
-                 expect.objectContaining({ Local_Part_Number: res.lpn, 'Mfr. Part #': 'MPN123' })
-             );
+             expect(mockUseFirestore.issuePartLPN).toHaveBeenCalledTimes(1);
+             expect(mockUseFirestore.issuePartLPN).toHaveBeenCalledWith(expect.objectContaining({
+                 partId: 'mpn_MPN123', componentId: mockComponentWithMPN1.id, mpn: 'MPN123'
+             }), { format: lpnUtils.resolveLPNFormat() });
+             expect(mockUseFirestore.updateExistingComponent).not.toHaveBeenCalled();
         });
 
         it('should REUSE existing LPN if found for the MPN', async () => {
@@ -110,10 +148,11 @@ describe('useLPN Hook', () => {
             expect(res.success).toBe(true);
             expect(res.lpn).toBe(existingLPN);
             expect(mockUseFirestore.findLPNByMPN).toHaveBeenCalledWith('MPN123');
-            expect(mockUseFirestore.getNextSequence).not.toHaveBeenCalled();
+            expect(mockUseFirestore.issuePartLPN).not.toHaveBeenCalled();
             expect(mockUseFirestore.updateExistingComponent).toHaveBeenCalledWith(
                 mockComponentWithMPN1.id,
-                expect.objectContaining({ Local_Part_Number: existingLPN, 'Mfr. Part #': 'MPN123' })
+                expect.objectContaining({ Local_Part_Number: existingLPN, 'Mfr. Part #': 'MPN123' }),
+                { source: 'lpn' }
             );
         });
 
@@ -132,9 +171,9 @@ describe('useLPN Hook', () => {
              expect(result.current.error).toContain('DB Search Error');
          });
 
-        it('should set error state if getNextSequence fails', async () => {
+        it('should set error state if issuing the LPN fails', async () => {
             // **FIX:** Mock rejection or success:false for error paths
-            mockUseFirestore.getNextSequence.mockResolvedValue({ success: false, error: 'Sequence Error' });
+            mockUseFirestore.issuePartLPN.mockResolvedValue({ success: false, error: 'Sequence Error' });
             const { result } = setupHook();
             expect(result.current, 'Hook invalid in test').not.toBeNull();
             let res;
@@ -146,6 +185,7 @@ describe('useLPN Hook', () => {
         it('should set error state if updateExistingComponent fails', async () => {
             // **FIX:** Mock rejection or success:false for error paths
             mockUseFirestore.updateExistingComponent.mockResolvedValue({ success: false, error: 'Update Error' });
+            mockUseFirestore.findLPNByMPN.mockResolvedValue({ success: true, lpn: 'KL-00007-ABCDEF' });
             const { result } = setupHook();
             expect(result.current, 'Hook invalid in test').not.toBeNull();
             let res;
@@ -182,27 +222,20 @@ describe('useLPN Hook', () => {
 
     // --- Test for assignLPNBatch ---
     describe('assignLPNBatch', () => {
-         it('should process each component and return aggregated results', async () => {
+         // Batch allocator mock: one LPN per part, numbered in order
+         const issueInOrder = async (entries) => {
+             const partIds = [...new Set(entries.map(({ request }) => request.partId))];
+             return { success: true, issued: partIds.map((partId, index) => ({ partId, ...issued(index + 1) })), failed: [] };
+         };
+
+         it('should issue all valid components in one batch and return aggregated results', async () => {
              const components = [
                  mockComponentWithMPN1,     // Success (Seq 1)
                  mockComponentWithoutMPN, // Fail (No MPN)
                  mockComponentWithMPN2,     // Success (Seq 2)
                  mockComponentWithLPN       // Fail (Has LPN)
              ];
-             const expectedSuccessCount = 2;
-             const expectedFailCount = 2;
-             let seqCounter = 1;
-
-             // Reset mocks for batch logic
-             mockUseFirestore.getNextSequence.mockImplementation(async () => {
-                await new Promise(resolve => setTimeout(resolve, 1));
-                return { success: true, sequence: seqCounter++ };
-             });
-             mockUseFirestore.updateExistingComponent.mockResolvedValue({ success: true });
-             mockUseFirestore.findLPNByMPN.mockImplementation(async (mpn) => {
-                await new Promise(resolve => setTimeout(resolve, 1));
-                return { success: true, lpn: null };
-             });
+             mockUseFirestore.issuePartLPNs.mockImplementation(issueInOrder);
 
              const { result } = setupHook();
              expect(result.current, 'Hook invalid in test').not.toBeNull();
@@ -215,11 +248,19 @@ describe('useLPN Hook', () => {
              expect(result.current.isGenerating).toBe(false);
              expect(batchResult.overallSuccess).toBe(false);
              expect(batchResult.details.total).toBe(components.length);
-             expect(batchResult.details.processed).toHaveLength(expectedSuccessCount);
-             expect(batchResult.details.failed).toHaveLength(expectedFailCount);
-             expect(mockUseFirestore.findLPNByMPN).toHaveBeenCalledTimes(expectedSuccessCount);
-             expect(mockUseFirestore.getNextSequence).toHaveBeenCalledTimes(expectedSuccessCount);
-             expect(mockUseFirestore.updateExistingComponent).toHaveBeenCalledTimes(expectedSuccessCount);
+             expect(batchResult.details.processed).toEqual([
+                 { componentId: 'c2', lpn: 'KL-00001-ABCDEF' },
+                 { componentId: 'c3', lpn: 'KL-00002-ABCDEF' }
+             ]);
+             expect(batchResult.details.failed).toHaveLength(2);
+             expect(mockUseFirestore.issuePartLPNs).toHaveBeenCalledTimes(1);
+             expect(mockUseFirestore.issuePartLPNs).toHaveBeenCalledWith([
+                 { request: expect.objectContaining({ partId: 'mpn_MPN123', mpn: 'MPN123' }), format: lpnUtils.resolveLPNFormat() },
+                 { request: expect.objectContaining({ partId: 'mpn_MPN456', mpn: 'MPN456' }), format: lpnUtils.resolveLPNFormat() }
+             ]);
+             expect(mockUseFirestore.findLPNByMPN).not.toHaveBeenCalled();
+             expect(mockUseFirestore.issuePartLPN).not.toHaveBeenCalled();
+             expect(mockUseFirestore.updateExistingComponent).not.toHaveBeenCalled();
              expect(batchResult.details.failed.some(f => f.componentId === mockComponentWithoutMPN.id && f.error.includes('MPN required'))).toBe(true);
              expect(batchResult.details.failed.some(f => f.componentId === mockComponentWithLPN.id && f.error.includes('already has an LPN'))).toBe(true);
          });
@@ -233,56 +274,194 @@ describe('useLPN Hook', () => {
              expect(batchResult.details.total).toBe(0);
              expect(batchResult.details.processed).toHaveLength(0);
              expect(batchResult.details.failed).toHaveLength(0);
+             expect(mockUseFirestore.issuePartLPNs).not.toHaveBeenCalled();
          });
 
-         it('should correctly reuse LPNs during batch processing', async () => {
-             const existingLPN = 'KL-00100-REPEAT';
+         it('should give every component of a part the LPN of the part', async () => {
              const components = [
-                 { id: 'new1', 'Mfr. Part #': 'MPN_NEW' },       // Should get Seq 1
-                 { id: 'reuse1', 'Mfr. Part #': 'MPN_REUSE' },   // Should reuse existingLPN
-                 { id: 'new2', 'Mfr. Part #': 'MPN_NEW2' },      // Should get Seq 2
-                 { id: 'reuse2', 'Mfr. Part #': 'MPN_REUSE' },   // Should reuse existingLPN again
+                 { id: 'new1', 'Mfr. Part #': 'MPN_NEW' },
+                 { id: 'dup1', 'Mfr. Part #': 'MPN_DUP' },
+                 { id: 'new2', 'Mfr. Part #': 'MPN_NEW2' },
+                 { id: 'dup2', 'Mfr. Part #': 'mpn_dup' },
              ];
-             let seqCounter = 1;
-             mockUseFirestore.getNextSequence.mockImplementation(async () => {
-                await new Promise(resolve => setTimeout(resolve, 1));
-                return { success: true, sequence: seqCounter++ };
-             });
-             mockUseFirestore.updateExistingComponent.mockResolvedValue({ success: true });
-             mockUseFirestore.findLPNByMPN.mockImplementation(async (mpn) => {
-                 await new Promise(resolve => setTimeout(resolve, 1));
-                 if (mpn === 'MPN_REUSE') {
-                     return { success: true, lpn: existingLPN };
-                 }
-                 return { success: true, lpn: null };
-             });
+             mockUseFirestore.issuePartLPNs.mockImplementation(issueInOrder);
 
              const { result } = setupHook();
-             expect(result.current, 'Hook invalid in test').not.toBeNull();
              let batchResult;
              await act(async () => { batchResult = await result.current.assignLPNBatch(components); });
 
              expect(batchResult.overallSuccess).toBe(true);
-             expect(batchResult.details.processed).toHaveLength(4);
-             expect(batchResult.details.failed).toHaveLength(0);
-             expect(mockUseFirestore.getNextSequence).toHaveBeenCalledTimes(2);
-             expect(mockUseFirestore.updateExistingComponent).toHaveBeenCalledTimes(4);
-
-             const processedMap = batchResult.details.processed.reduce((acc, item) => {
-                 acc[item.componentId] = item.lpn;
-                 return acc;
-             }, {});
-
-             expect(processedMap['new1']).not.toBe(existingLPN);
-             expect(processedMap['new1']).toMatch(/^KL-00001-[0-9A-F]{6}$/);
-             expect(processedMap['reuse1']).toBe(existingLPN);
-             expect(processedMap['new2']).not.toBe(existingLPN);
-             expect(processedMap['new2']).toMatch(/^KL-00002-[0-9A-F]{6}$/);
-             expect(processedMap['reuse2']).toBe(existingLPN);
+             const processedMap = Object.fromEntries(batchResult.details.processed.map(item => [item.componentId, item.lpn]));
+             expect(processedMap).toEqual({
+                 new1: 'KL-00001-ABCDEF',
+                 dup1: 'KL-00002-ABCDEF',
+                 dup2: 'KL-00002-ABCDEF',
+                 new2: 'KL-00003-ABCDEF'
+             });
+         });
+
+         it('should report parts the allocator could not update', async () => {
+             mockUseFirestore.issuePartLPNs.mockResolvedValue({
+                 success: true, issued: [], failed: [{ partId: 'mpn_MPN123', error: 'Library part not found' }]
+             });
+
+             const { result } = setupHook();
+             let batchResult;
+             await act(async () => { batchResult = await result.current.assignLPNBatch([mockComponentWithMPN1]); });
+
+             expect(batchResult.overallSuccess).toBe(false);
+             expect(batchResult.details.failed).toEqual([{ componentId: 'c2', error: 'Library part not found' }]);
+         });
+
+         it('should fail every component when the batch fails', async () => {
+             mockUseFirestore.issuePartLPNs.mockResolvedValue({ success: false, error: 'Failed to issue LPNs: LPN sequence limit reached' });
+
+             const { result } = setupHook();
+             let batchResult;
+             await act(async () => { batchResult = await result.current.assignLPNBatch([mockComponentWithMPN1, mockComponentWithMPN2]); });
+
+             expect(batchResult.overallSuccess).toBe(false);
+             expect(batchResult.details.failed.map(f => f.componentId)).toEqual(['c2', 'c3']);
+             expect(result.current.error).toContain('LPN sequence limit reached');
+         });
+
+         it('should issue in the format of every component category', async () => {
+             const scheme = { ...lpnUtils.DEFAULT_LPN_SCHEME, categories: [{ name: 'Caps', prefix: 'KL-CAP-', designators: ['C'] }] };
+             mockUseFirestore.issuePartLPNs.mockImplementation(issueInOrder);
+
+             const { result } = renderHook(() => useLPN(scheme));
+             await act(async () => { await result.current.assignLPNBatch([mockComponentWithMPN1, mockComponentWithMPN2]); });
+
+             const [entries] = mockUseFirestore.issuePartLPNs.mock.calls[0];
+             expect(entries.map(({ format }) => format.counterId)).toEqual(['lpn_counter', 'lpn_counter_KL_CAP']);
          });
 
     });
 
+    // --- Tests for the request/approve workflow ---
+    describe('LPN requests', () => {
+        it('should request an LPN for the part of a component', async () => {
+            const { result } = setupHook();
+            let res;
+            await act(async () => { res = await result.current.requestLPN({ ...mockComponentWithMPN1, Manufacturer: 'Acme' }); });
+
+            expect(res.success).toBe(true);
+            expect(res.request.status).toBe('pending');
+            expect(mockUseFirestore.submitLPNRequest).toHaveBeenCalledWith({
+                partId: 'mpn_MPN123',
+                componentId: 'c2',
+                designator: 'R1',
+                mpn: 'MPN123',
+                genericPartNumber: null,
+                part: { 'Mfr. Part #': 'MPN123', Manufacturer: 'Acme' }
+            });
+            expect(mockUseFirestore.issuePartLPN).not.toHaveBeenCalled();
+        });
+
+        it('should not request LPNs for components that cannot get one', async () => {
+            const { result } = setupHook();
+            let res;
+            await act(async () => { res = await result.current.requestLPN(mockComponentWithLPN); });
+            expect(res.error).toContain('already has an LPN');
+
+            await act(async () => { res = await result.current.requestLPN(mockComponentWithoutMPN); });
+            expect(res.error).toContain('MPN required');
+            expect(mockUseFirestore.submitLPNRequest).not.toHaveBeenCalled();
+        });
+
+        it('should approve a request; the service reuses the registered LPN of the MPN', async () => {
+            mockUseFirestore.issuePartLPN.mockResolvedValue({ success: true, lpn: 'KL-00042-ABCDEF', sequence: null });
+            const request = { id: 'r1', partId: 'mpn_MPN123', mpn: 'MPN123' };
+
+            const { result } = setupHook();
+            let res;
+            await act(async () => { res = await result.current.approveLPNRequest(request); });
+
+            expect(res.lpn).toBe('KL-00042-ABCDEF');
+            expect(mockUseFirestore.issuePartLPN).toHaveBeenCalledWith(request, { format: lpnUtils.resolveLPNFormat() });
+            expect(mockUseFirestore.findLPNByMPN).not.toHaveBeenCalled();
+        });
+
+        it('should require a reason to reject a request', async () => {
+            const { result } = setupHook();
+            let res;
+            await act(async () => { res = await result.current.rejectLPNRequest({ id: 'r1' }, '  '); });
+            expect(res.success).toBe(false);
+            expect(result.current.error).toContain('reason is required');
+            expect(mockUseFirestore.rejectPendingLPNRequest).not.toHaveBeenCalled();
+
+            await act(async () => { res = await result.current.rejectLPNRequest({ id: 'r1' }, 'Duplicate of KL-00001'); });
+            expect(res.success).toBe(true);
+            expect(mockUseFirestore.rejectPendingLPNRequest).toHaveBeenCalledWith('r1', 'Duplicate of KL-00001');
+        });
+    });
+
+    describe('LPN lifecycle', () => {
+        it('should set the lifecycle status of a part', async () => {
+            const { result } = setupHook();
+            let res;
+            await act(async () => { res = await result.current.setLPNLifecycle('mpn_MPN789', { status: 'nrnd' }); });
+
+            expect(res.success).toBe(true);
+            expect(mockUseFirestore.setPartLPNLifecycle).toHaveBeenCalledWith('mpn_MPN789', { status: 'nrnd', supersededBy: null });
+        });
+
+        it('should require a valid replacement LPN to supersede an LPN', async () => {
+            const { result } = setupHook();
+            let res;
+            await act(async () => { res = await result.current.setLPNLifecycle('mpn_MPN789', { status: 'superseded', supersededBy: 'KL-12' }); });
+            expect(res.success).toBe(false);
+            expect(result.current.error).toContain('valid replacement LPN');
+            expect(mockUseFirestore.setPartLPNLifecycle).not.toHaveBeenCalled();
+
+            await act(async () => { res = await result.current.setLPNLifecycle('mpn_MPN789', { status: 'superseded', supersededBy: 'KL-00002-ABCDEF' }); });
+            expect(res.success).toBe(true);
+            expect(mockUseFirestore.setPartLPNLifecycle).toHaveBeenCalledWith('mpn_MPN789', { status: 'superseded', supersededBy: 'KL-00002-ABCDEF' });
+        });
+
+        it('should approve alternate MPNs and report service errors', async () => {
+            const { result } = setupHook();
+            let res;
+            await act(async () => { res = await result.current.addAlternateMPN('mpn_MPN789', ' '); });
+            expect(res.success).toBe(false);
+            expect(mockUseFirestore.addPartAlternateMPN).not.toHaveBeenCalled();
+
+            await act(async () => { res = await result.current.addAlternateMPN('mpn_MPN789', 'MPN789-ALT'); });
+            expect(res).toEqual({ success: true, alternates: ['MPN789-ALT'] });
+
+            mockUseFirestore.addPartAlternateMPN.mockResolvedValueOnce({ success: false, error: 'Failed to add alternate MPN: MPN1 already has LPN KL-00009-ABCDEF' });
+            await act(async () => { res = await result.current.addAlternateMPN('mpn_MPN789', 'MPN1'); });
+            expect(res.success).toBe(false);
+            expect(result.current.error).toContain('already has LPN');
+        });
+    });
+
+    describe('changeMPN', () => {
+        it('should require the new MPN and a reason', async () => {
+            const { result } = setupHook();
+            let res;
+            await act(async () => { res = await result.current.changeMPN('mpn_X1', { mpn: 'X2', reason: ' ', policy: 'retain' }); });
+            expect(res.success).toBe(false);
+            expect(result.current.error).toContain('reason is required');
+
+            await act(async () => { res = await result.current.changeMPN('mpn_X1', { mpn: '', reason: 'Typo', policy: 'retain' }); });
+            expect(res.success).toBe(false);
+            expect(mockUseFirestore.correctLockedMPN).not.toHaveBeenCalled();
+        });
+
+        it('should correct the MPN with the scheme of the LPN', async () => {
+            mockUseFirestore.correctLockedMPN.mockResolvedValueOnce({ success: true, correction: { newMPN: 'X2' } });
+            const { result } = setupHook();
+            let res;
+            await act(async () => { res = await result.current.changeMPN('mpn_X1', { mpn: 'X2', reason: 'Typo', policy: 'recompute' }); });
+
+            expect(res.success).toBe(true);
+            expect(mockUseFirestore.correctLockedMPN).toHaveBeenCalledWith('mpn_X1', {
+                mpn: 'X2', reason: 'Typo', policy: 'recompute', scheme: lpnUtils.DEFAULT_LPN_SCHEME
+            });
+        });
+    });
+
     // --- Tests for Utility Functions Re-exports ---
     describe('Utility Functions Re-exports', () => {
          it('canEditField should correctly reflect lpnUtils.isFieldLocked', () => {
@@ -315,6 +494,54 @@ describe('useLPN Hook', () => {
          });
     });
 
+    describe('LPN schemes', () => {
+        const scheme = {
+            ...lpnUtils.DEFAULT_LPN_SCHEME,
+            sequenceWidth: 6,
+            checkDigit: true,
+            categories: [{ name: 'Resistors', prefix: 'KL-RES-', designators: ['R'] }]
+        };
+        const setupSchemeHook = () => renderHook(() => useLPN(scheme));
+
+        it('assignLPN should issue in the format of the component category', async () => {
+            const { result } = setupSchemeHook();
+            await act(async () => { await result.current.assignLPN(mockComponentWithMPN1); });
+
+            expect(mockUseFirestore.issuePartLPN).toHaveBeenCalledWith(
+                expect.objectContaining({ designator: 'R1' }),
+                { format: expect.objectContaining({ prefix: 'KL-RES-', sequenceWidth: 6, checkDigit: true, counterId: 'lpn_counter_KL_RES' }) }
+            );
+
+            await act(async () => { await result.current.assignLPN(mockComponentWithMPN2); });
+            expect(mockUseFirestore.issuePartLPN).toHaveBeenLastCalledWith(
+                expect.anything(),
+                { format: expect.objectContaining({ prefix: 'KL-', counterId: 'lpn_counter' }) }
+            );
+        });
+
+        it('approveLPNRequest should issue in the format of the requested category', async () => {
+            const { result } = setupSchemeHook();
+            await act(async () => { await result.current.approveLPNRequest({ id: 'r1', partId: 'mpn_X1', mpn: 'X1', designator: 'R7' }); });
+
+            expect(mockUseFirestore.issuePartLPN).toHaveBeenCalledWith(
+                expect.objectContaining({ id: 'r1' }),
+                { format: expect.objectContaining({ prefix: 'KL-RES-' }) }
+            );
+        });
+
+        it('getLPNInfo and validateLPNFormat should parse scheme and legacy numbers', () => {
+            const { result } = setupSchemeHook();
+            const lpn = lpnUtils.assembleLPN(42, 'ABCDEF', lpnUtils.resolveLPNFormat(scheme, scheme.categories[0]));
+
+            expect(result.current.getLPNInfo({ Local_Part_Number: lpn, 'Mfr. Part #': 'X1' })).toMatchObject({
+                valid: true, prefix: 'KL-RES-', category: 'Resistors', sequence: '000042', hash: 'ABCDEF', mpn: 'X1'
+            });
+            expect(result.current.getLPNInfo(mockComponentWithLPN)).toMatchObject({ valid: true, sequence: '00001' });
+            expect(result.current.validateLPNFormat('KL-12345-ABCDEF')).toBe(true);
+            expect(result.current.validateLPNFormat('KL-RES-000042-ABCDEF')).toBe(false);
+        });
+    });
+
     it('clearError should reset the error state', async () => {
         const { result } = setupHook();
         expect(result.current, 'Hook invalid in test').not.toBeNull();
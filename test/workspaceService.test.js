@@ -0,0 +1,178 @@
+/**
+ * @file workspaceService.test.js
+ * @description Test suite for shared workspace, membership and invitation operations
+ */
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import {
+    createWorkspace,
+    getUserWorkspaces,
+    getWorkspaceMembers,
+    inviteMember,
+    getInvitationsForEmail,
+    acceptInvitation,
+    updateMemberRole,
+    removeMember
+} from '../src/services/workspaceService.js';
+
+vi.mock('firebase/firestore', async (importOriginal) => {
+    const original = await importOriginal();
+    const buildMockPath = (dbOrRef, segments) => {
+        const prefix = (dbOrRef && typeof dbOrRef === 'object' && !dbOrRef._path) ? 'db' : dbOrRef?._path;
+        return `${prefix}/${segments.join('/')}`;
+    };
+    return {
+        ...original,
+        collection: vi.fn((db, ...pathSegments) => ({ _path: buildMockPath(db, pathSegments) })),
+        doc: vi.fn((dbOrCollectionRef, ...pathSegments) => ({
+            id: pathSegments[pathSegments.length - 1] || 'new-workspace',
+            _path: buildMockPath(dbOrCollectionRef, pathSegments.length ? pathSegments : ['new-workspace'])
+        })),
+        getDoc: vi.fn(),
+        getDocs: vi.fn(),
+        setDoc: vi.fn(),
+        updateDoc: vi.fn(),
+        deleteDoc: vi.fn(),
+        query: vi.fn((collectionRef, ...constraints) => ({ _collectionRef: collectionRef, _constraints: constraints })),
+        where: vi.fn((field, op, value) => ({ _field: field, _op: op, _value: value })),
+        writeBatch: vi.fn(),
+    };
+});
+
+vi.mock('../src/config/firebase.js', () => ({
+    db: { mock: 'db_instance' }
+}));
+
+const getMockedFirestore = async () => await import('firebase/firestore');
+
+const mockSnapshot = (items) => ({
+    forEach: (cb) => items.forEach(({ id, ...data }) => cb({ id, data: () => data }))
+});
+
+describe('workspaceService', () => {
+    const user = { uid: 'u1', email: 'Jane@Example.com', displayName: 'Jane' };
+    let firestoreMocks;
+    let batch;
+
+    beforeEach(async () => {
+        vi.clearAllMocks();
+        firestoreMocks = await getMockedFirestore();
+        batch = { set: vi.fn(), update: vi.fn(), delete: vi.fn(), commit: vi.fn().mockResolvedValue() };
+        firestoreMocks.writeBatch.mockReturnValue(batch);
+        firestoreMocks.getDocs.mockResolvedValue(mockSnapshot([]));
+        firestoreMocks.setDoc.mockResolvedValue();
+        firestoreMocks.updateDoc.mockResolvedValue();
+        firestoreMocks.deleteDoc.mockResolvedValue();
+    });
+
+    describe('createWorkspace', () => {
+        it('should create the workspace with the creator as admin', async () => {
+            const workspace = await createWorkspace(user, '  R&D Team ');
+
+            expect(workspace).toEqual({ id: 'new-workspace', name: 'R&D Team', role: 'admin' });
+            expect(batch.set).toHaveBeenCalledWith(
+                expect.objectContaining({ _path: 'db/workspaces/new-workspace' }),
+                expect.objectContaining({ name: 'R&D Team', createdBy: 'u1' })
+            );
+            expect(batch.set).toHaveBeenCalledWith(
+                expect.objectContaining({ _path: 'db/workspaces/new-workspace/members/u1' }),
+                expect.objectContaining({ role: 'admin', email: 'jane@example.com' })
+            );
+            expect(batch.set).toHaveBeenCalledWith(
+                expect.objectContaining({ _path: 'db/users/u1/workspaces/new-workspace' }),
+                expect.objectContaining({ name: 'R&D Team' })
+            );
+            expect(batch.commit).toHaveBeenCalledTimes(1);
+        });
+
+        it('should require a name', async () => {
+            await expect(createWorkspace(user, '  ')).rejects.toThrow('Workspace name is required');
+        });
+    });
+
+    describe('getUserWorkspaces', () => {
+        it('should return joined workspaces with the current role and skip removed ones', async () => {
+            firestoreMocks.getDocs.mockResolvedValueOnce(mockSnapshot([
+                { id: 'w2', name: 'Beta' },
+                { id: 'w1', name: 'Alpha' },
+                { id: 'w3', name: 'Gone' }
+            ]));
+            firestoreMocks.getDoc.mockImplementation(async (ref) => {
+                if (ref._path.includes('w3')) throw new Error('Missing or insufficient permissions');
+                return { exists: () => true, data: () => ({ role: ref._path.includes('w1') ? 'viewer' : 'editor' }) };
+            });
+
+            expect(await getUserWorkspaces('u1')).toEqual([
+                { id: 'w1', name: 'Alpha', role: 'viewer' },
+                { id: 'w2', name: 'Beta', role: 'editor' }
+            ]);
+        });
+    });
+
+    describe('invitations', () => {
+        it('should store invitations under the workspace and normalized email', async () => {
+            const invitation = await inviteMember({ id: 'w1', name: 'Alpha' }, ' Bob@Example.com', 'librarian', 'jane@example.com');
+
+            expect(invitation).toMatchObject({ id: 'w1_bob%40example%2Ecom', email: 'bob@example.com', role: 'librarian' });
+            expect(firestoreMocks.setDoc).toHaveBeenCalledWith(
+                expect.objectContaining({ _path: 'db/invitations/w1_bob%40example%2Ecom' }),
+                expect.objectContaining({ workspaceId: 'w1', workspaceName: 'Alpha', invitedBy: 'jane@example.com' })
+            );
+        });
+
+        it('should reject invalid emails and roles', async () => {
+            await expect(inviteMember({ id: 'w1', name: 'A' }, 'bob', 'editor')).rejects.toThrow('Invalid email address');
+            await expect(inviteMember({ id: 'w1', name: 'A' }, 'bob@example.com', 'owner')).rejects.toThrow('Unknown role');
+        });
+
+        it('should find invitations by normalized email', async () => {
+            firestoreMocks.getDocs.mockResolvedValueOnce(mockSnapshot([{ id: 'i1', workspaceId: 'w1' }]));
+
+            expect(await getInvitationsForEmail('Jane@Example.com')).toEqual([{ id: 'i1', workspaceId: 'w1' }]);
+            expect(firestoreMocks.where).toHaveBeenCalledWith('email', '==', 'jane@example.com');
+        });
+
+        it('should join with the invited role and remove the invitation', async () => {
+            const invitation = { id: 'i1', workspaceId: 'w1', workspaceName: 'Alpha', role: 'editor' };
+
+            expect(await acceptInvitation(user, invitation)).toEqual({ id: 'w1', name: 'Alpha', role: 'editor' });
+            expect(batch.set).toHaveBeenCalledWith(
+                expect.objectContaining({ _path: 'db/workspaces/w1/members/u1' }),
+                expect.objectContaining({ role: 'editor', invitationId: 'i1' })
+            );
+            expect(batch.delete).toHaveBeenCalledWith(expect.objectContaining({ _path: 'db/invitations/i1' }));
+        });
+    });
+
+    describe('members', () => {
+        const members = [
+            { id: 'u1', email: 'jane@example.com', role: 'admin' },
+            { id: 'u2', email: 'bob@example.com', role: 'editor' }
+        ];
+
+        it('should list members sorted by email', async () => {
+            firestoreMocks.getDocs.mockResolvedValueOnce(mockSnapshot(members));
+
+            expect((await getWorkspaceMembers('w1')).map(member => member.uid)).toEqual(['u2', 'u1']);
+        });
+
+        it('should change roles', async () => {
+            firestoreMocks.getDocs.mockResolvedValueOnce(mockSnapshot(members));
+
+            await updateMemberRole('w1', 'u2', 'librarian');
+            expect(firestoreMocks.updateDoc).toHaveBeenCalledWith(
+                expect.objectContaining({ _path: 'db/workspaces/w1/members/u2' }), { role: 'librarian' }
+            );
+        });
+
+        it('should keep at least one admin', async () => {
+            firestoreMocks.getDocs.mockResolvedValue(mockSnapshot(members));
+
+            await expect(updateMemberRole('w1', 'u1', 'editor')).rejects.toThrow('at least one admin');
+            await expect(removeMember('w1', 'u1')).rejects.toThrow('at least one admin');
+            expect(firestoreMocks.deleteDoc).not.toHaveBeenCalled();
+
+            await removeMember('w1', 'u2');
+            expect(firestoreMocks.deleteDoc).toHaveBeenCalledWith(expect.objectContaining({ _path: 'db/workspaces/w1/members/u2' }));
+        });
+    });
+});
@@ -0,0 +1,72 @@
+/**
+ * @file workspaces.test.js
+ * @description Tests for workspace roles, permissions and library ids
+ */
+import { describe, it, expect } from 'vitest';
+import {
+    ROLES,
+    ROLE_LABELS,
+    hasRole,
+    getPermissions,
+    getWorkspaceLibraryId,
+    normalizeEmail
+} from '../src/utils/workspaces.js';
+
+describe('workspaces', () => {
+    describe('hasRole', () => {
+        it('should accept the same or a more privileged role', () => {
+            expect(hasRole('editor', 'editor')).toBe(true);
+            expect(hasRole('admin', 'viewer')).toBe(true);
+            expect(hasRole('librarian', 'editor')).toBe(true);
+        });
+
+        it('should reject less privileged and unknown roles', () => {
+            expect(hasRole('viewer', 'editor')).toBe(false);
+            expect(hasRole('editor', 'librarian')).toBe(false);
+            expect(hasRole('owner', 'viewer')).toBe(false);
+            expect(hasRole(null, 'viewer')).toBe(false);
+        });
+    });
+
+    describe('getPermissions', () => {
+        it('should only let viewers view', () => {
+            expect(getPermissions('viewer')).toEqual({ view: true, edit: false, manageLibrary: false, manageMembers: false, correctMPN: false, manageLPNScheme: false });
+        });
+
+        it('should let editors edit but not assign LPNs', () => {
+            expect(getPermissions('editor')).toEqual({ view: true, edit: true, manageLibrary: false, manageMembers: false, correctMPN: false, manageLPNScheme: false });
+        });
+
+        it('should let librarians manage the library but not members', () => {
+            expect(getPermissions('librarian')).toEqual({ view: true, edit: true, manageLibrary: true, manageMembers: false, correctMPN: false, manageLPNScheme: false });
+        });
+
+        it('should give admins every permission', () => {
+            expect(Object.values(getPermissions('admin')).every(Boolean)).toBe(true);
+        });
+
+        it('should give no permission without a role', () => {
+            expect(Object.values(getPermissions(null)).some(Boolean)).toBe(false);
+        });
+    });
+
+    it('should label every role', () => {
+        ROLES.forEach(role => expect(ROLE_LABELS[role]).toBeTruthy());
+    });
+
+    it('should build the library id of a workspace', () => {
+        expect(getWorkspaceLibraryId('w1')).toBe('workspaces/w1');
+    });
+
+    describe('normalizeEmail', () => {
+        it('should trim and lower-case addresses', () => {
+            expect(normalizeEmail(' Jane.Doe@Example.com ')).toBe('jane.doe@example.com');
+        });
+
+        it('should reject invalid addresses', () => {
+            expect(normalizeEmail('jane')).toBe('');
+            expect(normalizeEmail('jane@example')).toBe('');
+            expect(normalizeEmail(null)).toBe('');
+        });
+    });
+});